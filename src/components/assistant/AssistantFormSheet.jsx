@@ -0,0 +1,476 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Platform,
+  TextInput as RNTextInput,
+} from 'react-native';
+import { Text, ActivityIndicator } from 'react-native-paper';
+import Modal from 'react-native-modal';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { useDispatch } from 'react-redux';
+import { createAssistant, updateAssistant } from '../../redux/slices/assistantSlice';
+import { useNetwork } from '../../contexts/NetworkContext';
+import { colors } from '../../theme/colors';
+import { showError, showSuccess } from '../../utils/toast';
+import {
+  ASSISTANT_PROVIDERS,
+  ASSISTANT_STATUS,
+  MAX_ASSISTANT_NAME_LENGTH,
+  TEMPERATURE_RANGE,
+  findProvider,
+  getAssistantInstructions,
+  validateAssistantName,
+} from '../../utils/assistantHelpers';
+
+/**
+ * AssistantFormSheet Component
+ * Bottom sheet for creating an assistant or editing one's provider, model,
+ * temperature, system instructions and fallback message. Renaming is a
+ * separate action, so the name field only shows when creating.
+ *
+ * @param {boolean} visible - Sheet visibility
+ * @param {Object|null} assistant - Assistant to edit, or null to create one
+ * @param {Function} onClose - Called when the sheet should close
+ * @param {Function} onSaved - Called with { previous, assistant } after a successful save
+ */
+const AssistantFormSheet = ({ visible, assistant, onClose, onSaved }) => {
+  const dispatch = useDispatch();
+  const { isOffline } = useNetwork();
+  const isEdit = !!assistant;
+
+  const [name, setName] = useState('');
+  const [providerValue, setProviderValue] = useState(ASSISTANT_PROVIDERS[0].value);
+  const [modelName, setModelName] = useState('');
+  const [temperature, setTemperature] = useState(TEMPERATURE_RANGE.default);
+  const [instructions, setInstructions] = useState('');
+  const [fallbackMessage, setFallbackMessage] = useState('');
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Reset the form from the assistant each time the sheet opens
+  useEffect(() => {
+    if (!visible) return;
+    const provider = findProvider(assistant?.modelProvider) || ASSISTANT_PROVIDERS[0];
+    setName(assistant?.name || '');
+    setProviderValue(provider.value);
+    setModelName(assistant?.modelName || assistant?.model || provider.models[0]);
+    setTemperature(assistant?.temperature ?? TEMPERATURE_RANGE.default);
+    setInstructions(getAssistantInstructions(assistant).value);
+    setFallbackMessage(assistant?.fallbackMessage || '');
+    setErrors({});
+  }, [visible, assistant]);
+
+  const provider = ASSISTANT_PROVIDERS.find((option) => option.value === providerValue);
+  // Keep a model the assistant already uses even if it isn't in the preset list
+  const modelOptions = modelName && !provider.models.includes(modelName)
+    ? [modelName, ...provider.models]
+    : provider.models;
+
+  const handleProviderChange = (value) => {
+    if (value === providerValue) return;
+    const next = ASSISTANT_PROVIDERS.find((option) => option.value === value);
+    setProviderValue(value);
+    setModelName(next.models[0]);
+  };
+
+  const changeTemperature = (delta) => {
+    setTemperature((current) => {
+      const next = Math.round((Number(current) + delta) * 10) / 10;
+      return Math.min(TEMPERATURE_RANGE.max, Math.max(TEMPERATURE_RANGE.min, next));
+    });
+  };
+
+  const handleSave = async () => {
+    if (isOffline) {
+      showError(`Connect to the internet to ${isEdit ? 'update' : 'create'} assistants`, "You're Offline");
+      return;
+    }
+
+    const nextErrors = {};
+    if (!isEdit) {
+      const nameError = validateAssistantName(name);
+      if (nameError) nextErrors.name = nameError;
+    }
+    if (!instructions.trim()) nextErrors.instructions = 'System instructions are required';
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length > 0) return;
+
+    // Keep the provider's original spelling when it hasn't changed
+    const modelProvider = findProvider(assistant?.modelProvider)?.value === providerValue
+      ? assistant.modelProvider
+      : providerValue;
+    const data = {
+      modelProvider,
+      modelName,
+      temperature,
+      [getAssistantInstructions(assistant).field]: instructions.trim(),
+      fallbackMessage: fallbackMessage.trim(),
+    };
+
+    setIsSaving(true);
+    try {
+      const result = isEdit
+        ? await dispatch(updateAssistant({ assistant, data })).unwrap()
+        : await dispatch(createAssistant({ ...data, name: name.trim(), status: ASSISTANT_STATUS.ACTIVE })).unwrap();
+      showSuccess(isEdit ? 'Assistant updated' : `${result.assistant.name || 'Assistant'} created`);
+      onSaved?.(result);
+      onClose();
+    } catch (error) {
+      showError(error || `Failed to ${isEdit ? 'update' : 'create'} assistant`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderChip = (label, selected, onPress) => (
+    <TouchableOpacity
+      key={label}
+      style={[styles.chip, selected && styles.chipSelected]}
+      onPress={onPress}
+      disabled={isSaving}
+      activeOpacity={0.7}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      isVisible={visible}
+      onBackdropPress={() => !isSaving && onClose()}
+      onBackButtonPress={() => !isSaving && onClose()}
+      style={styles.bottomModal}
+      backdropOpacity={0.5}
+      animationIn="slideInUp"
+      animationOut="slideOutDown"
+      avoidKeyboard={true}
+    >
+      <View style={styles.sheet}>
+        <View style={styles.handleBar} />
+
+        <View style={styles.header}>
+          <View style={styles.headerLeft}>
+            <View style={styles.headerIcon}>
+              <Icon name={isEdit ? 'robot-outline' : 'robot-happy-outline'} size={24} color={colors.secondary.main} />
+            </View>
+            <View style={styles.headerText}>
+              <Text style={styles.headerTitle}>{isEdit ? 'Edit Assistant' : 'New Assistant'}</Text>
+              {isEdit && (
+                <Text style={styles.headerSubtitle} numberOfLines={1}>{assistant.name || 'Unnamed Assistant'}</Text>
+              )}
+            </View>
+          </View>
+          <TouchableOpacity onPress={onClose} style={styles.closeBtn} disabled={isSaving}>
+            <Icon name="close" size={22} color={colors.text.secondary} />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          {!isEdit && (
+            <View style={styles.field}>
+              <Text style={styles.label}>Name</Text>
+              <RNTextInput
+                value={name}
+                onChangeText={(text) => {
+                  setName(text);
+                  setErrors((prev) => ({ ...prev, name: null }));
+                }}
+                placeholder="Assistant name"
+                placeholderTextColor={colors.text.tertiary}
+                maxLength={MAX_ASSISTANT_NAME_LENGTH}
+                style={[styles.input, errors.name && styles.inputError]}
+                editable={!isSaving}
+              />
+              {errors.name ? <Text style={styles.errorText}>{errors.name}</Text> : null}
+            </View>
+          )}
+
+          <View style={styles.field}>
+            <Text style={styles.label}>Provider</Text>
+            <View style={styles.chipRow}>
+              {ASSISTANT_PROVIDERS.map((option) => renderChip(
+                option.label,
+                option.value === providerValue,
+                () => handleProviderChange(option.value)
+              ))}
+            </View>
+          </View>
+
+          <View style={styles.field}>
+            <Text style={styles.label}>Model</Text>
+            <View style={styles.chipRow}>
+              {modelOptions.map((model) => renderChip(model, model === modelName, () => setModelName(model)))}
+            </View>
+          </View>
+
+          <View style={styles.field}>
+            <Text style={styles.label}>Temperature</Text>
+            <View style={styles.stepper}>
+              <TouchableOpacity
+                style={styles.stepperBtn}
+                onPress={() => changeTemperature(-TEMPERATURE_RANGE.step)}
+                disabled={isSaving || temperature <= TEMPERATURE_RANGE.min}
+              >
+                <Icon name="minus" size={20} color={colors.text.primary} />
+              </TouchableOpacity>
+              <Text style={styles.stepperValue}>{Number(temperature).toFixed(1)}</Text>
+              <TouchableOpacity
+                style={styles.stepperBtn}
+                onPress={() => changeTemperature(TEMPERATURE_RANGE.step)}
+                disabled={isSaving || temperature >= TEMPERATURE_RANGE.max}
+              >
+                <Icon name="plus" size={20} color={colors.text.primary} />
+              </TouchableOpacity>
+              <Text style={styles.hint}>Lower is more focused, higher more creative</Text>
+            </View>
+          </View>
+
+          <View style={styles.field}>
+            <Text style={styles.label}>System Instructions</Text>
+            <RNTextInput
+              value={instructions}
+              onChangeText={(text) => {
+                setInstructions(text);
+                setErrors((prev) => ({ ...prev, instructions: null }));
+              }}
+              placeholder="How should the assistant behave and respond?"
+              placeholderTextColor={colors.text.tertiary}
+              style={[styles.input, styles.multiline, errors.instructions && styles.inputError]}
+              multiline
+              textAlignVertical="top"
+              editable={!isSaving}
+            />
+            {errors.instructions ? <Text style={styles.errorText}>{errors.instructions}</Text> : null}
+          </View>
+
+          <View style={styles.field}>
+            <Text style={styles.label}>Fallback Message</Text>
+            <RNTextInput
+              value={fallbackMessage}
+              onChangeText={setFallbackMessage}
+              placeholder="Sent when the assistant can't answer"
+              placeholderTextColor={colors.text.tertiary}
+              style={[styles.input, styles.multilineSmall]}
+              multiline
+              textAlignVertical="top"
+              editable={!isSaving}
+            />
+          </View>
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={styles.cancelBtn} onPress={onClose} disabled={isSaving} activeOpacity={0.7}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.primaryBtn, isSaving && styles.btnDisabled]}
+              onPress={handleSave}
+              disabled={isSaving}
+              activeOpacity={0.8}
+            >
+              {isSaving ? (
+                <ActivityIndicator size="small" color={colors.common.white} />
+              ) : (
+                <Text style={styles.primaryText}>{isEdit ? 'Save' : 'Create'}</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  bottomModal: {
+    justifyContent: 'flex-end',
+    margin: 0,
+  },
+  sheet: {
+    backgroundColor: colors.common.white,
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    maxHeight: '90%',
+    paddingBottom: Platform.OS === 'ios' ? 34 : 16,
+  },
+  handleBar: {
+    width: 40,
+    height: 4,
+    backgroundColor: colors.grey[300],
+    borderRadius: 2,
+    alignSelf: 'center',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.grey[100],
+  },
+  headerLeft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    flex: 1,
+  },
+  headerIcon: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: colors.secondary.main + '15',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerText: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: colors.text.primary,
+  },
+  headerSubtitle: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  closeBtn: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: colors.grey[100],
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 20,
+  },
+  field: {
+    marginBottom: 18,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.text.secondary,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 12,
+    fontSize: 15,
+    color: colors.text.primary,
+  },
+  inputError: {
+    borderColor: colors.error.main,
+  },
+  multiline: {
+    minHeight: 120,
+    maxHeight: 220,
+  },
+  multilineSmall: {
+    minHeight: 72,
+    maxHeight: 140,
+  },
+  errorText: {
+    fontSize: 13,
+    color: colors.error.main,
+    marginTop: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: colors.grey[200],
+    backgroundColor: colors.common.white,
+  },
+  chipSelected: {
+    backgroundColor: colors.primary.main,
+    borderColor: colors.primary.main,
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: colors.text.secondary,
+  },
+  chipTextSelected: {
+    color: colors.common.white,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  stepperBtn: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: colors.grey[100],
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepperValue: {
+    minWidth: 32,
+    textAlign: 'center',
+    fontSize: 16,
+    fontWeight: '700',
+    color: colors.text.primary,
+  },
+  hint: {
+    flex: 1,
+    fontSize: 12,
+    color: colors.text.tertiary,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 4,
+  },
+  cancelBtn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.grey[100],
+  },
+  cancelText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  primaryBtn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.primary.main,
+  },
+  btnDisabled: {
+    opacity: 0.6,
+  },
+  primaryText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.common.white,
+  },
+});
+
+export default AssistantFormSheet;
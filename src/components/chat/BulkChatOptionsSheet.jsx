@@ -0,0 +1,219 @@
+import React, { useEffect } from 'react';
+import {
+  View,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  FlatList,
+} from 'react-native';
+import { Text, ActivityIndicator, Avatar } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { useDispatch, useSelector } from 'react-redux';
+import { colors, chatColors, getAvatarColor } from '../../theme/colors';
+import { getSettings } from '../../redux/slices/settingsSlice';
+
+// Statuses that can be set on several chats at once. AI Assistant is left out:
+// handing chats to an assistant needs an assistant picked per chat.
+const BULK_STATUS_OPTIONS = [
+  { value: 'open', label: 'Open', icon: 'message-outline', color: colors.info.main },
+  { value: 'intervened', label: 'Intervened', icon: 'hand-back-left', color: colors.warning.main },
+  { value: 'on_hold', label: 'On Hold', icon: 'pause-circle-outline', color: colors.grey[600] },
+  { value: 'replied', label: 'Replied', icon: 'reply-outline', color: colors.success.main },
+  { value: 'pending', label: 'Pending', icon: 'clock-outline', color: colors.warning.dark },
+  { value: 'resolved', label: 'Resolved', icon: 'check-circle-outline', color: colors.success.main },
+  { value: 'closed', label: 'Closed', icon: 'close-circle-outline', color: colors.error.main },
+];
+
+const getInitials = (name) => {
+  if (!name) return '?';
+  return name.match(/\b\w/g)?.join('')?.slice(0, 2)?.toUpperCase() || '?';
+};
+
+/**
+ * BulkChatOptionsSheet Component
+ * Bottom sheet used by chat list multi-select to pick a team member
+ * (mode "assign") or a chat status (mode "status") for all selected chats.
+ */
+const BulkChatOptionsSheet = ({ visible, mode, selectedCount, onSelect, onClose }) => {
+  const dispatch = useDispatch();
+
+  // Team members from settings (same source as ChatOptionsMenu)
+  const { settings, getSettingsStatus } = useSelector((state) => state.settings);
+  const teamMembers = settings?.teamMembers?.items || [];
+  const isAssign = mode === 'assign';
+
+  useEffect(() => {
+    if (visible && isAssign && !settings?.teamMembers) {
+      dispatch(getSettings('teamMembers'));
+    }
+  }, [visible, isAssign, settings?.teamMembers, dispatch]);
+
+  const renderMember = ({ item }) => (
+    <TouchableOpacity style={styles.optionItem} onPress={() => onSelect(item)} activeOpacity={0.7}>
+      <Avatar.Text
+        size={40}
+        label={getInitials(item.name)}
+        style={{ backgroundColor: getAvatarColor(item.name) }}
+        labelStyle={styles.memberAvatarLabel}
+      />
+      <View style={styles.optionInfo}>
+        <Text style={styles.optionLabel}>{item.name}</Text>
+        <Text style={styles.optionSubtitle}>{item.email}</Text>
+      </View>
+    </TouchableOpacity>
+  );
+
+  const renderStatus = ({ item }) => (
+    <TouchableOpacity style={styles.optionItem} onPress={() => onSelect(item)} activeOpacity={0.7}>
+      <View style={[styles.statusIcon, { backgroundColor: item.color + '15' }]}>
+        <Icon name={item.icon} size={22} color={item.color} />
+      </View>
+      <View style={styles.optionInfo}>
+        <Text style={styles.optionLabel}>{item.label}</Text>
+      </View>
+    </TouchableOpacity>
+  );
+
+  const renderMembersEmpty = () => (
+    <View style={styles.emptyContainer}>
+      {getSettingsStatus === 'loading' ? (
+        <ActivityIndicator size="small" color={chatColors.primary} />
+      ) : (
+        <>
+          <Icon name="account-group-outline" size={48} color={colors.grey[300]} />
+          <Text style={styles.emptyText}>No team members found</Text>
+        </>
+      )}
+    </View>
+  );
+
+  if (!visible) return null;
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <TouchableOpacity style={styles.overlay} activeOpacity={1} onPress={onClose}>
+        <View style={styles.container}>
+          <View style={styles.handle} />
+
+          <Text style={styles.title}>
+            {isAssign ? 'Assign' : 'Change status of'} {selectedCount} {selectedCount === 1 ? 'chat' : 'chats'}
+          </Text>
+
+          {isAssign ? (
+            <FlatList
+              data={teamMembers}
+              renderItem={renderMember}
+              keyExtractor={(item) => item._id}
+              contentContainerStyle={styles.list}
+              ListHeaderComponent={(
+                <TouchableOpacity style={styles.optionItem} onPress={() => onSelect('none')} activeOpacity={0.7}>
+                  <View style={styles.unassignedAvatar}>
+                    <Icon name="account-off-outline" size={22} color={colors.grey[500]} />
+                  </View>
+                  <View style={styles.optionInfo}>
+                    <Text style={styles.optionLabel}>Unassigned</Text>
+                    <Text style={styles.optionSubtitle}>Remove current assignment</Text>
+                  </View>
+                </TouchableOpacity>
+              )}
+              ListEmptyComponent={renderMembersEmpty}
+              showsVerticalScrollIndicator={false}
+            />
+          ) : (
+            <FlatList
+              data={BULK_STATUS_OPTIONS}
+              renderItem={renderStatus}
+              keyExtractor={(item) => item.value}
+              contentContainerStyle={styles.list}
+              showsVerticalScrollIndicator={false}
+            />
+          )}
+        </View>
+      </TouchableOpacity>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: colors.common.white,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingBottom: 34,
+    maxHeight: '80%',
+  },
+  handle: {
+    width: 40,
+    height: 4,
+    backgroundColor: colors.grey[300],
+    borderRadius: 2,
+    alignSelf: 'center',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: colors.text.primary,
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+  list: {
+    paddingHorizontal: 16,
+  },
+  optionItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 4,
+    gap: 12,
+  },
+  statusIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  unassignedAvatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: colors.grey[100],
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  memberAvatarLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  optionInfo: {
+    flex: 1,
+  },
+  optionLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  optionSubtitle: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  emptyContainer: {
+    paddingVertical: 40,
+    alignItems: 'center',
+  },
+  emptyText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: colors.text.secondary,
+  },
+});
+
+export default BulkChatOptionsSheet;
@@ -22,8 +22,9 @@ import TemplatePickerDialog from './TemplatePickerDialog';
 import TemplatePreviewDialog from './TemplatePreviewDialog';
 import VoiceRecorder from './VoiceRecorder';
 import StopAiAssistantDialog from './StopAiAssistantDialog';
+import ScheduleTimePicker, { formatScheduleTime } from './ScheduleTimePicker';
 import { CustomDialog } from '../common';
-import { MessageStatus, formatWhatsAppMessage, getTimeLeftDisplay } from '../../utils/messageHelpers';
+import { MessageStatus, formatWhatsAppMessage, getTimeLeftDisplay, getReplyContextId, getMessagePreview, isOutgoingMessage } from '../../utils/messageHelpers';
 
 /**
  * ChatInput Component
@@ -49,6 +50,9 @@ const ChatInput = ({
   aiAssistantStatus = false,
   isIntervened = false,
   lastActiveTime,
+  // Saved composer draft to restore, and a callback for composer changes
+  draft,
+  onDraftChange,
 }) => {
   // State
   const [message, setMessage] = useState('');
@@ -61,6 +65,10 @@ const ChatInput = ({
   const [showFormattingToolbar, setShowFormattingToolbar] = useState(false);
   const [showAttachmentOptions, setShowAttachmentOptions] = useState(false);
 
+  // Scheduled send time for the next message/template (null = send now)
+  const [scheduledAt, setScheduledAt] = useState(null);
+  const [showSchedulePicker, setShowSchedulePicker] = useState(false);
+
   // Text formatting state
   const [isBold, setIsBold] = useState(false);
   const [isItalic, setIsItalic] = useState(false);
@@ -114,6 +122,25 @@ const ChatInput = ({
   // chatInputDisabled only disables the text input for audio files, not the send button
   const canSend = (hasText || hasFile) && !disabled && !isSending;
 
+  // Restore a saved draft (set by the parent once it has loaded it)
+  useEffect(() => {
+    if (!draft) return;
+    setMessage(draft.text || '');
+    setFilePreview(draft.file || null);
+    setIsBold(!!draft.formatting?.isBold);
+    setIsItalic(!!draft.formatting?.isItalic);
+    setIsStrikethrough(!!draft.formatting?.isStrikethrough);
+  }, [draft]);
+
+  // Report composer changes so the parent can persist the draft
+  useEffect(() => {
+    onDraftChange?.({
+      text: message,
+      file: filePreview,
+      formatting: { isBold, isItalic, isStrikethrough },
+    });
+  }, [message, filePreview, isBold, isItalic, isStrikethrough]);
+
   // Disable input for audio files
   useEffect(() => {
     if (filePreview?.fileType === 'audio') {
@@ -156,9 +183,10 @@ const ChatInput = ({
     const messageData = {
       text: formattedMessage,
       file: filePreview,
-      replyTo: replyingTo?.wamid || replyingTo?._id,
+      replyTo: getReplyContextId(replyingTo),
       // Include formatting flags for reference
       formatting: { isBold, isItalic, isStrikethrough },
+      scheduledAt,
     };
 
     // Log:('[ChatInput] Calling onSendMessage with:', messageData);
@@ -171,8 +199,9 @@ const ChatInput = ({
     setIsBold(false);
     setIsItalic(false);
     setIsStrikethrough(false);
+    setScheduledAt(null);
     Keyboard.dismiss();
-  }, [canSend, message, filePreview, replyingTo, isBold, isItalic, isStrikethrough, onSendMessage, sendButtonScale]);
+  }, [canSend, message, filePreview, replyingTo, isBold, isItalic, isStrikethrough, scheduledAt, onSendMessage, sendButtonScale]);
 
   // Handle text change with quick replies trigger
   const handleChangeText = useCallback((text) => {
@@ -271,6 +300,7 @@ const ChatInput = ({
       row: actualTemplate,
       // Include the full media object for easier access
       media,
+      scheduledAt,
     };
 
     // For media templates, also flatten file information for convenience
@@ -318,7 +348,20 @@ const ChatInput = ({
     onSendTemplate?.(templatePayload);
     setShowTemplatePreview(false);
     setSelectedTemplate(null);
-  }, [onSendTemplate]);
+    setScheduledAt(null);
+  }, [onSendTemplate, scheduledAt]);
+
+  // Open the schedule picker (send button long-press / attachment sheet)
+  const handleOpenSchedulePicker = useCallback(() => {
+    setShowAttachmentOptions(false);
+    Keyboard.dismiss();
+    setShowSchedulePicker(true);
+  }, []);
+
+  const handleScheduleConfirm = useCallback((time) => {
+    setScheduledAt(time);
+    setShowSchedulePicker(false);
+  }, []);
 
   // Handle intervene button press
   const handleIntervene = useCallback(() => {
@@ -611,7 +654,7 @@ const ChatInput = ({
           mimeType: recording.mimeType || 'audio/aac',
           fileSize: recording.fileSize, // Include file size for validation
         },
-        replyTo: replyingTo?.wamid || replyingTo?._id,
+        replyTo: getReplyContextId(replyingTo),
       };
 
       onSendMessage?.(messageData);
@@ -628,39 +671,18 @@ const ChatInput = ({
     setIsRecording(recording);
   }, []);
 
-  // Get reply preview text
-  const getReplyPreviewText = useMemo(() => {
-    if (!replyingTo) return '';
+  // Quoted preview for the message being replied to
+  const replyPreview = useMemo(() => {
+    if (!replyingTo) return null;
 
-    const type = replyingTo.type || 'text';
-    switch (type) {
-      case 'image':
-        return '📷 Photo';
-      case 'video':
-        return '🎥 Video';
-      case 'audio':
-        return '🎵 Voice message';
-      case 'document':
-        return '📄 Document';
-      case 'sticker':
-        return '🎨 Sticker';
-      case 'location':
-        return '📍 Location';
-      case 'contact':
-      case 'contacts':
-        return '👤 Contact';
-      case 'template':
-        return '📋 Template';
-      case 'interactive':
-        return '🔘 Interactive';
-      default:
-        const text = replyingTo.message?.body?.text ||
-                     replyingTo.message?.body ||
-                     replyingTo.text ||
-                     'Message';
-        return typeof text === 'string' ? text.substring(0, 60) : 'Message';
-    }
-  }, [replyingTo]);
+    const preview = getMessagePreview(replyingTo);
+    const text = typeof preview.text === 'string' ? preview.text : 'Message';
+    return {
+      icon: preview.icon,
+      text: text.length > 80 ? `${text.substring(0, 77)}...` : text,
+      author: isOutgoingMessage(replyingTo) ? 'You' : (chat?.contact?.name || 'Contact'),
+    };
+  }, [replyingTo, chat?.contact?.name]);
 
   // Get file icon based on type
   const getFileIcon = useCallback((type) => {
@@ -707,6 +729,30 @@ const ChatInput = ({
     textDecorationLine: isStrikethrough ? 'line-through' : 'none',
   }), [isBold, isItalic, isStrikethrough]);
 
+  // "Scheduled for ..." bar shown while a send time is picked
+  const scheduleBanner = scheduledAt ? (
+    <View style={styles.scheduleBanner}>
+      <Icon name="clock-outline" size={18} color={chatColors.primary} />
+      <TouchableOpacity style={styles.scheduleBannerContent} onPress={handleOpenSchedulePicker}>
+        <Text style={styles.scheduleBannerText} numberOfLines={1}>
+          Scheduled for {formatScheduleTime(scheduledAt)}
+        </Text>
+      </TouchableOpacity>
+      <TouchableOpacity onPress={() => setScheduledAt(null)} style={styles.cancelReplyButton}>
+        <Icon name="close" size={20} color={colors.grey[500]} />
+      </TouchableOpacity>
+    </View>
+  ) : null;
+
+  const schedulePicker = (
+    <ScheduleTimePicker
+      visible={showSchedulePicker}
+      initialTime={scheduledAt}
+      onConfirm={handleScheduleConfirm}
+      onClose={() => setShowSchedulePicker(false)}
+    />
+  );
+
   // Render Stop AI Assistant button
   if (showStopAiButton) {
     return (
@@ -783,6 +829,7 @@ const ChatInput = ({
   if (showSendTemplateOnly) {
     return (
       <View style={styles.container}>
+        {scheduleBanner}
         <View style={styles.actionButtonContainer}>
           <View style={styles.windowExpiredBanner}>
             <Icon name="clock-alert-outline" size={20} color={colors.warning.main} />
@@ -797,14 +844,22 @@ const ChatInput = ({
           >
             <Icon name="file-document-outline" size={22} color={chatColors.primary} />
             <Text style={[styles.actionButtonText, { color: chatColors.primary }]}>
-              Send Template
+              {scheduledAt ? 'Schedule Template' : 'Send Template'}
             </Text>
           </TouchableOpacity>
           <Text style={styles.templateHint}>
             You can only send approved templates outside the 24-hour window
           </Text>
+          {!scheduledAt && (
+            <TouchableOpacity style={styles.scheduleLink} onPress={handleOpenSchedulePicker}>
+              <Icon name="clock-outline" size={16} color={chatColors.primary} />
+              <Text style={styles.scheduleLinkText}>Schedule for later</Text>
+            </TouchableOpacity>
+          )}
         </View>
 
+        {schedulePicker}
+
         {/* Template Picker Dialog */}
         <TemplatePickerDialog
           visible={showTemplatePicker}
@@ -831,16 +886,23 @@ const ChatInput = ({
   // Render full chat input
   return (
     <View style={styles.container}>
+      {scheduleBanner}
+
       {/* Reply preview bar */}
-      {replyingTo && (
+      {replyPreview && (
         <View style={styles.replyPreview}>
           <View style={styles.replyContent}>
             <Text style={styles.replyTitle}>
-              {replyingTo.sentBy === 'user' ? 'You' : 'Replying to'}
-            </Text>
-            <Text style={styles.replyText} numberOfLines={1}>
-              {getReplyPreviewText}
+              {replyPreview.author}
             </Text>
+            <View style={styles.replyTextRow}>
+              {replyPreview.icon && (
+                <Icon name={replyPreview.icon} size={14} color={colors.text.secondary} style={styles.replyTextIcon} />
+              )}
+              <Text style={styles.replyText} numberOfLines={1}>
+                {replyPreview.text}
+              </Text>
+            </View>
           </View>
           <TouchableOpacity onPress={onCancelReply} style={styles.cancelReplyButton}>
             <Icon name="close" size={20} color={colors.grey[500]} />
@@ -992,10 +1054,11 @@ const ChatInput = ({
           <Animated.View style={{ transform: [{ scale: sendButtonScale }] }}>
             <TouchableOpacity
               onPress={handleSend}
+              onLongPress={handleOpenSchedulePicker}
               style={[styles.sendButton, styles.sendButtonActive]}
               disabled={!canSend || isSending}
             >
-              <Icon name="send" size={22} color={colors.common.white} />
+              <Icon name={scheduledAt ? 'clock-outline' : 'send'} size={22} color={colors.common.white} />
             </TouchableOpacity>
           </Animated.View>
         ) : (
@@ -1093,11 +1156,21 @@ const ChatInput = ({
                 </View>
                 <Text style={styles.attachmentLabel}>Audio</Text>
               </TouchableOpacity>
+
+              <TouchableOpacity style={styles.attachmentOption} onPress={handleOpenSchedulePicker}>
+                <View style={[styles.attachmentIcon, { backgroundColor: chatColors.primary + '15' }]}>
+                  <Icon name="clock-outline" size={26} color={chatColors.primary} />
+                </View>
+                <Text style={styles.attachmentLabel}>Schedule</Text>
+              </TouchableOpacity>
             </View>
           </View>
         </TouchableOpacity>
       </Modal>
 
+      {/* Schedule time picker */}
+      {schedulePicker}
+
       {/* Intervene Confirmation Dialog */}
       <CustomDialog
         visible={showInterveneDialog}
@@ -1236,10 +1309,18 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     color: chatColors.primary,
   },
+  replyTextRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 2,
+  },
+  replyTextIcon: {
+    marginRight: 4,
+  },
   replyText: {
+    flex: 1,
     fontSize: 13,
     color: colors.text.secondary,
-    marginTop: 2,
   },
   cancelReplyButton: {
     padding: 6,
@@ -1247,6 +1328,37 @@ const styles = StyleSheet.create({
   },
 
   // File preview styles
+  scheduleBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    marginHorizontal: 12,
+    marginTop: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 12,
+    gap: 8,
+  },
+  scheduleBannerContent: {
+    flex: 1,
+  },
+  scheduleBannerText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: chatColors.primary,
+  },
+  scheduleLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    marginTop: 10,
+  },
+  scheduleLinkText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: chatColors.primary,
+  },
   filePreview: {
     flexDirection: 'row',
     alignItems: 'center',
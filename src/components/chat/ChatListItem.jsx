@@ -4,6 +4,7 @@ import { Text, Badge } from 'react-native-paper';
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
 import { colors, chatColors, getAvatarColor } from '../../theme/colors';
 import { getMessageStatus } from '../../utils/messageHelpers';
+import { getSlaStatus, formatTimeToBreach, SLA_WARNING_MINUTES } from '../../utils/slaHelpers';
 
 // List of supported message types for inbox preview
 const SUPPORTED_MESSAGE_TYPES = [
@@ -12,7 +13,15 @@ const SUPPORTED_MESSAGE_TYPES = [
   'order', 'contacts', 'contact', 'reaction', 'system'
 ];
 
-const ChatListItem = ({ chat, onPress, isSelected }) => {
+// Icons for draft attachments (same as the last-message preview icons)
+const DRAFT_FILE_ICONS = {
+  image: 'image-outline',
+  video: 'video-outline',
+  audio: 'microphone-outline',
+  document: 'file-document-outline',
+};
+
+const ChatListItem = ({ chat, draft, onPress, onLongPress, isSelected, isChecked = false, sla, now }) => {
   const contact = chat?.contact || {};
   const contactName = contact.name || contact.phoneNumber || 'Unknown';
   const phoneNumber = contact.phoneNumber || '';
@@ -117,7 +126,21 @@ const ChatListItem = ({ chat, onPress, isSelected }) => {
     }
   };
 
-  const messagePreview = getDisplayMessage();
+  // Unsent composer draft - shown instead of the last message, like WhatsApp
+  const getDraftPreview = () => {
+    if (!draft) return null;
+    const text = draft.text?.trim();
+    if (draft.file) {
+      return {
+        icon: DRAFT_FILE_ICONS[draft.file.fileType] || DRAFT_FILE_ICONS.document,
+        text: text || draft.file.fileName || 'Attachment',
+      };
+    }
+    return { icon: null, text: text || 'Reply' };
+  };
+
+  const draftPreview = getDraftPreview();
+  const messagePreview = draftPreview || getDisplayMessage();
 
   // Get message status icon - use status field directly like web app
   const getStatusIcon = () => {
@@ -144,19 +167,35 @@ const ChatListItem = ({ chat, onPress, isSelected }) => {
     }
   };
 
-  const statusIcon = getStatusIcon();
+  const statusIcon = draftPreview ? null : getStatusIcon();
+
+  // SLA countdown for chats waiting on a reply (only when the parent passes an SLA)
+  const slaStatus = sla ? getSlaStatus(chat, sla, now) : null;
+  const isSlaDueSoon = slaStatus && !slaStatus.isBreached && slaStatus.remainingMs <= SLA_WARNING_MINUTES * 60000;
   const avatarColor = getAvatarColor(contactName);
   const timestamp = lastMessage?.timestamp || lastMessage?.createdAt || chat?.lastMessageTime || chat?.updatedAt;
 
   return (
     <TouchableOpacity
       onPress={() => onPress?.(chat)}
-      style={[styles.container, isSelected && styles.selectedContainer]}
+      onLongPress={onLongPress ? () => onLongPress(chat) : undefined}
+      delayLongPress={300}
+      style={[
+        styles.container,
+        isSelected && styles.selectedContainer,
+        isChecked && styles.checkedContainer,
+      ]}
       activeOpacity={0.7}
     >
       {/* Avatar */}
       <View style={[styles.avatar, { backgroundColor: avatarColor }]}>
         <Text style={styles.avatarText}>{getInitials(contactName)}</Text>
+        {/* Multi-select check mark */}
+        {isChecked && (
+          <View style={styles.checkBadge}>
+            <Icon name="check" size={14} color={colors.common.white} />
+          </View>
+        )}
       </View>
 
       {/* Content */}
@@ -186,6 +225,9 @@ const ChatListItem = ({ chat, onPress, isSelected }) => {
                 style={styles.statusIcon}
               />
             )}
+            {draftPreview && (
+              <Text style={styles.draftLabel}>Draft: </Text>
+            )}
             {/* Message type icon */}
             {messagePreview.icon && (
               <Icon
@@ -203,6 +245,32 @@ const ChatListItem = ({ chat, onPress, isSelected }) => {
             </Text>
           </View>
 
+          {/* SLA time to breach */}
+          {slaStatus && (
+            <View
+              style={[
+                styles.slaBadge,
+                isSlaDueSoon && styles.slaBadgeDueSoon,
+                slaStatus.isBreached && styles.slaBadgeBreached,
+              ]}
+            >
+              <Icon
+                name={slaStatus.isBreached ? 'timer-alert-outline' : 'timer-sand'}
+                size={12}
+                color={slaStatus.isBreached ? colors.error.main : isSlaDueSoon ? colors.warning.dark : colors.text.secondary}
+              />
+              <Text
+                style={[
+                  styles.slaText,
+                  isSlaDueSoon && styles.slaTextDueSoon,
+                  slaStatus.isBreached && styles.slaTextBreached,
+                ]}
+              >
+                {formatTimeToBreach(slaStatus.remainingMs)}
+              </Text>
+            </View>
+          )}
+
           {/* Unread badge */}
           {unreadCount > 0 && (
             <Badge style={styles.unreadBadge} size={20}>
@@ -226,6 +294,9 @@ const styles = StyleSheet.create({
   selectedContainer: {
     backgroundColor: '#F0F2F5',
   },
+  checkedContainer: {
+    backgroundColor: `${chatColors.primary}15`,
+  },
   avatar: {
     width: 55,
     height: 55,
@@ -234,6 +305,19 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginRight: 14,
   },
+  checkBadge: {
+    position: 'absolute',
+    right: -2,
+    bottom: -2,
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    backgroundColor: chatColors.accent,
+    borderWidth: 2,
+    borderColor: colors.common.white,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
   avatarText: {
     color: colors.common.white,
     fontSize: 20,
@@ -301,6 +385,15 @@ const styles = StyleSheet.create({
   typeIcon: {
     marginRight: 4,
   },
+  draftLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: chatColors.primary,
+    ...Platform.select({
+      android: { includeFontPadding: false },
+      ios: {},
+    }),
+  },
   messagePreview: {
     fontSize: 14,
     fontWeight: '400',
@@ -315,6 +408,33 @@ const styles = StyleSheet.create({
     color: colors.text.primary,
     fontWeight: '400',
   },
+  slaBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 8,
+    backgroundColor: colors.grey[100],
+    marginRight: 6,
+    gap: 3,
+  },
+  slaBadgeDueSoon: {
+    backgroundColor: colors.warning.lighter,
+  },
+  slaBadgeBreached: {
+    backgroundColor: colors.error.lighter,
+  },
+  slaText: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  slaTextDueSoon: {
+    color: colors.warning.dark,
+  },
+  slaTextBreached: {
+    color: colors.error.main,
+  },
   unreadBadge: {
     backgroundColor: chatColors.unreadBadge,
     color: colors.common.white,
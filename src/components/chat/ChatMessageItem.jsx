@@ -101,6 +101,7 @@ const ChatMessageItem = ({
   onSwipeReply,
   scrollToMessage,
   originalMessage, // The message being replied to (for reply preview)
+  highlightQuery, // In-conversation search term to highlight
 }) => {
   // Get assistants and flows from Redux for sender name lookup
   const assistants = useSelector((state) => state.assistant?.assistants || []);
@@ -273,7 +274,7 @@ const ChatMessageItem = ({
 
     switch (messageType) {
       case 'text':
-        return <TextMessage message={message} isOutgoing={isOutgoing} />;
+        return <TextMessage message={message} isOutgoing={isOutgoing} highlightQuery={highlightQuery} />;
 
       case 'image':
         return (
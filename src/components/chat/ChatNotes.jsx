@@ -21,7 +21,7 @@ import {
   deleteChatNote,
 } from '../../redux/slices/inboxSlice';
 import { format } from 'date-fns';
-import { showError } from '../../utils/toast';
+import { showError, showInfo } from '../../utils/toast';
 
 const ChatNotes = ({ visible, onClose, chatId }) => {
   const dispatch = useDispatch();
@@ -49,8 +49,11 @@ const ChatNotes = ({ visible, onClose, chatId }) => {
     if (!newNote.trim() || isAdding) return;
 
     try {
-      await dispatch(addChatNote({ chatId, note: newNote.trim() })).unwrap();
+      const result = await dispatch(addChatNote({ chatId, note: newNote.trim() })).unwrap();
       setNewNote('');
+      if (result?.queued) {
+        showInfo('Note saved. Will sync when connected.');
+      }
     } catch (error) {
       showError(error || 'Failed to add note');
     }
@@ -108,6 +111,7 @@ const ChatNotes = ({ visible, onClose, chatId }) => {
       <Text style={styles.noteText}>{item.note || item.text}</Text>
       <Text style={styles.noteDate}>
         {formatDate(item.createdAt || item.timestamp)}
+        {item.isPending ? ' · Waiting to sync' : ''}
       </Text>
     </View>
   );
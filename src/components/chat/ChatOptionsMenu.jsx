@@ -11,7 +11,7 @@ import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
 import { useDispatch, useSelector } from 'react-redux';
 import { useNavigation } from '@react-navigation/native';
 import { colors, chatColors, getAvatarColor } from '../../theme/colors';
-import { showError, showSuccess } from '../../utils/toast';
+import { showError, showSuccess, showInfo } from '../../utils/toast';
 import { CustomDialog } from '../common';
 import {
   deleteChat,
@@ -51,10 +51,13 @@ const ChatOptionsMenu = ({
   // Handle mute/unmute
   const handleToggleMute = useCallback(async () => {
     try {
-      await dispatch(toggleChatNotifications({
+      const result = await dispatch(toggleChatNotifications({
         chatId,
         hideNotification: !isMuted,
       })).unwrap();
+      if (result?.queued) {
+        showInfo('Change saved. Will sync when connected.');
+      }
       onClose();
     } catch (error) {
       showError(error || 'Failed to update notification settings');
@@ -110,7 +113,7 @@ const ChatOptionsMenu = ({
         hideNotification: chat?.hideNotification || false,
       })).unwrap();
 
-      if (result.status === 'success' || result.response?.status === 'success') {
+      if (result.queued || result.status === 'success' || result.response?.status === 'success') {
         // Update the chat in the list
         dispatch(updateChatInList({
           _id: chatId,
@@ -118,9 +121,13 @@ const ChatOptionsMenu = ({
         }));
         setShowAssignModal(false);
         onClose();
-        showSuccess(member === 'none'
-          ? 'Chat owner removed'
-          : `Chat assigned to ${member.name}`, 'Success');
+        if (result.queued) {
+          showInfo('Change saved. Will sync when connected.');
+        } else {
+          showSuccess(member === 'none'
+            ? 'Chat owner removed'
+            : `Chat assigned to ${member.name}`, 'Success');
+        }
       } else {
         showError(result.message || 'Failed to assign chat');
       }
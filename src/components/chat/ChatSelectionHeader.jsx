@@ -0,0 +1,147 @@
+import React from 'react';
+import { View, StyleSheet, TouchableOpacity, StatusBar } from 'react-native';
+import { Text, IconButton, ActivityIndicator } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { colors, chatColors } from '../../theme/colors';
+import { ProgressBar } from '../common';
+
+/**
+ * ChatSelectionHeader Component
+ * Replaces the inbox header while chats are multi-selected.
+ * Shows the selection count, bulk action buttons and, while a bulk action
+ * runs, its progress.
+ */
+const ChatSelectionHeader = ({
+  selectedCount,
+  totalCount,
+  allMuted = false,
+  progress,
+  onClose,
+  onSelectAll,
+  onMarkRead,
+  onAssign,
+  onChangeStatus,
+  onToggleMute,
+  onDelete,
+}) => {
+  const insets = useSafeAreaInsets();
+  const isRunning = !!progress;
+  const allSelected = totalCount > 0 && selectedCount >= totalCount;
+
+  const actions = [
+    { icon: 'email-open-outline', onPress: onMarkRead },
+    { icon: 'account-arrow-right-outline', onPress: onAssign },
+    { icon: 'list-status', onPress: onChangeStatus },
+    { icon: allMuted ? 'bell-outline' : 'bell-off-outline', onPress: onToggleMute },
+    { icon: 'delete-outline', onPress: onDelete },
+  ];
+
+  return (
+    <View style={[styles.container, { paddingTop: insets.top }]}>
+      <StatusBar barStyle="light-content" backgroundColor={chatColors.headerBg} />
+
+      <View style={styles.headerContent}>
+        <TouchableOpacity onPress={onClose} style={styles.closeButton} disabled={isRunning}>
+          <Icon name="close" size={24} color={colors.common.white} />
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.countContainer}
+          onPress={onSelectAll}
+          disabled={isRunning || allSelected}
+        >
+          <Text style={styles.count}>{selectedCount}</Text>
+          {!allSelected && !isRunning && (
+            <Text style={styles.selectAll}>Select all</Text>
+          )}
+        </TouchableOpacity>
+
+        <View style={styles.actions}>
+          {actions.map((action) => (
+            <IconButton
+              key={action.icon}
+              icon={action.icon}
+              iconColor={colors.common.white}
+              size={22}
+              onPress={action.onPress}
+              disabled={isRunning}
+              style={styles.actionButton}
+            />
+          ))}
+        </View>
+      </View>
+
+      {isRunning && (
+        <View style={styles.progressContainer}>
+          <View style={styles.progressRow}>
+            <ActivityIndicator size={12} color={colors.common.white} />
+            <Text style={styles.progressText}>
+              {progress.label} {Math.min(progress.done + 1, progress.total)} of {progress.total}...
+            </Text>
+          </View>
+          <ProgressBar
+            percentage={(progress.done / progress.total) * 100}
+            showLabel={false}
+            color={chatColors.accent}
+            height={3}
+          />
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: chatColors.headerBg,
+  },
+  headerContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingLeft: 16,
+    paddingRight: 4,
+    paddingVertical: 10,
+    minHeight: 56,
+  },
+  closeButton: {
+    padding: 8,
+    marginRight: 8,
+  },
+  countContainer: {
+    flex: 1,
+  },
+  count: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.common.white,
+  },
+  selectAll: {
+    fontSize: 12,
+    color: 'rgba(255, 255, 255, 0.8)',
+    marginTop: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  actionButton: {
+    margin: 0,
+  },
+  progressContainer: {
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+    gap: 6,
+  },
+  progressRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  progressText: {
+    fontSize: 12,
+    color: 'rgba(255, 255, 255, 0.9)',
+  },
+});
+
+export default ChatSelectionHeader;
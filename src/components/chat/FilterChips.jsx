@@ -8,9 +8,13 @@ const FILTERS = [
   { id: 'all', label: 'All', icon: 'message-text-outline' },
   { id: 'unread', label: 'Unread', icon: 'email-outline' },
   { id: 'assigned_to_me', label: 'Assigned to me', icon: 'account-check-outline' },
+  { id: 'sla_breached', label: 'SLA breached', icon: 'timer-alert-outline' },
 ];
 
-const FilterChips = ({ activeFilter, onFilterChange, unreadCount = 0 }) => {
+const FilterChips = ({ activeFilter, onFilterChange, unreadCount = 0, slaBreachedCount = 0, showSlaFilter = false }) => {
+  // The SLA filter only makes sense once an SLA is configured
+  const filters = showSlaFilter ? FILTERS : FILTERS.filter((filter) => filter.id !== 'sla_breached');
+
   return (
     <View style={styles.container}>
       <ScrollView
@@ -18,9 +22,10 @@ const FilterChips = ({ activeFilter, onFilterChange, unreadCount = 0 }) => {
         showsHorizontalScrollIndicator={false}
         contentContainerStyle={styles.scrollContent}
       >
-        {FILTERS.map((filter) => {
+        {filters.map((filter) => {
           const isActive = activeFilter === filter.id;
-          const showBadge = filter.id === 'unread' && unreadCount > 0;
+          const badgeCount = filter.id === 'unread' ? unreadCount : filter.id === 'sla_breached' ? slaBreachedCount : 0;
+          const showBadge = badgeCount > 0;
 
           return (
             <TouchableOpacity
@@ -40,9 +45,15 @@ const FilterChips = ({ activeFilter, onFilterChange, unreadCount = 0 }) => {
                 {filter.label}
               </Text>
               {showBadge && (
-                <View style={[styles.badge, isActive && styles.badgeActive]}>
+                <View
+                  style={[
+                    styles.badge,
+                    filter.id === 'sla_breached' && styles.badgeAlert,
+                    isActive && styles.badgeActive,
+                  ]}
+                >
                   <Text style={[styles.badgeText, isActive && styles.badgeTextActive]}>
-                    {unreadCount > 99 ? '99+' : unreadCount}
+                    {badgeCount > 99 ? '99+' : badgeCount}
                   </Text>
                 </View>
               )}
@@ -95,6 +106,9 @@ const styles = StyleSheet.create({
     paddingHorizontal: 5,
     marginLeft: 2,
   },
+  badgeAlert: {
+    backgroundColor: colors.error.main,
+  },
   badgeActive: {
     backgroundColor: colors.common.white,
   },
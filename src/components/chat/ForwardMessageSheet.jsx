@@ -0,0 +1,381 @@
+import React, { useState, useMemo, useCallback, useEffect } from 'react';
+import {
+  View,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  FlatList,
+  TextInput,
+} from 'react-native';
+import { Text, ActivityIndicator } from 'react-native-paper';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useSelector } from 'react-redux';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { colors, chatColors, getAvatarColor } from '../../theme/colors';
+import { getMessagePreview } from '../../utils/messageHelpers';
+import { showSuccess, showInfo, showError } from '../../utils/toast';
+import { forwardMessage, requiresOpenWindow, isChatWindowOpen } from '../../services/forwardService';
+
+const getContactName = (chat) => chat?.contact?.name || chat?.contact?.phoneNumber || 'Unknown';
+
+/**
+ * ForwardMessageSheet Component
+ * Picks one or more cached chats and re-sends a message to them.
+ * Chats outside the 24-hour window can't receive free-form messages; they are
+ * listed afterwards with a shortcut to open the chat and send a template.
+ */
+const ForwardMessageSheet = ({ visible, onClose, message, onOpenChat }) => {
+  const insets = useSafeAreaInsets();
+  const chats = useSelector((state) => state.inbox.chats);
+
+  const [searchQuery, setSearchQuery] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isForwarding, setIsForwarding] = useState(false);
+  // Chats skipped because their window is closed (shown after forwarding)
+  const [windowClosedChats, setWindowClosedChats] = useState([]);
+
+  const needsWindow = requiresOpenWindow(message);
+  const preview = useMemo(() => getMessagePreview(message), [message]);
+
+  // Reset when opened for a new message
+  useEffect(() => {
+    if (visible) {
+      setSearchQuery('');
+      setSelectedIds([]);
+      setWindowClosedChats([]);
+      setIsForwarding(false);
+    }
+  }, [visible, message]);
+
+  const filteredChats = useMemo(() => {
+    const query = searchQuery.trim().toLowerCase();
+    if (!query) return chats;
+    return chats.filter((chat) => {
+      const name = (chat.contact?.name || '').toLowerCase();
+      const phone = chat.contact?.phoneNumber || chat.contact?.mobile || '';
+      return name.includes(query) || phone.includes(query);
+    });
+  }, [chats, searchQuery]);
+
+  const toggleChat = useCallback((chatId) => {
+    setSelectedIds((prev) => (
+      prev.includes(chatId) ? prev.filter((id) => id !== chatId) : [...prev, chatId]
+    ));
+  }, []);
+
+  const handleForward = useCallback(async () => {
+    if (!message || selectedIds.length === 0 || isForwarding) return;
+
+    setIsForwarding(true);
+    const targets = chats.filter((chat) => selectedIds.includes(chat._id));
+    const result = await forwardMessage(message, targets);
+    setIsForwarding(false);
+
+    const delivered = result.sent.length + result.queued.length;
+    if (delivered > 0) {
+      showSuccess(`Forwarded to ${delivered} ${delivered === 1 ? 'chat' : 'chats'}`);
+    }
+    if (result.queued.length > 0) {
+      showInfo('Some messages are queued and will send when connected.');
+    }
+    if (result.failed.length > 0) {
+      showError(
+        result.failed.map(({ chat, error }) => `${getContactName(chat)}: ${error}`).join('\n'),
+        'Forward failed'
+      );
+    }
+
+    if (result.windowClosed.length > 0) {
+      setWindowClosedChats(result.windowClosed);
+      setSelectedIds([]);
+    } else {
+      onClose();
+    }
+  }, [message, selectedIds, isForwarding, chats, onClose]);
+
+  const handleOpenChat = useCallback((chat) => {
+    onClose();
+    onOpenChat?.(chat);
+  }, [onClose, onOpenChat]);
+
+  const renderChat = useCallback(({ item }) => {
+    const name = getContactName(item);
+    const isSelected = selectedIds.includes(item._id);
+    const windowClosed = needsWindow && !isChatWindowOpen(item);
+
+    return (
+      <TouchableOpacity style={styles.chatRow} onPress={() => toggleChat(item._id)} activeOpacity={0.7}>
+        <View style={[styles.avatar, { backgroundColor: getAvatarColor(name) }]}>
+          <Text style={styles.avatarText}>{name.trim().charAt(0).toUpperCase() || 'U'}</Text>
+        </View>
+        <View style={styles.chatInfo}>
+          <Text style={styles.chatName} numberOfLines={1}>{name}</Text>
+          <Text style={[styles.chatMeta, windowClosed && styles.chatMetaWarning]} numberOfLines={1}>
+            {windowClosed ? '24-hour window closed · template only' : (item.contact?.phoneNumber || '')}
+          </Text>
+        </View>
+        <Icon
+          name={isSelected ? 'checkbox-marked-circle' : 'checkbox-blank-circle-outline'}
+          size={24}
+          color={isSelected ? chatColors.primary : colors.grey[400]}
+        />
+      </TouchableOpacity>
+    );
+  }, [selectedIds, needsWindow, toggleChat]);
+
+  const renderWindowClosedChat = useCallback(({ item }) => {
+    const name = getContactName(item);
+    return (
+      <View style={styles.chatRow}>
+        <View style={[styles.avatar, { backgroundColor: getAvatarColor(name) }]}>
+          <Text style={styles.avatarText}>{name.trim().charAt(0).toUpperCase() || 'U'}</Text>
+        </View>
+        <View style={styles.chatInfo}>
+          <Text style={styles.chatName} numberOfLines={1}>{name}</Text>
+        </View>
+        <TouchableOpacity style={styles.templateButton} onPress={() => handleOpenChat(item)}>
+          <Icon name="file-document-outline" size={16} color={chatColors.primary} />
+          <Text style={styles.templateButtonText}>Send template</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }, [handleOpenChat]);
+
+  if (!visible) return null;
+
+  const showingWindowClosed = windowClosedChats.length > 0;
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={[styles.container, { paddingTop: insets.top }]}>
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} style={styles.headerButton}>
+            <Icon name="close" size={24} color={colors.common.white} />
+          </TouchableOpacity>
+          <View style={styles.headerInfo}>
+            <Text style={styles.headerTitle}>
+              {showingWindowClosed ? 'Template required' : 'Forward to...'}
+            </Text>
+            {!showingWindowClosed && selectedIds.length > 0 && (
+              <Text style={styles.headerSubtitle}>{selectedIds.length} selected</Text>
+            )}
+          </View>
+        </View>
+
+        {/* Message being forwarded */}
+        <View style={styles.messagePreview}>
+          {preview.icon && <Icon name={preview.icon} size={16} color={colors.text.secondary} />}
+          <Text style={styles.messagePreviewText} numberOfLines={2}>{preview.text}</Text>
+        </View>
+
+        {showingWindowClosed ? (
+          <>
+            <Text style={styles.windowNotice}>
+              These chats are outside the 24-hour window, so WhatsApp only accepts a template message.
+            </Text>
+            <FlatList
+              data={windowClosedChats}
+              renderItem={renderWindowClosedChat}
+              keyExtractor={(item) => item._id}
+            />
+          </>
+        ) : (
+          <>
+            <View style={styles.searchContainer}>
+              <Icon name="magnify" size={20} color={colors.grey[500]} />
+              <TextInput
+                style={styles.searchInput}
+                value={searchQuery}
+                onChangeText={setSearchQuery}
+                placeholder="Search chats..."
+                placeholderTextColor={colors.grey[500]}
+              />
+              {searchQuery.length > 0 && (
+                <TouchableOpacity onPress={() => setSearchQuery('')}>
+                  <Icon name="close-circle" size={18} color={colors.grey[500]} />
+                </TouchableOpacity>
+              )}
+            </View>
+
+            <FlatList
+              data={filteredChats}
+              renderItem={renderChat}
+              keyExtractor={(item) => item._id}
+              extraData={selectedIds}
+              keyboardShouldPersistTaps="handled"
+              ListEmptyComponent={(
+                <Text style={styles.emptyText}>No chats found</Text>
+              )}
+            />
+
+            {selectedIds.length > 0 && (
+              <View style={[styles.footer, { paddingBottom: insets.bottom + 12 }]}>
+                <TouchableOpacity
+                  style={styles.forwardButton}
+                  onPress={handleForward}
+                  disabled={isForwarding}
+                >
+                  {isForwarding ? (
+                    <ActivityIndicator size="small" color={colors.common.white} />
+                  ) : (
+                    <>
+                      <Icon name="send" size={18} color={colors.common.white} />
+                      <Text style={styles.forwardButtonText}>
+                        Forward to {selectedIds.length} {selectedIds.length === 1 ? 'chat' : 'chats'}
+                      </Text>
+                    </>
+                  )}
+                </TouchableOpacity>
+              </View>
+            )}
+          </>
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.common.white,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: chatColors.headerBg,
+    paddingVertical: 8,
+    paddingHorizontal: 4,
+  },
+  headerButton: {
+    padding: 10,
+  },
+  headerInfo: {
+    flex: 1,
+    marginLeft: 4,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.common.white,
+  },
+  headerSubtitle: {
+    fontSize: 13,
+    color: 'rgba(255, 255, 255, 0.85)',
+  },
+  messagePreview: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    margin: 12,
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: colors.grey[200],
+  },
+  messagePreviewText: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.text.secondary,
+  },
+  searchContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 12,
+    marginBottom: 8,
+    paddingHorizontal: 12,
+    borderRadius: 20,
+    backgroundColor: colors.grey[200],
+    gap: 8,
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: 8,
+    fontSize: 15,
+    color: colors.text.primary,
+  },
+  chatRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  avatar: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  avatarText: {
+    color: colors.common.white,
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  chatInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  chatName: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: colors.text.primary,
+  },
+  chatMeta: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  chatMetaWarning: {
+    color: colors.warning.dark,
+  },
+  windowNotice: {
+    fontSize: 14,
+    color: colors.text.secondary,
+    marginHorizontal: 16,
+    marginBottom: 8,
+  },
+  templateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: chatColors.primary,
+  },
+  templateButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: chatColors.primary,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: colors.text.secondary,
+    marginTop: 32,
+  },
+  footer: {
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    borderTopWidth: 0.5,
+    borderTopColor: 'rgba(0,0,0,0.08)',
+  },
+  forwardButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: chatColors.primary,
+    paddingVertical: 14,
+    borderRadius: 24,
+  },
+  forwardButtonText: {
+    color: colors.common.white,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default ForwardMessageSheet;
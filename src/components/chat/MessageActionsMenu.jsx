@@ -5,13 +5,13 @@ import {
   Modal,
   TouchableOpacity,
   Clipboard,
-  Share,
 } from 'react-native';
 import { Text } from 'react-native-paper';
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
 import { colors } from '../../theme/colors';
-import { getMessageText, getMessageCaption } from '../../utils/messageHelpers';
+import { getMessageText, getMessageCaption, getReplyContextId } from '../../utils/messageHelpers';
 import { toastActions, showWarning } from '../../utils/toast';
+import { canForwardMessage } from '../../services/forwardService';
 
 const REACTION_EMOJIS = ['❤️', '👍', '👎', '😂', '😮', '😢'];
 
@@ -19,6 +19,7 @@ const MessageActionsMenu = ({
   visible,
   onClose,
   message,
+  onReply,
   onForward,
   onReaction,
 }) => {
@@ -43,21 +44,17 @@ const MessageActionsMenu = ({
     }
   }, [getTextToCopy, onClose]);
 
-  // Handle forward
-  const handleForward = useCallback(async () => {
-    const text = getTextToCopy();
-    if (text) {
-      try {
-        await Share.share({
-          message: text,
-        });
-      } catch (error) {
-        // Error:('Error sharing:', error);
-      }
-    }
+  // Handle forward (opens the in-app chat picker)
+  const handleForward = useCallback(() => {
+    onClose();
     onForward?.(message);
+  }, [message, onForward, onClose]);
+
+  // Handle reply (quote this message in the composer)
+  const handleReply = useCallback(() => {
+    onReply?.(message);
     onClose();
-  }, [message, getTextToCopy, onForward, onClose]);
+  }, [message, onReply, onClose]);
 
   // Handle reaction selection
   const handleReactionSelect = useCallback((emoji) => {
@@ -65,19 +62,28 @@ const MessageActionsMenu = ({
     onClose();
   }, [message, onReaction, onClose]);
 
+  // Only messages that reached WhatsApp have an id a reply can reference
+  const canReply = Boolean(onReply && getReplyContextId(message));
+
   const actions = [
+    ...(canReply ? [{
+      icon: 'reply',
+      label: 'Reply',
+      onPress: handleReply,
+      color: colors.primary.main,
+    }] : []),
     {
       icon: 'content-copy',
       label: 'Copy',
       onPress: handleCopy,
       color: colors.grey[700],
     },
-    {
-      icon: 'share-variant',
+    ...(onForward && canForwardMessage(message) ? [{
+      icon: 'share',
       label: 'Forward',
       onPress: handleForward,
       color: colors.success.main,
-    },
+    }] : []),
   ];
 
   if (!visible) return null;
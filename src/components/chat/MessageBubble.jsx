@@ -32,9 +32,10 @@ import {
   getSenderInfo,
   getSystemMessageLabel,
   isMediaDownloaded,
+  getHighlightSegments,
 } from '../../utils/messageHelpers';
 
-const MessageBubble = ({ message, originalMessage, onImagePress, onVideoPress, onReplyPress, onLongPress, onContactPress, onMediaDownload, downloadState }) => {
+const MessageBubble = ({ message, originalMessage, onImagePress, onVideoPress, onReplyPress, onLongPress, onContactPress, onMediaDownload, downloadState, highlightQuery }) => {
   const [imageError, setImageError] = useState(false);
   const [videoError, setVideoError] = useState(false);
 
@@ -234,6 +235,16 @@ const MessageBubble = ({ message, originalMessage, onImagePress, onVideoPress, o
     );
   };
 
+  // Wrap in-conversation search matches in a highlighted span
+  const renderHighlighted = (text) => {
+    if (!highlightQuery || !text) return text;
+    return getHighlightSegments(text, highlightQuery).map((segment, index) => (
+      segment.match
+        ? <Text key={index} style={styles.searchMatch}>{segment.text}</Text>
+        : segment.text
+    ));
+  };
+
   // Render text message
   const renderTextMessage = () => {
     const text = messageText || 'Message';
@@ -249,7 +260,7 @@ const MessageBubble = ({ message, originalMessage, onImagePress, onVideoPress, o
           isOutgoing && styles.outgoingText,
         ]}
       >
-        {text}
+        {renderHighlighted(text)}
       </Text>
     );
   };
@@ -312,7 +323,7 @@ const MessageBubble = ({ message, originalMessage, onImagePress, onVideoPress, o
             </View>
           </TouchableOpacity>
           {caption ? (
-            <Text style={[styles.caption, isOutgoing && styles.outgoingText]}>{caption}</Text>
+            <Text style={[styles.caption, isOutgoing && styles.outgoingText]}>{renderHighlighted(caption)}</Text>
           ) : null}
         </View>
       );
@@ -336,7 +347,7 @@ const MessageBubble = ({ message, originalMessage, onImagePress, onVideoPress, o
             </View>
           </View>
           {caption ? (
-            <Text style={[styles.caption, isOutgoing && styles.outgoingText]}>{caption}</Text>
+            <Text style={[styles.caption, isOutgoing && styles.outgoingText]}>{renderHighlighted(caption)}</Text>
           ) : null}
         </View>
       );
@@ -361,7 +372,7 @@ const MessageBubble = ({ message, originalMessage, onImagePress, onVideoPress, o
         </TouchableOpacity>
         {caption ? (
           <Text style={[styles.caption, isOutgoing && styles.outgoingText]}>
-            {caption}
+            {renderHighlighted(caption)}
           </Text>
         ) : null}
       </View>
@@ -423,7 +434,7 @@ const MessageBubble = ({ message, originalMessage, onImagePress, onVideoPress, o
             </View>
           </TouchableOpacity>
           {caption ? (
-            <Text style={[styles.caption, isOutgoing && styles.outgoingText]}>{caption}</Text>
+            <Text style={[styles.caption, isOutgoing && styles.outgoingText]}>{renderHighlighted(caption)}</Text>
           ) : null}
         </View>
       );
@@ -455,7 +466,7 @@ const MessageBubble = ({ message, originalMessage, onImagePress, onVideoPress, o
             </View>
           </View>
           {caption ? (
-            <Text style={[styles.caption, isOutgoing && styles.outgoingText]}>{caption}</Text>
+            <Text style={[styles.caption, isOutgoing && styles.outgoingText]}>{renderHighlighted(caption)}</Text>
           ) : null}
         </View>
       );
@@ -503,7 +514,7 @@ const MessageBubble = ({ message, originalMessage, onImagePress, onVideoPress, o
         </TouchableOpacity>
         {caption ? (
           <Text style={[styles.caption, isOutgoing && styles.outgoingText]}>
-            {caption}
+            {renderHighlighted(caption)}
           </Text>
         ) : null}
       </View>
@@ -1402,6 +1413,10 @@ const styles = StyleSheet.create({
   imageWithCaption: {
     borderRadius: 4,
   },
+  searchMatch: {
+    backgroundColor: '#FFE082',
+    color: colors.text.primary,
+  },
   caption: {
     marginTop: 6,
     fontSize: 14,
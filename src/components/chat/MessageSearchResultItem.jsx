@@ -0,0 +1,138 @@
+import React, { memo } from 'react';
+import { View, StyleSheet, TouchableOpacity, Platform } from 'react-native';
+import { Text } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { colors, chatColors, getAvatarColor } from '../../theme/colors';
+import { getMessagePreview, getHighlightSegments, getSearchSnippet } from '../../utils/messageHelpers';
+
+// Format timestamp: time for today, date otherwise
+const formatTimestamp = (timestamp) => {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  if (date.toDateString() === new Date().toDateString()) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString([], { day: '2-digit', month: '2-digit', year: '2-digit' });
+};
+
+/**
+ * A message hit in the global "search in all messages" results
+ * Shows the chat's contact, the matched text with the query highlighted, and the message date.
+ */
+const MessageSearchResultItem = ({ message, query, onPress }) => {
+  const contact = message?.chat?.contact || {};
+  const contactName = contact.name || contact.phoneNumber || 'Unknown';
+  const avatarColor = getAvatarColor(contactName);
+  const initial = contactName.trim().charAt(0).toUpperCase() || 'U';
+
+  const preview = getMessagePreview(message);
+  const snippet = getSearchSnippet(message?.matchText || preview.text, query);
+  const isOutgoing = message?.direction === 'outbound' || message?.isFromMe;
+
+  return (
+    <TouchableOpacity
+      onPress={() => onPress?.(message)}
+      style={styles.container}
+      activeOpacity={0.7}
+    >
+      <View style={[styles.avatar, { backgroundColor: avatarColor }]}>
+        <Text style={styles.avatarText}>{initial}</Text>
+      </View>
+
+      <View style={styles.content}>
+        <View style={styles.topRow}>
+          <Text style={styles.contactName} numberOfLines={1}>
+            {contactName}
+          </Text>
+          <Text style={styles.timestamp}>
+            {formatTimestamp(message?.timestamp || message?.createdAt)}
+          </Text>
+        </View>
+
+        <View style={styles.snippetRow}>
+          {isOutgoing && (
+            <Icon name="arrow-top-right" size={14} color={colors.text.secondary} style={styles.typeIcon} />
+          )}
+          {preview.icon && (
+            <Icon name={preview.icon} size={14} color={colors.text.secondary} style={styles.typeIcon} />
+          )}
+          <Text style={styles.snippet} numberOfLines={2}>
+            {getHighlightSegments(snippet, query).map((segment, index) => (
+              <Text key={index} style={segment.match ? styles.match : null}>
+                {segment.text}
+              </Text>
+            ))}
+          </Text>
+        </View>
+      </View>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: colors.common.white,
+  },
+  avatar: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 14,
+  },
+  avatarText: {
+    color: colors.common.white,
+    fontSize: 18,
+    fontWeight: '600',
+    ...Platform.select({
+      android: { includeFontPadding: false },
+      ios: {},
+    }),
+  },
+  content: {
+    flex: 1,
+    borderBottomWidth: 0.5,
+    borderBottomColor: 'rgba(0,0,0,0.08)',
+    paddingBottom: 12,
+  },
+  topRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  contactName: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: colors.text.primary,
+    flex: 1,
+    marginRight: 8,
+  },
+  timestamp: {
+    fontSize: 12,
+    color: colors.text.secondary,
+  },
+  snippetRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  typeIcon: {
+    marginRight: 4,
+    marginTop: 2,
+  },
+  snippet: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.text.secondary,
+  },
+  match: {
+    color: chatColors.primary,
+    fontWeight: '700',
+  },
+});
+
+export default memo(MessageSearchResultItem);
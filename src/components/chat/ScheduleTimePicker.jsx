@@ -0,0 +1,337 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { View, StyleSheet, Modal, TouchableOpacity, ScrollView } from 'react-native';
+import { Text } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { format, isToday, isTomorrow } from 'date-fns';
+import { colors, chatColors } from '../../theme/colors';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_STEP = 5;
+const DAYS_AHEAD = 7;
+
+/**
+ * Format a scheduled time for display ("Today, 8:00 PM", "Tue 21 Oct, 9:00 AM")
+ * @param {number} time - Timestamp (ms)
+ * @returns {string}
+ */
+export const formatScheduleTime = (time) => {
+  const date = new Date(time);
+  if (isToday(date)) return `Today, ${format(date, 'h:mm a')}`;
+  if (isTomorrow(date)) return `Tomorrow, ${format(date, 'h:mm a')}`;
+  return format(date, 'EEE d MMM, h:mm a');
+};
+
+// Next full hour at least an hour from now
+const getDefaultTime = () => {
+  const date = new Date(Date.now() + HOUR_MS);
+  date.setMinutes(0, 0, 0);
+  if (date.getTime() <= Date.now() + HOUR_MS / 2) {
+    date.setHours(date.getHours() + 1);
+  }
+  return date.getTime();
+};
+
+const atTime = (dayOffset, hours) => {
+  const date = new Date();
+  date.setDate(date.getDate() + dayOffset);
+  date.setHours(hours, 0, 0, 0);
+  return date.getTime();
+};
+
+const startOfDay = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+/**
+ * ScheduleTimePicker Component
+ * Bottom sheet for picking when a scheduled message goes out: quick presets,
+ * a day row for the next week and hour/minute steppers.
+ */
+const ScheduleTimePicker = ({
+  visible,
+  initialTime,
+  title = 'Schedule message',
+  confirmLabel = 'Schedule',
+  onConfirm,
+  onClose,
+}) => {
+  const [selectedTime, setSelectedTime] = useState(getDefaultTime);
+
+  useEffect(() => {
+    if (visible) {
+      setSelectedTime(initialTime && initialTime > Date.now() ? initialTime : getDefaultTime());
+    }
+  }, [visible, initialTime]);
+
+  const presets = useMemo(() => {
+    if (!visible) return [];
+    const now = Date.now();
+    const items = [{ label: 'In 1 hour', icon: 'clock-fast', time: now + HOUR_MS }];
+    const tonight = atTime(0, 20);
+    if (tonight - now > 15 * 60 * 1000) {
+      items.push({ label: 'Tonight, 8 PM', icon: 'weather-night', time: tonight });
+    }
+    items.push({ label: 'Tomorrow, 9 AM', icon: 'weather-sunny', time: atTime(1, 9) });
+    return items;
+  }, [visible]);
+
+  const days = useMemo(() => {
+    if (!visible) return [];
+    return Array.from({ length: DAYS_AHEAD }, (_, i) => {
+      const time = atTime(i, 0);
+      let label = format(new Date(time), 'EEE d');
+      if (i === 0) label = 'Today';
+      if (i === 1) label = 'Tomorrow';
+      return { label, time };
+    });
+  }, [visible]);
+
+  const selectedDay = startOfDay(selectedTime);
+  const isInPast = selectedTime <= Date.now();
+
+  const selectDay = (dayStart) => {
+    setSelectedTime(dayStart + (selectedTime - selectedDay));
+  };
+
+  // Steppers wrap within the selected day
+  const stepHours = (delta) => {
+    const date = new Date(selectedTime);
+    date.setHours((date.getHours() + delta + 24) % 24);
+    setSelectedTime(date.getTime());
+  };
+
+  const stepMinutes = (delta) => {
+    const date = new Date(selectedTime);
+    const rounded = Math.round(date.getMinutes() / MINUTE_STEP) * MINUTE_STEP;
+    date.setMinutes((rounded + delta + 60) % 60, 0, 0);
+    setSelectedTime(date.getTime());
+  };
+
+  const handleConfirm = () => {
+    if (isInPast) return;
+    onConfirm?.(selectedTime);
+  };
+
+  if (!visible) return null;
+
+  const selectedDate = new Date(selectedTime);
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <TouchableOpacity style={styles.overlay} activeOpacity={1} onPress={onClose}>
+        <TouchableOpacity style={styles.container} activeOpacity={1}>
+          <View style={styles.handle} />
+          <Text style={styles.title}>{title}</Text>
+
+          <View style={styles.presets}>
+            {presets.map((preset) => (
+              <TouchableOpacity
+                key={preset.label}
+                style={styles.presetItem}
+                onPress={() => onConfirm?.(preset.time)}
+                activeOpacity={0.7}
+              >
+                <Icon name={preset.icon} size={20} color={chatColors.primary} />
+                <Text style={styles.presetLabel}>{preset.label}</Text>
+                <Text style={styles.presetTime}>{formatScheduleTime(preset.time)}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.sectionLabel}>Custom time</Text>
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={styles.days}
+          >
+            {days.map((day) => {
+              const isSelected = day.time === selectedDay;
+              return (
+                <TouchableOpacity
+                  key={day.time}
+                  style={[styles.dayChip, isSelected && styles.dayChipSelected]}
+                  onPress={() => selectDay(day.time)}
+                >
+                  <Text style={[styles.dayChipText, isSelected && styles.dayChipTextSelected]}>
+                    {day.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+
+          <View style={styles.timeRow}>
+            <View style={styles.stepper}>
+              <TouchableOpacity style={styles.stepButton} onPress={() => stepHours(-1)}>
+                <Icon name="minus" size={20} color={colors.text.primary} />
+              </TouchableOpacity>
+              <Text style={styles.stepValue}>{format(selectedDate, 'h a')}</Text>
+              <TouchableOpacity style={styles.stepButton} onPress={() => stepHours(1)}>
+                <Icon name="plus" size={20} color={colors.text.primary} />
+              </TouchableOpacity>
+            </View>
+            <View style={styles.stepper}>
+              <TouchableOpacity style={styles.stepButton} onPress={() => stepMinutes(-MINUTE_STEP)}>
+                <Icon name="minus" size={20} color={colors.text.primary} />
+              </TouchableOpacity>
+              <Text style={styles.stepValue}>:{format(selectedDate, 'mm')}</Text>
+              <TouchableOpacity style={styles.stepButton} onPress={() => stepMinutes(MINUTE_STEP)}>
+                <Icon name="plus" size={20} color={colors.text.primary} />
+              </TouchableOpacity>
+            </View>
+          </View>
+
+          <Text style={[styles.summary, isInPast && styles.summaryError]}>
+            {isInPast ? 'Pick a time in the future' : `Sends ${formatScheduleTime(selectedTime)}`}
+          </Text>
+
+          <TouchableOpacity
+            style={[styles.confirmButton, isInPast && styles.confirmButtonDisabled]}
+            onPress={handleConfirm}
+            disabled={isInPast}
+          >
+            <Icon name="clock-check-outline" size={20} color={colors.common.white} />
+            <Text style={styles.confirmText}>{confirmLabel}</Text>
+          </TouchableOpacity>
+        </TouchableOpacity>
+      </TouchableOpacity>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: colors.common.white,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingBottom: 34,
+  },
+  handle: {
+    width: 40,
+    height: 4,
+    backgroundColor: colors.grey[300],
+    borderRadius: 2,
+    alignSelf: 'center',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: colors.text.primary,
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+  presets: {
+    paddingHorizontal: 16,
+  },
+  presetItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    gap: 12,
+  },
+  presetLabel: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '500',
+    color: colors.text.primary,
+  },
+  presetTime: {
+    fontSize: 13,
+    color: colors.text.secondary,
+  },
+  sectionLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.text.secondary,
+    textTransform: 'uppercase',
+    paddingHorizontal: 16,
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  days: {
+    paddingHorizontal: 16,
+    gap: 8,
+  },
+  dayChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: colors.grey[100],
+  },
+  dayChipSelected: {
+    backgroundColor: chatColors.primary,
+  },
+  dayChipText: {
+    fontSize: 13,
+    color: colors.text.primary,
+  },
+  dayChipTextSelected: {
+    color: colors.common.white,
+    fontWeight: '600',
+  },
+  timeRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 24,
+    marginTop: 16,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  stepButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: colors.grey[100],
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepValue: {
+    minWidth: 56,
+    textAlign: 'center',
+    fontSize: 20,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  summary: {
+    textAlign: 'center',
+    fontSize: 14,
+    color: colors.text.secondary,
+    marginTop: 16,
+  },
+  summaryError: {
+    color: colors.error.main,
+  },
+  confirmButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    marginHorizontal: 16,
+    marginTop: 16,
+    paddingVertical: 14,
+    borderRadius: 24,
+    backgroundColor: chatColors.primary,
+  },
+  confirmButtonDisabled: {
+    backgroundColor: colors.grey[400],
+  },
+  confirmText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.common.white,
+  },
+});
+
+export default ScheduleTimePicker;
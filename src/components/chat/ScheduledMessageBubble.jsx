@@ -0,0 +1,113 @@
+import React, { useMemo } from 'react';
+import { View, StyleSheet, TouchableOpacity } from 'react-native';
+import { Text } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { colors, chatColors } from '../../theme/colors';
+import { getMessagePreview } from '../../utils/messageHelpers';
+import { formatScheduleTime } from './ScheduleTimePicker';
+
+/**
+ * ScheduledMessageBubble Component
+ * Outgoing-style bubble for a message waiting in the local schedule.
+ * Failed items (e.g. the 24-hour window closed) show the reason in red.
+ */
+const ScheduledMessageBubble = ({ item, onPress }) => {
+  const preview = useMemo(() => getMessagePreview(item.preview), [item.preview]);
+  const isFailed = item.status === 'failed';
+  const isSending = item.status === 'sending';
+
+  let statusText = `Scheduled for ${formatScheduleTime(item.scheduledAt)}`;
+  if (isSending) statusText = 'Sending...';
+  if (isFailed) statusText = 'Not sent';
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={[styles.bubble, isFailed && styles.bubbleFailed]}
+        onPress={() => onPress?.(item)}
+        disabled={isSending}
+        activeOpacity={0.7}
+      >
+        <View style={styles.previewRow}>
+          {preview.icon && (
+            <Icon name={preview.icon} size={16} color={colors.text.secondary} />
+          )}
+          <Text style={styles.previewText} numberOfLines={4}>
+            {preview.text}
+          </Text>
+        </View>
+
+        {isFailed && !!item.error && (
+          <Text style={styles.errorText}>{item.error}</Text>
+        )}
+
+        <View style={styles.footer}>
+          <Icon
+            name={isFailed ? 'alert-circle-outline' : 'clock-outline'}
+            size={13}
+            color={isFailed ? colors.error.main : chatColors.tickGrey}
+          />
+          <Text style={[styles.statusText, isFailed && styles.statusTextFailed]}>
+            {statusText}
+          </Text>
+        </View>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginVertical: 6,
+    marginHorizontal: 8,
+    alignItems: 'flex-end',
+  },
+  bubble: {
+    maxWidth: '80%',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    backgroundColor: chatColors.outgoing,
+    borderRadius: 8,
+    borderBottomRightRadius: 2,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: chatColors.primary,
+    opacity: 0.85,
+  },
+  bubbleFailed: {
+    borderColor: colors.error.main,
+  },
+  previewRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 6,
+  },
+  previewText: {
+    flexShrink: 1,
+    fontSize: 15,
+    lineHeight: 20,
+    color: colors.text.primary,
+  },
+  errorText: {
+    marginTop: 6,
+    fontSize: 12,
+    color: colors.error.main,
+  },
+  footer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    gap: 4,
+    marginTop: 4,
+  },
+  statusText: {
+    fontSize: 11,
+    color: chatColors.tickGrey,
+  },
+  statusTextFailed: {
+    color: colors.error.main,
+    fontWeight: '600',
+  },
+});
+
+export default ScheduledMessageBubble;
@@ -0,0 +1,299 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  TextInput,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Text, ActivityIndicator } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { useDispatch } from 'react-redux';
+import { colors, chatColors } from '../../theme/colors';
+import { getMessagePreview } from '../../utils/messageHelpers';
+import { showSuccess, showError } from '../../utils/toast';
+import { updateScheduledMessage, cancelScheduledMessage } from '../../redux/slices/inboxSlice';
+import ScheduleTimePicker, { formatScheduleTime } from './ScheduleTimePicker';
+
+// Text that can be edited: the body for text messages, the caption for media
+const getEditableText = (item) => {
+  if (!item || item.messageType === 'template') return null;
+  if (item.messageType === 'text') return item.payload?.message || '';
+  return item.payload?.caption || '';
+};
+
+/**
+ * ScheduledMessageSheet Component
+ * Manage a scheduled message: edit its text (caption for media), change the
+ * time, or cancel it. Saving a failed message reschedules it.
+ */
+const ScheduledMessageSheet = ({ visible, item, onClose }) => {
+  const dispatch = useDispatch();
+
+  const [text, setText] = useState('');
+  const [scheduledAt, setScheduledAt] = useState(null);
+  const [showTimePicker, setShowTimePicker] = useState(false);
+  const [busyAction, setBusyAction] = useState(null);
+
+  const editableText = getEditableText(item);
+  const isFailed = item?.status === 'failed';
+  const isInPast = !scheduledAt || scheduledAt <= Date.now();
+
+  useEffect(() => {
+    if (visible && item) {
+      setText(getEditableText(item) || '');
+      setScheduledAt(item.scheduledAt);
+      setBusyAction(null);
+    }
+  }, [visible, item]);
+
+  if (!visible || !item) return null;
+
+  const preview = getMessagePreview(item.preview);
+
+  const handleSave = async () => {
+    if (item.messageType === 'text' && !text.trim()) {
+      showError('Message cannot be empty');
+      return;
+    }
+    setBusyAction('save');
+    try {
+      await dispatch(updateScheduledMessage({
+        id: item._id,
+        scheduledAt,
+        text: editableText !== null ? text.trim() : undefined,
+      })).unwrap();
+      showSuccess(`Will send ${formatScheduleTime(scheduledAt)}`, 'Message rescheduled');
+      onClose();
+    } catch (error) {
+      showError(typeof error === 'string' ? error : 'Failed to update scheduled message');
+      setBusyAction(null);
+    }
+  };
+
+  const handleCancelMessage = async () => {
+    setBusyAction('cancel');
+    try {
+      await dispatch(cancelScheduledMessage(item._id)).unwrap();
+      showSuccess('Scheduled message cancelled');
+      onClose();
+    } catch (error) {
+      showError(typeof error === 'string' ? error : 'Failed to cancel scheduled message');
+      setBusyAction(null);
+    }
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        style={styles.flex}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <TouchableOpacity style={styles.overlay} activeOpacity={1} onPress={onClose}>
+          <TouchableOpacity style={styles.container} activeOpacity={1}>
+            <View style={styles.handle} />
+            <Text style={styles.title}>Scheduled message</Text>
+
+            {isFailed && (
+              <View style={styles.errorBanner}>
+                <Icon name="alert-circle-outline" size={18} color={colors.error.main} />
+                <Text style={styles.errorText}>
+                  {item.error || 'This message could not be sent.'} Pick a new time to try again.
+                </Text>
+              </View>
+            )}
+
+            {editableText !== null ? (
+              <TextInput
+                style={styles.input}
+                value={text}
+                onChangeText={setText}
+                placeholder={item.messageType === 'text' ? 'Message' : 'Add a caption...'}
+                placeholderTextColor={colors.grey[400]}
+                multiline
+              />
+            ) : (
+              <View style={styles.previewBox}>
+                {preview.icon && <Icon name={preview.icon} size={16} color={colors.text.secondary} />}
+                <Text style={styles.previewText} numberOfLines={3}>{preview.text}</Text>
+              </View>
+            )}
+
+            <TouchableOpacity style={styles.timeRow} onPress={() => setShowTimePicker(true)}>
+              <Icon name="clock-outline" size={20} color={chatColors.primary} />
+              <Text style={[styles.timeText, isInPast && styles.timeTextPast]}>
+                {isInPast ? 'Pick a new time' : formatScheduleTime(scheduledAt)}
+              </Text>
+              <Text style={styles.changeText}>Change</Text>
+            </TouchableOpacity>
+
+            <View style={styles.actions}>
+              <TouchableOpacity
+                style={[styles.button, styles.cancelButton]}
+                onPress={handleCancelMessage}
+                disabled={!!busyAction}
+              >
+                {busyAction === 'cancel' ? (
+                  <ActivityIndicator size="small" color={colors.error.main} />
+                ) : (
+                  <Text style={styles.cancelText}>Cancel message</Text>
+                )}
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.button, styles.saveButton, (isInPast || !!busyAction) && styles.saveButtonDisabled]}
+                onPress={handleSave}
+                disabled={isInPast || !!busyAction}
+              >
+                {busyAction === 'save' ? (
+                  <ActivityIndicator size="small" color={colors.common.white} />
+                ) : (
+                  <Text style={styles.saveText}>{isFailed ? 'Reschedule' : 'Save'}</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </TouchableOpacity>
+        </TouchableOpacity>
+      </KeyboardAvoidingView>
+
+      <ScheduleTimePicker
+        visible={showTimePicker}
+        initialTime={scheduledAt}
+        title="Change time"
+        confirmLabel="Set time"
+        onConfirm={(time) => {
+          setScheduledAt(time);
+          setShowTimePicker(false);
+        }}
+        onClose={() => setShowTimePicker(false)}
+      />
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  flex: {
+    flex: 1,
+  },
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: colors.common.white,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingBottom: 34,
+    paddingHorizontal: 16,
+  },
+  handle: {
+    width: 40,
+    height: 4,
+    backgroundColor: colors.grey[300],
+    borderRadius: 2,
+    alignSelf: 'center',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: colors.text.primary,
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+  errorBanner: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 8,
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: colors.error.main + '12',
+    marginBottom: 12,
+  },
+  errorText: {
+    flex: 1,
+    fontSize: 13,
+    color: colors.error.main,
+  },
+  input: {
+    minHeight: 80,
+    maxHeight: 160,
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: colors.text.primary,
+    textAlignVertical: 'top',
+  },
+  previewBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: chatColors.outgoing,
+  },
+  previewText: {
+    flex: 1,
+    fontSize: 15,
+    color: colors.text.primary,
+  },
+  timeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 16,
+  },
+  timeText: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '500',
+    color: colors.text.primary,
+  },
+  timeTextPast: {
+    color: colors.error.main,
+  },
+  changeText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: chatColors.primary,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  button: {
+    flex: 1,
+    height: 46,
+    borderRadius: 23,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  cancelButton: {
+    borderWidth: 1,
+    borderColor: colors.error.main,
+  },
+  cancelText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.error.main,
+  },
+  saveButton: {
+    backgroundColor: chatColors.primary,
+  },
+  saveButtonDisabled: {
+    backgroundColor: colors.grey[400],
+  },
+  saveText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.common.white,
+  },
+});
+
+export default ScheduledMessageSheet;
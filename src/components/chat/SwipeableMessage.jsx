@@ -24,7 +24,7 @@ const triggerHaptic = () => {
   Vibration.vibrate(10);
 };
 
-const SwipeableMessage = ({ children, onSwipeReply, enabled = true }) => {
+const SwipeableMessage = ({ children, onSwipeReply, enabled = true, highlighted = false }) => {
   const translateX = useSharedValue(0);
   const hasTriggered = useSharedValue(false);
 
@@ -90,12 +90,12 @@ const SwipeableMessage = ({ children, onSwipeReply, enabled = true }) => {
   });
 
   if (!enabled) {
-    return children;
+    return highlighted ? <Animated.View style={styles.highlighted}>{children}</Animated.View> : children;
   }
 
   return (
     <GestureDetector gesture={gesture}>
-      <Animated.View style={styles.wrapper}>
+      <Animated.View style={[styles.wrapper, highlighted && styles.highlighted]}>
         {/* Reply icon - positioned at the left, revealed as bubble slides right */}
         <Animated.View style={[styles.replyIconContainer, replyIconStyle]}>
           <Icon name="reply" size={18} color="#8696a0" />
@@ -114,6 +114,10 @@ const styles = StyleSheet.create({
   wrapper: {
     position: 'relative',
   },
+  // Briefly tints the row a search result / reply jump landed on
+  highlighted: {
+    backgroundColor: 'rgba(0, 168, 132, 0.15)',
+  },
   replyIconContainer: {
     position: 'absolute',
     left: 8,
@@ -1,8 +1,14 @@
 // Chat UI Components
 export { default as ChatListItem } from './ChatListItem';
+export { default as MessageSearchResultItem } from './MessageSearchResultItem';
 export { default as InboxHeader } from './InboxHeader';
+export { default as ChatSelectionHeader } from './ChatSelectionHeader';
+export { default as BulkChatOptionsSheet } from './BulkChatOptionsSheet';
 export { default as MessageBubble } from './MessageBubble';
 export { default as ChatInput } from './ChatInput';
+export { default as ScheduleTimePicker } from './ScheduleTimePicker';
+export { default as ScheduledMessageBubble } from './ScheduledMessageBubble';
+export { default as ScheduledMessageSheet } from './ScheduledMessageSheet';
 export { default as AttachmentPicker } from './AttachmentPicker';
 export { default as DateSeparator } from './DateSeparator';
 export { default as EmojiPicker } from './EmojiPicker';
@@ -1,7 +1,7 @@
 import React, { memo, useMemo } from 'react';
 import { View, StyleSheet, Text as RNText } from 'react-native';
 import { colors, chatColors } from '../../../theme/colors';
-import { getMessageText, isEmojiOnly } from '../../../utils/messageHelpers';
+import { getMessageText, isEmojiOnly, getHighlightSegments } from '../../../utils/messageHelpers';
 
 /**
  * TextMessage Component
@@ -15,8 +15,9 @@ import { getMessageText, isEmojiOnly } from '../../../utils/messageHelpers';
  * - `inline code` text
  * - ```code block``` text
  * - Emoji-only messages (large display)
+ * - Highlighting in-conversation search matches (highlightQuery)
  */
-const TextMessage = ({ message, isOutgoing }) => {
+const TextMessage = ({ message, isOutgoing, highlightQuery }) => {
   const text = getMessageText(message);
   const isEmoji = isEmojiOnly(text);
 
@@ -24,8 +25,8 @@ const TextMessage = ({ message, isOutgoing }) => {
   const formattedContent = useMemo(() => {
     if (!text) return null;
     if (isEmoji) return null; // Emoji handled separately
-    return parseWhatsAppFormatting(text, isOutgoing);
-  }, [text, isOutgoing, isEmoji]);
+    return parseWhatsAppFormatting(text, isOutgoing, highlightQuery);
+  }, [text, isOutgoing, isEmoji, highlightQuery]);
 
   if (!text) {
     return null;
@@ -60,7 +61,7 @@ const TextMessage = ({ message, isOutgoing }) => {
  * Parse WhatsApp-style formatting and return React Native Text elements
  * Supports nested formatting (e.g., *_bold italic_*)
  */
-const parseWhatsAppFormatting = (text, isOutgoing) => {
+const parseWhatsAppFormatting = (text, isOutgoing, highlightQuery) => {
   if (!text || typeof text !== 'string') return text;
 
   // Formatting markers and their styles
@@ -75,6 +76,16 @@ const parseWhatsAppFormatting = (text, isOutgoing) => {
   const elements = [];
   let key = 0;
 
+  // Wrap search matches within a plain-text run
+  const highlight = (segment) => {
+    if (!highlightQuery) return segment;
+    return getHighlightSegments(segment, highlightQuery).map(({ text: part, match }) => (
+      match
+        ? <RNText key={`match-${key++}`} style={styles.searchMatch}>{part}</RNText>
+        : part
+    ));
+  };
+
   const parseSegment = (segment, parentStyles = []) => {
     if (!segment) return null;
 
@@ -100,7 +111,7 @@ const parseWhatsAppFormatting = (text, isOutgoing) => {
       if (before) {
         result.push(
           <RNText key={`before-${key++}`} style={getTextStyles(parentStyles, isOutgoing)}>
-            {before}
+            {highlight(before)}
           </RNText>
         );
       }
@@ -111,7 +122,7 @@ const parseWhatsAppFormatting = (text, isOutgoing) => {
         // Don't parse nested formatting in code
         result.push(
           <RNText key={`formatted-${key++}`} style={getTextStyles(newStyles, isOutgoing)}>
-            {content}
+            {highlight(content)}
           </RNText>
         );
       } else {
@@ -134,7 +145,7 @@ const parseWhatsAppFormatting = (text, isOutgoing) => {
     }
 
     // No formatting found, return plain text
-    return segment;
+    return highlight(segment);
   };
 
   return parseSegment(text, []);
@@ -220,6 +231,10 @@ const styles = StyleSheet.create({
   emojiTextIncoming: {
     textAlign: 'left',
   },
+  searchMatch: {
+    backgroundColor: '#FFE082',
+    color: colors.text.primary,
+  },
   boldText: {
     fontWeight: 'bold',
   },
@@ -10,6 +10,7 @@ import { colors } from '../../theme/colors';
  * @param {string} iconColor - Icon color
  * @param {number} count - Optional count to display in badge
  * @param {boolean} showBadge - Whether to show the count badge
+ * @param {node} right - Optional element rendered after the badge (e.g. an action button)
  * @param {object} style - Additional container styles
  */
 const SectionHeader = ({
@@ -18,6 +19,7 @@ const SectionHeader = ({
   iconColor = colors.primary.main,
   count,
   showBadge = true,
+  right,
   style,
 }) => {
   return (
@@ -33,6 +35,7 @@ const SectionHeader = ({
           <Text style={styles.badgeText}>{count}</Text>
         </View>
       )}
+      {right}
     </View>
   );
 };
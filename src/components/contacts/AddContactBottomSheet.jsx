@@ -17,7 +17,9 @@ import { createContact, gotoChat, setShouldFetchContacts } from '../../redux/sli
 import { setShouldRefreshChats } from '../../redux/slices/inboxSlice';
 import { getSettings } from '../../redux/slices/settingsSlice';
 import CountryCodeDropdown from './CountryCodeDropdown';
+import AttributeValueInput from './AttributeValueInput';
 import { DEFAULT_COUNTRY } from '../../data/countries';
+import { getAttributeTypeConfig, validateAttributeValue } from '../../utils/contactAttributeHelpers';
 
 const { height: SCREEN_HEIGHT } = Dimensions.get('window');
 
@@ -123,6 +125,9 @@ const AddContactBottomSheet = ({
 
   const handleCustomFieldChange = (fieldName, value) => {
     setCustomFields((prev) => ({ ...prev, [fieldName]: value }));
+    if (errors.customFields?.[fieldName]) {
+      setErrors((prev) => ({ ...prev, customFields: { ...prev.customFields, [fieldName]: '' } }));
+    }
   };
 
   const toggleTag = (tag) => {
@@ -161,6 +166,18 @@ const AddContactBottomSheet = ({
       isValid = false;
     }
 
+    // Typed custom fields (number, date, URL…) must hold a valid value
+    const fieldErrors = {};
+    userAttributes.forEach((attr) => {
+      const fieldName = attr.name || attr.key;
+      const fieldError = validateAttributeValue(attr, customFields[fieldName]);
+      if (fieldError) fieldErrors[fieldName] = fieldError;
+    });
+    if (Object.keys(fieldErrors).length > 0) {
+      newErrors.customFields = fieldErrors;
+      isValid = false;
+    }
+
     setErrors(newErrors);
     return isValid;
   };
@@ -190,7 +207,7 @@ const AddContactBottomSheet = ({
     const attributesArray = userAttributes.map((attr) => ({
       name: attr.name || attr.key,
       __id: attr.__id || attr._id,
-      value: customFields[attr.name || attr.key] || '',
+      value: (customFields[attr.name || attr.key] || '').trim(),
     }));
 
     const bodyData = {
@@ -525,7 +542,7 @@ const AddContactBottomSheet = ({
                 <View style={styles.customFieldsContainer}>
                   {userAttributes.map((attr, index) => {
                     const fieldName = attr.name || attr.key || attr;
-                    const fieldType = attr.type || 'text';
+                    const typeConfig = getAttributeTypeConfig(attr);
                     const hasValue = customFields[fieldName] && customFields[fieldName].trim();
 
                     return (
@@ -539,30 +556,22 @@ const AddContactBottomSheet = ({
                         <View style={styles.customFieldHeader}>
                           <View style={styles.customFieldIconContainer}>
                             <Icon
-                              name={fieldType === 'number' ? 'numeric' : 'text-short'}
+                              name={typeConfig.icon}
                               size={16}
                               color={hasValue ? colors.primary.main : colors.grey[400]}
                             />
                           </View>
                           <Text style={styles.customFieldLabel}>{fieldName}</Text>
-                          {hasValue && (
+                          {hasValue && !errors.customFields?.[fieldName] && (
                             <Icon name="check-circle" size={14} color={colors.success.main} />
                           )}
                         </View>
-                        <TextInput
+                        <AttributeValueInput
+                          attribute={attr}
                           value={customFields[fieldName] || ''}
-                          onChangeText={(value) => handleCustomFieldChange(fieldName, value)}
-                          mode="outlined"
-                          style={styles.customFieldInput}
-                          outlineStyle={[
-                            styles.customFieldOutline,
-                            hasValue && styles.customFieldOutlineFilled,
-                          ]}
+                          onChange={(value) => handleCustomFieldChange(fieldName, value)}
+                          error={errors.customFields?.[fieldName]}
                           disabled={isSubmitting}
-                          placeholder={`Enter ${fieldName.toLowerCase()}`}
-                          placeholderTextColor={colors.text.tertiary}
-                          keyboardType={fieldType === 'number' ? 'numeric' : 'default'}
-                          dense
                         />
                       </View>
                     );
@@ -899,17 +908,6 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: colors.text.primary,
   },
-  customFieldInput: {
-    backgroundColor: colors.grey[50],
-    fontSize: 14,
-  },
-  customFieldOutline: {
-    borderRadius: 10,
-    borderColor: colors.grey[200],
-  },
-  customFieldOutlineFilled: {
-    borderColor: colors.primary.light,
-  },
 
   // Empty State
   emptyState: {
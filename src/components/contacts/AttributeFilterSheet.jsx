@@ -0,0 +1,334 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, TouchableOpacity, ScrollView, Platform } from 'react-native';
+import { Text } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import Modal from 'react-native-modal';
+import { colors } from '../../theme/colors';
+import AttributeValueInput from './AttributeValueInput';
+import {
+  getAttributeType,
+  getAttributeTypeConfig,
+  validateAttributeValue,
+} from '../../utils/contactAttributeHelpers';
+
+/**
+ * Describe an attribute filter for the active-filter chip
+ * @param {Object} filter - { attribute, value }
+ * @returns {string}
+ */
+export const describeAttributeFilter = (filter) => {
+  if (!filter?.attribute) return '';
+  const name = filter.attribute.name;
+  const value = String(filter.value ?? '').trim();
+  if (!value) return `${name} is set`;
+  switch (getAttributeType(filter.attribute)) {
+    case 'text':
+    case 'url':
+      return `${name} contains "${value}"`;
+    case 'boolean':
+      return `${name} is ${value === 'true' ? 'Yes' : 'No'}`;
+    default:
+      return `${name} is ${value}`;
+  }
+};
+
+/**
+ * Bottom sheet for filtering contacts by a custom attribute value.
+ * Leaving the value empty matches every contact with the field filled in.
+ */
+const AttributeFilterSheet = ({ visible, attributes = [], filter, onClose, onApply, onClear }) => {
+  const [selectedName, setSelectedName] = useState(null);
+  const [value, setValue] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (visible) {
+      setSelectedName(filter?.attribute?.name || null);
+      setValue(filter?.value || '');
+      setError('');
+    }
+  }, [visible]);
+
+  const selectedAttribute = attributes.find((attribute) => attribute.name === selectedName) || null;
+
+  const handleSelect = (name) => {
+    if (name === selectedName) return;
+    setSelectedName(name);
+    setValue('');
+    setError('');
+  };
+
+  const handleApply = () => {
+    if (!selectedAttribute) {
+      setError('Choose a field to filter by');
+      return;
+    }
+    const validationError = validateAttributeValue(selectedAttribute, value);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    onApply({ attribute: selectedAttribute, value: value.trim() });
+  };
+
+  return (
+    <Modal
+      isVisible={visible}
+      onBackdropPress={onClose}
+      onSwipeComplete={onClose}
+      swipeDirection={['down']}
+      style={styles.bottomModal}
+      propagateSwipe={true}
+      backdropOpacity={0.5}
+      animationIn="slideInUp"
+      animationOut="slideOutDown"
+      avoidKeyboard={true}
+    >
+      <View style={styles.sheet}>
+        <View style={styles.handleBar} />
+
+        <View style={styles.header}>
+          <View style={styles.headerLeft}>
+            <View style={styles.headerIcon}>
+              <Icon name="filter-variant" size={24} color={colors.primary.main} />
+            </View>
+            <View>
+              <Text style={styles.headerTitle}>Filter by Custom Field</Text>
+              <Text style={styles.headerSubtitle}>Narrow down the loaded contacts</Text>
+            </View>
+          </View>
+          <TouchableOpacity onPress={onClose} style={styles.closeBtn}>
+            <Icon name="close" size={24} color={colors.text.secondary} />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          {attributes.length === 0 ? (
+            <Text style={styles.hintText}>
+              No custom fields yet. Add them from Settings → Custom Fields.
+            </Text>
+          ) : (
+            <>
+              <Text style={styles.label}>Field</Text>
+              <View style={styles.optionGrid}>
+                {attributes.map((attribute) => {
+                  const isSelected = attribute.name === selectedName;
+                  return (
+                    <TouchableOpacity
+                      key={attribute._id || attribute.name}
+                      style={[styles.fieldChip, isSelected && styles.fieldChipSelected]}
+                      onPress={() => handleSelect(attribute.name)}
+                      activeOpacity={0.7}
+                    >
+                      <Icon
+                        name={getAttributeTypeConfig(attribute).icon}
+                        size={16}
+                        color={isSelected ? colors.primary.main : colors.text.secondary}
+                      />
+                      <Text style={[styles.fieldChipText, isSelected && styles.fieldChipTextSelected]}>
+                        {attribute.name}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+
+              {selectedAttribute && (
+                <>
+                  <Text style={styles.label}>Value</Text>
+                  <AttributeValueInput
+                    attribute={selectedAttribute}
+                    value={value}
+                    onChange={(text) => {
+                      setValue(text);
+                      setError('');
+                    }}
+                  />
+                  <Text style={styles.hintText}>Leave empty to show every contact with this field filled in.</Text>
+                </>
+              )}
+            </>
+          )}
+
+          {error ? <Text style={styles.errorText}>{error}</Text> : null}
+        </ScrollView>
+
+        <View style={styles.actions}>
+          <TouchableOpacity
+            style={styles.cancelBtn}
+            onPress={filter ? onClear : onClose}
+            activeOpacity={0.7}
+          >
+            <Text style={styles.cancelText}>{filter ? 'Clear Filter' : 'Cancel'}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.saveBtn, attributes.length === 0 && styles.saveBtnDisabled]}
+            onPress={handleApply}
+            disabled={attributes.length === 0}
+            activeOpacity={0.8}
+          >
+            <Icon name="check" size={18} color={colors.common.white} />
+            <Text style={styles.saveText}>Apply</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  bottomModal: {
+    justifyContent: 'flex-end',
+    margin: 0,
+  },
+  sheet: {
+    backgroundColor: colors.common.white,
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    maxHeight: '85%',
+    paddingBottom: Platform.OS === 'ios' ? 34 : 16,
+  },
+  handleBar: {
+    width: 40,
+    height: 4,
+    backgroundColor: colors.grey[300],
+    borderRadius: 2,
+    alignSelf: 'center',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.grey[100],
+  },
+  headerLeft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    flex: 1,
+  },
+  headerIcon: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: colors.primary.main + '15',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: colors.text.primary,
+  },
+  headerSubtitle: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  closeBtn: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: colors.grey[100],
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text.primary,
+    marginTop: 8,
+    marginBottom: 10,
+  },
+  optionGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  fieldChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    backgroundColor: colors.common.white,
+  },
+  fieldChipSelected: {
+    borderColor: colors.primary.main,
+    backgroundColor: colors.primary.main + '10',
+  },
+  fieldChipText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: colors.text.primary,
+  },
+  fieldChipTextSelected: {
+    color: colors.primary.main,
+    fontWeight: '600',
+  },
+  hintText: {
+    fontSize: 12,
+    color: colors.text.tertiary,
+    marginTop: 8,
+  },
+  errorText: {
+    fontSize: 13,
+    color: colors.error.main,
+    marginTop: 16,
+  },
+  actions: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 8,
+    gap: 12,
+    borderTopWidth: 1,
+    borderTopColor: colors.grey[100],
+  },
+  cancelBtn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.grey[100],
+  },
+  cancelText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  saveBtn: {
+    flex: 1.5,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.primary.main,
+    gap: 6,
+  },
+  saveBtnDisabled: {
+    opacity: 0.6,
+  },
+  saveText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.common.white,
+  },
+});
+
+export default AttributeFilterSheet;
@@ -0,0 +1,167 @@
+import React from 'react';
+import { View, StyleSheet, TouchableOpacity } from 'react-native';
+import { Text, TextInput } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { format } from 'date-fns';
+import { colors } from '../../theme/colors';
+import {
+  DATE_VALUE_FORMAT,
+  getAttributeType,
+  getAttributeTypeConfig,
+  getAttributeOptions,
+} from '../../utils/contactAttributeHelpers';
+
+const BOOLEAN_OPTIONS = [
+  { value: 'true', label: 'Yes', icon: 'check' },
+  { value: 'false', label: 'No', icon: 'close' },
+];
+
+/**
+ * Type-aware editor for a contact's custom attribute value.
+ * Text, number, URL and date fields are text inputs with the matching keyboard;
+ * dropdown and Yes / No fields are chips — tapping the selected chip clears it.
+ * Values are always strings, see contactAttributeHelpers.
+ */
+const AttributeValueInput = ({ attribute, value, onChange, error, disabled = false }) => {
+  const type = getAttributeType(attribute);
+  const typeConfig = getAttributeTypeConfig(attribute);
+  const currentValue = String(value ?? '');
+  const hasValue = currentValue.trim().length > 0;
+  const fieldName = attribute?.name || attribute?.key || '';
+
+  const renderChips = (options) => (
+    <View style={styles.chipRow}>
+      {options.map((option) => {
+        const isSelected = currentValue === option.value;
+        return (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.chip, isSelected && styles.chipSelected]}
+            onPress={() => onChange(isSelected ? '' : option.value)}
+            disabled={disabled}
+            activeOpacity={0.7}
+          >
+            {option.icon && (
+              <Icon
+                name={option.icon}
+                size={14}
+                color={isSelected ? colors.common.white : colors.text.secondary}
+              />
+            )}
+            <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>{option.label}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  const renderEditor = () => {
+    if (type === 'boolean') {
+      return renderChips(BOOLEAN_OPTIONS);
+    }
+
+    if (type === 'dropdown') {
+      const options = getAttributeOptions(attribute);
+      if (options.length === 0) {
+        return <Text style={styles.hintText}>No options defined for this field</Text>;
+      }
+      return renderChips(options.map((option) => ({ value: option, label: option })));
+    }
+
+    return (
+      <TextInput
+        value={currentValue}
+        onChangeText={onChange}
+        mode="outlined"
+        style={styles.input}
+        outlineStyle={[
+          styles.outline,
+          hasValue && styles.outlineFilled,
+          !!error && styles.outlineError,
+        ]}
+        disabled={disabled}
+        placeholder={type === 'date' ? 'YYYY-MM-DD' : `Enter ${fieldName.toLowerCase()}`}
+        placeholderTextColor={colors.text.tertiary}
+        keyboardType={typeConfig.keyboardType}
+        autoCapitalize={type === 'url' ? 'none' : 'sentences'}
+        autoCorrect={type === 'text'}
+        maxLength={type === 'date' ? 10 : undefined}
+        right={
+          type === 'date' ? (
+            <TextInput.Icon
+              icon="calendar-today"
+              color={colors.primary.main}
+              onPress={() => onChange(format(new Date(), DATE_VALUE_FORMAT))}
+              disabled={disabled}
+            />
+          ) : undefined
+        }
+        dense
+      />
+    );
+  };
+
+  return (
+    <View>
+      {renderEditor()}
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  input: {
+    backgroundColor: colors.grey[50],
+    fontSize: 14,
+  },
+  outline: {
+    borderRadius: 10,
+    borderColor: colors.grey[200],
+  },
+  outlineFilled: {
+    borderColor: colors.primary.light,
+  },
+  outlineError: {
+    borderColor: colors.error.main,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: colors.grey[200],
+    backgroundColor: colors.grey[50],
+  },
+  chipSelected: {
+    backgroundColor: colors.primary.main,
+    borderColor: colors.primary.main,
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: colors.text.secondary,
+  },
+  chipTextSelected: {
+    color: colors.common.white,
+  },
+  hintText: {
+    fontSize: 13,
+    fontStyle: 'italic',
+    color: colors.text.tertiary,
+  },
+  errorText: {
+    fontSize: 12,
+    color: colors.error.main,
+    marginTop: 6,
+  },
+});
+
+export default AttributeValueInput;
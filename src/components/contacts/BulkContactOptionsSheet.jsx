@@ -0,0 +1,453 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  FlatList,
+  TextInput,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Text, ActivityIndicator } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { useDispatch, useSelector } from 'react-redux';
+import { format } from 'date-fns';
+import { colors } from '../../theme/colors';
+import { getSettings } from '../../redux/slices/settingsSlice';
+import { OPT_IN_STATUS } from '../../utils/optInHelpers';
+import { getListName, getListCount } from '../../utils/contactListHelpers';
+
+const OPT_IN_OPTIONS = [
+  {
+    value: OPT_IN_STATUS.OPTED_IN,
+    label: 'Opted In',
+    description: 'Contacts agreed to receive messages',
+    icon: 'check-circle-outline',
+    color: colors.success.main,
+  },
+  {
+    value: OPT_IN_STATUS.OPTED_OUT,
+    label: 'Opted Out',
+    description: 'Contacts are excluded from broadcasts',
+    icon: 'close-circle-outline',
+    color: colors.error.main,
+  },
+];
+
+const LIST_ACTIONS = [
+  { value: 'add', label: 'Copy to', icon: 'content-copy' },
+  { value: 'move', label: 'Move to', icon: 'folder-move-outline' },
+  { value: 'remove', label: 'Remove', icon: 'minus-circle-outline' },
+];
+
+const TAG_ACTIONS = [
+  { value: 'add', label: 'Add', icon: 'plus-circle-outline' },
+  { value: 'remove', label: 'Remove', icon: 'minus-circle-outline' },
+];
+
+const TITLES = {
+  lists: 'Change list of',
+  tags: 'Change tags of',
+  optIn: 'Set opt-in for',
+  broadcast: 'Broadcast to',
+};
+
+/**
+ * BulkContactOptionsSheet Component
+ * Bottom sheet used by contacts multi-select to pick a list (mode "lists"),
+ * tags (mode "tags"), an opt-in status (mode "optIn") or the name of the list
+ * a broadcast is sent to (mode "broadcast") for all selected contacts.
+ * Moving needs a source, so it is only offered while a list is open (sourceList).
+ */
+const BulkContactOptionsSheet = ({ visible, mode, selectedCount, lists = [], sourceList = null, onSelect, onClose }) => {
+  const dispatch = useDispatch();
+  const [action, setAction] = useState('add');
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [listName, setListName] = useState('');
+
+  // Tags from settings (same source as AddContactBottomSheet)
+  const { settings, getSettingsStatus } = useSelector((state) => state.settings);
+  const tags = settings?.tags?.items || [];
+
+  useEffect(() => {
+    if (!visible) return;
+    setAction('add');
+    setSelectedTags([]);
+    setListName(`Broadcast ${format(new Date(), 'dd MMM yyyy HH:mm')}`);
+    if (mode === 'tags' && !settings?.tags) {
+      dispatch(getSettings('tags'));
+    }
+  }, [visible, mode]);
+
+  const toggleTag = (name) => {
+    setSelectedTags((prev) => (prev.includes(name) ? prev.filter((tag) => tag !== name) : [...prev, name]));
+  };
+
+  const renderActionToggle = (options) => (
+    <View style={styles.toggleRow}>
+      {options.map((option) => {
+        const isActive = action === option.value;
+        return (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.toggleOption, isActive && styles.toggleOptionActive]}
+            onPress={() => setAction(option.value)}
+            activeOpacity={0.7}
+          >
+            <Icon
+              name={option.icon}
+              size={16}
+              color={isActive ? colors.common.white : colors.text.secondary}
+            />
+            <Text style={[styles.toggleText, isActive && styles.toggleTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  const renderList = ({ item }) => (
+    <TouchableOpacity
+      style={styles.optionItem}
+      onPress={() => onSelect({ list: item, action })}
+      activeOpacity={0.7}
+    >
+      <View style={[styles.optionIcon, { backgroundColor: colors.primary.main + '15' }]}>
+        <Icon name="folder-outline" size={22} color={colors.primary.main} />
+      </View>
+      <View style={styles.optionInfo}>
+        <Text style={styles.optionLabel} numberOfLines={1}>{getListName(item)}</Text>
+        <Text style={styles.optionSubtitle}>{getListCount(item)} contacts</Text>
+      </View>
+    </TouchableOpacity>
+  );
+
+  // Copying or moving into the open list would be a no-op
+  const listOptions = sourceList && action !== 'remove'
+    ? lists.filter((list) => list._id !== sourceList._id)
+    : lists;
+
+  const renderOptIn = ({ item }) => (
+    <TouchableOpacity style={styles.optionItem} onPress={() => onSelect({ status: item.value })} activeOpacity={0.7}>
+      <View style={[styles.optionIcon, { backgroundColor: item.color + '15' }]}>
+        <Icon name={item.icon} size={22} color={item.color} />
+      </View>
+      <View style={styles.optionInfo}>
+        <Text style={styles.optionLabel}>{item.label}</Text>
+        <Text style={styles.optionSubtitle}>{item.description}</Text>
+      </View>
+    </TouchableOpacity>
+  );
+
+  const renderEmpty = (icon, text, isLoading = false) => (
+    <View style={styles.emptyContainer}>
+      {isLoading ? (
+        <ActivityIndicator size="small" color={colors.primary.main} />
+      ) : (
+        <>
+          <Icon name={icon} size={48} color={colors.grey[300]} />
+          <Text style={styles.emptyText}>{text}</Text>
+        </>
+      )}
+    </View>
+  );
+
+  const renderTags = () => (
+    <>
+      {renderActionToggle(TAG_ACTIONS)}
+      {tags.length === 0 ? (
+        renderEmpty('tag-off-outline', 'No tags available', getSettingsStatus === 'loading')
+      ) : (
+        <View style={styles.tagsGrid}>
+          {tags.map((tag) => {
+            const isSelected = selectedTags.includes(tag.name);
+            return (
+              <TouchableOpacity
+                key={tag._id || tag.name}
+                style={[styles.tagChip, isSelected && styles.tagChipSelected]}
+                onPress={() => toggleTag(tag.name)}
+                activeOpacity={0.7}
+              >
+                {isSelected && <Icon name="check" size={14} color={colors.common.white} />}
+                <Text style={[styles.tagText, isSelected && styles.tagTextSelected]}>{tag.name}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      )}
+      <TouchableOpacity
+        style={[styles.applyButton, selectedTags.length === 0 && styles.applyButtonDisabled]}
+        onPress={() => onSelect({ tags: selectedTags, remove: action === 'remove' })}
+        disabled={selectedTags.length === 0}
+        activeOpacity={0.8}
+      >
+        <Text style={styles.applyText}>
+          {action === 'remove' ? 'Remove' : 'Add'} {selectedTags.length || ''} {selectedTags.length === 1 ? 'Tag' : 'Tags'}
+        </Text>
+      </TouchableOpacity>
+    </>
+  );
+
+  const renderBroadcast = () => (
+    <View style={styles.broadcastContent}>
+      <Text style={styles.hintText}>
+        The selected contacts are added to a new list, then you pick the template to send to it.
+      </Text>
+      <Text style={styles.inputLabel}>List name</Text>
+      <TextInput
+        style={styles.input}
+        value={listName}
+        onChangeText={setListName}
+        placeholder="Enter list name"
+        placeholderTextColor={colors.text.tertiary}
+        maxLength={50}
+      />
+      <TouchableOpacity
+        style={[styles.applyButton, styles.applyButtonInline, !listName.trim() && styles.applyButtonDisabled]}
+        onPress={() => onSelect({ listName: listName.trim() })}
+        disabled={!listName.trim()}
+        activeOpacity={0.8}
+      >
+        <Text style={styles.applyText}>Create List & Continue</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderContent = () => {
+    switch (mode) {
+      case 'lists':
+        return (
+          <>
+            {renderActionToggle(sourceList ? LIST_ACTIONS : LIST_ACTIONS.filter((option) => option.value !== 'move'))}
+            <FlatList
+              data={listOptions}
+              renderItem={renderList}
+              keyExtractor={(item) => item._id || getListName(item)}
+              contentContainerStyle={styles.list}
+              ListEmptyComponent={renderEmpty('folder-outline', 'No contact lists yet')}
+              showsVerticalScrollIndicator={false}
+            />
+          </>
+        );
+      case 'tags':
+        return renderTags();
+      case 'optIn':
+        return (
+          <FlatList
+            data={OPT_IN_OPTIONS}
+            renderItem={renderOptIn}
+            keyExtractor={(item) => item.value}
+            contentContainerStyle={styles.list}
+            showsVerticalScrollIndicator={false}
+          />
+        );
+      case 'broadcast':
+        return renderBroadcast();
+      default:
+        return null;
+    }
+  };
+
+  if (!visible) return null;
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        style={styles.flex}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <TouchableOpacity style={styles.overlay} activeOpacity={1} onPress={onClose}>
+          <TouchableOpacity style={styles.container} activeOpacity={1}>
+            <View style={styles.handle} />
+
+            <Text style={styles.title}>
+              {TITLES[mode]} {selectedCount} {selectedCount === 1 ? 'contact' : 'contacts'}
+            </Text>
+
+            {renderContent()}
+          </TouchableOpacity>
+        </TouchableOpacity>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  flex: {
+    flex: 1,
+  },
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: colors.common.white,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingBottom: 34,
+    maxHeight: '80%',
+  },
+  handle: {
+    width: 40,
+    height: 4,
+    backgroundColor: colors.grey[300],
+    borderRadius: 2,
+    alignSelf: 'center',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: colors.text.primary,
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+  toggleRow: {
+    flexDirection: 'row',
+    marginHorizontal: 16,
+    marginBottom: 8,
+    padding: 4,
+    borderRadius: 12,
+    backgroundColor: colors.grey[100],
+  },
+  toggleOption: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    paddingVertical: 8,
+    borderRadius: 10,
+  },
+  toggleOptionActive: {
+    backgroundColor: colors.primary.main,
+  },
+  toggleText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  toggleTextActive: {
+    color: colors.common.white,
+  },
+  list: {
+    paddingHorizontal: 16,
+  },
+  optionItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 4,
+    gap: 12,
+  },
+  optionIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  optionInfo: {
+    flex: 1,
+  },
+  optionLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  optionSubtitle: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  tagsGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  tagChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    backgroundColor: colors.common.white,
+  },
+  tagChipSelected: {
+    borderColor: colors.primary.main,
+    backgroundColor: colors.primary.main,
+  },
+  tagText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: colors.text.primary,
+  },
+  tagTextSelected: {
+    color: colors.common.white,
+  },
+  broadcastContent: {
+    paddingHorizontal: 16,
+  },
+  hintText: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    lineHeight: 18,
+    marginBottom: 16,
+  },
+  inputLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text.primary,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 12,
+    fontSize: 15,
+    color: colors.text.primary,
+  },
+  applyButton: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginHorizontal: 16,
+    marginTop: 16,
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.primary.main,
+  },
+  applyButtonInline: {
+    marginHorizontal: 0,
+  },
+  applyButtonDisabled: {
+    opacity: 0.6,
+  },
+  applyText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.common.white,
+  },
+  emptyContainer: {
+    paddingVertical: 40,
+    alignItems: 'center',
+  },
+  emptyText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: colors.text.secondary,
+  },
+});
+
+export default BulkContactOptionsSheet;
@@ -0,0 +1,144 @@
+import React from 'react';
+import { View, StyleSheet, TouchableOpacity } from 'react-native';
+import { Text, IconButton, ActivityIndicator } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { colors } from '../../theme/colors';
+import { ProgressBar } from '../common';
+
+/**
+ * ContactSelectionHeader Component
+ * Replaces the contacts search bar while contacts are multi-selected.
+ * Shows the selection count, bulk action buttons and, while a bulk action
+ * runs, its progress.
+ */
+const ContactSelectionHeader = ({
+  selectedCount,
+  totalCount,
+  progress,
+  onClose,
+  onSelectAll,
+  onLists,
+  onTags,
+  onOptIn,
+  onBroadcast,
+  onExport,
+  onDelete,
+}) => {
+  const isRunning = !!progress;
+  const allSelected = totalCount > 0 && selectedCount >= totalCount;
+
+  const actions = [
+    { icon: 'folder-move-outline', onPress: onLists },
+    { icon: 'tag-multiple-outline', onPress: onTags },
+    { icon: 'check-decagram-outline', onPress: onOptIn },
+    { icon: 'bullhorn-outline', onPress: onBroadcast },
+    { icon: 'export-variant', onPress: onExport },
+    { icon: 'delete-outline', onPress: onDelete },
+  ];
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerContent}>
+        <TouchableOpacity onPress={onClose} style={styles.closeButton} disabled={isRunning}>
+          <Icon name="close" size={24} color={colors.common.white} />
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.countContainer}
+          onPress={onSelectAll}
+          disabled={isRunning || allSelected}
+        >
+          <Text style={styles.count}>{selectedCount}</Text>
+          {!allSelected && !isRunning && (
+            <Text style={styles.selectAll}>Select all</Text>
+          )}
+        </TouchableOpacity>
+
+        <View style={styles.actions}>
+          {actions.map((action) => (
+            <IconButton
+              key={action.icon}
+              icon={action.icon}
+              iconColor={colors.common.white}
+              size={20}
+              onPress={action.onPress}
+              disabled={isRunning}
+              style={styles.actionButton}
+            />
+          ))}
+        </View>
+      </View>
+
+      {isRunning && (
+        <View style={styles.progressContainer}>
+          <View style={styles.progressRow}>
+            <ActivityIndicator size={12} color={colors.common.white} />
+            <Text style={styles.progressText}>
+              {progress.label} {Math.min(progress.done + 1, progress.total)} of {progress.total}...
+            </Text>
+          </View>
+          <ProgressBar
+            percentage={(progress.done / progress.total) * 100}
+            showLabel={false}
+            color={colors.common.white}
+            height={3}
+          />
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: colors.primary.main,
+  },
+  headerContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingLeft: 8,
+    paddingRight: 4,
+    paddingVertical: 8,
+    minHeight: 56,
+  },
+  closeButton: {
+    padding: 8,
+    marginRight: 4,
+  },
+  countContainer: {
+    flex: 1,
+  },
+  count: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.common.white,
+  },
+  selectAll: {
+    fontSize: 12,
+    color: 'rgba(255, 255, 255, 0.8)',
+    marginTop: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  actionButton: {
+    margin: 0,
+  },
+  progressContainer: {
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+    gap: 6,
+  },
+  progressRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  progressText: {
+    fontSize: 12,
+    color: 'rgba(255, 255, 255, 0.9)',
+  },
+});
+
+export default ContactSelectionHeader;
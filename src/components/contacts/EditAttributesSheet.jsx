@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, TouchableOpacity, ScrollView, Platform } from 'react-native';
+import { Text, ActivityIndicator } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import Modal from 'react-native-modal';
+import { colors } from '../../theme/colors';
+import AttributeValueInput from './AttributeValueInput';
+import { getAttributeTypeConfig, validateAttributeValue } from '../../utils/contactAttributeHelpers';
+
+/**
+ * Bottom sheet for editing a contact's custom attribute values.
+ * Every defined custom field is listed with a type-aware editor;
+ * onSave receives the values keyed by field name.
+ */
+const EditAttributesSheet = ({ visible, definitions = [], values = {}, onClose, onSave, isSaving }) => {
+  const [draft, setDraft] = useState({});
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    if (visible) {
+      setDraft({ ...values });
+      setErrors({});
+    }
+  }, [visible]);
+
+  const handleChange = (name, value) => {
+    setDraft((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handleSave = () => {
+    const newErrors = {};
+    definitions.forEach((definition) => {
+      const error = validateAttributeValue(definition, draft[definition.name]);
+      if (error) newErrors[definition.name] = error;
+    });
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+    onSave(draft);
+  };
+
+  return (
+    <Modal
+      isVisible={visible}
+      onBackdropPress={isSaving ? undefined : onClose}
+      onSwipeComplete={onClose}
+      swipeDirection={isSaving ? [] : ['down']}
+      style={styles.bottomModal}
+      propagateSwipe={true}
+      backdropOpacity={0.5}
+      animationIn="slideInUp"
+      animationOut="slideOutDown"
+      avoidKeyboard={true}
+    >
+      <View style={styles.sheet}>
+        <View style={styles.handleBar} />
+
+        <View style={styles.header}>
+          <View style={styles.headerLeft}>
+            <View style={styles.headerIcon}>
+              <Icon name="format-list-bulleted" size={24} color="#009688" />
+            </View>
+            <View>
+              <Text style={styles.headerTitle}>Custom Attributes</Text>
+              <Text style={styles.headerSubtitle}>Leave a field empty to clear it</Text>
+            </View>
+          </View>
+          <TouchableOpacity onPress={onClose} style={styles.closeBtn} disabled={isSaving}>
+            <Icon name="close" size={24} color={colors.text.secondary} />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          {definitions.map((definition) => {
+            const typeConfig = getAttributeTypeConfig(definition);
+            return (
+              <View key={definition._id || definition.name} style={styles.field}>
+                <View style={styles.fieldHeader}>
+                  <Icon name={typeConfig.icon} size={16} color={colors.primary.main} />
+                  <Text style={styles.fieldLabel}>{definition.name}</Text>
+                  <Text style={styles.fieldType}>{typeConfig.label}</Text>
+                </View>
+                {definition.description ? (
+                  <Text style={styles.fieldDescription}>{definition.description}</Text>
+                ) : null}
+                <AttributeValueInput
+                  attribute={definition}
+                  value={draft[definition.name] || ''}
+                  onChange={(value) => handleChange(definition.name, value)}
+                  error={errors[definition.name]}
+                  disabled={isSaving}
+                />
+              </View>
+            );
+          })}
+        </ScrollView>
+
+        <View style={styles.actions}>
+          <TouchableOpacity style={styles.cancelBtn} onPress={onClose} disabled={isSaving} activeOpacity={0.7}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.saveBtn, isSaving && styles.saveBtnDisabled]}
+            onPress={handleSave}
+            disabled={isSaving}
+            activeOpacity={0.8}
+          >
+            {isSaving ? (
+              <ActivityIndicator size="small" color={colors.common.white} />
+            ) : (
+              <>
+                <Icon name="check" size={18} color={colors.common.white} />
+                <Text style={styles.saveText}>Save</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  bottomModal: {
+    justifyContent: 'flex-end',
+    margin: 0,
+  },
+  sheet: {
+    backgroundColor: colors.common.white,
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    maxHeight: '85%',
+    paddingBottom: Platform.OS === 'ios' ? 34 : 16,
+  },
+  handleBar: {
+    width: 40,
+    height: 4,
+    backgroundColor: colors.grey[300],
+    borderRadius: 2,
+    alignSelf: 'center',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.grey[100],
+  },
+  headerLeft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    flex: 1,
+  },
+  headerIcon: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: '#E0F2F1',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: colors.text.primary,
+  },
+  headerSubtitle: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  closeBtn: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: colors.grey[100],
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 20,
+    gap: 18,
+  },
+  field: {
+    gap: 8,
+  },
+  fieldHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  fieldLabel: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  fieldType: {
+    fontSize: 12,
+    color: colors.text.tertiary,
+  },
+  fieldDescription: {
+    fontSize: 12,
+    color: colors.text.secondary,
+    lineHeight: 17,
+  },
+  actions: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 8,
+    gap: 12,
+    borderTopWidth: 1,
+    borderTopColor: colors.grey[100],
+  },
+  cancelBtn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.grey[100],
+  },
+  cancelText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  saveBtn: {
+    flex: 1.5,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.primary.main,
+    gap: 6,
+  },
+  saveBtnDisabled: {
+    opacity: 0.6,
+  },
+  saveText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.common.white,
+  },
+});
+
+export default EditAttributesSheet;
@@ -0,0 +1,388 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, TouchableOpacity, ScrollView, Platform } from 'react-native';
+import { Text, ActivityIndicator } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import Modal from 'react-native-modal';
+import { useDispatch } from 'react-redux';
+import { format } from 'date-fns';
+import { colors } from '../../theme/colors';
+import { exportContactsWithCache } from '../../redux/cacheThunks';
+import { useNetwork } from '../../contexts/NetworkContext';
+import { buildCsv, shareCsvFile } from '../../services/csvService';
+import { matchesAttributeFilter } from '../../utils/contactAttributeHelpers';
+import {
+  DEFAULT_EXPORT_COLUMN_KEYS,
+  STANDARD_EXPORT_COLUMNS,
+  getExportColumns,
+  toExportRow,
+} from '../../utils/contactExportHelpers';
+import { showError, showSuccess, showWarning } from '../../utils/toast';
+import { describeAttributeFilter } from './AttributeFilterSheet';
+
+/**
+ * Bottom sheet for exporting the contacts currently shown in ContactsScreen
+ * (list, search and attribute filter) to a CSV file with chosen columns.
+ * When `contacts` is passed (multi-select), exactly those contacts are exported.
+ */
+const ExportContactsSheet = ({
+  visible,
+  onClose,
+  listName,
+  search,
+  attributeFilter,
+  attributes = [],
+  contacts: selectedContacts = null,
+}) => {
+  const dispatch = useDispatch();
+  const { isOffline } = useNetwork();
+  const [selectedKeys, setSelectedKeys] = useState(DEFAULT_EXPORT_COLUMN_KEYS);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const columns = getExportColumns(attributes);
+  const standardColumns = columns.slice(0, STANDARD_EXPORT_COLUMNS.length);
+  const attributeColumns = columns.slice(STANDARD_EXPORT_COLUMNS.length);
+
+  // Drop columns of custom fields deleted since the last export
+  useEffect(() => {
+    if (visible) {
+      const available = new Set(columns.map((column) => column.key));
+      setSelectedKeys((prev) => prev.filter((key) => available.has(key)));
+    }
+  }, [visible]);
+
+  const toggleColumn = (key) => {
+    setSelectedKeys((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+  };
+
+  const allSelected = selectedKeys.length === columns.length;
+  const toggleAll = () => {
+    setSelectedKeys(allSelected ? [] : columns.map((column) => column.key));
+  };
+
+  const scopeParts = selectedContacts ? [
+    `${selectedContacts.length} selected ${selectedContacts.length === 1 ? 'contact' : 'contacts'}`,
+  ] : [
+    listName || 'All Contacts',
+    search && search.trim() ? `matching "${search.trim()}"` : null,
+    attributeFilter ? describeAttributeFilter(attributeFilter) : null,
+  ].filter(Boolean);
+
+  const handleExport = async () => {
+    if (selectedKeys.length === 0) return;
+    setIsExporting(true);
+    try {
+      // Selected contacts are already loaded — no need to fetch
+      const result = selectedContacts
+        ? { contacts: selectedContacts, fromCache: false }
+        : await dispatch(exportContactsWithCache({ listName, search, preferCache: isOffline })).unwrap();
+
+      const contacts = attributeFilter && !selectedContacts
+        ? result.contacts.filter((contact) => matchesAttributeFilter(contact, attributeFilter))
+        : result.contacts;
+      if (contacts.length === 0) {
+        showWarning('There are no contacts to export', 'Nothing to Export');
+        return;
+      }
+
+      // Keep the column order of the sheet, not the tap order
+      const exportColumns = columns.filter((column) => selectedKeys.includes(column.key));
+      const csv = buildCsv(exportColumns, contacts.map((contact) => toExportRow(contact, exportColumns)));
+      const scopeName = selectedContacts ? 'selected' : listName || 'all';
+      const fileName = `contacts_${scopeName}_${format(new Date(), 'yyyy-MM-dd')}`;
+      await shareCsvFile(fileName, csv, 'Export Contacts');
+
+      const count = `${contacts.length} ${contacts.length === 1 ? 'contact' : 'contacts'}`;
+      if (result.fromCache) {
+        showWarning(`Exported ${count} saved on this device. Go online to export the full list.`, 'Partial Export');
+      } else {
+        showSuccess(`Exported ${count}`);
+      }
+      onClose();
+    } catch (error) {
+      const errorMessage = typeof error === 'string' ? error : error?.message || 'Failed to export contacts';
+      showError(errorMessage, 'Export Failed');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const renderColumnChip = (column) => {
+    const isSelected = selectedKeys.includes(column.key);
+    return (
+      <TouchableOpacity
+        key={column.key}
+        style={[styles.columnChip, isSelected && styles.columnChipSelected]}
+        onPress={() => toggleColumn(column.key)}
+        disabled={isExporting}
+        activeOpacity={0.7}
+      >
+        <Icon
+          name={isSelected ? 'checkbox-marked' : 'checkbox-blank-outline'}
+          size={16}
+          color={isSelected ? colors.primary.main : colors.grey[400]}
+        />
+        <Text style={[styles.columnText, isSelected && styles.columnTextSelected]} numberOfLines={1}>
+          {column.label}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      isVisible={visible}
+      onBackdropPress={isExporting ? undefined : onClose}
+      onSwipeComplete={onClose}
+      swipeDirection={isExporting ? [] : ['down']}
+      style={styles.bottomModal}
+      propagateSwipe={true}
+      backdropOpacity={0.5}
+      animationIn="slideInUp"
+      animationOut="slideOutDown"
+    >
+      <View style={styles.sheet}>
+        <View style={styles.handleBar} />
+
+        <View style={styles.header}>
+          <View style={styles.headerLeft}>
+            <View style={styles.headerIcon}>
+              <Icon name="file-delimited-outline" size={24} color={colors.primary.main} />
+            </View>
+            <View style={styles.headerText}>
+              <Text style={styles.headerTitle}>Export Contacts</Text>
+              <Text style={styles.headerSubtitle} numberOfLines={2}>{scopeParts.join(' · ')}</Text>
+            </View>
+          </View>
+          <TouchableOpacity onPress={onClose} style={styles.closeBtn} disabled={isExporting}>
+            <Icon name="close" size={24} color={colors.text.secondary} />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content}>
+          {isOffline && !selectedContacts && (
+            <View style={styles.offlineNote}>
+              <Icon name="cloud-off-outline" size={16} color={colors.warning.dark} />
+              <Text style={styles.offlineText}>
+                You're offline — only contacts saved on this device will be exported.
+              </Text>
+            </View>
+          )}
+
+          <View style={styles.labelRow}>
+            <Text style={styles.label}>Columns</Text>
+            <TouchableOpacity onPress={toggleAll} disabled={isExporting}>
+              <Text style={styles.selectAllText}>{allSelected ? 'Clear all' : 'Select all'}</Text>
+            </TouchableOpacity>
+          </View>
+          <View style={styles.columnGrid}>{standardColumns.map(renderColumnChip)}</View>
+
+          {attributeColumns.length > 0 && (
+            <>
+              <Text style={[styles.label, styles.labelSpaced]}>Custom Fields</Text>
+              <View style={styles.columnGrid}>{attributeColumns.map(renderColumnChip)}</View>
+            </>
+          )}
+        </ScrollView>
+
+        <View style={styles.actions}>
+          <TouchableOpacity style={styles.cancelBtn} onPress={onClose} disabled={isExporting} activeOpacity={0.7}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.saveBtn, (isExporting || selectedKeys.length === 0) && styles.saveBtnDisabled]}
+            onPress={handleExport}
+            disabled={isExporting || selectedKeys.length === 0}
+            activeOpacity={0.8}
+          >
+            {isExporting ? (
+              <ActivityIndicator size="small" color={colors.common.white} />
+            ) : (
+              <>
+                <Icon name="export-variant" size={18} color={colors.common.white} />
+                <Text style={styles.saveText}>Export CSV</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  bottomModal: {
+    justifyContent: 'flex-end',
+    margin: 0,
+  },
+  sheet: {
+    backgroundColor: colors.common.white,
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    maxHeight: '85%',
+    paddingBottom: Platform.OS === 'ios' ? 34 : 16,
+  },
+  handleBar: {
+    width: 40,
+    height: 4,
+    backgroundColor: colors.grey[300],
+    borderRadius: 2,
+    alignSelf: 'center',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.grey[100],
+  },
+  headerLeft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    flex: 1,
+  },
+  headerIcon: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: colors.primary.main + '15',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerText: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: colors.text.primary,
+  },
+  headerSubtitle: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  closeBtn: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: colors.grey[100],
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 20,
+  },
+  offlineNote: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    padding: 12,
+    borderRadius: 10,
+    backgroundColor: colors.warning.lighter,
+    marginBottom: 16,
+  },
+  offlineText: {
+    flex: 1,
+    fontSize: 13,
+    color: colors.warning.dark,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  labelSpaced: {
+    marginTop: 18,
+    marginBottom: 10,
+  },
+  selectAllText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.primary.main,
+  },
+  columnGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  columnChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    maxWidth: '100%',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    backgroundColor: colors.common.white,
+  },
+  columnChipSelected: {
+    borderColor: colors.primary.main,
+    backgroundColor: colors.primary.main + '10',
+  },
+  columnText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: colors.text.primary,
+  },
+  columnTextSelected: {
+    color: colors.primary.main,
+    fontWeight: '600',
+  },
+  actions: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 8,
+    gap: 12,
+    borderTopWidth: 1,
+    borderTopColor: colors.grey[100],
+  },
+  cancelBtn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.grey[100],
+  },
+  cancelText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  saveBtn: {
+    flex: 1.5,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.primary.main,
+    gap: 6,
+  },
+  saveBtnDisabled: {
+    opacity: 0.6,
+  },
+  saveText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.common.white,
+  },
+});
+
+export default ExportContactsSheet;
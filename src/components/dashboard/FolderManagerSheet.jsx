@@ -0,0 +1,555 @@
+import { useState, useEffect } from 'react';
+import {
+  View,
+  StyleSheet,
+  TouchableOpacity,
+  Platform,
+  TextInput as RNTextInput,
+} from 'react-native';
+import { Text, ActivityIndicator } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import Modal from 'react-native-modal';
+import { useDispatch } from 'react-redux';
+import { createFolder, renameFolder, deleteFolder } from '../../redux/slices/dashboardSlice';
+import { fetchFoldersWithCache } from '../../redux/cacheThunks';
+import { useNetwork } from '../../contexts/NetworkContext';
+import {
+  MAX_FOLDER_NAME_LENGTH,
+  findFolderById,
+  findParentId,
+  getChildFolders,
+  getFolderCount,
+  getSubtreeIds,
+  isCustomFolder,
+  validateFolderName,
+} from '../../utils/folderTreeHelpers';
+import { colors } from '../../theme/colors';
+import { showError, showSuccess } from '../../utils/toast';
+import FolderTree from './FolderTree';
+
+/**
+ * FolderManagerSheet Component
+ * Bottom sheet around FolderTree with two modes:
+ * - manage: create nested folders and rename or delete custom folders
+ * - move: pick the folder the selected WhatsApp numbers move into
+ * Folder changes need the server; the thunks then patch the cached tree.
+ */
+const FolderManagerSheet = ({
+  visible,
+  mode = 'manage',
+  folders,
+  selectedFolder,
+  moveCount = 0,
+  isMoving = false,
+  onClose,
+  onFolderSelect,
+  onMove,
+  onFoldersDeleted,
+}) => {
+  const dispatch = useDispatch();
+  const { isOffline } = useNetwork();
+
+  // 'tree' | 'actions' | 'name' | 'delete'
+  const [view, setView] = useState('tree');
+  const [activeFolder, setActiveFolder] = useState(null);
+  // Parent of the folder being created (null = top level)
+  const [parentId, setParentId] = useState(null);
+  const [name, setName] = useState('');
+  const [nameError, setNameError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const isMoveMode = mode === 'move';
+  const isRename = view === 'name' && !!activeFolder;
+
+  useEffect(() => {
+    if (visible) {
+      setView('tree');
+      setActiveFolder(null);
+    }
+  }, [visible]);
+
+  const ensureOnline = () => {
+    if (isOffline) {
+      showError('Connect to the internet to manage folders', "You're Offline");
+      return false;
+    }
+    return true;
+  };
+
+  const handleClose = () => {
+    if (isSaving || isMoving) return;
+    onClose();
+  };
+
+  const handleFolderPress = (folder) => {
+    if (isMoveMode) {
+      if (ensureOnline()) onMove(folder);
+      return;
+    }
+    onFolderSelect(folder);
+    onClose();
+  };
+
+  const openCreate = (parent) => {
+    if (!ensureOnline()) return;
+    setParentId(parent?._id || null);
+    setActiveFolder(null);
+    setName('');
+    setNameError('');
+    setView('name');
+  };
+
+  const openRename = (folder) => {
+    if (!ensureOnline()) return;
+    setActiveFolder(folder);
+    setName(folder.name || '');
+    setNameError('');
+    setView('name');
+  };
+
+  const openDelete = (folder) => {
+    if (!ensureOnline()) return;
+    setActiveFolder(folder);
+    setView('delete');
+  };
+
+  const openActions = (folder) => {
+    setActiveFolder(folder);
+    setView('actions');
+  };
+
+  const backToTree = () => {
+    setView('tree');
+    setActiveFolder(null);
+  };
+
+  const handleSaveName = async () => {
+    const siblingParentId = isRename ? findParentId(folders, activeFolder._id) : parentId;
+    const error = validateFolderName(name, getChildFolders(folders, siblingParentId), activeFolder?._id);
+    if (error) {
+      setNameError(error);
+      return;
+    }
+    const trimmed = name.trim();
+    if (isRename && trimmed === activeFolder.name) {
+      backToTree();
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      if (isRename) {
+        await dispatch(renameFolder({ id: activeFolder._id, bodyData: { folderName: trimmed } })).unwrap();
+        showSuccess(`Renamed to "${trimmed}"`, 'Folder Renamed');
+      } else {
+        await dispatch(createFolder({ folderName: trimmed, parentId })).unwrap();
+        showSuccess(`"${trimmed}" was created`, 'Folder Created');
+      }
+      dispatch(fetchFoldersWithCache());
+      backToTree();
+    } catch (err) {
+      setNameError(typeof err === 'string' ? err : err?.message || 'Failed to save folder');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    const folder = activeFolder;
+    const removedIds = getSubtreeIds(findFolderById(folders, folder._id) || folder);
+
+    setIsSaving(true);
+    try {
+      await dispatch(deleteFolder({ _id: folder._id })).unwrap();
+      showSuccess(`"${folder.name}" was deleted`, 'Folder Deleted');
+      onFoldersDeleted?.(removedIds);
+      dispatch(fetchFoldersWithCache());
+      backToTree();
+    } catch (err) {
+      showError(typeof err === 'string' ? err : err?.message || 'Failed to delete folder', 'Delete Failed');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderHeader = () => {
+    let title = isMoveMode ? 'Move to Folder' : 'Manage Folders';
+    let subtitle = isMoveMode
+      ? `Choose where ${moveCount} ${moveCount === 1 ? 'number goes' : 'numbers go'}`
+      : 'Create, rename and delete folders';
+    const icon = isMoveMode ? 'folder-move-outline' : 'folder-cog-outline';
+
+    if (view === 'actions') {
+      title = activeFolder?.name;
+      subtitle = `${getFolderCount(activeFolder)} WhatsApp numbers`;
+    } else if (view === 'name') {
+      title = isRename ? 'Rename Folder' : 'New Folder';
+      subtitle = isRename
+        ? activeFolder?.name
+        : `Inside ${findFolderById(folders, parentId)?.name || 'the top level'}`;
+    } else if (view === 'delete') {
+      title = 'Delete Folder';
+      subtitle = activeFolder?.name;
+    }
+
+    return (
+      <View style={styles.header}>
+        <View style={styles.headerLeft}>
+          {view !== 'tree' ? (
+            <TouchableOpacity onPress={backToTree} style={styles.closeBtn} disabled={isSaving}>
+              <Icon name="arrow-left" size={22} color={colors.text.secondary} />
+            </TouchableOpacity>
+          ) : (
+            <View style={styles.headerIcon}>
+              <Icon name={icon} size={24} color={colors.primary.main} />
+            </View>
+          )}
+          <View style={styles.headerText}>
+            <Text style={styles.headerTitle} numberOfLines={1}>{title}</Text>
+            <Text style={styles.headerSubtitle} numberOfLines={1}>{subtitle}</Text>
+          </View>
+        </View>
+        <TouchableOpacity onPress={handleClose} style={styles.closeBtn}>
+          <Icon name="close" size={24} color={colors.text.secondary} />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderActions = () => {
+    const editable = isCustomFolder(folders, activeFolder);
+    const options = [
+      { key: 'create', icon: 'folder-plus-outline', label: 'New subfolder', onPress: () => openCreate(activeFolder) },
+      editable && { key: 'rename', icon: 'pencil-outline', label: 'Rename', onPress: () => openRename(activeFolder) },
+      editable && { key: 'delete', icon: 'trash-can-outline', label: 'Delete', onPress: () => openDelete(activeFolder), danger: true },
+    ].filter(Boolean);
+
+    return (
+      <View style={styles.content}>
+        {options.map((option) => (
+          <TouchableOpacity
+            key={option.key}
+            style={styles.optionItem}
+            onPress={option.onPress}
+            activeOpacity={0.7}
+          >
+            <View style={[styles.optionIcon, option.danger && styles.optionIconDanger]}>
+              <Icon
+                name={option.icon}
+                size={20}
+                color={option.danger ? colors.error.main : colors.primary.main}
+              />
+            </View>
+            <Text style={[styles.optionLabel, option.danger && styles.optionLabelDanger]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+        {!editable && (
+          <Text style={styles.hintText}>Default folders can't be renamed or deleted.</Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderNameForm = () => (
+    <View style={styles.content}>
+      <RNTextInput
+        value={name}
+        onChangeText={(text) => {
+          setName(text);
+          setNameError('');
+        }}
+        placeholder="Folder name"
+        placeholderTextColor={colors.text.tertiary}
+        maxLength={MAX_FOLDER_NAME_LENGTH}
+        style={[styles.input, nameError && styles.inputError]}
+        editable={!isSaving}
+        autoFocus
+      />
+      {nameError ? <Text style={styles.errorText}>{nameError}</Text> : null}
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={styles.cancelBtn} onPress={backToTree} disabled={isSaving} activeOpacity={0.7}>
+          <Text style={styles.cancelText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.primaryBtn, isSaving && styles.btnDisabled]}
+          onPress={handleSaveName}
+          disabled={isSaving}
+          activeOpacity={0.8}
+        >
+          {isSaving ? (
+            <ActivityIndicator size="small" color={colors.common.white} />
+          ) : (
+            <Text style={styles.primaryText}>{isRename ? 'Rename' : 'Create'}</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const renderDeleteConfirm = () => {
+    const subfolderCount = getSubtreeIds(activeFolder).length - 1;
+    return (
+      <View style={styles.content}>
+        <View style={styles.warningBox}>
+          <Icon name="alert-outline" size={20} color={colors.error.main} />
+          <Text style={styles.warningText}>
+            {subfolderCount > 0
+              ? `Its ${subfolderCount} ${subfolderCount === 1 ? 'subfolder is' : 'subfolders are'} deleted too. `
+              : ''}
+            WhatsApp numbers inside are not deleted.
+          </Text>
+        </View>
+        <View style={styles.buttonRow}>
+          <TouchableOpacity style={styles.cancelBtn} onPress={backToTree} disabled={isSaving} activeOpacity={0.7}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.dangerBtn, isSaving && styles.btnDisabled]}
+            onPress={handleDelete}
+            disabled={isSaving}
+            activeOpacity={0.8}
+          >
+            {isSaving ? (
+              <ActivityIndicator size="small" color={colors.common.white} />
+            ) : (
+              <Text style={styles.primaryText}>Delete</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  const renderTree = () => (
+    <View style={styles.content}>
+      <FolderTree
+        folders={folders}
+        selectedFolder={isMoveMode ? null : selectedFolder}
+        onFolderSelect={handleFolderPress}
+        onCreateFolder={isMoveMode ? undefined : openCreate}
+        onFolderMenu={isMoveMode ? undefined : openActions}
+        disabledFolderIds={isMoveMode && selectedFolder?._id ? [selectedFolder._id] : []}
+        maxHeight={420}
+      />
+      {isMoving && (
+        <View style={styles.movingRow}>
+          <ActivityIndicator size="small" color={colors.primary.main} />
+          <Text style={styles.movingText}>Moving...</Text>
+        </View>
+      )}
+    </View>
+  );
+
+  return (
+    <Modal
+      isVisible={visible}
+      onBackdropPress={handleClose}
+      onSwipeComplete={handleClose}
+      swipeDirection={view === 'tree' ? ['down'] : undefined}
+      style={styles.bottomModal}
+      propagateSwipe={true}
+      backdropOpacity={0.5}
+      animationIn="slideInUp"
+      animationOut="slideOutDown"
+      avoidKeyboard={true}
+    >
+      <View style={styles.sheet}>
+        <View style={styles.handleBar} />
+        {renderHeader()}
+        {view === 'tree' && renderTree()}
+        {view === 'actions' && renderActions()}
+        {view === 'name' && renderNameForm()}
+        {view === 'delete' && renderDeleteConfirm()}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  bottomModal: {
+    justifyContent: 'flex-end',
+    margin: 0,
+  },
+  sheet: {
+    backgroundColor: colors.common.white,
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    maxHeight: '85%',
+    paddingBottom: Platform.OS === 'ios' ? 34 : 16,
+  },
+  handleBar: {
+    width: 40,
+    height: 4,
+    backgroundColor: colors.grey[300],
+    borderRadius: 2,
+    alignSelf: 'center',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.grey[100],
+  },
+  headerLeft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    flex: 1,
+  },
+  headerIcon: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: colors.primary.main + '15',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerText: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: colors.text.primary,
+  },
+  headerSubtitle: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  closeBtn: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: colors.grey[100],
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 20,
+  },
+  optionItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    gap: 14,
+  },
+  optionIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 12,
+    backgroundColor: colors.primary.main + '15',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  optionIconDanger: {
+    backgroundColor: colors.error.lighter,
+  },
+  optionLabel: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: colors.text.primary,
+  },
+  optionLabelDanger: {
+    color: colors.error.main,
+  },
+  hintText: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginTop: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 12,
+    fontSize: 15,
+    color: colors.text.primary,
+  },
+  inputError: {
+    borderColor: colors.error.main,
+  },
+  errorText: {
+    fontSize: 13,
+    color: colors.error.main,
+    marginTop: 6,
+  },
+  warningBox: {
+    flexDirection: 'row',
+    gap: 10,
+    padding: 14,
+    borderRadius: 12,
+    backgroundColor: colors.error.lighter,
+  },
+  warningText: {
+    flex: 1,
+    fontSize: 14,
+    lineHeight: 20,
+    color: colors.text.primary,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 20,
+  },
+  cancelBtn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.grey[100],
+  },
+  cancelText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  primaryBtn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.primary.main,
+  },
+  dangerBtn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.error.main,
+  },
+  btnDisabled: {
+    opacity: 0.6,
+  },
+  primaryText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.common.white,
+  },
+  movingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    marginTop: 12,
+  },
+  movingText: {
+    fontSize: 14,
+    color: colors.text.secondary,
+  },
+});
+
+export default FolderManagerSheet;
@@ -34,6 +34,8 @@ const FolderItem = ({
   expandedFolders,
   onToggleExpand,
   selectedFolderId,
+  onMenuPress,
+  disabledFolderIds = [],
 }) => {
   const iconName = FOLDER_ICONS[folder.name] || FOLDER_ICONS.default;
   const folderColor = FOLDER_COLORS[folder.name] || FOLDER_COLORS.default;
@@ -41,6 +43,8 @@ const FolderItem = ({
   const hasSubfolders = folder.subfolders && folder.subfolders.length > 0;
   const isExpanded = expandedFolders[folder._id];
   const isSelected = selectedFolderId === folder._id;
+  const isDisabled = disabledFolderIds.includes(folder._id);
+  const showMenu = !!onMenuPress && folder.name !== 'Trash';
 
   // Calculate indentation based on level
   const indentLeft = level * 16;
@@ -52,8 +56,10 @@ const FolderItem = ({
           styles.folderItem,
           { paddingLeft: 12 + indentLeft },
           isSelected && styles.folderItemSelected,
+          isDisabled && styles.folderItemDisabled,
         ]}
         onPress={() => onPress(folder)}
+        disabled={isDisabled}
         activeOpacity={0.7}
       >
         {/* Expand/Collapse Arrow for folders with subfolders */}
@@ -110,6 +116,21 @@ const FolderItem = ({
             </Text>
           </View>
         )}
+
+        {/* Folder actions (create subfolder, rename, delete) */}
+        {showMenu && (
+          <TouchableOpacity
+            style={styles.menuButton}
+            onPress={() => onMenuPress(folder)}
+            hitSlop={{ top: 10, bottom: 10, left: 6, right: 6 }}
+          >
+            <Icon
+              name="dots-vertical"
+              size={18}
+              color={isSelected ? '#fff' : colors.text.secondary}
+            />
+          </TouchableOpacity>
+        )}
       </TouchableOpacity>
 
       {/* Render subfolders if expanded */}
@@ -124,6 +145,8 @@ const FolderItem = ({
               expandedFolders={expandedFolders}
               onToggleExpand={onToggleExpand}
               selectedFolderId={selectedFolderId}
+              onMenuPress={onMenuPress}
+              disabledFolderIds={disabledFolderIds}
             />
           ))}
         </View>
@@ -134,11 +157,18 @@ const FolderItem = ({
 
 /**
  * FolderTree Component - Displays folders with nested hierarchy
+ * Pass onCreateFolder / onFolderMenu to manage folders: the header gets a
+ * "new folder" button and every folder but Trash an actions button.
+ * disabledFolderIds greys out folders that can't be picked (e.g. the source
+ * folder when moving numbers).
  */
 const FolderTree = ({
   folders,
   selectedFolder,
   onFolderSelect,
+  onCreateFolder,
+  onFolderMenu,
+  disabledFolderIds = [],
   maxHeight = 280,
   showHeader = true,
 }) => {
@@ -231,8 +261,19 @@ const FolderTree = ({
             </View>
             <Text style={styles.headerTitle}>Folders</Text>
           </View>
-          <View style={styles.headerBadge}>
-            <Text style={styles.headerBadgeText}>{totalFolders}</Text>
+          <View style={styles.headerRight}>
+            <View style={styles.headerBadge}>
+              <Text style={styles.headerBadgeText}>{totalFolders}</Text>
+            </View>
+            {onCreateFolder && (
+              <TouchableOpacity
+                style={styles.headerAddButton}
+                onPress={() => onCreateFolder(null)}
+                activeOpacity={0.7}
+              >
+                <Icon name="folder-plus-outline" size={18} color={colors.primary.main} />
+              </TouchableOpacity>
+            )}
           </View>
         </View>
       )}
@@ -251,6 +292,8 @@ const FolderTree = ({
             expandedFolders={expandedFolders}
             onToggleExpand={handleToggleExpand}
             selectedFolderId={selectedFolder?._id}
+            onMenuPress={onFolderMenu}
+            disabledFolderIds={disabledFolderIds}
           />
         )}
 
@@ -264,6 +307,8 @@ const FolderTree = ({
             expandedFolders={expandedFolders}
             onToggleExpand={handleToggleExpand}
             selectedFolderId={selectedFolder?._id}
+            onMenuPress={onFolderMenu}
+            disabledFolderIds={disabledFolderIds}
           />
         ))}
 
@@ -286,6 +331,8 @@ const FolderTree = ({
             expandedFolders={expandedFolders}
             onToggleExpand={handleToggleExpand}
             selectedFolderId={selectedFolder?._id}
+            onMenuPress={onFolderMenu}
+            disabledFolderIds={disabledFolderIds}
           />
         ))}
 
@@ -300,6 +347,8 @@ const FolderTree = ({
               expandedFolders={expandedFolders}
               onToggleExpand={handleToggleExpand}
               selectedFolderId={selectedFolder?._id}
+              onMenuPress={onFolderMenu}
+              disabledFolderIds={disabledFolderIds}
             />
           </>
         )}
@@ -346,6 +395,19 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     color: colors.text.primary,
   },
+  headerRight: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  headerAddButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 10,
+    backgroundColor: colors.primary.main + '15',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
   headerBadge: {
     backgroundColor: colors.primary.main + '15',
     paddingHorizontal: 10,
@@ -373,6 +435,15 @@ const styles = StyleSheet.create({
     backgroundColor: colors.primary.main,
     borderBottomColor: colors.primary.main,
   },
+  folderItemDisabled: {
+    opacity: 0.4,
+  },
+  menuButton: {
+    width: 24,
+    height: 24,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
   expandButton: {
     width: 22,
     height: 22,
@@ -138,6 +138,8 @@ const NAME_STATUS_CONFIG = {
  * - Profile picture with WhatsApp badge overlay (same as web app)
  * - No expandable section (all info shown inline)
  * - Beautiful modern card design
+ * - Long press starts multi-select (isSelectionMode / isSelected / onToggleSelect),
+ *   used to move numbers between folders
  */
 const WhatsAppNumberCard = ({
   number,
@@ -147,6 +149,9 @@ const WhatsAppNumberCard = ({
   totalQuota = 0,
   onAccess,
   onSync,
+  isSelectionMode = false,
+  isSelected = false,
+  onToggleSelect,
   style,
 }) => {
   const account = number.account || {};
@@ -200,168 +205,189 @@ const WhatsAppNumberCard = ({
   };
 
   return (
-    <Surface style={[styles.container, isAccessed && styles.containerAccessed, style]} elevation={0}>
-      {/* Accessed indicator strip */}
-      {isAccessed && <View style={styles.accessedStrip} />}
-
-      {/* Main Content */}
-      <View style={styles.content}>
-        {/* Header: Avatar + Name + Sync Button */}
-        <View style={styles.headerRow}>
-          {/* Avatar with WhatsApp Badge */}
-          <View style={styles.avatarWrapper}>
-            {profilePic ? (
-              <Image source={{ uri: profilePic }} style={styles.avatarImage} />
-            ) : (
-              <View style={[styles.avatarFallback, { backgroundColor: avatarColor }]}>
-                <Text style={styles.avatarInitials}>{initials}</Text>
-              </View>
-            )}
-            <View style={styles.whatsappBadge}>
-              <Icon name="whatsapp" size={12} color="#25D366" />
-            </View>
-          </View>
-
-          {/* Name + Display Name Status + Phone + Account Status */}
-          <View style={styles.headerInfo}>
-            <View style={styles.nameRow}>
-              <Text style={styles.businessName} numberOfLines={1}>
-                {verifiedName}
-              </Text>
-              {nameStatus && NAME_STATUS_CONFIG[nameStatus] && (
-                <View style={[styles.nameStatusBadge, { backgroundColor: NAME_STATUS_CONFIG[nameStatus].bg }]}>
-                  <Text style={[styles.nameStatusText, { color: NAME_STATUS_CONFIG[nameStatus].text }]}>
-                    {NAME_STATUS_CONFIG[nameStatus].label}
-                  </Text>
+    <TouchableOpacity
+      activeOpacity={0.9}
+      onPress={isSelectionMode ? onToggleSelect : undefined}
+      onLongPress={onToggleSelect}
+      disabled={!onToggleSelect}
+    >
+      <Surface
+        style={[
+          styles.container,
+          isAccessed && styles.containerAccessed,
+          isSelected && styles.containerSelected,
+          style,
+        ]}
+        elevation={0}
+      >
+        {/* Accessed indicator strip */}
+        {isAccessed && <View style={styles.accessedStrip} />}
+
+        {/* Main Content — taps go to the selection toggle while selecting */}
+        <View style={styles.content} pointerEvents={isSelectionMode ? 'none' : 'auto'}>
+          {/* Header: Avatar + Name + Sync Button */}
+          <View style={styles.headerRow}>
+            {/* Avatar with WhatsApp Badge */}
+            <View style={styles.avatarWrapper}>
+              {profilePic ? (
+                <Image source={{ uri: profilePic }} style={styles.avatarImage} />
+              ) : (
+                <View style={[styles.avatarFallback, { backgroundColor: avatarColor }]}>
+                  <Text style={styles.avatarInitials}>{initials}</Text>
                 </View>
               )}
+              <View style={styles.whatsappBadge}>
+                <Icon name="whatsapp" size={12} color="#25D366" />
+              </View>
             </View>
-            <View style={styles.phoneRow}>
-              <Icon name="phone-outline" size={13} color={colors.text.secondary} />
-              <Text style={styles.phoneNumber}>{phoneNumber}</Text>
-              {account.status && ACCOUNT_STATUS_COLORS[account.status] && (
-                <View style={[styles.accountStatusDot, { backgroundColor: ACCOUNT_STATUS_COLORS[account.status] }]} />
-              )}
+
+            {/* Name + Display Name Status + Phone + Account Status */}
+            <View style={styles.headerInfo}>
+              <View style={styles.nameRow}>
+                <Text style={styles.businessName} numberOfLines={1}>
+                  {verifiedName}
+                </Text>
+                {nameStatus && NAME_STATUS_CONFIG[nameStatus] && (
+                  <View style={[styles.nameStatusBadge, { backgroundColor: NAME_STATUS_CONFIG[nameStatus].bg }]}>
+                    <Text style={[styles.nameStatusText, { color: NAME_STATUS_CONFIG[nameStatus].text }]}>
+                      {NAME_STATUS_CONFIG[nameStatus].label}
+                    </Text>
+                  </View>
+                )}
+              </View>
+              <View style={styles.phoneRow}>
+                <Icon name="phone-outline" size={13} color={colors.text.secondary} />
+                <Text style={styles.phoneNumber}>{phoneNumber}</Text>
+                {account.status && ACCOUNT_STATUS_COLORS[account.status] && (
+                  <View style={[styles.accountStatusDot, { backgroundColor: ACCOUNT_STATUS_COLORS[account.status] }]} />
+                )}
+              </View>
             </View>
-          </View>
 
-          {/* Sync Button */}
-          <TouchableOpacity
-            style={[
-              styles.syncButton,
-              (isSyncDisabled || isSyncing) && styles.syncButtonDisabled
-            ]}
-            onPress={handleSyncPress}
-            disabled={isSyncDisabled || isSyncing}
-            activeOpacity={0.7}
-          >
-            {isSyncing ? (
-              <ActivityIndicator size={16} color="#0C68E9" />
+            {/* Selection check (replaces sync while selecting) */}
+            {isSelectionMode ? (
+              <View style={[styles.selectCircle, isSelected && styles.selectCircleActive]}>
+                {isSelected && <Icon name="check" size={16} color="#FFFFFF" />}
+              </View>
             ) : (
-              <Icon
-                name="sync"
-                size={18}
-                color={isSyncDisabled ? '#CBD5E1' : '#0C68E9'}
-              />
+              <TouchableOpacity
+                style={[
+                  styles.syncButton,
+                  (isSyncDisabled || isSyncing) && styles.syncButtonDisabled
+                ]}
+                onPress={handleSyncPress}
+                disabled={isSyncDisabled || isSyncing}
+                activeOpacity={0.7}
+              >
+                {isSyncing ? (
+                  <ActivityIndicator size={16} color="#0C68E9" />
+                ) : (
+                  <Icon
+                    name="sync"
+                    size={18}
+                    color={isSyncDisabled ? '#CBD5E1' : '#0C68E9'}
+                  />
+                )}
+              </TouchableOpacity>
             )}
-          </TouchableOpacity>
-        </View>
-
-        {/* Quality, Tier & Meta Status Row */}
-        <View style={styles.badgesRow}>
-          <View style={[styles.badge, { backgroundColor: quality.bg }]}>
-            <Icon name="shield-check" size={12} color={quality.text} />
-            <Text style={[styles.badgeText, { color: quality.text }]}>{quality.label}</Text>
-          </View>
-          <View style={[styles.badge, styles.tierBadge]}>
-            <Icon name="speedometer" size={12} color="#6366F1" />
-            <Text style={[styles.badgeText, { color: '#6366F1' }]}>
-              {TIER_LABELS[messagingTier] || 'N/A'}
-            </Text>
           </View>
-          {metaStatus && META_STATUS_CONFIG[metaStatus] && (
-            <View style={[styles.badge, { backgroundColor: META_STATUS_CONFIG[metaStatus].bg }]}>
-              <View style={[styles.statusDot, { backgroundColor: META_STATUS_CONFIG[metaStatus].dot }]} />
-              <Text style={[styles.badgeText, { color: META_STATUS_CONFIG[metaStatus].text }]}>
-                {META_STATUS_CONFIG[metaStatus].label}
+
+          {/* Quality, Tier & Meta Status Row */}
+          <View style={styles.badgesRow}>
+            <View style={[styles.badge, { backgroundColor: quality.bg }]}>
+              <Icon name="shield-check" size={12} color={quality.text} />
+              <Text style={[styles.badgeText, { color: quality.text }]}>{quality.label}</Text>
+            </View>
+            <View style={[styles.badge, styles.tierBadge]}>
+              <Icon name="speedometer" size={12} color="#6366F1" />
+              <Text style={[styles.badgeText, { color: '#6366F1' }]}>
+                {TIER_LABELS[messagingTier] || 'N/A'}
               </Text>
             </View>
-          )}
-        </View>
-
-        {/* Credits Section */}
-        <View style={styles.creditsSection}>
-          <View style={styles.creditsHeader}>
-            <Text style={styles.creditsTitle}>Credits Usage</Text>
-            <Text style={styles.creditsValue}>
-              <Text style={styles.creditsUsed}>{formatLargeNumber(upperCapUsed)}</Text>
-              <Text style={styles.creditsSeparator}> / </Text>
-              <Text style={styles.creditsTotal}>{formatLargeNumber(creditsAllotted)}</Text>
-            </Text>
+            {metaStatus && META_STATUS_CONFIG[metaStatus] && (
+              <View style={[styles.badge, { backgroundColor: META_STATUS_CONFIG[metaStatus].bg }]}>
+                <View style={[styles.statusDot, { backgroundColor: META_STATUS_CONFIG[metaStatus].dot }]} />
+                <Text style={[styles.badgeText, { color: META_STATUS_CONFIG[metaStatus].text }]}>
+                  {META_STATUS_CONFIG[metaStatus].label}
+                </Text>
+              </View>
+            )}
           </View>
 
-          {/* Progress Bar */}
-          <View style={styles.progressContainer}>
-            <View style={styles.progressTrack}>
-              <View
-                style={[
-                  styles.progressFill,
-                  {
-                    width: `${creditsPercentage}%`,
-                    backgroundColor: creditsPercentage > 80 ? '#EF4444' : creditsPercentage > 50 ? '#F59E0B' : '#22C55E'
-                  }
-                ]}
-              />
+          {/* Credits Section */}
+          <View style={styles.creditsSection}>
+            <View style={styles.creditsHeader}>
+              <Text style={styles.creditsTitle}>Credits Usage</Text>
+              <Text style={styles.creditsValue}>
+                <Text style={styles.creditsUsed}>{formatLargeNumber(upperCapUsed)}</Text>
+                <Text style={styles.creditsSeparator}> / </Text>
+                <Text style={styles.creditsTotal}>{formatLargeNumber(creditsAllotted)}</Text>
+              </Text>
             </View>
-          </View>
 
-          {/* Stats Row */}
-          <View style={styles.statsRow}>
-            <View style={styles.statBox}>
-              <View style={[styles.statIconBox, { backgroundColor: '#DBEAFE' }]}>
-                <Icon name="chart-bar" size={14} color="#2563EB" />
-              </View>
-              <View>
-                <Text style={styles.statLabel}>Used</Text>
-                <Text style={styles.statNumber}>{formatLargeNumber(upperCapUsed)}</Text>
+            {/* Progress Bar */}
+            <View style={styles.progressContainer}>
+              <View style={styles.progressTrack}>
+                <View
+                  style={[
+                    styles.progressFill,
+                    {
+                      width: `${creditsPercentage}%`,
+                      backgroundColor: creditsPercentage > 80 ? '#EF4444' : creditsPercentage > 50 ? '#F59E0B' : '#22C55E'
+                    }
+                  ]}
+                />
               </View>
             </View>
 
-            <View style={styles.statDivider} />
-
-            <View style={styles.statBox}>
-              <View style={[styles.statIconBox, { backgroundColor: '#DCFCE7' }]}>
-                <Icon name="wallet-outline" size={14} color="#16A34A" />
+            {/* Stats Row */}
+            <View style={styles.statsRow}>
+              <View style={styles.statBox}>
+                <View style={[styles.statIconBox, { backgroundColor: '#DBEAFE' }]}>
+                  <Icon name="chart-bar" size={14} color="#2563EB" />
+                </View>
+                <View>
+                  <Text style={styles.statLabel}>Used</Text>
+                  <Text style={styles.statNumber}>{formatLargeNumber(upperCapUsed)}</Text>
+                </View>
               </View>
-              <View>
-                <Text style={styles.statLabel}>Remaining</Text>
-                <Text style={[styles.statNumber, creditsRemaining < 100 && styles.lowCredits]}>
-                  {formatLargeNumber(creditsRemaining)}
-                </Text>
+
+              <View style={styles.statDivider} />
+
+              <View style={styles.statBox}>
+                <View style={[styles.statIconBox, { backgroundColor: '#DCFCE7' }]}>
+                  <Icon name="wallet-outline" size={14} color="#16A34A" />
+                </View>
+                <View>
+                  <Text style={styles.statLabel}>Remaining</Text>
+                  <Text style={[styles.statNumber, creditsRemaining < 100 && styles.lowCredits]}>
+                    {formatLargeNumber(creditsRemaining)}
+                  </Text>
+                </View>
               </View>
             </View>
           </View>
-        </View>
 
-        {/* Action Button */}
-        <Button
-          mode="contained"
-          onPress={onAccess}
-          disabled={!isActive || isAccessed || isLoading}
-          loading={isLoading}
-          style={[
-            styles.actionBtn,
-            isAccessed && styles.actionBtnAccessing,
-          ]}
-          labelStyle={styles.actionBtnLabel}
-          buttonColor={isAccessed ? '#22C55E' : isLoading ? colors.primary.main : colors.primary.main}
-          contentStyle={styles.actionBtnContent}
-          icon={isAccessed ? 'check-circle' : isLoading ? undefined : 'inbox-arrow-down'}
-        >
-          {isLoading ? 'Accessing...' : isAccessed ? 'Accessing' : 'Access Inbox'}
-        </Button>
-      </View>
-    </Surface>
+          {/* Action Button */}
+          <Button
+            mode="contained"
+            onPress={onAccess}
+            disabled={!isActive || isAccessed || isLoading}
+            loading={isLoading}
+            style={[
+              styles.actionBtn,
+              isAccessed && styles.actionBtnAccessing,
+            ]}
+            labelStyle={styles.actionBtnLabel}
+            buttonColor={isAccessed ? '#22C55E' : isLoading ? colors.primary.main : colors.primary.main}
+            contentStyle={styles.actionBtnContent}
+            icon={isAccessed ? 'check-circle' : isLoading ? undefined : 'inbox-arrow-down'}
+          >
+            {isLoading ? 'Accessing...' : isAccessed ? 'Accessing' : 'Access Inbox'}
+          </Button>
+        </View>
+      </Surface>
+    </TouchableOpacity>
   );
 };
 
@@ -377,6 +403,23 @@ const styles = StyleSheet.create({
     borderColor: '#22C55E',
     borderWidth: 2,
   },
+  containerSelected: {
+    borderColor: colors.primary.main,
+    borderWidth: 2,
+  },
+  selectCircle: {
+    width: 26,
+    height: 26,
+    borderRadius: 13,
+    borderWidth: 2,
+    borderColor: '#CBD5E1',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  selectCircleActive: {
+    backgroundColor: colors.primary.main,
+    borderColor: colors.primary.main,
+  },
   accessedStrip: {
     height: 4,
     backgroundColor: '#22C55E',
@@ -1,3 +1,4 @@
 // Dashboard specific components
 export { default as WhatsAppNumberCard } from './WhatsAppNumberCard';
 export { default as FolderTree } from './FolderTree';
+export { default as FolderManagerSheet } from './FolderManagerSheet';
@@ -0,0 +1,790 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Platform,
+  TextInput as RNTextInput,
+} from 'react-native';
+import { Text, ActivityIndicator } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import Modal from 'react-native-modal';
+import * as ImagePicker from 'expo-image-picker';
+import * as DocumentPicker from 'expo-document-picker';
+import { colors } from '../../theme/colors';
+import { uploadFile, validateFileSize } from '../../services/fileUploadService';
+import { showError, showWarning } from '../../utils/toast';
+import { getTemplateVariables, getTemplateMediaFormat } from '../../utils/broadcastHelpers';
+import { MessagePreviewBubble } from '../common';
+import TemplatePickerDialog from '../chat/TemplatePickerDialog';
+
+// Regular message types (same set as quick replies)
+const MESSAGE_TYPES = {
+  text: { label: 'Text', icon: 'message-text', color: '#9E9E9E', bg: '#F5F5F5' },
+  image: { label: 'Image', icon: 'image', color: '#2196F3', bg: '#E3F2FD' },
+  video: { label: 'Video', icon: 'video', color: '#9C27B0', bg: '#F3E5F5' },
+  audio: { label: 'Audio', icon: 'microphone', color: '#3F51B5', bg: '#E8EAF6' },
+  file: { label: 'File', icon: 'file-document', color: '#FF9800', bg: '#FFF3E0' },
+};
+
+const DOCUMENT_MIME_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+];
+
+// Template header formats map onto the regular media kinds
+const HEADER_MEDIA_KIND = { IMAGE: 'image', VIDEO: 'video', DOCUMENT: 'file' };
+
+const getTemplateName = (template) => template?.name || template?.templateName || '';
+
+// Params are keyed by the 0-based placeholder position ({{1}} -> '0')
+const getParamKey = (variable) => String(variable.number - 1);
+
+// Preview params — filled values only, so empty variables keep their example text
+const buildParamsForPreview = (variables, values, component) =>
+  Object.fromEntries(
+    variables
+      .filter((variable) => variable.component === component && values[variable.key]?.trim())
+      .map((variable) => [getParamKey(variable), values[variable.key].trim()])
+  );
+
+/**
+ * Let the user pick a media file of the given kind
+ * @returns {Promise<Object|null>} { uri, fileName, fileType, mimeType, fileSize }
+ */
+const pickMediaFile = async (kind, documentTypes = DOCUMENT_MIME_TYPES) => {
+  if (kind === 'image' || kind === 'video') {
+    const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (status !== 'granted') {
+      showWarning('Please allow access to your photo library to upload media.', 'Permission Required');
+      return null;
+    }
+    const isVideo = kind === 'video';
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: isVideo ? ImagePicker.MediaTypeOptions.Videos : ImagePicker.MediaTypeOptions.Images,
+      allowsEditing: false,
+      quality: 0.8,
+    });
+    const asset = !result.canceled ? result.assets?.[0] : null;
+    if (!asset) return null;
+    return {
+      uri: asset.uri,
+      fileName: asset.fileName || `${isVideo ? 'VID' : 'IMG'}_${Date.now()}.${isVideo ? 'mp4' : 'jpg'}`,
+      fileType: kind,
+      mimeType: asset.mimeType || (isVideo ? 'video/mp4' : 'image/jpeg'),
+      fileSize: asset.fileSize,
+    };
+  }
+
+  const result = await DocumentPicker.getDocumentAsync({
+    type: kind === 'audio' ? ['audio/*'] : documentTypes,
+    copyToCacheDirectory: true,
+  });
+  const doc = result.assets?.[0] || (result.type === 'success' ? result : null);
+  if (!doc?.uri) return null;
+  return {
+    uri: doc.uri,
+    fileName: doc.name || `${kind === 'audio' ? 'AUD' : 'DOC'}_${Date.now()}`,
+    fileType: kind === 'audio' ? 'audio' : 'document',
+    mimeType: doc.mimeType || (kind === 'audio' ? 'audio/mpeg' : 'application/pdf'),
+    fileSize: doc.size,
+  };
+};
+
+/**
+ * Bottom sheet for editing an inbox auto message (welcome or off-hours).
+ * The message is either a regular message (text or media with caption)
+ * or an approved template with static values for its variables.
+ */
+const AutoMessageEditorModal = ({
+  visible,
+  title,
+  config,
+  templates = [],
+  onClose,
+  onSave,
+  isSaving,
+}) => {
+  const [mode, setMode] = useState('regular');
+  const [regularType, setRegularType] = useState('text');
+  const [message, setMessage] = useState('');
+  const [fileUrl, setFileUrl] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [template, setTemplate] = useState(null);
+  const [variableValues, setVariableValues] = useState({});
+  const [showTemplatePicker, setShowTemplatePicker] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+  const [error, setError] = useState('');
+
+  const variables = useMemo(() => getTemplateVariables(template), [template]);
+  const headerMediaFormat = useMemo(() => getTemplateMediaFormat(template), [template]);
+
+  // Load the saved message each time the sheet opens
+  useEffect(() => {
+    if (!visible) return;
+    const isTemplate = config?.messageType === 'template';
+    const savedTemplate = isTemplate
+      ? templates.find((t) => getTemplateName(t) === config.templateName) || null
+      : null;
+
+    setMode(isTemplate ? 'template' : 'regular');
+    setRegularType(!isTemplate && MESSAGE_TYPES[config?.regularMessageType] ? config.regularMessageType : 'text');
+    setMessage(isTemplate ? '' : config?.regularMessage || '');
+    setFileUrl(config?.headerFileURL || '');
+    setFileName(config?.fileName || '');
+    setTemplate(savedTemplate);
+    setVariableValues(
+      Object.fromEntries(
+        getTemplateVariables(savedTemplate).map((variable) => {
+          const params = variable.component === 'header' ? config?.headerParams : config?.bodyParams;
+          return [variable.key, params?.[getParamKey(variable)] || ''];
+        })
+      )
+    );
+    setError('');
+  }, [visible, config, templates]);
+
+  const clearFile = () => {
+    setFileUrl('');
+    setFileName('');
+  };
+
+  const handleModeChange = (nextMode) => {
+    if (nextMode === mode) return;
+    setMode(nextMode);
+    clearFile();
+    setError('');
+  };
+
+  const handleRegularTypeChange = (type) => {
+    if (type === regularType) return;
+    setRegularType(type);
+    clearFile();
+    setError('');
+  };
+
+  const handleTemplateSelect = (selected) => {
+    setShowTemplatePicker(false);
+    setTemplate(selected);
+    setVariableValues(
+      Object.fromEntries(getTemplateVariables(selected).map((variable) => [variable.key, variable.example || '']))
+    );
+    clearFile();
+    setError('');
+  };
+
+  const handleUpload = async (kind, documentTypes) => {
+    try {
+      const file = await pickMediaFile(kind, documentTypes);
+      if (!file) return;
+
+      if (file.fileSize) {
+        const validation = validateFileSize(file.fileSize, file.fileType);
+        if (!validation.valid) {
+          showWarning(validation.message, 'File Too Large');
+          return;
+        }
+      }
+
+      setIsUploading(true);
+      const uploadResult = await uploadFile(file);
+      if (!uploadResult?.url) {
+        throw new Error('Upload did not return a file URL');
+      }
+      setFileUrl(uploadResult.url);
+      setFileName(file.fileName);
+      setError('');
+    } catch (uploadError) {
+      showError('Failed to upload file. Please try again.', 'Upload Failed');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const validate = () => {
+    if (isUploading) return 'Wait for the upload to finish';
+    if (mode === 'regular') {
+      if (regularType === 'text') return message.trim() ? null : 'Enter a message';
+      return fileUrl ? null : `Upload a${regularType === 'image' || regularType === 'audio' ? 'n' : ''} ${MESSAGE_TYPES[regularType].label.toLowerCase()}`;
+    }
+    if (!template) return 'Choose a template';
+    if (headerMediaFormat && !fileUrl) return `Upload a header ${headerMediaFormat.toLowerCase()}`;
+    const missing = variables.find((variable) => !variableValues[variable.key]?.trim());
+    if (missing) return `Enter a value for {{${missing.number}}} in the ${missing.component}`;
+    return null;
+  };
+
+  const buildParams = (component) =>
+    Object.fromEntries(
+      variables
+        .filter((variable) => variable.component === component)
+        .map((variable) => [getParamKey(variable), variableValues[variable.key].trim()])
+    );
+
+  const handleSave = () => {
+    const validationError = validate();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    if (mode === 'template') {
+      onSave({
+        messageType: 'template',
+        templateName: getTemplateName(template),
+        bodyParams: buildParams('body'),
+        headerParams: buildParams('header'),
+        headerFileURL: headerMediaFormat ? fileUrl : '',
+        fileName: headerMediaFormat ? fileName : '',
+        regularMessageType: '',
+        regularMessage: '',
+      });
+      return;
+    }
+
+    onSave({
+      // Keep the backend's value for non-template messages if one was saved
+      messageType: config?.messageType && config.messageType !== 'template' ? config.messageType : 'regular',
+      regularMessageType: regularType,
+      regularMessage: regularType === 'audio' ? '' : message.trim(),
+      headerFileURL: regularType === 'text' ? '' : fileUrl,
+      fileName: regularType === 'text' ? '' : fileName,
+      templateName: '',
+      bodyParams: {},
+      headerParams: {},
+    });
+  };
+
+  const renderUploadBox = (kind, label, documentTypes) => (
+    <View style={styles.uploadBox}>
+      <Icon name={MESSAGE_TYPES[kind].icon} size={22} color={MESSAGE_TYPES[kind].color} />
+      <Text style={styles.uploadText} numberOfLines={1}>
+        {isUploading ? 'Uploading…' : fileName || (fileUrl ? 'File uploaded' : `No ${label} selected`)}
+      </Text>
+      {isUploading ? (
+        <ActivityIndicator size="small" color={colors.primary.main} />
+      ) : (
+        <View style={styles.uploadActions}>
+          {fileUrl ? (
+            <TouchableOpacity onPress={clearFile} disabled={isSaving} style={styles.uploadIconBtn}>
+              <Icon name="close" size={18} color={colors.text.secondary} />
+            </TouchableOpacity>
+          ) : null}
+          <TouchableOpacity
+            onPress={() => handleUpload(kind, documentTypes)}
+            disabled={isSaving}
+            style={styles.uploadBtn}
+            activeOpacity={0.7}
+          >
+            <Text style={styles.uploadBtnText}>{fileUrl ? 'Replace' : 'Upload'}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+
+  const renderRegularEditor = () => (
+    <>
+      <Text style={styles.label}>Message type</Text>
+      <View style={styles.optionGrid}>
+        {Object.entries(MESSAGE_TYPES).map(([type, typeConfig]) => {
+          const isSelected = regularType === type;
+          return (
+            <TouchableOpacity
+              key={type}
+              style={[
+                styles.optionChip,
+                isSelected && { borderColor: typeConfig.color, backgroundColor: typeConfig.bg },
+              ]}
+              onPress={() => handleRegularTypeChange(type)}
+              disabled={isSaving || isUploading}
+              activeOpacity={0.7}
+            >
+              <Icon name={typeConfig.icon} size={16} color={typeConfig.color} />
+              <Text style={styles.optionText}>{typeConfig.label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {regularType !== 'text' && (
+        <>
+          <Text style={styles.label}>{MESSAGE_TYPES[regularType].label}</Text>
+          {renderUploadBox(regularType, MESSAGE_TYPES[regularType].label.toLowerCase())}
+        </>
+      )}
+
+      {regularType !== 'audio' && (
+        <>
+          <Text style={styles.label}>{regularType === 'text' ? 'Message' : 'Caption (optional)'}</Text>
+          <RNTextInput
+            value={message}
+            onChangeText={(text) => {
+              setMessage(text);
+              setError('');
+            }}
+            placeholder="Hi! Thanks for reaching out…"
+            placeholderTextColor={colors.text.tertiary}
+            multiline
+            maxLength={1024}
+            editable={!isSaving}
+            style={styles.messageInput}
+          />
+        </>
+      )}
+    </>
+  );
+
+  const renderTemplateEditor = () => (
+    <>
+      <Text style={styles.label}>Template</Text>
+      <TouchableOpacity
+        style={styles.templateSelector}
+        onPress={() => setShowTemplatePicker(true)}
+        disabled={isSaving || isUploading}
+        activeOpacity={0.7}
+      >
+        <Icon name="file-document-outline" size={20} color={colors.primary.main} />
+        <View style={styles.templateSelectorInfo}>
+          <Text style={styles.templateSelectorName} numberOfLines={1}>
+            {template ? getTemplateName(template) : 'Choose an approved template'}
+          </Text>
+          {template && (
+            <Text style={styles.templateSelectorMeta}>
+              {[template.category, template.language].filter(Boolean).join(' · ')}
+            </Text>
+          )}
+        </View>
+        <Icon name="chevron-right" size={20} color={colors.grey[400]} />
+      </TouchableOpacity>
+
+      {headerMediaFormat && (
+        <>
+          <Text style={styles.label}>Header {headerMediaFormat.toLowerCase()}</Text>
+          {renderUploadBox(
+            HEADER_MEDIA_KIND[headerMediaFormat],
+            headerMediaFormat.toLowerCase(),
+            ['application/pdf']
+          )}
+        </>
+      )}
+
+      {variables.length > 0 && (
+        <>
+          <Text style={styles.label}>Variables</Text>
+          {variables.map((variable) => (
+            <View key={variable.key} style={styles.variableRow}>
+              <Text style={styles.variableTag}>
+                {variable.component === 'header' ? 'Header' : 'Body'} {`{{${variable.number}}}`}
+              </Text>
+              <RNTextInput
+                value={variableValues[variable.key] || ''}
+                onChangeText={(text) => {
+                  setVariableValues((prev) => ({ ...prev, [variable.key]: text }));
+                  setError('');
+                }}
+                placeholder={variable.example || 'Value'}
+                placeholderTextColor={colors.text.tertiary}
+                editable={!isSaving}
+                style={styles.variableInput}
+              />
+            </View>
+          ))}
+        </>
+      )}
+    </>
+  );
+
+  const previewParams = mode === 'template'
+    ? {
+        body: buildParamsForPreview(variables, variableValues, 'body'),
+        header: buildParamsForPreview(variables, variableValues, 'header'),
+      }
+    : null;
+
+  return (
+    <Modal
+      isVisible={visible}
+      onBackdropPress={isSaving ? undefined : onClose}
+      onSwipeComplete={onClose}
+      swipeDirection={isSaving ? [] : ['down']}
+      style={styles.bottomModal}
+      propagateSwipe={true}
+      backdropOpacity={0.5}
+      animationIn="slideInUp"
+      animationOut="slideOutDown"
+      avoidKeyboard={true}
+    >
+      <View style={styles.sheet}>
+        <View style={styles.handleBar} />
+
+        <View style={styles.header}>
+          <View style={styles.headerLeft}>
+            <View style={styles.headerIcon}>
+              <Icon name="message-text-outline" size={24} color="#16A34A" />
+            </View>
+            <View style={styles.headerTextBox}>
+              <Text style={styles.headerTitle}>{title}</Text>
+              <Text style={styles.headerSubtitle}>Choose what customers receive</Text>
+            </View>
+          </View>
+          <TouchableOpacity onPress={onClose} style={styles.closeBtn} disabled={isSaving}>
+            <Icon name="close" size={24} color={colors.text.secondary} />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          {/* Regular / Template switch */}
+          <View style={styles.modeSwitch}>
+            {[
+              { key: 'regular', label: 'Regular Message', icon: 'message-outline' },
+              { key: 'template', label: 'Template', icon: 'file-document-outline' },
+            ].map((option) => (
+              <TouchableOpacity
+                key={option.key}
+                style={[styles.modeOption, mode === option.key && styles.modeOptionActive]}
+                onPress={() => handleModeChange(option.key)}
+                disabled={isSaving || isUploading}
+                activeOpacity={0.7}
+              >
+                <Icon
+                  name={option.icon}
+                  size={16}
+                  color={mode === option.key ? colors.common.white : colors.text.secondary}
+                />
+                <Text style={[styles.modeText, mode === option.key && styles.modeTextActive]}>{option.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {mode === 'regular' ? renderRegularEditor() : renderTemplateEditor()}
+
+          <Text style={styles.label}>Preview</Text>
+          <MessagePreviewBubble
+            mode={mode === 'template' ? 'template' : 'regular'}
+            messageType={mode === 'template' ? (template ? 'template' : '') : 'regular'}
+            emptyTitle="No Template Selected"
+            emptyHint="Choose a template to see the preview"
+            templateData={template}
+            templateName={getTemplateName(template)}
+            bodyParams={previewParams?.body}
+            headerParams={previewParams?.header}
+            headerFileUrl={fileUrl}
+            showActualMedia={true}
+            buttonsInsideBubble={true}
+            regularMessageType={regularType}
+            message={message}
+            fileUrl={fileUrl}
+            fileName={fileName}
+          />
+
+          {error ? <Text style={styles.errorText}>{error}</Text> : null}
+        </ScrollView>
+
+        <View style={styles.actions}>
+          <TouchableOpacity style={styles.cancelBtn} onPress={onClose} disabled={isSaving} activeOpacity={0.7}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.saveBtn, (isSaving || isUploading) && styles.saveBtnDisabled]}
+            onPress={handleSave}
+            disabled={isSaving || isUploading}
+            activeOpacity={0.8}
+          >
+            {isSaving ? (
+              <ActivityIndicator size="small" color={colors.common.white} />
+            ) : (
+              <>
+                <Icon name="check" size={18} color={colors.common.white} />
+                <Text style={styles.saveText}>Save</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      <TemplatePickerDialog
+        visible={showTemplatePicker}
+        onClose={() => setShowTemplatePicker(false)}
+        templates={templates}
+        onSelect={handleTemplateSelect}
+      />
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  bottomModal: {
+    justifyContent: 'flex-end',
+    margin: 0,
+  },
+  sheet: {
+    backgroundColor: colors.common.white,
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    maxHeight: '90%',
+    paddingBottom: Platform.OS === 'ios' ? 34 : 16,
+  },
+  handleBar: {
+    width: 40,
+    height: 4,
+    backgroundColor: colors.grey[300],
+    borderRadius: 2,
+    alignSelf: 'center',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.grey[100],
+  },
+  headerLeft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    flex: 1,
+  },
+  headerIcon: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: '#DCFCE7',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTextBox: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: colors.text.primary,
+  },
+  headerSubtitle: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  closeBtn: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: colors.grey[100],
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 20,
+  },
+  modeSwitch: {
+    flexDirection: 'row',
+    backgroundColor: colors.grey[100],
+    borderRadius: 12,
+    padding: 4,
+    gap: 4,
+  },
+  modeOption: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 10,
+    borderRadius: 10,
+    gap: 6,
+  },
+  modeOptionActive: {
+    backgroundColor: colors.primary.main,
+  },
+  modeText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  modeTextActive: {
+    color: colors.common.white,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text.primary,
+    marginTop: 18,
+    marginBottom: 10,
+  },
+  optionGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  optionChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    backgroundColor: colors.common.white,
+  },
+  optionText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: colors.text.primary,
+  },
+  uploadBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: colors.grey[300],
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    gap: 10,
+  },
+  uploadText: {
+    flex: 1,
+    fontSize: 13,
+    color: colors.text.secondary,
+  },
+  uploadActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  uploadIconBtn: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: colors.grey[100],
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  uploadBtn: {
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    borderRadius: 8,
+    backgroundColor: colors.primary.main + '15',
+  },
+  uploadBtnText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.primary.main,
+  },
+  messageInput: {
+    minHeight: 96,
+    maxHeight: 180,
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: colors.text.primary,
+    textAlignVertical: 'top',
+  },
+  templateSelector: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    gap: 10,
+  },
+  templateSelectorInfo: {
+    flex: 1,
+  },
+  templateSelectorName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  templateSelectorMeta: {
+    fontSize: 12,
+    color: colors.text.secondary,
+    marginTop: 2,
+    textTransform: 'capitalize',
+  },
+  variableRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+    gap: 10,
+  },
+  variableTag: {
+    width: 92,
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  variableInput: {
+    flex: 1,
+    height: 42,
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    fontSize: 14,
+    color: colors.text.primary,
+  },
+  errorText: {
+    fontSize: 13,
+    color: colors.error.main,
+    marginTop: 16,
+  },
+  actions: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 8,
+    gap: 12,
+    borderTopWidth: 1,
+    borderTopColor: colors.grey[100],
+  },
+  cancelBtn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.grey[100],
+  },
+  cancelText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  saveBtn: {
+    flex: 1.5,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.primary.main,
+    gap: 6,
+  },
+  saveBtnDisabled: {
+    opacity: 0.6,
+  },
+  saveText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.common.white,
+  },
+});
+
+export default AutoMessageEditorModal;
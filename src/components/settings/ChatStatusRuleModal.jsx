@@ -0,0 +1,352 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Platform,
+  TextInput as RNTextInput,
+} from 'react-native';
+import { Text, ActivityIndicator } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import Modal from 'react-native-modal';
+import { colors } from '../../theme/colors';
+
+const MAX_DAYS = 365;
+
+/**
+ * Bottom sheet for creating or editing a chat status rule
+ * ("move chats from <status> to <status> after N days").
+ * Only one rule can exist per source status.
+ */
+const ChatStatusRuleModal = ({
+  visible,
+  rule,
+  statusConfig,
+  usedFromStatuses = [],
+  onClose,
+  onSave,
+  isSaving,
+}) => {
+  const isEditing = !!rule;
+  const [fromStatus, setFromStatus] = useState('');
+  const [toStatus, setToStatus] = useState('');
+  const [days, setDays] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (visible) {
+      setFromStatus(rule?.fromStatus || '');
+      setToStatus(rule?.toStatus || '');
+      setDays(rule?.days ? String(rule.days) : '');
+      setError('');
+    }
+  }, [visible, rule]);
+
+  const statusKeys = Object.keys(statusConfig);
+
+  const handleSave = () => {
+    const dayCount = parseInt(days, 10);
+    if (!fromStatus || !toStatus) {
+      setError('Choose both statuses');
+      return;
+    }
+    if (fromStatus === toStatus) {
+      setError('The new status must be different');
+      return;
+    }
+    if (!dayCount || dayCount < 1 || dayCount > MAX_DAYS) {
+      setError(`Enter between 1 and ${MAX_DAYS} days`);
+      return;
+    }
+    onSave({ ...rule, fromStatus, toStatus, days: dayCount });
+  };
+
+  const renderStatusOptions = (selected, onSelect, isDisabled) => (
+    <View style={styles.optionGrid}>
+      {statusKeys.map((key) => {
+        const config = statusConfig[key];
+        const isSelected = selected === key;
+        const disabled = isDisabled(key);
+        return (
+          <TouchableOpacity
+            key={key}
+            style={[
+              styles.optionChip,
+              isSelected && { borderColor: config.color, backgroundColor: config.bg },
+              disabled && styles.optionChipDisabled,
+            ]}
+            onPress={() => {
+              onSelect(key);
+              setError('');
+            }}
+            disabled={disabled || isSaving}
+            activeOpacity={0.7}
+          >
+            <Icon name={config.icon} size={16} color={disabled ? colors.grey[400] : config.color} />
+            <Text style={[styles.optionText, disabled && styles.optionTextDisabled]}>{config.label}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  return (
+    <Modal
+      isVisible={visible}
+      onBackdropPress={isSaving ? undefined : onClose}
+      onSwipeComplete={onClose}
+      swipeDirection={isSaving ? [] : ['down']}
+      style={styles.bottomModal}
+      propagateSwipe={true}
+      backdropOpacity={0.5}
+      animationIn="slideInUp"
+      animationOut="slideOutDown"
+      avoidKeyboard={true}
+    >
+      <View style={styles.sheet}>
+        <View style={styles.handleBar} />
+
+        <View style={styles.header}>
+          <View style={styles.headerLeft}>
+            <View style={styles.headerIcon}>
+              <Icon name="swap-horizontal" size={24} color="#3F51B5" />
+            </View>
+            <View>
+              <Text style={styles.headerTitle}>{isEditing ? 'Edit Status Rule' : 'Add Status Rule'}</Text>
+              <Text style={styles.headerSubtitle}>Change a chat's status after inactivity</Text>
+            </View>
+          </View>
+          <TouchableOpacity onPress={onClose} style={styles.closeBtn} disabled={isSaving}>
+            <Icon name="close" size={24} color={colors.text.secondary} />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          <Text style={styles.label}>When a chat is</Text>
+          {renderStatusOptions(
+            fromStatus,
+            setFromStatus,
+            // One rule per source status — other rules' statuses can't be picked
+            (key) => key !== rule?.fromStatus && usedFromStatuses.includes(key)
+          )}
+
+          <Text style={styles.label}>for</Text>
+          <View style={styles.daysRow}>
+            <RNTextInput
+              value={days}
+              onChangeText={(text) => {
+                setDays(text.replace(/[^0-9]/g, ''));
+                setError('');
+              }}
+              placeholder="7"
+              placeholderTextColor={colors.text.tertiary}
+              keyboardType="number-pad"
+              maxLength={3}
+              style={styles.daysInput}
+              editable={!isSaving}
+            />
+            <Text style={styles.daysSuffix}>days without activity</Text>
+          </View>
+
+          <Text style={styles.label}>change it to</Text>
+          {renderStatusOptions(toStatus, setToStatus, (key) => key === fromStatus)}
+
+          {error ? <Text style={styles.errorText}>{error}</Text> : null}
+        </ScrollView>
+
+        <View style={styles.actions}>
+          <TouchableOpacity style={styles.cancelBtn} onPress={onClose} disabled={isSaving} activeOpacity={0.7}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.saveBtn, isSaving && styles.saveBtnDisabled]}
+            onPress={handleSave}
+            disabled={isSaving}
+            activeOpacity={0.8}
+          >
+            {isSaving ? (
+              <ActivityIndicator size="small" color={colors.common.white} />
+            ) : (
+              <>
+                <Icon name={isEditing ? 'check' : 'plus'} size={18} color={colors.common.white} />
+                <Text style={styles.saveText}>{isEditing ? 'Save' : 'Add Rule'}</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  bottomModal: {
+    justifyContent: 'flex-end',
+    margin: 0,
+  },
+  sheet: {
+    backgroundColor: colors.common.white,
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    maxHeight: '85%',
+    paddingBottom: Platform.OS === 'ios' ? 34 : 16,
+  },
+  handleBar: {
+    width: 40,
+    height: 4,
+    backgroundColor: colors.grey[300],
+    borderRadius: 2,
+    alignSelf: 'center',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.grey[100],
+  },
+  headerLeft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    flex: 1,
+  },
+  headerIcon: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: '#E8EAF6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: colors.text.primary,
+  },
+  headerSubtitle: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  closeBtn: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: colors.grey[100],
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text.primary,
+    marginTop: 8,
+    marginBottom: 10,
+  },
+  optionGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  optionChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    backgroundColor: colors.common.white,
+  },
+  optionChipDisabled: {
+    backgroundColor: colors.grey[50],
+    borderColor: colors.grey[200],
+  },
+  optionText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: colors.text.primary,
+  },
+  optionTextDisabled: {
+    color: colors.text.tertiary,
+  },
+  daysRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  daysInput: {
+    width: 72,
+    height: 48,
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    borderRadius: 12,
+    textAlign: 'center',
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  daysSuffix: {
+    fontSize: 14,
+    color: colors.text.secondary,
+  },
+  errorText: {
+    fontSize: 13,
+    color: colors.error.main,
+    marginTop: 16,
+  },
+  actions: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 8,
+    gap: 12,
+    borderTopWidth: 1,
+    borderTopColor: colors.grey[100],
+  },
+  cancelBtn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.grey[100],
+  },
+  cancelText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  saveBtn: {
+    flex: 1.5,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.primary.main,
+    gap: 6,
+  },
+  saveBtnDisabled: {
+    opacity: 0.6,
+  },
+  saveText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.common.white,
+  },
+});
+
+export default ChatStatusRuleModal;
@@ -0,0 +1,460 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Platform,
+  TextInput as RNTextInput,
+} from 'react-native';
+import { Text, ActivityIndicator } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import Modal from 'react-native-modal';
+import { colors } from '../../theme/colors';
+import {
+  ATTRIBUTE_TYPES,
+  getAttributeType,
+  getAttributeOptions,
+  validateAttributeDefinition,
+} from '../../utils/contactAttributeHelpers';
+
+const MAX_NAME_LENGTH = 50;
+const MAX_OPTIONS = 50;
+
+/**
+ * Bottom sheet for creating or editing a custom contact field
+ * (settings.userAttributes) — name, description, type and dropdown options.
+ */
+const UserAttributeModal = ({
+  visible,
+  attribute,
+  existingAttributes = [],
+  onClose,
+  onSave,
+  isSaving,
+}) => {
+  const isEditing = !!attribute;
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [type, setType] = useState('text');
+  const [options, setOptions] = useState([]);
+  const [optionInput, setOptionInput] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (visible) {
+      setName(attribute?.name || '');
+      setDescription(attribute?.description || '');
+      setType(getAttributeType(attribute));
+      setOptions(getAttributeOptions(attribute));
+      setOptionInput('');
+      setError('');
+    }
+  }, [visible, attribute]);
+
+  const typeChanged = isEditing && type !== getAttributeType(attribute);
+
+  const handleAddOption = () => {
+    const option = optionInput.trim();
+    if (!option) return;
+    if (options.some((existing) => existing.toLowerCase() === option.toLowerCase())) {
+      setError('This option already exists');
+      return;
+    }
+    if (options.length >= MAX_OPTIONS) {
+      setError(`A dropdown can have up to ${MAX_OPTIONS} options`);
+      return;
+    }
+    setOptions((prev) => [...prev, option]);
+    setOptionInput('');
+    setError('');
+  };
+
+  const handleRemoveOption = (option) => {
+    setOptions((prev) => prev.filter((existing) => existing !== option));
+  };
+
+  const handleSave = () => {
+    const definition = {
+      ...(attribute?._id && { _id: attribute._id }),
+      name: name.trim(),
+      description: description.trim(),
+      type,
+      options: type === 'dropdown' ? options : [],
+    };
+    const validationError = validateAttributeDefinition(definition, existingAttributes);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    onSave(definition);
+  };
+
+  return (
+    <Modal
+      isVisible={visible}
+      onBackdropPress={isSaving ? undefined : onClose}
+      onSwipeComplete={onClose}
+      swipeDirection={isSaving ? [] : ['down']}
+      style={styles.bottomModal}
+      propagateSwipe={true}
+      backdropOpacity={0.5}
+      animationIn="slideInUp"
+      animationOut="slideOutDown"
+      avoidKeyboard={true}
+    >
+      <View style={styles.sheet}>
+        <View style={styles.handleBar} />
+
+        <View style={styles.header}>
+          <View style={styles.headerLeft}>
+            <View style={styles.headerIcon}>
+              <Icon name="form-textbox" size={24} color="#009688" />
+            </View>
+            <View>
+              <Text style={styles.headerTitle}>{isEditing ? 'Edit Custom Field' : 'Add Custom Field'}</Text>
+              <Text style={styles.headerSubtitle}>Store extra information on contacts</Text>
+            </View>
+          </View>
+          <TouchableOpacity onPress={onClose} style={styles.closeBtn} disabled={isSaving}>
+            <Icon name="close" size={24} color={colors.text.secondary} />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          <Text style={styles.label}>Field name</Text>
+          <RNTextInput
+            value={name}
+            onChangeText={(text) => {
+              setName(text);
+              setError('');
+            }}
+            placeholder="e.g. Company"
+            placeholderTextColor={colors.text.tertiary}
+            maxLength={MAX_NAME_LENGTH}
+            style={styles.input}
+            editable={!isSaving}
+          />
+
+          <Text style={styles.label}>Description</Text>
+          <RNTextInput
+            value={description}
+            onChangeText={setDescription}
+            placeholder="Optional"
+            placeholderTextColor={colors.text.tertiary}
+            style={[styles.input, styles.multilineInput]}
+            multiline
+            editable={!isSaving}
+          />
+
+          <Text style={styles.label}>Type</Text>
+          <View style={styles.optionGrid}>
+            {Object.entries(ATTRIBUTE_TYPES).map(([key, config]) => {
+              const isSelected = type === key;
+              return (
+                <TouchableOpacity
+                  key={key}
+                  style={[styles.typeChip, isSelected && styles.typeChipSelected]}
+                  onPress={() => {
+                    setType(key);
+                    setError('');
+                  }}
+                  disabled={isSaving}
+                  activeOpacity={0.7}
+                >
+                  <Icon
+                    name={config.icon}
+                    size={16}
+                    color={isSelected ? colors.primary.main : colors.text.secondary}
+                  />
+                  <Text style={[styles.typeText, isSelected && styles.typeTextSelected]}>{config.label}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          {typeChanged && (
+            <Text style={styles.hintText}>
+              Values already saved on contacts are not converted to the new type.
+            </Text>
+          )}
+
+          {type === 'dropdown' && (
+            <>
+              <Text style={styles.label}>Options</Text>
+              <View style={styles.optionInputRow}>
+                <RNTextInput
+                  value={optionInput}
+                  onChangeText={(text) => {
+                    setOptionInput(text);
+                    setError('');
+                  }}
+                  onSubmitEditing={handleAddOption}
+                  placeholder="Add an option"
+                  placeholderTextColor={colors.text.tertiary}
+                  style={[styles.input, styles.optionInput]}
+                  returnKeyType="done"
+                  blurOnSubmit={false}
+                  editable={!isSaving}
+                />
+                <TouchableOpacity
+                  style={[styles.addOptionBtn, !optionInput.trim() && styles.addOptionBtnDisabled]}
+                  onPress={handleAddOption}
+                  disabled={!optionInput.trim() || isSaving}
+                  activeOpacity={0.8}
+                >
+                  <Icon name="plus" size={20} color={colors.common.white} />
+                </TouchableOpacity>
+              </View>
+              {options.length > 0 ? (
+                <View style={styles.optionGrid}>
+                  {options.map((option) => (
+                    <View key={option} style={styles.optionChip}>
+                      <Text style={styles.optionText}>{option}</Text>
+                      <TouchableOpacity
+                        onPress={() => handleRemoveOption(option)}
+                        disabled={isSaving}
+                        hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                      >
+                        <Icon name="close-circle" size={16} color={colors.grey[500]} />
+                      </TouchableOpacity>
+                    </View>
+                  ))}
+                </View>
+              ) : (
+                <Text style={styles.hintText}>Contacts pick one of these options.</Text>
+              )}
+            </>
+          )}
+
+          {error ? <Text style={styles.errorText}>{error}</Text> : null}
+        </ScrollView>
+
+        <View style={styles.actions}>
+          <TouchableOpacity style={styles.cancelBtn} onPress={onClose} disabled={isSaving} activeOpacity={0.7}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.saveBtn, isSaving && styles.saveBtnDisabled]}
+            onPress={handleSave}
+            disabled={isSaving}
+            activeOpacity={0.8}
+          >
+            {isSaving ? (
+              <ActivityIndicator size="small" color={colors.common.white} />
+            ) : (
+              <>
+                <Icon name={isEditing ? 'check' : 'plus'} size={18} color={colors.common.white} />
+                <Text style={styles.saveText}>{isEditing ? 'Save' : 'Add Field'}</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  bottomModal: {
+    justifyContent: 'flex-end',
+    margin: 0,
+  },
+  sheet: {
+    backgroundColor: colors.common.white,
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    maxHeight: '85%',
+    paddingBottom: Platform.OS === 'ios' ? 34 : 16,
+  },
+  handleBar: {
+    width: 40,
+    height: 4,
+    backgroundColor: colors.grey[300],
+    borderRadius: 2,
+    alignSelf: 'center',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.grey[100],
+  },
+  headerLeft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    flex: 1,
+  },
+  headerIcon: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: '#E0F2F1',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: colors.text.primary,
+  },
+  headerSubtitle: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  closeBtn: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: colors.grey[100],
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text.primary,
+    marginTop: 8,
+    marginBottom: 10,
+  },
+  input: {
+    minHeight: 48,
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    fontSize: 15,
+    color: colors.text.primary,
+  },
+  multilineInput: {
+    minHeight: 72,
+    paddingTop: 12,
+    textAlignVertical: 'top',
+  },
+  optionGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  typeChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    backgroundColor: colors.common.white,
+  },
+  typeChipSelected: {
+    borderColor: colors.primary.main,
+    backgroundColor: colors.primary.main + '10',
+  },
+  typeText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: colors.text.primary,
+  },
+  typeTextSelected: {
+    color: colors.primary.main,
+    fontWeight: '600',
+  },
+  optionInputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 12,
+  },
+  optionInput: {
+    flex: 1,
+  },
+  addOptionBtn: {
+    width: 48,
+    height: 48,
+    borderRadius: 12,
+    backgroundColor: colors.primary.main,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  addOptionBtnDisabled: {
+    opacity: 0.5,
+  },
+  optionChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingLeft: 12,
+    paddingRight: 8,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: colors.grey[100],
+  },
+  optionText: {
+    fontSize: 13,
+    color: colors.text.primary,
+  },
+  hintText: {
+    fontSize: 12,
+    color: colors.text.tertiary,
+    marginTop: 8,
+  },
+  errorText: {
+    fontSize: 13,
+    color: colors.error.main,
+    marginTop: 16,
+  },
+  actions: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 8,
+    gap: 12,
+    borderTopWidth: 1,
+    borderTopColor: colors.grey[100],
+  },
+  cancelBtn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.grey[100],
+  },
+  cancelText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  saveBtn: {
+    flex: 1.5,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.primary.main,
+    gap: 6,
+  },
+  saveBtnDisabled: {
+    opacity: 0.6,
+  },
+  saveText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.common.white,
+  },
+});
+
+export default UserAttributeModal;
@@ -32,6 +32,7 @@ import {
 } from '../services/notificationService';
 import { navigate } from '../navigation/navigationUtils';
 import { processSyncQueue } from '../services/syncQueueService';
+import { processScheduledMessages } from '../services/scheduledMessageService';
 import { useNetwork } from './NetworkContext';
 
 const SocketContext = createContext(null);
@@ -90,9 +91,10 @@ export const SocketProvider = ({ children }) => {
       disconnectedAtRef.current = null;
     }
 
-    // Process queued messages after reconnection
+    // Process queued messages after reconnection, then anything scheduled that fell due
     setTimeout(() => {
       processSyncQueue(dispatch);
+      processScheduledMessages(dispatch);
     }, 1000);
   }, [dispatch]);
 
@@ -244,6 +246,9 @@ export const SocketProvider = ({ children }) => {
         // Reconnect socket if needed
         if (authenticated && !isSocketConnected()) {
           connect();
+        } else if (authenticated) {
+          // Timers don't fire while backgrounded — send scheduled messages that fell due
+          processScheduledMessages(dispatch);
         }
 
         // Re-register push token in case it changed
@@ -264,7 +269,7 @@ export const SocketProvider = ({ children }) => {
     return () => {
       subscription.remove();
     };
-  }, [authenticated, connect, pushToken]);
+  }, [authenticated, connect, pushToken, dispatch]);
 
   // Setup push notifications
   useEffect(() => {
@@ -12,10 +12,24 @@
  */
 
 import { databaseManager } from './DatabaseManager';
-import { ChatModel, MessageModel, QuickReplyModel, WANumberModel, DashboardStatsModel, AppSettingsModel, ContactModel, ContactListModel, TemplateModel } from './models';
+import { ChatModel, MessageModel, QuickReplyModel, WANumberModel, DashboardStatsModel, AppSettingsModel, ContactModel, ContactListModel, TemplateModel, ScheduledMessageModel, DraftModel, BroadcastReportModel, OptInEventModel } from './models';
 import { StatTypes } from './models/DashboardStatsModel';
 import { SettingKeys } from './models/AppSettingsModel';
 import { Tables, CacheKeys } from './schema';
+import {
+  addFolderToTree,
+  renameFolderInTree,
+  removeFolderFromTree,
+  adjustFolderCount,
+  getSubtreeIds,
+} from '../utils/folderTreeHelpers';
+import { FLOW_STATUS, getFlowsCacheKey, isFlowActive } from '../utils/flowHelpers';
+import {
+  ASSISTANT_LIST_STATUSES,
+  getAssistantsCacheKey,
+  applyAssistantChange,
+  adjustAssistantStats,
+} from '../utils/assistantHelpers';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 class CacheManager {
@@ -155,6 +169,22 @@ class CacheManager {
     await ChatModel.saveChat(chat, settingId);
   }
 
+  /**
+   * Update editable chat fields (status, assignee, notifications) without
+   * rewriting the rest of the cached row
+   * @param {string} chatId - Chat ID
+   * @param {Object} updates - { status, assignedToMember, hideNotification }
+   * @returns {Promise<void>}
+   */
+  async updateChatFields(chatId, updates) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId || !chatId || !updates) return;
+
+    await ChatModel.updateChatFields(chatId, updates, settingId);
+  }
+
   /**
    * Update chat with new message
    * @param {string} chatId - Chat ID
@@ -184,6 +214,22 @@ class CacheManager {
     await ChatModel.resetUnreadCount(chatId, settingId);
   }
 
+  /**
+   * Delete a chat and its cached messages
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<void>}
+   */
+  async deleteChat(chatId) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId || !chatId) return;
+
+    await ChatModel.deleteChat(chatId, settingId);
+    await MessageModel.deleteMessagesForChat(chatId, settingId);
+    await DraftModel.deleteDraft(chatId, settingId);
+  }
+
   /**
    * Get a single chat by ID
    * @param {string} chatId - Chat ID
@@ -335,6 +381,65 @@ class CacheManager {
     return MessageModel.getPendingMessages(settingId);
   }
 
+  /**
+   * Set (or clear) the local user's reaction on a cached message
+   * @param {string} messageId - Message ID, wamid or temp ID
+   * @param {string} emoji - Reaction emoji ('' to remove)
+   * @returns {Promise<void>}
+   */
+  async updateOwnReaction(messageId, emoji) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId || !messageId) return;
+
+    await MessageModel.updateOwnReaction(messageId, emoji, settingId);
+  }
+
+  // ==========================================
+  // CHAT NOTES CACHE OPERATIONS
+  // ==========================================
+
+  /**
+   * Get cached notes for a chat
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<Array|null>} Notes, or null if never cached
+   */
+  async getChatNotes(chatId) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId || !chatId) return null;
+
+    return AppSettingsModel.get(`chatNotes_${chatId}`, settingId);
+  }
+
+  /**
+   * Save notes for a chat to cache
+   * @param {string} chatId - Chat ID
+   * @param {Array} notes - Notes list
+   * @returns {Promise<void>}
+   */
+  async saveChatNotes(chatId, notes) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId || !chatId) return;
+
+    await AppSettingsModel.save(`chatNotes_${chatId}`, notes || [], settingId);
+  }
+
+  /**
+   * Read-modify-write the cached notes for a chat
+   * @param {string} chatId - Chat ID
+   * @param {Function} updater - (notes) => updated notes
+   * @returns {Promise<void>}
+   */
+  async updateChatNotes(chatId, updater) {
+    const notes = (await this.getChatNotes(chatId)) || [];
+    await this.saveChatNotes(chatId, updater(notes));
+  }
+
   // ==========================================
   // QUICK REPLIES CACHE OPERATIONS
   // ==========================================
@@ -420,6 +525,28 @@ class CacheManager {
     };
   }
 
+  /**
+   * Get every cached contact of a list, optionally narrowed by a search term.
+   * Used for exports while offline — only contacts loaded on this device.
+   * @param {Object} [options] - { listName, search }
+   * @returns {Promise<Array>}
+   */
+  async getContactsForExport(options = {}) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId) return [];
+
+    const { listName = null, search } = options;
+    if (!search || !search.trim()) {
+      const result = await ContactModel.getAllContacts(settingId, listName);
+      return result.contacts;
+    }
+    // LIMIT -1 lifts SQLite's row limit
+    const result = await ContactModel.getContacts(settingId, { skip: 0, limit: -1, search, listName });
+    return result.contacts;
+  }
+
   /**
    * Save contacts to cache (append mode with sort order).
    * @param {Array} contacts - Array of contact objects from API
@@ -489,6 +616,17 @@ class CacheManager {
     await AppSettingsModel.remove(key);
   }
 
+  /**
+   * Get cached contacts keyed by phone number digits (all lists)
+   * @returns {Promise<Map<string, {id: string, name: string}>>}
+   */
+  async getContactsByPhone() {
+    await this.ensureInitialized();
+    const settingId = this.currentSettingId;
+    if (!settingId) return new Map();
+    return ContactModel.getContactsByPhone(settingId);
+  }
+
   /**
    * Check if contacts are cached for current setting
    * @returns {Promise<boolean>}
@@ -547,6 +685,116 @@ class CacheManager {
     return ContactListModel.hasContactLists(settingId);
   }
 
+  /**
+   * Cache a newly created contact list
+   * @param {Object} list - Contact list object from API
+   * @returns {Promise<void>}
+   */
+  async saveContactList(list) {
+    await this.ensureInitialized();
+    const settingId = this.currentSettingId;
+    if (!settingId) return;
+    await ContactListModel.saveContactList({ count: 0, ...list }, settingId);
+  }
+
+  /**
+   * Rename a cached list along with its contacts partition and stored total
+   * @param {string} listId - List server ID
+   * @param {string} oldName - Current list name
+   * @param {string} newName - New list name
+   * @returns {Promise<void>}
+   */
+  async renameContactList(listId, oldName, newName) {
+    await this.ensureInitialized();
+    const settingId = this.currentSettingId;
+    if (!settingId) return;
+
+    await ContactListModel.updateContactList(listId, { listName: newName }, settingId);
+    await ContactModel.renameList(settingId, oldName, newName);
+
+    const total = await AppSettingsModel.get(`contacts_total_${oldName}`);
+    await AppSettingsModel.remove(`contacts_total_${oldName}`);
+    if (total) await AppSettingsModel.save(`contacts_total_${newName}`, total);
+  }
+
+  /**
+   * Remove a deleted list from the cache. Its contacts are deleted too, or
+   * become unassigned, matching what the server did.
+   * @param {string} listId - List server ID
+   * @param {string} listName - List name
+   * @param {boolean} [deleteContacts=false]
+   * @returns {Promise<void>}
+   */
+  async deleteContactList(listId, listName, deleteContacts = false) {
+    await this.ensureInitialized();
+    const settingId = this.currentSettingId;
+    if (!settingId) return;
+
+    await ContactListModel.deleteContactList(listId, settingId);
+    await ContactModel.removeList(settingId, listName, deleteContacts);
+    await AppSettingsModel.remove(`contacts_total_${listName}`);
+  }
+
+  /**
+   * Add contacts to a cached list and bump its count
+   * @param {Object} list - { _id, listName }
+   * @param {Array<string>} contactIds - Server IDs
+   * @returns {Promise<void>}
+   */
+  async addContactsToList(list, contactIds) {
+    await this.ensureInitialized();
+    const settingId = this.currentSettingId;
+    if (!settingId) return;
+
+    const added = await ContactModel.copyContactsToList(settingId, contactIds, list.listName);
+    await this._adjustContactListCount(list, added);
+  }
+
+  /**
+   * Remove contacts from a cached list and lower its count
+   * @param {Object} list - { _id, listName }
+   * @param {Array<string>} contactIds - Server IDs
+   * @param {string|null} [replacementListName] - Target list when moving
+   * @returns {Promise<void>}
+   */
+  async removeContactsFromList(list, contactIds, replacementListName = null) {
+    await this.ensureInitialized();
+    const settingId = this.currentSettingId;
+    if (!settingId) return;
+
+    await ContactModel.removeContactsFromList(settingId, contactIds, list.listName, replacementListName);
+    await this._adjustContactListCount(list, -contactIds.length);
+  }
+
+  /**
+   * Delete contacts from every cached list
+   * @param {Array<string>} contactIds - Server IDs
+   * @returns {Promise<void>}
+   */
+  async deleteContacts(contactIds) {
+    await this.ensureInitialized();
+    const settingId = this.currentSettingId;
+    if (!settingId) return;
+    await ContactModel.deleteContactsByIds(settingId, contactIds);
+  }
+
+  /**
+   * Shift a cached list's count (contact_lists row and stored total)
+   * @param {Object} list - { _id, listName }
+   * @param {number} delta
+   * @returns {Promise<void>}
+   */
+  async _adjustContactListCount(list, delta) {
+    if (!delta) return;
+    const settingId = this.currentSettingId;
+    const cached = await ContactListModel.getContactList(list._id, settingId);
+    if (!cached) return;
+
+    const count = Math.max(0, (cached.count ?? cached.contactsCount ?? 0) + delta);
+    await ContactListModel.updateContactList(list._id, { count }, settingId);
+    await this.saveContactsTotalCount(list.listName, count);
+  }
+
   // ==========================================
   // TEMPLATES CACHE OPERATIONS
   // ==========================================
@@ -660,6 +908,34 @@ class CacheManager {
     }
   }
 
+  /**
+   * Merge an updated template into the cache (status changes from socket).
+   * @param {Object} template - Updated template (must include _id)
+   * @returns {Promise<void>}
+   */
+  async updateTemplate(template) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId) return;
+
+    await TemplateModel.updateTemplate(template, settingId);
+  }
+
+  /**
+   * Remove a deleted template from all cache buckets.
+   * @param {string} templateId - Template server ID
+   * @returns {Promise<void>}
+   */
+  async deleteTemplate(templateId) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId) return;
+
+    await TemplateModel.deleteTemplate(templateId, settingId);
+  }
+
   /**
    * Save the server-reported total count for a cache bucket.
    * @param {string} cacheKey - Cache bucket key
@@ -826,6 +1102,246 @@ class CacheManager {
     return WANumberModel.hasWANumbers();
   }
 
+  // ==========================================
+  // FOLDER CACHE OPERATIONS
+  // ==========================================
+  // The folder tree is one JSON blob (SettingKeys.FOLDERS) and each folder's
+  // WA numbers are cached under `waNumbers_<folderId>`. Both are patched after
+  // a successful folder change so the dashboard stays correct offline.
+
+  /**
+   * Apply a change to the cached folder tree (no-op if nothing is cached)
+   * @param {Function} update - (folders) => updated folders
+   * @param {number} [countDelta=0] - Change in the total folder count
+   * @returns {Promise<void>}
+   */
+  async _updateCachedFolders(update, countDelta = 0) {
+    await this.ensureInitialized();
+    const cached = await AppSettingsModel.get(SettingKeys.FOLDERS);
+    if (!cached?.folders) return;
+
+    await AppSettingsModel.save(SettingKeys.FOLDERS, {
+      ...cached,
+      folders: update(cached.folders),
+      totalCount: Math.max(0, (cached.totalCount || 0) + countDelta),
+    });
+  }
+
+  /**
+   * Add a newly created folder to the cached tree
+   * @param {Object} folder - Folder from API ({ _id, name })
+   * @param {string|null} parentId - Parent folder ID
+   * @returns {Promise<void>}
+   */
+  async addFolder(folder, parentId = null) {
+    if (!folder?._id) return;
+    await this._updateCachedFolders((folders) => addFolderToTree(folders, folder, parentId), 1);
+  }
+
+  /**
+   * Rename a folder in the cached tree
+   * @param {string} folderId - Folder ID
+   * @param {string} name - New name
+   * @returns {Promise<void>}
+   */
+  async renameFolder(folderId, name) {
+    await this._updateCachedFolders((folders) => renameFolderInTree(folders, folderId, name));
+  }
+
+  /**
+   * Remove a folder and its subfolders from the cache.
+   * Their WA numbers are reassigned to `fallbackFolderId` (Home) so they stay
+   * visible offline; the next refresh brings the server's placement.
+   * @param {Object} folder - Folder with its subfolders
+   * @param {string|null} fallbackFolderId - Folder that receives the numbers
+   * @returns {Promise<void>}
+   */
+  async deleteFolder(folder, fallbackFolderId = null) {
+    if (!folder?._id) return;
+    await this.ensureInitialized();
+
+    const removedIds = getSubtreeIds(folder);
+    const orphaned = [];
+    for (const folderId of removedIds) {
+      const cached = await AppSettingsModel.get(`waNumbers_${folderId}`);
+      orphaned.push(...(cached?.waNumbers || []));
+      await AppSettingsModel.remove(`waNumbers_${folderId}`);
+    }
+
+    if (fallbackFolderId) {
+      await WANumberModel.reassignFolders(removedIds, fallbackFolderId);
+      await this._moveCachedNumbers(orphaned, fallbackFolderId);
+    }
+
+    await this._updateCachedFolders((folders) => {
+      const next = removeFolderFromTree(folders, folder._id);
+      return fallbackFolderId ? adjustFolderCount(next, fallbackFolderId, orphaned.length) : next;
+    }, -removedIds.length);
+  }
+
+  /**
+   * Move WA numbers between folders in the cache
+   * @param {Array<Object>} waNumbers - WA number objects being moved
+   * @param {string|null} fromFolderId - Source folder ID
+   * @param {string} toFolderId - Target folder ID
+   * @returns {Promise<void>}
+   */
+  async moveWANumbersToFolder(waNumbers, fromFolderId, toFolderId) {
+    if (!waNumbers?.length || !toFolderId) return;
+    await this.ensureInitialized();
+
+    const ids = waNumbers.map((number) => number._id);
+    await WANumberModel.updateFolderId(ids, toFolderId);
+
+    if (fromFolderId) {
+      const source = await AppSettingsModel.get(`waNumbers_${fromFolderId}`);
+      if (source?.waNumbers) {
+        await AppSettingsModel.save(`waNumbers_${fromFolderId}`, {
+          ...source,
+          waNumbers: source.waNumbers.filter((number) => !ids.includes(number._id)),
+        });
+      }
+    }
+    await this._moveCachedNumbers(waNumbers, toFolderId);
+
+    await this._updateCachedFolders((folders) => {
+      const next = fromFolderId ? adjustFolderCount(folders, fromFolderId, -ids.length) : folders;
+      return adjustFolderCount(next, toFolderId, ids.length);
+    });
+  }
+
+  /**
+   * Prepend WA numbers to a folder's cached list. Folders that were never
+   * opened have no list yet and are fetched on first open instead.
+   * @param {Array<Object>} waNumbers - WA number objects
+   * @param {string} folderId - Target folder ID
+   * @returns {Promise<void>}
+   */
+  async _moveCachedNumbers(waNumbers, folderId) {
+    if (!waNumbers.length) return;
+    const target = await AppSettingsModel.get(`waNumbers_${folderId}`);
+    if (!target?.waNumbers) return;
+
+    const ids = waNumbers.map((number) => number._id);
+    await AppSettingsModel.save(`waNumbers_${folderId}`, {
+      ...target,
+      waNumbers: [
+        ...waNumbers.map((number) => ({ ...number, folderId })),
+        ...target.waNumbers.filter((number) => !ids.includes(number._id)),
+      ],
+    });
+  }
+
+  // ==========================================
+  // AI ASSISTANTS CACHE OPERATIONS
+  // ==========================================
+
+  /**
+   * Apply an assistant create, edit, status change or delete to the cached
+   * per-status lists and the 'assistantStats' blob
+   * @param {Object|null} previous - Assistant before the change (null when created)
+   * @param {Object|null} next - Assistant after the change (null when deleted)
+   * @returns {Promise<void>}
+   */
+  async updateCachedAssistant(previous, next) {
+    if (!previous && !next) return;
+    await this.ensureInitialized();
+
+    for (const listStatus of ASSISTANT_LIST_STATUSES) {
+      const key = getAssistantsCacheKey(listStatus);
+      const cached = await AppSettingsModel.get(key);
+      if (!cached?.assistants) continue;
+
+      const { assistants, delta } = applyAssistantChange(cached.assistants, previous, next, listStatus);
+      await AppSettingsModel.save(key, {
+        ...cached,
+        assistants,
+        totalResults: Math.max(0, (cached.totalResults || 0) + delta),
+      });
+    }
+
+    const stats = await AppSettingsModel.get('assistantStats');
+    if (stats) {
+      await AppSettingsModel.save('assistantStats', adjustAssistantStats(stats, previous, next));
+    }
+  }
+
+  // ==========================================
+  // FLOWS CACHE OPERATIONS
+  // ==========================================
+  // Flows are cached as first pages per status filter ('flows', 'flows_active',
+  // 'flows_inactive') plus a 'flowStats' blob. Lists that were never loaded
+  // are left alone and fetched on first open.
+
+  /**
+   * Apply a status change to the cached flow lists and stats
+   * @param {Array<string>} flowIds - Flow IDs
+   * @param {string} status - New status ('active' | 'inactive')
+   * @param {number} changedCount - How many of the flows actually changed status
+   * @returns {Promise<void>}
+   */
+  async updateFlowStatuses(flowIds, status, changedCount) {
+    if (!flowIds?.length) return;
+    await this.ensureInitialized();
+
+    for (const listStatus of ['all', FLOW_STATUS.ACTIVE, FLOW_STATUS.INACTIVE]) {
+      const key = getFlowsCacheKey(listStatus);
+      const cached = await AppSettingsModel.get(key);
+      if (!cached?.flows) continue;
+
+      let flows = cached.flows.map((flow) => (flowIds.includes(flow._id) ? { ...flow, status } : flow));
+      if (listStatus !== 'all' && listStatus !== status) {
+        flows = flows.filter((flow) => !flowIds.includes(flow._id));
+      }
+      const removed = cached.flows.length - flows.length;
+      await AppSettingsModel.save(key, {
+        ...cached,
+        flows,
+        totalResults: Math.max(0, (cached.totalResults || 0) - removed),
+      });
+    }
+
+    const stats = await AppSettingsModel.get('flowStats');
+    if (stats && changedCount > 0) {
+      const other = status === FLOW_STATUS.ACTIVE ? FLOW_STATUS.INACTIVE : FLOW_STATUS.ACTIVE;
+      await AppSettingsModel.save('flowStats', {
+        ...stats,
+        [status]: (stats[status] || 0) + changedCount,
+        [other]: Math.max(0, (stats[other] || 0) - changedCount),
+      });
+    }
+  }
+
+  /**
+   * Prepend a cloned flow to the cached lists it belongs in and count it
+   * @param {Object} flow - Flow returned by the clone API
+   * @returns {Promise<void>}
+   */
+  async addFlow(flow) {
+    if (!flow?._id) return;
+    await this.ensureInitialized();
+
+    const status = isFlowActive(flow) ? FLOW_STATUS.ACTIVE : FLOW_STATUS.INACTIVE;
+    for (const key of [getFlowsCacheKey('all'), getFlowsCacheKey(status)]) {
+      const cached = await AppSettingsModel.get(key);
+      if (!cached?.flows) continue;
+      await AppSettingsModel.save(key, {
+        ...cached,
+        flows: [flow, ...cached.flows.filter((item) => item._id !== flow._id)],
+        totalResults: (cached.totalResults || 0) + 1,
+      });
+    }
+
+    const stats = await AppSettingsModel.get('flowStats');
+    if (stats) {
+      await AppSettingsModel.save('flowStats', {
+        ...stats,
+        total: (stats.total || 0) + 1,
+        [status]: (stats[status] || 0) + 1,
+      });
+    }
+  }
+
   // ==========================================
   // APP SETTINGS CACHE OPERATIONS (Generic JSON)
   // ==========================================
@@ -882,37 +1398,70 @@ class CacheManager {
     return ChatModel.getChats(settingId, { search: query, limit: 50 });
   }
 
+  /**
+   * Full-text search over cached message content (body, captions, file names,
+   * template/interactive text). Each hit carries its chat for display.
+   * @param {string} query - Search query
+   * @param {Object} options - { chatId, limit, offset }
+   * @returns {Promise<Array>}
+   */
+  async searchMessagesLocally(query, options = {}) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId || !query) return [];
+
+    const messages = await MessageModel.searchMessages(settingId, query, options);
+
+    const chatIds = [...new Set(messages.map(m => m.chatId).filter(Boolean))];
+    const chats = await Promise.all(chatIds.map(id => ChatModel.getChatById(id, settingId)));
+    const chatMap = new Map(chatIds.map((id, index) => [id, chats[index]]));
+
+    return messages.map(message => ({
+      ...message,
+      chat: chatMap.get(message.chatId) || null,
+    }));
+  }
+
   // ==========================================
   // SYNC QUEUE OPERATIONS
   // ==========================================
 
   /**
    * Add operation to sync queue (for offline support)
-   * @param {string} operation - Operation type (create, update, delete)
+   * @param {string} operation - Operation type (key of a registered sync handler)
    * @param {string} tableName - Table name
    * @param {string} recordId - Record ID
    * @param {Object} data - Operation data
+   * @param {Object} options - { chatId, maxRetries }
    * @returns {Promise<void>}
    */
-  async addToSyncQueue(operation, tableName, recordId, data) {
+  async addToSyncQueue(operation, tableName, recordId, data, options = {}) {
     await this.ensureInitialized();
 
     const settingId = this.currentSettingId;
     if (!settingId) return;
 
+    const { chatId = data?.chatId || null, maxRetries = 8 } = options;
+
     await databaseManager.upsert(Tables.SYNC_QUEUE, {
       operation,
       table_name: tableName,
       record_id: recordId,
       data: JSON.stringify(data),
       setting_id: settingId,
+      chat_id: chatId,
+      max_retries: maxRetries,
       status: 'pending',
+      next_attempt_at: 0,
       created_at: Date.now(),
     });
   }
 
   /**
-   * Get pending sync operations
+   * Get pending sync operations, oldest first.
+   * Includes operations still waiting out their backoff (next_attempt_at in the
+   * future) so the processor can hold back later operations for the same chat.
    * @returns {Promise<Array>}
    */
   async getPendingSyncOperations() {
@@ -924,11 +1473,51 @@ class CacheManager {
     return databaseManager.query(
       `SELECT * FROM ${Tables.SYNC_QUEUE}
        WHERE setting_id = ? AND status = 'pending' AND retry_count < max_retries
-       ORDER BY created_at ASC`,
+       ORDER BY created_at ASC, id ASC`,
       [settingId]
     );
   }
 
+  /**
+   * Get pending sync operations for a chat, oldest first
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<Array>}
+   */
+  async getPendingSyncOperationsForChat(chatId) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId || !chatId) return [];
+
+    return databaseManager.query(
+      `SELECT * FROM ${Tables.SYNC_QUEUE}
+       WHERE setting_id = ? AND chat_id = ? AND status = 'pending'
+       ORDER BY created_at ASC, id ASC`,
+      [settingId, chatId]
+    );
+  }
+
+  /**
+   * Get the earliest future time a backed-off pending operation becomes due.
+   * Operations already due (including never-tried ones at 0) are skipped — they are
+   * either processed now or held behind a backed-off operation in the same chat.
+   * @returns {Promise<number|null>} Timestamp, or null if nothing is waiting on backoff
+   */
+  async getNextSyncAttemptTime() {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId) return null;
+
+    const result = await databaseManager.queryFirst(
+      `SELECT MIN(next_attempt_at) as next_at FROM ${Tables.SYNC_QUEUE}
+       WHERE setting_id = ? AND status = 'pending' AND next_attempt_at > ?`,
+      [settingId, Date.now()]
+    );
+
+    return result?.next_at ?? null;
+  }
+
   /**
    * Mark sync operation as completed
    * @param {number} id - Sync queue record ID
@@ -942,24 +1531,58 @@ class CacheManager {
   }
 
   /**
-   * Mark sync operation as failed
+   * Mark sync operation as failed and schedule the next attempt.
+   * Moves the operation to the dead-letter state ('failed') once max retries is reached.
    * @param {number} id - Sync queue record ID
    * @param {string} errorMessage - Error message
+   * @param {number} nextAttemptAt - Timestamp before which the operation must not be retried
    * @returns {Promise<void>}
    */
-  async markSyncFailed(id, errorMessage) {
+  async markSyncFailed(id, errorMessage, nextAttemptAt = 0) {
     await databaseManager.execute(
       `UPDATE ${Tables.SYNC_QUEUE}
        SET retry_count = retry_count + 1,
            error_message = ?,
+           next_attempt_at = ?,
+           processed_at = ?,
            status = CASE WHEN retry_count + 1 >= max_retries THEN 'failed' ELSE 'pending' END
        WHERE id = ?`,
-      [errorMessage, id]
+      [errorMessage, nextAttemptAt, Date.now(), id]
     );
   }
 
   /**
-   * Get permanently failed sync operations (exceeded max retries)
+   * Move sync operation straight to the dead-letter state (non-retryable error)
+   * @param {number} id - Sync queue record ID
+   * @param {string} errorMessage - Error message
+   * @returns {Promise<void>}
+   */
+  async markSyncDeadLettered(id, errorMessage) {
+    await databaseManager.execute(
+      `UPDATE ${Tables.SYNC_QUEUE}
+       SET status = 'failed', error_message = ?, processed_at = ?
+       WHERE id = ?`,
+      [errorMessage, Date.now(), id]
+    );
+  }
+
+  /**
+   * Get a single sync operation by ID
+   * @param {number} id - Sync queue record ID
+   * @returns {Promise<Object|null>}
+   */
+  async getSyncOperation(id) {
+    await this.ensureInitialized();
+
+    return databaseManager.queryFirst(
+      `SELECT * FROM ${Tables.SYNC_QUEUE} WHERE id = ?`,
+      [id]
+    );
+  }
+
+  /**
+   * Get permanently failed sync operations (dead letters: exceeded max retries
+   * or rejected with a non-retryable error)
    * @returns {Promise<Array>}
    */
   async getPermanentlyFailedOps() {
@@ -977,7 +1600,34 @@ class CacheManager {
   }
 
   /**
-   * Remove completed and old failed operations from sync queue
+   * Put a dead-lettered operation back in the queue with a fresh retry budget
+   * @param {number} id - Sync queue record ID
+   * @returns {Promise<void>}
+   */
+  async retrySyncOperation(id) {
+    await databaseManager.execute(
+      `UPDATE ${Tables.SYNC_QUEUE}
+       SET status = 'pending', retry_count = 0, next_attempt_at = 0, error_message = NULL
+       WHERE id = ?`,
+      [id]
+    );
+  }
+
+  /**
+   * Remove a sync operation from the queue
+   * @param {number} id - Sync queue record ID
+   * @returns {Promise<void>}
+   */
+  async discardSyncOperation(id) {
+    await databaseManager.execute(
+      `DELETE FROM ${Tables.SYNC_QUEUE} WHERE id = ?`,
+      [id]
+    );
+  }
+
+  /**
+   * Remove completed and old dead-lettered operations from sync queue.
+   * Dead letters are kept for a week so they can still be inspected or retried.
    * @returns {Promise<void>}
    */
   async cleanupSyncQueue() {
@@ -986,14 +1636,229 @@ class CacheManager {
     const settingId = this.currentSettingId;
     if (!settingId) return;
 
-    const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
+    const oneWeekAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
     await databaseManager.execute(
       `DELETE FROM ${Tables.SYNC_QUEUE}
-       WHERE setting_id = ? AND (status = 'completed' OR (status = 'failed' AND created_at < ?))`,
-      [settingId, oneDayAgo]
+       WHERE setting_id = ? AND (status = 'completed' OR (status = 'failed' AND COALESCE(processed_at, created_at) < ?))`,
+      [settingId, oneWeekAgo]
     );
   }
 
+  // ==========================================
+  // SCHEDULED MESSAGES OPERATIONS
+  // ==========================================
+
+  /**
+   * Save (insert or replace) a scheduled message
+   * @param {Object} item - Scheduled message object
+   * @returns {Promise<Object|null>}
+   */
+  async saveScheduledMessage(item) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId || !item) return null;
+
+    return ScheduledMessageModel.saveScheduledMessage(item, settingId);
+  }
+
+  /**
+   * Get a scheduled message by ID
+   * @param {string} id - Scheduled message ID
+   * @returns {Promise<Object|null>}
+   */
+  async getScheduledMessageById(id) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId) return null;
+
+    return ScheduledMessageModel.getScheduledMessageById(id, settingId);
+  }
+
+  /**
+   * Get scheduled messages for a chat, soonest first
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<Array>}
+   */
+  async getScheduledMessagesForChat(chatId) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId || !chatId) return [];
+
+    return ScheduledMessageModel.getScheduledMessagesForChat(chatId, settingId);
+  }
+
+  /**
+   * Get scheduled messages that are due now
+   * @returns {Promise<Array>}
+   */
+  async getDueScheduledMessages() {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId) return [];
+
+    return ScheduledMessageModel.getDueScheduledMessages(Date.now(), settingId);
+  }
+
+  /**
+   * Get the time of the next waiting scheduled message (for the scheduler's wake-up timer)
+   * @returns {Promise<number|null>}
+   */
+  async getNextScheduledMessageTime() {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId) return null;
+
+    return ScheduledMessageModel.getNextScheduledTime(settingId);
+  }
+
+  /**
+   * Update a scheduled message's status
+   * @param {string} id - Scheduled message ID
+   * @param {string} status - 'scheduled' | 'sending' | 'failed'
+   * @param {string|null} errorMessage - Failure reason
+   * @returns {Promise<void>}
+   */
+  async updateScheduledMessageStatus(id, status, errorMessage = null) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId) return;
+
+    await ScheduledMessageModel.updateStatus(id, status, errorMessage, settingId);
+  }
+
+  /**
+   * Put scheduled messages interrupted mid-send back into the schedule
+   * @returns {Promise<void>}
+   */
+  async resetInterruptedScheduledMessages() {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId) return;
+
+    await ScheduledMessageModel.resetInterruptedSends(settingId);
+  }
+
+  /**
+   * Delete a scheduled message
+   * @param {string} id - Scheduled message ID
+   * @returns {Promise<void>}
+   */
+  async deleteScheduledMessage(id) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId) return;
+
+    await ScheduledMessageModel.deleteScheduledMessage(id, settingId);
+  }
+
+  // ==========================================
+  // DRAFT OPERATIONS
+  // ==========================================
+
+  /**
+   * Save the composer draft for a chat. An empty draft deletes the stored one.
+   * @param {Object} draft - { chatId, text, file, replyTo, formatting }
+   * @returns {Promise<Object|null>} Saved draft, or null when it was cleared
+   */
+  async saveDraft(draft) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId || !draft?.chatId) return null;
+
+    if (DraftModel.isEmpty(draft)) {
+      await DraftModel.deleteDraft(draft.chatId, settingId);
+      return null;
+    }
+
+    return DraftModel.saveDraft(draft, settingId);
+  }
+
+  /**
+   * Get the composer draft for a chat
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<Object|null>}
+   */
+  async getDraft(chatId) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId || !chatId) return null;
+
+    return DraftModel.getDraft(chatId, settingId);
+  }
+
+  /**
+   * Get all composer drafts (for chat list previews)
+   * @returns {Promise<Array>}
+   */
+  async getAllDrafts() {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId) return [];
+
+    return DraftModel.getAllDrafts(settingId);
+  }
+
+  // ==========================================
+  // BROADCAST REPORT OPERATIONS
+  // ==========================================
+
+  /**
+   * Save the delivery report for a broadcast
+   * @param {Object} report - { broadcastId, broadcast, recipients }
+   * @returns {Promise<Object|null>} Saved report
+   */
+  async saveBroadcastReport(report) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId || !report?.broadcastId) return null;
+
+    return BroadcastReportModel.saveReport(report, settingId);
+  }
+
+  /**
+   * Get the cached delivery report for a broadcast
+   * @param {string} broadcastId - Broadcast ID
+   * @returns {Promise<Object|null>}
+   */
+  async getBroadcastReport(broadcastId) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId || !broadcastId) return null;
+
+    return BroadcastReportModel.getReport(broadcastId, settingId);
+  }
+
+  // ==========================================
+  // OPT-IN AUDIT TRAIL OPERATIONS
+  // ==========================================
+
+  /**
+   * Get recorded opt-in status changes, newest first
+   * @param {Object} [options] - { contactId, changesOnly, limit }
+   * @returns {Promise<Array>}
+   */
+  async getOptInEvents(options = {}) {
+    await this.ensureInitialized();
+
+    const settingId = this.currentSettingId;
+    if (!settingId) return [];
+
+    return OptInEventModel.getEvents(settingId, options);
+  }
+
   // ==========================================
   // CACHE METADATA OPERATIONS
   // ==========================================
@@ -17,6 +17,8 @@ import {
   Tables,
   CREATE_TABLES_SQL,
   CREATE_INDEXES_SQL,
+  CREATE_SEARCH_SQL,
+  MESSAGES_FTS_TABLE,
   CacheKeys,
 } from './schema';
 
@@ -27,6 +29,7 @@ class DatabaseManager {
     this.db = null;
     this.isInitialized = false;
     this.initPromise = null;
+    this.isFullTextSearchAvailable = false;
   }
 
   /**
@@ -74,6 +77,9 @@ class DatabaseManager {
       // Create indexes
       await this._createIndexes();
 
+      // Full-text search over messages (optional — LIKE fallback when unavailable)
+      await this._createSearchIndex();
+
       this.isInitialized = true;
     } catch (error) {
       this.initPromise = null;
@@ -193,6 +199,34 @@ class DatabaseManager {
     if (fromVersion < 20 && toVersion >= 20) {
       await this._migrateToV20();
     }
+
+    if (fromVersion < 21 && toVersion >= 21) {
+      await this._migrateToV21();
+    }
+
+    if (fromVersion < 22 && toVersion >= 22) {
+      await this._migrateToV22();
+    }
+
+    if (fromVersion < 23 && toVersion >= 23) {
+      await this._migrateToV23();
+    }
+
+    if (fromVersion < 24 && toVersion >= 24) {
+      await this._migrateToV24();
+    }
+
+    if (fromVersion < 25 && toVersion >= 25) {
+      await this._migrateToV25();
+    }
+
+    if (fromVersion < 26 && toVersion >= 26) {
+      await this._migrateToV26();
+    }
+
+    if (fromVersion < 27 && toVersion >= 27) {
+      await this._migrateToV27();
+    }
   }
 
   /**
@@ -523,6 +557,107 @@ class DatabaseManager {
     }
   }
 
+  /**
+   * Migration to version 21: Retry scheduling for the sync queue.
+   * Adds chat_id (per-chat ordering) and next_attempt_at (backoff) columns.
+   */
+  async _migrateToV21() {
+    const columns = [
+      `ALTER TABLE ${Tables.SYNC_QUEUE} ADD COLUMN chat_id TEXT`,
+      `ALTER TABLE ${Tables.SYNC_QUEUE} ADD COLUMN next_attempt_at INTEGER DEFAULT 0`,
+    ];
+    for (const sql of columns) {
+      try {
+        await this.db.execAsync(sql);
+      } catch (error) {
+        // Column may already exist
+      }
+    }
+
+    // Backfill chat_id for operations queued before this version
+    try {
+      await this.db.execAsync(
+        `UPDATE ${Tables.SYNC_QUEUE} SET chat_id = json_extract(data, '$.chatId') WHERE chat_id IS NULL`
+      );
+    } catch (error) {
+      // Non-critical — unordered legacy rows still replay
+    }
+  }
+
+  /**
+   * Migration to version 22: Message full-text search.
+   * Adds search_text (template/interactive text) to messages. The FTS table,
+   * its triggers and the backfill of existing rows live in _createSearchIndex().
+   */
+  async _migrateToV22() {
+    try {
+      await this.db.execAsync(`ALTER TABLE ${Tables.MESSAGES} ADD COLUMN search_text TEXT`);
+    } catch (error) {
+      // Column may already exist
+    }
+  }
+
+  /**
+   * Migration to version 23: Scheduled messages.
+   * Creates the scheduled_messages table for users upgrading from V22.
+   */
+  async _migrateToV23() {
+    try {
+      await this.db.execAsync(CREATE_TABLES_SQL[Tables.SCHEDULED_MESSAGES]);
+    } catch (error) {
+      // Table may already exist — non-fatal
+    }
+  }
+
+  /**
+   * Migration to version 24: Composer drafts.
+   * Creates the drafts table for users upgrading from V23.
+   */
+  async _migrateToV24() {
+    try {
+      await this.db.execAsync(CREATE_TABLES_SQL[Tables.DRAFTS]);
+    } catch (error) {
+      // Table may already exist — non-fatal
+    }
+  }
+
+  /**
+   * Migration to version 25: Broadcast reports.
+   * Creates the broadcast_reports table for users upgrading from V24.
+   */
+  async _migrateToV25() {
+    try {
+      await this.db.execAsync(CREATE_TABLES_SQL[Tables.BROADCAST_REPORTS]);
+    } catch (error) {
+      // Table may already exist — non-fatal
+    }
+  }
+
+  /**
+   * Migration to version 26: Opt-in audit trail.
+   * Creates the opt_in_events table for users upgrading from V25.
+   */
+  async _migrateToV26() {
+    try {
+      await this.db.execAsync(CREATE_TABLES_SQL[Tables.OPT_IN_EVENTS]);
+    } catch (error) {
+      // Table may already exist — non-fatal
+    }
+  }
+
+  /**
+   * Migration to version 27: Rebuild the message search index.
+   * Re-saving a message used to leave its old FTS entry behind. Dropping the
+   * table clears those orphans; _createSearchIndex() recreates and backfills it.
+   */
+  async _migrateToV27() {
+    try {
+      await this.db.execAsync(`DROP TABLE IF EXISTS ${MESSAGES_FTS_TABLE}`);
+    } catch (error) {
+      // Non-critical — search still works, with stale matches until the next rebuild
+    }
+  }
+
   /**
    * Migration to version 3: Remove foreign key constraint from messages table
    */
@@ -761,6 +896,32 @@ class DatabaseManager {
     }
   }
 
+  /**
+   * Create the FTS5 message search table and its sync triggers.
+   * Backfills from existing messages when the index is empty (first run after upgrade).
+   */
+  async _createSearchIndex() {
+    try {
+      for (const sql of CREATE_SEARCH_SQL) {
+        await this.db.execAsync(sql);
+      }
+
+      const indexed = await this.db.getFirstAsync(`SELECT rowid FROM ${MESSAGES_FTS_TABLE} LIMIT 1`);
+      if (!indexed) {
+        await this.db.execAsync(`
+          INSERT INTO ${MESSAGES_FTS_TABLE} (rowid, body, media_caption, media_filename, search_text, chat_id, setting_id)
+          SELECT rowid, body, media_caption, media_filename, search_text, chat_id, setting_id
+          FROM ${Tables.MESSAGES}
+        `);
+      }
+
+      this.isFullTextSearchAvailable = true;
+    } catch (error) {
+      // FTS5 not compiled in — message search falls back to LIKE queries
+      this.isFullTextSearchAvailable = false;
+    }
+  }
+
   /**
    * Get the database instance
    * @returns {Promise<SQLiteDatabase>}
@@ -1087,6 +1248,10 @@ class DatabaseManager {
       Tables.DASHBOARD_STATS,
       Tables.APP_SETTINGS,
       Tables.CONTACT_LISTS,
+      Tables.SCHEDULED_MESSAGES,
+      Tables.DRAFTS,
+      Tables.BROADCAST_REPORTS,
+      Tables.OPT_IN_EVENTS,
     ];
 
     for (const table of tables) {
@@ -0,0 +1,79 @@
+/**
+ * BroadcastReportModel - SQLite model for broadcast delivery reports
+ *
+ * One row per broadcast holding the broadcast summary (counts, status,
+ * template) and the per-recipient delivery rows as JSON, so the detail
+ * screen can be opened offline with the last report that was fetched.
+ */
+
+import { databaseManager } from '../DatabaseManager';
+import { Tables } from '../schema';
+
+const parseJson = (value, fallback = null) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+class BroadcastReportModel {
+  /**
+   * Convert a report to a database record
+   * @param {Object} report - { broadcastId, broadcast, recipients }
+   * @param {string} settingId - Current setting ID
+   * @returns {Object} Database record
+   */
+  static toDbRecord(report, settingId) {
+    return {
+      broadcast_id: report.broadcastId,
+      setting_id: settingId,
+      broadcast: JSON.stringify(report.broadcast || {}),
+      recipients: JSON.stringify(report.recipients || []),
+      updated_at: report.updatedAt || Date.now(),
+    };
+  }
+
+  /**
+   * Convert a database record back to a report
+   * @param {Object} record - SQLite row
+   * @returns {Object}
+   */
+  static fromDbRecord(record) {
+    return {
+      broadcastId: record.broadcast_id,
+      broadcast: parseJson(record.broadcast, {}),
+      recipients: parseJson(record.recipients, []),
+      updatedAt: record.updated_at,
+    };
+  }
+
+  /**
+   * Insert or replace the report for a broadcast
+   * @param {Object} report - Report object
+   * @param {string} settingId - Current setting ID
+   * @returns {Promise<Object>} The saved report
+   */
+  static async saveReport(report, settingId) {
+    const record = this.toDbRecord(report, settingId);
+    await databaseManager.upsert(Tables.BROADCAST_REPORTS, record);
+    return this.fromDbRecord(record);
+  }
+
+  /**
+   * Get the cached report for a broadcast
+   * @param {string} broadcastId - Broadcast server ID
+   * @param {string} settingId - Current setting ID
+   * @returns {Promise<Object|null>}
+   */
+  static async getReport(broadcastId, settingId) {
+    const record = await databaseManager.queryFirst(
+      `SELECT * FROM ${Tables.BROADCAST_REPORTS} WHERE broadcast_id = ? AND setting_id = ?`,
+      [broadcastId, settingId]
+    );
+    return record ? this.fromDbRecord(record) : null;
+  }
+}
+
+export default BroadcastReportModel;
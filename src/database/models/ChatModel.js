@@ -92,9 +92,11 @@ class ChatModel {
       unread_count: chat.unreadCount || chat.unread_count || 0,
       is_pinned: chat.isPinned || chat.is_pinned ? 1 : 0,
       is_archived: chat.isArchived || chat.is_archived ? 1 : 0,
-      is_muted: chat.isMuted || chat.is_muted ? 1 : 0,
+      is_muted: chat.isMuted || chat.is_muted || chat.hideNotification ? 1 : 0,
       status: chat.status || 'active',
-      assigned_to: chat.assignedTo || chat.assigned_to || null,
+      assigned_to: chat.assignedToMember
+        ? JSON.stringify(chat.assignedToMember)
+        : (chat.assignedTo || chat.assigned_to || null),
       tags: chat.tags ? JSON.stringify(chat.tags) : null,
       folder_id: chat.folderId || chat.folder_id || null,
       chat_window_status: chat.chatWindowStatus || chat.chat_window_status || null,
@@ -182,6 +184,16 @@ class ChatModel {
       }
     }
 
+    // assigned_to holds the JSON assignee (assignedToMember) when the API provided one
+    let assignedToMember = null;
+    if (record.assigned_to) {
+      try {
+        assignedToMember = JSON.parse(record.assigned_to);
+      } catch (e) {
+        assignedToMember = null;
+      }
+    }
+
     return {
       _id: record.server_id,
       id: record.server_id,
@@ -201,8 +213,10 @@ class ChatModel {
       isPinned: Boolean(record.is_pinned),
       isArchived: Boolean(record.is_archived),
       isMuted: Boolean(record.is_muted),
+      hideNotification: Boolean(record.is_muted),
       status: record.status,
       assignedTo: record.assigned_to,
+      assignedToMember,
       tags: record.tags ? JSON.parse(record.tags) : [],
       folderId: record.folder_id,
       chatWindowStatus: record.chat_window_status,
@@ -371,6 +385,45 @@ class ChatModel {
     );
   }
 
+  /**
+   * Update editable chat fields (status, assignee, notifications) in place.
+   * Used for optimistic/offline chat mutations so the rest of the row is kept.
+   * @param {string} chatId - Chat server ID
+   * @param {Object} updates - { status, assignedToMember, hideNotification }
+   * @param {string} settingId - Current setting ID
+   * @returns {Promise<void>}
+   */
+  static async updateChatFields(chatId, updates, settingId) {
+    const setClause = [];
+    const params = [];
+
+    if (updates.status !== undefined) {
+      setClause.push('status = ?');
+      params.push(updates.status);
+    }
+
+    if (updates.assignedToMember !== undefined) {
+      setClause.push('assigned_to = ?');
+      params.push(updates.assignedToMember ? JSON.stringify(updates.assignedToMember) : null);
+    }
+
+    if (updates.hideNotification !== undefined) {
+      setClause.push('is_muted = ?');
+      params.push(updates.hideNotification ? 1 : 0);
+    }
+
+    if (setClause.length === 0) return;
+
+    setClause.push('updated_at = ?');
+    params.push(Date.now());
+    params.push(chatId, settingId);
+
+    await databaseManager.execute(
+      `UPDATE ${Tables.CHATS} SET ${setClause.join(', ')} WHERE server_id = ? AND setting_id = ?`,
+      params
+    );
+  }
+
   /**
    * Delete a chat from cache
    * @param {string} chatId - Chat server ID
@@ -141,6 +141,82 @@ class ContactListModel {
     return result !== null;
   }
 
+  /**
+   * Insert or replace a single contact list (e.g. one just created).
+   * @param {Object} list - Contact list object from API
+   * @param {string} settingId - The WhatsApp number setting ID
+   * @returns {Promise<void>}
+   */
+  static async saveContactList(list, settingId) {
+    if (!settingId || !(list?._id || list?.id)) return;
+    await databaseManager.batchInsert(Tables.CONTACT_LISTS, [this.toDbRecord(list, settingId)]);
+  }
+
+  /**
+   * Get a single cached contact list by server ID.
+   * @param {string} serverId - List server ID
+   * @param {string} settingId - The WhatsApp number setting ID
+   * @returns {Promise<Object|null>} Contact list object in API shape
+   */
+  static async getContactList(serverId, settingId) {
+    if (!serverId || !settingId) return null;
+    const row = await databaseManager.queryFirst(
+      `SELECT * FROM ${Tables.CONTACT_LISTS} WHERE server_id = ? AND setting_id = ?`,
+      [serverId, settingId]
+    );
+    return row ? this.fromDbRecord(row) : null;
+  }
+
+  /**
+   * Update a cached list's name and/or count, keeping metadata in step.
+   * @param {string} serverId - List server ID
+   * @param {Object} changes - { listName?, count? }
+   * @param {string} settingId - The WhatsApp number setting ID
+   * @returns {Promise<void>}
+   */
+  static async updateContactList(serverId, changes, settingId) {
+    const list = await this.getContactList(serverId, settingId);
+    if (!list) return;
+
+    const { _cached, _syncedAt, ...original } = list;
+    const updated = { ...original };
+    if (changes.listName !== undefined) {
+      updated.listName = changes.listName;
+      if ('listname' in updated) updated.listname = changes.listName;
+    }
+    if (changes.count !== undefined) {
+      const count = Math.max(0, changes.count);
+      updated.count = count;
+      if ('contactsCount' in updated) updated.contactsCount = count;
+    }
+
+    await databaseManager.execute(
+      `UPDATE ${Tables.CONTACT_LISTS} SET list_name = ?, contacts_count = ?, metadata = ?, updated_at = ? WHERE server_id = ? AND setting_id = ?`,
+      [
+        updated.listName || updated.listname || '',
+        updated.count ?? updated.contactsCount ?? 0,
+        JSON.stringify(updated),
+        Date.now(),
+        serverId,
+        settingId,
+      ]
+    );
+  }
+
+  /**
+   * Delete a single cached contact list.
+   * @param {string} serverId - List server ID
+   * @param {string} settingId - The WhatsApp number setting ID
+   * @returns {Promise<void>}
+   */
+  static async deleteContactList(serverId, settingId) {
+    if (!serverId || !settingId) return;
+    await databaseManager.execute(
+      `DELETE FROM ${Tables.CONTACT_LISTS} WHERE server_id = ? AND setting_id = ?`,
+      [serverId, settingId]
+    );
+  }
+
   /**
    * Clear all cached contact lists for a setting.
    * @param {string} settingId - The WhatsApp number setting ID
@@ -9,6 +9,7 @@
 import { databaseManager } from '../DatabaseManager';
 import { Tables } from '../schema';
 import { generateUUID } from '../../utils/helpers';
+import OptInEventModel from './OptInEventModel';
 
 // Sentinel value for "All Contacts" list_name (used instead of NULL for UNIQUE constraint)
 const ALL_CONTACTS_LIST = '__all__';
@@ -94,6 +95,7 @@ class ContactModel {
   /**
    * Save contacts to SQLite for a given setting (append mode).
    * Uses INSERT OR REPLACE — duplicates are handled by UNIQUE(server_id, setting_id, list_name).
+   * Opt-in status changes are recorded to the opt-in audit trail first.
    * @param {Array} contacts - Array of contact objects from API
    * @param {string} settingId - The WhatsApp number setting ID
    * @param {string} [listName] - The list name filter (null for "All Contacts")
@@ -103,6 +105,12 @@ class ContactModel {
   static async saveContacts(contacts, settingId, listName = null, startIndex = 0) {
     if (!settingId || !contacts || contacts.length === 0) return;
 
+    try {
+      await OptInEventModel.recordStatusChanges(contacts, settingId);
+    } catch (e) {
+      // Audit trail is best-effort — never block caching contacts
+    }
+
     const records = contacts.map((c, i) =>
       this.toDbRecord(c, settingId, listName, startIndex + i)
     );
@@ -213,6 +221,225 @@ class ContactModel {
     };
   }
 
+  /**
+   * Cached contacts keyed by phone number digits, across all lists.
+   * Used to flag contacts that already exist before an import.
+   * @param {string} settingId - The WhatsApp number setting ID
+   * @returns {Promise<Map<string, {id: string, name: string}>>}
+   */
+  static async getContactsByPhone(settingId) {
+    const byPhone = new Map();
+    if (!settingId) return byPhone;
+
+    const rows = await databaseManager.query(
+      `SELECT DISTINCT server_id, name, phone_number FROM ${Tables.CONTACTS} WHERE setting_id = ?`,
+      [settingId]
+    );
+    rows.forEach((row) => {
+      const digits = (row.phone_number || '').replace(/\D/g, '');
+      if (digits && !byPhone.has(digits)) {
+        byPhone.set(digits, { id: row.server_id, name: row.name || '' });
+      }
+    });
+    return byPhone;
+  }
+
+  /**
+   * Replace the list name stored in each contact's metadata JSON.
+   * Rows are rewritten in JS — the metadata may use listName or listname.
+   * @param {string} settingId - The WhatsApp number setting ID
+   * @param {string} fromName - Only contacts currently in this list are changed
+   * @param {string|null} toName - New list name ('' when the contact leaves the list)
+   * @param {Array<string>} [contactIds] - Limit to these contacts (all when omitted)
+   * @returns {Promise<void>}
+   */
+  static async _replaceListNameInMetadata(settingId, fromName, toName, contactIds = null) {
+    const rows = contactIds
+      ? await this._getRowsByServerIds(settingId, contactIds)
+      : await databaseManager.query(
+        `SELECT id, metadata FROM ${Tables.CONTACTS} WHERE setting_id = ? AND metadata IS NOT NULL`,
+        [settingId]
+      );
+
+    for (const row of rows) {
+      const metadata = this._withListName(row.metadata, toName, fromName);
+      if (metadata === null) continue;
+      await databaseManager.execute(
+        `UPDATE ${Tables.CONTACTS} SET metadata = ?, updated_at = ? WHERE id = ?`,
+        [metadata, Date.now(), row.id]
+      );
+    }
+  }
+
+  /**
+   * Metadata JSON with the list name replaced, or null when nothing changes
+   * @param {string} metadata - Metadata JSON
+   * @param {string|null} listName - New list name
+   * @param {string} [onlyFrom] - Only replace when the current list name matches
+   * @returns {string|null}
+   */
+  static _withListName(metadata, listName, onlyFrom = undefined) {
+    if (!metadata) return null;
+    try {
+      const contact = JSON.parse(metadata);
+      const current = contact.listName ?? contact.listname ?? '';
+      if (onlyFrom !== undefined && current !== onlyFrom) return null;
+      if (current === (listName || '')) return null;
+      contact.listName = listName || '';
+      if ('listname' in contact) contact.listname = listName || '';
+      return JSON.stringify(contact);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * All cached rows (every list partition) for the given contacts.
+   * Queried in chunks to stay under SQLite's variable limit.
+   * @param {string} settingId - The WhatsApp number setting ID
+   * @param {Array<string>} contactIds - Server IDs
+   * @returns {Promise<Array>} Raw SQLite rows
+   */
+  static async _getRowsByServerIds(settingId, contactIds) {
+    const rows = [];
+    for (let i = 0; i < contactIds.length; i += 100) {
+      const chunk = contactIds.slice(i, i + 100);
+      const placeholders = chunk.map(() => '?').join(', ');
+      const chunkRows = await databaseManager.query(
+        `SELECT * FROM ${Tables.CONTACTS} WHERE setting_id = ? AND server_id IN (${placeholders})`,
+        [settingId, ...chunk]
+      );
+      rows.push(...chunkRows);
+    }
+    return rows;
+  }
+
+  /**
+   * Copy cached contacts into a list partition so they show up in that list
+   * offline. Contacts not cached in any partition are skipped; the list is
+   * filled in properly on its next fetch.
+   * @param {string} settingId - The WhatsApp number setting ID
+   * @param {Array<string>} contactIds - Server IDs
+   * @param {string} listName - Target list name
+   * @returns {Promise<number>} Number of contacts that were not in the list yet
+   */
+  static async copyContactsToList(settingId, contactIds, listName) {
+    if (!settingId || !listName || !contactIds?.length) return 0;
+
+    const rows = await this._getRowsByServerIds(settingId, contactIds);
+    const dbListName = this._normalizeListName(listName);
+    const last = await databaseManager.queryFirst(
+      `SELECT MAX(sort_order) as maxOrder FROM ${Tables.CONTACTS} WHERE setting_id = ? AND list_name = ?`,
+      [settingId, dbListName]
+    );
+    let sortOrder = (last?.maxOrder ?? -1) + 1;
+
+    // One source row per contact — any partition holds the same contact JSON
+    const inList = new Set(rows.filter((row) => row.list_name === dbListName).map((row) => row.server_id));
+    const byServerId = new Map();
+    rows.forEach((row) => {
+      if (!inList.has(row.server_id) && !byServerId.has(row.server_id)) byServerId.set(row.server_id, row);
+    });
+
+    const now = Date.now();
+    const records = [...byServerId.values()]
+      .map((row) => ({
+        ...row,
+        id: generateUUID(),
+        list_name: dbListName,
+        metadata: this._withListName(row.metadata, listName) ?? row.metadata,
+        sort_order: sortOrder++,
+        updated_at: now,
+      }));
+
+    await databaseManager.batchInsert(Tables.CONTACTS, records);
+    return contactIds.filter((id) => !inList.has(id)).length;
+  }
+
+  /**
+   * Remove contacts from a list partition. Their remaining rows (e.g. in
+   * "All Contacts") get the replacement list name — the target list on a
+   * move, none on a plain remove.
+   * @param {string} settingId - The WhatsApp number setting ID
+   * @param {Array<string>} contactIds - Server IDs
+   * @param {string} listName - List the contacts leave
+   * @param {string|null} [replacementListName] - List the contacts now belong to
+   * @returns {Promise<void>}
+   */
+  static async removeContactsFromList(settingId, contactIds, listName, replacementListName = null) {
+    if (!settingId || !listName || !contactIds?.length) return;
+
+    const dbListName = this._normalizeListName(listName);
+    for (let i = 0; i < contactIds.length; i += 100) {
+      const chunk = contactIds.slice(i, i + 100);
+      const placeholders = chunk.map(() => '?').join(', ');
+      await databaseManager.execute(
+        `DELETE FROM ${Tables.CONTACTS} WHERE setting_id = ? AND list_name = ? AND server_id IN (${placeholders})`,
+        [settingId, dbListName, ...chunk]
+      );
+    }
+    await this._replaceListNameInMetadata(settingId, listName, replacementListName, contactIds);
+  }
+
+  /**
+   * Rename a list partition and the list name inside contact metadata.
+   * @param {string} settingId - The WhatsApp number setting ID
+   * @param {string} oldName - Current list name
+   * @param {string} newName - New list name
+   * @returns {Promise<void>}
+   */
+  static async renameList(settingId, oldName, newName) {
+    if (!settingId || !oldName || !newName || oldName === newName) return;
+
+    await databaseManager.execute(
+      `UPDATE OR REPLACE ${Tables.CONTACTS} SET list_name = ? WHERE setting_id = ? AND list_name = ?`,
+      [newName, settingId, oldName]
+    );
+    await this._replaceListNameInMetadata(settingId, oldName, newName);
+  }
+
+  /**
+   * Drop a deleted list's partition. Its contacts are either deleted from
+   * every partition or become unassigned.
+   * @param {string} settingId - The WhatsApp number setting ID
+   * @param {string} listName - Deleted list name
+   * @param {boolean} [deleteContacts=false] - Whether the list's contacts were deleted too
+   * @returns {Promise<void>}
+   */
+  static async removeList(settingId, listName, deleteContacts = false) {
+    if (!settingId || !listName) return;
+
+    if (deleteContacts) {
+      const rows = await databaseManager.query(
+        `SELECT server_id FROM ${Tables.CONTACTS} WHERE setting_id = ? AND list_name = ?`,
+        [settingId, listName]
+      );
+      await this.deleteContactsByIds(settingId, rows.map((row) => row.server_id));
+    } else {
+      await this._replaceListNameInMetadata(settingId, listName, null);
+    }
+    await this.clearContactsForList(settingId, listName);
+  }
+
+  /**
+   * Delete contacts from every list partition.
+   * @param {string} settingId - The WhatsApp number setting ID
+   * @param {Array<string>} contactIds - Server IDs
+   * @returns {Promise<void>}
+   */
+  static async deleteContactsByIds(settingId, contactIds) {
+    if (!settingId || !contactIds?.length) return;
+
+    for (let i = 0; i < contactIds.length; i += 100) {
+      const chunk = contactIds.slice(i, i + 100);
+      const placeholders = chunk.map(() => '?').join(', ');
+      await databaseManager.execute(
+        `DELETE FROM ${Tables.CONTACTS} WHERE setting_id = ? AND server_id IN (${placeholders})`,
+        [settingId, ...chunk]
+      );
+    }
+  }
+
   /**
    * Clear all cached contacts for a setting (all lists).
    * Used for account switch.
@@ -0,0 +1,116 @@
+/**
+ * DraftModel - SQLite model for composer drafts
+ *
+ * One row per chat holding what was left in the chat composer: the text, a
+ * reference to the attached file (local URI or uploaded URL, not the file
+ * itself), the message being replied to and the formatting toggles.
+ * Rows are removed once the draft is empty (sent or cleared).
+ */
+
+import { databaseManager } from '../DatabaseManager';
+import { Tables } from '../schema';
+
+const parseJson = (value, fallback = null) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+class DraftModel {
+  /**
+   * Check whether a draft has nothing worth keeping
+   * @param {Object} draft - { text, file, replyTo }
+   * @returns {boolean}
+   */
+  static isEmpty(draft) {
+    return !draft || (!draft.text?.trim() && !draft.file && !draft.replyTo);
+  }
+
+  /**
+   * Convert a draft object to a database record
+   * @param {Object} draft - { chatId, text, file, replyTo, formatting }
+   * @param {string} settingId - Current setting ID
+   * @returns {Object} Database record
+   */
+  static toDbRecord(draft, settingId) {
+    return {
+      chat_id: draft.chatId,
+      setting_id: settingId,
+      text: draft.text || '',
+      file: draft.file ? JSON.stringify(draft.file) : null,
+      reply_to: draft.replyTo ? JSON.stringify(draft.replyTo) : null,
+      formatting: draft.formatting ? JSON.stringify(draft.formatting) : null,
+      updated_at: draft.updatedAt || Date.now(),
+    };
+  }
+
+  /**
+   * Convert a database record back to a draft object
+   * @param {Object} record - SQLite row
+   * @returns {Object}
+   */
+  static fromDbRecord(record) {
+    return {
+      chatId: record.chat_id,
+      text: record.text || '',
+      file: parseJson(record.file),
+      replyTo: parseJson(record.reply_to),
+      formatting: parseJson(record.formatting),
+      updatedAt: record.updated_at,
+    };
+  }
+
+  /**
+   * Insert or replace the draft for a chat
+   * @param {Object} draft - Draft object
+   * @param {string} settingId - Current setting ID
+   * @returns {Promise<Object>} The saved draft
+   */
+  static async saveDraft(draft, settingId) {
+    const record = this.toDbRecord(draft, settingId);
+    await databaseManager.upsert(Tables.DRAFTS, record);
+    return this.fromDbRecord(record);
+  }
+
+  /**
+   * Get the draft for a chat
+   * @param {string} chatId - Chat server ID
+   * @param {string} settingId - Current setting ID
+   * @returns {Promise<Object|null>}
+   */
+  static async getDraft(chatId, settingId) {
+    const record = await databaseManager.queryFirst(
+      `SELECT * FROM ${Tables.DRAFTS} WHERE chat_id = ? AND setting_id = ?`,
+      [chatId, settingId]
+    );
+    return record ? this.fromDbRecord(record) : null;
+  }
+
+  /**
+   * Get all drafts for the current setting (chat list previews)
+   * @param {string} settingId - Current setting ID
+   * @returns {Promise<Array>}
+   */
+  static async getAllDrafts(settingId) {
+    const rows = await databaseManager.query(
+      `SELECT * FROM ${Tables.DRAFTS} WHERE setting_id = ?`,
+      [settingId]
+    );
+    return rows.map((row) => this.fromDbRecord(row));
+  }
+
+  /**
+   * Delete the draft for a chat
+   * @param {string} chatId - Chat server ID
+   * @param {string} settingId - Current setting ID
+   * @returns {Promise<void>}
+   */
+  static async deleteDraft(chatId, settingId) {
+    await databaseManager.delete(Tables.DRAFTS, 'chat_id = ? AND setting_id = ?', [chatId, settingId]);
+  }
+}
+
+export default DraftModel;
@@ -6,8 +6,9 @@
  */
 
 import { databaseManager } from '../DatabaseManager';
-import { Tables } from '../schema';
+import { Tables, MESSAGES_FTS_TABLE } from '../schema';
 import { generateUUID } from '../../utils/helpers';
+import { getTemplateData, getInteractiveData } from '../../utils/messageHelpers';
 
 class MessageModel {
   /**
@@ -122,9 +123,68 @@ class MessageModel {
       system_message_type: message.systemMessageType || null,
       system_metadata: message.systemMetadata ? JSON.stringify(message.systemMetadata) : null,
       reactions_json: message.reactions ? JSON.stringify(message.reactions) : null,
+      // V22 column — template/interactive text for full-text search
+      search_text: this._extractSearchText(message, messageType),
     };
   }
 
+  /**
+   * Extract searchable text that isn't in body/caption/filename:
+   * template name, component text and parameters, interactive header/footer/buttons/rows
+   */
+  static _extractSearchText(message, messageType) {
+    const parts = [];
+    const addText = (value) => {
+      if (typeof value === 'string' && value.trim()) parts.push(value.trim());
+    };
+
+    try {
+      if (messageType === 'template') {
+        const template = getTemplateData(message);
+        if (template) {
+          addText(template.templateName);
+          (template.components || []).forEach((component) => {
+            addText(component?.text);
+            (component?.buttons || []).forEach(button => addText(button?.text));
+          });
+          [...(template.headerParams || []), ...(template.bodyParams || [])].forEach((param) => {
+            addText(typeof param === 'object' ? param?.text : param);
+          });
+        }
+      } else if (['interactive', 'button_reply', 'list_reply'].includes(messageType)) {
+        const interactive = getInteractiveData(message);
+        addText(interactive.body);
+        addText(interactive.header?.text);
+        addText(interactive.footer);
+        interactive.buttons.forEach(button => addText(button?.reply?.title || button?.title));
+        interactive.sections.forEach((section) => {
+          addText(section?.title);
+          (section?.rows || []).forEach((row) => {
+            addText(row?.title);
+            addText(row?.description);
+          });
+        });
+      }
+    } catch (e) {
+      // Unexpected shape — index what we have
+    }
+
+    return parts.length > 0 ? parts.join(' ') : null;
+  }
+
+  /**
+   * Build an FTS5 MATCH expression from free text: every word must match,
+   * each as a quoted prefix so user input can't inject FTS syntax.
+   */
+  static _toFtsQuery(query) {
+    const terms = (query || '')
+      .split(/\s+/)
+      .map(term => term.replace(/"/g, '').trim())
+      .filter(Boolean);
+    if (terms.length === 0) return null;
+    return terms.map(term => `"${term}"*`).join(' ');
+  }
+
   /**
    * Extract message type from various API structures
    */
@@ -700,6 +760,123 @@ class MessageModel {
     );
   }
 
+  /**
+   * Set (or clear, with an empty emoji) the local user's reaction on a message.
+   * Keeps the metadata blob and the reaction columns in step.
+   * @param {string} messageId - Message server ID, wamid or temp ID
+   * @param {string} emoji - Reaction emoji ('' to remove)
+   * @param {string} settingId - Current setting ID
+   * @returns {Promise<void>}
+   */
+  static async updateOwnReaction(messageId, emoji, settingId) {
+    const record = await databaseManager.queryFirst(
+      `SELECT id, metadata, reactions_json FROM ${Tables.MESSAGES}
+       WHERE (server_id = ? OR wa_message_id = ? OR temp_id = ?) AND setting_id = ?`,
+      [messageId, messageId, messageId, settingId]
+    );
+    if (!record) return;
+
+    let original = null;
+    try {
+      original = record.metadata ? JSON.parse(record.metadata) : null;
+    } catch (e) {
+      original = null;
+    }
+
+    let reactions = original?.reactions;
+    if (!reactions && record.reactions_json) {
+      try {
+        reactions = JSON.parse(record.reactions_json);
+      } catch (e) {
+        reactions = null;
+      }
+    }
+    reactions = Array.isArray(reactions) ? reactions.filter(r => r.sentBy !== 'me') : [];
+    if (emoji) {
+      reactions.push({ emoji, sentBy: 'me' });
+    }
+
+    const params = [JSON.stringify(reactions), emoji ? JSON.stringify({ emoji }) : null];
+    let metadataClause = '';
+    if (original) {
+      metadataClause = ', metadata = ?';
+      params.push(JSON.stringify({ ...original, reaction: emoji ? { emoji } : null, reactions }));
+    }
+    params.push(Date.now(), record.id);
+
+    await databaseManager.execute(
+      `UPDATE ${Tables.MESSAGES}
+       SET reactions_json = ?, reaction = ?${metadataClause}, updated_at = ?
+       WHERE id = ?`,
+      params
+    );
+  }
+
+  /**
+   * Full-text search across cached messages (newest first).
+   * Uses the FTS5 index when available, LIKE matching otherwise.
+   * @param {string} settingId - Current setting ID
+   * @param {string} query - Free-text query
+   * @param {Object} options - { chatId, limit, offset }
+   * @returns {Promise<Array>} Messages with chatId and matchText (matched field) set
+   */
+  static async searchMessages(settingId, query, options = {}) {
+    const { chatId = null, limit = 50, offset = 0 } = options;
+    const chatClause = chatId ? 'AND m.chat_id = ?' : '';
+    let records = [];
+
+    if (databaseManager.isFullTextSearchAvailable) {
+      const match = this._toFtsQuery(query);
+      if (!match) return [];
+
+      // Join on rowid also drops index rows whose message was replaced/removed
+      records = await databaseManager.query(
+        `SELECT m.* FROM ${MESSAGES_FTS_TABLE} f
+         JOIN ${Tables.MESSAGES} m ON m.rowid = f.rowid
+         WHERE ${MESSAGES_FTS_TABLE} MATCH ? AND m.setting_id = ? ${chatClause}
+         ORDER BY m.timestamp DESC
+         LIMIT ? OFFSET ?`,
+        [match, settingId, ...(chatId ? [chatId] : []), limit, offset]
+      );
+    } else {
+      const terms = (query || '').split(/\s+/).filter(Boolean);
+      if (terms.length === 0) return [];
+
+      const termClause = terms.map(() => `(
+        m.body LIKE ? OR m.media_caption LIKE ? OR m.media_filename LIKE ? OR m.search_text LIKE ?
+      )`).join(' AND ');
+      const termParams = terms.flatMap((term) => {
+        const pattern = `%${term}%`;
+        return [pattern, pattern, pattern, pattern];
+      });
+
+      records = await databaseManager.query(
+        `SELECT m.* FROM ${Tables.MESSAGES} m
+         WHERE m.setting_id = ? ${chatClause} AND ${termClause}
+         ORDER BY m.timestamp DESC
+         LIMIT ? OFFSET ?`,
+        [settingId, ...(chatId ? [chatId] : []), ...termParams, limit, offset]
+      );
+    }
+
+    const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    return records.map(record => ({
+      ...this.fromDbRecord(record),
+      chatId: record.chat_id,
+      matchText: this._getMatchText(record, terms),
+    }));
+  }
+
+  /**
+   * Pick the indexed field that matched, for showing a result snippet
+   */
+  static _getMatchText(record, terms) {
+    const fields = [record.body, record.media_caption, record.media_filename, record.search_text]
+      .filter(value => typeof value === 'string' && value.trim());
+    const matched = fields.find(value => terms.some(term => value.toLowerCase().includes(term)));
+    return matched || fields[0] || '';
+  }
+
   /**
    * Get pending messages for sync
    * @param {string} settingId - Current setting ID
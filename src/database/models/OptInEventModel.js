@@ -0,0 +1,144 @@
+/**
+ * OptInEventModel - SQLite model for the contact opt-in audit trail
+ *
+ * Every time contacts are cached, their opt_in_status is compared with the
+ * last status recorded for them here. A new row is written for the first
+ * status seen (from_status NULL) and for every change after that, so the
+ * trail survives list refreshes that clear the contacts table.
+ */
+
+import { databaseManager } from '../DatabaseManager';
+import { Tables } from '../schema';
+import { generateUUID } from '../../utils/helpers';
+import { normalizeOptInStatus } from '../../utils/optInHelpers';
+
+// Keep IN (...) lists well below SQLite's bound-parameter limit
+const LOOKUP_CHUNK_SIZE = 200;
+
+const toTimestamp = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+class OptInEventModel {
+  /**
+   * Convert a database record to an event object
+   * @param {Object} record - SQLite row
+   * @returns {Object}
+   */
+  static fromDbRecord(record) {
+    return {
+      id: record.id,
+      contactId: record.contact_id,
+      contactName: record.contact_name || '',
+      phoneNumber: record.phone_number || '',
+      fromStatus: record.from_status || null,
+      toStatus: record.to_status,
+      changedAt: record.changed_at,
+    };
+  }
+
+  /**
+   * Last recorded status of each contact
+   * @param {Array<string>} contactIds - Contact server IDs
+   * @param {string} settingId - Current setting ID
+   * @returns {Promise<Map<string, {status: string, changedAt: number}>>}
+   */
+  static async _getLastStatuses(contactIds, settingId) {
+    const lastStatuses = new Map();
+    for (let i = 0; i < contactIds.length; i += LOOKUP_CHUNK_SIZE) {
+      const chunk = contactIds.slice(i, i + LOOKUP_CHUNK_SIZE);
+      const rows = await databaseManager.query(
+        `SELECT contact_id, to_status, changed_at FROM ${Tables.OPT_IN_EVENTS}
+         WHERE setting_id = ? AND contact_id IN (${chunk.map(() => '?').join(', ')})
+         ORDER BY changed_at ASC, rowid ASC`,
+        [settingId, ...chunk]
+      );
+      // Rows are oldest first — the last one per contact wins
+      rows.forEach((row) => {
+        lastStatuses.set(row.contact_id, { status: row.to_status, changedAt: row.changed_at || 0 });
+      });
+    }
+    return lastStatuses;
+  }
+
+  /**
+   * Record opt-in status changes for contacts about to be cached
+   * @param {Array} contacts - Contact objects from the API
+   * @param {string} settingId - Current setting ID
+   * @returns {Promise<number>} Number of events written
+   */
+  static async recordStatusChanges(contacts, settingId) {
+    if (!settingId || !contacts?.length) return 0;
+
+    // Contacts without a status (partial payloads) are not treated as a change
+    const incoming = new Map();
+    contacts.forEach((contact) => {
+      const contactId = contact?._id || contact?.id;
+      const status = normalizeOptInStatus(contact?.optIn?.status);
+      if (contactId && status) incoming.set(contactId, { contact, status });
+    });
+    if (incoming.size === 0) return 0;
+
+    const lastStatuses = await this._getLastStatuses([...incoming.keys()], settingId);
+    const now = Date.now();
+
+    const records = [];
+    incoming.forEach(({ contact, status }, contactId) => {
+      const previous = lastStatuses.get(contactId);
+      if (previous?.status === status) return;
+
+      const reportedAt = toTimestamp(contact.optIn?.updatedAt) || toTimestamp(contact.updatedAt);
+      records.push({
+        id: generateUUID(),
+        setting_id: settingId,
+        contact_id: contactId,
+        contact_name: contact.name || null,
+        phone_number: contact.mobile || contact.phone || null,
+        from_status: previous?.status || null,
+        to_status: status,
+        // Never order a change before the event it follows
+        changed_at: previous ? Math.max(reportedAt || now, previous.changedAt) : reportedAt || now,
+      });
+    });
+
+    if (records.length > 0) {
+      await databaseManager.batchInsert(Tables.OPT_IN_EVENTS, records);
+    }
+    return records.length;
+  }
+
+  /**
+   * Get opt-in events, newest first
+   * @param {string} settingId - Current setting ID
+   * @param {Object} [options]
+   * @param {string} [options.contactId] - Only this contact's trail
+   * @param {boolean} [options.changesOnly=false] - Skip first-seen rows
+   * @param {number} [options.limit=200] - Max events
+   * @returns {Promise<Array>}
+   */
+  static async getEvents(settingId, options = {}) {
+    const { contactId, changesOnly = false, limit = 200 } = options;
+    if (!settingId) return [];
+
+    const conditions = ['setting_id = ?'];
+    const params = [settingId];
+    if (contactId) {
+      conditions.push('contact_id = ?');
+      params.push(contactId);
+    }
+    if (changesOnly) {
+      conditions.push('from_status IS NOT NULL');
+    }
+
+    const rows = await databaseManager.query(
+      `SELECT * FROM ${Tables.OPT_IN_EVENTS} WHERE ${conditions.join(' AND ')}
+       ORDER BY changed_at DESC, rowid DESC LIMIT ?`,
+      [...params, limit]
+    );
+    return rows.map((row) => this.fromDbRecord(row));
+  }
+}
+
+export default OptInEventModel;
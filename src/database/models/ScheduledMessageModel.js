@@ -0,0 +1,183 @@
+/**
+ * ScheduledMessageModel - SQLite model for scheduled messages
+ *
+ * Stores messages composed in a chat to be sent later. Each row keeps the
+ * socket payload (minus the per-attempt tempId) and an optimistic copy of the
+ * message used to render the "scheduled" bubble. Rows are removed once sent;
+ * failed rows stay so they can be edited, retried or cancelled.
+ *
+ * Statuses: 'scheduled' (waiting), 'sending' (picked up by the scheduler),
+ * 'failed' (error_message says why — e.g. the 24-hour window closed).
+ */
+
+import { databaseManager } from '../DatabaseManager';
+import { Tables } from '../schema';
+
+const parseJson = (value, fallback = null) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+class ScheduledMessageModel {
+  /**
+   * Convert a scheduled message object to a database record
+   * @param {Object} item - { _id, chatId, operation, messageType, payload, preview, scheduledAt, status, error }
+   * @param {string} settingId - Current setting ID
+   * @returns {Object} Database record
+   */
+  static toDbRecord(item, settingId) {
+    const now = Date.now();
+    return {
+      id: item._id,
+      setting_id: settingId,
+      chat_id: item.chatId,
+      operation: item.operation,
+      message_type: item.messageType,
+      payload: JSON.stringify(item.payload || {}),
+      preview: item.preview ? JSON.stringify(item.preview) : null,
+      scheduled_at: item.scheduledAt,
+      status: item.status || 'scheduled',
+      error_message: item.error || null,
+      created_at: item.createdAt || now,
+      updated_at: now,
+    };
+  }
+
+  /**
+   * Convert a database record back to a scheduled message object
+   * @param {Object} record - SQLite row
+   * @returns {Object}
+   */
+  static fromDbRecord(record) {
+    return {
+      _id: record.id,
+      chatId: record.chat_id,
+      operation: record.operation,
+      messageType: record.message_type,
+      payload: parseJson(record.payload, {}),
+      preview: parseJson(record.preview),
+      scheduledAt: record.scheduled_at,
+      status: record.status,
+      error: record.error_message,
+      createdAt: record.created_at,
+      updatedAt: record.updated_at,
+    };
+  }
+
+  /**
+   * Insert or replace a scheduled message
+   * @param {Object} item - Scheduled message object
+   * @param {string} settingId - Current setting ID
+   * @returns {Promise<Object>} The saved object
+   */
+  static async saveScheduledMessage(item, settingId) {
+    const record = this.toDbRecord(item, settingId);
+    await databaseManager.upsert(Tables.SCHEDULED_MESSAGES, record);
+    return this.fromDbRecord(record);
+  }
+
+  /**
+   * Get a scheduled message by ID
+   * @param {string} id - Scheduled message ID
+   * @param {string} settingId - Current setting ID
+   * @returns {Promise<Object|null>}
+   */
+  static async getScheduledMessageById(id, settingId) {
+    const record = await databaseManager.queryFirst(
+      `SELECT * FROM ${Tables.SCHEDULED_MESSAGES} WHERE id = ? AND setting_id = ?`,
+      [id, settingId]
+    );
+    return record ? this.fromDbRecord(record) : null;
+  }
+
+  /**
+   * Get all scheduled messages for a chat, soonest first
+   * @param {string} chatId - Chat server ID
+   * @param {string} settingId - Current setting ID
+   * @returns {Promise<Array>}
+   */
+  static async getScheduledMessagesForChat(chatId, settingId) {
+    const rows = await databaseManager.query(
+      `SELECT * FROM ${Tables.SCHEDULED_MESSAGES}
+       WHERE setting_id = ? AND chat_id = ?
+       ORDER BY scheduled_at ASC`,
+      [settingId, chatId]
+    );
+    return rows.map((row) => this.fromDbRecord(row));
+  }
+
+  /**
+   * Get scheduled messages whose time has come, oldest first
+   * @param {number} now - Current time (ms)
+   * @param {string} settingId - Current setting ID
+   * @returns {Promise<Array>}
+   */
+  static async getDueScheduledMessages(now, settingId) {
+    const rows = await databaseManager.query(
+      `SELECT * FROM ${Tables.SCHEDULED_MESSAGES}
+       WHERE setting_id = ? AND status = 'scheduled' AND scheduled_at <= ?
+       ORDER BY scheduled_at ASC`,
+      [settingId, now]
+    );
+    return rows.map((row) => this.fromDbRecord(row));
+  }
+
+  /**
+   * Get the time of the next waiting scheduled message
+   * @param {string} settingId - Current setting ID
+   * @returns {Promise<number|null>}
+   */
+  static async getNextScheduledTime(settingId) {
+    const result = await databaseManager.queryFirst(
+      `SELECT MIN(scheduled_at) as next_at FROM ${Tables.SCHEDULED_MESSAGES}
+       WHERE setting_id = ? AND status = 'scheduled'`,
+      [settingId]
+    );
+    return result?.next_at || null;
+  }
+
+  /**
+   * Update the status (and error) of a scheduled message
+   * @param {string} id - Scheduled message ID
+   * @param {string} status - New status
+   * @param {string|null} errorMessage - Failure reason
+   * @param {string} settingId - Current setting ID
+   * @returns {Promise<void>}
+   */
+  static async updateStatus(id, status, errorMessage, settingId) {
+    await databaseManager.execute(
+      `UPDATE ${Tables.SCHEDULED_MESSAGES}
+       SET status = ?, error_message = ?, updated_at = ?
+       WHERE id = ? AND setting_id = ?`,
+      [status, errorMessage || null, Date.now(), id, settingId]
+    );
+  }
+
+  /**
+   * Return messages left in 'sending' (app killed mid-send) to the schedule
+   * @param {string} settingId - Current setting ID
+   * @returns {Promise<void>}
+   */
+  static async resetInterruptedSends(settingId) {
+    await databaseManager.execute(
+      `UPDATE ${Tables.SCHEDULED_MESSAGES} SET status = 'scheduled' WHERE setting_id = ? AND status = 'sending'`,
+      [settingId]
+    );
+  }
+
+  /**
+   * Delete a scheduled message
+   * @param {string} id - Scheduled message ID
+   * @param {string} settingId - Current setting ID
+   * @returns {Promise<void>}
+   */
+  static async deleteScheduledMessage(id, settingId) {
+    await databaseManager.delete(Tables.SCHEDULED_MESSAGES, 'id = ? AND setting_id = ?', [id, settingId]);
+  }
+}
+
+export default ScheduledMessageModel;
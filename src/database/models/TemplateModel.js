@@ -296,6 +296,55 @@ class TemplateModel {
     );
   }
 
+  /**
+   * Merge an updated template (e.g. a socket status change) into every cached bucket.
+   * Rows in a status bucket the template no longer matches are removed; the
+   * 'all' bucket is always kept.
+   * @param {Object} template - Updated template fields (must include _id)
+   * @param {string} settingId - The WhatsApp number setting ID
+   * @returns {Promise<void>}
+   */
+  static async updateTemplate(template, settingId) {
+    const serverId = template?._id || template?.id;
+    if (!settingId || !serverId) return;
+
+    const rows = await databaseManager.query(
+      `SELECT * FROM ${Tables.TEMPLATES} WHERE server_id = ? AND setting_id = ?`,
+      [serverId, settingId]
+    );
+
+    for (const row of rows) {
+      const merged = { ...this.fromDbRecord(row), ...template };
+      delete merged._cached;
+      delete merged._syncedAt;
+
+      const status = (merged.status || '').toLowerCase();
+      if (row.cache_key !== DEFAULT_CACHE_KEY && status && row.cache_key !== status) {
+        await databaseManager.execute(`DELETE FROM ${Tables.TEMPLATES} WHERE id = ?`, [row.id]);
+        continue;
+      }
+
+      await databaseManager.execute(
+        `UPDATE ${Tables.TEMPLATES} SET status = ?, metadata = ?, updated_at = ? WHERE id = ?`,
+        [merged.status || null, JSON.stringify(merged), Date.now(), row.id]
+      );
+    }
+  }
+
+  /**
+   * Remove a template from every cache bucket.
+   * @param {string} serverId - Template server ID
+   * @param {string} settingId - The WhatsApp number setting ID
+   * @returns {Promise<void>}
+   */
+  static async deleteTemplate(serverId, settingId) {
+    if (!settingId || !serverId) return;
+    await databaseManager.execute(
+      `DELETE FROM ${Tables.TEMPLATES} WHERE server_id = ? AND setting_id = ?`,
+      [serverId, settingId]
+    );
+  }
+
   /**
    * Get template counts grouped by status for offline stats.
    * Uses the 'all' cache bucket for accurate counts.
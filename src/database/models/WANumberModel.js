@@ -163,6 +163,68 @@ class WANumberModel {
     return count > 0;
   }
 
+  /**
+   * Move cached WA numbers to another folder.
+   * Updates the folder_id column and the folderId inside metadata so both
+   * read paths agree.
+   * @param {Array<string>} serverIds - WA number server IDs
+   * @param {string} folderId - Target folder ID
+   * @returns {Promise<void>}
+   */
+  static async updateFolderId(serverIds, folderId) {
+    if (!serverIds?.length) return;
+
+    for (let i = 0; i < serverIds.length; i += 100) {
+      const chunk = serverIds.slice(i, i + 100);
+      const placeholders = chunk.map(() => '?').join(', ');
+      const rows = await databaseManager.query(
+        `SELECT id, metadata FROM ${Tables.WA_NUMBERS} WHERE server_id IN (${placeholders})`,
+        chunk
+      );
+      for (const row of rows) {
+        await databaseManager.execute(
+          `UPDATE ${Tables.WA_NUMBERS} SET folder_id = ?, metadata = ? WHERE id = ?`,
+          [folderId, this._withFolderId(row.metadata, folderId), row.id]
+        );
+      }
+    }
+  }
+
+  /**
+   * Move every cached WA number in the given folders to another folder.
+   * Used when folders are deleted.
+   * @param {Array<string>} fromFolderIds - Source folder IDs
+   * @param {string} folderId - Target folder ID
+   * @returns {Promise<Array<string>>} Server IDs of the moved numbers
+   */
+  static async reassignFolders(fromFolderIds, folderId) {
+    if (!fromFolderIds?.length) return [];
+
+    const placeholders = fromFolderIds.map(() => '?').join(', ');
+    const rows = await databaseManager.query(
+      `SELECT server_id FROM ${Tables.WA_NUMBERS} WHERE folder_id IN (${placeholders})`,
+      fromFolderIds
+    );
+    const serverIds = rows.map((row) => row.server_id);
+    await this.updateFolderId(serverIds, folderId);
+    return serverIds;
+  }
+
+  /**
+   * Metadata JSON with folderId replaced; unparseable metadata is kept as is
+   * @param {string} metadata - Metadata JSON
+   * @param {string} folderId - Folder ID
+   * @returns {string|null}
+   */
+  static _withFolderId(metadata, folderId) {
+    if (!metadata) return metadata;
+    try {
+      return JSON.stringify({ ...JSON.parse(metadata), folderId });
+    } catch (e) {
+      return metadata;
+    }
+  }
+
   /**
    * Clear all cached WA numbers.
    * @returns {Promise<void>}
@@ -13,3 +13,7 @@ export { default as AppSettingsModel, SettingKeys } from './AppSettingsModel';
 export { default as ContactModel } from './ContactModel';
 export { default as ContactListModel } from './ContactListModel';
 export { default as TemplateModel } from './TemplateModel';
+export { default as ScheduledMessageModel } from './ScheduledMessageModel';
+export { default as DraftModel } from './DraftModel';
+export { default as BroadcastReportModel } from './BroadcastReportModel';
+export { default as OptInEventModel } from './OptInEventModel';
@@ -7,7 +7,7 @@
  * Schema Version: 1
  */
 
-export const SCHEMA_VERSION = 20;
+export const SCHEMA_VERSION = 27;
 
 // Table Names
 export const Tables = {
@@ -22,6 +22,10 @@ export const Tables = {
   DASHBOARD_STATS: 'dashboard_stats',
   APP_SETTINGS: 'app_settings',
   CONTACT_LISTS: 'contact_lists',
+  SCHEDULED_MESSAGES: 'scheduled_messages',
+  DRAFTS: 'drafts',
+  BROADCAST_REPORTS: 'broadcast_reports',
+  OPT_IN_EVENTS: 'opt_in_events',
 };
 
 // SQL statements to create tables
@@ -110,7 +114,8 @@ export const CREATE_TABLES_SQL = {
       sender_id TEXT,
       system_message_type TEXT,
       system_metadata TEXT,
-      reactions_json TEXT
+      reactions_json TEXT,
+      search_text TEXT
     )
   `,
 
@@ -205,10 +210,12 @@ export const CREATE_TABLES_SQL = {
       record_id TEXT NOT NULL,
       data TEXT,
       setting_id TEXT NOT NULL,
+      chat_id TEXT,
       retry_count INTEGER DEFAULT 0,
       max_retries INTEGER DEFAULT 3,
       status TEXT DEFAULT 'pending',
       error_message TEXT,
+      next_attempt_at INTEGER DEFAULT 0,
       created_at INTEGER,
       processed_at INTEGER
     )
@@ -274,6 +281,65 @@ export const CREATE_TABLES_SQL = {
       UNIQUE(server_id, setting_id)
     )
   `,
+
+  // Scheduled messages - composed now, sent by the local scheduler at scheduled_at
+  [Tables.SCHEDULED_MESSAGES]: `
+    CREATE TABLE IF NOT EXISTS ${Tables.SCHEDULED_MESSAGES} (
+      id TEXT PRIMARY KEY,
+      setting_id TEXT NOT NULL,
+      chat_id TEXT NOT NULL,
+      operation TEXT NOT NULL,
+      message_type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      preview TEXT,
+      scheduled_at INTEGER NOT NULL,
+      status TEXT DEFAULT 'scheduled',
+      error_message TEXT,
+      created_at INTEGER,
+      updated_at INTEGER
+    )
+  `,
+
+  // Composer drafts - one per chat (text, attached file reference, reply target)
+  [Tables.DRAFTS]: `
+    CREATE TABLE IF NOT EXISTS ${Tables.DRAFTS} (
+      chat_id TEXT NOT NULL,
+      setting_id TEXT NOT NULL,
+      text TEXT,
+      file TEXT,
+      reply_to TEXT,
+      formatting TEXT,
+      updated_at INTEGER,
+      PRIMARY KEY (chat_id, setting_id)
+    )
+  `,
+
+  // Broadcast reports - broadcast summary plus per-recipient delivery rows, for offline viewing
+  [Tables.BROADCAST_REPORTS]: `
+    CREATE TABLE IF NOT EXISTS ${Tables.BROADCAST_REPORTS} (
+      broadcast_id TEXT NOT NULL,
+      setting_id TEXT NOT NULL,
+      broadcast TEXT,
+      recipients TEXT,
+      updated_at INTEGER,
+      PRIMARY KEY (broadcast_id, setting_id)
+    )
+  `,
+
+  // Opt-in events - opt_in_status transitions seen while caching contacts (per-contact audit trail)
+  // from_status is NULL for the first status seen for a contact
+  [Tables.OPT_IN_EVENTS]: `
+    CREATE TABLE IF NOT EXISTS ${Tables.OPT_IN_EVENTS} (
+      id TEXT PRIMARY KEY,
+      setting_id TEXT NOT NULL,
+      contact_id TEXT NOT NULL,
+      contact_name TEXT,
+      phone_number TEXT,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      changed_at INTEGER
+    )
+  `,
 };
 
 // Index creation SQL for performance optimization
@@ -311,6 +377,7 @@ export const CREATE_INDEXES_SQL = [
   // Sync queue indexes
   `CREATE INDEX IF NOT EXISTS idx_sync_queue_status ON ${Tables.SYNC_QUEUE}(status)`,
   `CREATE INDEX IF NOT EXISTS idx_sync_queue_setting_id ON ${Tables.SYNC_QUEUE}(setting_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_sync_queue_chat_id ON ${Tables.SYNC_QUEUE}(chat_id)`,
 
   // WA Numbers indexes
   `CREATE UNIQUE INDEX IF NOT EXISTS idx_wa_numbers_server_id ON ${Tables.WA_NUMBERS}(server_id)`,
@@ -328,12 +395,61 @@ export const CREATE_INDEXES_SQL = [
   `CREATE INDEX IF NOT EXISTS idx_contact_lists_setting_id ON ${Tables.CONTACT_LISTS}(setting_id)`,
   `CREATE INDEX IF NOT EXISTS idx_contact_lists_name ON ${Tables.CONTACT_LISTS}(list_name)`,
 
+  // Scheduled messages indexes
+  `CREATE INDEX IF NOT EXISTS idx_scheduled_messages_chat ON ${Tables.SCHEDULED_MESSAGES}(setting_id, chat_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due ON ${Tables.SCHEDULED_MESSAGES}(status, scheduled_at)`,
+
+  // Opt-in events indexes
+  `CREATE INDEX IF NOT EXISTS idx_opt_in_events_contact ON ${Tables.OPT_IN_EVENTS}(setting_id, contact_id, changed_at DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_opt_in_events_changed ON ${Tables.OPT_IN_EVENTS}(setting_id, changed_at DESC)`,
+
   // Message deduplication indexes (partial unique — only where NOT NULL)
   // Prevents duplicate messages with the same server_id or wa_message_id within a chat
   `CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_server_id_unique ON ${Tables.MESSAGES}(chat_id, server_id) WHERE server_id IS NOT NULL`,
   `CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_wamid_unique ON ${Tables.MESSAGES}(chat_id, wa_message_id) WHERE wa_message_id IS NOT NULL`,
 ];
 
+// Full-text search over message content (FTS5).
+// Kept out of Tables/CREATE_TABLES_SQL because FTS5 may be unavailable in some
+// SQLite builds — DatabaseManager creates it separately and falls back to LIKE.
+// The FTS rowid mirrors messages.rowid; the triggers keep both in sync.
+// Messages are saved with INSERT OR REPLACE, which deletes the old row without
+// firing delete triggers and assigns a new rowid — the BEFORE INSERT trigger
+// drops the index entries of any row the REPLACE is about to remove.
+export const MESSAGES_FTS_TABLE = 'messages_fts';
+
+export const CREATE_SEARCH_SQL = [
+  `CREATE VIRTUAL TABLE IF NOT EXISTS ${MESSAGES_FTS_TABLE} USING fts5(
+    body,
+    media_caption,
+    media_filename,
+    search_text,
+    chat_id UNINDEXED,
+    setting_id UNINDEXED,
+    tokenize = 'unicode61 remove_diacritics 2'
+  )`,
+  `CREATE TRIGGER IF NOT EXISTS messages_fts_replace BEFORE INSERT ON ${Tables.MESSAGES} BEGIN
+    DELETE FROM ${MESSAGES_FTS_TABLE} WHERE rowid IN (
+      SELECT rowid FROM ${Tables.MESSAGES}
+      WHERE id = new.id
+        OR (new.server_id IS NOT NULL AND chat_id = new.chat_id AND server_id = new.server_id)
+        OR (new.wa_message_id IS NOT NULL AND chat_id = new.chat_id AND wa_message_id = new.wa_message_id)
+    );
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON ${Tables.MESSAGES} BEGIN
+    INSERT INTO ${MESSAGES_FTS_TABLE} (rowid, body, media_caption, media_filename, search_text, chat_id, setting_id)
+    VALUES (new.rowid, new.body, new.media_caption, new.media_filename, new.search_text, new.chat_id, new.setting_id);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON ${Tables.MESSAGES} BEGIN
+    DELETE FROM ${MESSAGES_FTS_TABLE} WHERE rowid = old.rowid;
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF body, media_caption, media_filename, search_text ON ${Tables.MESSAGES} BEGIN
+    DELETE FROM ${MESSAGES_FTS_TABLE} WHERE rowid = old.rowid;
+    INSERT INTO ${MESSAGES_FTS_TABLE} (rowid, body, media_caption, media_filename, search_text, chat_id, setting_id)
+    VALUES (new.rowid, new.body, new.media_caption, new.media_filename, new.search_text, new.chat_id, new.setting_id);
+  END`,
+];
+
 // Cache metadata keys
 export const CacheKeys = {
   LAST_SYNC_TIME: 'last_sync_time',
@@ -365,6 +481,7 @@ export default {
   Tables,
   CREATE_TABLES_SQL,
   CREATE_INDEXES_SQL,
+  CREATE_SEARCH_SQL,
   CacheKeys,
   CacheExpiry,
 };
@@ -5,6 +5,9 @@
  */
 
 export { default as useUploadState } from './useUploadState';
+export { default as useChatSelection } from './useChatSelection';
+export { default as useContactSelection } from './useContactSelection';
+export { default as useNow } from './useNow';
 
 // Cache hooks
 export {
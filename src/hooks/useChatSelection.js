@@ -0,0 +1,160 @@
+import { useState, useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  resetUnreadCount,
+  assignChatToMember,
+  updateChat,
+  toggleChatNotifications,
+  deleteChat,
+} from '../redux/slices/inboxSlice';
+import { resetUnreadCountViaSocket } from '../services/socketService';
+import { cacheManager } from '../database/CacheManager';
+import { showSuccess, showInfo, showError } from '../utils/toast';
+
+const getChatName = (chat) => chat?.contact?.name || chat?.contact?.phoneNumber || 'Unknown';
+
+const pluralize = (count) => `${count} ${count === 1 ? 'chat' : 'chats'}`;
+
+// Failures are listed by name; long lists are truncated so the toast stays readable
+const MAX_LISTED_FAILURES = 3;
+
+/**
+ * useChatSelection Hook
+ * Multi-select state for the chat list plus bulk actions over the selection.
+ * Each action runs chat by chat through the same thunks as the single-chat
+ * options (so Redux, the SQLite cache and the offline queue stay in step),
+ * reports progress while running, and keeps failed chats selected for a retry.
+ */
+const useChatSelection = () => {
+  const dispatch = useDispatch();
+  const chats = useSelector((state) => state.inbox.chats);
+
+  const [selectedIds, setSelectedIds] = useState([]);
+  // { label, done, total } while a bulk action runs
+  const [progress, setProgress] = useState(null);
+
+  const isSelectionMode = selectedIds.length > 0;
+  const isRunning = progress !== null;
+
+  const toggleSelection = useCallback((chatId) => {
+    setSelectedIds((prev) => (
+      prev.includes(chatId) ? prev.filter((id) => id !== chatId) : [...prev, chatId]
+    ));
+  }, []);
+
+  const selectAll = useCallback((chatIds) => {
+    setSelectedIds(chatIds);
+  }, []);
+
+  const clearSelection = useCallback(() => {
+    setSelectedIds([]);
+  }, []);
+
+  /**
+   * Run an action for every selected chat
+   * @param {string} label - Progress label ("Deleting", ...)
+   * @param {string} doneLabel - Success toast title ("Deleted", ...)
+   * @param {Function} action - async (chatId) => result; { queued: true } when saved offline
+   */
+  const runBulkAction = useCallback(async (label, doneLabel, action) => {
+    const ids = [...selectedIds];
+    if (ids.length === 0 || progress) return;
+
+    const succeeded = [];
+    const queued = [];
+    const failed = [];
+
+    setProgress({ label, done: 0, total: ids.length });
+    for (let i = 0; i < ids.length; i++) {
+      const chatId = ids[i];
+      try {
+        const result = await action(chatId);
+        (result?.queued ? queued : succeeded).push(chatId);
+      } catch (error) {
+        failed.push({ chatId, error: typeof error === 'string' ? error : error?.message || 'Failed' });
+      }
+      setProgress({ label, done: i + 1, total: ids.length });
+    }
+    setProgress(null);
+
+    // One summary toast: separate toasts would replace each other
+    const lines = [];
+    if (succeeded.length > 0) {
+      lines.push(`${doneLabel}: ${pluralize(succeeded.length)}`);
+    }
+    if (queued.length > 0) {
+      lines.push(`Saved offline: ${pluralize(queued.length)}, will sync when connected`);
+    }
+
+    if (failed.length > 0) {
+      lines.push(`Failed: ${pluralize(failed.length)}`);
+      failed.slice(0, MAX_LISTED_FAILURES).forEach(({ chatId, error }) => {
+        lines.push(`${getChatName(chats.find((chat) => chat._id === chatId))}: ${error}`);
+      });
+      if (failed.length > MAX_LISTED_FAILURES) {
+        lines.push(`and ${failed.length - MAX_LISTED_FAILURES} more`);
+      }
+      showError(lines.join('\n'), `Failed for ${failed.length} of ${pluralize(ids.length)}`);
+      // Keep only the failed chats selected so the action can be retried
+      setSelectedIds(failed.map(({ chatId }) => chatId));
+    } else {
+      if (succeeded.length > 0) {
+        showSuccess(lines.join('\n'), doneLabel);
+      } else {
+        showInfo(lines.join('\n'), 'Saved offline');
+      }
+      setSelectedIds([]);
+    }
+  }, [selectedIds, progress, chats]);
+
+  const markAsRead = useCallback(() => runBulkAction('Marking as read', 'Marked as read', async (chatId) => {
+    if (!resetUnreadCountViaSocket(chatId)) {
+      throw new Error('Not connected');
+    }
+    dispatch(resetUnreadCount(chatId));
+    await cacheManager.resetUnreadCount(chatId);
+  }), [runBulkAction, dispatch]);
+
+  // member: team member object, or 'none' to unassign
+  const assignTo = useCallback((member) => {
+    const payload = member === 'none'
+      ? 'none'
+      : { name: member.name, email: member.email, role: member.role, id: member._id };
+    return runBulkAction('Assigning', member === 'none' ? 'Unassigned' : `Assigned to ${member.name}`, (chatId) => (
+      dispatch(assignChatToMember({ chatId, memberId: payload })).unwrap()
+    ));
+  }, [runBulkAction, dispatch]);
+
+  const changeStatus = useCallback((status, statusLabel) => (
+    runBulkAction('Updating status', `Set to ${statusLabel || status}`, (chatId) => (
+      dispatch(updateChat({ id: chatId, status })).unwrap()
+    ))
+  ), [runBulkAction, dispatch]);
+
+  const setMuted = useCallback((muted) => (
+    runBulkAction(muted ? 'Muting' : 'Unmuting', muted ? 'Muted' : 'Unmuted', (chatId) => (
+      dispatch(toggleChatNotifications({ chatId, hideNotification: muted })).unwrap()
+    ))
+  ), [runBulkAction, dispatch]);
+
+  const deleteSelected = useCallback(() => (
+    runBulkAction('Deleting', 'Deleted', (chatId) => dispatch(deleteChat(chatId)).unwrap())
+  ), [runBulkAction, dispatch]);
+
+  return {
+    selectedIds,
+    isSelectionMode,
+    isRunning,
+    progress,
+    toggleSelection,
+    selectAll,
+    clearSelection,
+    markAsRead,
+    assignTo,
+    changeStatus,
+    setMuted,
+    deleteSelected,
+  };
+};
+
+export default useChatSelection;
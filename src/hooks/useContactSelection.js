@@ -0,0 +1,243 @@
+import { useState, useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  updateContact,
+  deleteContact,
+  createList,
+  updateList,
+} from '../redux/slices/contactSlice';
+import { getOptInStatusLabel } from '../utils/optInHelpers';
+import { getListName } from '../utils/contactListHelpers';
+import { showSuccess, showError } from '../utils/toast';
+
+const getContactName = (contact) => contact?.name || contact?.mobile || 'Unknown';
+
+const pluralize = (count) => `${count} ${count === 1 ? 'contact' : 'contacts'}`;
+
+// Failures are listed by name; long lists are truncated so the toast stays readable
+const MAX_LISTED_FAILURES = 3;
+
+// List and delete requests take several contacts at once
+const LIST_BATCH_SIZE = 50;
+
+const getErrorMessage = (error) => (typeof error === 'string' ? error : error?.message || 'Failed');
+
+const getTagName = (tag) => (typeof tag === 'string' ? tag : tag?.name);
+
+/**
+ * Contacts a batch request reported as failed ({ data: { failedContacts } })
+ * @param {Object} response - API response
+ * @returns {Array<{ contactId: string, error: string }>}
+ */
+const getFailedFromResponse = (response) => {
+  const failedContacts = response?.data?.failedContacts;
+  if (!Array.isArray(failedContacts)) return [];
+  return failedContacts
+    .map((item) => ({
+      contactId: item?._id || item?.id || item?.contactId,
+      error: item?.error || item?.message || 'Failed',
+    }))
+    .filter((item) => item.contactId);
+};
+
+/**
+ * useContactSelection Hook
+ * Multi-select state for the contacts list plus bulk actions over the selection.
+ * Per-contact changes (tags, opt-in) go through updateContact one contact at a
+ * time; list membership and deletes are sent in batches. Progress is reported
+ * while running and failed contacts stay selected for a retry. The thunks keep
+ * the SQLite list partitions in step.
+ */
+const useContactSelection = () => {
+  const dispatch = useDispatch();
+  const contacts = useSelector((state) => state.contact.contacts);
+
+  const [selectedIds, setSelectedIds] = useState([]);
+  // { label, done, total } while a bulk action runs
+  const [progress, setProgress] = useState(null);
+
+  const isSelectionMode = selectedIds.length > 0;
+  const isRunning = progress !== null;
+
+  const toggleSelection = useCallback((contactId) => {
+    setSelectedIds((prev) => (
+      prev.includes(contactId) ? prev.filter((id) => id !== contactId) : [...prev, contactId]
+    ));
+  }, []);
+
+  const selectAll = useCallback((contactIds) => {
+    setSelectedIds(contactIds);
+  }, []);
+
+  const clearSelection = useCallback(() => {
+    setSelectedIds([]);
+  }, []);
+
+  /**
+   * Run an action over the selected contacts, batchSize contacts per call
+   * @param {string} label - Progress label ("Deleting", ...)
+   * @param {string} doneLabel - Success toast title ("Deleted", ...)
+   * @param {Function} action - async (contactIds) => response; a response with
+   *   data.failedContacts marks only those contacts as failed
+   * @param {number} [batchSize=1]
+   * @returns {Promise<{ succeeded: Array<string>, failed: Array<Object> }|null>}
+   */
+  const runBulkAction = useCallback(async (label, doneLabel, action, batchSize = 1) => {
+    const ids = [...selectedIds];
+    if (ids.length === 0 || progress) return null;
+
+    const failed = [];
+
+    setProgress({ label, done: 0, total: ids.length });
+    for (let i = 0; i < ids.length; i += batchSize) {
+      const batch = ids.slice(i, i + batchSize);
+      try {
+        const response = await action(batch);
+        failed.push(...getFailedFromResponse(response).filter((item) => batch.includes(item.contactId)));
+      } catch (error) {
+        const message = getErrorMessage(error);
+        batch.forEach((contactId) => failed.push({ contactId, error: message }));
+      }
+      setProgress({ label, done: Math.min(i + batchSize, ids.length), total: ids.length });
+    }
+    setProgress(null);
+
+    const failedIds = failed.map(({ contactId }) => contactId);
+    const succeeded = ids.filter((id) => !failedIds.includes(id));
+    if (succeeded.length > 0) {
+      showSuccess(pluralize(succeeded.length), doneLabel);
+    }
+
+    if (failed.length > 0) {
+      const lines = failed.slice(0, MAX_LISTED_FAILURES).map(({ contactId, error }) => (
+        `${getContactName(contacts.find((contact) => contact._id === contactId))}: ${error}`
+      ));
+      if (failed.length > MAX_LISTED_FAILURES) {
+        lines.push(`and ${failed.length - MAX_LISTED_FAILURES} more`);
+      }
+      showError(lines.join('\n'), `Failed for ${failed.length} of ${pluralize(ids.length)}`);
+      // Keep only the failed contacts selected so the action can be retried
+      setSelectedIds(failedIds);
+    } else {
+      setSelectedIds([]);
+    }
+
+    return { succeeded, failed };
+  }, [selectedIds, progress, contacts]);
+
+  const addContactsToList = useCallback((list, contactIds) => dispatch(updateList({
+    id: list._id,
+    listName: getListName(list),
+    bodyData: { contactIds, action: 'add' },
+  })).unwrap(), [dispatch]);
+
+  const removeContactsFromList = useCallback((list, contactIds, movedTo = null) => dispatch(updateList({
+    id: list._id,
+    listName: getListName(list),
+    bodyData: { contactIds, action: 'remove' },
+    movedTo,
+  })).unwrap(), [dispatch]);
+
+  // Copy: the contacts stay in their current lists
+  const addToList = useCallback((list) => runBulkAction(
+    'Adding to list',
+    `Added to ${getListName(list)}`,
+    (contactIds) => addContactsToList(list, contactIds),
+    LIST_BATCH_SIZE
+  ), [runBulkAction, addContactsToList]);
+
+  const removeFromList = useCallback((list) => runBulkAction(
+    'Removing from list',
+    `Removed from ${getListName(list)}`,
+    (contactIds) => removeContactsFromList(list, contactIds),
+    LIST_BATCH_SIZE
+  ), [runBulkAction, removeContactsFromList]);
+
+  // Move: added to the target first so a failed removal never drops a contact from both lists
+  const moveToList = useCallback((fromList, toList) => runBulkAction(
+    'Moving',
+    `Moved to ${getListName(toList)}`,
+    async (contactIds) => {
+      const response = await addContactsToList(toList, contactIds);
+      const failedIds = getFailedFromResponse(response).map((item) => item.contactId);
+      const added = contactIds.filter((id) => !failedIds.includes(id));
+      if (added.length > 0) {
+        await removeContactsFromList(fromList, added, getListName(toList));
+      }
+      return response;
+    },
+    LIST_BATCH_SIZE
+  ), [runBulkAction, addContactsToList, removeContactsFromList]);
+
+  // Tags are merged per contact so existing tags are kept
+  const changeTags = useCallback((tagNames, remove = false) => runBulkAction(
+    remove ? 'Removing tags' : 'Adding tags',
+    remove ? 'Tags removed' : 'Tags added',
+    ([contactId]) => {
+      const contact = contacts.find((item) => item._id === contactId);
+      const current = (contact?.tags || []).map(getTagName).filter(Boolean);
+      const tags = remove
+        ? current.filter((tag) => !tagNames.includes(tag))
+        : [...new Set([...current, ...tagNames])];
+      return dispatch(updateContact({ _id: contactId, bodyData: { updateData: { tags } } })).unwrap();
+    }
+  ), [runBulkAction, dispatch, contacts]);
+
+  const changeOptIn = useCallback((status) => runBulkAction(
+    'Updating opt-in',
+    `Set to ${getOptInStatusLabel(status)}`,
+    ([contactId]) => dispatch(updateContact({
+      _id: contactId,
+      bodyData: { updateData: { optIn: { status } } },
+    })).unwrap()
+  ), [runBulkAction, dispatch]);
+
+  const deleteSelected = useCallback(() => runBulkAction('Deleting', 'Deleted', (contactIds) => (
+    dispatch(deleteContact({ contactIds })).unwrap()
+  ), LIST_BATCH_SIZE), [runBulkAction, dispatch]);
+
+  /**
+   * Put the selection into a new list that a broadcast can be sent to
+   * @param {string} listName - Name of the new list
+   * @returns {Promise<boolean>} Whether any contact made it into the list
+   */
+  const createListFromSelection = useCallback(async (listName) => {
+    if (selectedIds.length === 0 || progress) return false;
+
+    let list;
+    try {
+      const response = await dispatch(createList({ listName })).unwrap();
+      const data = response?.data || {};
+      list = { _id: data._id || data.list?._id || data.id, listName };
+    } catch (error) {
+      showError(getErrorMessage(error), 'Failed to Create List');
+      return false;
+    }
+    if (!list._id) {
+      showError('The new list could not be found', 'Failed to Create List');
+      return false;
+    }
+
+    const result = await addToList(list);
+    return (result?.succeeded.length || 0) > 0;
+  }, [selectedIds, progress, dispatch, addToList]);
+
+  return {
+    selectedIds,
+    isSelectionMode,
+    isRunning,
+    progress,
+    toggleSelection,
+    selectAll,
+    clearSelection,
+    addToList,
+    removeFromList,
+    moveToList,
+    changeTags,
+    changeOptIn,
+    deleteSelected,
+    createListFromSelection,
+  };
+};
+
+export default useContactSelection;
@@ -0,0 +1,24 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * useNow Hook
+ * Current time (epoch ms) that re-renders the caller on an interval,
+ * for countdowns such as the SLA "time to breach" in the chat list.
+ * @param {number} [intervalMs] - Tick interval, 30s by default
+ * @param {boolean} [enabled] - Pause ticking when false
+ * @returns {number}
+ */
+const useNow = (intervalMs = 30000, enabled = true) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs, enabled]);
+
+  return now;
+};
+
+export default useNow;
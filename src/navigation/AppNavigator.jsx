@@ -19,10 +19,16 @@ import ChatDetailsScreen from '../screens/ChatDetailsScreen';
 import ContactInfoScreen from '../screens/ContactInfoScreen';
 import ContactsScreen from '../screens/ContactsScreen';
 import AddContactScreen from '../screens/AddContactScreen';
+import ImportContactsScreen from '../screens/ImportContactsScreen';
+import ContactListsScreen from '../screens/ContactListsScreen';
 import TemplatesScreen from '../screens/TemplatesScreen';
+import CreateTemplateScreen from '../screens/CreateTemplateScreen';
 import BroadcastScreen from '../screens/BroadcastScreen';
 import CreateBroadcastScreen from '../screens/CreateBroadcastScreen';
+import BroadcastDetailScreen from '../screens/BroadcastDetailScreen';
 import AIAssistantScreen from '../screens/AIAssistantScreen';
+import FlowsScreen from '../screens/FlowsScreen';
+import FlowHistoryScreen from '../screens/FlowHistoryScreen';
 import ActivityLogScreen from '../screens/ActivityLogScreen';
 import SettingsScreen from '../screens/SettingsScreen';
 import GetHelpScreen from '../screens/GetHelpScreen';
@@ -126,6 +132,19 @@ function CustomDrawerContent(props) {
       },
       color: colors.secondary.main,
     },
+    {
+      title: 'Flows',
+      description: 'Manage automation flows',
+      icon: 'sitemap-outline',
+      onPress: () => {
+        navigation.closeDrawer();
+        navigation.navigate('MainTabs', {
+          screen: 'MoreTab',
+          params: { screen: 'Flows' },
+        });
+      },
+      color: colors.primary.main,
+    },
     // Activity Log is owner-only — hidden for team members
     !isTeamMemberLoggedIn && {
       title: 'Activity Log',
@@ -482,7 +501,7 @@ function InboxStackNavigator() {
   );
 }
 
-// Contacts Tab Stack - includes contacts and add contact
+// Contacts Tab Stack - includes contacts, add contact, import and list management
 function ContactsStackNavigator() {
   return (
     <ContactsStack.Navigator screenOptions={{ headerShown: false }}>
@@ -492,6 +511,16 @@ function ContactsStackNavigator() {
         component={AddContactScreen}
         options={({ navigation }) => getChildScreenOptions(navigation, 'Add Contact')}
       />
+      <ContactsStack.Screen
+        name="ImportContacts"
+        component={ImportContactsScreen}
+        options={({ navigation }) => getChildScreenOptions(navigation, 'Import Contacts')}
+      />
+      <ContactsStack.Screen
+        name="ContactLists"
+        component={ContactListsScreen}
+        options={({ navigation }) => getChildScreenOptions(navigation, 'Contact Lists')}
+      />
     </ContactsStack.Navigator>
   );
 }
@@ -501,11 +530,16 @@ function TemplatesStackNavigator() {
   return (
     <TemplatesStack.Navigator screenOptions={{ headerShown: false }}>
       <TemplatesStack.Screen name="TemplatesMain" component={TemplatesWithHeader} />
+      <TemplatesStack.Screen
+        name="CreateTemplate"
+        component={CreateTemplateScreen}
+        options={({ navigation }) => getChildScreenOptions(navigation, 'Create Template')}
+      />
     </TemplatesStack.Navigator>
   );
 }
 
-// More Tab Stack - includes settings, broadcast, AI assistant, etc.
+// More Tab Stack - includes settings, broadcast, AI assistant, flows, etc.
 function MoreStackNavigator() {
   return (
     <MoreStack.Navigator screenOptions={{ headerShown: true, ...commonHeaderOptions }}>
@@ -524,11 +558,26 @@ function MoreStackNavigator() {
         component={CreateBroadcastScreen}
         options={({ navigation }) => getChildScreenOptions(navigation, 'Create Broadcast')}
       />
+      <MoreStack.Screen
+        name="BroadcastDetail"
+        component={BroadcastDetailScreen}
+        options={({ navigation }) => getChildScreenOptions(navigation, 'Broadcast Report')}
+      />
       <MoreStack.Screen
         name="AIAssistant"
         component={AIAssistantScreen}
         options={({ navigation }) => getChildScreenOptions(navigation, 'AI Assistant')}
       />
+      <MoreStack.Screen
+        name="Flows"
+        component={FlowsScreen}
+        options={({ navigation }) => getChildScreenOptions(navigation, 'Flows')}
+      />
+      <MoreStack.Screen
+        name="FlowHistory"
+        component={FlowHistoryScreen}
+        options={({ navigation }) => getChildScreenOptions(navigation, 'Flow History')}
+      />
       <MoreStack.Screen
         name="ActivityLog"
         component={ActivityLogScreen}
@@ -107,9 +107,12 @@ async function handleMoreMessagesUpdate(action) {
  * Update single chat in cache
  */
 async function handleChatUpdate(payload) {
-  const { id, response } = payload;
+  const { id, response, queued } = payload;
   const chatData = response?.data || response;
 
+  // Queued (offline) updates were already mirrored to SQLite by the thunk
+  if (queued) return;
+
   if (id && chatData) {
     await cacheManager.updateChat({ _id: id, ...chatData });
     // Log:(`[CacheMiddleware] Updated chat in cache: ${id}`);
@@ -123,9 +126,7 @@ async function handleChatDelete(payload) {
   const { id } = payload;
 
   if (id) {
-    // Note: We would need to add a deleteChat method to cacheManager
-    // For now, the chat will be removed on next sync
-    // Log:(`[CacheMiddleware] Chat deleted: ${id}`);
+    await cacheManager.deleteChat(id);
   }
 }
 
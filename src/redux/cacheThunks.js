@@ -11,6 +11,8 @@ import { createAsyncThunk } from '@reduxjs/toolkit';
 import { cacheManager } from '../database/CacheManager';
 import { ChatModel, MessageModel } from '../database/models';
 import { callApi, endpoints, httpMethods } from '../utils/axios';
+import { normalizeRecipient } from '../utils/broadcastHelpers';
+import { FLOWS_PAGE_SIZE, getFlowsCacheKey, parseFlowsResponse, parseFlowStats } from '../utils/flowHelpers';
 
 /**
  * Fetch chats with device-primary strategy (like WhatsApp)
@@ -618,6 +620,33 @@ export const searchChatsWithCache = createAsyncThunk(
   }
 );
 
+/**
+ * Search message content locally in SQLite (full-text index)
+ * Pass chatId to search within a single conversation.
+ */
+export const searchMessagesWithCache = createAsyncThunk(
+  'inbox/searchMessagesWithCache',
+  async ({ search, chatId = null, limit = 50, offset = 0 }, { rejectWithValue }) => {
+    try {
+      if (!search?.trim()) {
+        return { messages: [], search: '', chatId, hasMore: false };
+      }
+
+      const messages = await cacheManager.searchMessagesLocally(search.trim(), { chatId, limit, offset });
+
+      return {
+        messages,
+        search: search.trim(),
+        chatId,
+        offset,
+        hasMore: messages.length >= limit,
+      };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
 /**
  * Background sync missed messages after loading from cache
  * Fetches ALL messages from API and saves them (dedup-safe).
@@ -1911,6 +1940,62 @@ async function fetchTagsFromServer() {
   return data.tags || { items: [], totalCount: 0 };
 }
 
+// ─── Contact Export ──────────────────────────────────────────────────────────
+
+/**
+ * Fetch every contact of a list (optionally matching a search) for export.
+ * Online: the server export endpoint returns the full set as JSON.
+ * Offline, or when the request fails: contacts cached in SQLite —
+ * fromCache tells the caller the export may be incomplete.
+ * @param {Object} params - { listName, search, preferCache }
+ * @returns {{ contacts: Array, fromCache: boolean }}
+ */
+export const exportContactsWithCache = createAsyncThunk(
+  'contacts/exportContactsWithCache',
+  async (params = {}, { rejectWithValue }) => {
+    const { listName = null, search = null, preferCache = false } = params;
+
+    const readCache = async () => {
+      const contacts = await cacheManager.getContactsForExport({ listName, search });
+      return { contacts, fromCache: true };
+    };
+
+    if (preferCache) {
+      try {
+        return await readCache();
+      } catch (error) {
+        return rejectWithValue(error.message);
+      }
+    }
+
+    try {
+      const query = [];
+      if (listName) query.push(`list=${encodeURIComponent(listName)}`);
+      if (search && search.trim()) query.push(`search=${encodeURIComponent(search.trim())}`);
+      const url = query.length
+        ? `${endpoints.contacts.exportContacts}?${query.join('&')}`
+        : endpoints.contacts.exportContacts;
+
+      const response = await callApi(url, httpMethods.GET);
+      if (response.status === 'error') {
+        throw new Error(response.message || 'Failed to export contacts');
+      }
+
+      const data = response.data || response;
+      const contacts = Array.isArray(data) ? data : data.contacts || [];
+      return { contacts, fromCache: false };
+    } catch (error) {
+      // Offline fallback — export what is cached
+      try {
+        return await readCache();
+      } catch (cacheErr) {
+        // Cache read also failed
+      }
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
 // ─── User Attributes (Contact Custom Fields) ─────────────────────────────────
 
 export const fetchUserAttributesWithCache = createAsyncThunk(
@@ -2159,6 +2244,151 @@ async function fetchAssistantStatsFromServer() {
   };
 }
 
+// ==========================================
+// FLOWS CACHE THUNKS
+// ==========================================
+
+/**
+ * Fetch flows with cache-first strategy (first page only, per status filter).
+ * Cache hit -> return cached instantly, silently refresh first page from API in background.
+ * Cache miss or forceRefresh -> fetch first page from API, save to cache, return.
+ * Offline fallback -> return cached data if available.
+ * Further pages are loaded via the getFlowsWithPagination thunk.
+ */
+export const fetchFlowsWithCache = createAsyncThunk(
+  'assistant/fetchFlowsWithCache',
+  async (params = {}, { dispatch, rejectWithValue }) => {
+    const { forceRefresh = false, status = 'all' } = params;
+    const cacheKey = getFlowsCacheKey(status);
+
+    try {
+      if (!forceRefresh) {
+        const cached = await cacheManager.getAppSetting(cacheKey);
+
+        if (cached && cached.flows && cached.flows.length > 0) {
+          // Return cached data immediately, then silently refresh first page in background
+          fetchFlowsFromServer(status)
+            .then((freshData) => {
+              const dataToUpdate = mergeFirstPage(freshData, cached);
+              const { silentUpdateFlows } = require('./slices/assistantSlice');
+              dispatch(silentUpdateFlows({ ...dataToUpdate, status }));
+              cacheManager.saveAppSetting(cacheKey, dataToUpdate).catch(() => {});
+            })
+            .catch(() => {});
+
+          return { data: cached, fromCache: true };
+        }
+      }
+
+      // Cache miss or force refresh — fetch first page from server
+      const freshData = await fetchFlowsFromServer(status);
+
+      // Merge with existing cache to preserve paginated items beyond first page
+      let dataToSave = freshData;
+      try {
+        dataToSave = mergeFirstPage(freshData, await cacheManager.getAppSetting(cacheKey));
+      } catch (e) { /* no existing cache to merge */ }
+
+      await cacheManager.saveAppSetting(cacheKey, dataToSave);
+      return { data: dataToSave, fromCache: false };
+    } catch (error) {
+      // Offline fallback — try cache
+      try {
+        const cached = await cacheManager.getAppSetting(cacheKey);
+        if (cached && cached.flows) {
+          return { data: cached, fromCache: true };
+        }
+      } catch (cacheErr) {
+        // Cache read also failed
+      }
+
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Fresh first page followed by the cached flows beyond it
+function mergeFirstPage(freshData, cached) {
+  if (!cached?.flows || cached.flows.length <= freshData.flows.length) return freshData;
+  const freshIds = new Set(freshData.flows.map(f => f._id));
+  const beyondFirstPage = cached.flows.slice(freshData.flows.length).filter(f => !freshIds.has(f._id));
+  return { flows: [...freshData.flows, ...beyondFirstPage], totalResults: freshData.totalResults };
+}
+
+async function fetchFlowsFromServer(status) {
+  const params = new URLSearchParams();
+  params.append('page', '0');
+  params.append('limit', FLOWS_PAGE_SIZE.toString());
+  if (status && status !== 'all') {
+    params.append('status', status);
+  }
+
+  const url = `${endpoints.flows.getFlowsWithPagination}?${params.toString()}`;
+  const response = await callApi(url, httpMethods.GET);
+
+  if (response.status === 'error') {
+    throw new Error(response.message || 'Failed to fetch flows');
+  }
+
+  return parseFlowsResponse(response);
+}
+
+/**
+ * Fetch flow stats with cache-first strategy.
+ */
+export const fetchFlowStatsWithCache = createAsyncThunk(
+  'assistant/fetchFlowStatsWithCache',
+  async (params = {}, { dispatch, rejectWithValue }) => {
+    try {
+      const { forceRefresh = false } = params;
+
+      if (!forceRefresh) {
+        const cached = await cacheManager.getAppSetting('flowStats');
+
+        if (cached) {
+          // Silently refresh from server in background
+          fetchFlowStatsFromServer()
+            .then((freshStats) => {
+              const { silentUpdateFlowStats } = require('./slices/assistantSlice');
+              dispatch(silentUpdateFlowStats(freshStats));
+              cacheManager.saveAppSetting('flowStats', freshStats).catch(() => {});
+            })
+            .catch(() => {});
+
+          return { data: cached, fromCache: true };
+        }
+      }
+
+      // Cache miss or force refresh — fetch from server
+      const freshStats = await fetchFlowStatsFromServer();
+      await cacheManager.saveAppSetting('flowStats', freshStats);
+      return { data: freshStats, fromCache: false };
+    } catch (error) {
+      // Offline fallback — try cache
+      try {
+        const cached = await cacheManager.getAppSetting('flowStats');
+        if (cached) {
+          return { data: cached, fromCache: true };
+        }
+      } catch (cacheErr) {
+        // Cache read also failed
+      }
+
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+async function fetchFlowStatsFromServer() {
+  const response = await callApi(endpoints.flows.getFlowStats, httpMethods.GET);
+
+  if (response.status === 'error') {
+    throw new Error(response.message || 'Failed to fetch flow stats');
+  }
+
+  return parseFlowStats(response);
+}
+
 // ==========================================
 // CHAT RULES CACHE THUNKS
 // ==========================================
@@ -2216,7 +2446,7 @@ export const fetchChatStatusRulesWithCache = createAsyncThunk(
 
 /**
  * Fetch chat status rules from API and parse active rules.
- * @returns {Promise<Array>} Array of active rule objects { fromStatus, toStatus, days, _id }
+ * @returns {Promise<Array>} Active rule objects { fromStatus, toStatus, days, order, _id }, in saved order
  */
 async function fetchChatStatusRulesFromServer() {
   const response = await callApi(
@@ -2235,19 +2465,20 @@ async function fetchChatStatusRulesFromServer() {
   const activeRules = [];
   Object.entries(rulesObj).forEach(([key, value]) => {
     if (!/^\d+$/.test(key) && value && typeof value === 'object') {
-      const { toStatus, days, _id } = value;
+      const { toStatus, days, order, _id } = value;
       if (toStatus && days && parseInt(days) > 0) {
         activeRules.push({
           fromStatus: key,
           toStatus,
           days: parseInt(days),
+          order: Number.isFinite(order) ? order : activeRules.length,
           _id,
         });
       }
     }
   });
 
-  return activeRules;
+  return activeRules.sort((a, b) => a.order - b.order);
 }
 
 /**
@@ -2595,6 +2826,89 @@ async function fetchActivityLogCountsFromServer(allTotal = 0) {
   return counts;
 }
 
+// ==========================================
+// BROADCAST REPORT CACHE OPERATIONS
+// ==========================================
+
+/**
+ * Fetch a broadcast's delivery report with cache-first strategy.
+ * Cache hit → return instantly + silent background refresh.
+ * Cache miss / forceRefresh → fetch from API, save to cache.
+ * Offline fallback → return the last cached report.
+ */
+export const fetchBroadcastReportWithCache = createAsyncThunk(
+  'broadcast/fetchBroadcastReportWithCache',
+  async (params = {}, { dispatch, rejectWithValue }) => {
+    const { broadcastId, forceRefresh = false } = params;
+
+    try {
+      if (!forceRefresh) {
+        const cached = await cacheManager.getBroadcastReport(broadcastId);
+
+        if (cached) {
+          fetchBroadcastReportFromServer(broadcastId)
+            .then((freshReport) => {
+              const { silentUpdateBroadcastReport } = require('./slices/broadcastSlice');
+              dispatch(silentUpdateBroadcastReport(freshReport));
+            })
+            .catch(() => {});
+
+          return { ...cached, fromCache: true };
+        }
+      }
+
+      const freshReport = await fetchBroadcastReportFromServer(broadcastId);
+      return { ...freshReport, fromCache: false };
+    } catch (error) {
+      try {
+        const cached = await cacheManager.getBroadcastReport(broadcastId);
+        if (cached) {
+          return { ...cached, fromCache: true };
+        }
+      } catch (cacheErr) {
+        // Cache read also failed
+      }
+
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * Fetch a broadcast and its per-recipient rows from API and cache them.
+ * @param {string} broadcastId - Broadcast ID
+ * @returns {Promise<Object>} { broadcastId, broadcast, recipients, updatedAt }
+ */
+async function fetchBroadcastReportFromServer(broadcastId) {
+  const [broadcastResponse, recipientsResponse] = await Promise.all([
+    callApi(`${endpoints.broadcast.getBroadcasts}/${broadcastId}`, httpMethods.GET),
+    callApi(`${endpoints.broadcast.exportBroadcastStats}/${broadcastId}`, httpMethods.GET),
+  ]);
+
+  if (broadcastResponse.status === 'error') {
+    throw new Error(broadcastResponse.message || 'Failed to fetch broadcast');
+  }
+  if (recipientsResponse.status === 'error') {
+    throw new Error(recipientsResponse.message || 'Failed to fetch broadcast recipients');
+  }
+
+  const broadcastData = broadcastResponse.data || broadcastResponse;
+  const recipientsData = recipientsResponse.data || recipientsResponse;
+  const rows = Array.isArray(recipientsData)
+    ? recipientsData
+    : recipientsData.recipients || recipientsData.stats || [];
+
+  const report = {
+    broadcastId,
+    broadcast: broadcastData.broadcast || broadcastData,
+    recipients: rows.map(normalizeRecipient),
+    updatedAt: Date.now(),
+  };
+
+  await cacheManager.saveBroadcastReport(report);
+  return report;
+}
+
 export default {
   fetchChatsWithCache,
   fetchConversationWithCache,
@@ -2609,6 +2923,7 @@ export default {
   initializeCache,
   fetchQuickRepliesWithCache,
   searchChatsWithCache,
+  searchMessagesWithCache,
   syncMissedMessages,
   fetchDashboardStatsWithCache,
   fetchWANumbersWithCache,
@@ -2625,10 +2940,13 @@ export default {
   fetchUserAttributesWithCache,
   fetchAssistantsWithCache,
   fetchAssistantStatsWithCache,
+  fetchFlowsWithCache,
+  fetchFlowStatsWithCache,
   fetchChatStatusRulesWithCache,
   fetchChatTeamMembersWithCache,
   fetchSlaWithCache,
   fetchTimezoneWithCache,
   fetchActivityLogsWithCache,
   fetchActivityLogCountsWithCache,
+  fetchBroadcastReportWithCache,
 };
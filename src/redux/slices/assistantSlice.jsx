@@ -1,6 +1,17 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { callApi, endpoints, httpMethods } from '../../utils/axios';
-import { fetchAssistantsWithCache, fetchAssistantStatsWithCache } from '../cacheThunks';
+import { fetchAssistantsWithCache, fetchAssistantStatsWithCache, fetchFlowsWithCache, fetchFlowStatsWithCache } from '../cacheThunks';
+import { cacheManager } from '../../database/CacheManager';
+import {
+  FLOW_STATUS,
+  FLOWS_PAGE_SIZE,
+  getFlowsCacheKey,
+  isFlowActive,
+  parseFlowsResponse,
+  parseFlowHistoryResponse,
+  parseFlowStats,
+} from '../../utils/flowHelpers';
+import { applyAssistantChange, adjustAssistantStats } from '../../utils/assistantHelpers';
 
 // Async thunks
 export const getAssistants = createAsyncThunk(
@@ -70,6 +81,159 @@ export const getAssistantStats = createAsyncThunk(
   }
 );
 
+// Assistant returned by a mutation, merged over what was sent (the API may return only a status)
+const extractAssistant = (response, fallback) => {
+  const data = response?.data?.assistant || response?.data || response?.assistant;
+  return data && typeof data === 'object' && data._id ? { ...fallback, ...data } : fallback;
+};
+
+// Keep the cached assistant lists and stats in step with a successful change
+const syncAssistantCache = async (previous, next) => {
+  try {
+    await cacheManager.updateCachedAssistant(previous, next);
+  } catch (cacheError) {
+    // Non-critical — the next fetchAssistantsWithCache refreshes the cache
+  }
+};
+
+/**
+ * Create an assistant
+ * @param {Object} data - { name, modelProvider, modelName, temperature, systemPrompt, fallbackMessage }
+ */
+export const createAssistant = createAsyncThunk(
+  'assistant/createAssistant',
+  async (data, { rejectWithValue }) => {
+    try {
+      const response = await callApi(endpoints.assistants.createAssistant, httpMethods.POST, data);
+
+      if (response.status === 'error') {
+        return rejectWithValue(response.message || 'Failed to create assistant');
+      }
+
+      const assistant = extractAssistant(response, null);
+      if (!assistant) {
+        return rejectWithValue('Assistant was created but could not be loaded. Pull to refresh.');
+      }
+      await syncAssistantCache(null, assistant);
+      return { previous: null, assistant };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * Update an assistant's instructions, fallback message, provider, model or temperature
+ * @param {{ assistant: Object, data: Object }} params - Current assistant and changed fields
+ */
+export const updateAssistant = createAsyncThunk(
+  'assistant/updateAssistant',
+  async ({ assistant, data }, { rejectWithValue }) => {
+    try {
+      const url = `${endpoints.assistants.updateAssistant}/${assistant._id}`;
+      const response = await callApi(url, httpMethods.PUT, data);
+
+      if (response.status === 'error') {
+        return rejectWithValue(response.message || 'Failed to update assistant');
+      }
+
+      const updated = extractAssistant(response, { ...assistant, ...data });
+      await syncAssistantCache(assistant, updated);
+      return { previous: assistant, assistant: updated };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * Activate or deactivate an assistant
+ * @param {{ assistant: Object, status: 'active' | 'inactive' }} params
+ */
+export const toggleAssistantStatus = createAsyncThunk(
+  'assistant/toggleAssistantStatus',
+  async ({ assistant, status }, { rejectWithValue }) => {
+    try {
+      const url = `${endpoints.assistants.toggleStatus}/${assistant._id}`;
+      const response = await callApi(url, httpMethods.PUT, { status });
+
+      if (response.status === 'error') {
+        return rejectWithValue(response.message || 'Failed to update assistant status');
+      }
+
+      const updated = { ...extractAssistant(response, assistant), status };
+      await syncAssistantCache(assistant, updated);
+      return { previous: assistant, assistant: updated };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * Rename an assistant
+ * @param {{ assistant: Object, name: string }} params
+ */
+export const renameAssistant = createAsyncThunk(
+  'assistant/renameAssistant',
+  async ({ assistant, name }, { rejectWithValue }) => {
+    try {
+      const url = `${endpoints.assistants.renameAssistant}/${assistant._id}`;
+      const response = await callApi(url, httpMethods.PUT, { name });
+
+      if (response.status === 'error') {
+        return rejectWithValue(response.message || 'Failed to rename assistant');
+      }
+
+      const updated = { ...extractAssistant(response, assistant), name };
+      await syncAssistantCache(assistant, updated);
+      return { previous: assistant, assistant: updated };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const deleteAssistant = createAsyncThunk(
+  'assistant/deleteAssistant',
+  async (assistant, { rejectWithValue }) => {
+    try {
+      const url = `${endpoints.assistants.deleteAssistant}/${assistant._id}`;
+      const response = await callApi(url, httpMethods.DELETE);
+
+      if (response.status === 'error') {
+        return rejectWithValue(response.message || 'Failed to delete assistant');
+      }
+
+      await syncAssistantCache(assistant, null);
+      return { previous: assistant, assistant: null };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Apply a fulfilled assistant mutation to the list, selection and counters
+const applyAssistantMutation = (state, { previous, assistant }) => {
+  const { assistants, delta } = applyAssistantChange(state.assistants, previous, assistant);
+  state.assistants = assistants;
+  state.totalResults = Math.max(0, state.totalResults + delta);
+
+  const stats = adjustAssistantStats(
+    { total: state.totalAssistants, active: state.activeAssistants, inactive: state.inactiveAssistants },
+    previous,
+    assistant
+  );
+  state.totalAssistants = stats.total;
+  state.activeAssistants = stats.active;
+  state.inactiveAssistants = stats.inactive;
+
+  const selectedId = state.selectedAssistant?._id;
+  if (selectedId && selectedId === (assistant || previous)?._id) {
+    state.selectedAssistant = assistant ? { ...state.selectedAssistant, ...assistant } : null;
+  }
+};
+
 // Fetch all flows (for sender name lookup in chat messages)
 export const getFlows = createAsyncThunk(
   'assistant/getFlows',
@@ -88,6 +252,190 @@ export const getFlows = createAsyncThunk(
   }
 );
 
+// Fetch a page of flows for the Flows screen (page 0 replaces the list, later pages append)
+export const getFlowsWithPagination = createAsyncThunk(
+  'assistant/getFlowsWithPagination',
+  async ({ page = 0, limit = FLOWS_PAGE_SIZE, status = 'all', name }, { getState, rejectWithValue }) => {
+    try {
+      const params = new URLSearchParams();
+      params.append('page', page.toString());
+      params.append('limit', limit.toString());
+
+      if (status && status !== 'all') {
+        params.append('status', status);
+      }
+      if (name) {
+        params.append('name', name);
+      }
+
+      const url = `${endpoints.flows.getFlowsWithPagination}?${params.toString()}`;
+      const response = await callApi(url, httpMethods.GET);
+
+      if (response.status === 'error') {
+        return rejectWithValue(response.message || 'Failed to fetch flows');
+      }
+
+      const parsed = parseFlowsResponse(response);
+
+      // Keep the cached list for this filter in step with what has been loaded (searches aren't cached)
+      if (!name) {
+        try {
+          const loaded = page > 0 ? getState().assistant.flowList : [];
+          const loadedIds = new Set(parsed.flows.map((flow) => flow._id));
+          const flows = [...loaded.filter((flow) => !loadedIds.has(flow._id)), ...parsed.flows];
+          await cacheManager.saveAppSetting(getFlowsCacheKey(status), { flows, totalResults: parsed.totalResults });
+        } catch (cacheError) {
+          // Non-critical — the next fetchFlowsWithCache refreshes the cache
+        }
+      }
+
+      return parsed;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const getFlowStats = createAsyncThunk(
+  'assistant/getFlowStats',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await callApi(endpoints.flows.getFlowStats, httpMethods.GET);
+
+      if (response.status === 'error') {
+        return rejectWithValue(response.message || 'Failed to fetch flow stats');
+      }
+      return parseFlowStats(response);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Number of the given flows whose status actually changes (drives the stats counters)
+const countStatusChanges = (state, flowIds, status) => state.assistant.flowList.filter(
+  (flow) => flowIds.includes(flow._id) && isFlowActive(flow) !== (status === FLOW_STATUS.ACTIVE)
+).length;
+
+/**
+ * Activate or pause a single flow
+ * @param {{ id: string, status: 'active' | 'inactive' }} params
+ */
+export const updateFlowStatus = createAsyncThunk(
+  'assistant/updateFlowStatus',
+  async ({ id, status }, { getState, rejectWithValue }) => {
+    try {
+      const url = `${endpoints.flows.updateFlowStatus}/${id}/status`;
+      const response = await callApi(url, httpMethods.PUT, { status });
+
+      if (response.status === 'error') {
+        return rejectWithValue(response.message || 'Failed to update flow status');
+      }
+
+      const changedCount = countStatusChanges(getState(), [id], status);
+      try {
+        await cacheManager.updateFlowStatuses([id], status, changedCount);
+      } catch (cacheError) {
+        // Non-critical — the next fetchFlowsWithCache refreshes the cache
+      }
+
+      return { flowIds: [id], status, changedCount };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * Activate or pause several flows at once
+ * @param {{ flowIds: Array<string>, status: 'active' | 'inactive' }} params
+ */
+export const updateMultipleFlowStatus = createAsyncThunk(
+  'assistant/updateMultipleFlowStatus',
+  async ({ flowIds, status }, { getState, rejectWithValue }) => {
+    try {
+      const response = await callApi(endpoints.flows.updateMultipleFlowStatus, httpMethods.PUT, { flowIds, status });
+
+      if (response.status === 'error') {
+        return rejectWithValue(response.message || 'Failed to update flow statuses');
+      }
+
+      const changedCount = countStatusChanges(getState(), flowIds, status);
+      try {
+        await cacheManager.updateFlowStatuses(flowIds, status, changedCount);
+      } catch (cacheError) {
+        // Non-critical — the next fetchFlowsWithCache refreshes the cache
+      }
+
+      return { flowIds, status, changedCount };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const cloneFlow = createAsyncThunk(
+  'assistant/cloneFlow',
+  async (id, { rejectWithValue }) => {
+    try {
+      const url = `${endpoints.flows.cloneFlow}/${id}`;
+      const response = await callApi(url, httpMethods.POST);
+
+      if (response.status === 'error') {
+        return rejectWithValue(response.message || 'Failed to clone flow');
+      }
+
+      const flow = response.data?.flow || response.flow || response.data || null;
+      try {
+        await cacheManager.addFlow(flow);
+      } catch (cacheError) {
+        // Non-critical — the next fetchFlowsWithCache refreshes the cache
+      }
+
+      return flow;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Execution history of a flow (page 0 replaces, later pages append)
+export const getFlowHistory = createAsyncThunk(
+  'assistant/getFlowHistory',
+  async ({ id, page = 0, limit = FLOWS_PAGE_SIZE }, { rejectWithValue }) => {
+    try {
+      const url = `${endpoints.flows.getFlowHistory}/${id}?page=${page}&limit=${limit}`;
+      const response = await callApi(url, httpMethods.GET);
+
+      if (response.status === 'error') {
+        return rejectWithValue(response.message || 'Failed to fetch flow history');
+      }
+      return parseFlowHistoryResponse(response);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Whether a list response belongs to the filter the Flows screen is showing now
+const matchesFlowQuery = (state, status = 'all', name = '') => (
+  state.flowQuery.status === status && state.flowQuery.name === (name || '')
+);
+
+const applyFlowStatusChange = (state, { flowIds, status, changedCount }) => {
+  const before = state.flowList.length;
+  state.flowList = state.flowList
+    .map((flow) => (flowIds.includes(flow._id) ? { ...flow, status } : flow))
+    .filter((flow) => state.flowQuery.status === 'all' || !flowIds.includes(flow._id) || status === state.flowQuery.status);
+  state.flowTotalResults = Math.max(0, state.flowTotalResults - (before - state.flowList.length));
+
+  if (changedCount > 0) {
+    const other = status === FLOW_STATUS.ACTIVE ? FLOW_STATUS.INACTIVE : FLOW_STATUS.ACTIVE;
+    state.flowStats[status] = (state.flowStats[status] || 0) + changedCount;
+    state.flowStats[other] = Math.max(0, (state.flowStats[other] || 0) - changedCount);
+  }
+};
+
 // Initial state
 const initialState = {
   assistants: [],
@@ -106,6 +454,18 @@ const initialState = {
   flows: [],
   flowsStatus: 'idle',
   flowsError: null,
+  // Flows screen state (paginated list for the current filter, stats, history)
+  flowList: [],
+  flowQuery: { status: 'all', name: '' },
+  flowListStatus: 'idle',
+  flowListError: null,
+  flowListLoadingMore: false,
+  flowTotalResults: 0,
+  flowStats: { total: 0, active: 0, inactive: 0 },
+  flowHistory: [],
+  flowHistoryStatus: 'idle',
+  flowHistoryError: null,
+  flowHistoryTotal: 0,
 };
 
 // Slice
@@ -121,6 +481,8 @@ const assistantSlice = createSlice({
       state.assistantError = null;
       state.statsError = null;
       state.flowsError = null;
+      state.flowListError = null;
+      state.flowHistoryError = null;
     },
     silentUpdateAssistants: (state, action) => {
       const data = action.payload;
@@ -133,6 +495,21 @@ const assistantSlice = createSlice({
       state.activeAssistants = data.active || 0;
       state.inactiveAssistants = data.inactive || 0;
     },
+    silentUpdateFlows: (state, action) => {
+      const { flows, totalResults, status } = action.payload;
+      if (!matchesFlowQuery(state, status)) return;
+      state.flowList = flows || [];
+      state.flowTotalResults = totalResults || flows?.length || 0;
+    },
+    silentUpdateFlowStats: (state, action) => {
+      state.flowStats = action.payload;
+    },
+    clearFlowHistory: (state) => {
+      state.flowHistory = [];
+      state.flowHistoryStatus = 'idle';
+      state.flowHistoryError = null;
+      state.flowHistoryTotal = 0;
+    },
   },
   extraReducers: (builder) => {
     // Get Assistants
@@ -288,6 +665,120 @@ const assistantSlice = createSlice({
         state.statsError = action.payload;
       });
 
+    // Assistant management (create, edit, status, rename, delete)
+    builder
+      .addCase(createAssistant.fulfilled, (state, action) => {
+        applyAssistantMutation(state, action.payload);
+      })
+      .addCase(updateAssistant.fulfilled, (state, action) => {
+        applyAssistantMutation(state, action.payload);
+      })
+      .addCase(toggleAssistantStatus.fulfilled, (state, action) => {
+        applyAssistantMutation(state, action.payload);
+      })
+      .addCase(renameAssistant.fulfilled, (state, action) => {
+        applyAssistantMutation(state, action.payload);
+      })
+      .addCase(deleteAssistant.fulfilled, (state, action) => {
+        applyAssistantMutation(state, action.payload);
+      });
+
+    // Flows list (cached first page, then paginated)
+    builder
+      .addCase(fetchFlowsWithCache.pending, (state, action) => {
+        state.flowQuery = { status: action.meta.arg?.status || 'all', name: '' };
+        state.flowListStatus = 'loading';
+        state.flowListError = null;
+      })
+      .addCase(fetchFlowsWithCache.fulfilled, (state, action) => {
+        if (!matchesFlowQuery(state, action.meta.arg?.status)) return;
+        state.flowListStatus = 'succeeded';
+        const data = action.payload.data || action.payload;
+        state.flowList = data.flows || [];
+        state.flowTotalResults = data.totalResults || data.flows?.length || 0;
+      })
+      .addCase(fetchFlowsWithCache.rejected, (state, action) => {
+        if (!matchesFlowQuery(state, action.meta.arg?.status)) return;
+        state.flowListStatus = 'failed';
+        state.flowListError = action.payload;
+      })
+      .addCase(getFlowsWithPagination.pending, (state, action) => {
+        const { page = 0, status = 'all', name = '' } = action.meta.arg;
+        if (page === 0) {
+          state.flowQuery = { status, name: name || '' };
+          state.flowListStatus = 'loading';
+        } else {
+          state.flowListLoadingMore = true;
+        }
+        state.flowListError = null;
+      })
+      .addCase(getFlowsWithPagination.fulfilled, (state, action) => {
+        const { page = 0, status = 'all', name } = action.meta.arg;
+        if (!matchesFlowQuery(state, status, name)) return;
+        const { flows, totalResults } = action.payload;
+        if (page === 0) {
+          state.flowList = flows;
+        } else {
+          const loadedIds = new Set(state.flowList.map((flow) => flow._id));
+          state.flowList = [...state.flowList, ...flows.filter((flow) => !loadedIds.has(flow._id))];
+        }
+        state.flowTotalResults = totalResults;
+        state.flowListStatus = 'succeeded';
+        state.flowListLoadingMore = false;
+      })
+      .addCase(getFlowsWithPagination.rejected, (state, action) => {
+        state.flowListLoadingMore = false;
+        if (!matchesFlowQuery(state, action.meta.arg.status, action.meta.arg.name)) return;
+        if (!action.meta.arg.page) state.flowListStatus = 'failed';
+        state.flowListError = action.payload;
+      });
+
+    // Flow stats
+    builder
+      .addCase(fetchFlowStatsWithCache.fulfilled, (state, action) => {
+        state.flowStats = action.payload.data || action.payload;
+      })
+      .addCase(getFlowStats.fulfilled, (state, action) => {
+        state.flowStats = action.payload;
+      });
+
+    // Flow status changes and clone
+    builder
+      .addCase(updateFlowStatus.fulfilled, (state, action) => {
+        applyFlowStatusChange(state, action.payload);
+      })
+      .addCase(updateMultipleFlowStatus.fulfilled, (state, action) => {
+        applyFlowStatusChange(state, action.payload);
+      })
+      .addCase(cloneFlow.fulfilled, (state, action) => {
+        const flow = action.payload;
+        if (!flow?._id) return;
+        const status = isFlowActive(flow) ? FLOW_STATUS.ACTIVE : FLOW_STATUS.INACTIVE;
+        if (!state.flowQuery.name && (state.flowQuery.status === 'all' || state.flowQuery.status === status)) {
+          state.flowList = [flow, ...state.flowList.filter((item) => item._id !== flow._id)];
+          state.flowTotalResults += 1;
+        }
+        state.flowStats.total = (state.flowStats.total || 0) + 1;
+        state.flowStats[status] = (state.flowStats[status] || 0) + 1;
+      });
+
+    // Flow history
+    builder
+      .addCase(getFlowHistory.pending, (state) => {
+        state.flowHistoryStatus = 'loading';
+        state.flowHistoryError = null;
+      })
+      .addCase(getFlowHistory.fulfilled, (state, action) => {
+        state.flowHistoryStatus = 'succeeded';
+        const { history, totalResults } = action.payload;
+        state.flowHistory = action.meta.arg.page ? [...state.flowHistory, ...history] : history;
+        state.flowHistoryTotal = totalResults;
+      })
+      .addCase(getFlowHistory.rejected, (state, action) => {
+        state.flowHistoryStatus = 'failed';
+        state.flowHistoryError = action.payload;
+      });
+
     // Reset state on logout (using string type to avoid circular imports)
     builder
       .addCase('user/logout/fulfilled', () => initialState)
@@ -297,5 +788,13 @@ const assistantSlice = createSlice({
   },
 });
 
-export const { setSelectedAssistant, clearAssistantError, silentUpdateAssistants, silentUpdateAssistantStats } = assistantSlice.actions;
+export const {
+  setSelectedAssistant,
+  clearAssistantError,
+  silentUpdateAssistants,
+  silentUpdateAssistantStats,
+  silentUpdateFlows,
+  silentUpdateFlowStats,
+  clearFlowHistory,
+} = assistantSlice.actions;
 export default assistantSlice.reducer;
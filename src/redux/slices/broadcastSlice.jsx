@@ -1,5 +1,7 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { callApi, endpoints, httpMethods } from '../../utils/axios';
+import { cacheManager } from '../../database/CacheManager';
+import { fetchBroadcastReportWithCache } from '../cacheThunks';
 
 // Async thunks
 export const getBroadcasts = createAsyncThunk(
@@ -111,6 +113,34 @@ export const resendBroadcast = createAsyncThunk(
   }
 );
 
+// A few contacts from a list, used to preview how template variables render per recipient
+export const fetchBroadcastSampleContacts = createAsyncThunk(
+  'broadcast/fetchBroadcastSampleContacts',
+  async ({ listName, limit = 3 }, { rejectWithValue }) => {
+    try {
+      const url = `${endpoints.contacts.getContacts}?skip=0&limit=${limit}&list=${encodeURIComponent(listName)}`;
+      const response = await callApi(url, httpMethods.GET);
+
+      if (response.status === 'error') {
+        throw new Error(response.message || 'Failed to fetch contacts');
+      }
+      const data = response.data || response;
+      return (data.contacts || []).slice(0, limit);
+    } catch (error) {
+      // Offline fallback — use whatever is cached for the list
+      try {
+        const cached = await cacheManager.getContacts({ skip: 0, listName });
+        if (cached.contacts?.length > 0) {
+          return cached.contacts.slice(0, limit);
+        }
+      } catch (cacheErr) {
+        // Cache read also failed
+      }
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
 // Initial state
 const initialState = {
   broadcasts: [],
@@ -126,6 +156,9 @@ const initialState = {
   testBroadcastError: null,
   resendBroadcastStatus: 'idle',
   resendBroadcastError: null,
+  report: null, // { broadcastId, broadcast, recipients, updatedAt, fromCache }
+  reportStatus: 'idle',
+  reportError: null,
   totalSearchResult: 0,
   totalBroadcast: 0,
   liveBroadcast: 0,
@@ -148,6 +181,12 @@ const broadcastSlice = createSlice({
       state.statsError = null;
       state.testBroadcastError = null;
       state.resendBroadcastError = null;
+      state.reportError = null;
+    },
+    silentUpdateBroadcastReport: (state, action) => {
+      // Ignore late refreshes for a broadcast that's no longer open
+      if (state.report?.broadcastId !== action.payload.broadcastId) return;
+      state.report = { ...action.payload, fromCache: false };
     },
   },
   extraReducers: (builder) => {
@@ -245,8 +284,26 @@ const broadcastSlice = createSlice({
         state.resendBroadcastStatus = 'failed';
         state.resendBroadcastError = action.payload;
       });
+
+    // Fetch Broadcast Report (cache-first)
+    builder
+      .addCase(fetchBroadcastReportWithCache.pending, (state, action) => {
+        state.reportStatus = 'loading';
+        state.reportError = null;
+        if (state.report?.broadcastId !== action.meta.arg?.broadcastId) {
+          state.report = null;
+        }
+      })
+      .addCase(fetchBroadcastReportWithCache.fulfilled, (state, action) => {
+        state.reportStatus = 'succeeded';
+        state.report = action.payload;
+      })
+      .addCase(fetchBroadcastReportWithCache.rejected, (state, action) => {
+        state.reportStatus = 'failed';
+        state.reportError = action.payload;
+      });
   },
 });
 
-export const { clearBroadcastError } = broadcastSlice.actions;
+export const { clearBroadcastError, silentUpdateBroadcastReport } = broadcastSlice.actions;
 export default broadcastSlice.reducer;
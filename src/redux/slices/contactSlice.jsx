@@ -1,7 +1,14 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { callApi, endpoints, httpMethods } from '../../utils/axios';
+import { cacheManager } from '../../database/CacheManager';
 import { fetchContactsWithCache, fetchContactListsWithCache } from '../cacheThunks';
 
+// Contacts a batch request did not report in data.failedContacts
+const getSucceededIds = (contactIds = [], response) => {
+  const failed = (response?.data?.failedContacts || []).map((item) => item?._id || item?.id || item?.contactId);
+  return contactIds.filter((id) => !failed.includes(id));
+};
+
 // Async thunks
 export const getContactList = createAsyncThunk(
   'contacts/getContactList',
@@ -85,6 +92,12 @@ export const deleteContact = createAsyncThunk(
       if (response.status !== 'success' && response.status === 'error') {
         return rejectWithValue(response.message || 'Failed to delete contact');
       }
+
+      try {
+        await cacheManager.deleteContacts(getSucceededIds(bodyData?.contactIds, response));
+      } catch (cacheError) {
+        // Non-critical — next refresh replaces the cached lists
+      }
       return response;
     } catch (error) {
       return rejectWithValue(error.message);
@@ -100,6 +113,13 @@ export const createList = createAsyncThunk(
       if (response.status !== 'success' && response.status === 'error') {
         return rejectWithValue(response.message || 'Failed to create list');
       }
+
+      try {
+        const list = response.data?.list || response.data || {};
+        await cacheManager.saveContactList({ ...list, listName: list.listName || bodyData.listName });
+      } catch (cacheError) {
+        // Non-critical — next refresh replaces the cached lists
+      }
       return response;
     } catch (error) {
       return rejectWithValue(error.message);
@@ -109,13 +129,53 @@ export const createList = createAsyncThunk(
 
 export const deleteList = createAsyncThunk(
   'contacts/deleteList',
-  async ({ id, deleteContacts }, { rejectWithValue }) => {
+  async ({ id, deleteContacts, listName }, { rejectWithValue }) => {
     try {
       const url = `${endpoints.contacts.deleteList}${id}`;
       const response = await callApi(url, httpMethods.DELETE, { deleteContacts });
       if (response.status !== 'success' && response.status === 'error') {
         return rejectWithValue(response.message || 'Failed to delete list');
       }
+
+      try {
+        if (listName) await cacheManager.deleteContactList(id, listName, deleteContacts);
+      } catch (cacheError) {
+        // Non-critical — next refresh replaces the cached lists
+      }
+      return response;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * Rename a list ({ listName }) or change its members ({ contactIds, action: 'add' | 'remove' }).
+ * listName is the list's current name — the cache is partitioned by it;
+ * movedTo names the list removed contacts went to.
+ */
+export const updateList = createAsyncThunk(
+  'contacts/updateList',
+  async ({ id, listName, bodyData, movedTo = null }, { rejectWithValue }) => {
+    try {
+      const url = `${endpoints.contacts.updateList}${id}`;
+      const response = await callApi(url, httpMethods.PUT, bodyData);
+      if (response.status !== 'success' && response.status === 'error') {
+        return rejectWithValue(response.message || 'Failed to update list');
+      }
+
+      try {
+        const list = { _id: id, listName };
+        if (bodyData.action === 'add') {
+          await cacheManager.addContactsToList(list, getSucceededIds(bodyData.contactIds, response));
+        } else if (bodyData.action === 'remove') {
+          await cacheManager.removeContactsFromList(list, getSucceededIds(bodyData.contactIds, response), movedTo);
+        } else if (bodyData.listName && listName) {
+          await cacheManager.renameContactList(id, listName, bodyData.listName);
+        }
+      } catch (cacheError) {
+        // Non-critical — next refresh replaces the cached lists
+      }
       return response;
     } catch (error) {
       return rejectWithValue(error.message);
@@ -333,6 +393,13 @@ const contactSlice = createSlice({
         state.shouldFetchList = true;
       });
 
+    // Update List
+    builder
+      .addCase(updateList.fulfilled, (state) => {
+        state.shouldFetchList = true;
+        state.shouldFetchContacts = true;
+      });
+
     // Goto Chat
     builder
       .addCase(gotoChat.pending, (state) => {
@@ -1,5 +1,11 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { callApi, endpoints, httpMethods } from '../../utils/axios';
+import { cacheManager } from '../../database/CacheManager';
+import {
+  HOME_FOLDER_NAME,
+  findFolderById,
+  findDefaultFolder,
+} from '../../utils/folderTreeHelpers';
 import {
   fetchDashboardStatsWithCache,
   fetchWANumbersWithCache,
@@ -90,6 +96,10 @@ export const getFolders = createAsyncThunk(
   }
 );
 
+/**
+ * Create a folder, nested under `parentId` when given
+ * @param {Object} data - { folderName, parentId }
+ */
 export const createFolder = createAsyncThunk(
   'dashboard/createFolder',
   async (data, { rejectWithValue }) => {
@@ -98,6 +108,17 @@ export const createFolder = createAsyncThunk(
       if (response.status === 'error') {
         return rejectWithValue(response.message || 'Failed to create folder');
       }
+
+      try {
+        const folder = response.data?.folder || response.data || {};
+        await cacheManager.addFolder(
+          { ...folder, name: folder.name || data.folderName },
+          data.parentId || null
+        );
+      } catch (cacheError) {
+        // Non-critical — the folder shows up on the next folder refresh
+      }
+
       return response;
     } catch (error) {
       return rejectWithValue(error.message);
@@ -107,13 +128,22 @@ export const createFolder = createAsyncThunk(
 
 export const deleteFolder = createAsyncThunk(
   'dashboard/deleteFolder',
-  async ({ _id, bodyData }, { rejectWithValue }) => {
+  async ({ _id, bodyData }, { getState, rejectWithValue }) => {
     try {
       const url = `${endpoints.dashboard.deleteFolder}/${_id}`;
       const response = await callApi(url, httpMethods.DELETE, bodyData);
       if (response.status !== 'success' && response.status === 'error') {
         return rejectWithValue(response.message || 'Failed to delete folder');
       }
+
+      try {
+        const { folders } = getState().dashboard;
+        const folder = findFolderById(folders, _id) || { _id };
+        await cacheManager.deleteFolder(folder, findDefaultFolder(folders, HOME_FOLDER_NAME)?._id);
+      } catch (cacheError) {
+        // Non-critical — next folder refresh replaces the cached tree
+      }
+
       return response;
     } catch (error) {
       return rejectWithValue(error.message);
@@ -121,6 +151,10 @@ export const deleteFolder = createAsyncThunk(
   }
 );
 
+/**
+ * Rename a folder
+ * @param {Object} data - { id, bodyData: { folderName } }
+ */
 export const renameFolder = createAsyncThunk(
   'dashboard/renameFolder',
   async (data, { rejectWithValue }) => {
@@ -131,6 +165,13 @@ export const renameFolder = createAsyncThunk(
       if (response.status !== 'success' && response.status === 'error') {
         return rejectWithValue(response.message || 'Failed to rename folder');
       }
+
+      try {
+        await cacheManager.renameFolder(id, bodyData.folderName);
+      } catch (cacheError) {
+        // Non-critical — next folder refresh replaces the cached tree
+      }
+
       return response;
     } catch (error) {
       return rejectWithValue(error.message);
@@ -138,16 +179,29 @@ export const renameFolder = createAsyncThunk(
   }
 );
 
+/**
+ * Move WA numbers into a folder
+ * @param {Object} data - { id: target folder ID, bodyData: { itemIds }, fromFolderId }
+ */
 export const moveItemsToAnotherFolder = createAsyncThunk(
   'dashboard/moveItemsToAnotherFolder',
-  async (data, { rejectWithValue }) => {
+  async (data, { getState, rejectWithValue }) => {
     try {
-      const { id, bodyData } = data;
+      const { id, bodyData, fromFolderId = null } = data;
       const url = `${endpoints.dashboard.moveItems}/${id}`;
       const response = await callApi(url, httpMethods.PUT, bodyData);
       if (response.status !== 'success' && response.status === 'error') {
         return rejectWithValue(response.message || 'Failed to move items');
       }
+
+      try {
+        const itemIds = bodyData?.itemIds || [];
+        const moved = getState().dashboard.whatsappNumbers.filter((number) => itemIds.includes(number._id));
+        await cacheManager.moveWANumbersToFolder(moved, fromFolderId, id);
+      } catch (cacheError) {
+        // Non-critical — next WA number refresh replaces the per-folder cache
+      }
+
       return response;
     } catch (error) {
       return rejectWithValue(error.message);
@@ -360,8 +414,14 @@ const dashboardSlice = createSlice({
 
     // Move Items
     builder
-      .addCase(moveItemsToAnotherFolder.fulfilled, (state) => {
+      .addCase(moveItemsToAnotherFolder.fulfilled, (state, action) => {
         state.shouldFetchFolders = true;
+        // Moved numbers leave the folder being viewed
+        const { bodyData, fromFolderId } = action.meta.arg;
+        if (fromFolderId && fromFolderId === state.selectedFolder?._id) {
+          const itemIds = bodyData?.itemIds || [];
+          state.whatsappNumbers = state.whatsappNumbers.filter((number) => !itemIds.includes(number._id));
+        }
       });
 
     // Sync WhatsApp Business Info
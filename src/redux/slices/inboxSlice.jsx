@@ -1,6 +1,7 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { callApi, endpoints, httpMethods } from '../../utils/axios';
-import { fetchChatsWithCache, fetchConversationWithCache, fetchQuickRepliesWithCache, searchChatsWithCache, syncMissedMessages } from '../cacheThunks';
+import { cacheManager } from '../../database/CacheManager';
+import { fetchChatsWithCache, fetchConversationWithCache, loadMoreMessagesWithCache, fetchQuickRepliesWithCache, searchChatsWithCache, searchMessagesWithCache, syncMissedMessages } from '../cacheThunks';
 
 // ----------------------------------------------------------------------------
 // Chat list normalization
@@ -99,6 +100,94 @@ const normalizeChatForList = (chat) => {
   };
 };
 
+// ----------------------------------------------------------------------------
+// Offline-capable chat mutations
+// Chat updates, notes and reactions apply to Redux + SQLite first, then hit the
+// API. If the server can't be reached (or the chat already has queued work, to
+// keep ordering) they go through the sync queue and are replayed by the
+// handlers in services/chatSyncHandlers.js.
+// ----------------------------------------------------------------------------
+const CHAT_SYNC_FIELDS = ['status', 'assignedToMember', 'hideNotification'];
+
+const pickChatFields = (source) => CHAT_SYNC_FIELDS.reduce((acc, field) => {
+  if (source?.[field] !== undefined) acc[field] = source[field];
+  return acc;
+}, {});
+
+// Local values of the fields about to change (rollback + conflict baseline).
+// Empty when the chat isn't loaded — replay then skips the conflict check.
+const getLocalChatFields = (inboxState, chatId, fields) => {
+  const chat = inboxState.chats.find(c => c._id === chatId)
+    || (inboxState.currentConversation?._id === chatId ? inboxState.currentConversation : null);
+  if (!chat) return {};
+  return Object.keys(fields).reduce((acc, field) => {
+    acc[field] = chat[field] ?? null;
+    return acc;
+  }, {});
+};
+
+const getLocalOwnReaction = (inboxState, chatId, messageId) => {
+  if (inboxState.currentConversation?._id !== chatId) return '';
+  const msg = inboxState.currentConversation.messages?.find(
+    m => m._id === messageId || m.wamid === messageId
+  );
+  return msg?.reactions?.find(r => r.sentBy === 'me')?.emoji || msg?.reaction?.emoji || '';
+};
+
+const hasQueuedWorkForChat = async (chatId) => {
+  try {
+    const ops = await cacheManager.getPendingSyncOperationsForChat(chatId);
+    return ops.length > 0;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Queue a chat mutation and kick the processor — it goes out as soon as the
+// connection allows and earlier work for the chat has drained.
+const queueChatMutation = async (operation, chatId, recordId, data, dispatch) => {
+  await cacheManager.addToSyncQueue(operation, 'chats', recordId, {
+    chatId,
+    queuedAt: Date.now(),
+    ...data,
+  }, { chatId });
+  // Lazy require — syncQueueService imports this slice
+  const { processSyncQueue } = require('../../services/syncQueueService');
+  processSyncQueue(dispatch);
+};
+
+/**
+ * Apply chat field updates optimistically, then send them or queue them.
+ * Rolls the local change back when the server rejects it.
+ * @returns {Promise<{response?: Object, queued?: boolean, error?: string}>}
+ */
+const mutateChatFields = async (chatId, updates, body, { dispatch, getState }) => {
+  const previous = getLocalChatFields(getState().inbox, chatId, updates);
+  dispatch(applyChatFieldUpdates({ chatId, updates }));
+  cacheManager.updateChatFields(chatId, updates).catch(() => {});
+
+  const queue = async () => {
+    await queueChatMutation('updateChat', chatId, chatId, { updates, previous }, dispatch);
+    return { queued: true, response: { data: updates } };
+  };
+
+  if (await hasQueuedWorkForChat(chatId)) {
+    return queue();
+  }
+
+  const response = await callApi(`${endpoints.inbox.updateChat}/${chatId}`, httpMethods.PUT, body);
+  if (response.isNetworkError) {
+    return queue();
+  }
+  if (response.status === 'error') {
+    const rollback = { ...updates, ...previous };
+    dispatch(applyChatFieldUpdates({ chatId, updates: rollback }));
+    cacheManager.updateChatFields(chatId, rollback).catch(() => {});
+    return { error: response.message };
+  }
+  return { response };
+};
+
 // Async thunks
 export const fetchChats = createAsyncThunk(
   'inbox/fetchChats',
@@ -252,18 +341,18 @@ export const fetchMoreMessages = createAsyncThunk(
 
 export const updateChat = createAsyncThunk(
   'inbox/updateChat',
-  async ({ id, status, assignedToMember, hideNotification }, { rejectWithValue }) => {
+  async ({ id, status, assignedToMember, hideNotification }, { dispatch, getState, rejectWithValue }) => {
     try {
-      const url = `${endpoints.inbox.updateChat}/${id}`;
-      const response = await callApi(url, httpMethods.PUT, {
+      const updates = pickChatFields({ status, assignedToMember, hideNotification });
+      const { response, queued, error } = await mutateChatFields(id, updates, {
         status,
         assignedToMember,
         hideNotification,
-      });
-      if (response.status !== 'success' && response.status === 'error') {
-        return rejectWithValue(response.message || 'Failed to update chat');
+      }, { dispatch, getState });
+      if (error !== undefined) {
+        return rejectWithValue(error || 'Failed to update chat');
       }
-      return { id, response };
+      return { id, response, queued };
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -317,20 +406,21 @@ export const replyMessage = createAsyncThunk(
 );
 
 // Update contact chat (status, assignedTo, etc.) - for intervene and status changes
+// Applied optimistically and queued when offline, like updateChat
 export const updateContactChat = createAsyncThunk(
   'inbox/updateContactChat',
-  async ({ id, status, assignedToMember, hideNotification }, { rejectWithValue }) => {
+  async ({ id, status, assignedToMember, hideNotification }, { dispatch, getState, rejectWithValue }) => {
     try {
-      const url = `${endpoints.inbox.updateChat}/${id}`;
-      const response = await callApi(url, httpMethods.PUT, {
+      const updates = pickChatFields({ status, assignedToMember, hideNotification });
+      const { response, queued, error } = await mutateChatFields(id, updates, {
         status,
         assignedToMember,
         hideNotification,
-      });
-      if (response.status !== 'success' && response.status === 'error') {
-        return rejectWithValue(response.message || 'Failed to update contact chat');
+      }, { dispatch, getState });
+      if (error !== undefined) {
+        return rejectWithValue(error || 'Failed to update contact chat');
       }
-      return { id, status, response };
+      return { id, status, response, queued };
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -486,45 +576,123 @@ export const searchChats = createAsyncThunk(
   }
 );
 
-// Fetch chat notes
+// Fetch chat notes (falls back to cached notes when offline)
 export const fetchChatNotes = createAsyncThunk(
   'inbox/fetchChatNotes',
   async (chatId, { rejectWithValue }) => {
     try {
       const response = await callApi(`${endpoints.inbox.root}/${chatId}/notes`, httpMethods.GET);
+      if (response.isNetworkError) {
+        const cached = await cacheManager.getChatNotes(chatId).catch(() => null);
+        if (cached) {
+          return { data: { notes: cached }, fromCache: true };
+        }
+      }
       if (response.status === 'error') {
         return rejectWithValue(response.message || 'Failed to fetch notes');
       }
-      return response;
+
+      // Keep notes that are still waiting in the sync queue
+      const data = response.data || response;
+      const serverNotes = data.notes || data || [];
+      const cached = await cacheManager.getChatNotes(chatId).catch(() => null);
+      const pendingNotes = (cached || []).filter(note => note.isPending);
+      const notes = [...pendingNotes, ...serverNotes];
+      cacheManager.saveChatNotes(chatId, notes).catch(() => {});
+
+      return { data: { notes } };
     } catch (error) {
       return rejectWithValue(error.message);
     }
   }
 );
 
-// Add chat note
+// Add chat note (optimistic; queued when offline)
 export const addChatNote = createAsyncThunk(
   'inbox/addChatNote',
-  async ({ chatId, note }, { rejectWithValue }) => {
+  async ({ chatId, note }, { dispatch, getState, rejectWithValue }) => {
+    const tempId = `temp_note_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     try {
+      const { user } = getState().user;
+      const optimisticNote = {
+        _id: tempId,
+        tempId,
+        note,
+        authorName: user?.name,
+        createdAt: new Date().toISOString(),
+        isPending: true,
+      };
+      dispatch(addNoteToList(optimisticNote));
+      cacheManager.updateChatNotes(chatId, notes => [optimisticNote, ...notes]).catch(() => {});
+
+      const queue = async () => {
+        await queueChatMutation('addChatNote', chatId, tempId, { note, tempId }, dispatch);
+        return { tempId, queued: true };
+      };
+
+      if (await hasQueuedWorkForChat(chatId)) {
+        return queue();
+      }
+
       const response = await callApi(`${endpoints.inbox.root}/${chatId}/notes`, httpMethods.POST, { note });
+      if (response.isNetworkError) {
+        return queue();
+      }
       if (response.status === 'error') {
+        dispatch(removeNoteFromList(tempId));
+        cacheManager.updateChatNotes(chatId, notes => notes.filter(n => n._id !== tempId)).catch(() => {});
         return rejectWithValue(response.message || 'Failed to add note');
       }
-      return response;
+
+      const data = response.data || response;
+      if (data.note) {
+        cacheManager.updateChatNotes(chatId, notes => notes.map(n => (n._id === tempId ? data.note : n))).catch(() => {});
+      }
+      return { tempId, response };
     } catch (error) {
+      dispatch(removeNoteFromList(tempId));
       return rejectWithValue(error.message);
     }
   }
 );
 
-// Delete chat note
+// Delete chat note (optimistic; queued when offline)
 export const deleteChatNote = createAsyncThunk(
   'inbox/deleteChatNote',
-  async ({ chatId, noteId }, { rejectWithValue }) => {
+  async ({ chatId, noteId }, { dispatch, getState, rejectWithValue }) => {
+    const existing = getState().inbox.notes.find(note => note._id === noteId);
     try {
+      dispatch(removeNoteFromList(noteId));
+      cacheManager.updateChatNotes(chatId, notes => notes.filter(n => n._id !== noteId)).catch(() => {});
+
+      // Never reached the server — drop the queued add instead of sending a delete
+      if (existing?.isPending) {
+        const ops = await cacheManager.getPendingSyncOperationsForChat(chatId);
+        const queuedAdd = ops.find(op => op.operation === 'addChatNote' && op.record_id === noteId);
+        if (queuedAdd) {
+          await cacheManager.discardSyncOperation(queuedAdd.id);
+          return { noteId, queued: true };
+        }
+      }
+
+      const queue = async () => {
+        await queueChatMutation('deleteChatNote', chatId, noteId, { noteId, note: existing }, dispatch);
+        return { noteId, queued: true };
+      };
+
+      if (await hasQueuedWorkForChat(chatId)) {
+        return queue();
+      }
+
       const response = await callApi(`${endpoints.inbox.root}/${chatId}/notes/${noteId}`, httpMethods.DELETE);
+      if (response.isNetworkError) {
+        return queue();
+      }
       if (response.status === 'error') {
+        if (existing) {
+          dispatch(addNoteToList(existing));
+          cacheManager.updateChatNotes(chatId, notes => [existing, ...notes]).catch(() => {});
+        }
         return rejectWithValue(response.message || 'Failed to delete note');
       }
       return { noteId, response };
@@ -534,13 +702,42 @@ export const deleteChatNote = createAsyncThunk(
   }
 );
 
-// Send message reaction
+// Send message reaction (optimistic; queued when offline)
 export const sendMessageReaction = createAsyncThunk(
   'inbox/sendMessageReaction',
-  async ({ chatId, messageId, emoji }, { rejectWithValue }) => {
+  async ({ chatId, messageId, emoji }, { dispatch, getState, rejectWithValue }) => {
+    let previousEmoji = getLocalOwnReaction(getState().inbox, chatId, messageId);
     try {
+      dispatch(applyOwnReaction({ chatId, messageId, emoji }));
+      cacheManager.updateOwnReaction(messageId, emoji).catch(() => {});
+
+      const queue = async () => {
+        // Only the latest reaction matters — replace an earlier queued one, keeping its baseline
+        const ops = await cacheManager.getPendingSyncOperationsForChat(chatId);
+        const earlier = ops.find(op => op.operation === 'sendMessageReaction' && op.record_id === messageId);
+        if (earlier) {
+          try {
+            previousEmoji = JSON.parse(earlier.data).previousEmoji ?? previousEmoji;
+          } catch (e) {
+            // Keep the current baseline
+          }
+          await cacheManager.discardSyncOperation(earlier.id);
+        }
+        await queueChatMutation('sendMessageReaction', chatId, messageId, { messageId, emoji, previousEmoji }, dispatch);
+        return { chatId, messageId, emoji, queued: true };
+      };
+
+      if (await hasQueuedWorkForChat(chatId)) {
+        return queue();
+      }
+
       const response = await callApi(`${endpoints.inbox.root}/${chatId}/messages/${messageId}/reaction`, httpMethods.POST, { emoji });
+      if (response.isNetworkError) {
+        return queue();
+      }
       if (response.status === 'error') {
+        dispatch(applyOwnReaction({ chatId, messageId, emoji: previousEmoji }));
+        cacheManager.updateOwnReaction(messageId, previousEmoji).catch(() => {});
         return rejectWithValue(response.message || 'Failed to send reaction');
       }
       return { chatId, messageId, emoji, response };
@@ -569,14 +766,14 @@ export const fetchTeamMembers = createAsyncThunk(
 // Assign chat to team member
 export const assignChatToMember = createAsyncThunk(
   'inbox/assignChatToMember',
-  async ({ chatId, memberId }, { rejectWithValue }) => {
+  async ({ chatId, memberId }, { dispatch, getState, rejectWithValue }) => {
     try {
-      const url = `${endpoints.inbox.updateChat}/${chatId}`;
-      const response = await callApi(url, httpMethods.PUT, { assignedToMember: memberId });
-      if (response.status === 'error') {
-        return rejectWithValue(response.message || 'Failed to assign chat');
+      const updates = { assignedToMember: memberId };
+      const { response, queued, error } = await mutateChatFields(chatId, updates, updates, { dispatch, getState });
+      if (error !== undefined) {
+        return rejectWithValue(error || 'Failed to assign chat');
       }
-      return { chatId, memberId, response };
+      return { chatId, memberId, response, queued };
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -586,20 +783,225 @@ export const assignChatToMember = createAsyncThunk(
 // Toggle chat notifications (mute/unmute)
 export const toggleChatNotifications = createAsyncThunk(
   'inbox/toggleChatNotifications',
-  async ({ chatId, hideNotification }, { rejectWithValue }) => {
+  async ({ chatId, hideNotification }, { dispatch, getState, rejectWithValue }) => {
     try {
-      const url = `${endpoints.inbox.updateChat}/${chatId}`;
-      const response = await callApi(url, httpMethods.PUT, { hideNotification });
-      if (response.status === 'error') {
-        return rejectWithValue(response.message || 'Failed to toggle notifications');
+      const updates = { hideNotification };
+      const { response, queued, error } = await mutateChatFields(chatId, updates, updates, { dispatch, getState });
+      if (error !== undefined) {
+        return rejectWithValue(error || 'Failed to toggle notifications');
+      }
+      return { chatId, hideNotification, response, queued };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Kick the local scheduler after the schedule changed
+const runScheduler = (dispatch) => {
+  // Lazy require — scheduledMessageService imports this slice
+  const { processScheduledMessages } = require('../../services/scheduledMessageService');
+  processScheduledMessages(dispatch);
+};
+
+// Fetch scheduled messages for a chat (local only — the scheduler runs on device)
+export const fetchScheduledMessages = createAsyncThunk(
+  'inbox/fetchScheduledMessages',
+  async (chatId, { rejectWithValue }) => {
+    try {
+      const items = await cacheManager.getScheduledMessagesForChat(chatId);
+      return { chatId, items };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Schedule a message built by the composer. payload is the socket payload
+// (without tempId), preview the optimistic message used for the bubble.
+export const scheduleMessage = createAsyncThunk(
+  'inbox/scheduleMessage',
+  async ({ chatId, operation, messageType, payload, preview, scheduledAt }, { dispatch, rejectWithValue }) => {
+    try {
+      if (!scheduledAt || scheduledAt <= Date.now()) {
+        return rejectWithValue('Pick a time in the future');
+      }
+      const item = await cacheManager.saveScheduledMessage({
+        _id: `sched_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        chatId,
+        operation,
+        messageType,
+        payload,
+        preview,
+        scheduledAt,
+        status: 'scheduled',
+      });
+      if (!item) {
+        return rejectWithValue('Failed to schedule message');
+      }
+      runScheduler(dispatch);
+      return item;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Reschedule a scheduled message and/or edit its text (caption for media).
+// Also used to retry a failed one — it goes back to 'scheduled'.
+export const updateScheduledMessage = createAsyncThunk(
+  'inbox/updateScheduledMessage',
+  async ({ id, scheduledAt, text }, { dispatch, rejectWithValue }) => {
+    try {
+      const existing = await cacheManager.getScheduledMessageById(id);
+      if (!existing || existing.status === 'sending') {
+        return rejectWithValue('This message is already being sent');
+      }
+      if (!scheduledAt || scheduledAt <= Date.now()) {
+        return rejectWithValue('Pick a time in the future');
+      }
+
+      let { payload, preview } = existing;
+      if (text !== undefined && existing.messageType !== 'template') {
+        if (existing.messageType === 'text') {
+          payload = { ...payload, message: text };
+          preview = { ...preview, message: { ...preview?.message, body: text } };
+        } else {
+          const mediaType = existing.messageType;
+          payload = { ...payload, caption: text };
+          preview = {
+            ...preview,
+            message: {
+              ...preview?.message,
+              [mediaType]: { ...preview?.message?.[mediaType], caption: text },
+              caption: text,
+            },
+          };
+        }
+      }
+
+      const item = await cacheManager.saveScheduledMessage({
+        ...existing,
+        payload,
+        preview,
+        scheduledAt,
+        status: 'scheduled',
+        error: null,
+      });
+      runScheduler(dispatch);
+      return item;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Cancel (delete) a scheduled message
+export const cancelScheduledMessage = createAsyncThunk(
+  'inbox/cancelScheduledMessage',
+  async (id, { rejectWithValue }) => {
+    try {
+      const existing = await cacheManager.getScheduledMessageById(id);
+      if (existing?.status === 'sending') {
+        return rejectWithValue('This message is already being sent');
       }
-      return { chatId, hideNotification, response };
+      await cacheManager.deleteScheduledMessage(id);
+      return { id };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Load all composer drafts (chat list "Draft:" previews)
+export const fetchDrafts = createAsyncThunk(
+  'inbox/fetchDrafts',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await cacheManager.getAllDrafts();
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Load the composer draft for one chat (restored when the chat is opened)
+export const loadChatDraft = createAsyncThunk(
+  'inbox/loadChatDraft',
+  async (chatId, { rejectWithValue }) => {
+    try {
+      const draft = await cacheManager.getDraft(chatId);
+      return { chatId, draft };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+// Save the composer draft for a chat ({ chatId, text, file, replyTo, formatting }).
+// An empty draft removes the stored one.
+export const saveChatDraft = createAsyncThunk(
+  'inbox/saveChatDraft',
+  async (draft, { rejectWithValue }) => {
+    try {
+      const saved = await cacheManager.saveDraft({ ...draft, updatedAt: Date.now() });
+      return { chatId: draft.chatId, draft: saved };
     } catch (error) {
       return rejectWithValue(error.message);
     }
   }
 );
 
+// Store (or drop, when null) a chat's draft
+const setChatDraft = (state, { chatId, draft }) => {
+  if (draft) {
+    state.drafts[chatId] = draft;
+  } else {
+    delete state.drafts[chatId];
+  }
+};
+
+// Insert or replace a scheduled message in the loaded chat's list (kept in time order)
+const upsertScheduledMessage = (state, item) => {
+  if (!item || item.chatId !== state.scheduledMessagesChatId) return;
+  const index = state.scheduledMessages.findIndex(m => m._id === item._id);
+  if (index !== -1) {
+    state.scheduledMessages[index] = item;
+  } else {
+    state.scheduledMessages.push(item);
+  }
+  state.scheduledMessages.sort((a, b) => a.scheduledAt - b.scheduledAt);
+};
+
+// Set (or clear, with an empty emoji) the local user's reaction on a loaded message
+const setOwnReaction = (state, { chatId, messageId, emoji }) => {
+  if (!state.currentConversation || state.currentConversation._id !== chatId) return;
+  const messageIndex = state.currentConversation.messages?.findIndex(
+    m => m._id === messageId || m.wamid === messageId
+  );
+  if (messageIndex === -1 || messageIndex === undefined) return;
+
+  const msg = state.currentConversation.messages[messageIndex];
+  // Update singular reaction field (for compatibility)
+  msg.reaction = emoji ? { emoji } : null;
+  // Also update reactions array for immediate UI rendering
+  if (!msg.reactions) {
+    msg.reactions = [];
+  }
+  // Find existing reaction from 'me' (local user)
+  const existingIdx = msg.reactions.findIndex(r => r.sentBy === 'me');
+  if (!emoji) {
+    // Unreact
+    if (existingIdx !== -1) {
+      msg.reactions.splice(existingIdx, 1);
+    }
+  } else if (existingIdx !== -1) {
+    msg.reactions[existingIdx] = { emoji, sentBy: 'me' };
+  } else {
+    msg.reactions.push({ emoji, sentBy: 'me' });
+  }
+};
+
 // Initial state
 const initialState = {
   chats: [],
@@ -659,6 +1061,11 @@ const initialState = {
   notesError: null,
   addNoteStatus: 'idle',
   deleteNoteStatus: 'idle',
+  // Scheduled messages for the open chat (see scheduledMessageService)
+  scheduledMessages: [],
+  scheduledMessagesChatId: null,
+  // Composer drafts keyed by chat ID (see DraftModel)
+  drafts: {},
   // Message Reactions
   reactionStatus: 'idle',
   reactionError: null,
@@ -677,6 +1084,10 @@ const initialState = {
   isSearchActive: false,
   searchHasMore: false,
   searchLastChatDate: null,
+  // Message content search across all chats (local full-text index)
+  messageSearchResults: [],
+  messageSearchStatus: 'idle', // 'idle' | 'loading' | 'succeeded' | 'failed'
+  messageSearchHasMore: false,
 };
 
 // Slice
@@ -996,6 +1407,40 @@ const inboxSlice = createSlice({
     removeNoteFromList: (state, action) => {
       state.notes = state.notes.filter(note => note._id !== action.payload);
     },
+    // Swap an optimistic note for the server copy (used by the sync queue)
+    replaceNoteInList: (state, action) => {
+      const { tempId, note } = action.payload;
+      const index = state.notes.findIndex(n => n._id === tempId);
+      if (index !== -1) {
+        state.notes[index] = note;
+      }
+    },
+    // Put back a note whose queued delete failed (used by the sync queue)
+    restoreNoteInList: (state, action) => {
+      const { chatId, note } = action.payload;
+      if (state.currentConversation?._id !== chatId) return;
+      if (!state.notes.some(n => n._id === note._id)) {
+        state.notes.unshift(note);
+      }
+    },
+    // Apply chat field updates (status, assignee, notifications) to list + open conversation
+    applyChatFieldUpdates: (state, action) => {
+      const { chatId, updates } = action.payload;
+      const chatIndex = state.chats.findIndex(chat => chat._id === chatId);
+      if (chatIndex !== -1) {
+        state.chats[chatIndex] = { ...state.chats[chatIndex], ...updates };
+      }
+      if (state.currentConversation && state.currentConversation._id === chatId) {
+        state.currentConversation = { ...state.currentConversation, ...updates };
+        if (updates.status) {
+          state.chatStatus = updates.status;
+        }
+      }
+    },
+    // Optimistically set the local user's reaction on a message
+    applyOwnReaction: (state, action) => {
+      setOwnReaction(state, action.payload);
+    },
     // Set team members
     setTeamMembers: (state, action) => {
       state.teamMembers = action.payload;
@@ -1146,6 +1591,14 @@ const inboxSlice = createSlice({
         }
       }
     },
+    // Scheduled message changed by the scheduler (status / error)
+    scheduledMessageUpdated: (state, action) => {
+      upsertScheduledMessage(state, action.payload);
+    },
+    // Scheduled message sent (it now shows as a normal message)
+    scheduledMessageRemoved: (state, action) => {
+      state.scheduledMessages = state.scheduledMessages.filter(m => m._id !== action.payload);
+    },
     // Reset message pagination when opening a new conversation
     resetMessagePagination: (state) => {
       state.messagesSkip = 0;
@@ -1231,6 +1684,9 @@ const inboxSlice = createSlice({
       state.isLoadingMore = false;
       state.notes = [];
       state.notesStatus = 'idle';
+      state.scheduledMessages = [];
+      state.scheduledMessagesChatId = null;
+      state.drafts = {};
       state.teamMembers = [];
       state.teamMembersStatus = 'idle';
       state.error = null;
@@ -1243,6 +1699,9 @@ const inboxSlice = createSlice({
       state.isSearchActive = false;
       state.searchHasMore = false;
       state.searchLastChatDate = null;
+      state.messageSearchResults = [];
+      state.messageSearchStatus = 'idle';
+      state.messageSearchHasMore = false;
     },
     // Set search query (for controlled input)
     setSearchQuery: (state, action) => {
@@ -1257,6 +1716,9 @@ const inboxSlice = createSlice({
       state.isSearchActive = false;
       state.searchHasMore = false;
       state.searchLastChatDate = null;
+      state.messageSearchResults = [];
+      state.messageSearchStatus = 'idle';
+      state.messageSearchHasMore = false;
     },
   },
   extraReducers: (builder) => {
@@ -1538,6 +2000,44 @@ const inboxSlice = createSlice({
         state.loadMoreMessagesError = action.payload;
       });
 
+    // Load older messages (cache first, then server)
+    builder
+      .addCase(loadMoreMessagesWithCache.pending, (state) => {
+        state.isLoadingMoreMessages = true;
+        state.loadMoreMessagesError = null;
+      })
+      .addCase(loadMoreMessagesWithCache.fulfilled, (state, action) => {
+        state.isLoadingMoreMessages = false;
+        const { messages: olderMessages = [], hasMore } = action.payload;
+        const { chatId } = action.meta.arg;
+        if (!state.currentConversation || state.currentConversation._id !== chatId) return;
+
+        const existingIds = new Set(
+          (state.currentConversation.messages || []).map(m => m._id || m.wamid)
+        );
+        const uniqueOlderMessages = olderMessages.filter(
+          m => !existingIds.has(m._id) && !existingIds.has(m.wamid)
+        );
+        state.currentConversation.messages = [
+          ...uniqueOlderMessages,
+          ...(state.currentConversation.messages || []),
+        ];
+
+        state.messagesSkip += olderMessages.length;
+        state.hasMoreMessages = hasMore;
+
+        state.conversationCache[chatId] = {
+          conversation: state.currentConversation,
+          messagesSkip: state.messagesSkip,
+          hasMoreMessages: state.hasMoreMessages,
+          cachedAt: Date.now(),
+        };
+      })
+      .addCase(loadMoreMessagesWithCache.rejected, (state, action) => {
+        state.isLoadingMoreMessages = false;
+        state.loadMoreMessagesError = action.payload;
+      });
+
     // Update Chat
     builder
       .addCase(updateChat.pending, (state) => {
@@ -1567,6 +2067,7 @@ const inboxSlice = createSlice({
       .addCase(deleteChat.fulfilled, (state, action) => {
         state.deleteChatStatus = 'succeeded';
         state.chats = state.chats.filter(chat => chat._id !== action.payload.id);
+        delete state.drafts[action.payload.id];
       })
       .addCase(deleteChat.rejected, (state, action) => {
         state.deleteChatStatus = 'failed';
@@ -1610,6 +2111,7 @@ const inboxSlice = createSlice({
       .addCase(updateContactChat.fulfilled, (state, action) => {
         state.updateContactChatStatus = 'succeeded';
         const { id, status } = action.payload;
+        if (status === undefined) return;
         // Determine AI assistant status based on chat status
         const isAiAssistantActive = status === 'aiAssistant';
         // Update chat status in state
@@ -1783,6 +2285,44 @@ const inboxSlice = createSlice({
         state.loadMoreError = action.payload;
       });
 
+    // Scheduled Messages
+    builder
+      .addCase(fetchScheduledMessages.pending, (state, action) => {
+        if (state.scheduledMessagesChatId !== action.meta.arg) {
+          state.scheduledMessages = [];
+          state.scheduledMessagesChatId = action.meta.arg;
+        }
+      })
+      .addCase(fetchScheduledMessages.fulfilled, (state, action) => {
+        if (action.payload.chatId === state.scheduledMessagesChatId) {
+          state.scheduledMessages = action.payload.items;
+        }
+      })
+      .addCase(scheduleMessage.fulfilled, (state, action) => {
+        upsertScheduledMessage(state, action.payload);
+      })
+      .addCase(updateScheduledMessage.fulfilled, (state, action) => {
+        upsertScheduledMessage(state, action.payload);
+      })
+      .addCase(cancelScheduledMessage.fulfilled, (state, action) => {
+        state.scheduledMessages = state.scheduledMessages.filter(m => m._id !== action.payload.id);
+      });
+
+    // Composer Drafts
+    builder
+      .addCase(fetchDrafts.fulfilled, (state, action) => {
+        state.drafts = {};
+        (action.payload || []).forEach((draft) => {
+          state.drafts[draft.chatId] = draft;
+        });
+      })
+      .addCase(loadChatDraft.fulfilled, (state, action) => {
+        setChatDraft(state, action.payload);
+      })
+      .addCase(saveChatDraft.fulfilled, (state, action) => {
+        setChatDraft(state, action.payload);
+      });
+
     // Fetch Chat Notes
     builder
       .addCase(fetchChatNotes.pending, (state) => {
@@ -1806,9 +2346,16 @@ const inboxSlice = createSlice({
       })
       .addCase(addChatNote.fulfilled, (state, action) => {
         state.addNoteStatus = 'succeeded';
-        const data = action.payload.data || action.payload;
-        if (data.note) {
-          state.notes.unshift(data.note);
+        const { tempId, response } = action.payload;
+        const data = response?.data || response;
+        if (data?.note) {
+          // Replace the optimistic note added by the thunk
+          const index = state.notes.findIndex(note => note._id === tempId);
+          if (index !== -1) {
+            state.notes[index] = data.note;
+          } else {
+            state.notes.unshift(data.note);
+          }
         }
       })
       .addCase(addChatNote.rejected, (state, action) => {
@@ -1839,34 +2386,8 @@ const inboxSlice = createSlice({
       })
       .addCase(sendMessageReaction.fulfilled, (state, action) => {
         state.reactionStatus = 'succeeded';
-        const { chatId, messageId, emoji } = action.payload;
         // Update reaction in current conversation
-        if (state.currentConversation && state.currentConversation._id === chatId) {
-          const messageIndex = state.currentConversation.messages?.findIndex(
-            m => m._id === messageId || m.wamid === messageId
-          );
-          if (messageIndex !== -1 && messageIndex !== undefined) {
-            const msg = state.currentConversation.messages[messageIndex];
-            // Update singular reaction field (for compatibility)
-            msg.reaction = { emoji };
-            // Also update reactions array for immediate UI rendering
-            if (!msg.reactions) {
-              msg.reactions = [];
-            }
-            // Find existing reaction from 'me' (local user)
-            const existingIdx = msg.reactions.findIndex(r => r.sentBy === 'me');
-            if (emoji === '') {
-              // Unreact
-              if (existingIdx !== -1) {
-                msg.reactions.splice(existingIdx, 1);
-              }
-            } else if (existingIdx !== -1) {
-              msg.reactions[existingIdx] = { emoji, sentBy: 'me' };
-            } else {
-              msg.reactions.push({ emoji, sentBy: 'me' });
-            }
-          }
-        }
+        setOwnReaction(state, action.payload);
       })
       .addCase(sendMessageReaction.rejected, (state, action) => {
         state.reactionStatus = 'failed';
@@ -1949,6 +2470,27 @@ const inboxSlice = createSlice({
         state.isSearchActive = true;
       })
 
+    // Search Message Content (Local Cache) — global results only; in-chat search is screen-local
+    builder
+      .addCase(searchMessagesWithCache.pending, (state, action) => {
+        if (action.meta.arg?.chatId) return;
+        state.messageSearchStatus = 'loading';
+      })
+      .addCase(searchMessagesWithCache.fulfilled, (state, action) => {
+        if (action.meta.arg?.chatId) return;
+        const { messages, offset, hasMore } = action.payload;
+        state.messageSearchResults = offset > 0
+          ? [...state.messageSearchResults, ...(messages || [])]
+          : (messages || []);
+        state.messageSearchHasMore = hasMore;
+        state.messageSearchStatus = 'succeeded';
+      })
+      .addCase(searchMessagesWithCache.rejected, (state, action) => {
+        if (action.meta.arg?.chatId) return;
+        state.messageSearchStatus = 'failed';
+        state.messageSearchResults = [];
+      });
+
     // Sync missed messages — replace conversation with authoritative API data
     builder
       .addCase(syncMissedMessages.fulfilled, (state, action) => {
@@ -2064,6 +2606,10 @@ export const {
   setNotes,
   addNoteToList,
   removeNoteFromList,
+  replaceNoteInList,
+  restoreNoteInList,
+  applyChatFieldUpdates,
+  applyOwnReaction,
   setTeamMembers,
   updateMessageReaction,
   clearReactionBlast,
@@ -2075,6 +2621,9 @@ export const {
   markOptimisticMessageFailed,
   markOptimisticMessageQueued,
   updateQueuedMessageStatus,
+  // Scheduled messages (used by the scheduler)
+  scheduledMessageUpdated,
+  scheduledMessageRemoved,
   // Clear current conversation (for navigation)
   clearCurrentConversation,
   // Clear inbox data (for account switching)
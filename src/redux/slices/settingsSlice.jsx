@@ -1,6 +1,6 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { callApi, endpoints, httpMethods } from '../../utils/axios';
-import { fetchOptInManagementWithCache, fetchInboxSettingsWithCache, fetchTagsWithCache, fetchUserAttributesWithCache, fetchQuickRepliesWithCache, fetchChatStatusRulesWithCache, fetchChatTeamMembersWithCache, fetchTimezoneWithCache } from '../cacheThunks';
+import { fetchOptInManagementWithCache, fetchInboxSettingsWithCache, fetchTagsWithCache, fetchUserAttributesWithCache, fetchQuickRepliesWithCache, fetchChatStatusRulesWithCache, fetchChatTeamMembersWithCache, fetchSlaWithCache, fetchTimezoneWithCache } from '../cacheThunks';
 
 // Async thunks
 export const getSettings = createAsyncThunk(
@@ -601,6 +601,14 @@ const settingsSlice = createSlice({
         state.getSettingsError = action.payload;
       });
 
+    // Fetch SLA With Cache — loaded in the background by the inbox, so it
+    // leaves getSettingsStatus alone
+    builder
+      .addCase(fetchSlaWithCache.fulfilled, (state, action) => {
+        const data = action.payload?.data || action.payload;
+        if (data) state.settings.sla = data;
+      });
+
     // Reset state on logout (using string type to avoid circular imports)
     builder
       .addCase('user/logout/fulfilled', () => initialState)
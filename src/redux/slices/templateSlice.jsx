@@ -1,6 +1,7 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { callApi, endpoints, httpMethods } from '../../utils/axios';
 import { fetchTemplatesWithCache, fetchTemplateStatsWithCache } from '../cacheThunks';
+import { cacheManager } from '../../database/CacheManager';
 
 // Async thunks
 export const fetchAllTemplates = createAsyncThunk(
@@ -73,6 +74,60 @@ export const fetchTemplateStats = createAsyncThunk(
   }
 );
 
+export const createTemplate = createAsyncThunk(
+  'template/createTemplate',
+  async (templateData, { rejectWithValue }) => {
+    try {
+      const response = await callApi(endpoints.template.createTemplate, httpMethods.POST, templateData);
+
+      if (response.status === 'error') {
+        return rejectWithValue(response.message || 'Failed to create template');
+      }
+      return response;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const syncTemplates = createAsyncThunk(
+  'template/syncTemplates',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await callApi(endpoints.template.syncTemplates, httpMethods.POST);
+
+      if (response.status === 'error') {
+        return rejectWithValue(response.message || 'Failed to sync templates');
+      }
+      return response;
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+export const deleteTemplate = createAsyncThunk(
+  'template/deleteTemplate',
+  async (templateId, { rejectWithValue }) => {
+    try {
+      const response = await callApi(`${endpoints.template.deleteTemplate}/${templateId}`, httpMethods.DELETE);
+
+      if (response.status === 'error') {
+        return rejectWithValue(response.message || 'Failed to delete template');
+      }
+
+      try {
+        await cacheManager.deleteTemplate(templateId);
+      } catch (cacheError) {
+        // Non-critical — next refresh replaces the cached bucket
+      }
+      return { templateId };
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
 // Initial state
 const initialState = {
   templates: [],
@@ -80,6 +135,9 @@ const initialState = {
   templatesStatus: 'idle',
   templateByIdStatus: 'idle',
   statsStatus: 'idle',
+  createTemplateStatus: 'idle',
+  syncTemplatesStatus: 'idle',
+  deleteTemplateStatus: 'idle',
   templatesError: null,
   templateByIdError: null,
   statsError: null,
@@ -254,6 +312,56 @@ const templateSlice = createSlice({
         state.statsStatus = 'failed';
         state.statsError = action.payload;
       });
+
+    // Create Template
+    builder
+      .addCase(createTemplate.pending, (state) => {
+        state.createTemplateStatus = 'loading';
+      })
+      .addCase(createTemplate.fulfilled, (state, action) => {
+        state.createTemplateStatus = 'succeeded';
+        const created = action.payload.data || action.payload;
+        if (created?._id && !state.templates.some((template) => template._id === created._id)) {
+          state.templates = [created, ...state.templates];
+          state.totalSearchResult += 1;
+        }
+      })
+      .addCase(createTemplate.rejected, (state) => {
+        state.createTemplateStatus = 'failed';
+      });
+
+    // Sync Templates from Meta
+    builder
+      .addCase(syncTemplates.pending, (state) => {
+        state.syncTemplatesStatus = 'loading';
+      })
+      .addCase(syncTemplates.fulfilled, (state) => {
+        state.syncTemplatesStatus = 'succeeded';
+      })
+      .addCase(syncTemplates.rejected, (state) => {
+        state.syncTemplatesStatus = 'failed';
+      });
+
+    // Delete Template
+    builder
+      .addCase(deleteTemplate.pending, (state) => {
+        state.deleteTemplateStatus = 'loading';
+      })
+      .addCase(deleteTemplate.fulfilled, (state, action) => {
+        state.deleteTemplateStatus = 'succeeded';
+        const { templateId } = action.payload;
+        const before = state.templates.length;
+        state.templates = state.templates.filter((template) => template._id !== templateId);
+        if (state.templates.length < before) {
+          state.totalSearchResult = Math.max(0, state.totalSearchResult - 1);
+        }
+        if (state.selectedTemplate?._id === templateId) {
+          state.selectedTemplate = null;
+        }
+      })
+      .addCase(deleteTemplate.rejected, (state) => {
+        state.deleteTemplateStatus = 'failed';
+      });
   },
 });
 
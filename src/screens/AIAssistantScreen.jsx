@@ -8,18 +8,35 @@ import {
   ScrollView,
   Platform,
   Dimensions,
+  TextInput as RNTextInput,
 } from 'react-native';
-import { Text, Searchbar, ActivityIndicator } from 'react-native-paper';
+import { Text, Searchbar, ActivityIndicator, FAB } from 'react-native-paper';
 import Modal from 'react-native-modal';
 import { useDispatch, useSelector } from 'react-redux';
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
-import { getAssistants, getAssistant } from '../redux/slices/assistantSlice';
+import {
+  getAssistants,
+  getAssistant,
+  toggleAssistantStatus,
+  renameAssistant,
+  deleteAssistant,
+} from '../redux/slices/assistantSlice';
 import { fetchAssistantsWithCache, fetchAssistantStatsWithCache } from '../redux/cacheThunks';
 import { cacheManager } from '../database/CacheManager';
 import { useFocusEffect } from '@react-navigation/native';
 import { useNetwork } from '../contexts/NetworkContext';
 import { colors } from '../theme/colors';
 import ShadowCard from '../components/common/ShadowCard';
+import CustomDialog from '../components/common/CustomDialog';
+import AssistantFormSheet from '../components/assistant/AssistantFormSheet';
+import { showError, showSuccess } from '../utils/toast';
+import {
+  ASSISTANT_STATUS,
+  MAX_ASSISTANT_NAME_LENGTH,
+  applyAssistantChange,
+  adjustAssistantStats,
+  validateAssistantName,
+} from '../utils/assistantHelpers';
 import { format, formatDistanceToNow } from 'date-fns';
 
 const { height: SCREEN_HEIGHT } = Dimensions.get('window');
@@ -151,6 +168,14 @@ export default function AIAssistantScreen() {
   const [totalCount, setTotalCount] = useState(0);
   const [isFilterLoading, setIsFilterLoading] = useState(false);
 
+  // Management state (create/edit sheet, rename and delete dialogs)
+  const [formSheet, setFormSheet] = useState({ visible: false, assistant: null });
+  const [renameTarget, setRenameTarget] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [renameError, setRenameError] = useState('');
+  const [assistantToDelete, setAssistantToDelete] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+
   // Refs for coordinating cache/network state
   const initialLoadDone = useRef(false);
   const isLoadingRef = useRef(false);
@@ -160,6 +185,7 @@ export default function AIAssistantScreen() {
   const searchDebounceRef = useRef(null);
   const currentPageRef = useRef(0);
   const isFirstFocus = useRef(true);
+  const queuedActionRef = useRef(null);
 
   // Redux selectors — only for detail view
   const { selectedAssistant, assistantStatus, assistantsStatus } = useSelector((state) => state.assistant);
@@ -506,6 +532,110 @@ export default function AIAssistantScreen() {
     setDetailsVisible(true);
   };
 
+  // ── LOCAL UPDATE: Reflect a create/edit/status/delete in the visible list, base list and stats ──
+  const applyLocalChange = useCallback((previous, next) => {
+    const { assistants, delta } = applyAssistantChange(localAssistants, previous, next, selectedStatus);
+    setLocalAssistants(assistants);
+    setTotalCount((count) => Math.max(0, count + delta));
+    cachedBaseAssistants.current = applyAssistantChange(cachedBaseAssistants.current, previous, next).assistants;
+    setLocalStats((stats) => adjustAssistantStats(stats, previous, next));
+  }, [localAssistants, selectedStatus]);
+
+  const requireOnline = (action) => {
+    if (!isOffline) return true;
+    showError(`Connect to the internet to ${action}`, "You're Offline");
+    return false;
+  };
+
+  // Edit, rename and delete open their own modal once the details sheet has closed
+  const queueAfterDetails = (action) => {
+    queuedActionRef.current = action;
+    setDetailsVisible(false);
+  };
+
+  const handleDetailsHidden = () => {
+    const action = queuedActionRef.current;
+    queuedActionRef.current = null;
+    if (!action) return;
+
+    if (action.type === 'edit') {
+      setFormSheet({ visible: true, assistant: action.assistant });
+    } else if (action.type === 'rename') {
+      setRenameValue(action.assistant.name || '');
+      setRenameError('');
+      setRenameTarget(action.assistant);
+    } else if (action.type === 'delete') {
+      setAssistantToDelete(action.assistant);
+    }
+  };
+
+  const openCreateSheet = () => {
+    if (!requireOnline('create assistants')) return;
+    setFormSheet({ visible: true, assistant: null });
+  };
+
+  const handleFormSaved = ({ previous, assistant }) => {
+    applyLocalChange(previous, assistant);
+  };
+
+  const handleToggleStatus = async () => {
+    if (!selectedAssistant || pendingAction || !requireOnline('change assistant status')) return;
+    const status = selectedAssistant.status === ASSISTANT_STATUS.ACTIVE ? ASSISTANT_STATUS.INACTIVE : ASSISTANT_STATUS.ACTIVE;
+
+    setPendingAction('status');
+    try {
+      const result = await dispatch(toggleAssistantStatus({ assistant: selectedAssistant, status })).unwrap();
+      applyLocalChange(result.previous, result.assistant);
+      showSuccess(status === ASSISTANT_STATUS.ACTIVE ? 'Assistant activated' : 'Assistant deactivated');
+    } catch (error) {
+      showError(error || 'Failed to update assistant status');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleRename = async () => {
+    if (!renameTarget || !requireOnline('rename assistants')) return;
+    const name = renameValue.trim();
+    const validationError = validateAssistantName(name);
+    if (validationError) {
+      setRenameError(validationError);
+      return;
+    }
+    if (name === renameTarget.name) {
+      setRenameTarget(null);
+      return;
+    }
+
+    setPendingAction('rename');
+    try {
+      const result = await dispatch(renameAssistant({ assistant: renameTarget, name })).unwrap();
+      applyLocalChange(result.previous, result.assistant);
+      setRenameTarget(null);
+      showSuccess('Assistant renamed');
+    } catch (error) {
+      setRenameError(error || 'Failed to rename assistant');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!assistantToDelete || !requireOnline('delete assistants')) return;
+
+    setPendingAction('delete');
+    try {
+      await dispatch(deleteAssistant(assistantToDelete)).unwrap();
+      applyLocalChange(assistantToDelete, null);
+      showSuccess(`${assistantToDelete.name || 'Assistant'} deleted`);
+      setAssistantToDelete(null);
+    } catch (error) {
+      showError(error || 'Failed to delete assistant');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
   // Format date helper
   const formatDate = (dateString) => {
     if (!dateString) return null;
@@ -670,6 +800,9 @@ export default function AIAssistantScreen() {
     const provider = getProviderConfig(selectedAssistant.modelProvider);
     const statusConfig = STATUS_CONFIG[selectedAssistant.status] || STATUS_CONFIG.inactive;
     const createdBy = selectedAssistant.createdBy?.name || selectedAssistant.createdBy?.email || 'Unknown';
+    const toggleConfig = selectedAssistant.status === ASSISTANT_STATUS.ACTIVE
+      ? { label: 'Deactivate', icon: 'pause-circle-outline', color: STATUS_CONFIG.inactive.color }
+      : { label: 'Activate', icon: 'play-circle-outline', color: STATUS_CONFIG.active.color };
 
     return (
       <Modal
@@ -685,6 +818,7 @@ export default function AIAssistantScreen() {
         backdropOpacity={0.5}
         animationIn="slideInUp"
         animationOut="slideOutDown"
+        onModalHide={handleDetailsHidden}
       >
         <View style={styles.bottomSheetContainer}>
           {/* Handle Bar */}
@@ -743,6 +877,50 @@ export default function AIAssistantScreen() {
                 )}
               </View>
 
+              {/* Actions */}
+              <View style={styles.sheetActionsRow}>
+                <TouchableOpacity
+                  style={[styles.sheetActionButton, { backgroundColor: toggleConfig.color + '12' }]}
+                  onPress={handleToggleStatus}
+                  disabled={!!pendingAction}
+                  activeOpacity={0.7}
+                >
+                  {pendingAction === 'status' ? (
+                    <ActivityIndicator size={18} color={toggleConfig.color} />
+                  ) : (
+                    <Icon name={toggleConfig.icon} size={20} color={toggleConfig.color} />
+                  )}
+                  <Text style={[styles.sheetActionText, { color: toggleConfig.color }]}>{toggleConfig.label}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.sheetActionButton}
+                  onPress={() => requireOnline('edit assistants') && queueAfterDetails({ type: 'edit', assistant: selectedAssistant })}
+                  disabled={!!pendingAction}
+                  activeOpacity={0.7}
+                >
+                  <Icon name="pencil-outline" size={20} color={colors.primary.main} />
+                  <Text style={[styles.sheetActionText, { color: colors.primary.main }]}>Edit</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.sheetActionButton}
+                  onPress={() => requireOnline('rename assistants') && queueAfterDetails({ type: 'rename', assistant: selectedAssistant })}
+                  disabled={!!pendingAction}
+                  activeOpacity={0.7}
+                >
+                  <Icon name="form-textbox" size={20} color={colors.info.main} />
+                  <Text style={[styles.sheetActionText, { color: colors.info.main }]}>Rename</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.sheetActionButton, { backgroundColor: colors.error.main + '12' }]}
+                  onPress={() => requireOnline('delete assistants') && queueAfterDetails({ type: 'delete', assistant: selectedAssistant })}
+                  disabled={!!pendingAction}
+                  activeOpacity={0.7}
+                >
+                  <Icon name="trash-can-outline" size={20} color={colors.error.main} />
+                  <Text style={[styles.sheetActionText, { color: colors.error.main }]}>Delete</Text>
+                </TouchableOpacity>
+              </View>
+
               <ScrollView
                 ref={scrollViewRef}
                 style={styles.sheetScrollContent}
@@ -956,7 +1134,7 @@ export default function AIAssistantScreen() {
             ? 'Try adjusting your search criteria'
             : selectedStatus !== 'all'
             ? `No ${selectedStatus} assistants found`
-            : 'Create AI assistants from the web dashboard to manage your conversations'}
+            : 'Tap New Assistant to create one for your conversations'}
         </Text>
       </View>
     );
@@ -1076,6 +1254,63 @@ export default function AIAssistantScreen() {
         />
       )}
       {renderDetailsBottomSheet()}
+
+      <FAB
+        icon="plus"
+        label="New Assistant"
+        style={styles.fab}
+        onPress={openCreateSheet}
+        color={colors.common.white}
+      />
+
+      <AssistantFormSheet
+        visible={formSheet.visible}
+        assistant={formSheet.assistant}
+        onClose={() => setFormSheet((prev) => ({ ...prev, visible: false }))}
+        onSaved={handleFormSaved}
+      />
+
+      <CustomDialog
+        visible={!!renameTarget}
+        onDismiss={() => pendingAction !== 'rename' && setRenameTarget(null)}
+        title="Rename Assistant"
+        icon="form-textbox"
+        iconColor={colors.info.main}
+        actions={[
+          { label: 'Cancel', onPress: () => setRenameTarget(null), disabled: pendingAction === 'rename' },
+          { label: 'Rename', onPress: handleRename, primary: true, loading: pendingAction === 'rename' },
+        ]}
+      >
+        <View style={styles.renameField}>
+          <RNTextInput
+            value={renameValue}
+            onChangeText={(text) => {
+              setRenameValue(text);
+              setRenameError('');
+            }}
+            placeholder="Assistant name"
+            placeholderTextColor={colors.text.tertiary}
+            maxLength={MAX_ASSISTANT_NAME_LENGTH}
+            style={[styles.renameInput, renameError && styles.renameInputError]}
+            editable={pendingAction !== 'rename'}
+            autoFocus
+          />
+          {renameError ? <Text style={styles.renameErrorText}>{renameError}</Text> : null}
+        </View>
+      </CustomDialog>
+
+      <CustomDialog
+        visible={!!assistantToDelete}
+        onDismiss={() => pendingAction !== 'delete' && setAssistantToDelete(null)}
+        title="Delete Assistant"
+        message={`Delete "${assistantToDelete?.name || 'this assistant'}"? Chats using it will stop getting AI replies. This cannot be undone.`}
+        icon="trash-can-outline"
+        iconColor={colors.error.main}
+        actions={[
+          { label: 'Cancel', onPress: () => setAssistantToDelete(null), disabled: pendingAction === 'delete' },
+          { label: 'Delete', onPress: handleDelete, destructive: true, loading: pendingAction === 'delete' },
+        ]}
+      />
     </View>
   );
 }
@@ -1085,6 +1320,35 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: colors.background.neutral,
   },
+  fab: {
+    position: 'absolute',
+    right: 16,
+    bottom: 24,
+    backgroundColor: colors.primary.main,
+  },
+
+  // Rename Dialog
+  renameField: {
+    alignSelf: 'stretch',
+    marginBottom: 16,
+  },
+  renameInput: {
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 12,
+    fontSize: 15,
+    color: colors.text.primary,
+  },
+  renameInputError: {
+    borderColor: colors.error.main,
+  },
+  renameErrorText: {
+    fontSize: 13,
+    color: colors.error.main,
+    marginTop: 6,
+  },
   scrollContent: {
     paddingBottom: 80,
   },
@@ -1517,6 +1781,27 @@ const styles = StyleSheet.create({
     color: '#F59E0B',
   },
 
+  // Sheet Actions
+  sheetActionsRow: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    gap: 8,
+    marginBottom: 16,
+  },
+  sheetActionButton: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 10,
+    borderRadius: 12,
+    backgroundColor: colors.grey[100],
+    gap: 4,
+  },
+  sheetActionText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+
   // Sheet Scroll Content
   sheetScrollContent: {
     flexGrow: 1,
@@ -0,0 +1,494 @@
+import React, { useEffect, useState, useMemo, useCallback } from 'react';
+import { View, StyleSheet, FlatList, RefreshControl } from 'react-native';
+import { Text, ActivityIndicator, Surface, Chip, Searchbar, Button } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { useDispatch, useSelector } from 'react-redux';
+import { format } from 'date-fns';
+import { resendBroadcast } from '../redux/slices/broadcastSlice';
+import { fetchBroadcastReportWithCache } from '../redux/cacheThunks';
+import { CustomDialog } from '../components/common';
+import { useNetwork } from '../contexts/NetworkContext';
+import { buildCsv, shareCsvFile } from '../services/csvService';
+import { getDeliveryFunnel } from '../utils/broadcastHelpers';
+import { colors } from '../theme/colors';
+import { showSuccess, showError, showWarning } from '../utils/toast';
+
+const STATUS_CONFIG = {
+  sent: { label: 'Sent', icon: 'check', color: colors.info.main },
+  delivered: { label: 'Delivered', icon: 'check-all', color: colors.primary.main },
+  read: { label: 'Read', icon: 'eye-outline', color: colors.success.main },
+  failed: { label: 'Failed', icon: 'alert-circle-outline', color: colors.error.main },
+  pending: { label: 'Pending', icon: 'clock-outline', color: colors.grey[500] },
+};
+
+const FUNNEL_STEPS = ['sent', 'delivered', 'read', 'failed'];
+
+const FILTERS = ['all', 'sent', 'delivered', 'read', 'failed', 'pending'];
+
+const CSV_COLUMNS = [
+  { key: 'name', label: 'Name' },
+  { key: 'mobile', label: 'Mobile' },
+  { key: 'status', label: 'Status' },
+  { key: 'failureReason', label: 'Failure Reason' },
+  { key: 'sentAt', label: 'Sent At' },
+  { key: 'deliveredAt', label: 'Delivered At' },
+  { key: 'readAt', label: 'Read At' },
+  { key: 'failedAt', label: 'Failed At' },
+];
+
+const formatTime = (time) => (time ? format(new Date(time), 'dd MMM yyyy, h:mm a') : '');
+
+export default function BroadcastDetailScreen({ route }) {
+  const dispatch = useDispatch();
+  const { isOffline } = useNetwork();
+  const { broadcastId, broadcast: initialBroadcast } = route.params || {};
+
+  const [filter, setFilter] = useState('all');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [showResendDialog, setShowResendDialog] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const { report, reportStatus, reportError, resendBroadcastStatus } = useSelector((state) => state.broadcast);
+
+  const currentReport = report?.broadcastId === broadcastId ? report : null;
+  const broadcast = useMemo(
+    () => ({ ...initialBroadcast, ...currentReport?.broadcast }),
+    [initialBroadcast, currentReport]
+  );
+  const recipients = useMemo(() => currentReport?.recipients || [], [currentReport]);
+  const isLoading = reportStatus === 'loading' && !currentReport;
+  const isRefreshing = reportStatus === 'loading' && !!currentReport;
+  const isResending = resendBroadcastStatus === 'loading';
+
+  const loadReport = useCallback((forceRefresh = false) => {
+    if (!broadcastId) return;
+    dispatch(fetchBroadcastReportWithCache({ broadcastId, forceRefresh }));
+  }, [broadcastId]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const funnel = useMemo(() => getDeliveryFunnel(broadcast, recipients), [broadcast, recipients]);
+
+  const statusCounts = useMemo(() => {
+    const counts = { all: recipients.length };
+    recipients.forEach((recipient) => {
+      counts[recipient.status] = (counts[recipient.status] || 0) + 1;
+    });
+    return counts;
+  }, [recipients]);
+
+  const filteredRecipients = useMemo(() => {
+    const query = searchQuery.trim().toLowerCase();
+    return recipients.filter((recipient) => {
+      if (filter !== 'all' && recipient.status !== filter) return false;
+      if (!query) return true;
+      return recipient.name.toLowerCase().includes(query) || recipient.mobile.includes(query);
+    });
+  }, [recipients, filter, searchQuery]);
+
+  const handleResend = async () => {
+    setShowResendDialog(false);
+    try {
+      await dispatch(resendBroadcast(broadcastId)).unwrap();
+      showSuccess(`Resending to ${funnel.failed} failed recipients`, 'Broadcast Resent');
+      loadReport(true);
+    } catch (error) {
+      showError(typeof error === 'string' ? error : 'Failed to resend broadcast');
+    }
+  };
+
+  const handleExport = async () => {
+    if (recipients.length === 0) {
+      showWarning('There are no recipients to export yet');
+      return;
+    }
+
+    setIsExporting(true);
+    try {
+      const rows = filteredRecipients.map((recipient) => ({
+        ...recipient,
+        status: STATUS_CONFIG[recipient.status]?.label || recipient.status,
+        sentAt: formatTime(recipient.sentAt),
+        deliveredAt: formatTime(recipient.deliveredAt),
+        readAt: formatTime(recipient.readAt),
+        failedAt: formatTime(recipient.failedAt),
+      }));
+      const suffix = filter === 'all' ? 'report' : filter;
+      await shareCsvFile(`${broadcast.name || 'broadcast'}_${suffix}`, buildCsv(CSV_COLUMNS, rows), 'Export Broadcast Report');
+    } catch (error) {
+      showError(error.message || 'Failed to export report');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const renderFunnel = () => (
+    <Surface style={styles.section}>
+      <Text variant="titleMedium" style={styles.sectionTitle}>
+        Delivery
+      </Text>
+      {FUNNEL_STEPS.map((step) => {
+        const config = STATUS_CONFIG[step];
+        const count = funnel[step] || 0;
+        const percent = funnel.total > 0 ? Math.round((count / funnel.total) * 100) : 0;
+        return (
+          <View key={step} style={styles.funnelRow}>
+            <View style={styles.funnelLabelRow}>
+              <Icon name={config.icon} size={16} color={config.color} />
+              <Text style={styles.funnelLabel}>{config.label}</Text>
+              <Text style={styles.funnelCount}>
+                {count} <Text style={styles.funnelPercent}>({percent}%)</Text>
+              </Text>
+            </View>
+            <View style={styles.funnelTrack}>
+              <View style={[styles.funnelBar, { width: `${percent}%`, backgroundColor: config.color }]} />
+            </View>
+          </View>
+        );
+      })}
+    </Surface>
+  );
+
+  const renderHeader = () => (
+    <View>
+      <Surface style={styles.section}>
+        <View style={styles.titleRow}>
+          <Text variant="titleLarge" style={styles.broadcastName} numberOfLines={2}>
+            {broadcast.name || 'Broadcast'}
+          </Text>
+          {broadcast.status ? (
+            <Chip compact mode="flat" style={styles.statusChip} textStyle={styles.statusChipText}>
+              {broadcast.status}
+            </Chip>
+          ) : null}
+        </View>
+        {broadcast.templateName ? (
+          <Text style={styles.metaText}>Template: {broadcast.templateName}</Text>
+        ) : null}
+        <Text style={styles.metaText}>Recipients: {funnel.total}</Text>
+        {broadcast.createdAt ? (
+          <Text style={styles.metaText}>Created: {formatTime(broadcast.createdAt)}</Text>
+        ) : null}
+        {broadcast.scheduledAt ? (
+          <Text style={styles.metaText}>Scheduled: {formatTime(broadcast.scheduledAt)}</Text>
+        ) : null}
+        {currentReport?.fromCache && currentReport.updatedAt ? (
+          <View style={styles.cachedNote}>
+            <Icon name="cloud-off-outline" size={14} color={colors.text.secondary} />
+            <Text style={styles.cachedText}>Saved report from {formatTime(currentReport.updatedAt)}</Text>
+          </View>
+        ) : null}
+      </Surface>
+
+      {renderFunnel()}
+
+      <View style={styles.actionsRow}>
+        <Button
+          mode="outlined"
+          icon="refresh"
+          onPress={() => setShowResendDialog(true)}
+          disabled={funnel.failed === 0 || isOffline || isResending}
+          loading={isResending}
+          style={styles.actionButton}
+        >
+          Resend to failed
+        </Button>
+        <Button
+          mode="contained"
+          icon="file-export-outline"
+          onPress={handleExport}
+          disabled={isExporting || recipients.length === 0}
+          loading={isExporting}
+          style={[styles.actionButton, styles.exportButton]}
+        >
+          Export CSV
+        </Button>
+      </View>
+
+      <Searchbar
+        placeholder="Search name or number"
+        onChangeText={setSearchQuery}
+        value={searchQuery}
+        style={styles.searchbar}
+        inputStyle={styles.searchInput}
+      />
+      <View style={styles.filterRow}>
+        {FILTERS.filter((key) => key === 'all' || statusCounts[key]).map((key) => (
+          <Chip
+            key={key}
+            compact
+            selected={filter === key}
+            onPress={() => setFilter(key)}
+            style={[styles.filterChip, filter === key && styles.filterChipSelected]}
+          >
+            {key === 'all' ? 'All' : STATUS_CONFIG[key].label} ({statusCounts[key] || 0})
+          </Chip>
+        ))}
+      </View>
+    </View>
+  );
+
+  const renderRecipient = ({ item }) => {
+    const config = STATUS_CONFIG[item.status] || STATUS_CONFIG.pending;
+    const lastEventTime = item.failedAt || item.readAt || item.deliveredAt || item.sentAt;
+
+    return (
+      <View style={styles.recipientRow}>
+        <View style={styles.recipientInfo}>
+          <Text style={styles.recipientName} numberOfLines={1}>
+            {item.name || item.mobile}
+          </Text>
+          {item.name ? <Text style={styles.recipientMobile}>{item.mobile}</Text> : null}
+          {item.status === 'failed' && item.failureReason ? (
+            <Text style={styles.failureReason}>{item.failureReason}</Text>
+          ) : null}
+        </View>
+        <View style={styles.recipientStatus}>
+          <View style={styles.statusBadge}>
+            <Icon name={config.icon} size={14} color={config.color} />
+            <Text style={[styles.statusText, { color: config.color }]}>{config.label}</Text>
+          </View>
+          {lastEventTime ? <Text style={styles.eventTime}>{formatTime(lastEventTime)}</Text> : null}
+        </View>
+      </View>
+    );
+  };
+
+  const renderEmpty = () => {
+    if (isLoading) {
+      return (
+        <View style={styles.emptyContainer}>
+          <ActivityIndicator size="large" color={colors.primary.main} />
+          <Text variant="bodyMedium" style={styles.emptyText}>Loading report...</Text>
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.emptyContainer}>
+        <Text variant="bodyMedium" style={styles.emptyText}>
+          {reportError && !currentReport
+            ? reportError
+            : recipients.length === 0
+              ? 'No delivery data yet'
+              : 'No recipients match this filter'}
+        </Text>
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      <FlatList
+        data={filteredRecipients}
+        renderItem={renderRecipient}
+        keyExtractor={(item, index) => `${item.id || item.mobile}_${index}`}
+        contentContainerStyle={styles.listContent}
+        ListHeaderComponent={renderHeader()}
+        ListEmptyComponent={renderEmpty}
+        refreshControl={<RefreshControl refreshing={isRefreshing} onRefresh={() => loadReport(true)} />}
+        keyboardShouldPersistTaps="handled"
+        initialNumToRender={20}
+      />
+
+      <CustomDialog
+        visible={showResendDialog}
+        onDismiss={() => setShowResendDialog(false)}
+        icon="refresh"
+        iconColor={colors.primary.main}
+        title="Resend to Failed"
+        message={`Send "${broadcast.name}" again to the ${funnel.failed} recipients it failed for?`}
+        actions={[
+          {
+            label: 'Cancel',
+            onPress: () => setShowResendDialog(false),
+          },
+          {
+            label: 'Resend',
+            onPress: handleResend,
+          },
+        ]}
+      />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background.neutral,
+  },
+  listContent: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  section: {
+    backgroundColor: colors.background.paper,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    elevation: 1,
+  },
+  sectionTitle: {
+    color: colors.text.primary,
+    fontWeight: '600',
+    marginBottom: 12,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  broadcastName: {
+    flex: 1,
+    color: colors.text.primary,
+    fontWeight: '700',
+    marginRight: 8,
+  },
+  statusChip: {
+    backgroundColor: colors.primary.lighter,
+  },
+  statusChipText: {
+    fontSize: 11,
+    textTransform: 'capitalize',
+  },
+  metaText: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginBottom: 2,
+  },
+  cachedNote: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 8,
+  },
+  cachedText: {
+    fontSize: 12,
+    color: colors.text.secondary,
+  },
+  funnelRow: {
+    marginBottom: 12,
+  },
+  funnelLabelRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 6,
+  },
+  funnelLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.text.primary,
+  },
+  funnelCount: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  funnelPercent: {
+    fontSize: 12,
+    fontWeight: '400',
+    color: colors.text.secondary,
+  },
+  funnelTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: colors.grey[200],
+    overflow: 'hidden',
+  },
+  funnelBar: {
+    height: 8,
+    borderRadius: 4,
+  },
+  actionsRow: {
+    flexDirection: 'row',
+    gap: 12,
+    marginBottom: 12,
+  },
+  actionButton: {
+    flex: 1,
+  },
+  exportButton: {
+    backgroundColor: colors.primary.main,
+  },
+  searchbar: {
+    backgroundColor: colors.background.paper,
+    elevation: 0,
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    borderRadius: 12,
+    marginBottom: 12,
+  },
+  searchInput: {
+    fontSize: 14,
+  },
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  filterChip: {
+    backgroundColor: colors.background.paper,
+  },
+  filterChipSelected: {
+    backgroundColor: colors.primary.lighter,
+  },
+  recipientRow: {
+    flexDirection: 'row',
+    padding: 12,
+    backgroundColor: colors.background.paper,
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  recipientInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  recipientName: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: colors.text.primary,
+  },
+  recipientMobile: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  failureReason: {
+    fontSize: 12,
+    color: colors.error.main,
+    marginTop: 4,
+  },
+  recipientStatus: {
+    alignItems: 'flex-end',
+  },
+  statusBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  statusText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  eventTime: {
+    fontSize: 11,
+    color: colors.text.secondary,
+    marginTop: 4,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    paddingVertical: 32,
+  },
+  emptyText: {
+    color: colors.text.secondary,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+});
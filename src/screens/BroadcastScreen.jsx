@@ -121,7 +121,10 @@ export default function BroadcastScreen({ navigation }) {
   );
 
   const renderBroadcastItem = ({ item }) => (
-    <Card style={styles.broadcastCard}>
+    <Card
+      style={styles.broadcastCard}
+      onPress={() => navigation.navigate('BroadcastDetail', { broadcastId: item._id, broadcast: item })}
+    >
       <Card.Content>
         <View style={styles.broadcastHeader}>
           <Text variant="titleMedium" style={styles.broadcastName} numberOfLines={1}>
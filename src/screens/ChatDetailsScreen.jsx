@@ -1,10 +1,10 @@
 import React, { useEffect, useState, useRef, useCallback, useMemo } from 'react';
-import { View, StyleSheet, FlatList, KeyboardAvoidingView, Platform, StatusBar, TouchableOpacity, Modal, ScrollView, ImageBackground, Clipboard } from 'react-native';
+import { View, StyleSheet, FlatList, KeyboardAvoidingView, Platform, StatusBar, TouchableOpacity, Modal, ScrollView, ImageBackground, TextInput } from 'react-native';
 import { Text, ActivityIndicator } from 'react-native-paper';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { useDispatch, useSelector } from 'react-redux';
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
-import { showError, showSuccess, showWarning, showInfo, toastActions } from '../utils/toast';
+import { showError, showSuccess, showInfo, toastActions } from '../utils/toast';
 import {
   resetUnreadCount,
   updateContactChat,
@@ -18,16 +18,21 @@ import {
   markOptimisticMessageQueued,
   clearCurrentConversation,
   updateMessageMediaMeta,
+  sendMessageReaction,
+  fetchScheduledMessages,
+  scheduleMessage,
+  loadChatDraft,
+  saveChatDraft,
 } from '../redux/slices/inboxSlice';
-import { fetchConversationWithCache, fetchQuickRepliesWithCache, syncMissedMessages } from '../redux/cacheThunks';
+import { fetchConversationWithCache, fetchQuickRepliesWithCache, loadMoreMessagesWithCache, searchMessagesWithCache, syncMissedMessages } from '../redux/cacheThunks';
 import { fetchAllTemplates } from '../redux/slices/templateSlice';
 import { sendMessageViaSocket, resetUnreadCountViaSocket, sendTemplateViaSocket } from '../services/socketService';
-import { uploadFileWithProgress, validateFileSize } from '../services/fileUploadService';
+import { uploadFileWithProgress, validateFileSize, isFileAvailable } from '../services/fileUploadService';
 import { cacheManager } from '../database/CacheManager';
 import { playSentMessageSound } from '../services/notificationService';
 import useUploadState from '../hooks/useUploadState';
 import useMediaDownload from '../hooks/useMediaDownload';
-import { getMediaUrl } from '../utils/messageHelpers';
+import { getMediaUrl, getReplyContextId } from '../utils/messageHelpers';
 import { colors, chatColors, getAvatarColor } from '../theme/colors';
 import { useSocket } from '../contexts/SocketContext';
 import MessageBubble from '../components/chat/MessageBubble';
@@ -36,17 +41,28 @@ import ChatInput from '../components/chat/ChatInput';
 import AttachmentPicker from '../components/chat/AttachmentPicker';
 import DateSeparator from '../components/chat/DateSeparator';
 import ChatOptionsMenu from '../components/chat/ChatOptionsMenu';
+import MessageActionsMenu from '../components/chat/MessageActionsMenu';
+import ForwardMessageSheet from '../components/chat/ForwardMessageSheet';
 import ImageLightbox from '../components/chat/ImageLightbox';
 import VideoPlayerModal from '../components/chat/VideoPlayerModal';
 import ChatNotes from '../components/chat/ChatNotes';
 import EmojiBlast from '../components/chat/EmojiBlast';
 import UploadingMediaMessage from '../components/chat/messages/UploadingMediaMessage';
+import ScheduledMessageBubble from '../components/chat/ScheduledMessageBubble';
+import ScheduledMessageSheet from '../components/chat/ScheduledMessageSheet';
+import { formatScheduleTime } from '../components/chat/ScheduleTimePicker';
 
 // Chat wallpaper background image
 const chatWallpaper = require('../../assets/chat-wallpaper.png');
 
+// Composer drafts are written to SQLite this long after the last keystroke
+const DRAFT_SAVE_DELAY_MS = 500;
+
+// Id used to locate a search match in the message list
+const getMatchId = (match) => match?._id || match?.wamid;
+
 export default function ChatDetailsScreen({ route, navigation }) {
-  const { chatId, chat } = route.params;
+  const { chatId, chat, highlightMessageId } = route.params;
   const dispatch = useDispatch();
   const flatListRef = useRef(null);
   const prevChatIdRef = useRef(null);
@@ -63,6 +79,23 @@ export default function ChatDetailsScreen({ route, navigation }) {
   const [sharedContacts, setSharedContacts] = useState([]);
   const [showSharedContactSheet, setShowSharedContactSheet] = useState(false);
   const [blastEmoji, setBlastEmoji] = useState(null);
+  const [actionsMessage, setActionsMessage] = useState(null);
+  const [forwardingMessage, setForwardingMessage] = useState(null);
+  const [managedScheduledId, setManagedScheduledId] = useState(null);
+  // Message to bring into view once loaded (e.g. opened from a search result)
+  const [jumpTargetId, setJumpTargetId] = useState(highlightMessageId || null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  // Set once the jump has requested an older page, so a failed page ends the jump
+  const jumpPagedRef = useRef(false);
+  // In-conversation search (matches are newest first)
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+  const [searchText, setSearchText] = useState('');
+  const [searchMatches, setSearchMatches] = useState([]);
+  const [activeMatchIndex, setActiveMatchIndex] = useState(-1);
+  const [activeSearchQuery, setActiveSearchQuery] = useState('');
+  const [isSearchingMessages, setIsSearchingMessages] = useState(false);
+  const [isSearchingOlder, setIsSearchingOlder] = useState(false);
+  const searchRequestRef = useRef(0);
 
   // Upload state management for WhatsApp-style progress UI
   const {
@@ -96,6 +129,11 @@ export default function ChatDetailsScreen({ route, navigation }) {
     toggleAiAssistantStatus,
     chats: inboxChats,
     pendingReactionBlast,
+    messagesSkip,
+    hasMoreMessages,
+    isLoadingMoreMessages,
+    loadMoreMessagesError,
+    scheduledMessages,
   } = useSelector((state) => state.inbox);
 
   // Get templates from redux store
@@ -161,6 +199,9 @@ export default function ChatDetailsScreen({ route, navigation }) {
           });
       }
 
+      // Load messages scheduled from this chat (local only)
+      dispatch(fetchScheduledMessages(chatId));
+
       // Reset unread count
       dispatch(resetUnreadCount(chatId));
       resetUnreadCountViaSocket(chatId);
@@ -180,6 +221,81 @@ export default function ChatDetailsScreen({ route, navigation }) {
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [chatId, dispatch]);
 
+  // Composer draft (text, attachment, reply target): restored when the chat opens,
+  // saved shortly after each change and flushed when leaving the chat
+  const [restoredDraft, setRestoredDraft] = useState(null);
+  const composerDraftRef = useRef({ text: '', file: null, formatting: null });
+  const replyingToRef = useRef(null);
+  const draftLoadedRef = useRef(false);
+  const draftSaveTimerRef = useRef(null);
+  replyingToRef.current = replyingTo;
+
+  const saveDraftNow = useCallback((targetChatId) => {
+    if (draftSaveTimerRef.current) {
+      clearTimeout(draftSaveTimerRef.current);
+      draftSaveTimerRef.current = null;
+    }
+    // Nothing to save until the stored draft has been restored
+    if (!draftLoadedRef.current || !targetChatId) return;
+    dispatch(saveChatDraft({
+      chatId: targetChatId,
+      ...composerDraftRef.current,
+      replyTo: replyingToRef.current,
+    }));
+  }, [dispatch]);
+
+  const scheduleDraftSave = useCallback(() => {
+    if (!draftLoadedRef.current) return;
+    if (draftSaveTimerRef.current) {
+      clearTimeout(draftSaveTimerRef.current);
+    }
+    draftSaveTimerRef.current = setTimeout(() => saveDraftNow(chatId), DRAFT_SAVE_DELAY_MS);
+  }, [chatId, saveDraftNow]);
+
+  useEffect(() => {
+    if (!chatId) return undefined;
+    let cancelled = false;
+    draftLoadedRef.current = false;
+    setRestoredDraft(null);
+
+    dispatch(loadChatDraft(chatId)).then(async (result) => {
+      let draft = result.payload?.draft;
+      // Picked files live in the cache directory and may be gone after a restart
+      if (draft?.file && !(await isFileAvailable(draft.file.fileUrl))) {
+        draft = { ...draft, file: null };
+      }
+      if (cancelled) return;
+      if (draft) {
+        composerDraftRef.current = { text: draft.text, file: draft.file, formatting: draft.formatting };
+        setRestoredDraft(draft);
+        if (draft.replyTo) {
+          setReplyingTo(draft.replyTo);
+        }
+      }
+      draftLoadedRef.current = true;
+    });
+
+    return () => {
+      cancelled = true;
+      // Flush a pending save so the last keystrokes aren't lost
+      if (draftSaveTimerRef.current) {
+        saveDraftNow(chatId);
+      }
+      draftLoadedRef.current = false;
+    };
+  }, [chatId, dispatch, saveDraftNow]);
+
+  // Reply target is part of the draft
+  useEffect(() => {
+    scheduleDraftSave();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [replyingTo]);
+
+  const handleDraftChange = useCallback((composer) => {
+    composerDraftRef.current = composer;
+    scheduleDraftSave();
+  }, [scheduleDraftSave]);
+
   useEffect(() => {
     // With optimistic updates, we no longer need to refresh on success
     // The message is already in the UI and socket handlers update the status
@@ -285,11 +401,36 @@ export default function ChatDetailsScreen({ route, navigation }) {
   );
 
 
+  // Save a composed message to the local schedule instead of sending it now.
+  // The socket payload and optimistic message are stored without the tempId;
+  // the scheduler creates fresh ones when the message goes out.
+  const scheduleComposedMessage = useCallback(async ({ operation, messageType, socketData, optimisticMessage, scheduledAt }) => {
+    const { tempId: _socketTempId, ...payload } = socketData;
+    const { tempId: _tempId, _id, status, timestamp, createdAt, ...preview } = optimisticMessage;
+
+    try {
+      await dispatch(scheduleMessage({
+        chatId,
+        operation,
+        messageType,
+        payload,
+        preview,
+        scheduledAt,
+      })).unwrap();
+      setReplyingTo(null);
+      showSuccess(`Will send ${formatScheduleTime(scheduledAt)}`, 'Message scheduled');
+    } catch (error) {
+      showError(typeof error === 'string' ? error : 'Failed to schedule message');
+    }
+    setIsSending(false);
+  }, [chatId, dispatch]);
+
   const handleSendMessage = useCallback(async (messageData) => {
     // Handle both string (old) and object (new) message format
     const text = typeof messageData === 'string' ? messageData : messageData?.text;
     const file = typeof messageData === 'object' ? messageData?.file : null;
-    const replyTo = typeof messageData === 'object' ? messageData?.replyTo : replyingTo?.wamid;
+    const replyTo = typeof messageData === 'object' ? messageData?.replyTo : getReplyContextId(replyingTo);
+    const scheduledAt = typeof messageData === 'object' ? messageData?.scheduledAt : null;
 
     if ((!text?.trim() && !file) || isSending) {
       return;
@@ -418,6 +559,34 @@ export default function ChatDetailsScreen({ route, navigation }) {
         ...(replyTo && { replyToWamid: replyTo, context: { id: replyTo } }),
       };
 
+      const socketData = {
+        to: contactPhoneNumber,  // Backend expects 'to' field, not 'phoneNumber'
+        type: messageType,
+        chatId,
+        tempId, // Include tempId so server can echo it back
+        // For text messages, send message field; for media, send caption
+        ...(uploadedFileUrl
+          ? { caption: text?.trim() || '' }
+          : { message: text?.trim() || '' }
+        ),
+        ...(replyTo && { replyToWamid: replyTo }),  // Backend expects 'replyToWamid', not 'context'
+        ...(uploadedFileUrl && {
+          link: uploadedFileUrl,  // Backend expects 'link', not nested attachment.url
+          filename: uploadedFileName || file.fileName,
+        }),
+      };
+
+      if (scheduledAt) {
+        await scheduleComposedMessage({
+          operation: 'sendMessage',
+          messageType,
+          socketData,
+          optimisticMessage,
+          scheduledAt,
+        });
+        return;
+      }
+
       // Immediately add optimistic message to UI
       dispatch(addOptimisticMessage({
         chatId,
@@ -436,23 +605,6 @@ export default function ChatDetailsScreen({ route, navigation }) {
       // Clear reply state immediately for better UX
       setReplyingTo(null);
 
-      const socketData = {
-        to: contactPhoneNumber,  // Backend expects 'to' field, not 'phoneNumber'
-        type: messageType,
-        chatId,
-        tempId, // Include tempId so server can echo it back
-        // For text messages, send message field; for media, send caption
-        ...(uploadedFileUrl
-          ? { caption: text?.trim() || '' }
-          : { message: text?.trim() || '' }
-        ),
-        ...(replyTo && { replyToWamid: replyTo }),  // Backend expects 'replyToWamid', not 'context'
-        ...(uploadedFileUrl && {
-          link: uploadedFileUrl,  // Backend expects 'link', not nested attachment.url
-          filename: uploadedFileName || file.fileName,
-        }),
-      };
-
       const sent = sendMessageViaSocket(socketData);
 
       if (sent) {
@@ -495,7 +647,7 @@ export default function ChatDetailsScreen({ route, navigation }) {
       toastActions.messageFailed(error.message || 'Failed to send message. Please try again.');
       setIsSending(false);
     }
-  }, [chatId, contactPhoneNumber, isSending, replyingTo, dispatch, addUpload, updateProgress, completeUpload, failUpload, getAbortController]);
+  }, [chatId, contactPhoneNumber, isSending, replyingTo, dispatch, addUpload, updateProgress, completeUpload, failUpload, getAbortController, scheduleComposedMessage]);
 
   // Handle upload cancellation from UI
   const handleCancelUpload = useCallback((tempId) => {
@@ -613,6 +765,8 @@ export default function ChatDetailsScreen({ route, navigation }) {
     // Generate a unique temp ID for optimistic message
     const tempId = `temp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     const timestamp = new Date().toISOString();
+    const replyTo = getReplyContextId(replyingTo);
+    const { scheduledAt, ...templateFields } = templatePayload;
 
     // Extract values from the payload sent by ChatInput/TemplatePreviewDialog
     // The payload structure is: { templateName, languageCode, templateType, bodyParams, headerParams, row (actual template), media, fileName, fileUrl, mediaId }
@@ -660,20 +814,9 @@ export default function ChatDetailsScreen({ route, navigation }) {
           ...(templatePayload.carouselFileData?.[0]?.fileUrl && { link: templatePayload.carouselFileData[0].fileUrl }),
         },
         templateName: templateName,
-        ...(replyingTo && { replyToWamid: replyingTo.wamid, context: { id: replyingTo.wamid } }),
+        ...(replyTo && { replyToWamid: replyTo, context: { id: replyTo } }),
       };
 
-      // Add optimistic message to UI
-      dispatch(addOptimisticMessage({
-        chatId,
-        message: carouselOptimisticMessage,
-      }));
-
-      // Save optimistic message to SQLite cache for persistence across navigation
-      try { await cacheManager.addMessage(carouselOptimisticMessage, chatId); } catch (e) {}
-
-      setReplyingTo(null);
-
       // Build carousel socket payload EXACTLY like web app's handleSendTemplate:
       // dispatch({ type: 'socket/sendMessage', payload: {
       //   to, type: 'template', chatId, ...payload,
@@ -686,16 +829,38 @@ export default function ChatDetailsScreen({ route, navigation }) {
         type: 'template',
         chatId,
         // Spread ALL fields from templatePayload (like web app does with ...payload)
-        ...templatePayload,
+        ...templateFields,
         // Web app converts bodyParams/headerParams from objects to arrays
         bodyParams: Object.values(templatePayload.bodyParams || {}),
         headerParams: Object.values(templatePayload.headerParams || {}),
         // Web app uses 'filename' and 'link' (not fileName/fileUrl)
         filename: templatePayload.fileName || '',
         link: templatePayload.fileUrl || '',
-        ...(replyingTo && { replyToWamid: replyingTo.wamid }),
+        ...(replyTo && { replyToWamid: replyTo }),
       };
 
+      if (scheduledAt) {
+        await scheduleComposedMessage({
+          operation: 'sendMessage',
+          messageType: 'template',
+          socketData: carouselTemplateData,
+          optimisticMessage: carouselOptimisticMessage,
+          scheduledAt,
+        });
+        return;
+      }
+
+      // Add optimistic message to UI
+      dispatch(addOptimisticMessage({
+        chatId,
+        message: carouselOptimisticMessage,
+      }));
+
+      // Save optimistic message to SQLite cache for persistence across navigation
+      try { await cacheManager.addMessage(carouselOptimisticMessage, chatId); } catch (e) {}
+
+      setReplyingTo(null);
+
       // Use sendMessageViaSocket (no transformation) like web app does
       // Web app: socket.emit('sendMessage', action.payload) - direct, no transformation
       const sent = sendMessageViaSocket(carouselTemplateData);
@@ -786,21 +951,9 @@ export default function ChatDetailsScreen({ route, navigation }) {
         type: templateTypeUpper,
       },
       templateName: templateName,
-      ...(replyingTo && { replyToWamid: replyingTo.wamid, context: { id: replyingTo.wamid } }),
+      ...(replyTo && { replyToWamid: replyTo, context: { id: replyTo } }),
     };
 
-    // Immediately add optimistic message to UI
-    dispatch(addOptimisticMessage({
-      chatId,
-      message: optimisticMessage,
-    }));
-
-    // Save optimistic message to SQLite cache for persistence across navigation
-    try { await cacheManager.addMessage(optimisticMessage, chatId); } catch (e) {}
-
-    // Clear reply state immediately for better UX
-    setReplyingTo(null);
-
     // Build the socket payload
     const templateData = {
       to: contactPhoneNumber,
@@ -812,7 +965,7 @@ export default function ChatDetailsScreen({ route, navigation }) {
       bodyParams: bodyParams,
       headerParams: headerParams,
       templateType: templateType,
-      ...(replyingTo && { replyToWamid: replyingTo.wamid }),
+      ...(replyTo && { replyToWamid: replyTo }),
       // LTO (Limited Time Offer) fields
       ...(templatePayload.ltoFields && { ltoFields: templatePayload.ltoFields }),
       // Location fields
@@ -844,6 +997,29 @@ export default function ChatDetailsScreen({ route, navigation }) {
       }
     }
 
+    if (scheduledAt) {
+      await scheduleComposedMessage({
+        operation: 'sendTemplate',
+        messageType: 'template',
+        socketData: templateData,
+        optimisticMessage,
+        scheduledAt,
+      });
+      return;
+    }
+
+    // Immediately add optimistic message to UI
+    dispatch(addOptimisticMessage({
+      chatId,
+      message: optimisticMessage,
+    }));
+
+    // Save optimistic message to SQLite cache for persistence across navigation
+    try { await cacheManager.addMessage(optimisticMessage, chatId); } catch (e) {}
+
+    // Clear reply state immediately for better UX
+    setReplyingTo(null);
+
     // Use specialized template socket method
     const sent = sendTemplateViaSocket(templateData);
 
@@ -874,7 +1050,7 @@ export default function ChatDetailsScreen({ route, navigation }) {
       }
       setIsSending(false);
     }
-  }, [chatId, contactPhoneNumber, isSending, replyingTo, dispatch]);
+  }, [chatId, contactPhoneNumber, isSending, replyingTo, dispatch, scheduleComposedMessage]);
 
   // Handle intervene - take over conversation from AI/automation
   const handleIntervene = useCallback(async () => {
@@ -886,7 +1062,11 @@ export default function ChatDetailsScreen({ route, navigation }) {
 
       // Update local state
       dispatch(setChatStatus('intervened'));
-      showSuccess('You have taken over this conversation. AI and automation are now disabled.', 'Intervened');
+      if (result.queued) {
+        showInfo('Change saved. Will sync when connected.');
+      } else {
+        showSuccess('You have taken over this conversation. AI and automation are now disabled.', 'Intervened');
+      }
     } catch (error) {
       showError(error || 'Failed to intervene. Please try again.');
     }
@@ -993,15 +1173,30 @@ export default function ChatDetailsScreen({ route, navigation }) {
 
   // Handle message long press - copy message text directly
   const handleMessageLongPress = useCallback((message) => {
-    const text = message?.message?.body || message?.message?.caption || '';
-    if (text) {
-      Clipboard.setString(text);
-      toastActions.copiedToClipboard();
-    } else {
-      showWarning('This message type cannot be copied', 'Cannot Copy');
+    if (message?.type === 'system') return;
+    setActionsMessage(message);
+  }, []);
+
+  // Quote a message in the composer (swipe or "Reply" in the actions menu)
+  const handleReplyToMessage = useCallback((message) => {
+    if (!getReplyContextId(message)) {
+      showInfo('You can reply to this message once it has been sent');
+      return;
     }
+    setReplyingTo(message);
   }, []);
 
+  const handleMessageReaction = useCallback((emoji, message) => {
+    const messageId = message?._id;
+    if (!messageId || String(messageId).startsWith('temp_')) {
+      showInfo('You can react to this message once it has been sent');
+      return;
+    }
+    // Tapping your current reaction again removes it
+    const currentEmoji = message?.reactions?.find((r) => r.sentBy === 'me')?.emoji || message?.reaction?.emoji;
+    dispatch(sendMessageReaction({ chatId, messageId, emoji: currentEmoji === emoji ? '' : emoji }));
+  }, [chatId, dispatch]);
+
   // Handle chat options menu actions
   const handleChatOptionsAction = useCallback((action) => {
     setShowChatOptions(false);
@@ -1059,6 +1254,204 @@ export default function ChatDetailsScreen({ route, navigation }) {
     }
   }, [groupedMessages]);
 
+  // Opening the same screen for another search hit replaces the jump target
+  useEffect(() => {
+    if (highlightMessageId) {
+      setJumpTargetId(highlightMessageId);
+    }
+  }, [highlightMessageId]);
+
+  // Jump to a message that may not be loaded yet: page older messages until it is
+  useEffect(() => {
+    if (!jumpTargetId || isLoading || currentConversation?._id !== chatId) return;
+
+    const isLoaded = groupedMessages.some(
+      (item) => item.type === 'message' && (item.data?._id === jumpTargetId || item.data?.wamid === jumpTargetId)
+    );
+
+    if (isLoaded) {
+      jumpPagedRef.current = false;
+      setJumpTargetId(null);
+      setHighlightedMessageId(jumpTargetId);
+      // Let the list render the newly loaded page before scrolling
+      setTimeout(() => scrollToMessage(jumpTargetId), 300);
+      return;
+    }
+
+    if (isLoadingMoreMessages) return;
+
+    // Stop here instead of re-requesting the page that just failed
+    if (jumpPagedRef.current && loadMoreMessagesError) {
+      jumpPagedRef.current = false;
+      setJumpTargetId(null);
+      showError('Could not load older messages. Please try again.');
+      return;
+    }
+
+    if (hasMoreMessages) {
+      jumpPagedRef.current = true;
+      dispatch(loadMoreMessagesWithCache({ chatId, currentCount: messagesSkip }));
+    } else {
+      jumpPagedRef.current = false;
+      setJumpTargetId(null);
+      showInfo('This message is no longer available in the chat');
+    }
+  }, [jumpTargetId, isLoading, currentConversation?._id, chatId, groupedMessages, isLoadingMoreMessages, loadMoreMessagesError, hasMoreMessages, messagesSkip, scrollToMessage, dispatch]);
+
+  // Fade the highlight out after a moment
+  useEffect(() => {
+    if (!highlightedMessageId) return undefined;
+    const timer = setTimeout(() => setHighlightedMessageId(null), 2500);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId]);
+
+  // Search this chat's cached messages as the user types (debounced)
+  useEffect(() => {
+    if (!isSearchOpen) return undefined;
+
+    const query = searchText.trim();
+    if (query.length < 2) {
+      searchRequestRef.current += 1;
+      setIsSearchingOlder(false);
+      setSearchMatches([]);
+      setActiveMatchIndex(-1);
+      setActiveSearchQuery('');
+      setIsSearchingMessages(false);
+      return undefined;
+    }
+
+    const requestId = ++searchRequestRef.current;
+    setIsSearchingOlder(false);
+    setIsSearchingMessages(true);
+    const timer = setTimeout(() => {
+      dispatch(searchMessagesWithCache({ search: query, chatId, limit: 500 }))
+        .unwrap()
+        .then(({ messages: results }) => {
+          if (requestId !== searchRequestRef.current) return;
+          // Reactions aren't shown as rows, so there is nothing to jump to
+          const matches = (results || []).filter((m) => m.type !== 'reaction' && getMatchId(m));
+          setSearchMatches(matches);
+          setActiveSearchQuery(query);
+          setActiveMatchIndex(matches.length > 0 ? 0 : -1);
+          if (matches.length > 0) {
+            setJumpTargetId(getMatchId(matches[0]));
+          }
+        })
+        .catch(() => {
+          if (requestId !== searchRequestRef.current) return;
+          setSearchMatches([]);
+          setActiveMatchIndex(-1);
+        })
+        .finally(() => {
+          if (requestId === searchRequestRef.current) setIsSearchingMessages(false);
+        });
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [isSearchOpen, searchText, chatId, dispatch]);
+
+  // Only cached messages are searchable: page older ones in until the next older match turns up
+  const searchOlderMessages = useCallback(async () => {
+    const requestId = ++searchRequestRef.current;
+    const currentId = activeMatchIndex >= 0 ? getMatchId(searchMatches[activeMatchIndex]) : null;
+    let skip = messagesSkip;
+    let hasMore = hasMoreMessages;
+    setIsSearchingOlder(true);
+
+    try {
+      while (hasMore) {
+        const page = await dispatch(loadMoreMessagesWithCache({ chatId, currentCount: skip })).unwrap();
+        if (requestId !== searchRequestRef.current) return;
+        const pageCount = page.messages?.length || 0;
+        skip += pageCount;
+        hasMore = page.hasMore && pageCount > 0;
+
+        const { messages: results } = await dispatch(
+          searchMessagesWithCache({ search: activeSearchQuery, chatId, limit: 500 })
+        ).unwrap();
+        if (requestId !== searchRequestRef.current) return;
+
+        const matches = (results || []).filter((m) => m.type !== 'reaction' && getMatchId(m));
+        // With no cached match yet, the newest match is the next one
+        const nextIndex = currentId ? matches.findIndex((m) => getMatchId(m) === currentId) + 1 : 0;
+        if ((!currentId || nextIndex > 0) && nextIndex < matches.length) {
+          setSearchMatches(matches);
+          setActiveMatchIndex(nextIndex);
+          setJumpTargetId(getMatchId(matches[nextIndex]));
+          return;
+        }
+      }
+      showInfo('No older messages match your search');
+    } catch (error) {
+      if (requestId === searchRequestRef.current) {
+        showError('Could not search older messages. Please try again.');
+      }
+    } finally {
+      if (requestId === searchRequestRef.current) setIsSearchingOlder(false);
+    }
+  }, [searchMatches, activeMatchIndex, messagesSkip, hasMoreMessages, activeSearchQuery, chatId, dispatch]);
+
+  // Step through matches: 'older' moves up the thread, 'newer' moves down
+  const handleSearchStep = useCallback((direction) => {
+    if (isSearchingMessages || isSearchingOlder) return;
+    const nextIndex = direction === 'older' ? activeMatchIndex + 1 : activeMatchIndex - 1;
+    if (direction === 'older' && nextIndex >= searchMatches.length && hasMoreMessages && activeSearchQuery) {
+      searchOlderMessages();
+      return;
+    }
+    if (nextIndex < 0 || nextIndex >= searchMatches.length) return;
+    setActiveMatchIndex(nextIndex);
+    setJumpTargetId(getMatchId(searchMatches[nextIndex]));
+  }, [searchMatches, activeMatchIndex, isSearchingMessages, isSearchingOlder, hasMoreMessages, activeSearchQuery, searchOlderMessages]);
+
+  const handleCloseSearch = useCallback(() => {
+    searchRequestRef.current += 1;
+    setIsSearchOpen(false);
+    setSearchText('');
+    setSearchMatches([]);
+    setActiveMatchIndex(-1);
+    setActiveSearchQuery('');
+    setIsSearchingMessages(false);
+    setIsSearchingOlder(false);
+  }, []);
+
+  const highlightQuery = isSearchOpen ? activeSearchQuery : '';
+
+  // scrollToIndex can't reach rows that haven't been measured yet:
+  // scroll to an estimate first, then retry once they are laid out
+  const handleScrollToIndexFailed = useCallback(({ index, averageItemLength }) => {
+    flatListRef.current?.scrollToOffset({ offset: index * averageItemLength, animated: false });
+    setTimeout(() => {
+      try {
+        flatListRef.current?.scrollToIndex({ index, animated: true, viewPosition: 0.5 });
+      } catch (e) {
+        // Scroll error, ignore
+      }
+    }, 100);
+  }, []);
+
+  // Scheduled messages sit below the newest message (list header of the inverted list)
+  const renderScheduledMessages = useCallback(() => {
+    if (!scheduledMessages.length) return null;
+    // Soonest first, directly under the latest message
+    return (
+      <View>
+        {scheduledMessages.map((item) => (
+          <ScheduledMessageBubble
+            key={item._id}
+            item={item}
+            onPress={() => setManagedScheduledId(item._id)}
+          />
+        ))}
+      </View>
+    );
+  }, [scheduledMessages]);
+
+  const managedScheduledMessage = useMemo(
+    () => scheduledMessages.find((item) => item._id === managedScheduledId) || null,
+    [scheduledMessages, managedScheduledId]
+  );
+
   const renderItem = useCallback(({ item }) => {
     if (item.type === 'date') {
       return <DateSeparator date={item.date} />;
@@ -1098,11 +1491,14 @@ export default function ChatDetailsScreen({ route, navigation }) {
       : null;
 
     const messageId = msg?._id || msg?.wamid || msg?.server_id;
+    const isHighlighted = !!highlightedMessageId &&
+      (msg?._id === highlightedMessageId || msg?.wamid === highlightedMessageId);
 
     return (
       <SwipeableMessage
-        onSwipeReply={() => setReplyingTo(msg)}
+        onSwipeReply={() => handleReplyToMessage(msg)}
         enabled={msg?.type !== 'system'}
+        highlighted={isHighlighted}
       >
         <MessageBubble
           message={msg}
@@ -1113,16 +1509,17 @@ export default function ChatDetailsScreen({ route, navigation }) {
           onMediaDownload={handleMediaDownload}
           downloadState={messageId ? getDownloadState(messageId) : null}
           onReplyPress={(target) => {
-            // Tap on reply preview → scroll to original message
+            // Tap on reply preview → jump to the original (paging older messages if needed)
             if (typeof target === 'string') {
-              scrollToMessage(target);
+              setJumpTargetId(target);
             }
           }}
           onContactPress={handleSharedContactPress}
+          highlightQuery={highlightQuery}
         />
       </SwipeableMessage>
     );
-  }, [handleImagePress, handleVideoPress, handleMessageLongPress, handleMediaDownload, getDownloadState, handleCancelUpload, handleRetryUpload, messages, scrollToMessage]);
+  }, [handleImagePress, handleVideoPress, handleMessageLongPress, handleReplyToMessage, handleMediaDownload, getDownloadState, handleCancelUpload, handleRetryUpload, messages, highlightedMessageId, highlightQuery]);
 
   const renderEmptyState = () => (
     // Apply scaleY(-1) to counteract the FlatList's inverted prop
@@ -1147,8 +1544,78 @@ export default function ChatDetailsScreen({ route, navigation }) {
   );
 
 
+  // Search bar replaces the header while searching within the chat
+  const renderSearchHeader = () => {
+    const hasQuery = searchText.trim().length >= 2;
+    let counterText = '';
+    if (hasQuery && !isSearchingMessages) {
+      counterText = searchMatches.length > 0
+        ? `${activeMatchIndex + 1} of ${searchMatches.length}`
+        : 'No results';
+    }
+    // Past the last cached match, stepping older pages in more of the chat
+    const canStepOlder = !isSearchingOlder && !isSearchingMessages
+      && (activeMatchIndex < searchMatches.length - 1 || (hasMoreMessages && !!activeSearchQuery));
+
+    return (
+      <View style={[styles.header, { paddingTop: insets.top }]}>
+        <StatusBar barStyle="light-content" backgroundColor={chatColors.headerBg} />
+
+        <TouchableOpacity onPress={handleCloseSearch} style={styles.backButton}>
+          <Icon name="arrow-left" size={24} color={colors.common.white} />
+        </TouchableOpacity>
+
+        <TextInput
+          style={styles.searchInput}
+          value={searchText}
+          onChangeText={setSearchText}
+          placeholder="Search in chat..."
+          placeholderTextColor="rgba(255, 255, 255, 0.6)"
+          selectionColor={colors.common.white}
+          autoFocus
+          returnKeyType="search"
+          onSubmitEditing={() => handleSearchStep('older')}
+        />
+
+        {isSearchingOlder ? (
+          <View style={styles.searchOlderStatus}>
+            <ActivityIndicator size="small" color={colors.common.white} />
+            <Text style={styles.searchCounter}>Searching older messages</Text>
+          </View>
+        ) : isSearchingMessages ? (
+          <ActivityIndicator size="small" color={colors.common.white} style={styles.searchCounter} />
+        ) : (
+          <Text style={styles.searchCounter}>{counterText}</Text>
+        )}
+
+        <TouchableOpacity
+          style={styles.headerAction}
+          onPress={() => handleSearchStep('older')}
+          disabled={!canStepOlder}
+        >
+          <Icon
+            name="chevron-up"
+            size={24}
+            color={canStepOlder ? colors.common.white : 'rgba(255, 255, 255, 0.4)'}
+          />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.headerAction}
+          onPress={() => handleSearchStep('newer')}
+          disabled={activeMatchIndex <= 0}
+        >
+          <Icon
+            name="chevron-down"
+            size={24}
+            color={activeMatchIndex <= 0 ? 'rgba(255, 255, 255, 0.4)' : colors.common.white}
+          />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
   // Custom header
-  const renderHeader = () => (
+  const renderHeader = () => isSearchOpen ? renderSearchHeader() : (
     <View style={[styles.header, { paddingTop: insets.top }]}>
       <StatusBar barStyle="light-content" backgroundColor={chatColors.headerBg} />
 
@@ -1179,6 +1646,9 @@ export default function ChatDetailsScreen({ route, navigation }) {
       </TouchableOpacity>
 
       <View style={styles.headerActions}>
+        <TouchableOpacity style={styles.headerAction} onPress={() => setIsSearchOpen(true)}>
+          <Icon name="magnify" size={22} color={colors.common.white} />
+        </TouchableOpacity>
         <TouchableOpacity style={styles.headerAction} onPress={() => setShowChatOptions(true)}>
           <Icon name="dots-vertical" size={22} color={colors.common.white} />
         </TouchableOpacity>
@@ -1230,16 +1700,18 @@ export default function ChatDetailsScreen({ route, navigation }) {
             renderItem={renderItem}
             keyExtractor={(item) => item.id}
             inverted
-            extraData={[uploads, downloads, messages]} // Ensure re-render on upload/download/reaction change
+            extraData={[uploads, downloads, messages, highlightedMessageId, scheduledMessages]} // Ensure re-render on upload/download/reaction/highlight/schedule change
             contentContainerStyle={[
               styles.messagesList,
               groupedMessagesInverted.length === 0 && styles.emptyList,
             ]}
             showsVerticalScrollIndicator={false}
             ListEmptyComponent={renderEmptyState}
+            ListHeaderComponent={renderScheduledMessages}
             initialNumToRender={30}
             maxToRenderPerBatch={20}
             windowSize={21}
+            onScrollToIndexFailed={handleScrollToIndexFailed}
           />
         </ImageBackground>
 
@@ -1262,6 +1734,8 @@ export default function ChatDetailsScreen({ route, navigation }) {
           aiAssistantStatus={aiAssistantStatus}
           isIntervened={isIntervened}
           lastActiveTime={lastActiveTime}
+          draft={restoredDraft}
+          onDraftChange={handleDraftChange}
         />
       </KeyboardAvoidingView>
 
@@ -1273,6 +1747,31 @@ export default function ChatDetailsScreen({ route, navigation }) {
       />
 
 
+      {/* Message long-press actions (reply, react, copy, forward) */}
+      <MessageActionsMenu
+        visible={!!actionsMessage}
+        onClose={() => setActionsMessage(null)}
+        message={actionsMessage}
+        onReply={handleReplyToMessage}
+        onForward={setForwardingMessage}
+        onReaction={handleMessageReaction}
+      />
+
+      {/* Forward picker */}
+      <ForwardMessageSheet
+        visible={!!forwardingMessage}
+        onClose={() => setForwardingMessage(null)}
+        message={forwardingMessage}
+        onOpenChat={(targetChat) => navigation.push('ChatDetails', { chatId: targetChat._id, chat: targetChat })}
+      />
+
+      {/* Manage a scheduled message (edit, reschedule, cancel) */}
+      <ScheduledMessageSheet
+        visible={!!managedScheduledMessage}
+        item={managedScheduledMessage}
+        onClose={() => setManagedScheduledId(null)}
+      />
+
       {/* Chat options menu (header dots) */}
       <ChatOptionsMenu
         visible={showChatOptions}
@@ -1447,6 +1946,22 @@ const styles = StyleSheet.create({
   headerAction: {
     padding: 10,
   },
+  searchInput: {
+    flex: 1,
+    fontSize: 17,
+    color: colors.common.white,
+    paddingVertical: 6,
+  },
+  searchCounter: {
+    fontSize: 13,
+    color: 'rgba(255, 255, 255, 0.85)',
+    marginHorizontal: 6,
+  },
+  searchOlderStatus: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 6,
+  },
   // Chat container - WhatsApp beige background
   chatContainer: {
     flex: 1,
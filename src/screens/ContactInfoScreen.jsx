@@ -24,7 +24,9 @@ import { updateContactChat, setChatStatus, updateChatInList } from '../redux/sli
 import { EnableAiAssistantDialog } from '../components/chat';
 import { updateContact } from '../redux/slices/contactSlice';
 import { getSettings } from '../redux/slices/settingsSlice';
-import { showSuccess, showError } from '../utils/toast';
+import { showSuccess, showError, showInfo } from '../utils/toast';
+import EditAttributesSheet from '../components/contacts/EditAttributesSheet';
+import { formatAttributeValue } from '../utils/contactAttributeHelpers';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
@@ -89,6 +91,12 @@ const ContactInfoScreen = ({ route, navigation }) => {
   const [isSaving, setIsSaving] = useState(false);
   const [isRefreshing, setIsRefreshing] = useState(false);
 
+  // Custom attribute editing — savedAttributes overrides the route/Redux
+  // contact after a save so the section updates immediately
+  const [showAttributesSheet, setShowAttributesSheet] = useState(false);
+  const [isSavingAttributes, setIsSavingAttributes] = useState(false);
+  const [savedAttributes, setSavedAttributes] = useState(null);
+
   // Chat status state
   const [showStatusPicker, setShowStatusPicker] = useState(false);
   const [currentStatus, setCurrentStatus] = useState(chat?.status || 'open');
@@ -164,11 +172,10 @@ const ContactInfoScreen = ({ route, navigation }) => {
   const contactTags = Array.isArray(rawTags) ? rawTags : [];
 
   // Attributes — API returns array [{name, value, _id}], merge with settings definitions
-  const rawAttributes = contactData.attributes || contactData.customAttributes || [];
-  const contactAttributes = mergeAttributes(
-    userAttributeDefinitions,
-    Array.isArray(rawAttributes) ? rawAttributes : []
-  );
+  const rawAttributes = savedAttributes || contactData.attributes || contactData.customAttributes || [];
+  const contactAttributeList = Array.isArray(rawAttributes) ? rawAttributes : [];
+  const contactAttributes = mergeAttributes(userAttributeDefinitions, contactAttributeList);
+  const attributeDefinitionsByName = new Map(userAttributeDefinitions.map((definition) => [definition.name, definition]));
 
   // Optin — boolean (web app pattern: contact.optin)
   const optInValue = contactData.optin ?? chat?.contact?.optin ?? 'unknown';
@@ -230,16 +237,20 @@ const ContactInfoScreen = ({ route, navigation }) => {
         hideNotification: chat?.hideNotification || false,
       })).unwrap();
 
-      if (result.status === 'success' || result.response?.status === 'success') {
+      if (result.queued || result.status === 'success' || result.response?.status === 'success') {
         setChatOwner(member === 'none' ? null : payload);
         // Update the chat in the list
         dispatch(updateChatInList({
           _id: chatId,
           assignedToMember: payload,
         }));
-        showSuccess( member === 'none'
-          ? 'Chat owner removed'
-          : `Chat assigned to ${member.name}`);
+        if (result.queued) {
+          showInfo('Change saved. Will sync when connected.');
+        } else {
+          showSuccess( member === 'none'
+            ? 'Chat owner removed'
+            : `Chat assigned to ${member.name}`);
+        }
       } else {
         showError( result.message || 'Failed to update chat owner');
       }
@@ -274,10 +285,14 @@ const ContactInfoScreen = ({ route, navigation }) => {
         hideNotification: chat?.hideNotification || false,
       })).unwrap();
 
-      if (result.status === 'success' || result.response?.status === 'success') {
+      if (result.queued || result.status === 'success' || result.response?.status === 'success') {
         setCurrentStatus(newStatus);
         dispatch(setChatStatus(newStatus));
-        showSuccess(`Chat status updated to ${getStatusLabel(newStatus)}`);
+        if (result.queued) {
+          showInfo('Change saved. Will sync when connected.');
+        } else {
+          showSuccess(`Chat status updated to ${getStatusLabel(newStatus)}`);
+        }
       } else {
         showError(result.message || 'Failed to update chat status');
       }
@@ -395,6 +410,64 @@ const ContactInfoScreen = ({ route, navigation }) => {
     }
   }, [editName, displayName, contactData, contact, chatId, dispatch]);
 
+  const handleOpenAttributes = () => {
+    if (userAttributeDefinitions.length === 0) {
+      showError('No custom fields yet. Add them from Settings → Custom Fields.');
+      return;
+    }
+    setShowAttributesSheet(true);
+  };
+
+  const handleSaveAttributes = async (values) => {
+    const contactId = contactData._id || contact?._id;
+    if (!contactId) {
+      showError('Contact ID not found. Cannot update attributes.');
+      return;
+    }
+
+    // Defined fields take the edited values; values of fields no longer
+    // defined are kept as they are
+    const definedNames = new Set(userAttributeDefinitions.map((definition) => definition.name));
+    const attributes = [
+      ...userAttributeDefinitions.map((definition) => ({
+        name: definition.name,
+        __id: definition.__id || definition._id,
+        value: String(values[definition.name] ?? '').trim(),
+      })),
+      ...contactAttributeList.filter((attr) => !definedNames.has(attr.name)),
+    ];
+
+    setIsSavingAttributes(true);
+    try {
+      const result = await dispatch(updateContact({
+        _id: contactId,
+        bodyData: { updateData: { attributes } },
+      })).unwrap();
+
+      if (result.status === 'success' || result.data) {
+        setSavedAttributes(attributes);
+        if (chatId) {
+          dispatch(updateChatInList({
+            _id: chatId,
+            contact: {
+              ...contactData,
+              attributes,
+            },
+          }));
+        }
+        showSuccess('Custom attributes updated successfully');
+        setShowAttributesSheet(false);
+      } else {
+        showError(result.message || 'Failed to update custom attributes');
+      }
+    } catch (error) {
+      const errorMessage = typeof error === 'string' ? error : error?.message || 'Failed to update custom attributes';
+      showError(errorMessage);
+    } finally {
+      setIsSavingAttributes(false);
+    }
+  };
+
   const handleRefresh = useCallback(async () => {
     setIsRefreshing(true);
     // TODO: Refresh contact data and orders
@@ -776,27 +849,32 @@ const ContactInfoScreen = ({ route, navigation }) => {
         <View style={styles.sectionHeader}>
           <Icon name="format-list-bulleted" size={20} color={chatColors.primary} />
           <Text style={styles.sectionTitle}>Custom Attributes</Text>
-          <TouchableOpacity style={styles.sectionAddButton}>
-            <Icon name="plus" size={18} color={chatColors.primary} />
+          <TouchableOpacity style={styles.sectionAddButton} onPress={handleOpenAttributes}>
+            <Icon name="pencil-outline" size={18} color={chatColors.primary} />
           </TouchableOpacity>
         </View>
 
         {contactAttributes.length > 0 ? (
           <View style={styles.attributesList}>
             {contactAttributes.map((attr, index) => (
-              <View key={attr._id || index} style={styles.attributeItem}>
+              <TouchableOpacity
+                key={attr._id || index}
+                style={styles.attributeItem}
+                onPress={handleOpenAttributes}
+                activeOpacity={0.7}
+              >
                 <Text style={styles.attributeKey}>{attr.name}</Text>
                 <Text style={styles.attributeValue} numberOfLines={1}>
-                  {attr.value || '—'}
+                  {formatAttributeValue(attributeDefinitionsByName.get(attr.name), attr.value) || '—'}
                 </Text>
-              </View>
+              </TouchableOpacity>
             ))}
           </View>
         ) : (
           <View style={styles.emptySection}>
             <Icon name="playlist-remove" size={32} color={colors.grey[300]} />
             <Text style={styles.emptyText}>No custom attributes</Text>
-            <TouchableOpacity style={styles.emptyButton}>
+            <TouchableOpacity style={styles.emptyButton} onPress={handleOpenAttributes}>
               <Text style={styles.emptyButtonText}>Add Attribute</Text>
             </TouchableOpacity>
           </View>
@@ -1107,6 +1185,16 @@ const ContactInfoScreen = ({ route, navigation }) => {
         <View style={{ height: insets.bottom + 20 }} />
       </Animated.ScrollView>
 
+      {/* Custom Attributes Editor */}
+      <EditAttributesSheet
+        visible={showAttributesSheet}
+        definitions={userAttributeDefinitions}
+        values={Object.fromEntries(contactAttributeList.map((attr) => [attr.name, String(attr.value ?? '')]))}
+        onClose={() => setShowAttributesSheet(false)}
+        onSave={handleSaveAttributes}
+        isSaving={isSavingAttributes}
+      />
+
       {/* Chat Status Picker Modal */}
       <Modal
         visible={showStatusPicker}
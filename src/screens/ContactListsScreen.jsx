@@ -0,0 +1,583 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  RefreshControl,
+  Switch,
+  TextInput as RNTextInput,
+} from 'react-native';
+import { Text, ActivityIndicator, FAB } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import Modal from 'react-native-modal';
+import { useDispatch, useSelector } from 'react-redux';
+import { createList, updateList, deleteList } from '../redux/slices/contactSlice';
+import { fetchContactListsWithCache } from '../redux/cacheThunks';
+import { useNetwork } from '../contexts/NetworkContext';
+import { InfoBanner, ShadowCard, EmptyState } from '../components/common';
+import {
+  MAX_LIST_NAME_LENGTH,
+  getListName,
+  getListCount,
+  validateListName,
+} from '../utils/contactListHelpers';
+import { colors } from '../theme/colors';
+import { showError, showSuccess } from '../utils/toast';
+
+/**
+ * ContactListsScreen
+ * Create, rename and delete contact lists. Counts are read from the cached
+ * contact_lists table, which the list thunks update after every change.
+ */
+export default function ContactListsScreen() {
+  const dispatch = useDispatch();
+  const { isOffline } = useNetwork();
+
+  const {
+    contactListData,
+    contactListStatus,
+    totalContactsCount,
+    unassignedCount,
+  } = useSelector((state) => state.contact);
+
+  // Name modal: null (closed), { list: null } to create, { list } to rename
+  const [nameModal, setNameModal] = useState(null);
+  const [name, setName] = useState('');
+  const [nameError, setNameError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const [listToDelete, setListToDelete] = useState(null);
+  const [deleteContacts, setDeleteContacts] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  const isRefreshing = contactListStatus === 'loading' && contactListData.length > 0;
+  const sortedLists = [...contactListData].sort((a, b) => getListName(a).localeCompare(getListName(b)));
+
+  useEffect(() => {
+    dispatch(fetchContactListsWithCache());
+  }, []);
+
+  const onRefresh = () => {
+    if (isOffline) return;
+    dispatch(fetchContactListsWithCache({ forceRefresh: true }));
+  };
+
+  // List changes need the server — nothing is queued offline
+  const ensureOnline = () => {
+    if (isOffline) {
+      showError('Connect to the internet to manage lists', "You're Offline");
+      return false;
+    }
+    return true;
+  };
+
+  const openNameModal = (list = null) => {
+    if (!ensureOnline()) return;
+    setName(list ? getListName(list) : '');
+    setNameError('');
+    setNameModal({ list });
+  };
+
+  const handleSaveName = async () => {
+    const list = nameModal?.list;
+    const error = validateListName(name, contactListData, list?._id);
+    if (error) {
+      setNameError(error);
+      return;
+    }
+    const trimmed = name.trim();
+    if (list && trimmed === getListName(list)) {
+      setNameModal(null);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      if (list) {
+        await dispatch(updateList({
+          id: list._id,
+          listName: getListName(list),
+          bodyData: { listName: trimmed },
+        })).unwrap();
+        showSuccess(`Renamed to "${trimmed}"`, 'List Renamed');
+      } else {
+        await dispatch(createList({ listName: trimmed })).unwrap();
+        showSuccess(`"${trimmed}" is ready for contacts`, 'List Created');
+      }
+      setNameModal(null);
+      // Cached lists were updated by the thunk; the server copy follows silently
+      dispatch(fetchContactListsWithCache());
+    } catch (err) {
+      setNameError(typeof err === 'string' ? err : err?.message || 'Failed to save list');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const openDeleteModal = (list) => {
+    if (!ensureOnline()) return;
+    setDeleteContacts(false);
+    setListToDelete(list);
+  };
+
+  const confirmDelete = async () => {
+    if (!listToDelete) return;
+    const listName = getListName(listToDelete);
+
+    setIsDeleting(true);
+    try {
+      await dispatch(deleteList({ id: listToDelete._id, listName, deleteContacts })).unwrap();
+      showSuccess(
+        deleteContacts ? `"${listName}" and its contacts were deleted` : `Its contacts are now unassigned`,
+        'List Deleted'
+      );
+      setListToDelete(null);
+      dispatch(fetchContactListsWithCache());
+    } catch (err) {
+      showError(typeof err === 'string' ? err : err?.message || 'Failed to delete list', 'Delete Failed');
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  const renderListCard = ({ item }) => {
+    const listName = getListName(item) || 'Unnamed';
+    const count = getListCount(item);
+
+    return (
+      <ShadowCard variant="card" style={styles.listCard}>
+        <View style={styles.listIcon}>
+          <Icon name="folder-outline" size={22} color={colors.primary.main} />
+        </View>
+        <View style={styles.listInfo}>
+          <Text style={styles.listName} numberOfLines={1}>{listName}</Text>
+          <Text style={styles.listCount}>
+            {count} {count === 1 ? 'contact' : 'contacts'}
+          </Text>
+        </View>
+        <TouchableOpacity style={styles.actionButton} onPress={() => openNameModal(item)} activeOpacity={0.7}>
+          <Icon name="pencil-outline" size={20} color={colors.text.secondary} />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.actionButton} onPress={() => openDeleteModal(item)} activeOpacity={0.7}>
+          <Icon name="trash-can-outline" size={20} color={colors.error.main} />
+        </TouchableOpacity>
+      </ShadowCard>
+    );
+  };
+
+  const renderHeader = () => (
+    <View>
+      <InfoBanner
+        message="A contact can be in several lists. Use multi-select on the Contacts tab to copy, move or remove contacts."
+      />
+      <View style={styles.summaryRow}>
+        <View style={styles.summaryItem}>
+          <Text style={styles.summaryValue}>{contactListData.length}</Text>
+          <Text style={styles.summaryLabel}>Lists</Text>
+        </View>
+        <View style={styles.summaryDivider} />
+        <View style={styles.summaryItem}>
+          <Text style={styles.summaryValue}>{totalContactsCount || 0}</Text>
+          <Text style={styles.summaryLabel}>Contacts</Text>
+        </View>
+        <View style={styles.summaryDivider} />
+        <View style={styles.summaryItem}>
+          <Text style={styles.summaryValue}>{unassignedCount || 0}</Text>
+          <Text style={styles.summaryLabel}>Unassigned</Text>
+        </View>
+      </View>
+    </View>
+  );
+
+  const renderEmpty = () => {
+    if (contactListStatus === 'loading') {
+      return (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="small" color={colors.primary.main} />
+        </View>
+      );
+    }
+    return (
+      <EmptyState
+        icon="folder-outline"
+        title="No lists yet"
+        message="Create a list to group contacts for broadcasts and filters"
+      />
+    );
+  };
+
+  const renderNameModal = () => {
+    const isRename = !!nameModal?.list;
+    return (
+      <Modal
+        isVisible={!!nameModal}
+        onBackdropPress={() => !isSaving && setNameModal(null)}
+        style={styles.centerModal}
+        backdropOpacity={0.5}
+        animationIn="zoomIn"
+        animationOut="zoomOut"
+        avoidKeyboard={true}
+      >
+        <View style={styles.dialogContainer}>
+          <View style={styles.dialogIconCircle}>
+            <Icon name={isRename ? 'folder-edit-outline' : 'folder-plus-outline'} size={28} color={colors.primary.main} />
+          </View>
+          <Text style={styles.dialogTitle}>{isRename ? 'Rename List' : 'New List'}</Text>
+          <RNTextInput
+            value={name}
+            onChangeText={(text) => {
+              setName(text);
+              setNameError('');
+            }}
+            placeholder="e.g. Customers"
+            placeholderTextColor={colors.text.tertiary}
+            maxLength={MAX_LIST_NAME_LENGTH}
+            style={[styles.input, nameError && styles.inputError]}
+            editable={!isSaving}
+            autoFocus
+          />
+          {nameError ? <Text style={styles.errorText}>{nameError}</Text> : null}
+          <View style={styles.dialogButtonRow}>
+            <TouchableOpacity
+              style={styles.cancelBtn}
+              onPress={() => setNameModal(null)}
+              disabled={isSaving}
+              activeOpacity={0.7}
+            >
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.saveBtn, isSaving && styles.btnDisabled]}
+              onPress={handleSaveName}
+              disabled={isSaving}
+              activeOpacity={0.8}
+            >
+              {isSaving ? (
+                <ActivityIndicator size="small" color={colors.common.white} />
+              ) : (
+                <Text style={styles.saveText}>{isRename ? 'Rename' : 'Create'}</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+    );
+  };
+
+  const renderDeleteModal = () => {
+    const count = getListCount(listToDelete);
+    return (
+      <Modal
+        isVisible={!!listToDelete}
+        onBackdropPress={() => !isDeleting && setListToDelete(null)}
+        style={styles.centerModal}
+        backdropOpacity={0.5}
+        animationIn="zoomIn"
+        animationOut="zoomOut"
+      >
+        <View style={styles.dialogContainer}>
+          <View style={[styles.dialogIconCircle, styles.deleteIconCircle]}>
+            <Icon name="trash-can-outline" size={28} color={colors.error.main} />
+          </View>
+          <Text style={styles.dialogTitle}>Delete List</Text>
+          <Text style={styles.dialogMessage}>
+            Are you sure you want to delete "{getListName(listToDelete)}"?
+          </Text>
+          {count > 0 && (
+            <View style={styles.switchRow}>
+              <View style={styles.switchText}>
+                <Text style={styles.switchLabel}>Also delete its {count} {count === 1 ? 'contact' : 'contacts'}</Text>
+                <Text style={styles.switchHint}>
+                  {deleteContacts ? 'Contacts are removed permanently' : 'Contacts stay, without this list'}
+                </Text>
+              </View>
+              <Switch
+                value={deleteContacts}
+                onValueChange={setDeleteContacts}
+                disabled={isDeleting}
+                trackColor={{ false: colors.grey[300], true: colors.error.light }}
+                thumbColor={deleteContacts ? colors.error.main : colors.common.white}
+              />
+            </View>
+          )}
+          <Text style={styles.dialogSubtext}>This action cannot be undone.</Text>
+          <View style={styles.dialogButtonRow}>
+            <TouchableOpacity
+              style={styles.cancelBtn}
+              onPress={() => setListToDelete(null)}
+              disabled={isDeleting}
+              activeOpacity={0.7}
+            >
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.deleteConfirmBtn, isDeleting && styles.btnDisabled]}
+              onPress={confirmDelete}
+              disabled={isDeleting}
+              activeOpacity={0.8}
+            >
+              {isDeleting ? (
+                <ActivityIndicator size="small" color={colors.common.white} />
+              ) : (
+                <Text style={styles.saveText}>Delete</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={sortedLists}
+        renderItem={renderListCard}
+        keyExtractor={(item, index) => item._id || `list-${index}`}
+        ListHeaderComponent={renderHeader}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={styles.listContent}
+        refreshControl={
+          <RefreshControl
+            refreshing={isRefreshing}
+            onRefresh={onRefresh}
+            colors={[colors.primary.main]}
+            tintColor={colors.primary.main}
+          />
+        }
+      />
+
+      <FAB
+        icon="plus"
+        label="New List"
+        style={styles.fab}
+        onPress={() => openNameModal()}
+        color={colors.common.white}
+      />
+
+      {renderNameModal()}
+      {renderDeleteModal()}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background.neutral,
+  },
+  listContent: {
+    padding: 16,
+    paddingBottom: 96,
+  },
+  loadingContainer: {
+    paddingVertical: 40,
+    alignItems: 'center',
+  },
+
+  // Summary
+  summaryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.common.white,
+    borderRadius: 16,
+    paddingVertical: 14,
+    marginTop: 12,
+    marginBottom: 16,
+  },
+  summaryItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  summaryValue: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: colors.text.primary,
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  summaryDivider: {
+    width: 1,
+    height: 32,
+    backgroundColor: colors.grey[200],
+  },
+
+  // List Card
+  listCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 14,
+    marginBottom: 10,
+  },
+  listIcon: {
+    width: 44,
+    height: 44,
+    borderRadius: 12,
+    backgroundColor: colors.primary.main + '15',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  listInfo: {
+    flex: 1,
+  },
+  listName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  listCount: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  actionButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 4,
+  },
+  fab: {
+    position: 'absolute',
+    right: 16,
+    bottom: 24,
+    backgroundColor: colors.primary.main,
+  },
+
+  // Dialogs
+  centerModal: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    margin: 24,
+  },
+  dialogContainer: {
+    backgroundColor: colors.common.white,
+    borderRadius: 20,
+    padding: 24,
+    width: '100%',
+    maxWidth: 340,
+    alignItems: 'center',
+  },
+  dialogIconCircle: {
+    width: 64,
+    height: 64,
+    borderRadius: 32,
+    backgroundColor: colors.primary.main + '15',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  deleteIconCircle: {
+    backgroundColor: colors.error.lighter,
+  },
+  dialogTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: colors.text.primary,
+    marginBottom: 8,
+  },
+  dialogMessage: {
+    fontSize: 15,
+    color: colors.text.secondary,
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+  dialogSubtext: {
+    fontSize: 13,
+    color: colors.text.tertiary,
+    marginTop: 4,
+    marginBottom: 20,
+  },
+  input: {
+    width: '100%',
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 12,
+    fontSize: 15,
+    color: colors.text.primary,
+    marginTop: 8,
+  },
+  inputError: {
+    borderColor: colors.error.main,
+  },
+  errorText: {
+    alignSelf: 'flex-start',
+    fontSize: 13,
+    color: colors.error.main,
+    marginTop: 6,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    width: '100%',
+    gap: 12,
+    padding: 12,
+    marginTop: 16,
+    borderRadius: 12,
+    backgroundColor: colors.grey[100],
+  },
+  switchText: {
+    flex: 1,
+  },
+  switchLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  switchHint: {
+    fontSize: 12,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  dialogButtonRow: {
+    flexDirection: 'row',
+    gap: 12,
+    width: '100%',
+    marginTop: 20,
+  },
+  cancelBtn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.grey[100],
+  },
+  cancelText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  saveBtn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.primary.main,
+  },
+  deleteConfirmBtn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.error.main,
+  },
+  btnDisabled: {
+    opacity: 0.6,
+  },
+  saveText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.common.white,
+  },
+});
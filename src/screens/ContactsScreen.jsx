@@ -1,16 +1,27 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { View, StyleSheet, FlatList, RefreshControl, TouchableOpacity } from 'react-native';
+import { View, StyleSheet, FlatList, RefreshControl, TouchableOpacity, BackHandler } from 'react-native';
 import { Text, ActivityIndicator, Searchbar, FAB } from 'react-native-paper';
 import { useDispatch, useSelector } from 'react-redux';
 import { useNavigation } from '@react-navigation/native';
 import { gotoChat, clearContactError } from '../redux/slices/contactSlice';
-import { fetchContactsWithCache, fetchContactListsWithCache } from '../redux/cacheThunks';
+import {
+  fetchContactsWithCache,
+  fetchContactListsWithCache,
+  fetchUserAttributesWithCache,
+} from '../redux/cacheThunks';
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
 import { colors, getAvatarColor } from '../theme/colors';
 import { formatDistanceToNow } from 'date-fns';
 import ContactBottomSheet from '../components/contacts/ContactBottomSheet';
 import AddContactBottomSheet from '../components/contacts/AddContactBottomSheet';
-import { ContactsListSkeleton } from '../components/common';
+import AttributeFilterSheet, { describeAttributeFilter } from '../components/contacts/AttributeFilterSheet';
+import ExportContactsSheet from '../components/contacts/ExportContactsSheet';
+import ContactSelectionHeader from '../components/contacts/ContactSelectionHeader';
+import BulkContactOptionsSheet from '../components/contacts/BulkContactOptionsSheet';
+import useContactSelection from '../hooks/useContactSelection';
+import { matchesAttributeFilter } from '../utils/contactAttributeHelpers';
+import { getListName, getListCount } from '../utils/contactListHelpers';
+import { ContactsListSkeleton, CustomDialog } from '../components/common';
 import { showError } from '../utils/toast';
 import { useNetwork } from '../contexts/NetworkContext';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
@@ -27,7 +38,15 @@ export default function ContactsScreen() {
   const [selectedContact, setSelectedContact] = useState(null);
   const [bottomSheetVisible, setBottomSheetVisible] = useState(false);
   const [addContactVisible, setAddContactVisible] = useState(false);
+  const [attributeFilter, setAttributeFilter] = useState(null);
+  const [filterSheetVisible, setFilterSheetVisible] = useState(false);
+  const [exportSheetVisible, setExportSheetVisible] = useState(false);
+  // Multi-select: 'lists' | 'tags' | 'optIn' | 'broadcast' picker, and the bulk delete confirmation
+  const [bulkSheetMode, setBulkSheetMode] = useState(null);
+  const [showBulkDeleteDialog, setShowBulkDeleteDialog] = useState(false);
+  const [exportSelectionOnly, setExportSelectionOnly] = useState(false);
   const chipListRef = useRef(null);
+  const searchDebounceRef = useRef(null);
   const PAGE_SIZE = 10;
 
   const {
@@ -43,8 +62,26 @@ export default function ContactsScreen() {
   } = useSelector((state) => state.contact);
 
   const { settingId } = useSelector((state) => state.user);
+  const userAttributes = useSelector((state) => state.settings.settings?.userAttributes?.items || []);
   const prevSettingIdRef = useRef(settingId);
 
+  const {
+    selectedIds,
+    isSelectionMode,
+    isRunning: isBulkRunning,
+    progress: bulkProgress,
+    toggleSelection,
+    selectAll,
+    clearSelection,
+    addToList,
+    removeFromList,
+    moveToList,
+    changeTags,
+    changeOptIn,
+    deleteSelected,
+    createListFromSelection,
+  } = useContactSelection();
+
   const isLoadingLists = contactListStatus === 'loading';
   const isLoadingContacts = contactsStatus === 'loading';
   const isRefreshing = isLoadingLists && contactListData.length > 0;
@@ -57,6 +94,12 @@ export default function ContactsScreen() {
 
     loadContactLists(isAccountSwitch);
     loadContacts(true, null, '', isAccountSwitch);
+
+    return () => {
+      if (searchDebounceRef.current) {
+        clearTimeout(searchDebounceRef.current);
+      }
+    };
   }, [settingId]);
 
   // Network recovery: clear stale errors and re-fetch failed data
@@ -82,6 +125,16 @@ export default function ContactsScreen() {
     }
   }, [isNetworkAvailable]);
 
+  // Hardware back leaves multi-select before leaving the screen
+  useEffect(() => {
+    if (!isSelectionMode) return undefined;
+    const subscription = BackHandler.addEventListener('hardwareBackPress', () => {
+      if (!isBulkRunning) clearSelection();
+      return true;
+    });
+    return () => subscription.remove();
+  }, [isSelectionMode, isBulkRunning, clearSelection]);
+
   const loadContactLists = (forceRefresh = false) => {
     dispatch(fetchContactListsWithCache({ forceRefresh }));
   };
@@ -118,6 +171,11 @@ export default function ContactsScreen() {
   };
 
   const handleListPress = (listName, index) => {
+    clearSelection();
+    // The list switch below already searches the current query
+    if (searchDebounceRef.current) {
+      clearTimeout(searchDebounceRef.current);
+    }
     if (listName === null) {
       setSelectedList(null);
       loadContacts(true, null);
@@ -174,13 +232,119 @@ export default function ContactsScreen() {
     }
   };
 
-  const filteredContacts = contacts;
+  // The attribute filter runs over the pages loaded so far; more pages are pulled in below
+  const filteredContacts = attributeFilter
+    ? contacts.filter((item) => matchesAttributeFilter(item, attributeFilter))
+    : contacts;
+  const hasMoreContacts = contacts.length < (totalCount || contacts.length);
+  const canLoadMoreContacts = hasMoreContacts && !isLoadingContacts && contactsStatus !== 'failed' && !isOffline;
+  const isScanningForMatches = !!attributeFilter && hasMoreContacts && contactsStatus !== 'failed' && !isOffline;
+
+  // Keep paging while the filter leaves less than a screenful of matches
+  useEffect(() => {
+    if (!attributeFilter || !canLoadMoreContacts) return;
+    if (filteredContacts.length >= PAGE_SIZE) return;
+    loadContacts(false);
+  }, [attributeFilter, canLoadMoreContacts, filteredContacts.length]);
+
+  // Search as the user types, once they pause
+  const handleSearchChange = (text) => {
+    clearSelection();
+    setSearchQuery(text);
+
+    if (searchDebounceRef.current) {
+      clearTimeout(searchDebounceRef.current);
+    }
+    searchDebounceRef.current = setTimeout(() => {
+      loadContacts(true, selectedList, text);
+    }, 400);
+  };
+
+  const handleOpenFilter = () => {
+    dispatch(fetchUserAttributesWithCache());
+    setFilterSheetVisible(true);
+  };
+
+  const handleApplyFilter = (filter) => {
+    setAttributeFilter(filter);
+    setFilterSheetVisible(false);
+  };
+
+  const handleClearFilter = () => {
+    setAttributeFilter(null);
+    setFilterSheetVisible(false);
+  };
+
+  const handleOpenExport = (selectionOnly = false) => {
+    dispatch(fetchUserAttributesWithCache());
+    setExportSelectionOnly(selectionOnly);
+    setExportSheetVisible(true);
+  };
+
+  const selectedContacts = filteredContacts.filter((item) => selectedIds.includes(item._id));
+
+  const handleSelectAll = () => {
+    selectAll(filteredContacts.map((item) => item._id));
+  };
+
+  // Bulk changes need the server — nothing is queued offline
+  const openBulkAction = (open) => {
+    if (isOffline) {
+      showError('Connect to the internet to update contacts', "You're Offline");
+      return;
+    }
+    open();
+  };
+
+  // The open list, when it is a real list (not All / Unassigned)
+  const currentList = contactListData.find((list) => getListName(list) === selectedList) || null;
+
+  // List counts come from the cache the thunks just updated; the server copy follows silently
+  const refreshAfterBulkAction = () => {
+    loadContacts(true, selectedList, searchQuery, true);
+    loadContactLists();
+  };
+
+  const handleBulkOptionSelect = async (option) => {
+    const mode = bulkSheetMode;
+    setBulkSheetMode(null);
+
+    if (mode === 'broadcast') {
+      const isReady = await createListFromSelection(option.listName);
+      refreshAfterBulkAction();
+      if (isReady) {
+        navigation.navigate('MainTabs', {
+          screen: 'MoreTab',
+          params: { screen: 'CreateBroadcast', params: { contactLists: [option.listName] } },
+        });
+      }
+      return;
+    }
+
+    if (mode === 'lists') {
+      if (option.action === 'move') {
+        await moveToList(currentList, option.list);
+      } else if (option.action === 'remove') {
+        await removeFromList(option.list);
+      } else {
+        await addToList(option.list);
+      }
+    } else if (mode === 'tags') {
+      await changeTags(option.tags, option.remove);
+    } else if (mode === 'optIn') {
+      await changeOptIn(option.status);
+    }
+    refreshAfterBulkAction();
+  };
+
+  const confirmBulkDelete = async () => {
+    setShowBulkDeleteDialog(false);
+    await deleteSelected();
+    refreshAfterBulkAction();
+  };
 
   const handleLoadMoreContacts = () => {
-    if (isLoadingContacts) return;
-    if (contactsStatus === 'failed') return;
-    if (isOffline) return;
-    if (contacts.length >= (totalCount || contacts.length)) return;
+    if (!canLoadMoreContacts) return;
     loadContacts(false);
   };
 
@@ -239,13 +403,13 @@ export default function ContactsScreen() {
     }
 
     // Regular list items
-    const listName = item.listName || item.name || item.title || 'Unnamed';
-    const count = item.count ?? item.contactsCount ?? 0;
-    const isSelected = selectedList === (item.listName || listName);
+    const listName = getListName(item) || 'Unnamed';
+    const count = getListCount(item);
+    const isSelected = selectedList === listName;
 
     return (
       <TouchableOpacity
-        onPress={() => handleListPress(item.listName || listName, index)}
+        onPress={() => handleListPress(listName, index)}
         activeOpacity={0.7}
         style={[styles.filterChip, isSelected && styles.filterChipSelected]}
       >
@@ -285,6 +449,7 @@ export default function ContactsScreen() {
       : (phoneNumber ? phoneNumber.slice(-2) : 'NA');
     const avatarColor = getAvatarColor(hasName ? item.name : phoneNumber || 'default');
     const isOpening = openingChatId === item._id;
+    const isChecked = selectedIds.includes(item._id);
     const optInStatus = getOptInStatus(item.optIn?.status);
 
     let lastActiveLabel = null;
@@ -300,16 +465,31 @@ export default function ContactsScreen() {
       <TouchableOpacity
         activeOpacity={0.7}
         onPress={() => {
+          if (isSelectionMode) {
+            if (!isBulkRunning) toggleSelection(item._id);
+            return;
+          }
           setSelectedContact(item);
           setBottomSheetVisible(true);
         }}
-        style={styles.contactCard}
+        onLongPress={() => {
+          // Long press starts (or extends) multi-select
+          if (!isBulkRunning) toggleSelection(item._id);
+        }}
+        delayLongPress={300}
+        style={[styles.contactCard, isChecked && styles.contactCardChecked]}
       >
         {/* Avatar */}
         <View style={[styles.avatar, { backgroundColor: avatarColor }]}>
           <Text style={styles.avatarText}>{initials}</Text>
-          {/* Opt-in status dot */}
-          <View style={[styles.statusDot, { backgroundColor: optInStatus.color }]} />
+          {/* Multi-select check mark replaces the opt-in status dot */}
+          {isChecked ? (
+            <View style={styles.checkBadge}>
+              <Icon name="check" size={12} color={colors.common.white} />
+            </View>
+          ) : (
+            <View style={[styles.statusDot, { backgroundColor: optInStatus.color }]} />
+          )}
         </View>
 
         {/* Contact Info */}
@@ -346,7 +526,7 @@ export default function ContactsScreen() {
         <TouchableOpacity
           style={styles.messageButton}
           onPress={() => handleOpenChatForContact(item)}
-          disabled={isOpening}
+          disabled={isOpening || isSelectionMode}
           activeOpacity={0.7}
         >
           {isOpening ? (
@@ -362,7 +542,7 @@ export default function ContactsScreen() {
   // Empty State
   const renderEmptyState = () => {
     // Show skeleton while loading (not during refresh)
-    if (isLoadingContacts && !isRefreshing) {
+    if ((isLoadingContacts && !isRefreshing) || isScanningForMatches) {
       return (
         <View style={styles.skeletonInListContainer}>
           <ContactsListSkeleton count={10} />
@@ -391,13 +571,15 @@ export default function ContactsScreen() {
         <View style={styles.emptyIconContainer}>
           <Icon name="account-group-outline" size={64} color={colors.grey[300]} />
         </View>
-        <Text style={styles.emptyTitle}>No contacts yet</Text>
+        <Text style={styles.emptyTitle}>{attributeFilter ? 'No matching contacts' : 'No contacts yet'}</Text>
         <Text style={styles.emptySubtitle}>
-          {selectedList
-            ? `No contacts found in "${selectedList}"`
-            : 'Add your first contact to get started'}
+          {attributeFilter
+            ? `No contacts match "${describeAttributeFilter(attributeFilter)}"`
+            : selectedList
+              ? `No contacts found in "${selectedList}"`
+              : 'Add your first contact to get started'}
         </Text>
-        {!selectedList && (
+        {!selectedList && !attributeFilter && (
           <TouchableOpacity style={styles.emptyButton} onPress={handleAddContact} activeOpacity={0.8}>
             <Icon name="plus" size={18} color={colors.common.white} />
             <Text style={styles.emptyButtonText}>Add Contact</Text>
@@ -484,20 +666,51 @@ export default function ContactsScreen() {
 
   return (
     <View style={styles.container}>
-      {/* Search Header */}
-      <View style={styles.header}>
+      {isSelectionMode && (
+        <ContactSelectionHeader
+          selectedCount={selectedIds.length}
+          totalCount={filteredContacts.length}
+          progress={bulkProgress}
+          onClose={clearSelection}
+          onSelectAll={handleSelectAll}
+          onLists={() => openBulkAction(() => setBulkSheetMode('lists'))}
+          onTags={() => openBulkAction(() => setBulkSheetMode('tags'))}
+          onOptIn={() => openBulkAction(() => setBulkSheetMode('optIn'))}
+          onBroadcast={() => openBulkAction(() => setBulkSheetMode('broadcast'))}
+          onExport={() => handleOpenExport(true)}
+          onDelete={() => openBulkAction(() => setShowBulkDeleteDialog(true))}
+        />
+      )}
+
+      {/* Search Header — kept mounted (hidden) during multi-select so the query isn't lost */}
+      <View style={[styles.header, styles.headerRow, isSelectionMode && styles.hidden]}>
         <Searchbar
           placeholder="Search by name, phone or email..."
-          onChangeText={(text) => {
-            setSearchQuery(text);
-            loadContacts(true, selectedList, text);
-          }}
+          onChangeText={handleSearchChange}
           value={searchQuery}
-          style={styles.searchbar}
+          style={[styles.searchbar, styles.searchbarFlex]}
           inputStyle={styles.searchInput}
           iconColor={colors.text.tertiary}
           placeholderTextColor={colors.text.tertiary}
         />
+        <TouchableOpacity
+          style={styles.filterButton}
+          onPress={() => navigation.navigate('ImportContacts')}
+          activeOpacity={0.7}
+        >
+          <Icon name="file-import-outline" size={22} color={colors.text.secondary} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.filterButton, attributeFilter && styles.filterButtonActive]}
+          onPress={handleOpenFilter}
+          activeOpacity={0.7}
+        >
+          <Icon
+            name="filter-variant"
+            size={22}
+            color={attributeFilter ? colors.common.white : colors.text.secondary}
+          />
+        </TouchableOpacity>
       </View>
 
       {renderError()}
@@ -512,6 +725,16 @@ export default function ContactsScreen() {
           horizontal
           showsHorizontalScrollIndicator={false}
           contentContainerStyle={styles.filtersList}
+          ListFooterComponent={
+            <TouchableOpacity
+              onPress={() => navigation.navigate('ContactLists')}
+              activeOpacity={0.7}
+              style={[styles.filterChip, styles.manageChip]}
+            >
+              <Icon name="folder-cog-outline" size={16} color={colors.primary.main} />
+              <Text style={[styles.filterChipText, styles.manageChipText]}>Manage</Text>
+            </TouchableOpacity>
+          }
           onScrollToIndexFailed={(info) => {
             setTimeout(() => {
               chipListRef.current?.scrollToIndex({
@@ -524,14 +747,50 @@ export default function ContactsScreen() {
         />
       </View>
 
+      {/* Active Attribute Filter */}
+      {attributeFilter && (
+        <View style={styles.activeFilterRow}>
+          <TouchableOpacity
+            style={styles.activeFilterChip}
+            onPress={() => setFilterSheetVisible(true)}
+            activeOpacity={0.7}
+          >
+            <Icon name="filter-variant" size={14} color={colors.primary.main} />
+            <Text style={styles.activeFilterText} numberOfLines={1}>
+              {describeAttributeFilter(attributeFilter)}
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={handleClearFilter} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+            <Icon name="close-circle" size={18} color={colors.grey[500]} />
+          </TouchableOpacity>
+        </View>
+      )}
+
       {/* Section Header */}
       <View style={styles.sectionHeader}>
         <Text style={styles.sectionTitle}>
           {selectedList ? selectedList : 'All Contacts'}
         </Text>
-        <Text style={styles.sectionCount}>
-          {filteredContacts.length} {filteredContacts.length === 1 ? 'contact' : 'contacts'}
-        </Text>
+        <View style={styles.sectionRight}>
+          <Text style={styles.sectionCount}>
+            {filteredContacts.length} {filteredContacts.length === 1 ? 'contact' : 'contacts'}
+          </Text>
+          <TouchableOpacity
+            style={styles.exportButton}
+            onPress={() => handleOpenExport(false)}
+            disabled={contacts.length === 0}
+            activeOpacity={0.7}
+          >
+            <Icon
+              name="export-variant"
+              size={16}
+              color={contacts.length === 0 ? colors.grey[400] : colors.primary.main}
+            />
+            <Text style={[styles.exportButtonText, contacts.length === 0 && styles.exportButtonTextDisabled]}>
+              Export
+            </Text>
+          </TouchableOpacity>
+        </View>
       </View>
 
       {/* Contacts List */}
@@ -569,12 +828,14 @@ export default function ContactsScreen() {
       )}
 
       {/* FAB */}
-      <FAB
-        icon="plus"
-        style={[styles.fab, { bottom: TAB_BAR_HEIGHT + 16 }]}
-        onPress={handleAddContact}
-        color={colors.common.white}
-      />
+      {!isSelectionMode && (
+        <FAB
+          icon="plus"
+          style={[styles.fab, { bottom: TAB_BAR_HEIGHT + 16 }]}
+          onPress={handleAddContact}
+          color={colors.common.white}
+        />
+      )}
 
       {/* Contact Bottom Sheet */}
       <ContactBottomSheet
@@ -585,6 +846,59 @@ export default function ContactsScreen() {
         isOpeningChat={openingChatId === selectedContact?._id}
       />
 
+      {/* Attribute Filter Sheet */}
+      <AttributeFilterSheet
+        visible={filterSheetVisible}
+        attributes={userAttributes}
+        filter={attributeFilter}
+        onClose={() => setFilterSheetVisible(false)}
+        onApply={handleApplyFilter}
+        onClear={handleClearFilter}
+      />
+
+      {/* Export Contacts Sheet */}
+      <ExportContactsSheet
+        visible={exportSheetVisible}
+        onClose={() => setExportSheetVisible(false)}
+        listName={selectedList}
+        search={searchQuery}
+        attributeFilter={attributeFilter}
+        attributes={userAttributes}
+        contacts={exportSelectionOnly ? selectedContacts : null}
+      />
+
+      {/* Bulk list / tags / opt-in / broadcast picker */}
+      <BulkContactOptionsSheet
+        visible={!!bulkSheetMode}
+        mode={bulkSheetMode}
+        selectedCount={selectedIds.length}
+        lists={contactListData}
+        sourceList={currentList}
+        onSelect={handleBulkOptionSelect}
+        onClose={() => setBulkSheetMode(null)}
+      />
+
+      {/* Bulk delete confirmation */}
+      <CustomDialog
+        visible={showBulkDeleteDialog}
+        onDismiss={() => setShowBulkDeleteDialog(false)}
+        icon="delete-outline"
+        iconColor={colors.error.main}
+        title={`Delete ${selectedIds.length} ${selectedIds.length === 1 ? 'Contact' : 'Contacts'}`}
+        message="Are you sure you want to delete the selected contacts? This action cannot be undone."
+        actions={[
+          {
+            label: 'Cancel',
+            onPress: () => setShowBulkDeleteDialog(false),
+          },
+          {
+            label: 'Delete',
+            onPress: confirmBulkDelete,
+            destructive: true,
+          },
+        ]}
+      />
+
       {/* Add Contact Bottom Sheet */}
       <AddContactBottomSheet
         visible={addContactVisible}
@@ -632,6 +946,9 @@ const styles = StyleSheet.create({
     paddingBottom: 12,
     backgroundColor: colors.background.default,
   },
+  hidden: {
+    display: 'none',
+  },
   searchbar: {
     backgroundColor: colors.grey[100],
     borderRadius: 12,
@@ -645,6 +962,52 @@ const styles = StyleSheet.create({
     fontSize: 15,
     minHeight: 48,
   },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  searchbarFlex: {
+    flex: 1,
+  },
+  filterButton: {
+    width: 48,
+    height: 48,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    backgroundColor: colors.grey[100],
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  filterButtonActive: {
+    backgroundColor: colors.primary.main,
+    borderColor: colors.primary.main,
+  },
+  activeFilterRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 8,
+    gap: 8,
+    backgroundColor: colors.background.default,
+  },
+  activeFilterChip: {
+    flexShrink: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: colors.primary.main + '12',
+  },
+  activeFilterText: {
+    flexShrink: 1,
+    fontSize: 13,
+    fontWeight: '500',
+    color: colors.primary.main,
+  },
 
   // Filter Chips
   filtersContainer: {
@@ -668,6 +1031,16 @@ const styles = StyleSheet.create({
   filterChipSelected: {
     backgroundColor: colors.primary.main,
   },
+  manageChip: {
+    backgroundColor: colors.primary.main + '10',
+    borderWidth: 1,
+    borderColor: colors.primary.main + '30',
+    borderStyle: 'dashed',
+  },
+  manageChipText: {
+    color: colors.primary.main,
+    fontWeight: '600',
+  },
   filterChipText: {
     fontSize: 13,
     fontWeight: '500',
@@ -715,6 +1088,28 @@ const styles = StyleSheet.create({
     fontSize: 13,
     color: colors.text.tertiary,
   },
+  sectionRight: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  exportButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 8,
+    backgroundColor: colors.primary.main + '10',
+  },
+  exportButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.primary.main,
+  },
+  exportButtonTextDisabled: {
+    color: colors.grey[400],
+  },
 
   // Contacts List
   contactsList: {
@@ -746,6 +1141,22 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: colors.common.white,
   },
+  contactCardChecked: {
+    backgroundColor: colors.primary.main + '10',
+  },
+  checkBadge: {
+    position: 'absolute',
+    bottom: -2,
+    right: -2,
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    backgroundColor: colors.primary.main,
+    borderWidth: 2,
+    borderColor: colors.background.default,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
   statusDot: {
     position: 'absolute',
     bottom: 2,
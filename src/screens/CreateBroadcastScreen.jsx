@@ -1,161 +1,361 @@
-import React, { useState, useEffect } from 'react';
-import { View, StyleSheet, ScrollView, KeyboardAvoidingView, Platform } from 'react-native';
+import React, { useState, useEffect, useMemo } from 'react';
+import { View, StyleSheet, ScrollView, KeyboardAvoidingView, Platform, TouchableOpacity } from 'react-native';
 import { Text, TextInput, Button, ActivityIndicator, Surface, Chip, HelperText, Checkbox } from 'react-native-paper';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import * as DocumentPicker from 'expo-document-picker';
 import { useDispatch, useSelector } from 'react-redux';
-import { createBroadcast, testBroadcast } from '../redux/slices/broadcastSlice';
+import { createBroadcast, testBroadcast, fetchBroadcastSampleContacts } from '../redux/slices/broadcastSlice';
 import { getContactList } from '../redux/slices/contactSlice';
-import { colors } from '../theme/colors';
+import { fetchAllTemplates } from '../redux/slices/templateSlice';
+import { fetchTimezoneWithCache, fetchUserAttributesWithCache } from '../redux/cacheThunks';
+import { uploadToMediaLibrary, validateFileSize } from '../services/fileUploadService';
+import { MessagePreviewBubble } from '../components/common';
+import { TemplatePickerDialog, ScheduleTimePicker } from '../components/chat';
+import { formatScheduleTime } from '../components/chat/ScheduleTimePicker';
+import { useNetwork } from '../contexts/NetworkContext';
+import { colors, chatColors } from '../theme/colors';
+import { showSuccess, showError, showWarning } from '../utils/toast';
+import {
+  VARIABLE_SOURCES,
+  CONTACT_FIELDS,
+  getTemplateVariables,
+  getTemplateMediaFormat,
+  getDefaultMapping,
+  validateMappings,
+  buildPreviewParams,
+  serializeMappings,
+  formatInTimeZone,
+} from '../utils/broadcastHelpers';
+import { isSendableTemplate } from '../utils/templateHelpers';
 
-export default function CreateBroadcastScreen({ navigation }) {
-  const dispatch = useDispatch();
+const STEPS = [
+  { key: 'audience', label: 'Audience' },
+  { key: 'template', label: 'Template' },
+  { key: 'variables', label: 'Personalize' },
+  { key: 'send', label: 'Send' },
+];
 
-  const [formData, setFormData] = useState({
-    name: '',
-    message: '',
-  });
+const SOURCE_OPTIONS = [
+  { value: VARIABLE_SOURCES.FIELD, label: 'Contact field' },
+  { value: VARIABLE_SOURCES.ATTRIBUTE, label: 'Custom attribute' },
+  { value: VARIABLE_SOURCES.STATIC, label: 'Static value' },
+];
 
-  const [selectedLists, setSelectedLists] = useState([]);
-  const [errors, setErrors] = useState({
-    name: '',
-    message: '',
-    lists: '',
-  });
+export default function CreateBroadcastScreen({ navigation, route }) {
+  const dispatch = useDispatch();
+  const { isOffline } = useNetwork();
+
+  const [step, setStep] = useState(0);
+  const [name, setName] = useState('');
+  // Lists can be preselected, e.g. the list made from a contacts multi-select
+  const [selectedLists, setSelectedLists] = useState(route?.params?.contactLists || []);
+  const [template, setTemplate] = useState(null);
+  const [showTemplatePicker, setShowTemplatePicker] = useState(false);
+  const [headerFile, setHeaderFile] = useState(null); // { url, fileName }
+  const [isUploading, setIsUploading] = useState(false);
+  const [mappings, setMappings] = useState({});
+  const [sampleContacts, setSampleContacts] = useState([]);
+  const [sampleIndex, setSampleIndex] = useState(0);
+  const [sendMode, setSendMode] = useState('now');
+  const [scheduledAt, setScheduledAt] = useState(null);
+  const [showSchedulePicker, setShowSchedulePicker] = useState(false);
+  const [testNumber, setTestNumber] = useState('');
+  const [errors, setErrors] = useState({});
 
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isTesting, setIsTesting] = useState(false);
 
   const { contactListData, contactListStatus } = useSelector((state) => state.contact);
+  const { templates, templatesStatus } = useSelector((state) => state.template);
+  const timeZone = useSelector((state) => state.settings?.settings?.timeZone || '');
+  const userAttributes = useSelector((state) => state.settings?.settings?.userAttributes?.items || []);
 
   useEffect(() => {
-    // Load contact lists
+    // Load contact lists, approved templates and settings used for mapping/scheduling
     dispatch(getContactList({ skip: 1, limit: 50, all: true }));
+    dispatch(fetchAllTemplates({ all: true, status: 'APPROVED' }));
+    dispatch(fetchTimezoneWithCache());
+    dispatch(fetchUserAttributesWithCache());
   }, []);
 
-  const validateForm = () => {
-    const newErrors = {
-      name: '',
-      message: '',
-      lists: '',
-    };
-
-    let isValid = true;
+  const approvedTemplates = useMemo(() => templates.filter(isSendableTemplate), [templates]);
+  const variables = useMemo(() => getTemplateVariables(template), [template]);
+  const mediaFormat = useMemo(() => getTemplateMediaFormat(template), [template]);
+  const attributeNames = useMemo(
+    () => userAttributes.map((attribute) => attribute.name).filter(Boolean),
+    [userAttributes]
+  );
 
-    // Name validation
-    if (!formData.name.trim()) {
-      newErrors.name = 'Broadcast name is required';
-      isValid = false;
-    }
+  const recipientCount = useMemo(
+    () => contactListData
+      .filter((list) => selectedLists.includes(list.listname))
+      .reduce((total, list) => total + (list.count || 0), 0),
+    [contactListData, selectedLists]
+  );
 
-    // Message validation
-    if (!formData.message.trim()) {
-      newErrors.message = 'Message is required';
-      isValid = false;
-    } else if (formData.message.trim().length < 10) {
-      newErrors.message = 'Message must be at least 10 characters';
-      isValid = false;
-    }
+  // Sample contacts come from the first selected list
+  useEffect(() => {
+    if (step !== 2 || selectedLists.length === 0) return;
+    dispatch(fetchBroadcastSampleContacts({ listName: selectedLists[0] }))
+      .unwrap()
+      .then((contacts) => {
+        setSampleContacts(contacts);
+        setSampleIndex(0);
+      })
+      .catch(() => setSampleContacts([]));
+  }, [step, selectedLists[0]]);
 
-    // Lists validation
-    if (selectedLists.length === 0) {
-      newErrors.lists = 'Select at least one contact list';
-      isValid = false;
-    }
+  const sampleContact = sampleContacts[sampleIndex] || null;
 
-    setErrors(newErrors);
-    return isValid;
-  };
+  const previewParams = useMemo(() => {
+    if (!template) return { body: {}, header: {} };
+    const body = template.components?.find((c) => c.type?.toUpperCase() === 'BODY');
+    const header = template.components?.find((c) => c.type?.toUpperCase() === 'HEADER');
+    return {
+      body: buildPreviewParams(body?.text, 'body', mappings, sampleContact),
+      header: buildPreviewParams(header?.text, 'header', mappings, sampleContact),
+    };
+  }, [template, mappings, sampleContact]);
 
-  const handleInputChange = (field, value) => {
-    setFormData((prev) => ({
-      ...prev,
-      [field]: value,
-    }));
-
-    // Clear error for this field
-    if (errors[field]) {
-      setErrors((prev) => ({
-        ...prev,
-        [field]: '',
-      }));
+  const clearError = (key) => {
+    if (errors[key]) {
+      setErrors((prev) => ({ ...prev, [key]: '' }));
     }
   };
 
   const handleListToggle = (listName) => {
     setSelectedLists((prev) => {
       if (prev.includes(listName)) {
-        return prev.filter((name) => name !== listName);
+        return prev.filter((item) => item !== listName);
       } else {
         return [...prev, listName];
       }
     });
+    clearError('lists');
+  };
+
+  const handleTemplateSelect = (selected) => {
+    setShowTemplatePicker(false);
+    if (!selected) return;
+    setTemplate(selected);
+    setHeaderFile(null);
+    setMappings(Object.fromEntries(
+      getTemplateVariables(selected).map((variable) => [variable.key, getDefaultMapping(variable)])
+    ));
+    setErrors({});
+  };
+
+  const updateMapping = (key, changes) => {
+    setMappings((prev) => ({ ...prev, [key]: { ...prev[key], ...changes } }));
+    clearError(key);
+  };
+
+  const handleSourceChange = (variable, source) => {
+    if (mappings[variable.key]?.source === source) return;
+    let value = '';
+    if (source === VARIABLE_SOURCES.FIELD) value = 'name';
+    if (source === VARIABLE_SOURCES.ATTRIBUTE) value = attributeNames[0] || '';
+    if (source === VARIABLE_SOURCES.STATIC) value = variable.example || '';
+    updateMapping(variable.key, { source, value, fallback: mappings[variable.key]?.fallback || '' });
+  };
+
+  // ==================== HEADER MEDIA ====================
 
-    // Clear list error
-    if (errors.lists) {
-      setErrors((prev) => ({
-        ...prev,
-        lists: '',
-      }));
+  const handleUploadHeaderFile = async () => {
+    if (isOffline) {
+      showWarning('Connect to the internet to upload a file');
+      return;
     }
+
+    try {
+      let file = null;
+      if (mediaFormat === 'DOCUMENT') {
+        const result = await DocumentPicker.getDocumentAsync({ type: 'application/pdf', copyToCacheDirectory: true });
+        const doc = result.assets?.[0] || (result.type === 'success' ? result : null);
+        if (doc?.uri) {
+          file = { fileUrl: doc.uri, fileName: doc.name, fileType: 'document', fileSize: doc.size, mimeType: doc.mimeType || 'application/pdf' };
+        }
+      } else {
+        const isVideo = mediaFormat === 'VIDEO';
+        const permission = await ImagePicker.requestMediaLibraryPermissionsAsync();
+        if (!permission.granted) {
+          showWarning('Permission to access gallery is required', 'Permission Required');
+          return;
+        }
+        const result = await ImagePicker.launchImageLibraryAsync({
+          mediaTypes: isVideo ? ImagePicker.MediaTypeOptions.Videos : ImagePicker.MediaTypeOptions.Images,
+          allowsEditing: false,
+          quality: 0.8,
+          exif: false,
+        });
+        const asset = !result.canceled ? result.assets?.[0] : null;
+        if (asset) {
+          file = {
+            fileUrl: asset.uri,
+            fileName: asset.fileName || `${isVideo ? 'video' : 'image'}_${Date.now()}.${isVideo ? 'mp4' : 'jpg'}`,
+            fileType: isVideo ? 'video' : 'image',
+            fileSize: asset.fileSize,
+            mimeType: asset.mimeType || (isVideo ? 'video/mp4' : 'image/jpeg'),
+          };
+        }
+      }
+      if (!file) return;
+
+      if (file.fileSize) {
+        const sizeCheck = validateFileSize(file.fileSize, file.fileType);
+        if (!sizeCheck.valid) {
+          showError(sizeCheck.message, 'File Too Large');
+          return;
+        }
+      }
+
+      setIsUploading(true);
+      const uploaded = await uploadToMediaLibrary(file);
+      if (!uploaded?.url) {
+        throw new Error('Upload did not return a file URL');
+      }
+      setHeaderFile({ url: uploaded.url, fileName: uploaded.fileName || file.fileName });
+      clearError('headerFile');
+    } catch (error) {
+      showError(error.message || 'Failed to upload file. Please try again.');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  // ==================== NAVIGATION ====================
+
+  const validateStep = (index) => {
+    const newErrors = {};
+
+    if (index === 0) {
+      if (!name.trim()) newErrors.name = 'Broadcast name is required';
+      if (selectedLists.length === 0) newErrors.lists = 'Select at least one contact list';
+    }
+
+    if (index === 1) {
+      if (!template) newErrors.template = 'Choose an approved template';
+      else if (mediaFormat && !headerFile?.url) {
+        newErrors.headerFile = `This template needs a header ${mediaFormat.toLowerCase()}`;
+      }
+    }
+
+    if (index === 2) {
+      Object.assign(newErrors, validateMappings(variables, mappings));
+    }
+
+    if (index === 3 && sendMode === 'schedule' && (!scheduledAt || scheduledAt <= Date.now())) {
+      newErrors.schedule = 'Pick a time in the future';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
   };
 
+  const handleNext = () => {
+    if (!validateStep(step)) return;
+    setStep((prev) => Math.min(prev + 1, STEPS.length - 1));
+  };
+
+  const handleBack = () => {
+    if (step === 0) {
+      navigation.goBack();
+      return;
+    }
+    setErrors({});
+    setStep((prev) => prev - 1);
+  };
+
+  // ==================== SEND ====================
+
+  const buildTemplateFields = () => ({
+    templateId: template._id,
+    templateName: template.name,
+    language: template.language || 'en',
+    templateType: (template.type || mediaFormat || 'TEXT').toUpperCase(),
+    ...serializeMappings(variables, mappings),
+    ...(headerFile?.url && { headerFileURL: headerFile.url }),
+  });
+
   const handleTestBroadcast = async () => {
-    if (!formData.message.trim()) {
-      setErrors((prev) => ({
-        ...prev,
-        message: 'Message is required for testing',
-      }));
+    const mobile = testNumber.replace(/[\s()-]/g, '');
+    if (!/^\+?\d{8,15}$/.test(mobile)) {
+      setErrors((prev) => ({ ...prev, test: 'Enter a phone number with country code' }));
       return;
     }
 
     setIsTesting(true);
-
     try {
-      await dispatch(
-        testBroadcast({
-          message: formData.message.trim(),
-        })
-      ).unwrap();
-
-      alert('Test broadcast sent successfully!');
+      await dispatch(testBroadcast({ ...buildTemplateFields(), mobile })).unwrap();
+      showSuccess(`Test message sent to ${testNumber.trim()}`);
     } catch (error) {
-      alert(`Test failed: ${error || 'Unknown error'}`);
+      showError(typeof error === 'string' ? error : 'Failed to send test broadcast');
     } finally {
       setIsTesting(false);
     }
   };
 
   const handleSubmit = async () => {
-    if (!validateForm()) {
+    if (!validateStep(3)) {
+      return;
+    }
+    if (isOffline) {
+      showWarning('Connect to the internet to send the broadcast');
       return;
     }
 
     setIsSubmitting(true);
 
     const bodyData = {
-      name: formData.name.trim(),
-      message: formData.message.trim(),
+      name: name.trim(),
       contactLists: selectedLists,
+      ...buildTemplateFields(),
+      sendNow: sendMode === 'now',
+      ...(sendMode === 'schedule' && {
+        scheduledAt: new Date(scheduledAt).toISOString(),
+        timeZone: timeZone || undefined,
+      }),
     };
 
     try {
       await dispatch(createBroadcast(bodyData)).unwrap();
-
-      // Success - navigate back
+      showSuccess(
+        sendMode === 'schedule'
+          ? `"${bodyData.name}" will go out ${formatScheduleTime(scheduledAt)}`
+          : `"${bodyData.name}" is being sent`,
+        sendMode === 'schedule' ? 'Broadcast Scheduled' : 'Broadcast Started'
+      );
       navigation.goBack();
     } catch (error) {
-      // Error handling
-      setErrors((prev) => ({
-        ...prev,
-        name: error || 'Failed to create broadcast',
-      }));
+      showError(typeof error === 'string' ? error : 'Failed to create broadcast');
       setIsSubmitting(false);
     }
   };
 
-  const handleCancel = () => {
-    navigation.goBack();
-  };
+  // ==================== RENDER ====================
+
+  const renderStepIndicator = () => (
+    <View style={styles.stepIndicator}>
+      {STEPS.map((item, index) => {
+        const isDone = index < step;
+        const isActive = index === step;
+        return (
+          <View key={item.key} style={styles.stepItem}>
+            <View style={[styles.stepDot, (isDone || isActive) && styles.stepDotActive]}>
+              {isDone ? (
+                <Icon name="check" size={14} color={colors.common.white} />
+              ) : (
+                <Text style={[styles.stepNumber, isActive && styles.stepNumberActive]}>{index + 1}</Text>
+              )}
+            </View>
+            <Text style={[styles.stepLabel, isActive && styles.stepLabelActive]}>{item.label}</Text>
+          </View>
+        );
+      })}
+    </View>
+  );
 
   const renderContactLists = () => {
     if (contactListStatus === 'loading') {
@@ -200,143 +400,401 @@ export default function CreateBroadcastScreen({ navigation }) {
     );
   };
 
-  return (
-    <SafeAreaView style={styles.container}>
-      <KeyboardAvoidingView
-        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
-        style={styles.keyboardAvoid}
-      >
-        <ScrollView contentContainerStyle={styles.scrollContent}>
-          <Surface style={styles.formContainer}>
-            <Text variant="headlineSmall" style={styles.title}>
-              Create Broadcast
-            </Text>
-            <Text variant="bodyMedium" style={styles.subtitle}>
-              Send a message to multiple contacts at once
-            </Text>
+  const renderAudienceStep = () => (
+    <>
+      <View style={styles.inputGroup}>
+        <TextInput
+          label="Broadcast Name *"
+          value={name}
+          onChangeText={(value) => {
+            setName(value);
+            clearError('name');
+          }}
+          mode="outlined"
+          style={styles.input}
+          error={!!errors.name}
+          placeholder="e.g., Weekly Newsletter"
+        />
+        {errors.name ? <HelperText type="error">{errors.name}</HelperText> : null}
+      </View>
 
-            {/* Name Input */}
-            <View style={styles.inputGroup}>
-              <TextInput
-                label="Broadcast Name *"
-                value={formData.name}
-                onChangeText={(value) => handleInputChange('name', value)}
-                mode="outlined"
-                style={styles.input}
-                error={!!errors.name}
-                disabled={isSubmitting}
-                placeholder="e.g., Weekly Newsletter"
-              />
-              {errors.name ? (
-                <HelperText type="error" visible={!!errors.name}>
-                  {errors.name}
-                </HelperText>
-              ) : null}
-            </View>
+      <View style={styles.inputGroup}>
+        <Text variant="titleMedium" style={styles.sectionTitle}>
+          Select Contact Lists *
+        </Text>
+        {renderContactLists()}
+        {errors.lists ? <HelperText type="error">{errors.lists}</HelperText> : null}
+      </View>
 
-            {/* Message Input */}
-            <View style={styles.inputGroup}>
-              <TextInput
-                label="Message *"
-                value={formData.message}
-                onChangeText={(value) => handleInputChange('message', value)}
+      {selectedLists.length > 0 && (
+        <View style={styles.selectedSummary}>
+          <Text variant="bodyMedium" style={styles.selectedTitle}>
+            Selected Lists ({selectedLists.length}) · {recipientCount} contacts
+          </Text>
+          <View style={styles.chipContainer}>
+            {selectedLists.map((listName) => (
+              <Chip
+                key={listName}
                 mode="outlined"
-                style={styles.input}
-                error={!!errors.message}
-                disabled={isSubmitting}
-                placeholder="Type your message here..."
-                multiline
-                numberOfLines={6}
-                maxLength={1000}
-              />
-              <View style={styles.characterCount}>
-                <Text variant="bodySmall" style={styles.characterCountText}>
-                  {formData.message.length} / 1000 characters
-                </Text>
-              </View>
-              {errors.message ? (
-                <HelperText type="error" visible={!!errors.message}>
-                  {errors.message}
-                </HelperText>
-              ) : null}
-            </View>
+                style={styles.selectedChip}
+                onClose={() => handleListToggle(listName)}
+              >
+                {listName}
+              </Chip>
+            ))}
+          </View>
+        </View>
+      )}
+    </>
+  );
+
+  const renderTemplateStep = () => (
+    <>
+      <Text variant="bodyMedium" style={styles.stepHint}>
+        Broadcasts are sent as approved templates, so they reach contacts outside the 24-hour window.
+      </Text>
+
+      <TouchableOpacity
+        style={[styles.templatePickerRow, !!errors.template && styles.templatePickerRowError]}
+        onPress={() => setShowTemplatePicker(true)}
+        activeOpacity={0.7}
+      >
+        <Icon name="file-document-outline" size={22} color={chatColors.primary} />
+        <View style={styles.templatePickerText}>
+          <Text style={styles.templatePickerTitle} numberOfLines={1}>
+            {template ? template.name : 'Choose template'}
+          </Text>
+          <Text style={styles.templatePickerSubtitle}>
+            {template
+              ? `${template.category || 'Template'} · ${template.language || 'en'}`
+              : templatesStatus === 'loading'
+                ? 'Loading approved templates...'
+                : `${approvedTemplates.length} approved templates`}
+          </Text>
+        </View>
+        <Icon name="chevron-right" size={22} color={colors.text.secondary} />
+      </TouchableOpacity>
+      {errors.template ? <HelperText type="error">{errors.template}</HelperText> : null}
 
-            {/* Contact Lists Selection */}
-            <View style={styles.inputGroup}>
-              <Text variant="titleMedium" style={styles.sectionTitle}>
-                Select Contact Lists *
+      {mediaFormat && (
+        <View style={styles.inputGroup}>
+          <TouchableOpacity
+            style={[styles.uploadBox, !!errors.headerFile && styles.uploadBoxError]}
+            onPress={handleUploadHeaderFile}
+            disabled={isUploading}
+            activeOpacity={0.7}
+          >
+            {isUploading ? (
+              <ActivityIndicator size="small" color={chatColors.primary} />
+            ) : (
+              <Icon
+                name={headerFile ? 'check-circle' : 'upload'}
+                size={22}
+                color={headerFile ? chatColors.primary : colors.text.secondary}
+              />
+            )}
+            <View style={styles.templatePickerText}>
+              <Text style={styles.templatePickerTitle} numberOfLines={1}>
+                {isUploading ? 'Uploading...' : headerFile?.fileName || `Upload header ${mediaFormat.toLowerCase()}`}
               </Text>
-              {renderContactLists()}
-              {errors.lists ? (
-                <HelperText type="error" visible={!!errors.lists}>
-                  {errors.lists}
-                </HelperText>
-              ) : null}
+              <Text style={styles.templatePickerSubtitle}>Sent to every recipient</Text>
             </View>
+          </TouchableOpacity>
+          {errors.headerFile ? <HelperText type="error">{errors.headerFile}</HelperText> : null}
+        </View>
+      )}
+
+      {template && (
+        <View style={styles.previewContainer}>
+          <MessagePreviewBubble
+            mode="template"
+            templateData={template}
+            templateName={template.name}
+            headerFileUrl={headerFile?.url || ''}
+            showActualMedia={!!headerFile?.url}
+            showTypeBadge={false}
+            preservePlaceholders={true}
+          />
+        </View>
+      )}
+    </>
+  );
+
+  const renderVariableMapping = (variable) => {
+    const mapping = mappings[variable.key] || {};
+    const error = errors[variable.key];
+    const valueOptions = mapping.source === VARIABLE_SOURCES.FIELD
+      ? CONTACT_FIELDS.map((field) => ({ value: field.key, label: field.label }))
+      : attributeNames.map((attributeName) => ({ value: attributeName, label: attributeName }));
 
-            {/* Selected Lists Summary */}
-            {selectedLists.length > 0 && (
-              <View style={styles.selectedSummary}>
-                <Text variant="bodyMedium" style={styles.selectedTitle}>
-                  Selected Lists ({selectedLists.length}):
-                </Text>
-                <View style={styles.chipContainer}>
-                  {selectedLists.map((listName) => (
-                    <Chip
-                      key={listName}
-                      mode="outlined"
-                      style={styles.selectedChip}
-                      onClose={() => handleListToggle(listName)}
-                    >
-                      {listName}
-                    </Chip>
-                  ))}
-                </View>
+    return (
+      <View key={variable.key} style={styles.variableCard}>
+        <Text style={styles.variableTitle}>
+          {`{{${variable.number}}}`} <Text style={styles.variableSubtitle}>in {variable.component}</Text>
+        </Text>
+
+        <View style={styles.optionRow}>
+          {SOURCE_OPTIONS.map((option) => (
+            <Chip
+              key={option.value}
+              compact
+              selected={mapping.source === option.value}
+              onPress={() => handleSourceChange(variable, option.value)}
+              style={[styles.optionChip, mapping.source === option.value && styles.optionChipSelected]}
+            >
+              {option.label}
+            </Chip>
+          ))}
+        </View>
+
+        {mapping.source === VARIABLE_SOURCES.STATIC ? (
+          <TextInput
+            label="Value"
+            value={mapping.value || ''}
+            onChangeText={(value) => updateMapping(variable.key, { value })}
+            mode="outlined"
+            dense
+            style={styles.input}
+            error={!!error}
+          />
+        ) : (
+          <>
+            {valueOptions.length > 0 ? (
+              <View style={styles.optionRow}>
+                {valueOptions.map((option) => (
+                  <Chip
+                    key={option.value}
+                    compact
+                    mode="outlined"
+                    selected={mapping.value === option.value}
+                    onPress={() => updateMapping(variable.key, { value: option.value })}
+                    style={mapping.value === option.value && styles.optionChipSelected}
+                  >
+                    {option.label}
+                  </Chip>
+                ))}
               </View>
+            ) : (
+              <Text style={styles.emptyOptionText}>No custom attributes yet</Text>
             )}
+            <TextInput
+              label="Fallback value"
+              value={mapping.fallback || ''}
+              onChangeText={(fallback) => updateMapping(variable.key, { fallback })}
+              mode="outlined"
+              dense
+              style={styles.input}
+              placeholder="Used when a contact has no value"
+              error={!!error}
+            />
+          </>
+        )}
+        {error ? <HelperText type="error">{error}</HelperText> : null}
+      </View>
+    );
+  };
 
-            {/* Test Broadcast Button */}
-            <View style={styles.testSection}>
-              <Button
-                mode="outlined"
-                onPress={handleTestBroadcast}
-                style={styles.testButton}
-                disabled={isSubmitting || isTesting}
-                loading={isTesting}
-                icon="send-check"
-              >
-                {isTesting ? 'Sending Test...' : 'Send Test Broadcast'}
-              </Button>
-              <Text variant="bodySmall" style={styles.testHelperText}>
-                Test the message before sending to all contacts
-              </Text>
-            </View>
+  const renderVariablesStep = () => (
+    <>
+      {variables.length === 0 ? (
+        <Text variant="bodyMedium" style={styles.stepHint}>
+          This template has no variables. Every contact receives the same message.
+        </Text>
+      ) : (
+        <>
+          <Text variant="bodyMedium" style={styles.stepHint}>
+            Choose what fills each variable for every recipient.
+          </Text>
+          {variables.map(renderVariableMapping)}
+        </>
+      )}
 
-            {/* Action Buttons */}
-            <View style={styles.buttonContainer}>
-              <Button
-                mode="outlined"
-                onPress={handleCancel}
-                style={styles.cancelButton}
-                disabled={isSubmitting}
-              >
-                Cancel
-              </Button>
-
-              <Button
-                mode="contained"
-                onPress={handleSubmit}
-                style={styles.saveButton}
-                disabled={isSubmitting}
-                loading={isSubmitting}
-                icon="send"
-              >
-                {isSubmitting ? 'Sending...' : 'Send Broadcast'}
-              </Button>
-            </View>
+      <Text variant="titleMedium" style={styles.sectionTitle}>Preview</Text>
+      {sampleContacts.length > 0 && (
+        <View style={styles.optionRow}>
+          {sampleContacts.map((contact, index) => (
+            <Chip
+              key={contact._id || index}
+              compact
+              icon="account"
+              selected={index === sampleIndex}
+              onPress={() => setSampleIndex(index)}
+              style={index === sampleIndex && styles.optionChipSelected}
+            >
+              {contact.name || contact.mobile || `Contact ${index + 1}`}
+            </Chip>
+          ))}
+        </View>
+      )}
+      {sampleContacts.length === 0 && variables.length > 0 && (
+        <Text style={styles.emptyOptionText}>No contacts to preview with — fallbacks are shown.</Text>
+      )}
+      <View style={styles.previewContainer}>
+        <MessagePreviewBubble
+          mode="template"
+          templateData={template}
+          templateName={template?.name}
+          bodyParams={previewParams.body}
+          headerParams={previewParams.header}
+          headerFileUrl={headerFile?.url || ''}
+          showActualMedia={!!headerFile?.url}
+          showTypeBadge={false}
+        />
+      </View>
+    </>
+  );
+
+  const renderSendStep = () => {
+    const zonedTime = scheduledAt ? formatInTimeZone(scheduledAt, timeZone) : null;
+
+    return (
+      <>
+        <TouchableOpacity
+          style={[styles.sendOption, sendMode === 'now' && styles.sendOptionSelected]}
+          onPress={() => {
+            setSendMode('now');
+            clearError('schedule');
+          }}
+        >
+          <Icon name="send" size={22} color={sendMode === 'now' ? chatColors.primary : colors.text.secondary} />
+          <View style={styles.templatePickerText}>
+            <Text style={styles.templatePickerTitle}>Send now</Text>
+            <Text style={styles.templatePickerSubtitle}>Start delivering as soon as it's created</Text>
+          </View>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.sendOption, sendMode === 'schedule' && styles.sendOptionSelected]}
+          onPress={() => {
+            setSendMode('schedule');
+            setShowSchedulePicker(true);
+          }}
+        >
+          <Icon name="clock-outline" size={22} color={sendMode === 'schedule' ? chatColors.primary : colors.text.secondary} />
+          <View style={styles.templatePickerText}>
+            <Text style={styles.templatePickerTitle}>
+              {sendMode === 'schedule' && scheduledAt ? formatScheduleTime(scheduledAt) : 'Schedule for later'}
+            </Text>
+            <Text style={styles.templatePickerSubtitle}>
+              {sendMode === 'schedule' && zonedTime
+                ? `${zonedTime} in ${timeZone}`
+                : timeZone ? `Account time zone: ${timeZone}` : 'Pick a date and time'}
+            </Text>
+          </View>
+          {sendMode === 'schedule' && <Text style={styles.changeText}>Change</Text>}
+        </TouchableOpacity>
+        {errors.schedule ? <HelperText type="error">{errors.schedule}</HelperText> : null}
+
+        <View style={styles.summaryBox}>
+          <Text style={styles.summaryRow}>
+            <Text style={styles.summaryLabel}>Broadcast: </Text>{name.trim()}
+          </Text>
+          <Text style={styles.summaryRow}>
+            <Text style={styles.summaryLabel}>Template: </Text>{template?.name}
+          </Text>
+          <Text style={styles.summaryRow}>
+            <Text style={styles.summaryLabel}>Recipients: </Text>
+            {recipientCount} contacts in {selectedLists.join(', ')}
+          </Text>
+        </View>
+
+        <View style={styles.testSection}>
+          <TextInput
+            label="Test phone number"
+            value={testNumber}
+            onChangeText={(value) => {
+              setTestNumber(value);
+              clearError('test');
+            }}
+            mode="outlined"
+            dense
+            style={styles.input}
+            placeholder="+14155550123"
+            keyboardType="phone-pad"
+            error={!!errors.test}
+          />
+          {errors.test ? <HelperText type="error">{errors.test}</HelperText> : null}
+          <Button
+            mode="outlined"
+            onPress={handleTestBroadcast}
+            style={styles.testButton}
+            disabled={isSubmitting || isTesting || !testNumber.trim()}
+            loading={isTesting}
+            icon="send-check"
+          >
+            {isTesting ? 'Sending Test...' : 'Send Test Message'}
+          </Button>
+          <Text variant="bodySmall" style={styles.testHelperText}>
+            Variables are filled with their fallback or static values
+          </Text>
+        </View>
+      </>
+    );
+  };
+
+  const isLastStep = step === STEPS.length - 1;
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.keyboardAvoid}
+      >
+        {renderStepIndicator()}
+        <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+          <Surface style={styles.formContainer}>
+            {step === 0 && renderAudienceStep()}
+            {step === 1 && renderTemplateStep()}
+            {step === 2 && renderVariablesStep()}
+            {step === 3 && renderSendStep()}
           </Surface>
         </ScrollView>
+
+        {/* Action Buttons */}
+        <View style={styles.buttonContainer}>
+          <Button
+            mode="outlined"
+            onPress={handleBack}
+            style={styles.cancelButton}
+            disabled={isSubmitting}
+          >
+            {step === 0 ? 'Cancel' : 'Back'}
+          </Button>
+
+          <Button
+            mode="contained"
+            onPress={isLastStep ? handleSubmit : handleNext}
+            style={styles.saveButton}
+            disabled={isSubmitting || isUploading}
+            loading={isSubmitting}
+            icon={isLastStep ? (sendMode === 'schedule' ? 'clock-check-outline' : 'send') : undefined}
+          >
+            {!isLastStep ? 'Next' : sendMode === 'schedule' ? 'Schedule Broadcast' : 'Send Broadcast'}
+          </Button>
+        </View>
       </KeyboardAvoidingView>
+
+      <TemplatePickerDialog
+        visible={showTemplatePicker}
+        onClose={() => setShowTemplatePicker(false)}
+        templates={approvedTemplates}
+        onSelect={handleTemplateSelect}
+      />
+
+      <ScheduleTimePicker
+        visible={showSchedulePicker}
+        initialTime={scheduledAt}
+        title="Schedule broadcast"
+        onConfirm={(time) => {
+          setScheduledAt(time);
+          setShowSchedulePicker(false);
+          clearError('schedule');
+        }}
+        onClose={() => {
+          setShowSchedulePicker(false);
+          if (!scheduledAt) setSendMode('now');
+        }}
+      />
     </SafeAreaView>
   );
 }
@@ -359,27 +817,54 @@ const styles = StyleSheet.create({
     padding: 20,
     elevation: 2,
   },
-  title: {
+  stepIndicator: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingTop: 16,
+  },
+  stepItem: {
+    flex: 1,
+    alignItems: 'center',
+    gap: 4,
+  },
+  stepDot: {
+    width: 26,
+    height: 26,
+    borderRadius: 13,
+    backgroundColor: colors.grey[300],
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepDotActive: {
+    backgroundColor: chatColors.primary,
+  },
+  stepNumber: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  stepNumberActive: {
+    color: colors.common.white,
+  },
+  stepLabel: {
+    fontSize: 12,
+    color: colors.text.secondary,
+  },
+  stepLabelActive: {
     color: colors.text.primary,
-    fontWeight: '700',
-    marginBottom: 8,
+    fontWeight: '600',
   },
-  subtitle: {
+  stepHint: {
     color: colors.text.secondary,
-    marginBottom: 24,
+    marginBottom: 16,
   },
   inputGroup: {
     marginBottom: 20,
   },
   input: {
     backgroundColor: colors.background.paper,
-  },
-  characterCount: {
-    alignItems: 'flex-end',
-    marginTop: 4,
-  },
-  characterCountText: {
-    color: colors.text.secondary,
+    marginTop: 8,
   },
   sectionTitle: {
     color: colors.text.primary,
@@ -408,7 +893,6 @@ const styles = StyleSheet.create({
     color: colors.text.secondary,
   },
   selectedSummary: {
-    marginBottom: 20,
     padding: 12,
     backgroundColor: colors.primary.lighter,
     borderRadius: 8,
@@ -427,14 +911,123 @@ const styles = StyleSheet.create({
     marginRight: 4,
     marginBottom: 4,
   },
+  templatePickerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    padding: 14,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+  },
+  templatePickerRowError: {
+    borderColor: colors.error.main,
+  },
+  templatePickerText: {
+    flex: 1,
+  },
+  templatePickerTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  templatePickerSubtitle: {
+    fontSize: 12,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  uploadBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginTop: 16,
+    padding: 14,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: colors.grey[400],
+  },
+  uploadBoxError: {
+    borderColor: colors.error.main,
+  },
+  previewContainer: {
+    marginTop: 16,
+  },
+  variableCard: {
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: colors.background.neutral,
+    marginBottom: 12,
+  },
+  variableTitle: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: colors.text.primary,
+    marginBottom: 8,
+  },
+  variableSubtitle: {
+    fontSize: 13,
+    fontWeight: '400',
+    color: colors.text.secondary,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 4,
+  },
+  optionChip: {
+    backgroundColor: colors.background.paper,
+  },
+  optionChipSelected: {
+    backgroundColor: chatColors.primary + '20',
+  },
+  emptyOptionText: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginVertical: 4,
+  },
+  sendOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    padding: 14,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    marginBottom: 12,
+  },
+  sendOptionSelected: {
+    borderColor: chatColors.primary,
+    backgroundColor: chatColors.primary + '0D',
+  },
+  changeText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: chatColors.primary,
+  },
+  summaryBox: {
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: colors.primary.lighter,
+    gap: 4,
+    marginVertical: 12,
+  },
+  summaryRow: {
+    fontSize: 14,
+    color: colors.text.primary,
+  },
+  summaryLabel: {
+    fontWeight: '600',
+  },
   testSection: {
-    marginBottom: 24,
     padding: 12,
     backgroundColor: colors.info.lighter,
     borderRadius: 8,
   },
   testButton: {
     borderColor: colors.info.main,
+    marginTop: 8,
     marginBottom: 8,
   },
   testHelperText: {
@@ -445,6 +1038,11 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     justifyContent: 'space-between',
     gap: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: colors.background.paper,
+    borderTopWidth: 1,
+    borderTopColor: colors.grey[200],
   },
   cancelButton: {
     flex: 1,
@@ -0,0 +1,823 @@
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  StyleSheet,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+  TouchableOpacity,
+} from 'react-native';
+import { Text, TextInput, Button, Surface, HelperText, ActivityIndicator } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import * as DocumentPicker from 'expo-document-picker';
+import { useDispatch } from 'react-redux';
+import { createTemplate } from '../redux/slices/templateSlice';
+import { fetchTemplateStatsWithCache } from '../redux/cacheThunks';
+import { uploadToMediaLibrary, validateFileSize } from '../services/fileUploadService';
+import { MessagePreviewBubble } from '../components/common';
+import { useNetwork } from '../contexts/NetworkContext';
+import { colors, chatColors } from '../theme/colors';
+import { showSuccess, showError, showWarning } from '../utils/toast';
+import {
+  TEMPLATE_LIMITS,
+  TEMPLATE_CATEGORIES,
+  TEMPLATE_LANGUAGES,
+  HEADER_FORMATS,
+  extractVariables,
+  getNextVariable,
+  createEmptyTemplateForm,
+  validateTemplateForm,
+  buildTemplateComponents,
+  buildTemplatePayload,
+} from '../utils/templateHelpers';
+
+const HEADER_FORMAT_CONFIG = {
+  NONE: { label: 'None', icon: 'close-circle-outline' },
+  TEXT: { label: 'Text', icon: 'format-text' },
+  IMAGE: { label: 'Image', icon: 'image-outline' },
+  VIDEO: { label: 'Video', icon: 'video-outline' },
+  DOCUMENT: { label: 'Document', icon: 'file-document-outline' },
+};
+
+const BUTTON_TYPE_CONFIG = {
+  QUICK_REPLY: { label: 'Quick reply', icon: 'reply' },
+  URL: { label: 'Website', icon: 'open-in-new' },
+  PHONE_NUMBER: { label: 'Call', icon: 'phone' },
+};
+
+// Text for each {{n}} occurrence, in order — MessagePreview substitutes by position
+const getPreviewParams = (text, samples) => {
+  const params = {};
+  [...(text || '').matchAll(/\{\{\s*(\d+)\s*\}\}/g)].forEach((match, index) => {
+    const sample = samples[match[1]]?.trim();
+    if (sample) params[index] = sample;
+  });
+  return params;
+};
+
+export default function CreateTemplateScreen({ navigation }) {
+  const dispatch = useDispatch();
+  const { isOffline } = useNetwork();
+
+  const [form, setForm] = useState(createEmptyTemplateForm);
+  const [errors, setErrors] = useState({});
+  const [isUploading, setIsUploading] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const bodyVariables = useMemo(
+    () => extractVariables(form.body).sort((a, b) => a - b),
+    [form.body]
+  );
+  const hasHeaderVariable = form.headerFormat === 'TEXT' && extractVariables(form.headerText).length > 0;
+
+  const previewTemplate = useMemo(() => {
+    if (!form.body.trim() && form.headerFormat === 'NONE') return null;
+    return { name: form.name, components: buildTemplateComponents(form) };
+  }, [form]);
+
+  const updateForm = (changes) => {
+    setForm((prev) => ({ ...prev, ...changes }));
+
+    // Clear errors for the fields being edited
+    const keys = Object.keys(changes);
+    if (keys.some((key) => errors[key] || (key === 'body' && errors.bodySamples))) {
+      setErrors((prev) => {
+        const next = { ...prev };
+        keys.forEach((key) => delete next[key]);
+        if (keys.includes('body')) delete next.bodySamples;
+        return next;
+      });
+    }
+  };
+
+  const handleNameChange = (value) => {
+    // Meta names are lowercase snake_case
+    updateForm({ name: value.toLowerCase().replace(/\s+/g, '_') });
+  };
+
+  const handleHeaderFormatChange = (headerFormat) => {
+    if (headerFormat === form.headerFormat) return;
+    updateForm({ headerFormat, headerFile: null });
+    setErrors((prev) => ({ ...prev, headerText: undefined, headerSample: undefined, headerFile: undefined }));
+  };
+
+  const handleBodySampleChange = (number, value) => {
+    setForm((prev) => ({ ...prev, bodySamples: { ...prev.bodySamples, [number]: value } }));
+    if (errors.bodySamples) {
+      setErrors((prev) => ({ ...prev, bodySamples: undefined }));
+    }
+  };
+
+  // ==================== HEADER MEDIA ====================
+
+  const pickHeaderFile = async () => {
+    if (form.headerFormat === 'DOCUMENT') {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: 'application/pdf',
+        copyToCacheDirectory: true,
+      });
+      const doc = result.assets?.[0] || (result.type === 'success' ? result : null);
+      if (!doc?.uri) return null;
+      return {
+        fileUrl: doc.uri,
+        fileName: doc.name || `document_${Date.now()}.pdf`,
+        fileType: 'document',
+        fileSize: doc.size,
+        mimeType: doc.mimeType || 'application/pdf',
+      };
+    }
+
+    const isVideo = form.headerFormat === 'VIDEO';
+    const permission = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (!permission.granted) {
+      showWarning('Permission to access gallery is required', 'Permission Required');
+      return null;
+    }
+
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: isVideo ? ImagePicker.MediaTypeOptions.Videos : ImagePicker.MediaTypeOptions.Images,
+      allowsEditing: false,
+      quality: 0.8,
+      exif: false,
+    });
+    if (result.canceled || !result.assets?.[0]) return null;
+
+    const asset = result.assets[0];
+    return {
+      fileUrl: asset.uri,
+      fileName: asset.fileName || `${isVideo ? 'video' : 'image'}_${Date.now()}.${isVideo ? 'mp4' : 'jpg'}`,
+      fileType: isVideo ? 'video' : 'image',
+      fileSize: asset.fileSize,
+      mimeType: asset.mimeType || (isVideo ? 'video/mp4' : 'image/jpeg'),
+    };
+  };
+
+  const handleUploadHeaderFile = async () => {
+    if (isOffline) {
+      showWarning('Connect to the internet to upload a sample file');
+      return;
+    }
+
+    try {
+      const file = await pickHeaderFile();
+      if (!file) return;
+
+      if (file.fileSize) {
+        const sizeCheck = validateFileSize(file.fileSize, file.fileType);
+        if (!sizeCheck.valid) {
+          showError(sizeCheck.message, 'File Too Large');
+          return;
+        }
+      }
+
+      setIsUploading(true);
+      const uploaded = await uploadToMediaLibrary(file);
+      if (!uploaded?.url) {
+        throw new Error('Upload did not return a file URL');
+      }
+
+      updateForm({
+        headerFile: { url: uploaded.url, fileName: uploaded.fileName || file.fileName, mimeType: uploaded.mimeType },
+      });
+    } catch (error) {
+      showError(error.message || 'Failed to upload file. Please try again.');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  // ==================== BUTTONS ====================
+
+  const buttonCounts = useMemo(() => ({
+    total: form.buttons.length,
+    URL: form.buttons.filter((button) => button.type === 'URL').length,
+    PHONE_NUMBER: form.buttons.filter((button) => button.type === 'PHONE_NUMBER').length,
+  }), [form.buttons]);
+
+  const canAddButton = (type) => {
+    if (buttonCounts.total >= TEMPLATE_LIMITS.totalButtons) return false;
+    if (type === 'URL') return buttonCounts.URL < TEMPLATE_LIMITS.urlButtons;
+    if (type === 'PHONE_NUMBER') return buttonCounts.PHONE_NUMBER < TEMPLATE_LIMITS.phoneButtons;
+    return true;
+  };
+
+  const addButton = (type) => {
+    if (!canAddButton(type)) return;
+    updateForm({ buttons: [...form.buttons, { type, text: '', url: '', urlSample: '', phoneNumber: '' }] });
+    setErrors((prev) => ({ ...prev, buttons: undefined }));
+  };
+
+  const updateButton = (index, changes) => {
+    setForm((prev) => ({
+      ...prev,
+      buttons: prev.buttons.map((button, i) => (i === index ? { ...button, ...changes } : button)),
+    }));
+    if (errors[`button_${index}`]) {
+      setErrors((prev) => ({ ...prev, [`button_${index}`]: undefined }));
+    }
+  };
+
+  const removeButton = (index) => {
+    setForm((prev) => ({ ...prev, buttons: prev.buttons.filter((_, i) => i !== index) }));
+    // Indexes shift — drop all per-button errors
+    setErrors((prev) => {
+      const next = { ...prev };
+      Object.keys(next).filter((key) => key.startsWith('button')).forEach((key) => delete next[key]);
+      return next;
+    });
+  };
+
+  // ==================== SUBMIT ====================
+
+  const handleSubmit = async () => {
+    const validationErrors = validateTemplateForm(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      showWarning('Please fix the highlighted fields', 'Template Incomplete');
+      return;
+    }
+
+    if (isOffline) {
+      showWarning('Connect to the internet to submit the template');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await dispatch(createTemplate(buildTemplatePayload(form))).unwrap();
+      dispatch(fetchTemplateStatsWithCache({ forceRefresh: true }));
+      showSuccess('Meta will review it shortly. You will see the status change here.', 'Template Submitted');
+      navigation.goBack();
+    } catch (error) {
+      showError(typeof error === 'string' ? error : 'Failed to create template');
+      setIsSubmitting(false);
+    }
+  };
+
+  // ==================== RENDER ====================
+
+  const renderChips = (options, selectedValue, onSelect) => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+      {options.map((option) => {
+        const isSelected = option.value === selectedValue;
+        return (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.chip, isSelected && styles.chipSelected]}
+            onPress={() => onSelect(option.value)}
+            disabled={isSubmitting}
+            activeOpacity={0.7}
+          >
+            {option.icon && (
+              <Icon name={option.icon} size={16} color={isSelected ? colors.common.white : colors.text.secondary} />
+            )}
+            <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>{option.label}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </ScrollView>
+  );
+
+  const renderCounter = (value, limit) => (
+    <Text style={[styles.counter, value.length > limit && styles.counterError]}>
+      {value.length}/{limit}
+    </Text>
+  );
+
+  const renderHeaderSection = () => (
+    <Surface style={styles.section}>
+      <Text style={styles.sectionTitle}>Header</Text>
+      <Text style={styles.sectionHint}>Optional. A title or media shown above the message.</Text>
+      {renderChips(
+        HEADER_FORMATS.map((format) => ({ value: format, ...HEADER_FORMAT_CONFIG[format] })),
+        form.headerFormat,
+        handleHeaderFormatChange
+      )}
+
+      {form.headerFormat === 'TEXT' && (
+        <View style={styles.inputGroup}>
+          <TextInput
+            label="Header text"
+            value={form.headerText}
+            onChangeText={(value) => updateForm({ headerText: value })}
+            mode="outlined"
+            style={styles.input}
+            error={!!errors.headerText}
+            disabled={isSubmitting}
+          />
+          <View style={styles.inputFooter}>
+            <TouchableOpacity
+              onPress={() => updateForm({ headerText: `${form.headerText}{{1}}` })}
+              disabled={hasHeaderVariable || isSubmitting}
+            >
+              <Text style={[styles.linkText, hasHeaderVariable && styles.linkTextDisabled]}>+ Add variable</Text>
+            </TouchableOpacity>
+            {renderCounter(form.headerText, TEMPLATE_LIMITS.headerText)}
+          </View>
+          {errors.headerText ? <HelperText type="error">{errors.headerText}</HelperText> : null}
+
+          {hasHeaderVariable && (
+            <>
+              <TextInput
+                label="Sample for {{1}}"
+                value={form.headerSample}
+                onChangeText={(value) => updateForm({ headerSample: value })}
+                mode="outlined"
+                dense
+                style={[styles.input, styles.sampleInput]}
+                error={!!errors.headerSample}
+                disabled={isSubmitting}
+              />
+              {errors.headerSample ? <HelperText type="error">{errors.headerSample}</HelperText> : null}
+            </>
+          )}
+        </View>
+      )}
+
+      {['IMAGE', 'VIDEO', 'DOCUMENT'].includes(form.headerFormat) && (
+        <View style={styles.inputGroup}>
+          <TouchableOpacity
+            style={[styles.uploadBox, !!errors.headerFile && styles.uploadBoxError]}
+            onPress={handleUploadHeaderFile}
+            disabled={isUploading || isSubmitting}
+            activeOpacity={0.7}
+          >
+            {isUploading ? (
+              <ActivityIndicator size="small" color={chatColors.primary} />
+            ) : (
+              <Icon
+                name={form.headerFile ? 'check-circle' : HEADER_FORMAT_CONFIG[form.headerFormat].icon}
+                size={24}
+                color={form.headerFile ? chatColors.primary : colors.text.secondary}
+              />
+            )}
+            <View style={styles.uploadTextContainer}>
+              <Text style={styles.uploadTitle} numberOfLines={1}>
+                {isUploading
+                  ? 'Uploading...'
+                  : form.headerFile?.fileName || `Upload sample ${form.headerFormat.toLowerCase()}`}
+              </Text>
+              <Text style={styles.uploadHint}>
+                {form.headerFile ? 'Tap to replace' : 'Meta uses this sample to review the template'}
+              </Text>
+            </View>
+          </TouchableOpacity>
+          {errors.headerFile ? <HelperText type="error">{errors.headerFile}</HelperText> : null}
+        </View>
+      )}
+    </Surface>
+  );
+
+  const renderBodySection = () => (
+    <Surface style={styles.section}>
+      <Text style={styles.sectionTitle}>Body *</Text>
+      <Text style={styles.sectionHint}>
+        Use {'{{1}}'}, {'{{2}}'}... for values filled in when sending. Supports *bold*, _italic_ and ~strike~.
+      </Text>
+      <TextInput
+        label="Message"
+        value={form.body}
+        onChangeText={(value) => updateForm({ body: value })}
+        mode="outlined"
+        style={[styles.input, styles.bodyInput]}
+        error={!!errors.body}
+        disabled={isSubmitting}
+        multiline
+      />
+      <View style={styles.inputFooter}>
+        <TouchableOpacity
+          onPress={() => updateForm({ body: `${form.body}${getNextVariable(form.body)}` })}
+          disabled={isSubmitting}
+        >
+          <Text style={styles.linkText}>+ Add variable</Text>
+        </TouchableOpacity>
+        {renderCounter(form.body, TEMPLATE_LIMITS.body)}
+      </View>
+      {errors.body ? <HelperText type="error">{errors.body}</HelperText> : null}
+
+      {bodyVariables.length > 0 && (
+        <View style={styles.samplesContainer}>
+          <Text style={styles.samplesTitle}>Sample values</Text>
+          {bodyVariables.map((number) => (
+            <TextInput
+              key={number}
+              label={`Sample for {{${number}}}`}
+              value={form.bodySamples[number] || ''}
+              onChangeText={(value) => handleBodySampleChange(number, value)}
+              mode="outlined"
+              dense
+              style={[styles.input, styles.sampleInput]}
+              error={!!errors.bodySamples && !form.bodySamples[number]?.trim()}
+              disabled={isSubmitting}
+            />
+          ))}
+          {errors.bodySamples ? <HelperText type="error">{errors.bodySamples}</HelperText> : null}
+        </View>
+      )}
+    </Surface>
+  );
+
+  const renderButtonItem = (button, index) => {
+    const config = BUTTON_TYPE_CONFIG[button.type];
+    const error = errors[`button_${index}`];
+    const hasUrlVariable = button.type === 'URL' && extractVariables(button.url).length > 0;
+
+    return (
+      <View key={index} style={styles.buttonItem}>
+        <View style={styles.buttonItemHeader}>
+          <Icon name={config.icon} size={16} color={chatColors.primary} />
+          <Text style={styles.buttonItemTitle}>{config.label}</Text>
+          <TouchableOpacity onPress={() => removeButton(index)} disabled={isSubmitting}>
+            <Icon name="close" size={20} color={colors.text.secondary} />
+          </TouchableOpacity>
+        </View>
+
+        <TextInput
+          label="Button text"
+          value={button.text}
+          onChangeText={(value) => updateButton(index, { text: value })}
+          mode="outlined"
+          dense
+          style={styles.input}
+          maxLength={TEMPLATE_LIMITS.buttonText}
+          disabled={isSubmitting}
+        />
+
+        {button.type === 'URL' && (
+          <>
+            <TextInput
+              label="Website URL"
+              value={button.url}
+              onChangeText={(value) => updateButton(index, { url: value })}
+              mode="outlined"
+              dense
+              style={[styles.input, styles.sampleInput]}
+              placeholder="https://example.com/order/{{1}}"
+              keyboardType="url"
+              autoCapitalize="none"
+              disabled={isSubmitting}
+            />
+            {hasUrlVariable && (
+              <TextInput
+                label="Sample for {{1}}"
+                value={button.urlSample}
+                onChangeText={(value) => updateButton(index, { urlSample: value })}
+                mode="outlined"
+                dense
+                style={[styles.input, styles.sampleInput]}
+                autoCapitalize="none"
+                disabled={isSubmitting}
+              />
+            )}
+          </>
+        )}
+
+        {button.type === 'PHONE_NUMBER' && (
+          <TextInput
+            label="Phone number"
+            value={button.phoneNumber}
+            onChangeText={(value) => updateButton(index, { phoneNumber: value })}
+            mode="outlined"
+            dense
+            style={[styles.input, styles.sampleInput]}
+            placeholder="+14155550123"
+            keyboardType="phone-pad"
+            disabled={isSubmitting}
+          />
+        )}
+
+        {error ? <HelperText type="error">{error}</HelperText> : null}
+      </View>
+    );
+  };
+
+  const renderButtonsSection = () => (
+    <Surface style={styles.section}>
+      <Text style={styles.sectionTitle}>Buttons</Text>
+      <Text style={styles.sectionHint}>
+        Optional. Up to {TEMPLATE_LIMITS.totalButtons} buttons: quick replies, {TEMPLATE_LIMITS.urlButtons} websites and 1 phone number.
+      </Text>
+
+      {form.buttons.map(renderButtonItem)}
+      {errors.buttons ? <HelperText type="error">{errors.buttons}</HelperText> : null}
+
+      <View style={styles.addButtonRow}>
+        {Object.entries(BUTTON_TYPE_CONFIG).map(([type, config]) => {
+          const enabled = canAddButton(type) && !isSubmitting;
+          return (
+            <TouchableOpacity
+              key={type}
+              style={[styles.addButton, !enabled && styles.addButtonDisabled]}
+              onPress={() => addButton(type)}
+              disabled={!enabled}
+            >
+              <Icon name="plus" size={16} color={enabled ? chatColors.primary : colors.grey[400]} />
+              <Text style={[styles.addButtonText, !enabled && styles.addButtonTextDisabled]}>{config.label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </Surface>
+  );
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.keyboardAvoid}
+      >
+        <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+          {/* Basics */}
+          <Surface style={styles.section}>
+            <Text style={styles.sectionTitle}>Template details</Text>
+            <TextInput
+              label="Template name *"
+              value={form.name}
+              onChangeText={handleNameChange}
+              mode="outlined"
+              style={styles.input}
+              error={!!errors.name}
+              disabled={isSubmitting}
+              placeholder="order_update"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            {errors.name ? (
+              <HelperText type="error">{errors.name}</HelperText>
+            ) : (
+              <HelperText type="info">Lowercase letters, numbers and underscores</HelperText>
+            )}
+
+            <Text style={styles.fieldLabel}>Category</Text>
+            {renderChips(TEMPLATE_CATEGORIES, form.category, (category) => updateForm({ category }))}
+            <Text style={styles.fieldHint}>
+              {TEMPLATE_CATEGORIES.find((category) => category.value === form.category)?.hint}
+            </Text>
+
+            <Text style={styles.fieldLabel}>Language</Text>
+            {renderChips(
+              TEMPLATE_LANGUAGES.map((language) => ({ value: language.code, label: language.label })),
+              form.language,
+              (language) => updateForm({ language })
+            )}
+          </Surface>
+
+          {renderHeaderSection()}
+          {renderBodySection()}
+
+          {/* Footer */}
+          <Surface style={styles.section}>
+            <Text style={styles.sectionTitle}>Footer</Text>
+            <TextInput
+              label="Footer text (optional)"
+              value={form.footer}
+              onChangeText={(value) => updateForm({ footer: value })}
+              mode="outlined"
+              style={styles.input}
+              error={!!errors.footer}
+              disabled={isSubmitting}
+            />
+            <View style={styles.inputFooter}>
+              <View />
+              {renderCounter(form.footer, TEMPLATE_LIMITS.footer)}
+            </View>
+            {errors.footer ? <HelperText type="error">{errors.footer}</HelperText> : null}
+          </Surface>
+
+          {renderButtonsSection()}
+
+          {/* Live preview */}
+          <Surface style={styles.section}>
+            <Text style={styles.sectionTitle}>Preview</Text>
+            <MessagePreviewBubble
+              mode="template"
+              templateData={previewTemplate}
+              bodyParams={getPreviewParams(form.body, form.bodySamples)}
+              headerParams={form.headerSample.trim() ? { 0: form.headerSample.trim() } : {}}
+              headerFileUrl={form.headerFile?.url || ''}
+              showActualMedia={!!form.headerFile?.url}
+              buttonsInsideBubble={true}
+              showTypeBadge={false}
+              emptyTitle="Nothing to preview yet"
+              emptyHint="Start writing the message body"
+            />
+          </Surface>
+
+          <View style={styles.actionRow}>
+            <Button
+              mode="outlined"
+              onPress={() => navigation.goBack()}
+              style={styles.cancelButton}
+              disabled={isSubmitting}
+            >
+              Cancel
+            </Button>
+            <Button
+              mode="contained"
+              onPress={handleSubmit}
+              style={styles.submitButton}
+              loading={isSubmitting}
+              disabled={isSubmitting || isUploading}
+            >
+              Submit for review
+            </Button>
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background.default,
+  },
+  keyboardAvoid: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 16,
+    gap: 12,
+  },
+  section: {
+    backgroundColor: colors.background.paper,
+    borderRadius: 12,
+    padding: 16,
+    elevation: 1,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: colors.text.primary,
+    marginBottom: 4,
+  },
+  sectionHint: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginBottom: 12,
+  },
+  fieldLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.text.secondary,
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  fieldHint: {
+    fontSize: 12,
+    color: colors.text.tertiary,
+    marginTop: 6,
+  },
+  inputGroup: {
+    marginTop: 12,
+  },
+  input: {
+    backgroundColor: colors.background.paper,
+  },
+  bodyInput: {
+    minHeight: 120,
+    textAlignVertical: 'top',
+  },
+  sampleInput: {
+    marginTop: 8,
+  },
+  inputFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  linkText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: chatColors.primary,
+  },
+  linkTextDisabled: {
+    color: colors.grey[400],
+  },
+  counter: {
+    fontSize: 12,
+    color: colors.text.tertiary,
+  },
+  counterError: {
+    color: colors.error.main,
+  },
+  chipRow: {
+    gap: 8,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: colors.grey[100],
+  },
+  chipSelected: {
+    backgroundColor: chatColors.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: colors.text.primary,
+  },
+  chipTextSelected: {
+    color: colors.common.white,
+    fontWeight: '600',
+  },
+  uploadBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    padding: 14,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: colors.grey[400],
+  },
+  uploadBoxError: {
+    borderColor: colors.error.main,
+  },
+  uploadTextContainer: {
+    flex: 1,
+  },
+  uploadTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  uploadHint: {
+    fontSize: 12,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  samplesContainer: {
+    marginTop: 12,
+  },
+  samplesTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  buttonItem: {
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: colors.grey[50],
+    marginBottom: 10,
+  },
+  buttonItemHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 8,
+  },
+  buttonItemTitle: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  addButtonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: chatColors.primary,
+  },
+  addButtonDisabled: {
+    borderColor: colors.grey[300],
+  },
+  addButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: chatColors.primary,
+  },
+  addButtonTextDisabled: {
+    color: colors.grey[400],
+  },
+  actionRow: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 4,
+    marginBottom: 16,
+  },
+  cancelButton: {
+    flex: 1,
+    borderColor: colors.grey[400],
+  },
+  submitButton: {
+    flex: 1,
+    backgroundColor: colors.primary.main,
+  },
+});
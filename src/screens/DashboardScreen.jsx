@@ -9,6 +9,7 @@ import {
   Easing,
   Modal,
   StatusBar,
+  BackHandler,
 } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Text, ActivityIndicator, Button } from 'react-native-paper';
@@ -19,6 +20,7 @@ import PabblyIcon from '../components/PabblyIcon';
 import {
   setFolderFilter,
   syncWhatsAppBusinessInfo,
+  moveItemsToAnotherFolder,
   clearDashboardError
 } from '../redux/slices/dashboardSlice';
 import { getSettings } from '../redux/slices/settingsSlice';
@@ -41,6 +43,8 @@ import { clearInboxData, fetchChats } from '../redux/slices/inboxSlice';
 import { clearContactsData } from '../redux/slices/contactSlice';
 import { useNetwork } from '../contexts/NetworkContext';
 import { cacheManager } from '../database/CacheManager';
+import { showError, showSuccess } from '../utils/toast';
+import { HOME_FOLDER_NAME, findDefaultFolder } from '../utils/folderTreeHelpers';
 
 // Import reusable components
 import {
@@ -57,7 +61,7 @@ import {
   DashboardSkeleton,
   SectionHeaderSkeleton,
 } from '../components/common';
-import { WhatsAppNumberCard } from '../components/dashboard';
+import { WhatsAppNumberCard, FolderManagerSheet } from '../components/dashboard';
 
 export default function DashboardScreen() {
   const dispatch = useDispatch();
@@ -68,6 +72,12 @@ export default function DashboardScreen() {
   const [accessingSharedId, setAccessingSharedId] = useState(null);
   const [exitingTeamMember, setExitingTeamMember] = useState(false);
 
+  // Folder management: sheet mode ('manage' | 'move') and WA numbers selected for a move
+  const [folderSheetMode, setFolderSheetMode] = useState(null);
+  const [selectedNumberIds, setSelectedNumberIds] = useState([]);
+  const [isMovingNumbers, setIsMovingNumbers] = useState(false);
+  const isNumberSelectionMode = selectedNumberIds.length > 0;
+
   // Folder scroll UX: auto-scroll active folder into view
   const foldersScrollRef = useRef(null);
   const folderItemLayoutsRef = useRef({});
@@ -371,6 +381,29 @@ export default function DashboardScreen() {
     fetchWANumbers();
   }, [fetchWANumbers]);
 
+  // A selection only applies to the folder it was made in
+  useEffect(() => {
+    setSelectedNumberIds([]);
+  }, [selectedFolder?._id]);
+
+  // Keep the selected folder in step with the tree after a rename
+  useEffect(() => {
+    const latest = findFolderById(folders, selectedFolder?._id);
+    if (latest && latest.name !== selectedFolder.name) {
+      dispatch(setFolderFilter(latest));
+    }
+  }, [folders, selectedFolder, dispatch, findFolderById]);
+
+  // Hardware back clears the number selection first
+  useEffect(() => {
+    if (!isNumberSelectionMode) return undefined;
+    const subscription = BackHandler.addEventListener('hardwareBackPress', () => {
+      setSelectedNumberIds([]);
+      return true;
+    });
+    return () => subscription.remove();
+  }, [isNumberSelectionMode]);
+
   // Auto-access the first WhatsApp number if no settingId is set
   // This matches web app behavior where the first number is accessed by default
   useEffect(() => {
@@ -465,6 +498,47 @@ export default function DashboardScreen() {
     }
   }, [dispatch]);
 
+  const toggleNumberSelection = useCallback((numberId) => {
+    setSelectedNumberIds((prev) => (
+      prev.includes(numberId) ? prev.filter((id) => id !== numberId) : [...prev, numberId]
+    ));
+  }, []);
+
+  const openFolderSheet = (mode) => {
+    if (isOffline) {
+      showError('Connect to the internet to manage folders', "You're Offline");
+      return;
+    }
+    setFolderSheetMode(mode);
+  };
+
+  const handleMoveNumbers = async (folder) => {
+    const count = selectedNumberIds.length;
+    setIsMovingNumbers(true);
+    try {
+      await dispatch(moveItemsToAnotherFolder({
+        id: folder._id,
+        bodyData: { itemIds: selectedNumberIds },
+        fromFolderId: selectedFolder?._id || null,
+      })).unwrap();
+      showSuccess(`${count} ${count === 1 ? 'number' : 'numbers'} moved to ${folder.name}`, 'Moved');
+      setSelectedNumberIds([]);
+      setFolderSheetMode(null);
+      dispatch(fetchFoldersWithCache());
+    } catch (error) {
+      showError(typeof error === 'string' ? error : error?.message || 'Failed to move numbers', 'Move Failed');
+    } finally {
+      setIsMovingNumbers(false);
+    }
+  };
+
+  // Deleting the folder being viewed falls back to Home
+  const handleFoldersDeleted = useCallback((folderIds) => {
+    if (!selectedFolder?._id || !folderIds.includes(selectedFolder._id)) return;
+    const homeFolder = findDefaultFolder(folders, HOME_FOLDER_NAME);
+    if (homeFolder) handleFolderSelect(homeFolder);
+  }, [selectedFolder, folders, handleFolderSelect]);
+
   // Sync WhatsApp Business Info handler
   const handleSyncWhatsAppInfo = async (numberId) => {
     setSyncingId(numberId);
@@ -891,6 +965,22 @@ export default function DashboardScreen() {
 
     return (
       <View style={styles.cardList}>
+        {isNumberSelectionMode && (
+          <View style={styles.selectionBar}>
+            <TouchableOpacity onPress={() => setSelectedNumberIds([])} style={styles.selectionClose}>
+              <Icon name="close" size={20} color={colors.common.white} />
+            </TouchableOpacity>
+            <Text style={styles.selectionCount}>{selectedNumberIds.length} selected</Text>
+            <TouchableOpacity
+              style={styles.selectionMoveButton}
+              onPress={() => openFolderSheet('move')}
+              activeOpacity={0.8}
+            >
+              <Icon name="folder-move-outline" size={16} color={colors.primary.main} />
+              <Text style={styles.selectionMoveText}>Move</Text>
+            </TouchableOpacity>
+          </View>
+        )}
         {whatsappNumbers.map((number, index) => (
           <WhatsAppNumberCard
             key={number._id || index}
@@ -901,6 +991,9 @@ export default function DashboardScreen() {
             totalQuota={totalQuota}
             onAccess={() => handleAccessInbox(number._id)}
             onSync={() => handleSyncWhatsAppInfo(number._id)}
+            isSelectionMode={isNumberSelectionMode}
+            isSelected={selectedNumberIds.includes(number._id)}
+            onToggleSelect={isTeamMemberLoggedIn ? undefined : () => toggleNumberSelection(number._id)}
           />
         ))}
       </View>
@@ -1065,6 +1158,16 @@ export default function DashboardScreen() {
             icon="folder-outline"
             iconColor="#F59E0B"
             count={foldersCount}
+            right={!isTeamMemberLoggedIn && (
+              <TouchableOpacity
+                style={styles.manageFoldersButton}
+                onPress={() => openFolderSheet('manage')}
+                activeOpacity={0.7}
+              >
+                <Icon name="folder-cog-outline" size={16} color={colors.primary.main} />
+                <Text style={styles.manageFoldersText}>Manage</Text>
+              </TouchableOpacity>
+            )}
           />
           {renderFolders()}
         </View>
@@ -1110,6 +1213,19 @@ export default function DashboardScreen() {
         <View style={styles.bottomSpace} />
       </ScrollView>
 
+      <FolderManagerSheet
+        visible={!!folderSheetMode}
+        mode={folderSheetMode || 'manage'}
+        folders={folders}
+        selectedFolder={selectedFolder}
+        moveCount={selectedNumberIds.length}
+        isMoving={isMovingNumbers}
+        onClose={() => setFolderSheetMode(null)}
+        onFolderSelect={handleFolderSelect}
+        onMove={handleMoveNumbers}
+        onFoldersDeleted={handleFoldersDeleted}
+      />
+
       {/* Team-member account switching overlay with animated P logo - Full screen Modal */}
       <Modal
         visible={!!(accessingSharedId || exitingTeamMember)}
@@ -1247,6 +1363,54 @@ const styles = StyleSheet.create({
   section: {
     marginBottom: 20,
   },
+  manageFoldersButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 12,
+    backgroundColor: colors.primary.main + '15',
+  },
+  manageFoldersText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.primary.main,
+  },
+
+  // Number selection (move to folder)
+  selectionBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+    borderRadius: 14,
+    backgroundColor: colors.primary.main,
+  },
+  selectionClose: {
+    padding: 4,
+  },
+  selectionCount: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '700',
+    color: colors.common.white,
+  },
+  selectionMoveButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 10,
+    backgroundColor: colors.common.white,
+  },
+  selectionMoveText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.primary.main,
+  },
 
   // Stats Grid
   statsGrid: {
@@ -0,0 +1,394 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import {
+  View,
+  StyleSheet,
+  FlatList,
+  RefreshControl,
+} from 'react-native';
+import { Text, ActivityIndicator } from 'react-native-paper';
+import { useDispatch, useSelector } from 'react-redux';
+import { useRoute } from '@react-navigation/native';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { getFlowHistory, clearFlowHistory } from '../redux/slices/assistantSlice';
+import { useNetwork } from '../contexts/NetworkContext';
+import { colors } from '../theme/colors';
+import ShadowCard from '../components/common/ShadowCard';
+import { showError } from '../utils/toast';
+import { FLOWS_PAGE_SIZE } from '../utils/flowHelpers';
+import { format, formatDistanceStrict } from 'date-fns';
+
+// Execution status configuration (the API reports several spellings)
+const EXECUTION_STATUS = {
+  completed: { label: 'Completed', icon: 'check-circle', color: colors.success.main },
+  failed: { label: 'Failed', icon: 'alert-circle', color: colors.error.main },
+  running: { label: 'Running', icon: 'progress-clock', color: colors.info.main },
+};
+
+const getExecutionStatus = (entry) => {
+  const status = (entry?.status || '').toLowerCase();
+  if (['failed', 'error', 'errored'].includes(status)) return EXECUTION_STATUS.failed;
+  if (['running', 'in_progress', 'inprogress', 'pending', 'waiting'].includes(status)) return EXECUTION_STATUS.running;
+  return EXECUTION_STATUS.completed;
+};
+
+const formatDateTime = (dateString) => {
+  if (!dateString) return null;
+  try {
+    return format(new Date(dateString), 'MMM dd, yyyy · hh:mm a');
+  } catch {
+    return null;
+  }
+};
+
+const formatDuration = (start, end) => {
+  if (!start || !end) return null;
+  try {
+    return formatDistanceStrict(new Date(start), new Date(end));
+  } catch {
+    return null;
+  }
+};
+
+export default function FlowHistoryScreen() {
+  const dispatch = useDispatch();
+  const route = useRoute();
+  const { flowId, flowName } = route.params || {};
+  const { isOffline } = useNetwork();
+
+  const {
+    flowHistory,
+    flowHistoryStatus,
+    flowHistoryError,
+    flowHistoryTotal,
+  } = useSelector((state) => state.assistant);
+
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+
+  const hasMore = flowHistory.length < flowHistoryTotal;
+
+  // History is always read live; it is cleared when leaving so another flow never shows stale runs
+  useEffect(() => {
+    if (flowId && !isOffline) {
+      dispatch(getFlowHistory({ id: flowId, page: 0 }));
+    }
+    return () => {
+      dispatch(clearFlowHistory());
+    };
+  }, [flowId]);
+
+  const onRefresh = useCallback(async () => {
+    if (isOffline) {
+      showError('Connect to the internet to load flow history', "You're Offline");
+      return;
+    }
+    setIsRefreshing(true);
+    await dispatch(getFlowHistory({ id: flowId, page: 0 }));
+    setIsRefreshing(false);
+  }, [dispatch, flowId, isOffline]);
+
+  const handleLoadMore = useCallback(async () => {
+    if (!hasMore || isLoadingMore || flowHistoryStatus === 'loading' || isOffline) return;
+    setIsLoadingMore(true);
+    await dispatch(getFlowHistory({ id: flowId, page: Math.floor(flowHistory.length / FLOWS_PAGE_SIZE) }));
+    setIsLoadingMore(false);
+  }, [dispatch, flowId, hasMore, isLoadingMore, flowHistoryStatus, isOffline, flowHistory.length]);
+
+  const renderExecution = ({ item }) => {
+    const statusConfig = getExecutionStatus(item);
+    const contactName = item.contact?.name || item.contactName || item.name;
+    const contactNumber = item.contact?.mobile || item.mobile || item.phoneNumber;
+    const startedAt = item.startedAt || item.createdAt;
+    const duration = formatDuration(startedAt, item.completedAt || item.endedAt);
+    const errorMessage = item.error?.message || item.errorMessage || (typeof item.error === 'string' ? item.error : null);
+    const step = item.currentNode?.name || item.lastNode?.name || item.nodeName;
+
+    return (
+      <ShadowCard variant="card" style={styles.card}>
+        <View style={styles.cardRow}>
+          <View style={[styles.statusIcon, { backgroundColor: statusConfig.color + '15' }]}>
+            <Icon name={statusConfig.icon} size={20} color={statusConfig.color} />
+          </View>
+          <View style={styles.cardContent}>
+            <View style={styles.cardTopRow}>
+              <Text style={styles.contactName} numberOfLines={1}>
+                {contactName || contactNumber || 'Unknown contact'}
+              </Text>
+              <Text style={[styles.statusText, { color: statusConfig.color }]}>{statusConfig.label}</Text>
+            </View>
+            {contactName && contactNumber && (
+              <Text style={styles.contactNumber}>{contactNumber}</Text>
+            )}
+            <View style={styles.metaRow}>
+              {formatDateTime(startedAt) && (
+                <View style={styles.metaInfo}>
+                  <Icon name="clock-outline" size={13} color={colors.text.tertiary} />
+                  <Text style={styles.metaText}>{formatDateTime(startedAt)}</Text>
+                </View>
+              )}
+              {duration && (
+                <View style={styles.metaInfo}>
+                  <Icon name="timer-outline" size={13} color={colors.text.tertiary} />
+                  <Text style={styles.metaText}>{duration}</Text>
+                </View>
+              )}
+            </View>
+            {step && (
+              <View style={styles.metaInfo}>
+                <Icon name="ray-vertex" size={13} color={colors.text.tertiary} />
+                <Text style={styles.metaText} numberOfLines={1}>Last step: {step}</Text>
+              </View>
+            )}
+            {errorMessage && (
+              <View style={styles.errorBox}>
+                <Text style={styles.errorText} numberOfLines={3}>{errorMessage}</Text>
+              </View>
+            )}
+          </View>
+        </View>
+      </ShadowCard>
+    );
+  };
+
+  const renderEmpty = () => {
+    if (flowHistoryStatus === 'loading' || (flowHistoryStatus === 'idle' && !isOffline)) {
+      return (
+        <View style={styles.emptyContainer}>
+          <ActivityIndicator size="large" color={colors.primary.main} />
+        </View>
+      );
+    }
+
+    if (isOffline) {
+      return (
+        <View style={styles.emptyContainer}>
+          <View style={styles.emptyIconContainer}>
+            <Icon name="wifi-off" size={64} color="#DC2626" />
+          </View>
+          <Text style={styles.emptyTitle}>You're Offline</Text>
+          <Text style={styles.emptySubtitle}>Connect to the internet to load flow history.</Text>
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.emptyContainer}>
+        <View style={[styles.emptyIconContainer, { backgroundColor: colors.secondary.main + '15' }]}>
+          <Icon name={flowHistoryError ? 'alert-circle-outline' : 'history'} size={64} color={colors.secondary.main} />
+        </View>
+        <Text style={styles.emptyTitle}>{flowHistoryError ? 'Could not load history' : 'No Executions Yet'}</Text>
+        <Text style={styles.emptySubtitle}>
+          {flowHistoryError || 'Runs of this flow will appear here once it is triggered'}
+        </Text>
+      </View>
+    );
+  };
+
+  const renderFooter = () => {
+    if (isLoadingMore) {
+      return (
+        <View style={styles.footerLoader}>
+          <ActivityIndicator size="small" color={colors.primary.main} />
+          <Text style={styles.footerLoaderText}>Loading more...</Text>
+        </View>
+      );
+    }
+
+    if (!hasMore && flowHistory.length > 0) {
+      return (
+        <View style={styles.footerEnd}>
+          <Text style={styles.footerEndText}>Showing all {flowHistory.length} executions</Text>
+        </View>
+      );
+    }
+
+    return <View style={styles.listFooterSpace} />;
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.sectionHeader}>
+        <Text style={styles.sectionTitle} numberOfLines={1}>{flowName || 'Flow'}</Text>
+        <Text style={styles.sectionCount}>
+          {flowHistoryTotal} {flowHistoryTotal === 1 ? 'execution' : 'executions'}
+        </Text>
+      </View>
+
+      <FlatList
+        data={flowHistory}
+        renderItem={renderExecution}
+        keyExtractor={(item, index) => item?._id || `execution-${index}`}
+        contentContainerStyle={[styles.listContent, flowHistory.length === 0 && { flex: 1 }]}
+        ListEmptyComponent={renderEmpty}
+        ListFooterComponent={renderFooter}
+        refreshControl={
+          <RefreshControl
+            refreshing={isRefreshing}
+            onRefresh={onRefresh}
+            colors={[colors.primary.main]}
+            tintColor={colors.primary.main}
+          />
+        }
+        onEndReached={handleLoadMore}
+        onEndReachedThreshold={0.5}
+        showsVerticalScrollIndicator={false}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background.neutral,
+  },
+  listContent: {
+    paddingBottom: 80,
+    flexGrow: 1,
+  },
+
+  // Section Header
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: colors.background.default,
+    marginBottom: 8,
+    gap: 12,
+  },
+  sectionTitle: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: '700',
+    color: colors.text.primary,
+  },
+  sectionCount: {
+    fontSize: 13,
+    color: colors.text.tertiary,
+  },
+
+  // Card
+  card: {
+    marginHorizontal: 16,
+    marginBottom: 10,
+  },
+  cardRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    padding: 14,
+  },
+  statusIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  cardContent: {
+    flex: 1,
+    marginLeft: 12,
+    gap: 4,
+  },
+  cardTopRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  contactName: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text.primary,
+    marginRight: 10,
+  },
+  statusText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  contactNumber: {
+    fontSize: 13,
+    color: colors.text.secondary,
+  },
+  metaRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: 12,
+  },
+  metaInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  metaText: {
+    fontSize: 12,
+    color: colors.text.tertiary,
+  },
+  errorBox: {
+    marginTop: 4,
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: colors.error.lighter,
+  },
+  errorText: {
+    fontSize: 12,
+    color: colors.error.dark,
+    lineHeight: 17,
+  },
+
+  // Empty State
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+    paddingTop: 60,
+  },
+  emptyIconContainer: {
+    width: 120,
+    height: 120,
+    borderRadius: 60,
+    backgroundColor: colors.grey[100],
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  emptyTitle: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: colors.text.primary,
+    marginBottom: 8,
+  },
+  emptySubtitle: {
+    fontSize: 14,
+    color: colors.text.secondary,
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+
+  // Footer
+  footerLoader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 16,
+    gap: 8,
+  },
+  footerLoaderText: {
+    fontSize: 13,
+    color: colors.text.secondary,
+  },
+  footerEnd: {
+    alignItems: 'center',
+    paddingVertical: 16,
+  },
+  footerEndText: {
+    fontSize: 12,
+    color: colors.text.tertiary,
+  },
+  listFooterSpace: {
+    height: 32,
+  },
+});
@@ -1,93 +1,524 @@
-import React from 'react';
-import { View, StyleSheet, FlatList } from 'react-native';
-import { Text, Card, Chip, IconButton, FAB } from 'react-native-paper';
-import { SafeAreaView } from 'react-native-safe-area-context';
-import { colors } from '../theme';
-
-const DUMMY_FLOWS = [
-  { id: '1', name: 'Welcome Message', status: 'Active', triggers: 5, responses: 123 },
-  { id: '2', name: 'Order Confirmation', status: 'Active', triggers: 8, responses: 89 },
-  { id: '3', name: 'Customer Support', status: 'Paused', triggers: 3, responses: 45 },
-  { id: '4', name: 'Feedback Collection', status: 'Active', triggers: 2, responses: 67 },
-];
+import React, { useEffect, useState, useCallback, useRef } from 'react';
+import {
+  View,
+  StyleSheet,
+  FlatList,
+  RefreshControl,
+  TouchableOpacity,
+  ScrollView,
+  Switch,
+  BackHandler,
+} from 'react-native';
+import { Text, Searchbar, ActivityIndicator } from 'react-native-paper';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigation } from '@react-navigation/native';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import {
+  getFlowsWithPagination,
+  updateFlowStatus,
+  updateMultipleFlowStatus,
+  cloneFlow,
+} from '../redux/slices/assistantSlice';
+import { fetchFlowsWithCache, fetchFlowStatsWithCache } from '../redux/cacheThunks';
+import { useNetwork } from '../contexts/NetworkContext';
+import { colors } from '../theme/colors';
+import ShadowCard from '../components/common/ShadowCard';
+import { showError, showSuccess } from '../utils/toast';
+import {
+  FLOW_STATUS,
+  FLOWS_PAGE_SIZE,
+  getFlowName,
+  getFlowTriggers,
+  isFlowActive,
+} from '../utils/flowHelpers';
+import { formatDistanceToNow } from 'date-fns';
+
+// Status configuration
+const STATUS_CONFIG = {
+  active: { label: 'Active', color: colors.success.main },
+  inactive: { label: 'Paused', color: colors.warning.main },
+};
+
+const SEARCH_DEBOUNCE_MS = 400;
+
+// Skeleton Components
+const SkeletonBox = ({ style }) => <View style={[styles.skeleton, style]} />;
+
+const FlowCardSkeleton = () => (
+  <ShadowCard variant="card" style={styles.card}>
+    <View style={styles.cardRow}>
+      <SkeletonBox style={{ width: 44, height: 44, borderRadius: 12 }} />
+      <View style={styles.cardContent}>
+        <SkeletonBox style={{ width: 150, height: 16, marginBottom: 10 }} />
+        <SkeletonBox style={{ width: 110, height: 22, borderRadius: 6, marginBottom: 10 }} />
+        <SkeletonBox style={{ width: 180, height: 12 }} />
+      </View>
+    </View>
+  </ShadowCard>
+);
+
+const formatRelativeDate = (dateString) => {
+  if (!dateString) return null;
+  try {
+    return formatDistanceToNow(new Date(dateString), { addSuffix: true });
+  } catch {
+    return null;
+  }
+};
 
 export default function FlowsScreen() {
-  const renderFlowCard = ({ item }) => (
-    <Card style={styles.flowCard}>
-      <Card.Content>
-        <View style={styles.flowHeader}>
-          <Text variant="titleMedium" style={styles.flowName}>
-            {item.name}
+  const dispatch = useDispatch();
+  const navigation = useNavigation();
+  const { isOffline, isNetworkAvailable } = useNetwork();
+
+  const {
+    flowList,
+    flowQuery,
+    flowListStatus,
+    flowListLoadingMore,
+    flowTotalResults,
+    flowStats,
+  } = useSelector((state) => state.assistant);
+
+  const [searchQuery, setSearchQuery] = useState('');
+  const [selectedStatus, setSelectedStatus] = useState('all');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [updatingIds, setUpdatingIds] = useState([]);
+  const [isBulkUpdating, setIsBulkUpdating] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const searchDebounceRef = useRef(null);
+  const hasLoaded = useRef(false);
+
+  const isSelectionMode = selectedIds.length > 0;
+  const hasMore = flowList.length < flowTotalResults;
+
+  // Load the first page for a filter: cached unless searching, searches always hit the API
+  const loadFlows = useCallback(({ status, search = '', forceRefresh = false }) => {
+    if (search) {
+      return dispatch(getFlowsWithPagination({ page: 0, status, name: search }));
+    }
+    return dispatch(fetchFlowsWithCache({ status, forceRefresh }));
+  }, [dispatch]);
+
+  // ── INITIAL LOAD: cached list and stats, refreshed in the background ──
+  useEffect(() => {
+    Promise.all([
+      loadFlows({ status: 'all' }),
+      dispatch(fetchFlowStatsWithCache()),
+    ]).finally(() => {
+      hasLoaded.current = true;
+    });
+
+    return () => {
+      if (searchDebounceRef.current) {
+        clearTimeout(searchDebounceRef.current);
+      }
+    };
+  }, []);
+
+  // ── NETWORK RECOVERY: retry when the first load failed offline ──
+  useEffect(() => {
+    if (isNetworkAvailable && hasLoaded.current && flowListStatus === 'failed') {
+      loadFlows({ status: selectedStatus, search: searchQuery.trim(), forceRefresh: true });
+      dispatch(fetchFlowStatsWithCache({ forceRefresh: true }));
+    }
+  }, [isNetworkAvailable]);
+
+  // Leave selection mode on hardware back
+  useEffect(() => {
+    if (!isSelectionMode) return undefined;
+    const subscription = BackHandler.addEventListener('hardwareBackPress', () => {
+      setSelectedIds([]);
+      return true;
+    });
+    return () => subscription.remove();
+  }, [isSelectionMode]);
+
+  const onRefresh = useCallback(async () => {
+    if (isOffline) {
+      showError('Connect to the internet to refresh flows', "You're Offline");
+      return;
+    }
+    setIsRefreshing(true);
+    await Promise.all([
+      loadFlows({ status: selectedStatus, search: searchQuery.trim(), forceRefresh: true }),
+      dispatch(fetchFlowStatsWithCache({ forceRefresh: true })),
+    ]);
+    setIsRefreshing(false);
+  }, [dispatch, isOffline, loadFlows, selectedStatus, searchQuery]);
+
+  const handleLoadMore = useCallback(() => {
+    if (!hasMore || flowListLoadingMore || flowListStatus === 'loading' || isOffline) return;
+    dispatch(getFlowsWithPagination({
+      page: Math.floor(flowList.length / FLOWS_PAGE_SIZE),
+      status: flowQuery.status,
+      name: flowQuery.name,
+    }));
+  }, [dispatch, hasMore, flowListLoadingMore, flowListStatus, isOffline, flowList.length, flowQuery]);
+
+  const handleSearch = useCallback((text) => {
+    setSearchQuery(text);
+    setSelectedIds([]);
+    if (searchDebounceRef.current) {
+      clearTimeout(searchDebounceRef.current);
+    }
+    searchDebounceRef.current = setTimeout(() => {
+      const search = text.trim();
+      if (search && isOffline) {
+        showError('Connect to the internet to search flows', "You're Offline");
+        return;
+      }
+      loadFlows({ status: selectedStatus, search });
+    }, SEARCH_DEBOUNCE_MS);
+  }, [isOffline, loadFlows, selectedStatus]);
+
+  const handleStatusChange = useCallback((status) => {
+    if (status === selectedStatus) return;
+    setSelectedStatus(status);
+    setSelectedIds([]);
+    loadFlows({ status, search: isOffline ? '' : searchQuery.trim() });
+  }, [isOffline, loadFlows, searchQuery, selectedStatus]);
+
+  // ── FLOW ACTIONS ──
+  const handleToggleStatus = useCallback(async (flow) => {
+    if (isOffline) {
+      showError('Connect to the internet to change flow status', "You're Offline");
+      return;
+    }
+    const status = isFlowActive(flow) ? FLOW_STATUS.INACTIVE : FLOW_STATUS.ACTIVE;
+    setUpdatingIds((prev) => [...prev, flow._id]);
+    try {
+      await dispatch(updateFlowStatus({ id: flow._id, status })).unwrap();
+      showSuccess(`${getFlowName(flow)} is now ${STATUS_CONFIG[status].label.toLowerCase()}`);
+    } catch (error) {
+      showError(error || 'Failed to update flow status');
+    } finally {
+      setUpdatingIds((prev) => prev.filter((id) => id !== flow._id));
+    }
+  }, [dispatch, isOffline]);
+
+  const handleBulkStatus = useCallback(async (status) => {
+    if (isOffline) {
+      showError('Connect to the internet to change flow status', "You're Offline");
+      return;
+    }
+    setIsBulkUpdating(true);
+    try {
+      await dispatch(updateMultipleFlowStatus({ flowIds: selectedIds, status })).unwrap();
+      const count = selectedIds.length;
+      showSuccess(`${count} ${count === 1 ? 'flow' : 'flows'} ${status === FLOW_STATUS.ACTIVE ? 'activated' : 'paused'}`);
+      setSelectedIds([]);
+    } catch (error) {
+      showError(error || 'Failed to update flow statuses');
+    } finally {
+      setIsBulkUpdating(false);
+    }
+  }, [dispatch, isOffline, selectedIds]);
+
+  const handleClone = useCallback(async (flow) => {
+    if (isOffline) {
+      showError('Connect to the internet to clone flows', "You're Offline");
+      return;
+    }
+    setUpdatingIds((prev) => [...prev, flow._id]);
+    try {
+      await dispatch(cloneFlow(flow._id)).unwrap();
+      showSuccess(`${getFlowName(flow)} cloned`);
+    } catch (error) {
+      showError(error || 'Failed to clone flow');
+    } finally {
+      setUpdatingIds((prev) => prev.filter((id) => id !== flow._id));
+    }
+  }, [dispatch, isOffline]);
+
+  const toggleSelection = useCallback((flowId) => {
+    setSelectedIds((prev) => (
+      prev.includes(flowId) ? prev.filter((id) => id !== flowId) : [...prev, flowId]
+    ));
+  }, []);
+
+  const handleCardPress = (flow) => {
+    if (isSelectionMode) {
+      toggleSelection(flow._id);
+      return;
+    }
+    navigation.navigate('FlowHistory', { flowId: flow._id, flowName: getFlowName(flow) });
+  };
+
+  // Filter Pills Data
+  const filterPills = [
+    { key: 'all', label: 'All', count: flowStats.total, icon: 'sitemap-outline', color: colors.primary.main },
+    { key: FLOW_STATUS.ACTIVE, label: 'Active', count: flowStats.active, icon: 'play-circle-outline', color: colors.success.main },
+    { key: FLOW_STATUS.INACTIVE, label: 'Paused', count: flowStats.inactive, icon: 'pause-circle-outline', color: colors.warning.main },
+  ];
+
+  const renderFilterPill = ({ item }) => {
+    const isSelected = selectedStatus === item.key;
+    return (
+      <TouchableOpacity
+        onPress={() => handleStatusChange(item.key)}
+        activeOpacity={0.7}
+        style={[styles.filterChip, isSelected && { backgroundColor: item.color, borderColor: item.color }]}
+      >
+        <Icon name={item.icon} size={16} color={isSelected ? '#FFFFFF' : item.color} />
+        <Text style={[styles.filterText, isSelected && styles.filterTextActive]}>
+          {item.label}
+        </Text>
+        <View style={[styles.filterBadge, isSelected && styles.filterBadgeActive]}>
+          <Text style={[styles.filterBadgeText, isSelected && styles.filterBadgeTextActive]}>
+            {item.count || 0}
           </Text>
-          <Chip
-            mode="flat"
-            style={[
-              styles.statusChip,
-              item.status === 'Active'
-                ? { backgroundColor: colors.success.lighter }
-                : { backgroundColor: colors.warning.lighter },
-            ]}
-            textStyle={{
-              color: item.status === 'Active' ? colors.success.dark : colors.warning.dark,
-            }}
-          >
-            {item.status}
-          </Chip>
         </View>
+      </TouchableOpacity>
+    );
+  };
+
+  // Flow Card
+  const renderCard = ({ item }) => {
+    if (!item || !item._id) return null;
+
+    const active = isFlowActive(item);
+    const statusConfig = active ? STATUS_CONFIG.active : STATUS_CONFIG.inactive;
+    const triggers = getFlowTriggers(item);
+    const isSelected = selectedIds.includes(item._id);
+    const isUpdating = updatingIds.includes(item._id);
+    const updatedDate = formatRelativeDate(item.updatedAt);
+    const executions = item.executionCount ?? item.executions ?? item.totalExecutions;
+
+    return (
+      <ShadowCard variant="card" style={[styles.card, isSelected && styles.cardSelected]}>
+        <TouchableOpacity
+          style={styles.cardRow}
+          onPress={() => handleCardPress(item)}
+          onLongPress={() => toggleSelection(item._id)}
+          activeOpacity={0.8}
+        >
+          <View style={[styles.flowIcon, { backgroundColor: isSelected ? colors.primary.main : statusConfig.color + '15' }]}>
+            <Icon
+              name={isSelected ? 'check' : 'sitemap'}
+              size={22}
+              color={isSelected ? colors.common.white : statusConfig.color}
+            />
+          </View>
+
+          <View style={styles.cardContent}>
+            <View style={styles.cardTopRow}>
+              <Text style={styles.flowName} numberOfLines={1}>{getFlowName(item)}</Text>
+              <View style={[styles.statusChip, { backgroundColor: statusConfig.color + '15' }]}>
+                <View style={[styles.statusDot, { backgroundColor: statusConfig.color }]} />
+                <Text style={[styles.statusChipText, { color: statusConfig.color }]}>{statusConfig.label}</Text>
+              </View>
+            </View>
 
-        <View style={styles.flowStats}>
-          <View style={styles.statItem}>
-            <Text variant="bodySmall" style={styles.statLabel}>
-              Triggers
-            </Text>
-            <Text variant="titleMedium" style={styles.statValue}>
-              {item.triggers}
-            </Text>
+            {triggers.length > 0 && (
+              <View style={styles.triggerRow}>
+                {triggers.slice(0, 3).map((trigger) => (
+                  <View key={trigger} style={styles.triggerChip}>
+                    <Icon name="lightning-bolt-outline" size={12} color={colors.secondary.main} />
+                    <Text style={styles.triggerText} numberOfLines={1}>{trigger}</Text>
+                  </View>
+                ))}
+                {triggers.length > 3 && (
+                  <Text style={styles.moreTriggers}>+{triggers.length - 3}</Text>
+                )}
+              </View>
+            )}
+
+            <View style={styles.metaRow}>
+              {executions !== undefined && (
+                <View style={styles.metaInfo}>
+                  <Icon name="play-speed" size={14} color={colors.text.tertiary} />
+                  <Text style={styles.metaText}>{executions} runs</Text>
+                </View>
+              )}
+              {updatedDate && (
+                <View style={styles.metaInfo}>
+                  <Icon name="update" size={14} color={colors.text.tertiary} />
+                  <Text style={styles.metaText}>Updated {updatedDate}</Text>
+                </View>
+              )}
+            </View>
           </View>
-          <View style={styles.statItem}>
-            <Text variant="bodySmall" style={styles.statLabel}>
-              Responses
-            </Text>
-            <Text variant="titleMedium" style={styles.statValue}>
-              {item.responses}
-            </Text>
+        </TouchableOpacity>
+
+        {!isSelectionMode && (
+          <View style={styles.cardActions}>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => navigation.navigate('FlowHistory', { flowId: item._id, flowName: getFlowName(item) })}
+            >
+              <Icon name="history" size={16} color={colors.primary.main} />
+              <Text style={styles.actionText}>History</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.actionButton} onPress={() => handleClone(item)} disabled={isUpdating}>
+              <Icon name="content-copy" size={16} color={colors.primary.main} />
+              <Text style={styles.actionText}>Clone</Text>
+            </TouchableOpacity>
+            <View style={styles.switchContainer}>
+              {isUpdating ? (
+                <ActivityIndicator size={16} color={colors.primary.main} />
+              ) : (
+                <Switch
+                  value={active}
+                  onValueChange={() => handleToggleStatus(item)}
+                  trackColor={{ false: colors.grey[300], true: colors.success.light }}
+                  thumbColor={active ? colors.success.main : colors.common.white}
+                />
+              )}
+            </View>
           </View>
+        )}
+      </ShadowCard>
+    );
+  };
+
+  const renderFooter = () => {
+    if (flowListLoadingMore) {
+      return (
+        <View style={styles.footerLoader}>
+          <ActivityIndicator size="small" color={colors.primary.main} />
+          <Text style={styles.footerLoaderText}>Loading more...</Text>
         </View>
-      </Card.Content>
-
-      <Card.Actions>
-        <IconButton icon="pencil" size={20} onPress={() => { /* Log:('Edit') */ }} />
-        <IconButton icon="eye" size={20} onPress={() => { /* Log:('View') */ }} />
-        <IconButton icon="delete" size={20} onPress={() => { /* Log:('Delete') */ }} />
-      </Card.Actions>
-    </Card>
-  );
+      );
+    }
 
-  return (
-    <SafeAreaView style={styles.container}>
+    if (!hasMore && flowList.length > 0) {
+      return (
+        <View style={styles.footerEnd}>
+          <Text style={styles.footerEndText}>Showing all {flowList.length} flows</Text>
+        </View>
+      );
+    }
+
+    return <View style={styles.listFooterSpace} />;
+  };
+
+  const renderEmpty = () => {
+    if (flowListStatus === 'loading') {
+      return (
+        <View>
+          {[1, 2, 3, 4].map((i) => <FlowCardSkeleton key={i} />)}
+        </View>
+      );
+    }
+
+    if (isOffline && flowListStatus === 'failed') {
+      return (
+        <View style={styles.emptyContainer}>
+          <View style={styles.emptyIconContainer}>
+            <Icon name="wifi-off" size={64} color="#DC2626" />
+          </View>
+          <Text style={styles.emptyTitle}>You're Offline</Text>
+          <Text style={styles.emptySubtitle}>
+            Connect to the internet to load flows.{'\n'}Previously loaded data will appear here.
+          </Text>
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.emptyContainer}>
+        <View style={[styles.emptyIconContainer, { backgroundColor: colors.secondary.main + '15' }]}>
+          <Icon name="sitemap-outline" size={64} color={colors.secondary.main} />
+        </View>
+        <Text style={styles.emptyTitle}>{searchQuery ? 'No flows found' : 'No Flows'}</Text>
+        <Text style={styles.emptySubtitle}>
+          {searchQuery
+            ? 'Try adjusting your search criteria'
+            : selectedStatus !== 'all'
+            ? `No ${STATUS_CONFIG[selectedStatus].label.toLowerCase()} flows found`
+            : 'Create flows from the web dashboard to automate your conversations'}
+        </Text>
+      </View>
+    );
+  };
+
+  // Search bar, or the bulk action bar while flows are selected
+  const renderTopBar = () => {
+    if (isSelectionMode) {
+      return (
+        <View style={styles.selectionBar}>
+          <TouchableOpacity onPress={() => setSelectedIds([])} style={styles.selectionClose} disabled={isBulkUpdating}>
+            <Icon name="close" size={24} color={colors.common.white} />
+          </TouchableOpacity>
+          <Text style={styles.selectionCount}>{selectedIds.length} selected</Text>
+          {isBulkUpdating ? (
+            <ActivityIndicator size="small" color={colors.common.white} style={styles.selectionLoader} />
+          ) : (
+            <>
+              <TouchableOpacity style={styles.selectionAction} onPress={() => handleBulkStatus(FLOW_STATUS.ACTIVE)}>
+                <Icon name="play" size={18} color={colors.common.white} />
+                <Text style={styles.selectionActionText}>Activate</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.selectionAction} onPress={() => handleBulkStatus(FLOW_STATUS.INACTIVE)}>
+                <Icon name="pause" size={18} color={colors.common.white} />
+                <Text style={styles.selectionActionText}>Pause</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      );
+    }
+
+    return (
       <View style={styles.header}>
-        <Text variant="headlineMedium" style={styles.headerTitle}>
-          Flows
+        <Searchbar
+          placeholder="Search flows..."
+          onChangeText={handleSearch}
+          value={searchQuery}
+          style={styles.searchbar}
+          inputStyle={styles.searchInput}
+          iconColor={colors.text.tertiary}
+          placeholderTextColor={colors.text.tertiary}
+        />
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {renderTopBar()}
+
+      {/* Filter Pills */}
+      <View style={styles.filtersContainer}>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.filtersList}>
+          {filterPills.map((item) => (
+            <React.Fragment key={item.key}>{renderFilterPill({ item })}</React.Fragment>
+          ))}
+        </ScrollView>
+      </View>
+
+      {/* Section Header */}
+      <View style={styles.sectionHeader}>
+        <Text style={styles.sectionTitle}>
+          {selectedStatus === 'all' ? 'All Flows' : `${STATUS_CONFIG[selectedStatus].label} Flows`}
         </Text>
-        <Text variant="bodyMedium" style={styles.headerSubtitle}>
-          Manage your automated workflows
+        <Text style={styles.sectionCount}>
+          {flowList.length} of {flowTotalResults} {flowTotalResults === 1 ? 'flow' : 'flows'}
         </Text>
       </View>
 
       <FlatList
-        data={DUMMY_FLOWS}
-        renderItem={renderFlowCard}
-        keyExtractor={(item) => item.id}
-        contentContainerStyle={styles.flowList}
+        data={flowListStatus === 'loading' && flowList.length === 0 ? [] : flowList}
+        renderItem={renderCard}
+        keyExtractor={(item, index) => item?._id || `flow-${index}`}
+        extraData={{ selectedIds, updatingIds }}
+        contentContainerStyle={[styles.listContent, flowList.length === 0 && { flex: 1 }]}
+        ListEmptyComponent={renderEmpty}
+        ListFooterComponent={renderFooter}
+        refreshControl={
+          <RefreshControl
+            refreshing={isRefreshing}
+            onRefresh={onRefresh}
+            colors={[colors.primary.main]}
+            tintColor={colors.primary.main}
+          />
+        }
+        onEndReached={handleLoadMore}
+        onEndReachedThreshold={0.5}
+        showsVerticalScrollIndicator={false}
       />
-
-      <FAB
-        icon="plus"
-        style={styles.fab}
-        onPress={() => { /* Log:('Create new flow') */ }}
-        label="New Flow"
-      />
-    </SafeAreaView>
+    </View>
   );
 }
 
@@ -96,61 +527,319 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: colors.background.neutral,
   },
+  listContent: {
+    paddingBottom: 80,
+    flexGrow: 1,
+  },
+
+  // Header / Search
   header: {
-    padding: 16,
-    backgroundColor: colors.background.paper,
+    paddingHorizontal: 16,
+    paddingTop: 8,
+    paddingBottom: 12,
+    backgroundColor: colors.background.default,
   },
-  headerTitle: {
-    color: colors.text.primary,
+  searchbar: {
+    backgroundColor: colors.grey[100],
+    borderRadius: 12,
+    elevation: 0,
+    shadowOpacity: 0,
+    height: 48,
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+  },
+  searchInput: {
+    fontSize: 15,
+    minHeight: 48,
+  },
+
+  // Selection Bar
+  selectionBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.primary.main,
+    paddingLeft: 8,
+    paddingRight: 12,
+    minHeight: 68,
+    gap: 8,
+  },
+  selectionClose: {
+    padding: 8,
+  },
+  selectionCount: {
+    flex: 1,
+    fontSize: 18,
     fontWeight: '700',
-    marginBottom: 4,
+    color: colors.common.white,
+  },
+  selectionAction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    gap: 4,
+  },
+  selectionActionText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.common.white,
+  },
+  selectionLoader: {
+    marginRight: 12,
+  },
+
+  // Filter Pills
+  filtersContainer: {
+    backgroundColor: colors.background.default,
+    paddingBottom: 8,
+  },
+  filtersList: {
+    paddingHorizontal: 16,
+    gap: 8,
   },
-  headerSubtitle: {
+  filterChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: colors.grey[200],
+    gap: 6,
+  },
+  filterText: {
+    fontSize: 13,
+    fontWeight: '500',
     color: colors.text.secondary,
   },
-  flowList: {
-    padding: 16,
-    paddingBottom: 80,
+  filterTextActive: {
+    color: '#FFFFFF',
   },
-  flowCard: {
-    marginBottom: 16,
-    backgroundColor: colors.background.paper,
-    borderRadius: 12,
+  filterBadge: {
+    backgroundColor: colors.grey[100],
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 10,
+    minWidth: 24,
+    alignItems: 'center',
+  },
+  filterBadgeActive: {
+    backgroundColor: 'rgba(255,255,255,0.25)',
+  },
+  filterBadgeText: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  filterBadgeTextActive: {
+    color: '#FFFFFF',
   },
-  flowHeader: {
+
+  // Section Header
+  sectionHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
     alignItems: 'center',
-    marginBottom: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: colors.background.default,
+    marginBottom: 8,
   },
-  flowName: {
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
     color: colors.text.primary,
-    fontWeight: '600',
+  },
+  sectionCount: {
+    fontSize: 13,
+    color: colors.text.tertiary,
+  },
+
+  // Card
+  card: {
+    marginHorizontal: 16,
+    marginBottom: 10,
+  },
+  cardSelected: {
+    borderWidth: 1.5,
+    borderColor: colors.primary.main,
+  },
+  cardRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    padding: 14,
+  },
+  flowIcon: {
+    width: 44,
+    height: 44,
+    borderRadius: 12,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  cardContent: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  cardTopRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  flowName: {
     flex: 1,
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text.primary,
+    marginRight: 10,
+    lineHeight: 20,
   },
   statusChip: {
-    marginLeft: 8,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 6,
+    gap: 5,
+  },
+  statusDot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
   },
-  flowStats: {
+  statusChipText: {
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  triggerRow: {
     flexDirection: 'row',
-    gap: 24,
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginBottom: 8,
   },
-  statItem: {
-    flex: 1,
+  triggerChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    maxWidth: 120,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 6,
+    backgroundColor: colors.secondary.main + '12',
+    gap: 4,
   },
-  statLabel: {
-    color: colors.text.secondary,
-    marginBottom: 4,
+  triggerText: {
+    fontSize: 11,
+    fontWeight: '500',
+    color: colors.secondary.main,
+  },
+  moreTriggers: {
+    fontSize: 11,
+    color: colors.text.tertiary,
+  },
+  metaRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: 16,
   },
-  statValue: {
+  metaInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  metaText: {
+    fontSize: 12,
+    color: colors.text.tertiary,
+  },
+  cardActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderTopWidth: 1,
+    borderTopColor: colors.grey[100],
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    gap: 6,
+  },
+  actionText: {
+    fontSize: 13,
+    fontWeight: '600',
     color: colors.primary.main,
+  },
+  switchContainer: {
+    flex: 1,
+    alignItems: 'flex-end',
+    justifyContent: 'center',
+    minHeight: 40,
+    paddingRight: 4,
+  },
+
+  // Empty State
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+    paddingTop: 60,
+  },
+  emptyIconContainer: {
+    width: 120,
+    height: 120,
+    borderRadius: 60,
+    backgroundColor: colors.grey[100],
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  emptyTitle: {
+    fontSize: 20,
     fontWeight: '700',
+    color: colors.text.primary,
+    marginBottom: 8,
   },
-  fab: {
-    position: 'absolute',
-    margin: 16,
-    right: 0,
-    bottom: 0,
-    backgroundColor: colors.primary.main,
+  emptySubtitle: {
+    fontSize: 14,
+    color: colors.text.secondary,
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+
+  // Footer
+  footerLoader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 16,
+    gap: 8,
+  },
+  footerLoaderText: {
+    fontSize: 13,
+    color: colors.text.secondary,
+  },
+  footerEnd: {
+    alignItems: 'center',
+    paddingVertical: 16,
+  },
+  footerEndText: {
+    fontSize: 12,
+    color: colors.text.tertiary,
+  },
+  listFooterSpace: {
+    height: 32,
+  },
+
+  // Skeleton
+  skeleton: {
+    backgroundColor: colors.grey[200],
+    borderRadius: 6,
   },
 });
@@ -0,0 +1,1033 @@
+import React, { useEffect, useState, useMemo, useRef } from 'react';
+import { View, StyleSheet, ScrollView, TouchableOpacity, Platform, Switch } from 'react-native';
+import { Text, ActivityIndicator } from 'react-native-paper';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import Modal from 'react-native-modal';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system/legacy';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigation } from '@react-navigation/native';
+import { createContact, setShouldFetchContacts } from '../redux/slices/contactSlice';
+import { fetchContactListsWithCache, fetchUserAttributesWithCache } from '../redux/cacheThunks';
+import { cacheManager } from '../database/CacheManager';
+import { useNetwork } from '../contexts/NetworkContext';
+import { InfoBanner, ShadowCard, ProgressBar } from '../components/common';
+import CountryCodeDropdown from '../components/contacts/CountryCodeDropdown';
+import { DEFAULT_COUNTRY } from '../data/countries';
+import { parseCsv, buildCsv, shareCsvFile } from '../services/csvService';
+import {
+  IMPORT_FIELDS,
+  IMPORT_ROW_STATUS,
+  buildDefaultMapping,
+  parseVCard,
+  buildImportRows,
+  countImportRows,
+} from '../utils/contactImportHelpers';
+import { ATTRIBUTE_KEY_PREFIX, getAttributeTypeConfig } from '../utils/contactAttributeHelpers';
+import { colors } from '../theme/colors';
+import { showError, showSuccess } from '../utils/toast';
+
+const MAX_IMPORT_ROWS = 5000;
+const BATCH_SIZE = 10;
+const MAX_ISSUES_SHOWN = 50;
+
+const ROW_STATUS_CONFIG = {
+  [IMPORT_ROW_STATUS.READY]: { label: 'Ready', icon: 'check-circle-outline', color: colors.success.main },
+  [IMPORT_ROW_STATUS.EXISTING]: { label: 'Already exist', icon: 'account-check-outline', color: colors.info.main },
+  [IMPORT_ROW_STATUS.DUPLICATE]: { label: 'Repeated in file', icon: 'content-duplicate', color: colors.warning.main },
+  [IMPORT_ROW_STATUS.INVALID]: { label: 'Invalid', icon: 'alert-circle-outline', color: colors.error.main },
+};
+
+const RESULT_CONFIG = {
+  created: { label: 'Created', icon: 'account-plus-outline', color: colors.success.main },
+  updated: { label: 'Updated', icon: 'account-edit-outline', color: colors.info.main },
+  skipped: { label: 'Skipped', icon: 'debug-step-over', color: colors.grey[600] },
+  failed: { label: 'Failed', icon: 'alert-circle-outline', color: colors.error.main },
+};
+
+const REPORT_COLUMNS = [
+  { key: 'rowNumber', label: 'Row' },
+  { key: 'name', label: 'Name' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'status', label: 'Status' },
+  { key: 'error', label: 'Error' },
+];
+
+const DUPLICATE_OPTIONS = [
+  { value: 'skip', label: 'Skip them', description: 'Existing contacts are left unchanged' },
+  { value: 'update', label: 'Update them', description: 'Overwrite name, email, tags and fields' },
+];
+
+const getErrorMessage = (error, fallback) =>
+  (typeof error === 'string' ? error : error?.message) || fallback;
+
+/**
+ * Import contacts in bulk from a CSV or vCard (.vcf) file: map columns to
+ * contact fields, review rows against the file and the cached contacts,
+ * then create them in batches with a per-row report.
+ */
+export default function ImportContactsScreen() {
+  const dispatch = useDispatch();
+  const navigation = useNavigation();
+  const { isOffline } = useNetwork();
+
+  const contactListData = useSelector((state) => state.contact.contactListData);
+  const userAttributes = useSelector((state) => state.settings.settings?.userAttributes?.items || []);
+
+  const [file, setFile] = useState(null);
+  const [parsed, setParsed] = useState(null);
+  const [isReadingFile, setIsReadingFile] = useState(false);
+  const [mapping, setMapping] = useState([]);
+  const [pickerColumn, setPickerColumn] = useState(null);
+  const [defaultCountry, setDefaultCountry] = useState(DEFAULT_COUNTRY);
+  const [existingContacts, setExistingContacts] = useState(new Map());
+  const [duplicateAction, setDuplicateAction] = useState('skip');
+  const [targetList, setTargetList] = useState(null);
+  const [markOptedIn, setMarkOptedIn] = useState(true);
+
+  // 'setup' → 'importing' → 'done'
+  const [step, setStep] = useState('setup');
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [results, setResults] = useState([]);
+  const cancelRef = useRef(false);
+
+  useEffect(() => {
+    dispatch(fetchUserAttributesWithCache());
+    if (contactListData.length === 0) {
+      dispatch(fetchContactListsWithCache());
+    }
+    cacheManager.getContactsByPhone().then(setExistingContacts).catch(() => {});
+  }, []);
+
+  const importRows = useMemo(() => {
+    if (!parsed) return [];
+    return buildImportRows({
+      rows: parsed.rows,
+      lineNumbers: parsed.lineNumbers,
+      mapping,
+      attributes: userAttributes,
+      defaultCountry,
+      existingContacts,
+    });
+  }, [parsed, mapping, userAttributes, defaultCountry, existingContacts]);
+
+  const counts = useMemo(() => countImportRows(importRows), [importRows]);
+  const hasPhoneColumn = mapping.includes('phone');
+  const rowsToImport = importRows.filter(
+    (row) =>
+      row.status === IMPORT_ROW_STATUS.READY ||
+      (row.status === IMPORT_ROW_STATUS.EXISTING && duplicateAction === 'update')
+  );
+  const issueRows = importRows.filter(
+    (row) => row.status === IMPORT_ROW_STATUS.INVALID || row.status === IMPORT_ROW_STATUS.DUPLICATE
+  );
+
+  // File
+  const handlePickFile = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['text/*', 'application/vnd.ms-excel'],
+        copyToCacheDirectory: true,
+      });
+      const doc = result.assets?.[0] || (result.type === 'success' ? result : null);
+      if (!doc?.uri) return;
+
+      setIsReadingFile(true);
+      const text = await FileSystem.readAsStringAsync(doc.uri, { encoding: FileSystem.EncodingType.UTF8 });
+      const isVCard = /\.vcf$/i.test(doc.name || '') || /^\s*BEGIN:VCARD/i.test(text);
+      const data = isVCard ? parseVCard(text) : parseCsv(text);
+
+      if (data.rows.length === 0) {
+        showError(isVCard ? 'No contacts found in this file' : 'The file has a header but no rows', 'Nothing to Import');
+        return;
+      }
+      if (data.rows.length > MAX_IMPORT_ROWS) {
+        showError(`Import up to ${MAX_IMPORT_ROWS} contacts at a time. Split the file and try again.`, 'File Too Large');
+        return;
+      }
+
+      setFile({ name: doc.name || 'contacts', format: isVCard ? 'vCard' : 'CSV' });
+      setParsed(data);
+      setMapping(buildDefaultMapping(data.headers, userAttributes));
+    } catch (error) {
+      showError(getErrorMessage(error, 'Could not read this file'), 'Import Failed');
+    } finally {
+      setIsReadingFile(false);
+    }
+  };
+
+  const handleClearFile = () => {
+    setFile(null);
+    setParsed(null);
+    setMapping([]);
+  };
+
+  // Mapping — a field can only be used by one column, picking it again moves it
+  const handleSelectField = (field) => {
+    setMapping((prev) =>
+      prev.map((current, column) => {
+        if (column === pickerColumn) return field;
+        return field !== 'skip' && current === field ? 'skip' : current;
+      })
+    );
+    setPickerColumn(null);
+  };
+
+  const getFieldConfig = (field) => {
+    if (field?.startsWith(ATTRIBUTE_KEY_PREFIX)) {
+      const name = field.slice(ATTRIBUTE_KEY_PREFIX.length);
+      const definition = userAttributes.find((attribute) => attribute.name === name);
+      return { label: name, icon: getAttributeTypeConfig(definition).icon };
+    }
+    return IMPORT_FIELDS[field] || IMPORT_FIELDS.skip;
+  };
+
+  const getSampleValue = (column) =>
+    parsed?.rows.find((cells) => (cells[column] || '').trim())?.[column] || '';
+
+  // Import
+  const classifyResponse = (row, response) => {
+    const data = response?.data || response || {};
+    const failed = data.failedContacts?.[0];
+    if (failed) return { status: 'failed', error: getErrorMessage(failed.error, 'Failed to create contact') };
+    if (data.skippedContacts?.length) return { status: 'skipped', error: 'Contact already exists' };
+    return { status: row.status === IMPORT_ROW_STATUS.EXISTING ? 'updated' : 'created', error: '' };
+  };
+
+  const importRow = async (row) => {
+    const bodyData = {
+      optin: markOptedIn,
+      mobile: row.mobile,
+      countryCode: row.countryCode,
+      source: 'import',
+      tags: row.tags,
+      attributes: row.attributes,
+      ...(row.name && { name: row.name }),
+      ...(row.email && { email: row.email }),
+      ...(targetList && { listName: targetList }),
+    };
+    try {
+      const response = await dispatch(
+        createContact({ bodyData, isSingleContact: true, onDuplicate: duplicateAction })
+      ).unwrap();
+      return { ...row, ...classifyResponse(row, response) };
+    } catch (error) {
+      return { ...row, status: 'failed', error: getErrorMessage(error, 'Failed to create contact') };
+    }
+  };
+
+  const handleStartImport = async () => {
+    if (isOffline) {
+      showError('Connect to the internet to import contacts', "You're Offline");
+      return;
+    }
+    if (rowsToImport.length === 0) return;
+
+    cancelRef.current = false;
+    setStep('importing');
+    setProgress({ done: 0, total: rowsToImport.length });
+
+    const skippedRows = importRows
+      .filter((row) => !rowsToImport.includes(row))
+      .map((row) => ({
+        ...row,
+        status: row.status === IMPORT_ROW_STATUS.EXISTING ? 'skipped' : 'failed',
+        error: row.status === IMPORT_ROW_STATUS.EXISTING ? 'Contact already exists' : row.error,
+      }));
+
+    const importResults = [];
+    for (let i = 0; i < rowsToImport.length; i += BATCH_SIZE) {
+      if (cancelRef.current) break;
+      const batch = rowsToImport.slice(i, i + BATCH_SIZE);
+      const batchResults = await Promise.all(batch.map(importRow));
+      importResults.push(...batchResults);
+      setProgress({ done: importResults.length, total: rowsToImport.length });
+    }
+
+    // Rows never sent because the import was stopped
+    const notSent = rowsToImport
+      .slice(importResults.length)
+      .map((row) => ({ ...row, status: 'skipped', error: 'Import stopped' }));
+
+    const allResults = [...importResults, ...notSent, ...skippedRows].sort((a, b) => a.rowNumber - b.rowNumber);
+    setResults(allResults);
+    setStep('done');
+
+    if (importResults.some((row) => row.status === 'created' || row.status === 'updated')) {
+      dispatch(setShouldFetchContacts(true));
+      dispatch(fetchContactListsWithCache({ forceRefresh: true }));
+    }
+  };
+
+  const resultCounts = useMemo(
+    () => results.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {}),
+    [results]
+  );
+
+  const handleShareReport = async () => {
+    try {
+      const rows = results.map((row) => ({
+        rowNumber: row.rowNumber,
+        name: row.name,
+        phone: row.mobile ? `+${row.mobile}` : row.rawPhone,
+        status: RESULT_CONFIG[row.status]?.label || row.status,
+        error: row.error || '',
+      }));
+      const baseName = (file?.name || 'contacts').replace(/\.[^.]+$/, '');
+      await shareCsvFile(`${baseName}_import_report`, buildCsv(REPORT_COLUMNS, rows), 'Share Import Report');
+    } catch (error) {
+      showError(getErrorMessage(error, 'Failed to share the report'), 'Export Failed');
+    }
+  };
+
+  const handleDone = () => {
+    const created = (resultCounts.created || 0) + (resultCounts.updated || 0);
+    if (created > 0) {
+      showSuccess(`${created} ${created === 1 ? 'contact' : 'contacts'} imported`);
+    }
+    navigation.goBack();
+  };
+
+  // Sections
+  const renderPickFile = () => (
+    <ShadowCard variant="card" style={styles.card}>
+      <TouchableOpacity
+        style={styles.pickArea}
+        onPress={handlePickFile}
+        disabled={isReadingFile}
+        activeOpacity={0.7}
+      >
+        {isReadingFile ? (
+          <ActivityIndicator size="large" color={colors.primary.main} />
+        ) : (
+          <View style={styles.pickIcon}>
+            <Icon name="file-upload-outline" size={36} color={colors.primary.main} />
+          </View>
+        )}
+        <Text style={styles.pickTitle}>{isReadingFile ? 'Reading file…' : 'Choose a CSV or vCard file'}</Text>
+        <Text style={styles.pickSubtitle}>
+          CSV needs a header row and a phone number column. Up to {MAX_IMPORT_ROWS} contacts per file.
+        </Text>
+      </TouchableOpacity>
+    </ShadowCard>
+  );
+
+  const renderFileCard = () => (
+    <ShadowCard variant="card" style={styles.card}>
+      <View style={styles.fileRow}>
+        <View style={styles.fileIcon}>
+          <Icon name={file.format === 'vCard' ? 'card-account-details-outline' : 'file-delimited-outline'} size={22} color={colors.primary.main} />
+        </View>
+        <View style={styles.fileInfo}>
+          <Text style={styles.fileName} numberOfLines={1}>{file.name}</Text>
+          <Text style={styles.fileMeta}>
+            {file.format} · {parsed.rows.length} {parsed.rows.length === 1 ? 'row' : 'rows'} · {parsed.headers.length} columns
+          </Text>
+        </View>
+        <TouchableOpacity onPress={handleClearFile} style={styles.iconBtn}>
+          <Icon name="close" size={18} color={colors.text.secondary} />
+        </TouchableOpacity>
+      </View>
+    </ShadowCard>
+  );
+
+  const renderMapping = () => (
+    <ShadowCard variant="card" style={styles.card}>
+      <Text style={styles.cardTitle}>Map Columns</Text>
+      <Text style={styles.cardSubtitle}>Choose which contact field each column fills</Text>
+      {parsed.headers.map((header, column) => {
+        const fieldConfig = getFieldConfig(mapping[column]);
+        const isSkipped = mapping[column] === 'skip';
+        return (
+          <View key={`${header}-${column}`} style={[styles.mappingRow, column > 0 && styles.mappingRowBorder]}>
+            <View style={styles.mappingSource}>
+              <Text style={styles.mappingHeader} numberOfLines={1}>{header || `Column ${column + 1}`}</Text>
+              <Text style={styles.mappingSample} numberOfLines={1}>{getSampleValue(column) || '—'}</Text>
+            </View>
+            <Icon name="arrow-right" size={16} color={colors.grey[400]} />
+            <TouchableOpacity
+              style={[styles.fieldButton, isSkipped && styles.fieldButtonSkipped]}
+              onPress={() => setPickerColumn(column)}
+              activeOpacity={0.7}
+            >
+              <Icon name={fieldConfig.icon} size={16} color={isSkipped ? colors.text.tertiary : colors.primary.main} />
+              <Text style={[styles.fieldButtonText, isSkipped && styles.fieldButtonTextSkipped]} numberOfLines={1}>
+                {fieldConfig.label}
+              </Text>
+              <Icon name="chevron-down" size={16} color={colors.text.tertiary} />
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+      {!hasPhoneColumn && (
+        <Text style={styles.errorText}>Map one column to Phone number to continue</Text>
+      )}
+
+      <Text style={[styles.label, styles.labelSpaced]}>Country for numbers without a code</Text>
+      <CountryCodeDropdown selectedCountry={defaultCountry} onSelectCountry={setDefaultCountry} />
+    </ShadowCard>
+  );
+
+  const renderReview = () => (
+    <ShadowCard variant="card" style={styles.card}>
+      <Text style={styles.cardTitle}>Review</Text>
+      <View style={styles.countGrid}>
+        {Object.entries(ROW_STATUS_CONFIG).map(([status, config]) => (
+          <View key={status} style={styles.countItem}>
+            <Icon name={config.icon} size={18} color={config.color} />
+            <Text style={[styles.countValue, { color: config.color }]}>{counts[status]}</Text>
+            <Text style={styles.countLabel}>{config.label}</Text>
+          </View>
+        ))}
+      </View>
+
+      {counts.existing > 0 && (
+        <>
+          <Text style={[styles.label, styles.labelSpaced]}>
+            {counts.existing} {counts.existing === 1 ? 'contact is' : 'contacts are'} already saved
+          </Text>
+          {DUPLICATE_OPTIONS.map((option) => {
+            const isSelected = duplicateAction === option.value;
+            return (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.radioRow, isSelected && styles.radioRowSelected]}
+                onPress={() => setDuplicateAction(option.value)}
+                activeOpacity={0.7}
+              >
+                <Icon
+                  name={isSelected ? 'radiobox-marked' : 'radiobox-blank'}
+                  size={20}
+                  color={isSelected ? colors.primary.main : colors.grey[400]}
+                />
+                <View style={styles.radioText}>
+                  <Text style={styles.radioLabel}>{option.label}</Text>
+                  <Text style={styles.radioDescription}>{option.description}</Text>
+                </View>
+              </TouchableOpacity>
+            );
+          })}
+        </>
+      )}
+
+      {issueRows.length > 0 && (
+        <>
+          <Text style={[styles.label, styles.labelSpaced]}>Rows that won't be imported</Text>
+          {issueRows.slice(0, MAX_ISSUES_SHOWN).map((row) => (
+            <View key={row.rowNumber} style={styles.issueRow}>
+              <Text style={styles.issueRowNumber}>Row {row.rowNumber}</Text>
+              <Text style={styles.issueText} numberOfLines={2}>
+                {row.name || row.rawPhone || 'Empty row'} — {row.error}
+              </Text>
+            </View>
+          ))}
+          {issueRows.length > MAX_ISSUES_SHOWN && (
+            <Text style={styles.moreText}>and {issueRows.length - MAX_ISSUES_SHOWN} more</Text>
+          )}
+        </>
+      )}
+    </ShadowCard>
+  );
+
+  const renderOptions = () => (
+    <ShadowCard variant="card" style={styles.card}>
+      <Text style={styles.cardTitle}>Add to List</Text>
+      <View style={styles.chipRow}>
+        {[{ listName: null }, ...contactListData].map((list) => {
+          const name = list.listName ?? list.name ?? null;
+          const isSelected = targetList === name;
+          return (
+            <TouchableOpacity
+              key={list._id || name || 'none'}
+              style={[styles.chip, isSelected && styles.chipSelected]}
+              onPress={() => setTargetList(name)}
+              activeOpacity={0.7}
+            >
+              <Icon
+                name={name ? 'folder-outline' : 'folder-off-outline'}
+                size={14}
+                color={isSelected ? colors.common.white : colors.text.secondary}
+              />
+              <Text style={[styles.chipText, isSelected && styles.chipTextSelected]} numberOfLines={1}>
+                {name || 'No list'}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      <View style={styles.switchRow}>
+        <View style={styles.switchText}>
+          <Text style={styles.radioLabel}>Mark as opted in</Text>
+          <Text style={styles.radioDescription}>Only if these contacts agreed to receive messages</Text>
+        </View>
+        <Switch
+          value={markOptedIn}
+          onValueChange={setMarkOptedIn}
+          trackColor={{ false: colors.grey[300], true: colors.primary.light }}
+          thumbColor={markOptedIn ? colors.primary.main : colors.grey[50]}
+        />
+      </View>
+    </ShadowCard>
+  );
+
+  const renderProgress = () => {
+    const percentage = progress.total ? (progress.done / progress.total) * 100 : 0;
+    return (
+      <ShadowCard variant="card" style={styles.card}>
+        <View style={styles.progressHeader}>
+          <ActivityIndicator size="small" color={colors.primary.main} />
+          <Text style={styles.cardTitle}>Importing contacts…</Text>
+        </View>
+        <ProgressBar percentage={percentage} color={colors.primary.main} height={8} />
+        <Text style={styles.progressText}>
+          {progress.done} of {progress.total} processed
+        </Text>
+        <TouchableOpacity
+          style={styles.secondaryBtn}
+          onPress={() => { cancelRef.current = true; }}
+          activeOpacity={0.7}
+        >
+          <Text style={styles.secondaryBtnText}>Stop After This Batch</Text>
+        </TouchableOpacity>
+      </ShadowCard>
+    );
+  };
+
+  const renderResults = () => {
+    const problemRows = results.filter((row) => row.status === 'failed');
+    return (
+      <>
+        <ShadowCard variant="card" style={styles.card}>
+          <Text style={styles.cardTitle}>Import Finished</Text>
+          <View style={styles.countGrid}>
+            {Object.entries(RESULT_CONFIG).map(([status, config]) => (
+              <View key={status} style={styles.countItem}>
+                <Icon name={config.icon} size={18} color={config.color} />
+                <Text style={[styles.countValue, { color: config.color }]}>{resultCounts[status] || 0}</Text>
+                <Text style={styles.countLabel}>{config.label}</Text>
+              </View>
+            ))}
+          </View>
+          <TouchableOpacity style={styles.secondaryBtn} onPress={handleShareReport} activeOpacity={0.7}>
+            <Icon name="file-delimited-outline" size={18} color={colors.primary.main} />
+            <Text style={[styles.secondaryBtnText, styles.secondaryBtnTextPrimary]}>Share Report (CSV)</Text>
+          </TouchableOpacity>
+        </ShadowCard>
+
+        {problemRows.length > 0 && (
+          <ShadowCard variant="card" style={styles.card}>
+            <Text style={styles.cardTitle}>Failed Rows</Text>
+            {problemRows.slice(0, MAX_ISSUES_SHOWN).map((row) => (
+              <View key={row.rowNumber} style={styles.issueRow}>
+                <Text style={styles.issueRowNumber}>Row {row.rowNumber}</Text>
+                <Text style={styles.issueText} numberOfLines={2}>
+                  {row.name || (row.mobile ? `+${row.mobile}` : row.rawPhone) || 'Empty row'} — {row.error}
+                </Text>
+              </View>
+            ))}
+            {problemRows.length > MAX_ISSUES_SHOWN && (
+              <Text style={styles.moreText}>
+                and {problemRows.length - MAX_ISSUES_SHOWN} more — see the report
+              </Text>
+            )}
+          </ShadowCard>
+        )}
+      </>
+    );
+  };
+
+  const renderFieldPicker = () => {
+    const fields = [
+      ...Object.keys(IMPORT_FIELDS),
+      ...userAttributes.map((attribute) => `${ATTRIBUTE_KEY_PREFIX}${attribute.name}`),
+    ];
+    return (
+      <Modal
+        isVisible={pickerColumn !== null}
+        onBackdropPress={() => setPickerColumn(null)}
+        onSwipeComplete={() => setPickerColumn(null)}
+        swipeDirection={['down']}
+        style={styles.bottomModal}
+        propagateSwipe={true}
+        backdropOpacity={0.5}
+      >
+        <View style={styles.sheet}>
+          <View style={styles.handleBar} />
+          <Text style={styles.sheetTitle}>
+            {pickerColumn !== null ? parsed?.headers[pickerColumn] || `Column ${pickerColumn + 1}` : ''}
+          </Text>
+          <ScrollView>
+            {fields.map((field, index) => {
+              const config = getFieldConfig(field);
+              const isSelected = pickerColumn !== null && mapping[pickerColumn] === field;
+              const isFirstAttribute = index === Object.keys(IMPORT_FIELDS).length;
+              return (
+                <View key={field}>
+                  {isFirstAttribute && <Text style={styles.sheetSection}>Custom Fields</Text>}
+                  <TouchableOpacity
+                    style={[styles.sheetOption, isSelected && styles.sheetOptionSelected]}
+                    onPress={() => handleSelectField(field)}
+                    activeOpacity={0.7}
+                  >
+                    <Icon name={config.icon} size={20} color={isSelected ? colors.primary.main : colors.text.secondary} />
+                    <Text style={[styles.sheetOptionText, isSelected && styles.sheetOptionTextSelected]}>
+                      {config.label}
+                    </Text>
+                    {isSelected && <Icon name="check" size={20} color={colors.primary.main} />}
+                  </TouchableOpacity>
+                </View>
+              );
+            })}
+          </ScrollView>
+        </View>
+      </Modal>
+    );
+  };
+
+  const canImport = hasPhoneColumn && rowsToImport.length > 0 && !isOffline;
+
+  return (
+    <View style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {step === 'setup' && (
+          <>
+            <InfoBanner
+              message="Import contacts exported from your phone, a spreadsheet or another CRM"
+              style={styles.banner}
+            />
+            {!parsed && renderPickFile()}
+            {parsed && (
+              <>
+                {renderFileCard()}
+                {renderMapping()}
+                {hasPhoneColumn && renderReview()}
+                {renderOptions()}
+              </>
+            )}
+          </>
+        )}
+        {step === 'importing' && renderProgress()}
+        {step === 'done' && renderResults()}
+      </ScrollView>
+
+      {parsed && step !== 'importing' && (
+        <View style={styles.footer}>
+          {step === 'setup' ? (
+            <TouchableOpacity
+              style={[styles.primaryBtn, !canImport && styles.primaryBtnDisabled]}
+              onPress={handleStartImport}
+              disabled={!canImport}
+              activeOpacity={0.8}
+            >
+              <Icon name="account-multiple-plus-outline" size={20} color={colors.common.white} />
+              <Text style={styles.primaryBtnText}>
+                {isOffline
+                  ? "You're offline"
+                  : `Import ${rowsToImport.length} ${rowsToImport.length === 1 ? 'contact' : 'contacts'}`}
+              </Text>
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity style={styles.primaryBtn} onPress={handleDone} activeOpacity={0.8}>
+              <Icon name="check" size={20} color={colors.common.white} />
+              <Text style={styles.primaryBtnText}>Done</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      {renderFieldPicker()}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background.neutral,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+    gap: 12,
+  },
+  banner: {
+    marginBottom: 0,
+  },
+  card: {
+    padding: 16,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: colors.text.primary,
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginTop: 2,
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text.primary,
+    marginBottom: 8,
+  },
+  labelSpaced: {
+    marginTop: 16,
+  },
+
+  // Pick File
+  pickArea: {
+    alignItems: 'center',
+    paddingVertical: 24,
+    borderWidth: 1.5,
+    borderStyle: 'dashed',
+    borderColor: colors.primary.light,
+    borderRadius: 14,
+    gap: 8,
+  },
+  pickIcon: {
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    backgroundColor: colors.primary.main + '12',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  pickTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: colors.text.primary,
+  },
+  pickSubtitle: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    textAlign: 'center',
+    paddingHorizontal: 16,
+    lineHeight: 18,
+  },
+
+  // File
+  fileRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  fileIcon: {
+    width: 44,
+    height: 44,
+    borderRadius: 12,
+    backgroundColor: colors.primary.main + '12',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  fileInfo: {
+    flex: 1,
+  },
+  fileName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  fileMeta: {
+    fontSize: 12,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  iconBtn: {
+    width: 34,
+    height: 34,
+    borderRadius: 17,
+    backgroundColor: colors.grey[100],
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  // Mapping
+  mappingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingVertical: 10,
+  },
+  mappingRowBorder: {
+    borderTopWidth: 1,
+    borderTopColor: colors.grey[100],
+  },
+  mappingSource: {
+    flex: 1,
+  },
+  mappingHeader: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  mappingSample: {
+    fontSize: 12,
+    color: colors.text.tertiary,
+    marginTop: 2,
+  },
+  fieldButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: colors.primary.light,
+    backgroundColor: colors.primary.main + '08',
+  },
+  fieldButtonSkipped: {
+    borderColor: colors.grey[200],
+    backgroundColor: colors.grey[50],
+  },
+  fieldButtonText: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.primary.main,
+  },
+  fieldButtonTextSkipped: {
+    color: colors.text.tertiary,
+    fontWeight: '500',
+  },
+  errorText: {
+    fontSize: 13,
+    color: colors.error.main,
+    marginTop: 8,
+  },
+
+  // Review
+  countGrid: {
+    flexDirection: 'row',
+    marginTop: 12,
+    gap: 8,
+  },
+  countItem: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderRadius: 10,
+    backgroundColor: colors.grey[50],
+    gap: 2,
+  },
+  countValue: {
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  countLabel: {
+    fontSize: 11,
+    color: colors.text.secondary,
+    textAlign: 'center',
+  },
+  radioRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    padding: 12,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: colors.grey[200],
+    marginBottom: 8,
+  },
+  radioRowSelected: {
+    borderColor: colors.primary.main,
+    backgroundColor: colors.primary.main + '08',
+  },
+  radioText: {
+    flex: 1,
+  },
+  radioLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  radioDescription: {
+    fontSize: 12,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+  issueRow: {
+    flexDirection: 'row',
+    gap: 8,
+    paddingVertical: 6,
+  },
+  issueRowNumber: {
+    width: 56,
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  issueText: {
+    flex: 1,
+    fontSize: 12,
+    color: colors.text.primary,
+  },
+  moreText: {
+    fontSize: 12,
+    color: colors.text.tertiary,
+    marginTop: 4,
+  },
+
+  // Options
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 12,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    maxWidth: '100%',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: colors.grey[200],
+    backgroundColor: colors.grey[50],
+  },
+  chipSelected: {
+    backgroundColor: colors.primary.main,
+    borderColor: colors.primary.main,
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: colors.text.secondary,
+  },
+  chipTextSelected: {
+    color: colors.common.white,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginTop: 16,
+    paddingTop: 16,
+    borderTopWidth: 1,
+    borderTopColor: colors.grey[100],
+  },
+  switchText: {
+    flex: 1,
+  },
+
+  // Progress
+  progressHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    marginBottom: 16,
+  },
+  progressText: {
+    fontSize: 13,
+    color: colors.text.secondary,
+    marginTop: 8,
+  },
+  secondaryBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    marginTop: 16,
+    paddingVertical: 12,
+    borderRadius: 12,
+    backgroundColor: colors.grey[100],
+  },
+  secondaryBtnText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  secondaryBtnTextPrimary: {
+    color: colors.primary.main,
+  },
+
+  // Footer
+  footer: {
+    padding: 16,
+    paddingBottom: Platform.OS === 'ios' ? 34 : 16,
+    backgroundColor: colors.common.white,
+    borderTopWidth: 1,
+    borderTopColor: colors.grey[200],
+  },
+  primaryBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.primary.main,
+  },
+  primaryBtnDisabled: {
+    opacity: 0.5,
+  },
+  primaryBtnText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.common.white,
+  },
+
+  // Field Picker
+  bottomModal: {
+    justifyContent: 'flex-end',
+    margin: 0,
+  },
+  sheet: {
+    backgroundColor: colors.common.white,
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    maxHeight: '70%',
+    paddingBottom: Platform.OS === 'ios' ? 34 : 16,
+  },
+  handleBar: {
+    width: 40,
+    height: 4,
+    backgroundColor: colors.grey[300],
+    borderRadius: 2,
+    alignSelf: 'center',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  sheetTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: colors.text.primary,
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  sheetSection: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.text.tertiary,
+    textTransform: 'uppercase',
+    paddingHorizontal: 20,
+    paddingTop: 12,
+    paddingBottom: 4,
+  },
+  sheetOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+  },
+  sheetOptionSelected: {
+    backgroundColor: colors.primary.main + '08',
+  },
+  sheetOptionText: {
+    flex: 1,
+    fontSize: 15,
+    color: colors.text.primary,
+  },
+  sheetOptionTextSelected: {
+    color: colors.primary.main,
+    fontWeight: '600',
+  },
+});
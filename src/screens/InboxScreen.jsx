@@ -1,20 +1,34 @@
 import React, { useEffect, useState, useCallback, useMemo } from 'react';
-import { View, StyleSheet, FlatList, TouchableOpacity } from 'react-native';
+import { View, StyleSheet, FlatList, TouchableOpacity, BackHandler } from 'react-native';
 import { Text, ActivityIndicator, FAB } from 'react-native-paper';
 import { useDispatch, useSelector } from 'react-redux';
 import { useNavigation, useDrawerStatus } from '@react-navigation/native';
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
-import { resetUnreadCount, resetPagination, setShouldRefreshChats, searchChats, clearSearch, setSearchQuery } from '../redux/slices/inboxSlice';
-import { fetchChatsWithCache, searchChatsWithCache } from '../redux/cacheThunks';
+import { resetUnreadCount, resetPagination, setShouldRefreshChats, searchChats, clearSearch, setSearchQuery, fetchDrafts } from '../redux/slices/inboxSlice';
+import { fetchChatsWithCache, searchChatsWithCache, searchMessagesWithCache, fetchSlaWithCache } from '../redux/cacheThunks';
 import { getAssistants, getFlows } from '../redux/slices/assistantSlice';
 import { resetUnreadCountViaSocket } from '../services/socketService';
+import { syncSlaWarnings } from '../services/notificationService';
 import { useSocket } from '../contexts/SocketContext';
 import { useNetwork } from '../contexts/NetworkContext';
 import { colors, chatColors } from '../theme/colors';
 import ChatListItem from '../components/chat/ChatListItem';
+import FilterChips from '../components/chat/FilterChips';
+import MessageSearchResultItem from '../components/chat/MessageSearchResultItem';
 import InboxHeader from '../components/chat/InboxHeader';
+import ChatSelectionHeader from '../components/chat/ChatSelectionHeader';
+import BulkChatOptionsSheet from '../components/chat/BulkChatOptionsSheet';
 import QuickAddContactSheet from '../components/contacts/QuickAddContactSheet';
-import { ConversationsListSkeleton, EmptyState } from '../components/common';
+import { ConversationsListSkeleton, EmptyState, CustomDialog } from '../components/common';
+import useChatSelection from '../hooks/useChatSelection';
+import useNow from '../hooks/useNow';
+import {
+  hasSlaTargets,
+  isSlaBreached,
+  isAssignedTo,
+  getSlaDeadline,
+  SLA_WARNING_MINUTES,
+} from '../utils/slaHelpers';
 
 export default function InboxScreen() {
   const navigation = useNavigation();
@@ -25,6 +39,28 @@ export default function InboxScreen() {
   const [showQuickAddContact, setShowQuickAddContact] = useState(false);
   const [isSilentRefresh, setIsSilentRefresh] = useState(false);
   const [isHeaderRefreshing, setIsHeaderRefreshing] = useState(false);
+  // While searching: 'chats' (contact/chat matches) or 'messages' (message content matches)
+  const [searchScope, setSearchScope] = useState('chats');
+  // Multi-select: 'assign' | 'status' picker, and the bulk delete confirmation
+  const [bulkSheetMode, setBulkSheetMode] = useState(null);
+  const [showBulkDeleteDialog, setShowBulkDeleteDialog] = useState(false);
+  // Client-side list filter: 'all' | 'unread' | 'assigned_to_me' | 'sla_breached'
+  const [chatFilter, setChatFilter] = useState('all');
+
+  const {
+    selectedIds,
+    isSelectionMode,
+    isRunning: isBulkRunning,
+    progress: bulkProgress,
+    toggleSelection,
+    selectAll,
+    clearSelection,
+    markAsRead,
+    assignTo,
+    changeStatus,
+    setMuted,
+    deleteSelected,
+  } = useChatSelection();
 
   const {
     chats,
@@ -39,11 +75,21 @@ export default function InboxScreen() {
     searchError,
     isSearchActive,
     searchQuery,
+    messageSearchResults,
+    messageSearchStatus,
+    messageSearchHasMore,
+    drafts,
   } = useSelector((state) => state.inbox);
-  const { teamMemberStatus } = useSelector((state) => state.user);
+  const { teamMemberStatus, user } = useSelector((state) => state.user);
+  const sla = useSelector((state) => state.settings.settings.sla);
   const { connectionStatus } = useSocket();
 
   const isTeamMemberLoggedIn = !!teamMemberStatus?.loggedIn;
+  const currentUserEmail = isTeamMemberLoggedIn ? teamMemberStatus.email : user?.email;
+
+  // SLA countdowns tick only while an SLA is configured
+  const isSlaEnabled = hasSlaTargets(sla);
+  const now = useNow(30000, isSlaEnabled);
 
   // Only show loading if online and actually loading
   const isLoading = isNetworkAvailable && status === 'loading';
@@ -64,6 +110,46 @@ export default function InboxScreen() {
     }
   }, []);
 
+  // Load composer drafts for the "Draft:" previews (local only)
+  useEffect(() => {
+    dispatch(fetchDrafts());
+  }, [dispatch]);
+
+  // Load the SLA for time-to-breach badges (cache-first, refreshed in the background)
+  useEffect(() => {
+    dispatch(fetchSlaWithCache());
+  }, [dispatch]);
+
+  // Fall back to all chats if the SLA is removed while its filter is active
+  useEffect(() => {
+    if (!isSlaEnabled && chatFilter === 'sla_breached') {
+      setChatFilter('all');
+    }
+  }, [isSlaEnabled, chatFilter]);
+
+  // Warn shortly before chats assigned to the current user breach their SLA.
+  // Deadlines only move when chats or the SLA change, so no need to re-run on each tick.
+  useEffect(() => {
+    if (!isSlaEnabled || !currentUserEmail) {
+      syncSlaWarnings([]);
+      return;
+    }
+    const warnings = chats
+      .filter(chat => isAssignedTo(chat, currentUserEmail))
+      .map(chat => {
+        const breachAt = getSlaDeadline(chat, sla);
+        if (!breachAt) return null;
+        return {
+          chatId: chat._id,
+          contactName: chat.contact?.name || chat.contact?.phoneNumber || 'A contact',
+          breachAt,
+          fireAt: breachAt - SLA_WARNING_MINUTES * 60000,
+        };
+      })
+      .filter(Boolean);
+    syncSlaWarnings(warnings);
+  }, [chats, sla, isSlaEnabled, currentUserEmail]);
+
   // Fetch when network becomes available (if we haven't loaded yet)
   useEffect(() => {
     if (isNetworkAvailable && !hasLoadedOnce && chats.length === 0) {
@@ -141,6 +227,12 @@ export default function InboxScreen() {
   }, [isLoadingMore]);
 
   const handleChatPress = useCallback((chat) => {
+    // In multi-select mode a tap toggles the chat instead of opening it
+    if (isSelectionMode) {
+      if (!isBulkRunning) toggleSelection(chat._id);
+      return;
+    }
+
     // Reset unread count
     if (chat.unreadCount > 0) {
       dispatch(resetUnreadCount(chat._id));
@@ -149,7 +241,22 @@ export default function InboxScreen() {
 
     // Navigate to chat details
     navigation.navigate('ChatDetails', { chatId: chat._id, chat });
-  }, [dispatch, navigation]);
+  }, [dispatch, navigation, isSelectionMode, isBulkRunning, toggleSelection]);
+
+  // Long press starts (or extends) multi-select
+  const handleChatLongPress = useCallback((chat) => {
+    if (!isBulkRunning) toggleSelection(chat._id);
+  }, [isBulkRunning, toggleSelection]);
+
+  // Hardware back leaves multi-select before leaving the screen
+  useEffect(() => {
+    if (!isSelectionMode) return undefined;
+    const subscription = BackHandler.addEventListener('hardwareBackPress', () => {
+      if (!isBulkRunning) clearSelection();
+      return true;
+    });
+    return () => subscription.remove();
+  }, [isSelectionMode, isBulkRunning, clearSelection]);
 
   const handleMenuPress = useCallback(() => {
     navigation.openDrawer();
@@ -161,6 +268,7 @@ export default function InboxScreen() {
     if (text.trim().length >= 2) {
       // Local search from SQLite cache (instant results)
       dispatch(searchChatsWithCache({ search: text }));
+      dispatch(searchMessagesWithCache({ search: text }));
     } else if (text.trim().length === 0) {
       dispatch(clearSearch());
     }
@@ -175,9 +283,26 @@ export default function InboxScreen() {
   // Clear search and return to normal chat list
   const handleSearchClose = useCallback(() => {
     setLocalSearchQuery('');
+    setSearchScope('chats');
     dispatch(clearSearch());
   }, [dispatch]);
 
+  // Open the chat a message hit belongs to and jump to the message
+  const handleMessageResultPress = useCallback((message) => {
+    const chat = message.chat || chats.find(c => c._id === message.chatId);
+    navigation.navigate('ChatDetails', {
+      chatId: message.chatId,
+      chat,
+      highlightMessageId: message._id || message.wamid,
+    });
+  }, [chats, navigation]);
+
+  // Page further message hits (local index, so no network needed)
+  const handleLoadMoreMessageResults = useCallback(() => {
+    if (!messageSearchHasMore || messageSearchStatus === 'loading' || !searchQuery) return;
+    dispatch(searchMessagesWithCache({ search: searchQuery, offset: messageSearchResults.length }));
+  }, [dispatch, messageSearchHasMore, messageSearchStatus, searchQuery, messageSearchResults.length]);
+
   const handleNewChat = useCallback(() => {
     // Navigate to contacts to start new chat
     navigation.navigate('ContactsTab');
@@ -187,8 +312,8 @@ export default function InboxScreen() {
     setShowQuickAddContact(true);
   }, []);
 
-  // Display search results when search is active, otherwise show all chats
-  // Client-side filtering is removed - search is now API-based (triggered on Enter)
+  // Display search results when search is active, otherwise the chats matching the filter chip
+  // Search is API-based (triggered on Enter); the filter chips work on the loaded chats
   const displayedChats = useMemo(() => {
     if (isSearchActive && searchResults.length > 0) {
       return searchResults;
@@ -197,17 +322,115 @@ export default function InboxScreen() {
     if (isSearchActive && searchStatus === 'succeeded') {
       return [];
     }
-    // Default: show all chats
-    return visibleChats;
-  }, [isSearchActive, searchResults, searchStatus, visibleChats]);
+    switch (chatFilter) {
+      case 'unread':
+        return visibleChats.filter(chat => chat.unreadCount > 0);
+      case 'assigned_to_me':
+        return visibleChats.filter(chat => isAssignedTo(chat, currentUserEmail));
+      case 'sla_breached':
+        return visibleChats.filter(chat => isSlaBreached(chat, sla, now));
+      default:
+        return visibleChats;
+    }
+  }, [isSearchActive, searchResults, searchStatus, visibleChats, chatFilter, currentUserEmail, sla, now]);
+
+  const unreadChatsCount = useMemo(
+    () => visibleChats.filter(chat => chat.unreadCount > 0).length,
+    [visibleChats]
+  );
+
+  const slaBreachedCount = useMemo(
+    () => (isSlaEnabled ? visibleChats.filter(chat => isSlaBreached(chat, sla, now)).length : 0),
+    [isSlaEnabled, visibleChats, sla, now]
+  );
+
+  const selectedChats = useMemo(
+    () => chats.filter(chat => selectedIds.includes(chat._id)),
+    [chats, selectedIds]
+  );
+  // Mute toggles to "unmute" only when every selected chat is already muted
+  const allSelectedMuted = selectedChats.length > 0 && selectedChats.every(chat => chat.hideNotification);
+
+  const handleSelectAll = useCallback(() => {
+    selectAll(displayedChats.map(chat => chat._id));
+  }, [selectAll, displayedChats]);
+
+  const handleBulkOptionSelect = useCallback((option) => {
+    const mode = bulkSheetMode;
+    setBulkSheetMode(null);
+    if (mode === 'assign') {
+      assignTo(option);
+    } else if (mode === 'status') {
+      changeStatus(option.value, option.label);
+    }
+  }, [bulkSheetMode, assignTo, changeStatus]);
+
+  const confirmBulkDelete = useCallback(() => {
+    setShowBulkDeleteDialog(false);
+    deleteSelected();
+  }, [deleteSelected]);
 
   const renderChatItem = useCallback(({ item }) => (
     <ChatListItem
       chat={item}
+      draft={drafts[item._id]}
       onPress={handleChatPress}
+      onLongPress={handleChatLongPress}
       isSelected={selectedChatId === item._id}
+      isChecked={selectedIds.includes(item._id)}
+      sla={isSlaEnabled ? sla : undefined}
+      now={now}
+    />
+  ), [handleChatPress, handleChatLongPress, selectedChatId, selectedIds, drafts, isSlaEnabled, sla, now]);
+
+  const renderMessageResult = useCallback(({ item }) => (
+    <MessageSearchResultItem
+      message={item}
+      query={searchQuery}
+      onPress={handleMessageResultPress}
     />
-  ), [handleChatPress, selectedChatId]);
+  ), [handleMessageResultPress, searchQuery]);
+
+  const renderMessageResultsEmpty = () => {
+    if (messageSearchStatus === 'loading') {
+      return (
+        <View style={styles.skeletonInListContainer}>
+          <ConversationsListSkeleton count={6} />
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.emptyContainer}>
+        <Icon name="text-search" size={80} color={colors.grey[300]} />
+        <Text variant="headlineSmall" style={styles.emptyTitle}>
+          No messages found
+        </Text>
+        <Text variant="bodyMedium" style={styles.emptyText}>
+          No messages matching "{searchQuery}".{'\n'}Only messages saved on this device are searched.
+        </Text>
+      </View>
+    );
+  };
+
+  const renderSearchScopeTabs = () => (
+    <View style={styles.scopeTabs}>
+      {[
+        { key: 'chats', label: 'Chats', count: searchResults.length },
+        { key: 'messages', label: 'Messages', count: messageSearchResults.length },
+      ].map(tab => (
+        <TouchableOpacity
+          key={tab.key}
+          style={[styles.scopeTab, searchScope === tab.key && styles.scopeTabActive]}
+          onPress={() => setSearchScope(tab.key)}
+        >
+          <Text style={[styles.scopeTabText, searchScope === tab.key && styles.scopeTabTextActive]}>
+            {tab.label}{tab.count > 0 ? ` (${tab.count}${tab.key === 'messages' && messageSearchHasMore ? '+' : ''})` : ''}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
 
   const renderEmptyState = () => {
     // Show skeleton while loading search results
@@ -280,6 +503,32 @@ export default function InboxScreen() {
       );
     }
 
+    // Chats are loaded but none match the active filter chip
+    if (chatFilter !== 'all' && chats.length > 0) {
+      const isSlaFilter = chatFilter === 'sla_breached';
+      return (
+        <View style={styles.emptyContainer}>
+          <Icon
+            name={isSlaFilter ? 'timer-check-outline' : 'filter-variant-remove'}
+            size={80}
+            color={colors.grey[300]}
+          />
+          <Text variant="headlineSmall" style={styles.emptyTitle}>
+            {isSlaFilter ? 'No SLA breaches' : 'No matching chats'}
+          </Text>
+          <Text variant="bodyMedium" style={styles.emptyText}>
+            {isSlaFilter
+              ? 'Every chat waiting on a reply is within its response time.'
+              : 'No chats match this filter.'}
+          </Text>
+          <TouchableOpacity style={styles.startChatButton} onPress={() => setChatFilter('all')}>
+            <Icon name="filter-off-outline" size={20} color={colors.common.white} />
+            <Text style={styles.startChatButtonText}>Show All Chats</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
     // Show empty state only after loading completes with no results
     return (
       <View style={styles.emptyContainer}>
@@ -333,20 +582,66 @@ export default function InboxScreen() {
 
   return (
     <View style={styles.container}>
-      <InboxHeader
-        onMenuPress={handleMenuPress}
-        onSearchChange={handleSearchChange}
-        onSearchSubmit={handleSearchSubmit}
-        onSearchClose={handleSearchClose}
-        onAddContact={handleAddContact}
-        onRefresh={onRefresh}
-        isRefreshing={isHeaderRefreshing}
-        connectionStatus={connectionStatus}
-        isSearchLoading={isSearchLoading}
-      />
+      {isSelectionMode && (
+        <ChatSelectionHeader
+          selectedCount={selectedIds.length}
+          totalCount={displayedChats.length}
+          allMuted={allSelectedMuted}
+          progress={bulkProgress}
+          onClose={clearSelection}
+          onSelectAll={handleSelectAll}
+          onMarkRead={markAsRead}
+          onAssign={() => setBulkSheetMode('assign')}
+          onChangeStatus={() => setBulkSheetMode('status')}
+          onToggleMute={() => setMuted(!allSelectedMuted)}
+          onDelete={() => setShowBulkDeleteDialog(true)}
+        />
+      )}
+
+      {/* Kept mounted (hidden) during multi-select so an open search isn't lost */}
+      <View style={isSelectionMode && styles.hidden}>
+        <InboxHeader
+          onMenuPress={handleMenuPress}
+          onSearchChange={handleSearchChange}
+          onSearchSubmit={handleSearchSubmit}
+          onSearchClose={handleSearchClose}
+          onAddContact={handleAddContact}
+          onRefresh={onRefresh}
+          isRefreshing={isHeaderRefreshing}
+          connectionStatus={connectionStatus}
+          isSearchLoading={isSearchLoading}
+        />
+      </View>
+
+      {isSearchActive && !isSelectionMode && renderSearchScopeTabs()}
+
+      {!isSearchActive && !isSelectionMode && chats.length > 0 && (
+        <FilterChips
+          activeFilter={chatFilter}
+          onFilterChange={setChatFilter}
+          unreadCount={unreadChatsCount}
+          slaBreachedCount={slaBreachedCount}
+          showSlaFilter={isSlaEnabled}
+        />
+      )}
 
       {error && !chats.length ? (
         renderError()
+      ) : isSearchActive && searchScope === 'messages' ? (
+        <FlatList
+          data={messageSearchResults}
+          renderItem={renderMessageResult}
+          keyExtractor={(item, index) => item._id || item.wamid || `message-${index}`}
+          contentContainerStyle={[
+            styles.listContent,
+            messageSearchResults.length === 0 && styles.emptyListContent,
+          ]}
+          ListEmptyComponent={renderMessageResultsEmpty}
+          onEndReached={handleLoadMoreMessageResults}
+          onEndReachedThreshold={0.5}
+          keyboardShouldPersistTaps="handled"
+          showsVerticalScrollIndicator={false}
+        />
       ) : (
         <FlatList
           data={displayedChats}
@@ -369,7 +664,7 @@ export default function InboxScreen() {
       )}
 
       {/* Floating Action Button for new chat - WhatsApp style */}
-      {!isTeamMemberLoggedIn && (
+      {!isTeamMemberLoggedIn && !isSelectionMode && (
         <FAB
           icon="message-text"
           style={styles.fab}
@@ -378,6 +673,36 @@ export default function InboxScreen() {
         />
       )}
 
+      {/* Bulk assign / status picker */}
+      <BulkChatOptionsSheet
+        visible={!!bulkSheetMode}
+        mode={bulkSheetMode}
+        selectedCount={selectedIds.length}
+        onSelect={handleBulkOptionSelect}
+        onClose={() => setBulkSheetMode(null)}
+      />
+
+      {/* Bulk delete confirmation */}
+      <CustomDialog
+        visible={showBulkDeleteDialog}
+        onDismiss={() => setShowBulkDeleteDialog(false)}
+        icon="delete-outline"
+        iconColor={colors.error.main}
+        title={`Delete ${selectedIds.length} ${selectedIds.length === 1 ? 'Conversation' : 'Conversations'}`}
+        message="Are you sure you want to delete the selected conversations? This action cannot be undone and all their messages will be permanently removed."
+        actions={[
+          {
+            label: 'Cancel',
+            onPress: () => setShowBulkDeleteDialog(false),
+          },
+          {
+            label: 'Delete',
+            onPress: confirmBulkDelete,
+            destructive: true,
+          },
+        ]}
+      />
+
       {/* Quick Add Contact Sheet */}
       <QuickAddContactSheet
         visible={showQuickAddContact}
@@ -403,6 +728,9 @@ const styles = StyleSheet.create({
     marginTop: 16,
     color: colors.text.secondary,
   },
+  hidden: {
+    display: 'none',
+  },
   skeletonContainer: {
     flex: 1,
     backgroundColor: colors.common.white,
@@ -494,4 +822,29 @@ const styles = StyleSheet.create({
     fontSize: 13,
     color: colors.text.secondary,
   },
+  scopeTabs: {
+    flexDirection: "row",
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    gap: 8,
+    borderBottomWidth: 0.5,
+    borderBottomColor: "rgba(0,0,0,0.08)",
+  },
+  scopeTab: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: colors.grey[200],
+  },
+  scopeTabActive: {
+    backgroundColor: chatColors.primary,
+  },
+  scopeTabText: {
+    fontSize: 13,
+    fontWeight: "500",
+    color: colors.text.secondary,
+  },
+  scopeTabTextActive: {
+    color: colors.common.white,
+  },
 });
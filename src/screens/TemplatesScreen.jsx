@@ -13,16 +13,19 @@ import {
   ActivityIndicator,
   Searchbar,
   IconButton,
+  FAB,
 } from 'react-native-paper';
 import { useDispatch, useSelector } from 'react-redux';
+import { useNavigation } from '@react-navigation/native';
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
-import { resetTemplates } from '../redux/slices/templateSlice';
+import { resetTemplates, syncTemplates, deleteTemplate } from '../redux/slices/templateSlice';
 import { fetchTemplatesWithCache, fetchTemplateStatsWithCache } from '../redux/cacheThunks';
-import { colors } from '../theme/colors';
+import { colors, chatColors } from '../theme/colors';
 import ShadowCard from '../components/common/ShadowCard';
-import { TemplatesListSkeleton, MessagePreviewBubble } from '../components/common';
+import { TemplatesListSkeleton, MessagePreviewBubble, CustomDialog } from '../components/common';
 import { getTemplateHeader, getCarouselCards, getLimitedTimeOffer } from '../components/common/MessagePreview';
 import { useNetwork } from '../contexts/NetworkContext';
+import { showSuccess, showError, showWarning } from '../utils/toast';
 
 // Status configurations
 const STATUS_CONFIG = {
@@ -53,11 +56,13 @@ const FORMAT_CONFIG = {
 
 export default function TemplatesScreen() {
   const dispatch = useDispatch();
+  const navigation = useNavigation();
   const { isOffline, isNetworkAvailable } = useNetwork();
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedStatus, setSelectedStatus] = useState('all');
   const [previewTemplate, setPreviewTemplate] = useState(null);
   const [showPreview, setShowPreview] = useState(false);
+  const [templateToDelete, setTemplateToDelete] = useState(null);
   const PAGE_SIZE = 10;
   const searchDebounceRef = useRef(null);
   const filterChipListRef = useRef(null);
@@ -74,6 +79,8 @@ export default function TemplatesScreen() {
     draftTemplates,
     rejectedTemplates,
     hasMoreTemplates,
+    syncTemplatesStatus,
+    deleteTemplateStatus,
   } = useSelector((state) => state.template);
 
   const { settingId } = useSelector((state) => state.user);
@@ -185,6 +192,46 @@ export default function TemplatesScreen() {
     loadTemplates({ reset: false, loadMore: true, search: searchQuery, status: selectedStatus });
   }, [templatesStatus, hasMoreTemplates, loadTemplates, searchQuery, selectedStatus, isOffline]);
 
+  // Pull template changes made in Meta Business Manager, then reload the current pill
+  const handleSync = async () => {
+    if (isOffline) {
+      showWarning('Connect to the internet to sync templates');
+      return;
+    }
+
+    try {
+      await dispatch(syncTemplates()).unwrap();
+      setSearchQuery('');
+      loadTemplates({ reset: true, search: '', status: selectedStatus, forceRefresh: true });
+      showSuccess('Templates synced with Meta');
+    } catch (error) {
+      showError(typeof error === 'string' ? error : 'Failed to sync templates');
+    }
+  };
+
+  const handleDeleteRequest = (template) => {
+    if (isOffline) {
+      showWarning('Connect to the internet to delete templates');
+      return;
+    }
+    setShowPreview(false);
+    setTemplateToDelete(template);
+  };
+
+  const confirmDelete = async () => {
+    const template = templateToDelete;
+    setTemplateToDelete(null);
+    if (!template) return;
+
+    try {
+      await dispatch(deleteTemplate(template._id)).unwrap();
+      dispatch(fetchTemplateStatsWithCache({ forceRefresh: true }));
+      showSuccess(`"${template.name}" was deleted`, 'Template Deleted');
+    } catch (error) {
+      showError(typeof error === 'string' ? error : 'Failed to delete template');
+    }
+  };
+
   // Templates are now filtered by API, so just use templates directly
   const filteredTemplates = templates;
 
@@ -382,14 +429,25 @@ export default function TemplatesScreen() {
               </View>
             </ScrollView>
 
-            {/* Close Button */}
-            <TouchableOpacity
-              style={styles.closeBtn}
-              onPress={() => setShowPreview(false)}
-              activeOpacity={0.8}
-            >
-              <Text style={styles.closeBtnText}>Close</Text>
-            </TouchableOpacity>
+            {/* Actions */}
+            <View style={styles.modalActions}>
+              <TouchableOpacity
+                style={styles.deleteBtn}
+                onPress={() => handleDeleteRequest(previewTemplate)}
+                disabled={deleteTemplateStatus === 'loading'}
+                activeOpacity={0.8}
+              >
+                <Icon name="delete-outline" size={18} color={colors.error.main} />
+                <Text style={styles.deleteBtnText}>Delete</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.closeBtn}
+                onPress={() => setShowPreview(false)}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.closeBtnText}>Close</Text>
+              </TouchableOpacity>
+            </View>
           </View>
         </View>
       </Modal>
@@ -488,8 +546,16 @@ export default function TemplatesScreen() {
         </View>
         <Text style={styles.emptyTitle}>No Templates Yet</Text>
         <Text style={styles.emptySubtitle}>
-          Your message templates will appear here.{'\n'}Create templates from the WhatsApp Business Manager.
+          Your message templates will appear here.{'\n'}Create one, or sync templates from Meta.
         </Text>
+        <TouchableOpacity
+          style={styles.emptyActionButton}
+          onPress={() => navigation.navigate('CreateTemplate')}
+          activeOpacity={0.8}
+        >
+          <Icon name="plus" size={18} color="#FFFFFF" />
+          <Text style={styles.emptyActionButtonText}>Create Template</Text>
+        </TouchableOpacity>
       </View>
     );
   };
@@ -524,16 +590,30 @@ export default function TemplatesScreen() {
   return (
     <View style={styles.container}>
       {/* Search Header */}
-      <View style={styles.header}>
+      <View style={[styles.header, styles.headerRow]}>
         <Searchbar
           placeholder="Search templates..."
           onChangeText={handleSearchChange}
           value={searchQuery}
-          style={styles.searchbar}
+          style={[styles.searchbar, styles.searchbarFlex]}
           inputStyle={styles.searchInput}
           iconColor={colors.text.tertiary}
           placeholderTextColor={colors.text.tertiary}
         />
+        {syncTemplatesStatus === 'loading' ? (
+          <View style={styles.syncButton}>
+            <ActivityIndicator size="small" color={colors.primary.main} />
+          </View>
+        ) : (
+          <IconButton
+            icon="cloud-sync-outline"
+            size={24}
+            iconColor={colors.primary.main}
+            style={styles.syncButton}
+            onPress={handleSync}
+            accessibilityLabel="Sync templates from Meta"
+          />
+        )}
       </View>
 
       {/* Filter by Status - Outside scroll area */}
@@ -591,6 +671,35 @@ export default function TemplatesScreen() {
       />
 
       {renderPreviewModal()}
+
+      <FAB
+        icon="plus"
+        style={styles.fab}
+        onPress={() => navigation.navigate('CreateTemplate')}
+        color={colors.common.white}
+        accessibilityLabel="Create template"
+      />
+
+      {/* Delete confirmation */}
+      <CustomDialog
+        visible={!!templateToDelete}
+        onDismiss={() => setTemplateToDelete(null)}
+        icon="delete-outline"
+        iconColor={colors.error.main}
+        title="Delete Template"
+        message={`Delete "${templateToDelete?.name}"? It will also be removed from Meta and can no longer be sent. This action cannot be undone.`}
+        actions={[
+          {
+            label: 'Cancel',
+            onPress: () => setTemplateToDelete(null),
+          },
+          {
+            label: 'Delete',
+            onPress: confirmDelete,
+            destructive: true,
+          },
+        ]}
+      />
     </View>
   );
 }
@@ -691,6 +800,26 @@ const styles = StyleSheet.create({
     backgroundColor: colors.background.default,
   },
 
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  syncButton: {
+    width: 48,
+    height: 48,
+    margin: 0,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  fab: {
+    position: 'absolute',
+    right: 16,
+    bottom: 16,
+    backgroundColor: chatColors.accent,
+    borderRadius: 16,
+  },
+
   // Search (matching ContactsScreen)
   searchbar: {
     backgroundColor: colors.grey[100],
@@ -701,6 +830,9 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: colors.grey[300],
   },
+  searchbarFlex: {
+    flex: 1,
+  },
   searchInput: {
     fontSize: 15,
     minHeight: 48,
@@ -972,8 +1104,28 @@ const styles = StyleSheet.create({
     marginBottom: 12,
   },
   // Close Button
-  closeBtn: {
+  modalActions: {
+    flexDirection: 'row',
+    gap: 12,
     marginHorizontal: 16,
+  },
+  deleteBtn: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    paddingHorizontal: 20,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.error.main,
+  },
+  deleteBtnText: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: colors.error.main,
+  },
+  closeBtn: {
+    flex: 1,
     backgroundColor: colors.primary.main,
     borderRadius: 12,
     paddingVertical: 14,
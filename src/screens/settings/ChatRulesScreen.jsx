@@ -5,16 +5,19 @@ import {
   ScrollView,
   RefreshControl,
   Animated,
+  TouchableOpacity,
 } from 'react-native';
-import { Text, Snackbar } from 'react-native-paper';
+import { Text, Snackbar, Switch } from 'react-native-paper';
 import { useDispatch } from 'react-redux';
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
 import { fetchChatStatusRulesWithCache, fetchChatTeamMembersWithCache } from '../../redux/cacheThunks';
+import { updateSettings, silentUpdateChatStatusRules, silentUpdateChatTeamMembers } from '../../redux/slices/settingsSlice';
 import { cacheManager } from '../../database/CacheManager';
 import { useFocusEffect } from '@react-navigation/native';
 import { useNetwork } from '../../contexts/NetworkContext';
 import { colors } from '../../theme/colors';
-import { InfoBanner, ShadowCard } from '../../components/common';
+import { InfoBanner, ShadowCard, CustomDialog } from '../../components/common';
+import ChatStatusRuleModal from '../../components/settings/ChatStatusRuleModal';
 
 // Status configurations with labels and colors
 const STATUS_CONFIG = {
@@ -68,6 +71,22 @@ const STATUS_CONFIG = {
   },
 };
 
+/**
+ * Build the chatStatusRules setting from the rule list.
+ * Rules are keyed by source status; removed rules are sent with days 0 so
+ * the server drops them whether it merges or replaces the object.
+ */
+const buildRulesSettingData = (rules, previousRules) => {
+  const data = {};
+  previousRules.forEach((rule) => {
+    data[rule.fromStatus] = { toStatus: '', days: 0 };
+  });
+  rules.forEach((rule, index) => {
+    data[rule.fromStatus] = { toStatus: rule.toStatus, days: rule.days, order: index };
+  });
+  return data;
+};
+
 // Skeleton Pulse Component
 const SkeletonPulse = ({ style }) => {
   const opacity = useRef(new Animated.Value(0.3)).current;
@@ -233,6 +252,13 @@ export default function ChatRulesScreen() {
   const [teamMembers, setTeamMembers] = useState([]);
   const [isInitialLoading, setIsInitialLoading] = useState(true);
 
+  // Editing state
+  const [showRuleModal, setShowRuleModal] = useState(false);
+  const [ruleToEdit, setRuleToEdit] = useState(null);
+  const [ruleToDelete, setRuleToDelete] = useState(null);
+  const [isSavingRules, setIsSavingRules] = useState(false);
+  const [updatingMemberId, setUpdatingMemberId] = useState(null);
+
   // Refs for cache-first pattern
   const initialLoadDone = useRef(false);
   const isLoadingRef = useRef(false);
@@ -344,6 +370,111 @@ export default function ChatRulesScreen() {
     setSnackbarVisible(true);
   };
 
+  // Apply a rule list to screen state, Redux and the cached app_settings row
+  const applyRules = useCallback((rules) => {
+    setChatStatusRules(rules);
+    dispatch(silentUpdateChatStatusRules(rules));
+    cacheManager.saveAppSetting('chatStatusRules', rules).catch(() => {});
+  }, [dispatch]);
+
+  // Save rules — optimistic update, rolled back if the server rejects it
+  const saveRules = async (nextRules, successMessage) => {
+    if (isOffline) {
+      showSnackbar('Connect to the internet to edit chat rules');
+      return false;
+    }
+    const previousRules = chatStatusRules;
+    const orderedRules = nextRules.map((rule, index) => ({ ...rule, order: index }));
+    applyRules(orderedRules);
+    setIsSavingRules(true);
+    try {
+      await dispatch(updateSettings({
+        key: 'chatStatusRules',
+        data: buildRulesSettingData(orderedRules, previousRules),
+      })).unwrap();
+      // updateSettings writes the raw setting into the store — keep the parsed list there
+      dispatch(silentUpdateChatStatusRules(orderedRules));
+      showSnackbar(successMessage);
+      return true;
+    } catch (error) {
+      applyRules(previousRules);
+      showSnackbar(typeof error === 'string' ? error : 'Failed to update chat rules');
+      return false;
+    } finally {
+      setIsSavingRules(false);
+    }
+  };
+
+  const handleOpenRuleModal = (rule = null) => {
+    if (isOffline) {
+      showSnackbar('Connect to the internet to edit chat rules');
+      return;
+    }
+    setRuleToEdit(rule);
+    setShowRuleModal(true);
+  };
+
+  const handleSaveRule = async (rule) => {
+    const nextRules = ruleToEdit
+      ? chatStatusRules.map((item) => (item.fromStatus === ruleToEdit.fromStatus ? rule : item))
+      : [...chatStatusRules, rule];
+    setShowRuleModal(false);
+    await saveRules(nextRules, ruleToEdit ? 'Status rule updated' : 'Status rule added');
+    setRuleToEdit(null);
+  };
+
+  const handleDeleteRule = async () => {
+    const rule = ruleToDelete;
+    setRuleToDelete(null);
+    if (!rule) return;
+    await saveRules(
+      chatStatusRules.filter((item) => item.fromStatus !== rule.fromStatus),
+      'Status rule deleted'
+    );
+  };
+
+  const handleMoveRule = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= chatStatusRules.length || isSavingRules) return;
+    const nextRules = [...chatStatusRules];
+    [nextRules[index], nextRules[target]] = [nextRules[target], nextRules[index]];
+    saveRules(nextRules, 'Rule order saved');
+  };
+
+  // Toggle auto-assignment for a team member — optimistic update with rollback
+  const handleToggleAssignment = async (member, isActive) => {
+    if (isOffline) {
+      showSnackbar('Connect to the internet to change auto-assignment');
+      return;
+    }
+    const previousMembers = teamMembers;
+    const chatAssignment = { ...member.chatAssignment, isActive };
+    const nextMembers = teamMembers.map((item) =>
+      item._id === member._id ? { ...item, chatAssignment } : item
+    );
+
+    setTeamMembers(nextMembers);
+    dispatch(silentUpdateChatTeamMembers(nextMembers));
+    cacheManager.saveAppSetting('chatTeamMembers', nextMembers).catch(() => {});
+    setUpdatingMemberId(member._id);
+
+    try {
+      await dispatch(updateSettings({
+        key: 'teamMembers',
+        data: [{ _id: member._id, chatAssignment }],
+        shouldUpdate: true,
+      })).unwrap();
+      showSnackbar(`Auto-assignment ${isActive ? 'enabled' : 'disabled'} for ${member.name || member.email}`);
+    } catch (error) {
+      setTeamMembers(previousMembers);
+      dispatch(silentUpdateChatTeamMembers(previousMembers));
+      cacheManager.saveAppSetting('chatTeamMembers', previousMembers).catch(() => {});
+      showSnackbar(typeof error === 'string' ? error : 'Failed to update auto-assignment');
+    } finally {
+      setUpdatingMemberId(null);
+    }
+  };
+
   // Get status display info
   const getStatusDisplay = (statusKey) => {
     return STATUS_CONFIG[statusKey] || {
@@ -360,9 +491,12 @@ export default function ChatRulesScreen() {
     const toStatus = getStatusDisplay(rule.toStatus);
 
     return (
-      <View
-        key={rule._id || index}
+      <TouchableOpacity
+        key={rule.fromStatus}
         style={[styles.ruleItem, !isLast && styles.ruleItemBorder]}
+        onPress={() => handleOpenRuleModal(rule)}
+        disabled={isSavingRules}
+        activeOpacity={0.7}
       >
         {/* From Status */}
         <View style={styles.statusItem}>
@@ -387,7 +521,34 @@ export default function ChatRulesScreen() {
           </View>
           <Text style={styles.statusText} numberOfLines={1}>{toStatus.label}</Text>
         </View>
-      </View>
+
+        {/* Reorder / Delete */}
+        <View style={styles.ruleActions}>
+          <View style={styles.reorderButtons}>
+            <TouchableOpacity
+              onPress={() => handleMoveRule(index, -1)}
+              disabled={index === 0 || isSavingRules || isOffline}
+              hitSlop={{ top: 4, bottom: 2, left: 8, right: 8 }}
+            >
+              <Icon name="chevron-up" size={18} color={index === 0 ? colors.grey[300] : colors.text.secondary} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => handleMoveRule(index, 1)}
+              disabled={isLast || isSavingRules || isOffline}
+              hitSlop={{ top: 2, bottom: 4, left: 8, right: 8 }}
+            >
+              <Icon name="chevron-down" size={18} color={isLast ? colors.grey[300] : colors.text.secondary} />
+            </TouchableOpacity>
+          </View>
+          <TouchableOpacity
+            onPress={() => setRuleToDelete(rule)}
+            disabled={isSavingRules || isOffline}
+            hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+          >
+            <Icon name="delete-outline" size={20} color={isOffline ? colors.grey[300] : colors.error.main} />
+          </TouchableOpacity>
+        </View>
+      </TouchableOpacity>
     );
   };
 
@@ -413,17 +574,12 @@ export default function ChatRulesScreen() {
             <Text style={styles.memberEmail} numberOfLines={1}>{member.email}</Text>
           )}
         </View>
-        {isActive ? (
-          <View style={styles.activeBadge}>
-            <Icon name="check-circle" size={14} color="#16A34A" />
-            <Text style={styles.activeText}>Active</Text>
-          </View>
-        ) : (
-          <View style={styles.inactiveBadge}>
-            <Icon name="close-circle" size={14} color="#DC2626" />
-            <Text style={styles.inactiveText}>Inactive</Text>
-          </View>
-        )}
+        <Switch
+          value={isActive}
+          onValueChange={(value) => handleToggleAssignment(member, value)}
+          disabled={isOffline || updatingMemberId === member._id}
+          color={colors.primary.main}
+        />
       </View>
     );
   };
@@ -465,10 +621,12 @@ export default function ChatRulesScreen() {
         showsVerticalScrollIndicator={false}
       >
         {/* Info Banner */}
-        <InfoBanner
-          message="Chat rules are configured from the web dashboard"
-          style={{ marginBottom: 16 }}
-        />
+        {isOffline && (
+          <InfoBanner
+            message="You're offline. Chat rules can be edited once you reconnect."
+            style={{ marginBottom: 16 }}
+          />
+        )}
 
         {/* ============ CHAT ASSIGNMENT RULES SECTION ============ */}
         <ShadowCard variant="card" style={styles.sectionCard}>
@@ -480,7 +638,7 @@ export default function ChatRulesScreen() {
             <View style={styles.sectionTitleBox}>
               <Text style={styles.sectionTitle}>Chat Assignment</Text>
               <Text style={styles.sectionSubtitle}>
-                Team members with auto-assignment enabled
+                Auto-assign new chats to these team members
               </Text>
             </View>
             {teamMembers.length > 0 && (
@@ -502,7 +660,7 @@ export default function ChatRulesScreen() {
               <View style={{ width: 56, height: 56, borderRadius: 16, backgroundColor: '#E3F2FD', justifyContent: 'center', alignItems: 'center' }}>
                 <Icon name="account-multiple-check-outline" size={32} color="#2196F3" />
               </View>
-              <Text style={styles.emptyText}>No team members with auto-assignment</Text>
+              <Text style={styles.emptyText}>No team members yet</Text>
             </View>
           )}
         </ShadowCard>
@@ -525,6 +683,13 @@ export default function ChatRulesScreen() {
                 <Text style={styles.countText}>{chatStatusRules.length}</Text>
               </View>
             )}
+            <TouchableOpacity
+              style={[styles.addButton, isOffline && styles.addButtonDisabled]}
+              onPress={() => handleOpenRuleModal()}
+              disabled={isSavingRules || chatStatusRules.length >= Object.keys(STATUS_CONFIG).length}
+            >
+              <Icon name="plus" size={20} color={colors.common.white} />
+            </TouchableOpacity>
           </View>
 
           {/* Section Content */}
@@ -547,6 +712,41 @@ export default function ChatRulesScreen() {
         <View style={styles.bottomSpacing} />
       </ScrollView>
 
+      <ChatStatusRuleModal
+        visible={showRuleModal}
+        rule={ruleToEdit}
+        statusConfig={STATUS_CONFIG}
+        usedFromStatuses={chatStatusRules.map((rule) => rule.fromStatus)}
+        onClose={() => {
+          setShowRuleModal(false);
+          setRuleToEdit(null);
+        }}
+        onSave={handleSaveRule}
+        isSaving={isSavingRules}
+      />
+
+      <CustomDialog
+        visible={!!ruleToDelete}
+        onDismiss={() => setRuleToDelete(null)}
+        icon="delete-outline"
+        iconColor={colors.error.main}
+        title="Delete Status Rule"
+        message={ruleToDelete
+          ? `Stop moving ${getStatusDisplay(ruleToDelete.fromStatus).label} chats to ${getStatusDisplay(ruleToDelete.toStatus).label} after ${ruleToDelete.days} days?`
+          : ''}
+        actions={[
+          {
+            label: 'Cancel',
+            onPress: () => setRuleToDelete(null),
+          },
+          {
+            label: 'Delete',
+            onPress: handleDeleteRule,
+            destructive: true,
+          },
+        ]}
+      />
+
       <Snackbar
         visible={snackbarVisible}
         onDismiss={() => setSnackbarVisible(false)}
@@ -663,6 +863,26 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     color: colors.warning.dark,
   },
+  ruleActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginLeft: 6,
+  },
+  reorderButtons: {
+    alignItems: 'center',
+  },
+  addButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: colors.primary.main,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  addButtonDisabled: {
+    backgroundColor: colors.grey[400],
+  },
 
   // Team Members Items
   memberItem: {
@@ -708,34 +928,6 @@ const styles = StyleSheet.create({
     color: colors.text.secondary,
     marginTop: 2,
   },
-  activeBadge: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    backgroundColor: '#DCFCE7',
-    paddingHorizontal: 10,
-    paddingVertical: 5,
-    borderRadius: 12,
-    gap: 4,
-  },
-  activeText: {
-    fontSize: 11,
-    fontWeight: '600',
-    color: '#16A34A',
-  },
-  inactiveBadge: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    backgroundColor: '#FEE2E2',
-    paddingHorizontal: 10,
-    paddingVertical: 5,
-    borderRadius: 12,
-    gap: 4,
-  },
-  inactiveText: {
-    fontSize: 11,
-    fontWeight: '600',
-    color: '#DC2626',
-  },
 
   // Empty State
   emptyContent: {
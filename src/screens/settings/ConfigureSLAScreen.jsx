@@ -5,11 +5,15 @@ import {
   ScrollView,
   RefreshControl,
   Animated,
+  TouchableOpacity,
+  TextInput as RNTextInput,
 } from 'react-native';
-import { Text, Snackbar } from 'react-native-paper';
+import { Text, Snackbar, Switch, ActivityIndicator } from 'react-native-paper';
 import { useDispatch } from 'react-redux';
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
-import { fetchSlaWithCache } from '../../redux/cacheThunks';
+import { fetchSlaWithCache, fetchChatTeamMembersWithCache } from '../../redux/cacheThunks';
+import { updateSettings, silentUpdateSla } from '../../redux/slices/settingsSlice';
+import { SLA_STATUS_OPTIONS, toSlaMinutes } from '../../utils/slaHelpers';
 import { cacheManager } from '../../database/CacheManager';
 import { useFocusEffect } from '@react-navigation/native';
 import { useNetwork } from '../../contexts/NetworkContext';
@@ -22,6 +26,59 @@ const SLA_COLORS = {
   iconBg: '#FCE4EC',
 };
 
+const MAX_SLA_HOURS = 999;
+
+const mapValues = (object, fn) =>
+  Object.fromEntries(Object.entries(object || {}).map(([key, value]) => [key, fn(value)]));
+
+// Editable copy of a target — inputs hold strings
+const toTargetDraft = (target) => ({
+  hours: target?.hours !== undefined && target?.hours !== null ? String(target.hours) : '',
+  mins: target?.mins !== undefined && target?.mins !== null ? String(target.mins) : '',
+});
+
+const toTargetValue = (draft) => ({
+  hours: parseInt(draft.hours, 10) || 0,
+  mins: parseInt(draft.mins, 10) || 0,
+});
+
+// "1h 30m" style label for a target
+const formatTarget = (target) => {
+  const total = toSlaMinutes(target);
+  const hours = Math.floor(total / 60);
+  const mins = total % 60;
+  if (!hours) return `${mins}m`;
+  return mins ? `${hours}h ${mins}m` : `${hours}h`;
+};
+
+// Hours + minutes input pair used for the default and override targets
+const TargetInput = ({ value, onChange, disabled, compact }) => (
+  <View style={styles.targetInputRow}>
+    <RNTextInput
+      value={value.hours}
+      onChangeText={(text) => onChange({ ...value, hours: text.replace(/[^0-9]/g, '') })}
+      placeholder="0"
+      placeholderTextColor={colors.text.tertiary}
+      keyboardType="number-pad"
+      maxLength={3}
+      editable={!disabled}
+      style={[styles.targetInput, compact && styles.targetInputCompact]}
+    />
+    <Text style={styles.targetUnit}>h</Text>
+    <RNTextInput
+      value={value.mins}
+      onChangeText={(text) => onChange({ ...value, mins: text.replace(/[^0-9]/g, '') })}
+      placeholder="0"
+      placeholderTextColor={colors.text.tertiary}
+      keyboardType="number-pad"
+      maxLength={2}
+      editable={!disabled}
+      style={[styles.targetInput, compact && styles.targetInputCompact]}
+    />
+    <Text style={styles.targetUnit}>m</Text>
+  </View>
+);
+
 // Skeleton Pulse Component
 const SkeletonPulse = ({ style }) => {
   const opacity = useRef(new Animated.Value(0.3)).current;
@@ -137,8 +194,16 @@ export default function ConfigureSLAScreen() {
   // Local state for SLA data
   const [hours, setHours] = useState('--');
   const [mins, setMins] = useState('--');
+  const [slaSettings, setSlaSettings] = useState(null);
+  const [teamMembers, setTeamMembers] = useState([]);
   const [isInitialLoading, setIsInitialLoading] = useState(true);
 
+  // Editing state — draft holds input strings until saved
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [editError, setEditError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
   // Refs for cache-first pattern
   const initialLoadDone = useRef(false);
   const isLoadingRef = useRef(false);
@@ -150,6 +215,7 @@ export default function ConfigureSLAScreen() {
   // Helper to apply SLA data to local state
   const applySlaData = useCallback((slaData) => {
     if (!slaData) return;
+    setSlaSettings(slaData);
     setHours(slaData.hours !== undefined && slaData.hours !== null ? String(slaData.hours) : '--');
     setMins(slaData.mins !== undefined && slaData.mins !== null ? String(slaData.mins) : '--');
   }, []);
@@ -178,6 +244,14 @@ export default function ConfigureSLAScreen() {
         isLoadingRef.current = false;
         setIsInitialLoading(false);
       });
+
+    // Team members for per-member targets (cache-first)
+    dispatch(fetchChatTeamMembersWithCache()).unwrap()
+      .then((result) => {
+        const membersData = result?.data || result || [];
+        setTeamMembers(Array.isArray(membersData) ? membersData : []);
+      })
+      .catch(() => {});
   }, []);
 
   // Network recovery — re-fetch when connectivity restored and data never loaded
@@ -220,7 +294,7 @@ export default function ConfigureSLAScreen() {
 
   // Pull-to-refresh with cache reset & offline guard
   const onRefresh = useCallback(async () => {
-    if (isOffline) return;
+    if (isOffline || isEditing) return;
     setIsRefreshing(true);
     // Clear cache so fresh data is fetched from API
     await cacheManager.saveAppSetting('sla', null).catch(() => {});
@@ -236,19 +310,149 @@ export default function ConfigureSLAScreen() {
       .finally(() => {
         setIsRefreshing(false);
       });
-  }, [dispatch, isOffline, applySlaData]);
+  }, [dispatch, isOffline, isEditing, applySlaData]);
 
   const showSnackbar = (message) => {
     setSnackbarMessage(message);
     setSnackbarVisible(true);
   };
 
+  // Apply an SLA to screen state, Redux and the cached app_settings row
+  const applySla = useCallback((sla) => {
+    if (sla) {
+      applySlaData(sla);
+    } else {
+      setSlaSettings(null);
+      setHours('--');
+      setMins('--');
+    }
+    dispatch(silentUpdateSla(sla || {}));
+    cacheManager.saveAppSetting('sla', sla || {}).catch(() => {});
+  }, [dispatch, applySlaData]);
+
+  const memberNames = Object.fromEntries(
+    teamMembers.map((member) => [member._id, member.name || member.email || 'Team member'])
+  );
+  const statusLabels = Object.fromEntries(SLA_STATUS_OPTIONS.map((option) => [option.value, option.label]));
+
+  const handleStartEditing = () => {
+    if (isOffline) {
+      showSnackbar('Connect to the internet to edit the SLA');
+      return;
+    }
+    setDraft({
+      defaultTarget: toTargetDraft(slaSettings),
+      statusTargets: mapValues(slaSettings?.statusTargets, toTargetDraft),
+      memberTargets: mapValues(slaSettings?.memberTargets, toTargetDraft),
+    });
+    setEditError('');
+    setIsEditing(true);
+  };
+
+  const handleCancelEditing = () => {
+    setIsEditing(false);
+    setDraft(null);
+    setEditError('');
+  };
+
+  const updateDraft = (changes) => {
+    setDraft((prev) => ({ ...prev, ...changes }));
+    setEditError('');
+  };
+
+  // Turn an override on (seeded with the default target) or off
+  const toggleOverride = (group, key, isEnabled) => {
+    const targets = { ...draft[group] };
+    if (isEnabled) {
+      targets[key] = { ...draft.defaultTarget };
+    } else {
+      delete targets[key];
+    }
+    updateDraft({ [group]: targets });
+  };
+
+  const updateOverride = (group, key, value) => {
+    updateDraft({ [group]: { ...draft[group], [key]: value } });
+  };
+
+  const validateTarget = (target, label) => {
+    const value = toTargetValue(target);
+    if (value.mins > 59) return `${label}: minutes must be between 0 and 59`;
+    if (value.hours > MAX_SLA_HOURS) return `${label}: enter at most ${MAX_SLA_HOURS} hours`;
+    if (value.hours * 60 + value.mins === 0) return `${label}: enter a time above 0`;
+    return null;
+  };
+
+  // Save — optimistic update, rolled back if the server rejects it
+  const handleSave = async () => {
+    if (isOffline) {
+      showSnackbar('Connect to the internet to edit the SLA');
+      return;
+    }
+
+    // Targets for members no longer on the team are dropped
+    const memberTargets = teamMembers.length > 0
+      ? Object.fromEntries(Object.entries(draft.memberTargets).filter(([id]) => memberNames[id]))
+      : draft.memberTargets;
+
+    const error = [
+      validateTarget(draft.defaultTarget, 'Default target'),
+      ...Object.entries(draft.statusTargets).map(([status, target]) =>
+        validateTarget(target, statusLabels[status] || status)),
+      ...Object.entries(memberTargets).map(([id, target]) =>
+        validateTarget(target, memberNames[id] || 'Team member')),
+    ].find(Boolean);
+    if (error) {
+      setEditError(error);
+      return;
+    }
+
+    const nextSla = {
+      ...toTargetValue(draft.defaultTarget),
+      statusTargets: mapValues(draft.statusTargets, toTargetValue),
+      memberTargets: mapValues(memberTargets, toTargetValue),
+    };
+    const previousSla = slaSettings;
+
+    applySla(nextSla);
+    setIsSaving(true);
+    try {
+      await dispatch(updateSettings({ key: 'sla', data: nextSla })).unwrap();
+      // updateSettings writes the raw response into the store — keep the saved SLA there
+      dispatch(silentUpdateSla(nextSla));
+      setIsEditing(false);
+      setDraft(null);
+      showSnackbar('SLA updated');
+    } catch (saveError) {
+      applySla(previousSla);
+      setEditError(typeof saveError === 'string' ? saveError : 'Failed to update SLA');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
   // Check if SLA is configured
   const isSLAConfigured = hours !== '--' || mins !== '--';
   const hoursNum = parseInt(hours) || 0;
   const minsNum = parseInt(mins) || 0;
   const totalMinutes = hoursNum * 60 + minsNum;
 
+  // Saved overrides for the read-only view
+  const overrideRows = [
+    ...Object.entries(slaSettings?.statusTargets || {}).map(([status, target]) => ({
+      key: `status-${status}`,
+      icon: 'tag-outline',
+      label: `${statusLabels[status] || status} chats`,
+      target,
+    })),
+    ...Object.entries(slaSettings?.memberTargets || {}).map(([id, target]) => ({
+      key: `member-${id}`,
+      icon: 'account-outline',
+      label: memberNames[id] || 'Team member',
+      target,
+    })),
+  ].filter((row) => toSlaMinutes(row.target) > 0);
+
   // Format display
   const formatTime = (val) => {
     if (val === '--') return '--';
@@ -256,6 +460,89 @@ export default function ConfigureSLAScreen() {
     return num < 10 ? `0${num}` : `${num}`;
   };
 
+  const renderOverrideRow = (group, key, label, icon) => {
+    const target = draft[group][key];
+    const isEnabled = !!target;
+    return (
+      <View key={key} style={styles.overrideEditRow}>
+        <View style={styles.overrideEditHeader}>
+          <Icon name={icon} size={18} color={colors.text.secondary} />
+          <Text style={styles.overrideEditLabel} numberOfLines={1}>{label}</Text>
+          <Switch
+            value={isEnabled}
+            onValueChange={(value) => toggleOverride(group, key, value)}
+            disabled={isSaving}
+            color={SLA_COLORS.icon}
+          />
+        </View>
+        {isEnabled && (
+          <TargetInput
+            value={target}
+            onChange={(value) => updateOverride(group, key, value)}
+            disabled={isSaving}
+            compact
+          />
+        )}
+      </View>
+    );
+  };
+
+  const renderEditor = () => (
+    <View style={styles.editBody}>
+      <Text style={styles.sectionLabel}>Default response time</Text>
+      <Text style={styles.sectionHint}>Applies to every chat waiting on a reply</Text>
+      <TargetInput
+        value={draft.defaultTarget}
+        onChange={(value) => updateDraft({ defaultTarget: value })}
+        disabled={isSaving}
+      />
+
+      <Text style={[styles.sectionLabel, styles.sectionSpacing]}>Per-status targets</Text>
+      <Text style={styles.sectionHint}>Use a different time for chats in these statuses</Text>
+      {SLA_STATUS_OPTIONS.map((option) =>
+        renderOverrideRow('statusTargets', option.value, option.label, 'tag-outline'))}
+
+      <Text style={[styles.sectionLabel, styles.sectionSpacing]}>Per-member targets</Text>
+      <Text style={styles.sectionHint}>
+        Applies to chats assigned to the member and takes priority over status targets
+      </Text>
+      {teamMembers.length > 0 ? (
+        teamMembers.map((member) =>
+          renderOverrideRow('memberTargets', member._id, memberNames[member._id], 'account-outline'))
+      ) : (
+        <Text style={styles.emptyHint}>No team members found</Text>
+      )}
+
+      {editError ? <Text style={styles.errorText}>{editError}</Text> : null}
+
+      <View style={styles.editActions}>
+        <TouchableOpacity
+          style={styles.cancelBtn}
+          onPress={handleCancelEditing}
+          disabled={isSaving}
+          activeOpacity={0.7}
+        >
+          <Text style={styles.cancelText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.saveBtn, isSaving && styles.saveBtnDisabled]}
+          onPress={handleSave}
+          disabled={isSaving}
+          activeOpacity={0.8}
+        >
+          {isSaving ? (
+            <ActivityIndicator size="small" color={colors.common.white} />
+          ) : (
+            <>
+              <Icon name="check" size={18} color={colors.common.white} />
+              <Text style={styles.saveText}>Save SLA</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
   // Offline with no data — only show if data was NEVER loaded
   if (isOffline && !initialLoadDone.current && hours === '--' && mins === '--') {
     return (
@@ -286,15 +573,19 @@ export default function ConfigureSLAScreen() {
           <RefreshControl
             refreshing={isRefreshing}
             onRefresh={onRefresh}
+            enabled={!isEditing}
             colors={[colors.primary.main]}
             tintColor={colors.primary.main}
           />
         }
+        keyboardShouldPersistTaps="handled"
         showsVerticalScrollIndicator={false}
       >
         {/* Info Banner */}
         <InfoBanner
-          message="SLA defines the maximum response time. Configure from web dashboard."
+          message={isOffline
+            ? "You're offline. Connect to the internet to edit the SLA."
+            : 'SLA defines the maximum response time. Chats waiting longer show as breached in the inbox.'}
           style={{ marginBottom: 20 }}
         />
 
@@ -308,32 +599,59 @@ export default function ConfigureSLAScreen() {
               <Text style={styles.cardTitle}>Response Time SLA</Text>
               <Text style={styles.cardSubtitle}>Maximum time to respond to customers</Text>
             </View>
+            {!isEditing && (
+              <TouchableOpacity
+                style={[styles.editButton, isOffline && styles.editButtonDisabled]}
+                onPress={handleStartEditing}
+                activeOpacity={0.7}
+              >
+                <Icon name="pencil-outline" size={18} color={isOffline ? colors.grey[400] : SLA_COLORS.icon} />
+              </TouchableOpacity>
+            )}
           </View>
 
-          {isSLAConfigured && totalMinutes > 0 ? (
-            <View style={styles.timeDisplay}>
-              {/* Hours */}
-              <View style={styles.timeBlock}>
-                <View style={styles.timeValueBox}>
-                  <Text style={styles.timeValue}>{formatTime(hours)}</Text>
+          {isEditing && draft ? (
+            renderEditor()
+          ) : isSLAConfigured && totalMinutes > 0 ? (
+            <>
+              <View style={styles.timeDisplay}>
+                {/* Hours */}
+                <View style={styles.timeBlock}>
+                  <View style={styles.timeValueBox}>
+                    <Text style={styles.timeValue}>{formatTime(hours)}</Text>
+                  </View>
+                  <Text style={styles.timeLabel}>Hours</Text>
                 </View>
-                <Text style={styles.timeLabel}>Hours</Text>
-              </View>
 
-              {/* Separator Dots */}
-              <View style={styles.separatorDots}>
-                <View style={styles.dot} />
-                <View style={styles.dot} />
-              </View>
+                {/* Separator Dots */}
+                <View style={styles.separatorDots}>
+                  <View style={styles.dot} />
+                  <View style={styles.dot} />
+                </View>
 
-              {/* Minutes */}
-              <View style={styles.timeBlock}>
-                <View style={styles.timeValueBox}>
-                  <Text style={styles.timeValue}>{formatTime(mins)}</Text>
+                {/* Minutes */}
+                <View style={styles.timeBlock}>
+                  <View style={styles.timeValueBox}>
+                    <Text style={styles.timeValue}>{formatTime(mins)}</Text>
+                  </View>
+                  <Text style={styles.timeLabel}>Minutes</Text>
                 </View>
-                <Text style={styles.timeLabel}>Minutes</Text>
               </View>
-            </View>
+
+              {/* Per-status / per-member overrides */}
+              {overrideRows.length > 0 && (
+                <View style={styles.overrideList}>
+                  <Text style={styles.sectionLabel}>Overrides</Text>
+                  {overrideRows.map((row) => (
+                    <View key={row.key} style={styles.overrideRow}>
+                      <Icon name={row.icon} size={18} color={colors.text.secondary} />
+                      <Text style={styles.overrideLabel} numberOfLines={1}>{row.label}</Text>
+                      <Text style={styles.overrideValue}>{formatTarget(row.target)}</Text>
+                    </View>
+                  ))}
+                </View>
+              )}
+            </>
           ) : (
             <View style={styles.notConfigured}>
               <View style={styles.emptyIconContainer}>
@@ -341,8 +659,14 @@ export default function ConfigureSLAScreen() {
               </View>
               <Text style={styles.notConfiguredTitle}>SLA Not Configured</Text>
               <Text style={styles.notConfiguredText}>
-                Set up response time SLA from the web dashboard to track team performance
+                Set a response time SLA to track team performance and flag chats waiting too long
               </Text>
+              {!isOffline && (
+                <TouchableOpacity style={styles.setupButton} onPress={handleStartEditing} activeOpacity={0.8}>
+                  <Icon name="plus" size={18} color={colors.common.white} />
+                  <Text style={styles.saveText}>Set Up SLA</Text>
+                </TouchableOpacity>
+              )}
             </View>
           )}
         </ShadowCard>
@@ -416,6 +740,17 @@ const styles = StyleSheet.create({
     color: colors.text.secondary,
     marginTop: 3,
   },
+  editButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: SLA_COLORS.iconBg,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  editButtonDisabled: {
+    backgroundColor: colors.grey[100],
+  },
 
   // Time Display
   timeDisplay: {
@@ -490,6 +825,149 @@ const styles = StyleSheet.create({
     lineHeight: 19,
   },
 
+  setupButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 18,
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 12,
+    backgroundColor: SLA_COLORS.icon,
+    gap: 6,
+  },
+
+  // Overrides (read-only)
+  overrideList: {
+    borderTopWidth: 1,
+    borderTopColor: colors.grey[100],
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+  },
+  overrideRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    gap: 10,
+  },
+  overrideLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.text.primary,
+  },
+  overrideValue: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: SLA_COLORS.icon,
+  },
+
+  // Editor
+  editBody: {
+    padding: 16,
+  },
+  sectionLabel: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: colors.text.primary,
+    marginBottom: 4,
+  },
+  sectionSpacing: {
+    marginTop: 20,
+  },
+  sectionHint: {
+    fontSize: 12,
+    color: colors.text.secondary,
+    marginBottom: 10,
+    lineHeight: 17,
+  },
+  emptyHint: {
+    fontSize: 13,
+    color: colors.text.tertiary,
+  },
+  targetInputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  targetInput: {
+    width: 72,
+    height: 48,
+    borderWidth: 1,
+    borderColor: colors.grey[300],
+    borderRadius: 12,
+    textAlign: 'center',
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  targetInputCompact: {
+    width: 56,
+    height: 40,
+    fontSize: 14,
+  },
+  targetUnit: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text.secondary,
+    marginRight: 6,
+  },
+  overrideEditRow: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.grey[100],
+    gap: 8,
+  },
+  overrideEditHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  overrideEditLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.text.primary,
+  },
+  errorText: {
+    fontSize: 13,
+    color: colors.error.main,
+    marginTop: 16,
+  },
+  editActions: {
+    flexDirection: 'row',
+    marginTop: 20,
+    gap: 12,
+  },
+  cancelBtn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.grey[100],
+  },
+  cancelText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  saveBtn: {
+    flex: 1.5,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: SLA_COLORS.icon,
+    gap: 6,
+  },
+  saveBtnDisabled: {
+    opacity: 0.6,
+  },
+  saveText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.common.white,
+  },
+
   // Info Card
   infoCard: {
     padding: 18,
@@ -7,15 +7,20 @@ import {
   TouchableOpacity,
   Animated,
 } from 'react-native';
-import { Text, Snackbar } from 'react-native-paper';
+import { Text, Snackbar, ActivityIndicator } from 'react-native-paper';
 import { useDispatch, useSelector } from 'react-redux';
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import Modal from 'react-native-modal';
+import { updateSettings, deleteSettings } from '../../redux/slices/settingsSlice';
 import { fetchUserAttributesWithCache } from '../../redux/cacheThunks';
 import { cacheManager } from '../../database/CacheManager';
 import { useFocusEffect, useNavigation } from '@react-navigation/native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { useNetwork } from '../../contexts/NetworkContext';
 import { colors } from '../../theme/colors';
 import { InfoBanner, ShadowCard } from '../../components/common';
+import UserAttributeModal from '../../components/settings/UserAttributeModal';
+import { getAttributeType, getAttributeTypeConfig, getAttributeOptions } from '../../utils/contactAttributeHelpers';
 
 // Skeleton Pulse Component
 const SkeletonPulse = ({ style }) => {
@@ -129,13 +134,23 @@ const skeletonStyles = StyleSheet.create({
 export default function ContactCustomFieldScreen() {
   const dispatch = useDispatch();
   const navigation = useNavigation();
+  const insets = useSafeAreaInsets();
+  const TAB_BAR_HEIGHT = 60 + insets.bottom;
   const [snackbarVisible, setSnackbarVisible] = useState(false);
   const [snackbarMessage, setSnackbarMessage] = useState('');
 
   const [localFields, setLocalFields] = useState([]);
   const [totalCount, setTotalCount] = useState(0);
 
-  const { settings, getSettingsStatus } = useSelector((state) => state.settings);
+  // Add / edit / delete
+  const [showFieldModal, setShowFieldModal] = useState(false);
+  const [fieldToEdit, setFieldToEdit] = useState(null);
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [fieldToDelete, setFieldToDelete] = useState(null);
+
+  const { settings, getSettingsStatus, updateSettingsStatus, deleteSettingsStatus } = useSelector(
+    (state) => state.settings
+  );
   const { isOffline, isNetworkAvailable } = useNetwork();
   const [isInitialLoading, setIsInitialLoading] = useState(true);
   const initialLoadDone = useRef(false);
@@ -143,6 +158,8 @@ export default function ContactCustomFieldScreen() {
   const fetchSucceeded = useRef(false);
 
   const isLoading = getSettingsStatus === 'loading';
+  const isSaving = updateSettingsStatus === 'loading';
+  const isDeleting = deleteSettingsStatus === 'loading';
   const isRefreshing = isLoading && localFields.length > 0 && initialLoadDone.current;
 
   // Set header count badge
@@ -281,12 +298,91 @@ export default function ContactCustomFieldScreen() {
     showSnackbar(`Copied: ${text}`);
   };
 
+  // Reload fresh data after a CRUD operation — updateSettings replaces
+  // settings.userAttributes with the saved items, not the full list
+  const reloadFields = useCallback(() => {
+    dispatch(fetchUserAttributesWithCache({ forceRefresh: true }))
+      .unwrap()
+      .then((result) => {
+        const data = result.data?.userAttributes || result.userAttributes || {};
+        setLocalFields(data.items || []);
+        setTotalCount(data.totalCount || 0);
+      })
+      .catch(() => {});
+  }, [dispatch]);
+
+  const handleAddField = () => {
+    if (isOffline) {
+      showSnackbar('Connect to the internet to add custom fields');
+      return;
+    }
+    setFieldToEdit(null);
+    setShowFieldModal(true);
+  };
+
+  const handleEditField = (field) => {
+    if (isOffline) {
+      showSnackbar('Connect to the internet to edit custom fields');
+      return;
+    }
+    setFieldToEdit(field);
+    setShowFieldModal(true);
+  };
+
+  const handleDeleteField = (field) => {
+    if (isOffline) {
+      showSnackbar('Connect to the internet to delete custom fields');
+      return;
+    }
+    setFieldToDelete(field);
+    setShowDeleteModal(true);
+  };
+
+  const handleCloseFieldModal = () => {
+    setShowFieldModal(false);
+    setFieldToEdit(null);
+  };
+
+  const handleSaveField = async (definition) => {
+    const isEditing = !!definition._id;
+    try {
+      await dispatch(updateSettings({
+        key: 'userAttributes',
+        data: [definition],
+        ...(isEditing && { shouldUpdate: true }),
+      })).unwrap();
+      showSnackbar(isEditing ? 'Custom field updated successfully' : 'Custom field created successfully');
+      handleCloseFieldModal();
+      reloadFields();
+    } catch (error) {
+      const errorMessage = typeof error === 'string' ? error : error?.message || 'Failed to save custom field';
+      showSnackbar(`Error: ${errorMessage}`);
+    }
+  };
+
+  const confirmDelete = async () => {
+    if (!fieldToDelete) return;
+
+    try {
+      await dispatch(deleteSettings({ key: 'userAttributes', ids: [fieldToDelete._id] })).unwrap();
+      showSnackbar('Custom field deleted successfully');
+      setShowDeleteModal(false);
+      setFieldToDelete(null);
+      reloadFields();
+    } catch (error) {
+      const errorMessage = typeof error === 'string' ? error : error?.message || 'Failed to delete custom field';
+      showSnackbar(`Error: ${errorMessage}`);
+    }
+  };
+
   // Custom Field Card
   const renderFieldCard = ({ item }) => {
     const fieldName = item.name || 'Unnamed Field';
     const fieldKey = item.key || '';
     const description = item.description || '';
     const hasDescription = description.trim().length > 0;
+    const typeConfig = getAttributeTypeConfig(item);
+    const optionCount = getAttributeType(item) === 'dropdown' ? getAttributeOptions(item).length : 0;
 
     return (
       <ShadowCard variant="card" style={styles.fieldCard}>
@@ -312,6 +408,35 @@ export default function ContactCustomFieldScreen() {
             </View>
           </View>
 
+          {/* Type Row: type badge (left) | actions (right) */}
+          <View style={styles.typeRow}>
+            <View style={styles.typeBadge}>
+              <Icon name={typeConfig.icon} size={14} color="#00796B" />
+              <Text style={styles.typeBadgeText}>{typeConfig.label}</Text>
+            </View>
+            {optionCount > 0 && (
+              <Text style={styles.optionCountText}>
+                {optionCount} {optionCount === 1 ? 'option' : 'options'}
+              </Text>
+            )}
+            <View style={styles.actionRow}>
+              <TouchableOpacity
+                style={styles.actionBtn}
+                onPress={() => handleEditField(item)}
+                activeOpacity={0.7}
+              >
+                <Icon name="pencil-outline" size={18} color={colors.text.secondary} />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.actionBtn}
+                onPress={() => handleDeleteField(item)}
+                activeOpacity={0.7}
+              >
+                <Icon name="trash-can-outline" size={18} color={colors.error.main} />
+              </TouchableOpacity>
+            </View>
+          </View>
+
           {/* Key Row */}
           {fieldKey && (
             <View style={styles.keyRow}>
@@ -340,11 +465,58 @@ export default function ContactCustomFieldScreen() {
       </View>
       <Text style={styles.emptyTitle}>No custom fields</Text>
       <Text style={styles.emptySubtitle}>
-        Create custom fields from the web dashboard to store additional contact information
+        Add a custom field to store additional contact information
       </Text>
     </View>
   );
 
+  // Delete Modal
+  const renderDeleteModal = () => (
+    <Modal
+      isVisible={showDeleteModal}
+      onBackdropPress={() => !isDeleting && setShowDeleteModal(false)}
+      style={styles.centerModal}
+      backdropOpacity={0.5}
+      animationIn="zoomIn"
+      animationOut="zoomOut"
+    >
+      <View style={styles.deleteContainer}>
+        <View style={styles.deleteIconCircle}>
+          <Icon name="trash-can-outline" size={28} color={colors.error.main} />
+        </View>
+        <Text style={styles.deleteTitle}>Delete Custom Field</Text>
+        <Text style={styles.deleteMessage}>
+          Are you sure you want to delete "{fieldToDelete?.name}"?
+        </Text>
+        <Text style={styles.deleteSubtext}>
+          Values saved on contacts for this field will no longer be shown.
+        </Text>
+        <View style={styles.deleteButtonRow}>
+          <TouchableOpacity
+            style={styles.deleteCancelBtn}
+            onPress={() => setShowDeleteModal(false)}
+            disabled={isDeleting}
+            activeOpacity={0.7}
+          >
+            <Text style={styles.deleteCancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.deleteConfirmBtn, isDeleting && styles.deleteConfirmBtnDisabled]}
+            onPress={confirmDelete}
+            disabled={isDeleting}
+            activeOpacity={0.8}
+          >
+            {isDeleting ? (
+              <ActivityIndicator size="small" color={colors.common.white} />
+            ) : (
+              <Text style={styles.deleteConfirmText}>Delete</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+
   // Offline with no data
   if (isOffline && !initialLoadDone.current && localFields.length === 0) {
     return (
@@ -371,7 +543,7 @@ export default function ContactCustomFieldScreen() {
     <View style={styles.container}>
       {/* Info Banner */}
       <InfoBanner
-        message="Manage custom fields from the web dashboard"
+        message="Custom fields can be filled in on each contact and used to filter contacts"
         style={{ marginHorizontal: 16, marginTop: 12, marginBottom: 12 }}
       />
 
@@ -380,7 +552,7 @@ export default function ContactCustomFieldScreen() {
         data={localFields}
         renderItem={renderFieldCard}
         keyExtractor={(item, index) => item._id ? `field-${item._id}` : `field-index-${index}`}
-        contentContainerStyle={styles.fieldsList}
+        contentContainerStyle={[styles.fieldsList, { paddingBottom: TAB_BAR_HEIGHT + 80 }]}
         refreshControl={
           <RefreshControl
             refreshing={isRefreshing}
@@ -394,6 +566,26 @@ export default function ContactCustomFieldScreen() {
         showsVerticalScrollIndicator={false}
       />
 
+      {/* FAB */}
+      <TouchableOpacity
+        style={[styles.fab, { bottom: TAB_BAR_HEIGHT + 16 }, isOffline && styles.fabDisabled]}
+        onPress={handleAddField}
+        activeOpacity={0.8}
+      >
+        <Icon name="plus" size={26} color={colors.common.white} />
+      </TouchableOpacity>
+
+      <UserAttributeModal
+        visible={showFieldModal}
+        attribute={fieldToEdit}
+        existingAttributes={localFields}
+        onClose={handleCloseFieldModal}
+        onSave={handleSaveField}
+        isSaving={isSaving}
+      />
+
+      {renderDeleteModal()}
+
       {snackbarVisible && (
         <View style={styles.snackbarContainer}>
           <Snackbar visible={snackbarVisible} onDismiss={() => setSnackbarVisible(false)} duration={2000} style={styles.snackbar}>
@@ -429,7 +621,6 @@ const styles = StyleSheet.create({
   // Fields List
   fieldsList: {
     paddingHorizontal: 16,
-    paddingBottom: 80,
   },
   separator: {
     height: 12,
@@ -474,6 +665,45 @@ const styles = StyleSheet.create({
     color: colors.text.tertiary,
   },
 
+  // Type Row
+  typeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+    gap: 8,
+  },
+  typeBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 8,
+    backgroundColor: '#E0F2F1',
+  },
+  typeBadgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#00796B',
+  },
+  optionCountText: {
+    fontSize: 12,
+    color: colors.text.tertiary,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    marginLeft: 'auto',
+    gap: 8,
+  },
+  actionBtn: {
+    width: 34,
+    height: 34,
+    borderRadius: 10,
+    backgroundColor: colors.grey[50],
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
   // Key Row
   keyRow: {
     flexDirection: 'row',
@@ -498,6 +728,26 @@ const styles = StyleSheet.create({
     backgroundColor: colors.primary.main + '10',
   },
 
+  // FAB
+  fab: {
+    position: 'absolute',
+    right: 16,
+    width: 54,
+    height: 54,
+    borderRadius: 27,
+    backgroundColor: colors.primary.main,
+    justifyContent: 'center',
+    alignItems: 'center',
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+  },
+  fabDisabled: {
+    backgroundColor: colors.grey[400],
+  },
+
   // Snackbar (top-positioned)
   snackbarContainer: {
     position: 'absolute',
@@ -569,4 +819,81 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     lineHeight: 20,
   },
+
+  // Delete Modal
+  centerModal: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    margin: 24,
+  },
+  deleteContainer: {
+    backgroundColor: colors.common.white,
+    borderRadius: 20,
+    padding: 24,
+    width: '100%',
+    maxWidth: 340,
+    alignItems: 'center',
+  },
+  deleteIconCircle: {
+    width: 64,
+    height: 64,
+    borderRadius: 32,
+    backgroundColor: colors.error.lighter,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  deleteTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: colors.text.primary,
+    marginBottom: 8,
+  },
+  deleteMessage: {
+    fontSize: 15,
+    color: colors.text.secondary,
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+  deleteSubtext: {
+    fontSize: 13,
+    color: colors.text.tertiary,
+    textAlign: 'center',
+    marginTop: 4,
+    marginBottom: 20,
+  },
+  deleteButtonRow: {
+    flexDirection: 'row',
+    gap: 12,
+    width: '100%',
+  },
+  deleteCancelBtn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.grey[100],
+  },
+  deleteCancelText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text.secondary,
+  },
+  deleteConfirmBtn: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: colors.error.main,
+  },
+  deleteConfirmBtnDisabled: {
+    opacity: 0.6,
+  },
+  deleteConfirmText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.common.white,
+  },
 });
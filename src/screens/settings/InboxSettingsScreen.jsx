@@ -1,4 +1,4 @@
-import { useEffect, useState, useCallback, useRef } from 'react';
+import { useEffect, useState, useCallback, useRef, useMemo } from 'react';
 import {
   View,
   StyleSheet,
@@ -26,14 +26,23 @@ import { callApi, endpoints, httpMethods } from '../../utils/axios';
 import { cacheManager } from '../../database/CacheManager';
 import { MessagePreviewBubble, InfoBanner, ShadowCard } from '../../components/common';
 import { getEffectiveMessageType, getCarouselCards, getLimitedTimeOffer } from '../../components/common/MessagePreview/messagePreviewUtils';
+import AutoMessageEditorModal from '../../components/settings/AutoMessageEditorModal';
+import { isSendableTemplate } from '../../utils/templateHelpers';
+import {
+  DAYS_OF_WEEK,
+  MAX_INTERVALS_PER_DAY,
+  getDayIntervals,
+  withIntervals,
+  validateDayIntervals,
+  getAutoMessagesAt,
+  getNowInTimeZone,
+} from '../../utils/workingHoursHelpers';
 
 // Generate hours array (0-23)
 const HOURS = Array.from({ length: 24 }, (_, i) => i);
 // Generate minutes array (0-59, step 5)
 const MINUTES = Array.from({ length: 12 }, (_, i) => i * 5);
 
-const DAYS_OF_WEEK = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-
 const CHAT_STATUS_OPTIONS = ['open', 'intervened', 'on hold', 'pending', 'replied', 'resolved', 'closed'];
 
 const defaultWorkingHours = {
@@ -349,7 +358,7 @@ export default function InboxSettingsScreen() {
   // Read Receipt state
   const [readReceiptsEnabled, setReadReceiptsEnabled] = useState(false);
 
-  // Welcome Message state (read-only)
+  // Welcome Message state
   const [welcomeMessageEnabled, setWelcomeMessageEnabled] = useState(false);
   const [welcomeMessageType, setWelcomeMessageType] = useState('');
   const [welcomeRegularMessageType, setWelcomeRegularMessageType] = useState('');
@@ -361,7 +370,7 @@ export default function InboxSettingsScreen() {
   const [welcomeBodyParams, setWelcomeBodyParams] = useState({});
   const [welcomeHeaderParams, setWelcomeHeaderParams] = useState({});
 
-  // Off-Hour (Offer) Message state (read-only)
+  // Off-Hour (Offer) Message state
   const [offHourMessageEnabled, setOffHourMessageEnabled] = useState(false);
   const [offHourMessageType, setOffHourMessageType] = useState('');
   const [offHourRegularMessageType, setOffHourRegularMessageType] = useState('');
@@ -378,13 +387,23 @@ export default function InboxSettingsScreen() {
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
   const [savingWorkingHours, setSavingWorkingHours] = useState(false);
 
-  // Time picker state
+  // Time picker state — selectedTimeType is 'from' | 'to' for an interval, 'preview' for the simulator
   const [showTimePicker, setShowTimePicker] = useState(false);
   const [selectedDay, setSelectedDay] = useState(null);
+  const [selectedIntervalIndex, setSelectedIntervalIndex] = useState(0);
   const [selectedTimeType, setSelectedTimeType] = useState(null);
   const [tempHour, setTempHour] = useState(9);
   const [tempMinute, setTempMinute] = useState(0);
 
+  // Message editor state — { type: 'welcome' | 'offHour', config }
+  const [editingMessage, setEditingMessage] = useState(null);
+  const [savingMessage, setSavingMessage] = useState(false);
+
+  // Customer preview state
+  const [previewDay, setPreviewDay] = useState(() => getNowInTimeZone().dayKey);
+  const [previewMinutes, setPreviewMinutes] = useState(() => getNowInTimeZone().minutes);
+  const [previewIsNewConversation, setPreviewIsNewConversation] = useState(true);
+
   // Auto Reply state (read-only)
   const [aiAutoReplyActive, setAiAutoReplyActive] = useState(false);
   const [aiPriorityList, setAiPriorityList] = useState([]);
@@ -400,6 +419,8 @@ export default function InboxSettingsScreen() {
   const [selectedChatStatus, setSelectedChatStatus] = useState('');
 
   const isLoading = getSettingsStatus === 'loading';
+
+  const sendableTemplates = useMemo(() => (templates || []).filter(isSendableTemplate), [templates]);
   const isRefreshing = getSettingsStatus === 'loading' && readReceiptsEnabled !== undefined;
 
   useEffect(() => {
@@ -421,6 +442,31 @@ export default function InboxSettingsScreen() {
     }
   }, [isNetworkAvailable, getSettingsStatus]);
 
+  // Apply a saved welcome / off-hours message config to local state
+  const applyMessageConfig = (type, config) => {
+    if (type === 'welcome') {
+      setWelcomeMessageEnabled(config.enabled || false);
+      setWelcomeMessageType(config.messageType || '');
+      setWelcomeRegularMessageType(config.regularMessageType || '');
+      setWelcomeMessage(config.regularMessage || '');
+      setWelcomeFileUrl(config.headerFileURL || '');
+      setWelcomeFileName(config.fileName || config.headerFileName || '');
+      setWelcomeTemplateName(config.templateName || '');
+      setWelcomeBodyParams(config.bodyParams || {});
+      setWelcomeHeaderParams(config.headerParams || {});
+    } else {
+      setOffHourMessageEnabled(config.enabled || false);
+      setOffHourMessageType(config.messageType || '');
+      setOffHourRegularMessageType(config.regularMessageType || '');
+      setOffHourMessage(config.regularMessage || '');
+      setOffHourFileUrl(config.headerFileURL || '');
+      setOffHourFileName(config.fileName || config.headerFileName || '');
+      setOffHourTemplateName(config.templateName || '');
+      setOffHourBodyParams(config.bodyParams || {});
+      setOffHourHeaderParams(config.headerParams || {});
+    }
+  };
+
   useEffect(() => {
     if (settings.inboxSettings) {
       const inbox = settings.inboxSettings;
@@ -430,30 +476,12 @@ export default function InboxSettingsScreen() {
 
       // Welcome Message
       if (inbox.wellcomeMessage || inbox.welcomeMessage) {
-        const welcome = inbox.wellcomeMessage || inbox.welcomeMessage;
-        setWelcomeMessageEnabled(welcome.enabled || false);
-        setWelcomeMessageType(welcome.messageType || '');
-        setWelcomeRegularMessageType(welcome.regularMessageType || '');
-        setWelcomeMessage(welcome.regularMessage || '');
-        setWelcomeFileUrl(welcome.headerFileURL || '');
-        setWelcomeFileName(welcome.fileName || welcome.headerFileName || '');
-        setWelcomeTemplateName(welcome.templateName || '');
-        setWelcomeBodyParams(welcome.bodyParams || {});
-        setWelcomeHeaderParams(welcome.headerParams || {});
+        applyMessageConfig('welcome', inbox.wellcomeMessage || inbox.welcomeMessage);
       }
 
       // Off-Hour Message
       if (inbox.offHourMessage) {
-        const offHour = inbox.offHourMessage;
-        setOffHourMessageEnabled(offHour.enabled || false);
-        setOffHourMessageType(offHour.messageType || '');
-        setOffHourRegularMessageType(offHour.regularMessageType || '');
-        setOffHourMessage(offHour.regularMessage || '');
-        setOffHourFileUrl(offHour.headerFileURL || '');
-        setOffHourFileName(offHour.fileName || offHour.headerFileName || '');
-        setOffHourTemplateName(offHour.templateName || '');
-        setOffHourBodyParams(offHour.bodyParams || {});
-        setOffHourHeaderParams(offHour.headerParams || {});
+        applyMessageConfig('offHour', inbox.offHourMessage);
       }
 
       // Working Hours
@@ -578,6 +606,52 @@ export default function InboxSettingsScreen() {
     }
   };
 
+  // Open the editor for the welcome or off-hours message
+  const handleEditMessage = (type) => {
+    if (isOffline) return;
+    const isWelcome = type === 'welcome';
+    setEditingMessage({
+      type,
+      config: {
+        messageType: isWelcome ? welcomeMessageType : offHourMessageType,
+        regularMessageType: isWelcome ? welcomeRegularMessageType : offHourRegularMessageType,
+        regularMessage: isWelcome ? welcomeMessage : offHourMessage,
+        headerFileURL: isWelcome ? welcomeFileUrl : offHourFileUrl,
+        fileName: isWelcome ? welcomeFileName : offHourFileName,
+        templateName: isWelcome ? welcomeTemplateName : offHourTemplateName,
+        bodyParams: isWelcome ? welcomeBodyParams : offHourBodyParams,
+        headerParams: isWelcome ? welcomeHeaderParams : offHourHeaderParams,
+      },
+    });
+  };
+
+  // Save the edited message — the whole message object is replaced, keeping its enabled flag
+  const handleSaveMessage = async (config) => {
+    if (isOffline || !editingMessage) return;
+    const isWelcome = editingMessage.type === 'welcome';
+    const inbox = settings.inboxSettings || {};
+    const saved = (isWelcome ? inbox.wellcomeMessage || inbox.welcomeMessage : inbox.offHourMessage) || {};
+    const data = {
+      ...saved,
+      ...config,
+      enabled: isWelcome ? welcomeMessageEnabled : offHourMessageEnabled,
+    };
+    // Use wellcomeMessage to match backend typo
+    const key = isWelcome ? 'inboxSettings.wellcomeMessage' : 'inboxSettings.offHourMessage';
+    setSavingMessage(true);
+    try {
+      await dispatch(updateSettings({ key, data })).unwrap();
+      applyMessageConfig(editingMessage.type, data);
+      setEditingMessage(null);
+      showSnackbar(`${isWelcome ? 'Welcome' : 'Off-hours'} message saved`);
+      syncInboxCacheInBackground();
+    } catch (error) {
+      showSnackbar(error || 'Failed to save');
+    } finally {
+      setSavingMessage(false);
+    }
+  };
+
   // Handle AI Auto Reply Toggle
   const handleToggleAiAutoReply = async (enabled) => {
     if (isOffline) return;
@@ -643,12 +717,13 @@ export default function InboxSettingsScreen() {
     }));
   };
 
-  const handleOpenTimePicker = (day, type) => {
+  const handleOpenTimePicker = (day, index, type) => {
     setSelectedDay(day);
+    setSelectedIntervalIndex(index);
     setSelectedTimeType(type);
 
     // Initialize with current value or default
-    const timeStr = workingHours[day]?.[type];
+    const timeStr = getDayIntervals(workingHours[day])[index]?.[type];
     if (timeStr) {
       const [hours, minutes] = timeStr.split(':').map(Number);
       setTempHour(hours);
@@ -660,35 +735,64 @@ export default function InboxSettingsScreen() {
     setShowTimePicker(true);
   };
 
+  const handleOpenPreviewTimePicker = () => {
+    setSelectedDay(previewDay);
+    setSelectedTimeType('preview');
+    setTempHour(Math.floor(previewMinutes / 60));
+    setTempMinute(Math.floor((previewMinutes % 60) / 5) * 5);
+    setShowTimePicker(true);
+  };
+
   const handleTimeConfirm = () => {
     if (!selectedDay || !selectedTimeType) {
       setShowTimePicker(false);
       return;
     }
 
+    if (selectedTimeType === 'preview') {
+      setPreviewMinutes(tempHour * 60 + tempMinute);
+      setShowTimePicker(false);
+      return;
+    }
+
     const hours = tempHour.toString().padStart(2, '0');
     const minutes = tempMinute.toString().padStart(2, '0');
     const timeString = `${hours}:${minutes}`;
 
-    setWorkingHours((prev) => ({
-      ...prev,
-      [selectedDay]: {
-        ...prev[selectedDay],
-        [selectedTimeType]: timeString,
-      },
-    }));
+    setWorkingHours((prev) => {
+      const intervals = getDayIntervals(prev[selectedDay]).map((interval, i) =>
+        i === selectedIntervalIndex ? { ...interval, [selectedTimeType]: timeString } : interval
+      );
+      return { ...prev, [selectedDay]: withIntervals(prev[selectedDay], intervals) };
+    });
     setShowTimePicker(false);
   };
 
+  // Add another time range to a day (split shifts) — starts where the last one ends
+  const handleAddInterval = (day) => {
+    setWorkingHours((prev) => {
+      const intervals = getDayIntervals(prev[day]);
+      if (intervals.length >= MAX_INTERVALS_PER_DAY) return prev;
+      const lastTo = intervals[intervals.length - 1]?.to || null;
+      return { ...prev, [day]: withIntervals(prev[day], [...intervals, { from: lastTo, to: null }]) };
+    });
+  };
+
+  const handleRemoveInterval = (day, index) => {
+    setWorkingHours((prev) => {
+      const intervals = getDayIntervals(prev[day]).filter((_, i) => i !== index);
+      return { ...prev, [day]: withIntervals(prev[day], intervals) };
+    });
+  };
+
   const handleTimeCancel = () => {
     setShowTimePicker(false);
   };
 
-  const isTimeValid = () =>
-    Object.keys(workingHours).every((day) => {
-      const { enabled, from, to } = workingHours[day];
-      return !enabled || (from && to);
-    });
+  const getDayError = (day) =>
+    workingHours[day]?.enabled ? validateDayIntervals(getDayIntervals(workingHours[day])) : null;
+
+  const isTimeValid = () => DAYS_OF_WEEK.every((day) => !getDayError(day));
 
   const handleSaveWorkingHours = async () => {
     if (isOffline) return;
@@ -697,7 +801,13 @@ export default function InboxSettingsScreen() {
       await dispatch(
         updateSettings({
           key: 'inboxSettings.workingHours.days',
-          data: workingHours,
+          // Enabled days always carry their intervals
+          data: Object.fromEntries(
+            Object.entries(workingHours).map(([day, schedule]) => [
+              day,
+              schedule?.enabled ? withIntervals(schedule, getDayIntervals(schedule)) : schedule,
+            ])
+          ),
         })
       ).unwrap();
       showSnackbar('Working hours saved successfully');
@@ -719,6 +829,12 @@ export default function InboxSettingsScreen() {
     return `${h12}:${minutes} ${ampm}`;
   };
 
+  const formatMinutes = (totalMinutes) => {
+    const hours = Math.floor(totalMinutes / 60).toString().padStart(2, '0');
+    const minutes = (totalMinutes % 60).toString().padStart(2, '0');
+    return formatTime(`${hours}:${minutes}`);
+  };
+
   // Render message preview using shared component
   const renderMessagePreview = (type) => {
     const isWelcome = type === 'welcome';
@@ -866,7 +982,7 @@ export default function InboxSettingsScreen() {
     );
   };
 
-  // Render Message Settings Section (toggle enabled, config read-only)
+  // Render Message Settings Section
   const renderMessageSettingsSection = () => {
     const welcomeKey = 'inboxSettings.wellcomeMessage.enabled';
     const offHourKey = 'inboxSettings.offHourMessage.enabled';
@@ -890,10 +1006,15 @@ export default function InboxSettingsScreen() {
           <View style={styles.sectionHead}>
             <View style={styles.sectionTitleRow}>
               <Text style={styles.sectionTitle}>Welcome Message</Text>
-              <View style={styles.readOnlyBadge}>
-                <Icon name="eye" size={10} color={colors.text.tertiary} />
-                <Text style={styles.readOnlyText}>Preview</Text>
-              </View>
+              <TouchableOpacity
+                style={[styles.editBadge, isOffline && styles.editBadgeDisabled]}
+                onPress={() => handleEditMessage('welcome')}
+                disabled={isOffline}
+                activeOpacity={0.7}
+              >
+                <Icon name="pencil-outline" size={12} color={isOffline ? colors.grey[400] : colors.primary.main} />
+                <Text style={[styles.editBadgeText, isOffline && styles.editBadgeTextDisabled]}>Edit</Text>
+              </TouchableOpacity>
             </View>
             <Switch
               value={welcomeMessageEnabled}
@@ -913,10 +1034,15 @@ export default function InboxSettingsScreen() {
           <View style={styles.sectionHead}>
             <View style={styles.sectionTitleRow}>
               <Text style={styles.sectionTitle}>Off-Hours Message</Text>
-              <View style={styles.readOnlyBadge}>
-                <Icon name="eye" size={10} color={colors.text.tertiary} />
-                <Text style={styles.readOnlyText}>Preview</Text>
-              </View>
+              <TouchableOpacity
+                style={[styles.editBadge, isOffline && styles.editBadgeDisabled]}
+                onPress={() => handleEditMessage('offHour')}
+                disabled={isOffline}
+                activeOpacity={0.7}
+              >
+                <Icon name="pencil-outline" size={12} color={isOffline ? colors.grey[400] : colors.primary.main} />
+                <Text style={[styles.editBadgeText, isOffline && styles.editBadgeTextDisabled]}>Edit</Text>
+              </TouchableOpacity>
             </View>
             <Switch
               value={offHourMessageEnabled}
@@ -969,6 +1095,12 @@ export default function InboxSettingsScreen() {
               </View>
               <Text style={styles.instructionText}>Tap time to change hours</Text>
             </View>
+            <View style={styles.instructionRow}>
+              <View style={styles.instructionStep}>
+                <Text style={styles.instructionStepNumber}>3</Text>
+              </View>
+              <Text style={styles.instructionText}>Add hours for split shifts</Text>
+            </View>
           </View>
 
           {/* Summary */}
@@ -997,32 +1129,54 @@ export default function InboxSettingsScreen() {
                   </TouchableOpacity>
                 </View>
 
-                {/* Time selection or Closed */}
+                {/* Time ranges or Closed */}
                 {workingHours[day]?.enabled ? (
-                  <View style={styles.compactTimeRow}>
-                    <TouchableOpacity
-                      style={styles.compactTimeButton}
-                      onPress={() => handleOpenTimePicker(day, 'from')}
-                      disabled={isOffline}
-                      activeOpacity={0.7}
-                    >
-                      <Icon name="clock-outline" size={12} color={colors.primary.main} style={styles.timeIcon} />
-                      <Text style={styles.compactTimeText}>
-                        {formatTime(workingHours[day]?.from)}
-                      </Text>
-                    </TouchableOpacity>
-                    <Icon name="arrow-right" size={14} color={colors.grey[400]} />
-                    <TouchableOpacity
-                      style={styles.compactTimeButton}
-                      onPress={() => handleOpenTimePicker(day, 'to')}
-                      disabled={isOffline}
-                      activeOpacity={0.7}
-                    >
-                      <Icon name="clock-outline" size={12} color={colors.primary.main} style={styles.timeIcon} />
-                      <Text style={styles.compactTimeText}>
-                        {formatTime(workingHours[day]?.to)}
-                      </Text>
-                    </TouchableOpacity>
+                  <View style={styles.intervalsColumn}>
+                    {getDayIntervals(workingHours[day]).map((interval, intervalIndex, intervals) => (
+                      <View key={intervalIndex} style={styles.intervalRow}>
+                        <TouchableOpacity
+                          style={styles.compactTimeButton}
+                          onPress={() => handleOpenTimePicker(day, intervalIndex, 'from')}
+                          disabled={isOffline}
+                          activeOpacity={0.7}
+                        >
+                          <Icon name="clock-outline" size={12} color={colors.primary.main} style={styles.timeIcon} />
+                          <Text style={styles.compactTimeText}>{formatTime(interval.from)}</Text>
+                        </TouchableOpacity>
+                        <Icon name="arrow-right" size={14} color={colors.grey[400]} />
+                        <TouchableOpacity
+                          style={styles.compactTimeButton}
+                          onPress={() => handleOpenTimePicker(day, intervalIndex, 'to')}
+                          disabled={isOffline}
+                          activeOpacity={0.7}
+                        >
+                          <Icon name="clock-outline" size={12} color={colors.primary.main} style={styles.timeIcon} />
+                          <Text style={styles.compactTimeText}>{formatTime(interval.to)}</Text>
+                        </TouchableOpacity>
+                        {intervals.length > 1 && (
+                          <TouchableOpacity
+                            style={styles.removeIntervalButton}
+                            onPress={() => handleRemoveInterval(day, intervalIndex)}
+                            disabled={isOffline}
+                            hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                          >
+                            <Icon name="close" size={14} color={colors.grey[500]} />
+                          </TouchableOpacity>
+                        )}
+                      </View>
+                    ))}
+                    {getDayIntervals(workingHours[day]).length < MAX_INTERVALS_PER_DAY && (
+                      <TouchableOpacity
+                        style={styles.addIntervalButton}
+                        onPress={() => handleAddInterval(day)}
+                        disabled={isOffline}
+                        activeOpacity={0.7}
+                      >
+                        <Icon name="plus" size={12} color={colors.primary.main} />
+                        <Text style={styles.addIntervalText}>Add hours</Text>
+                      </TouchableOpacity>
+                    )}
+                    {getDayError(day) && <Text style={styles.dayErrorText}>{getDayError(day)}</Text>}
                   </View>
                 ) : (
                   <View style={styles.closedIndicator}>
@@ -1053,6 +1207,119 @@ export default function InboxSettingsScreen() {
     );
   };
 
+  // Render Customer Preview Section - what a customer receives at a simulated time
+  const renderCustomerPreviewSection = () => {
+    const { isOpen, messages } = getAutoMessagesAt({
+      workingHours,
+      dayKey: previewDay,
+      minutes: previewMinutes,
+      isNewConversation: previewIsNewConversation,
+      welcomeEnabled: welcomeMessageEnabled,
+      offHourEnabled: offHourMessageEnabled,
+    });
+
+    const handleUseCurrentTime = () => {
+      const now = getNowInTimeZone(settings.timeZone);
+      setPreviewDay(now.dayKey);
+      setPreviewMinutes(now.minutes);
+    };
+
+    return (
+      <ShadowCard variant="card" style={styles.card}>
+        <View style={styles.cardHeader}>
+          <View style={[styles.iconBox, styles.iconBoxBlue]}>
+            <Icon name="account-eye-outline" size={18} color="#0EA5E9" />
+          </View>
+          <View style={styles.headerText}>
+            <Text style={styles.cardTitle}>Customer Preview</Text>
+            <Text style={styles.cardSubtitle}>What a customer receives when they message</Text>
+          </View>
+        </View>
+
+        <View style={styles.sectionBlock}>
+          {/* Simulated day */}
+          <View style={styles.previewDayRow}>
+            {DAYS_OF_WEEK.map((day) => (
+              <TouchableOpacity
+                key={day}
+                style={[styles.previewDayPill, previewDay === day && styles.dayTogglePillActive]}
+                onPress={() => setPreviewDay(day)}
+                activeOpacity={0.7}
+              >
+                <Text style={[styles.compactDayName, previewDay === day && styles.compactDayNameActive]}>
+                  {day.substring(0, 2).toUpperCase()}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {/* Simulated time */}
+          <View style={styles.previewTimeRow}>
+            <TouchableOpacity style={styles.compactTimeButton} onPress={handleOpenPreviewTimePicker} activeOpacity={0.7}>
+              <Icon name="clock-outline" size={12} color={colors.primary.main} style={styles.timeIcon} />
+              <Text style={styles.compactTimeText}>{formatMinutes(previewMinutes)}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={handleUseCurrentTime} activeOpacity={0.7} style={styles.previewNowButton}>
+              <Icon name="update" size={14} color={colors.primary.main} />
+              <Text style={styles.previewNowText}>Use current time</Text>
+            </TouchableOpacity>
+          </View>
+
+          {/* Conversation type */}
+          <View style={styles.previewSegment}>
+            {[
+              { value: true, label: 'New conversation' },
+              { value: false, label: 'Returning customer' },
+            ].map((option) => (
+              <TouchableOpacity
+                key={option.label}
+                style={[styles.previewSegmentOption, previewIsNewConversation === option.value && styles.previewSegmentOptionActive]}
+                onPress={() => setPreviewIsNewConversation(option.value)}
+                activeOpacity={0.7}
+              >
+                <Text style={[styles.previewSegmentText, previewIsNewConversation === option.value && styles.previewSegmentTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {/* Open / closed at that time */}
+          <View style={[styles.previewStatus, isOpen ? styles.previewStatusOpen : styles.previewStatusClosed]}>
+            <Icon
+              name={isOpen ? 'store-clock-outline' : 'store-off-outline'}
+              size={16}
+              color={isOpen ? '#16A34A' : '#DC2626'}
+            />
+            <Text style={[styles.previewStatusText, { color: isOpen ? '#166534' : '#991B1B' }]}>
+              {isOpen ? 'Within working hours' : 'Outside working hours'}
+            </Text>
+          </View>
+
+          {messages.length > 0 ? (
+            messages.map((type) => (
+              <View key={type} style={styles.previewMessageBlock}>
+                <Text style={styles.previewMessageLabel}>
+                  {type === 'welcome' ? 'Welcome message' : 'Off-hours message'}
+                </Text>
+                {renderMessagePreview(type)}
+              </View>
+            ))
+          ) : (
+            <View style={styles.previewNoMessage}>
+              <Icon name="message-off-outline" size={18} color={colors.grey[400]} />
+              <Text style={styles.previewNoMessageText}>No automated message — the chat waits for your team</Text>
+            </View>
+          )}
+
+          {hasUnsavedChanges && (
+            <Text style={styles.previewHint}>Includes your unsaved working hours</Text>
+          )}
+        </View>
+      </ShadowCard>
+    );
+  };
+
   // Render Auto Reply Settings Section - Toggle enabled, rules read-only
   const renderAutoReplySection = () => {
     // Filter valid priority items - check for contactList or assistantId (actual API fields)
@@ -1181,13 +1448,14 @@ export default function InboxSettingsScreen() {
       >
         {/* Info Banner */}
         <InfoBanner
-          message="Manage read receipts and working hours here. Message settings require web app."
+          message="Manage read receipts, auto messages and working hours here. AI auto reply rules require web app."
           style={{ marginBottom: 16 }}
         />
 
         {renderReadReceiptSection()}
         {renderMessageSettingsSection()}
         {renderWorkingHoursSection()}
+        {renderCustomerPreviewSection()}
         {renderAutoReplySection()}
 
         <View style={styles.bottomSpace} />
@@ -1204,10 +1472,15 @@ export default function InboxSettingsScreen() {
           <View style={styles.timePickerModal}>
             <View style={styles.timePickerHeader}>
               <Text style={styles.timePickerTitle}>
-                Select {selectedTimeType === 'from' ? 'Start' : 'End'} Time
+                {selectedTimeType === 'preview'
+                  ? 'Select Preview Time'
+                  : `Select ${selectedTimeType === 'from' ? 'Start' : 'End'} Time`}
               </Text>
               <Text style={styles.timePickerSubtitle}>
                 {selectedDay?.charAt(0).toUpperCase() + selectedDay?.slice(1)}
+                {selectedTimeType !== 'preview' && getDayIntervals(workingHours[selectedDay]).length > 1
+                  ? ` · Hours ${selectedIntervalIndex + 1}`
+                  : ''}
               </Text>
             </View>
 
@@ -1298,6 +1571,17 @@ export default function InboxSettingsScreen() {
         </View>
       </Modal>
 
+      {/* Welcome / Off-Hours Message Editor */}
+      <AutoMessageEditorModal
+        visible={!!editingMessage}
+        title={editingMessage?.type === 'welcome' ? 'Welcome Message' : 'Off-Hours Message'}
+        config={editingMessage?.config}
+        templates={sendableTemplates}
+        onClose={() => setEditingMessage(null)}
+        onSave={handleSaveMessage}
+        isSaving={savingMessage}
+      />
+
       {/* Disable AI Auto Reply Dialog */}
       <Modal
         visible={showDisableAiDialog}
@@ -1550,6 +1834,27 @@ const styles = StyleSheet.create({
     color: colors.text.tertiary,
     textTransform: 'uppercase',
   },
+  editBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.primary.main + '10',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 6,
+    gap: 4,
+  },
+  editBadgeDisabled: {
+    backgroundColor: colors.grey[100],
+  },
+  editBadgeText: {
+    fontSize: 10,
+    fontWeight: '600',
+    color: colors.primary.main,
+    textTransform: 'uppercase',
+  },
+  editBadgeTextDisabled: {
+    color: colors.grey[400],
+  },
   statusBadge: {
     paddingHorizontal: 10,
     paddingVertical: 4,
@@ -1858,13 +2163,39 @@ const styles = StyleSheet.create({
   compactDayNameActive: {
     color: '#FFF',
   },
-  compactTimeRow: {
+  intervalsColumn: {
     flex: 1,
+    alignItems: 'flex-end',
+    gap: 6,
+  },
+  intervalRow: {
     flexDirection: 'row',
     alignItems: 'center',
-    justifyContent: 'flex-end',
     gap: 8,
   },
+  removeIntervalButton: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    backgroundColor: colors.grey[100],
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  addIntervalButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+    gap: 4,
+  },
+  addIntervalText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.primary.main,
+  },
+  dayErrorText: {
+    fontSize: 11,
+    color: colors.error.main,
+  },
   compactTimeButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -1914,6 +2245,109 @@ const styles = StyleSheet.create({
     color: '#FFF',
   },
 
+  // Customer Preview
+  previewDayRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    gap: 4,
+    marginBottom: 12,
+  },
+  previewDayPill: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: colors.grey[100],
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: 'transparent',
+  },
+  previewTimeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  previewNowButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  previewNowText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.primary.main,
+  },
+  previewSegment: {
+    flexDirection: 'row',
+    backgroundColor: colors.grey[100],
+    borderRadius: 10,
+    padding: 3,
+    marginBottom: 12,
+  },
+  previewSegmentOption: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  previewSegmentOptionActive: {
+    backgroundColor: '#FFF',
+  },
+  previewSegmentText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.text.tertiary,
+  },
+  previewSegmentTextActive: {
+    color: colors.text.primary,
+  },
+  previewStatus: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    borderRadius: 8,
+    gap: 6,
+    marginBottom: 12,
+  },
+  previewStatusOpen: {
+    backgroundColor: '#DCFCE7',
+  },
+  previewStatusClosed: {
+    backgroundColor: '#FEE2E2',
+  },
+  previewStatusText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  previewMessageBlock: {
+    marginBottom: 12,
+  },
+  previewMessageLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.text.secondary,
+    marginBottom: 8,
+  },
+  previewNoMessage: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.grey[50],
+    borderRadius: 8,
+    padding: 12,
+    gap: 8,
+  },
+  previewNoMessageText: {
+    flex: 1,
+    fontSize: 12,
+    color: colors.text.tertiary,
+  },
+  previewHint: {
+    fontSize: 11,
+    color: colors.text.tertiary,
+    marginTop: 4,
+  },
+
   // Auto Reply - Enhanced Design
   statusIndicator: {
     flexDirection: 'row',
@@ -1,4 +1,4 @@
-import { useEffect, useState, useCallback, useRef } from 'react';
+import { useEffect, useState, useCallback, useRef, useMemo } from 'react';
 import {
   View,
   StyleSheet,
@@ -15,6 +15,7 @@ import {
   Snackbar,
 } from 'react-native-paper';
 import { useDispatch, useSelector } from 'react-redux';
+import { format, formatDistanceToNow } from 'date-fns';
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
 import { updateSettings, deleteSettings, silentUpdateOptInManagement } from '../../redux/slices/settingsSlice';
 import { fetchOptInManagementWithCache } from '../../redux/cacheThunks';
@@ -25,6 +26,9 @@ import { cacheManager } from '../../database/CacheManager';
 import { colors, chatColors } from '../../theme/colors';
 import { MessagePreviewBubble, InfoBanner, ShadowCard } from '../../components/common';
 import { getCarouselCards, getLimitedTimeOffer } from '../../components/common/MessagePreview/messagePreviewUtils';
+import AutoMessageEditorModal from '../../components/settings/AutoMessageEditorModal';
+import { isSendableTemplate } from '../../utils/templateHelpers';
+import { matchOptKeyword, normalizeOptInStatus, getOptInStatusLabel, OPT_IN_STATUS } from '../../utils/optInHelpers';
 
 const CHIP_COLORS = [
   { bg: '#EFF6FF', border: '#BFDBFE', text: '#1D4ED8' },   // Blue
@@ -39,6 +43,14 @@ const CHIP_COLORS = [
   { bg: '#FDF2F8', border: '#FBCFE8', text: '#BE185D' },   // Pink
 ];
 
+// Colors per normalized opt-in status (null = not set)
+const getStatusColors = (status) => {
+  const normalized = normalizeOptInStatus(status);
+  if (normalized === OPT_IN_STATUS.OPTED_IN) return { color: '#16A34A', bg: '#DCFCE7' };
+  if (normalized === OPT_IN_STATUS.OPTED_OUT) return { color: '#DC2626', bg: '#FEE2E2' };
+  return { color: colors.grey[500], bg: colors.grey[100] };
+};
+
 const SkeletonPulse = ({ style }) => {
   const opacity = useRef(new Animated.Value(0.3)).current;
   useEffect(() => {
@@ -223,14 +235,35 @@ export default function OptInManagementScreen() {
   const [snackbarMessage, setSnackbarMessage] = useState('');
   const [updatingKey, setUpdatingKey] = useState(null);
 
+  // Response editor state — { type: 'optIn' | 'optOut', config }
+  const [editingResponse, setEditingResponse] = useState(null);
+  const [savingResponse, setSavingResponse] = useState(false);
+
+  // Keyword tester state
+  const [testMessage, setTestMessage] = useState('');
+
+  // Opt-in audit trail state (recorded locally as contacts sync)
+  const [optInEvents, setOptInEvents] = useState([]);
+  const [expandedContactId, setExpandedContactId] = useState(null);
+  const [contactTrail, setContactTrail] = useState([]);
+
+  const sendableTemplates = useMemo(() => (templates || []).filter(isSendableTemplate), [templates]);
+
   const isLoading = getSettingsStatus === 'loading';
   const isRefreshing = getSettingsStatus === 'loading' && (optInKeywords.length > 0 || optOutKeywords.length > 0);
 
+  const loadOptInEvents = useCallback(() => {
+    cacheManager.getOptInEvents({ changesOnly: true, limit: 100 })
+      .then(setOptInEvents)
+      .catch(() => {});
+  }, []);
+
   useEffect(() => {
     dispatch(fetchOptInManagementWithCache());
     // Fetch all templates to get full template data
     dispatch(fetchAllTemplates({ all: true, status: 'APPROVED' }));
-  }, [dispatch]);
+    loadOptInEvents();
+  }, [dispatch, loadOptInEvents]);
 
   useEffect(() => {
     if (settings.optInManagement) {
@@ -301,9 +334,10 @@ export default function OptInManagementScreen() {
   }, [isNetworkAvailable]);
 
   const onRefresh = useCallback(() => {
+    loadOptInEvents();
     if (isOffline) return;
     dispatch(fetchOptInManagementWithCache({ forceRefresh: true }));
-  }, [dispatch, isOffline]);
+  }, [dispatch, isOffline, loadOptInEvents]);
 
   const showSnackbar = useCallback((message) => {
     setSnackbarMessage(message);
@@ -410,6 +444,71 @@ export default function OptInManagementScreen() {
     }
   };
 
+  // Open the editor for the opt-in or opt-out auto response
+  const handleEditResponse = (type) => {
+    if (isOffline) return;
+    const isOptIn = type === 'optIn';
+    setEditingResponse({
+      type,
+      config: {
+        messageType: isOptIn ? optInMessageType : optOutMessageType,
+        regularMessageType: isOptIn ? optInRegularMessageType : optOutRegularMessageType,
+        regularMessage: isOptIn ? optInMessage : optOutMessage,
+        headerFileURL: isOptIn ? optInFileUrl : optOutFileUrl,
+        fileName: isOptIn ? optInFileName : optOutFileName,
+        templateName: isOptIn ? optInTemplateName : optOutTemplateName,
+        bodyParams: isOptIn ? optInBodyParams : optOutBodyParams,
+        headerParams: isOptIn ? optInHeaderParams : optOutHeaderParams,
+      },
+    });
+  };
+
+  // Save the edited response — replaces the whole response object, keeping its enabled flag.
+  // The updateSettings reducer writes it into settings.optInManagement, which re-syncs local state.
+  const handleSaveResponse = async (config) => {
+    if (isOffline || !editingResponse) return;
+    const isOptIn = editingResponse.type === 'optIn';
+    const settingsKey = isOptIn ? 'optInSettings' : 'optOutSettings';
+    const saved = settings.optInManagement?.[settingsKey]?.response || {};
+    const data = {
+      ...saved,
+      ...config,
+      enabled: isOptIn ? optInResponseEnabled : optOutResponseEnabled,
+    };
+
+    setSavingResponse(true);
+    try {
+      const result = await dispatch(
+        updateSettings({ key: `optInManagement.${settingsKey}.response`, data })
+      ).unwrap();
+      if (result.status === 'success') {
+        setEditingResponse(null);
+        showSnackbar(`${isOptIn ? 'Opt-in' : 'Opt-out'} response saved`);
+        syncCacheInBackground();
+      } else {
+        showSnackbar(result.message || 'Failed to save');
+      }
+    } catch (error) {
+      showSnackbar(error || 'Failed to save');
+    } finally {
+      setSavingResponse(false);
+    }
+  };
+
+  const handleToggleContactTrail = async (contactId) => {
+    if (expandedContactId === contactId) {
+      setExpandedContactId(null);
+      return;
+    }
+    setExpandedContactId(contactId);
+    setContactTrail([]);
+    try {
+      setContactTrail(await cacheManager.getOptInEvents({ contactId, limit: 50 }));
+    } catch (error) {
+      // Keep the trail empty — the summary row is still shown
+    }
+  };
+
   const renderKeywordChips = (type) => {
     const keywords = type === 'optIn' ? optInKeywords : optOutKeywords;
 
@@ -512,7 +611,7 @@ export default function OptInManagementScreen() {
         disabledIcon={isOptIn ? 'account-check' : 'account-cancel'}
         disabledIconColor={isOptIn ? '#16A34A' : '#DC2626'}
         disabledIconBg={isOptIn ? '#DCFCE7' : '#FEE2E2'}
-        emptyHint="Set up response in web app"
+        emptyHint={isTeamMemberLoggedIn ? 'No response set up yet' : 'Tap Edit to set up a response'}
         messageType={msgType}
         // Template props
         templateData={tplData}
@@ -573,10 +672,17 @@ export default function OptInManagementScreen() {
           <View style={styles.sectionHead}>
             <View style={styles.sectionTitleRow}>
               <Text style={styles.sectionTitle}>Auto Response</Text>
-              <View style={styles.readOnlyBadge}>
-                <Icon name="eye" size={10} color={colors.text.tertiary} />
-                <Text style={styles.readOnlyText}>Preview</Text>
-              </View>
+              {!isTeamMemberLoggedIn && (
+                <TouchableOpacity
+                  style={[styles.editBadge, isOffline && styles.editBadgeDisabled]}
+                  onPress={() => handleEditResponse(type)}
+                  disabled={isOffline}
+                  activeOpacity={0.7}
+                >
+                  <Icon name="pencil-outline" size={10} color={isOffline ? colors.grey[400] : colors.primary.main} />
+                  <Text style={[styles.editBadgeText, isOffline && styles.editBadgeTextDisabled]}>Edit</Text>
+                </TouchableOpacity>
+              )}
             </View>
             {updatingKey === toggleKey ? (
               <ActivityIndicator size={16} color={colors.primary.main} />
@@ -596,6 +702,162 @@ export default function OptInManagementScreen() {
     );
   };
 
+  // Keyword tester — shows which rule an incoming message triggers and the response it gets
+  const renderKeywordTester = () => {
+    const match = matchOptKeyword(testMessage, { optInKeywords, optOutKeywords });
+    const hasInput = !!testMessage.trim();
+
+    return (
+      <ShadowCard variant="card" style={styles.card}>
+        <View style={styles.cardHeader}>
+          <View style={[styles.iconBox, styles.iconBoxBlue]}>
+            <Icon name="flask-outline" size={18} color="#2563EB" />
+          </View>
+          <View style={styles.headerText}>
+            <Text style={styles.cardTitle}>Test a Keyword</Text>
+            <Text style={styles.cardSubtitle}>Type a message as a customer would send it</Text>
+          </View>
+        </View>
+
+        <View style={styles.sectionBlock}>
+          <TextInput
+            mode="outlined"
+            placeholder="e.g. STOP"
+            value={testMessage}
+            onChangeText={setTestMessage}
+            style={styles.testInput}
+            outlineStyle={styles.inputOutline}
+            dense
+            autoCapitalize="none"
+            right={hasInput ? <TextInput.Icon icon="close" size={16} onPress={() => setTestMessage('')} /> : null}
+          />
+
+          {hasInput && !match && (
+            <View style={styles.testResult}>
+              <Icon name="tag-off-outline" size={16} color={colors.grey[500]} />
+              <Text style={styles.testResultText}>
+                No keyword matches — the message reaches the inbox and the contact's status stays the same.
+              </Text>
+            </View>
+          )}
+
+          {match && (
+            <>
+              <View
+                style={[
+                  styles.testResult,
+                  { backgroundColor: match.type === 'optIn' ? '#F0FDF4' : '#FEF2F2' },
+                ]}
+              >
+                <Icon
+                  name={match.type === 'optIn' ? 'account-check' : 'account-cancel'}
+                  size={16}
+                  color={match.type === 'optIn' ? '#16A34A' : '#DC2626'}
+                />
+                <Text style={styles.testResultText}>
+                  Matches {match.type === 'optIn' ? 'opt-in' : 'opt-out'} keyword "{match.keyword}" — the contact is{' '}
+                  {match.type === 'optIn' ? 'opted in' : 'opted out'}.
+                </Text>
+              </View>
+              <Text style={styles.testResponseLabel}>Auto response</Text>
+              {renderMessagePreview(match.type)}
+            </>
+          )}
+        </View>
+      </ShadowCard>
+    );
+  };
+
+  // Opt-in audit trail — latest status change per contact, expandable to the full trail
+  const renderAuditTrail = () => {
+    const latestByContact = [];
+    const seen = new Set();
+    optInEvents.forEach((event) => {
+      if (seen.has(event.contactId)) return;
+      seen.add(event.contactId);
+      latestByContact.push(event);
+    });
+
+    const renderStatusPill = (status) => {
+      const statusColors = getStatusColors(status);
+      return (
+        <View style={[styles.statusPill, { backgroundColor: statusColors.bg }]}>
+          <Text style={[styles.statusPillText, { color: statusColors.color }]}>{getOptInStatusLabel(status)}</Text>
+        </View>
+      );
+    };
+
+    return (
+      <ShadowCard variant="card" style={styles.card}>
+        <View style={styles.cardHeader}>
+          <View style={[styles.iconBox, styles.iconBoxBlue]}>
+            <Icon name="history" size={18} color="#2563EB" />
+          </View>
+          <View style={styles.headerText}>
+            <Text style={styles.cardTitle}>Opt-In Activity</Text>
+            <Text style={styles.cardSubtitle}>Status changes seen as contacts sync to this device</Text>
+          </View>
+        </View>
+
+        <View style={styles.sectionBlock}>
+          {latestByContact.length === 0 ? (
+            <View style={styles.emptyKeywords}>
+              <Icon name="history" size={18} color={colors.grey[400]} />
+              <Text style={styles.emptyKeywordsText}>No opt-in changes recorded yet</Text>
+            </View>
+          ) : (
+            latestByContact.map((event, index) => {
+              const isExpanded = expandedContactId === event.contactId;
+              return (
+                <View
+                  key={event.contactId}
+                  style={[styles.auditRow, index < latestByContact.length - 1 && styles.auditRowBorder]}
+                >
+                  <TouchableOpacity
+                    style={styles.auditSummary}
+                    onPress={() => handleToggleContactTrail(event.contactId)}
+                    activeOpacity={0.7}
+                  >
+                    <View style={styles.auditContact}>
+                      <Text style={styles.auditName} numberOfLines={1}>
+                        {event.contactName || event.phoneNumber || 'Unknown contact'}
+                      </Text>
+                      <Text style={styles.auditTime}>
+                        {formatDistanceToNow(new Date(event.changedAt), { addSuffix: true })}
+                      </Text>
+                    </View>
+                    {renderStatusPill(event.fromStatus)}
+                    <Icon name="arrow-right" size={12} color={colors.grey[400]} />
+                    {renderStatusPill(event.toStatus)}
+                    <Icon name={isExpanded ? 'chevron-up' : 'chevron-down'} size={18} color={colors.grey[400]} />
+                  </TouchableOpacity>
+
+                  {isExpanded && (
+                    <View style={styles.auditTrail}>
+                      {contactTrail.map((trailEvent) => (
+                        <View key={trailEvent.id} style={styles.auditTrailItem}>
+                          <View style={[styles.auditTrailDot, { backgroundColor: getStatusColors(trailEvent.toStatus).color }]} />
+                          <Text style={styles.auditTrailText}>
+                            {trailEvent.fromStatus
+                              ? `${getOptInStatusLabel(trailEvent.fromStatus)} → ${getOptInStatusLabel(trailEvent.toStatus)}`
+                              : `First synced as ${getOptInStatusLabel(trailEvent.toStatus)}`}
+                          </Text>
+                          <Text style={styles.auditTrailTime}>
+                            {format(new Date(trailEvent.changedAt), 'd MMM yyyy, h:mm a')}
+                          </Text>
+                        </View>
+                      ))}
+                    </View>
+                  )}
+                </View>
+              );
+            })
+          )}
+        </View>
+      </ShadowCard>
+    );
+  };
+
   // Offline with no cached data
   const hasNoData = optInKeywords.length === 0 && optOutKeywords.length === 0;
   if (isOffline && hasNoData && getSettingsStatus !== 'succeeded') {
@@ -629,16 +891,29 @@ export default function OptInManagementScreen() {
       >
         {/* Info Banner */}
         <InfoBanner
-          message="Add or remove keywords here. Message setup requires web app."
+          message="Manage opt-in and opt-out keywords and the responses they send."
           style={{ marginBottom: 16 }}
         />
 
         {renderSection('optIn')}
         {renderSection('optOut')}
+        {renderKeywordTester()}
+        {renderAuditTrail()}
 
         <View style={styles.bottomSpace} />
       </ScrollView>
 
+      {/* Opt-In / Opt-Out Response Editor */}
+      <AutoMessageEditorModal
+        visible={!!editingResponse}
+        title={editingResponse?.type === 'optIn' ? 'Opt-In Response' : 'Opt-Out Response'}
+        config={editingResponse?.config}
+        templates={sendableTemplates}
+        onClose={() => setEditingResponse(null)}
+        onSave={handleSaveResponse}
+        isSaving={savingResponse}
+      />
+
       {snackbarVisible && (
         <View style={styles.snackbarContainer}>
           <Snackbar
@@ -718,6 +993,9 @@ const styles = StyleSheet.create({
   iconBoxRed: {
     backgroundColor: '#FEE2E2',
   },
+  iconBoxBlue: {
+    backgroundColor: '#DBEAFE',
+  },
   headerText: {
     flex: 1,
   },
@@ -752,21 +1030,27 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: colors.text.primary,
   },
-  readOnlyBadge: {
+  editBadge: {
     flexDirection: 'row',
     alignItems: 'center',
-    backgroundColor: colors.grey[100],
+    backgroundColor: colors.primary.main + '10',
     paddingHorizontal: 6,
     paddingVertical: 3,
     borderRadius: 4,
     gap: 3,
   },
-  readOnlyText: {
+  editBadgeDisabled: {
+    backgroundColor: colors.grey[100],
+  },
+  editBadgeText: {
     fontSize: 9,
     fontWeight: '600',
-    color: colors.text.tertiary,
+    color: colors.primary.main,
     textTransform: 'uppercase',
   },
+  editBadgeTextDisabled: {
+    color: colors.grey[400],
+  },
   badge: {
     backgroundColor: colors.primary.main + '15',
     paddingHorizontal: 8,
@@ -881,6 +1165,98 @@ const styles = StyleSheet.create({
     color: colors.text.primary,
   },
 
+  // Keyword Tester
+  testInput: {
+    backgroundColor: '#FFF',
+    fontSize: 13,
+    height: 40,
+  },
+  testResult: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: '#F8FAFC',
+    borderRadius: 10,
+    padding: 10,
+    marginTop: 10,
+    gap: 8,
+  },
+  testResultText: {
+    flex: 1,
+    fontSize: 12,
+    color: colors.text.secondary,
+    lineHeight: 18,
+  },
+  testResponseLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.text.secondary,
+    marginTop: 12,
+    marginBottom: 8,
+  },
+
+  // Audit Trail
+  auditRow: {
+    paddingVertical: 10,
+  },
+  auditRowBorder: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#F1F5F9',
+  },
+  auditSummary: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  auditContact: {
+    flex: 1,
+  },
+  auditName: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.text.primary,
+  },
+  auditTime: {
+    fontSize: 11,
+    color: colors.text.tertiary,
+    marginTop: 1,
+  },
+  statusPill: {
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 8,
+  },
+  statusPillText: {
+    fontSize: 10,
+    fontWeight: '600',
+  },
+  auditTrail: {
+    marginTop: 8,
+    marginLeft: 4,
+    paddingLeft: 10,
+    borderLeftWidth: 2,
+    borderLeftColor: '#E2E8F0',
+    gap: 6,
+  },
+  auditTrailItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  auditTrailDot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+  },
+  auditTrailText: {
+    flex: 1,
+    fontSize: 12,
+    color: colors.text.primary,
+  },
+  auditTrailTime: {
+    fontSize: 11,
+    color: colors.text.tertiary,
+  },
+
   bottomSpace: {
     height: 16,
   },
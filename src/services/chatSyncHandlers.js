@@ -0,0 +1,215 @@
+/**
+ * Chat Sync Handlers
+ *
+ * Replay handlers for chat mutations queued while offline by the thunks in
+ * redux/slices/inboxSlice.jsx (updateChat, assignChatToMember,
+ * toggleChatNotifications, addChatNote, deleteChatNote, sendMessageReaction).
+ * Registered with the sync queue by syncQueueService.
+ *
+ * Conflict detection: chat field updates carry the values the chat had when the
+ * change was queued. If the server value has moved on since then (someone else
+ * changed it), the server wins for that field and the user is told.
+ */
+
+import { callApi, endpoints, httpMethods } from '../utils/axios';
+import { cacheManager } from '../database/CacheManager';
+import { showError, showWarning } from '../utils/toast';
+import {
+  applyChatFieldUpdates,
+  applyOwnReaction,
+  replaceNoteInList,
+  removeNoteFromList,
+  restoreNoteInList,
+} from '../redux/slices/inboxSlice';
+import { createPermanentSyncError } from './syncQueueService';
+
+/**
+ * Throw for an API error response. 4xx rejections will never succeed on
+ * retry, so they dead-letter straight away.
+ */
+const assertApiSuccess = (response, fallbackMessage) => {
+  if (response.status !== 'error') return;
+
+  const message = response.message || fallbackMessage;
+  const { statusCode } = response;
+  if (statusCode >= 400 && statusCode < 500 && statusCode !== 408 && statusCode !== 429) {
+    throw createPermanentSyncError(message);
+  }
+  throw new Error(message);
+};
+
+// Compare chat field values across the shapes the API and app use
+const normalizeFieldValue = (field, value) => {
+  if (field === 'hideNotification') return Boolean(value);
+  if (field === 'assignedToMember') {
+    if (!value || value === 'none') return null;
+    return typeof value === 'object' ? (value._id || value.id || null) : value;
+  }
+  return value ?? null;
+};
+
+const sameFieldValue = (field, a, b) => normalizeFieldValue(field, a) === normalizeFieldValue(field, b);
+
+/**
+ * Fetch the current server copy of a chat.
+ * @returns {Promise<Object|null>} Chat data, or null when the server can't be reached
+ */
+async function fetchServerChat(chatId) {
+  const response = await callApi(endpoints.inbox.getConversation, httpMethods.GET, {
+    _id: chatId,
+    limit: 1,
+    skip: 0,
+  });
+  if (response.isNetworkError) return null;
+  assertApiSuccess(response, 'Failed to fetch chat');
+  return response.data || response;
+}
+
+// ─── Chat field updates (status / assignee / notifications) ───
+
+const updateChatHandler = {
+  execute: async ({ chatId, updates, previous = {} }) => {
+    const serverChat = await fetchServerChat(chatId);
+    if (!serverChat) return false;
+
+    const conflicts = {};
+    const pending = {};
+    Object.keys(updates).forEach((field) => {
+      const serverValue = serverChat[field];
+      if (sameFieldValue(field, serverValue, updates[field])) {
+        return; // Already applied
+      }
+      if (previous[field] !== undefined && !sameFieldValue(field, serverValue, previous[field])) {
+        conflicts[field] = serverValue ?? null;
+        return;
+      }
+      pending[field] = updates[field];
+    });
+
+    if (Object.keys(pending).length > 0) {
+      const response = await callApi(`${endpoints.inbox.updateChat}/${chatId}`, httpMethods.PUT, pending);
+      if (response.isNetworkError) return false;
+      assertApiSuccess(response, 'Failed to update chat');
+    }
+
+    return { conflicts };
+  },
+
+  onSuccess: async ({ chatId }, op, { dispatch, result }) => {
+    const conflicts = result?.conflicts || {};
+    if (Object.keys(conflicts).length === 0) return;
+
+    dispatch(applyChatFieldUpdates({ chatId, updates: conflicts }));
+    await cacheManager.updateChatFields(chatId, conflicts);
+    showWarning('This chat was changed by someone else while you were offline. Their changes were kept.', 'Sync conflict');
+  },
+
+  onDeadLetter: async ({ chatId, updates, previous = {} }, op, { dispatch, error }) => {
+    // Undo the optimistic change for the fields we know the original value of
+    const rollback = Object.keys(updates).reduce((acc, field) => {
+      if (previous[field] !== undefined) acc[field] = previous[field];
+      return acc;
+    }, {});
+    if (Object.keys(rollback).length > 0) {
+      dispatch(applyChatFieldUpdates({ chatId, updates: rollback }));
+      await cacheManager.updateChatFields(chatId, rollback);
+    }
+    showError(error?.message || 'Failed to update chat', 'Offline change not saved');
+  },
+};
+
+// ─── Notes ───
+
+const addChatNoteHandler = {
+  execute: async ({ chatId, note, queuedAt }, op) => {
+    const url = `${endpoints.inbox.root}/${chatId}/notes`;
+
+    // An earlier attempt may have reached the server before the connection dropped
+    if (op.retry_count > 0) {
+      const existing = await callApi(url, httpMethods.GET);
+      if (existing.isNetworkError) return false;
+      if (existing.status !== 'error') {
+        const data = existing.data || existing;
+        const notes = data.notes || data || [];
+        const duplicate = Array.isArray(notes) && notes.find(n => (
+          (n.note || n.text) === note && new Date(n.createdAt || 0).getTime() >= queuedAt
+        ));
+        if (duplicate) return { note: duplicate };
+      }
+    }
+
+    const response = await callApi(url, httpMethods.POST, { note });
+    if (response.isNetworkError) return false;
+    assertApiSuccess(response, 'Failed to add note');
+
+    const data = response.data || response;
+    return { note: data.note };
+  },
+
+  onSuccess: async ({ chatId, tempId }, op, { dispatch, result }) => {
+    if (!result?.note) return;
+    dispatch(replaceNoteInList({ tempId, note: result.note }));
+    await cacheManager.updateChatNotes(chatId, notes => notes.map(n => (n._id === tempId ? result.note : n)));
+  },
+
+  onDeadLetter: async ({ chatId, tempId }, op, { dispatch, error }) => {
+    dispatch(removeNoteFromList(tempId));
+    await cacheManager.updateChatNotes(chatId, notes => notes.filter(n => n._id !== tempId));
+    showError(error?.message || 'Failed to add note', 'Offline note not saved');
+  },
+};
+
+const deleteChatNoteHandler = {
+  execute: async ({ chatId, noteId }) => {
+    const response = await callApi(`${endpoints.inbox.root}/${chatId}/notes/${noteId}`, httpMethods.DELETE);
+    if (response.isNetworkError) return false;
+    // Already gone on the server — nothing left to do
+    if (response.statusCode === 404) return true;
+    assertApiSuccess(response, 'Failed to delete note');
+    return true;
+  },
+
+  onDeadLetter: async ({ chatId, note }, op, { dispatch, error }) => {
+    // Undo the optimistic removal — the note still exists on the server
+    if (note) {
+      dispatch(restoreNoteInList({ chatId, note }));
+      await cacheManager.updateChatNotes(chatId, notes => (
+        notes.some(n => n._id === note._id) ? notes : [note, ...notes]
+      ));
+    }
+    showError(error?.message || 'Failed to delete note', 'Offline change not saved');
+  },
+};
+
+// ─── Reactions ───
+
+const sendMessageReactionHandler = {
+  execute: async ({ chatId, messageId, emoji }) => {
+    const response = await callApi(
+      `${endpoints.inbox.root}/${chatId}/messages/${messageId}/reaction`,
+      httpMethods.POST,
+      { emoji }
+    );
+    if (response.isNetworkError) return false;
+    assertApiSuccess(response, 'Failed to send reaction');
+    return true;
+  },
+
+  onDeadLetter: async ({ chatId, messageId, previousEmoji = '' }, op, { dispatch, error }) => {
+    dispatch(applyOwnReaction({ chatId, messageId, emoji: previousEmoji }));
+    await cacheManager.updateOwnReaction(messageId, previousEmoji);
+    showError(error?.message || 'Failed to send reaction', 'Offline reaction not sent');
+  },
+};
+
+/**
+ * Handlers keyed by sync queue operation name
+ */
+export const chatSyncHandlers = {
+  updateChat: updateChatHandler,
+  addChatNote: addChatNoteHandler,
+  deleteChatNote: deleteChatNoteHandler,
+  sendMessageReaction: sendMessageReactionHandler,
+};
+
+export default chatSyncHandlers;
@@ -0,0 +1,145 @@
+/**
+ * CSV Service
+ * Builds CSV files from row data and hands them to the system share sheet,
+ * and parses CSV text picked by the user (e.g. for contact import).
+ * Files are written to the cache directory — the OS may clear them once shared.
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+
+// Cells spreadsheet apps would evaluate as a formula
+const FORMULA_PREFIX_REGEX = /^[=+\-@\t\r]/;
+// Plain numbers (including phone numbers written as +<digits>) are safe as-is
+const PLAIN_NUMBER_REGEX = /^[+-]?\d+(\.\d+)?$/;
+
+/**
+ * Escape a single CSV cell (RFC 4180).
+ * Text starting with =, +, -, @ is prefixed with ' so spreadsheet apps show it
+ * instead of running it — contact names come from WhatsApp profiles and are
+ * user-controlled. Plain numbers such as +919876543210 are left untouched.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (FORMULA_PREFIX_REGEX.test(text) && !PLAIN_NUMBER_REGEX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text from rows
+ * @param {Array<{key: string, label: string}>} columns - Columns in output order
+ * @param {Array<Object>} rows - Row objects keyed by column key
+ * @returns {string}
+ */
+export const buildCsv = (columns, rows) => {
+  const header = columns.map((column) => escapeCsvValue(column.label)).join(',');
+  const lines = rows.map((row) => columns.map((column) => escapeCsvValue(row[column.key])).join(','));
+  return [header, ...lines].join('\r\n');
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells, escaped quotes, line breaks inside quotes).
+ * The delimiter is detected from the header line — spreadsheet apps in many
+ * locales export with semicolons.
+ * @param {string} text - CSV text
+ * @returns {{ headers: Array<string>, rows: Array<Array<string>>, lineNumbers: Array<number> }}
+ *   Blank lines are dropped; lineNumbers[i] is the file line rows[i] starts on (1-based)
+ */
+export const parseCsv = (text) => {
+  const source = (text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  const recordLines = [];
+  let record = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      recordLines.push(recordLine);
+      line++;
+      recordLine = line;
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+    recordLines.push(recordLine);
+  }
+
+  const nonEmpty = records
+    .map((cells, index) => ({ cells, line: recordLines[index] }))
+    .filter(({ cells }) => cells.some((value) => value.trim() !== ''));
+  const [headerRow = { cells: [] }, ...rows] = nonEmpty;
+  return {
+    headers: headerRow.cells.map((header) => header.trim()),
+    rows: rows.map(({ cells }) => cells.map((value) => value.trim())),
+    lineNumbers: rows.map((row) => row.line),
+  };
+};
+
+/**
+ * Write CSV text to a file and open the share sheet
+ * @param {string} fileName - File name without extension
+ * @param {string} csv - CSV text
+ * @param {string} [dialogTitle] - Share sheet title (Android)
+ * @returns {Promise<string>} Local file URI
+ */
+export const shareCsvFile = async (fileName, csv, dialogTitle = 'Export CSV') => {
+  const safeName = fileName.replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'export';
+  const uri = `${FileSystem.cacheDirectory}${safeName}.csv`;
+
+  await FileSystem.writeAsStringAsync(uri, csv, { encoding: FileSystem.EncodingType.UTF8 });
+
+  const canShare = await Sharing.isAvailableAsync();
+  if (!canShare) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  await Sharing.shareAsync(uri, {
+    mimeType: 'text/csv',
+    dialogTitle,
+    UTI: 'public.comma-separated-values-text',
+  });
+
+  return uri;
+};
+
+export default {
+  escapeCsvValue,
+  buildCsv,
+  parseCsv,
+  shareCsvFile,
+};
@@ -513,6 +513,23 @@ export const validateFileSize = (fileSize, fileType) => {
   };
 };
 
+/**
+ * Check that a file picked earlier can still be sent (e.g. a draft attachment
+ * after an app restart — picker copies in the cache directory can be purged)
+ * @param {string} uri - Local file URI or remote URL
+ * @returns {Promise<boolean>} - true for remote URLs and existing local files
+ */
+export const isFileAvailable = async (uri) => {
+  if (!uri) return false;
+  if (uri.startsWith('http://') || uri.startsWith('https://')) return true;
+  try {
+    const fileInfo = await FileSystem.getInfoAsync(uri);
+    return fileInfo.exists;
+  } catch (error) {
+    return false;
+  }
+};
+
 /**
  * Upload a file with progress tracking using XMLHttpRequest
  * Supports cancellation via AbortController
@@ -719,4 +736,5 @@ export default {
   uploadFileWithProgress,
   uploadToMediaLibrary,
   validateFileSize,
+  isFileAvailable,
 };
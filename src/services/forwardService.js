@@ -0,0 +1,237 @@
+/**
+ * Message Forwarding Service
+ *
+ * Re-sends an existing message to other chats through the same socket path the
+ * composer uses (sendMessage / sendTemplate). Media is forwarded by its existing
+ * URL (and WhatsApp media id when known), so nothing is re-uploaded.
+ *
+ * WhatsApp only allows free-form messages inside the 24-hour customer service
+ * window; templates can be sent any time. Chats whose window is closed are
+ * skipped for free-form messages and reported back so the caller can prompt
+ * for a template instead.
+ */
+
+import { cacheManager } from '../database/CacheManager';
+import { sendMessageViaSocket, sendTemplateViaSocket } from './socketService';
+import {
+  MessageStatus,
+  getMessageText,
+  getMessageCaption,
+  getMediaUrl,
+  getFilename,
+  getTemplateData,
+} from '../utils/messageHelpers';
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'file'];
+
+/**
+ * Message types that can be forwarded
+ */
+export const FORWARDABLE_TYPES = ['text', ...MEDIA_TYPES, 'template'];
+
+const getMessageType = (message) => message?.type || message?.message?.type || 'text';
+
+/**
+ * Check whether a message can be forwarded
+ * @param {Object} message - Message object
+ * @returns {boolean}
+ */
+export const canForwardMessage = (message) => {
+  if (!message || message.isOptimistic || message.status === 'failed') return false;
+
+  const type = getMessageType(message);
+  if (!FORWARDABLE_TYPES.includes(type)) return false;
+  if (type === 'text') return !!getMessageText(message);
+  if (MEDIA_TYPES.includes(type)) return !!getMediaUrl(message);
+  return !!getTemplateData(message)?.templateName;
+};
+
+/**
+ * Check whether a message needs an open 24-hour window (anything but a template)
+ * @param {Object} message - Message object
+ * @returns {boolean}
+ */
+export const requiresOpenWindow = (message) => getMessageType(message) !== 'template';
+
+/**
+ * Check whether a chat's 24-hour customer service window is open
+ * @param {Object} chat - Chat object
+ * @returns {boolean}
+ */
+export const isChatWindowOpen = (chat) => {
+  const lastActive = chat?.contact?.lastActive || chat?.lastActive;
+  return MessageStatus(lastActive).isActive;
+};
+
+const getChatPhoneNumber = (chat) => {
+  const contact = chat?.contact || {};
+  return contact.mobile || contact.phoneNumber || contact.phone_number ||
+    chat?.phoneNumber || chat?.phone_number || '';
+};
+
+/**
+ * Build the socket payload and the optimistic copy for one target chat
+ */
+const buildForwardPayload = (message, chat, tempId, timestamp) => {
+  const type = getMessageType(message);
+  const chatId = chat._id;
+  const to = getChatPhoneNumber(chat);
+
+  if (type === 'template') {
+    const template = getTemplateData(message);
+    const rawTemplate = message?.message?.template || {};
+    const languageCode = rawTemplate.language?.code || rawTemplate.languageCode ||
+      message?.message?.languageCode || 'en';
+    const templateType = (template.type || 'TEXT').toUpperCase();
+
+    return {
+      operation: 'sendTemplate',
+      messageType: 'template',
+      socketData: {
+        to,
+        chatId,
+        tempId,
+        templateName: template.templateName,
+        templateId: rawTemplate.templateId || message?.message?.templateId,
+        languageCode,
+        bodyParams: template.bodyParams,
+        headerParams: template.headerParams,
+        templateType,
+        ...(template.link && { link: template.link }),
+        ...(template.ltoFields && { ltoFields: template.ltoFields }),
+        ...(template.copyCodeParam && { copyCodeParam: template.copyCodeParam }),
+        ...(template.urlVariables?.length > 0 && { urlVariables: template.urlVariables }),
+      },
+      optimisticMessage: {
+        tempId,
+        _id: tempId,
+        type: 'template',
+        status: 'pending',
+        sentBy: 'user',
+        timestamp,
+        createdAt: timestamp,
+        message: { ...message.message },
+        templateName: template.templateName,
+      },
+    };
+  }
+
+  if (MEDIA_TYPES.includes(type)) {
+    const mediaType = type === 'file' ? 'document' : type;
+    const link = getMediaUrl(message);
+    const caption = getMessageCaption(message);
+    const mediaId = message?.message?.id || message?.message?.[mediaType]?.id;
+    const filename = mediaType === 'document' ? getFilename(message) : undefined;
+
+    return {
+      operation: 'sendMessage',
+      messageType: mediaType,
+      socketData: {
+        to,
+        type: mediaType,
+        chatId,
+        tempId,
+        caption,
+        link,
+        ...(filename && { filename }),
+        ...(mediaId && { mediaId }),
+      },
+      optimisticMessage: {
+        tempId,
+        _id: tempId,
+        type: mediaType,
+        status: 'pending',
+        sentBy: 'user',
+        timestamp,
+        createdAt: timestamp,
+        message: {
+          [mediaType]: { link, url: link, caption },
+          caption,
+          ...(filename && { filename }),
+        },
+      },
+    };
+  }
+
+  const text = getMessageText(message);
+  return {
+    operation: 'sendMessage',
+    messageType: 'text',
+    socketData: { to, type: 'text', chatId, tempId, message: text },
+    optimisticMessage: {
+      tempId,
+      _id: tempId,
+      type: 'text',
+      status: 'pending',
+      sentBy: 'user',
+      timestamp,
+      createdAt: timestamp,
+      message: { body: text },
+    },
+  };
+};
+
+/**
+ * Forward a message to several chats
+ * @param {Object} message - Message to forward
+ * @param {Array} chats - Target chat objects
+ * @returns {Promise<{ sent: Array, queued: Array, windowClosed: Array, failed: Array }>}
+ *   Chat arrays; failed entries are { chat, error }
+ */
+export const forwardMessage = async (message, chats) => {
+  const result = { sent: [], queued: [], windowClosed: [], failed: [] };
+  const needsWindow = requiresOpenWindow(message);
+
+  for (const chat of chats) {
+    if (needsWindow && !isChatWindowOpen(chat)) {
+      result.windowClosed.push(chat);
+      continue;
+    }
+
+    const tempId = `temp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const timestamp = new Date().toISOString();
+
+    try {
+      const { operation, messageType, socketData, optimisticMessage } =
+        buildForwardPayload(message, chat, tempId, timestamp);
+
+      if (!socketData.to) {
+        throw new Error('Contact has no phone number');
+      }
+
+      // Persist the optimistic copy so it shows when the target chat is opened
+      try {
+        await cacheManager.addMessage(optimisticMessage, chat._id);
+      } catch (cacheErr) {
+        // Non-critical - the server echo will add the message
+      }
+
+      const send = operation === 'sendTemplate' ? sendTemplateViaSocket : sendMessageViaSocket;
+      if (send(socketData)) {
+        result.sent.push(chat);
+      } else {
+        // Socket not connected — replay through the sync queue on reconnect
+        await cacheManager.addToSyncQueue(operation, 'messages', tempId, {
+          socketData,
+          chatId: chat._id,
+          tempId,
+          messageType,
+          timestamp,
+        });
+        result.queued.push(chat);
+      }
+    } catch (error) {
+      result.failed.push({ chat, error: error.message || 'Failed to forward message' });
+    }
+  }
+
+  return result;
+};
+
+export default {
+  FORWARDABLE_TYPES,
+  canForwardMessage,
+  requiresOpenWindow,
+  isChatWindowOpen,
+  forwardMessage,
+};
@@ -16,6 +16,10 @@ const NOTIFICATION_PREFS_KEY = '@pabbly_notification_prefs';
 let notificationSound = null;
 let sentMessageSound = null;
 
+// SLA warnings currently scheduled: chatId -> fire time (ms)
+const scheduledSlaWarnings = new Map();
+const getSlaWarningId = (chatId) => `sla_${chatId}`;
+
 // Configure how notifications are handled when app is in foreground
 Notifications.setNotificationHandler({
   handleNotification: async () => ({
@@ -390,6 +394,58 @@ export const showMessageNotification = async (message, contact, chatId) => {
   }
 };
 
+/**
+ * Keep local "SLA about to breach" notifications in step with the chats that need one.
+ * Schedules a warning per chat at its fire time, reschedules when the time moves
+ * and cancels warnings for chats no longer in the list (replied, reassigned, ...).
+ * @param {Array<{chatId: string, contactName: string, fireAt: number, breachAt: number}>} warnings
+ */
+export const syncSlaWarnings = async (warnings = []) => {
+  try {
+    const prefs = await getNotificationPreferences();
+    const now = Date.now();
+    const wanted = new Map(
+      prefs.notificationsEnabled
+        ? warnings.filter((warning) => warning.fireAt > now).map((warning) => [warning.chatId, warning])
+        : []
+    );
+
+    // Cancel warnings that are no longer needed or whose time changed
+    for (const [chatId, fireAt] of scheduledSlaWarnings) {
+      const warning = wanted.get(chatId);
+      if (!warning || warning.fireAt !== fireAt) {
+        scheduledSlaWarnings.delete(chatId);
+        await Notifications.cancelScheduledNotificationAsync(getSlaWarningId(chatId)).catch(() => {});
+      }
+    }
+
+    for (const [chatId, warning] of wanted) {
+      if (scheduledSlaWarnings.has(chatId)) continue;
+      const minutesLeft = Math.max(1, Math.round((warning.breachAt - warning.fireAt) / 60000));
+      await Notifications.scheduleNotificationAsync({
+        identifier: getSlaWarningId(chatId),
+        content: {
+          title: 'SLA about to breach',
+          body: `${warning.contactName} is waiting for a reply — ${minutesLeft} min left`,
+          data: {
+            chatId,
+            type: 'sla_warning',
+          },
+          sound: 'default',
+          ...(Platform.OS === 'android' && { channelId: 'messages' }),
+        },
+        trigger: {
+          type: Notifications.SchedulableTriggerInputTypes.DATE,
+          date: new Date(warning.fireAt),
+        },
+      });
+      scheduledSlaWarnings.set(chatId, warning.fireAt);
+    }
+  } catch (error) {
+    // Error scheduling SLA warnings
+  }
+};
+
 /**
  * Update app badge count
  * @param {number} count - Badge count
@@ -443,6 +499,7 @@ export const getLastNotificationResponse = async () => {
 export default {
   registerForPushNotifications,
   showMessageNotification,
+  syncSlaWarnings,
   setBadgeCount,
   clearAllNotifications,
   addNotificationResponseListener,
@@ -0,0 +1,183 @@
+/**
+ * Scheduled Message Service
+ *
+ * Local scheduler for messages composed in a chat to be sent later. Scheduled
+ * items live in SQLite (see ScheduledMessageModel); when one becomes due it is
+ * sent through the same socket path as the composer (sendMessageViaSocketAsync /
+ * sendTemplateViaSocketAsync) with a fresh optimistic message.
+ *
+ * Triggered by: socket reconnect, app foreground, scheduling/editing a message,
+ * and a wake-up timer for the next scheduled time. The app has to be running for
+ * a message to go out; anything that fell due while it was closed is sent on the
+ * next trigger.
+ *
+ * Free-form messages can only be delivered inside the 24-hour customer service
+ * window. If the window has closed by send time the item is marked failed (kept
+ * in the chat so it can be cancelled or replaced with a template).
+ */
+
+import { cacheManager } from '../database/CacheManager';
+import { sendMessageViaSocketAsync, sendTemplateViaSocketAsync, isSocketConnected } from './socketService';
+import {
+  addOptimisticMessage,
+  markOptimisticMessageQueued,
+  scheduledMessageUpdated,
+  scheduledMessageRemoved,
+} from '../redux/slices/inboxSlice';
+import { MessageStatus } from '../utils/messageHelpers';
+
+// Re-check at least this often — long timers drift while the app is suspended
+const MAX_WAKE_UP_DELAY_MS = 60 * 60 * 1000;
+
+export const WINDOW_CLOSED_ERROR = 'The 24-hour window closed before this message was sent. Only templates can be sent now.';
+
+let isProcessing = false;
+let rerunRequested = false;
+let wakeUpTimer = null;
+let hasRecoveredInterrupted = false;
+
+/**
+ * Check whether a scheduled item needs an open 24-hour window (anything but a template)
+ * @param {Object} item - Scheduled message
+ * @returns {boolean}
+ */
+export const requiresOpenWindow = (item) => item?.messageType !== 'template';
+
+const setStatus = async (item, status, error, dispatch) => {
+  await cacheManager.updateScheduledMessageStatus(item._id, status, error);
+  dispatch(scheduledMessageUpdated({ ...item, status, error: error || null }));
+};
+
+/**
+ * Send one due scheduled message
+ */
+async function sendScheduledMessage(item, dispatch) {
+  if (requiresOpenWindow(item)) {
+    const chat = await cacheManager.getChatById(item.chatId);
+    const lastActive = chat?.contact?.lastActive || chat?.lastActive;
+    if (!MessageStatus(lastActive).isActive) {
+      await setStatus(item, 'failed', WINDOW_CLOSED_ERROR, dispatch);
+      return;
+    }
+  }
+
+  await setStatus(item, 'sending', null, dispatch);
+
+  const tempId = `temp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const timestamp = new Date().toISOString();
+  const socketData = { ...item.payload, tempId };
+  const optimisticMessage = {
+    ...item.preview,
+    tempId,
+    _id: tempId,
+    status: 'pending',
+    timestamp,
+    createdAt: timestamp,
+  };
+
+  dispatch(addOptimisticMessage({ chatId: item.chatId, message: optimisticMessage }));
+  try {
+    await cacheManager.addMessage(optimisticMessage, item.chatId);
+  } catch (cacheErr) {
+    // Non-critical - the server echo will add the message
+  }
+
+  const send = item.operation === 'sendTemplate' ? sendTemplateViaSocketAsync : sendMessageViaSocketAsync;
+  const sent = await send(socketData);
+
+  if (!sent) {
+    // Socket dropped mid-pass — hand over to the sync queue like the composer does
+    await cacheManager.addToSyncQueue(item.operation, 'messages', tempId, {
+      socketData,
+      chatId: item.chatId,
+      tempId,
+      messageType: item.messageType,
+      timestamp,
+    });
+    dispatch(markOptimisticMessageQueued({ chatId: item.chatId, tempId }));
+  }
+
+  await cacheManager.deleteScheduledMessage(item._id);
+  dispatch(scheduledMessageRemoved(item._id));
+}
+
+/**
+ * Schedule a processing pass for the next scheduled time.
+ * @param {Function} dispatch - Redux dispatch function
+ */
+async function scheduleWakeUp(dispatch) {
+  if (wakeUpTimer) {
+    clearTimeout(wakeUpTimer);
+    wakeUpTimer = null;
+  }
+
+  const nextAt = await cacheManager.getNextScheduledMessageTime();
+  if (!nextAt) return;
+
+  // Items already due are waiting on the socket — reconnect triggers handle those
+  const delay = nextAt - Date.now();
+  if (delay <= 0) return;
+
+  wakeUpTimer = setTimeout(() => {
+    wakeUpTimer = null;
+    processScheduledMessages(dispatch);
+  }, Math.min(delay, MAX_WAKE_UP_DELAY_MS));
+}
+
+/**
+ * Send all scheduled messages that are due, then arm the wake-up timer.
+ * @param {Function} dispatch - Redux dispatch function
+ */
+export async function processScheduledMessages(dispatch) {
+  if (isProcessing) {
+    rerunRequested = true;
+    return;
+  }
+
+  isProcessing = true;
+  rerunRequested = false;
+
+  try {
+    if (!hasRecoveredInterrupted) {
+      await cacheManager.resetInterruptedScheduledMessages();
+      hasRecoveredInterrupted = true;
+    }
+
+    // Due items wait for the socket — reconnect triggers the next pass
+    if (isSocketConnected()) {
+      const dueItems = await cacheManager.getDueScheduledMessages();
+      for (const item of dueItems) {
+        try {
+          await sendScheduledMessage(item, dispatch);
+        } catch (error) {
+          try {
+            await setStatus(item, 'failed', error?.message || 'Failed to send scheduled message', dispatch);
+          } catch (e) {
+            // Non-critical — the item stays in 'sending' and is retried after restart
+          }
+        }
+      }
+    }
+  } catch (e) {
+    // Processing error — will retry on next trigger
+  } finally {
+    isProcessing = false;
+  }
+
+  if (rerunRequested) {
+    processScheduledMessages(dispatch);
+    return;
+  }
+
+  try {
+    await scheduleWakeUp(dispatch);
+  } catch (e) {
+    // Non-critical — next reconnect/foreground will trigger processing
+  }
+}
+
+export default {
+  WINDOW_CLOSED_ERROR,
+  requiresOpenWindow,
+  processScheduledMessages,
+};
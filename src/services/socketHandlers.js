@@ -269,9 +269,16 @@ export const handleUpdateChatOnContactUpdate = async (dispatch, response) => {
  * @param {Function} dispatch - Redux dispatch
  * @param {Object} template - Updated template data
  */
-export const handleUpdateTemplateStatus = (dispatch, template) => {
+export const handleUpdateTemplateStatus = async (dispatch, template) => {
   if (template && template._id) {
     dispatch(setUpdatedTemplate(template));
+
+    // Keep cached buckets in step so the new status survives a restart
+    try {
+      await cacheManager.updateTemplate(template);
+    } catch (error) {
+      // Non-critical — next refresh replaces the cached bucket
+    }
   }
 };
 
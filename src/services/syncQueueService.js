@@ -1,30 +1,176 @@
 /**
  * Sync Queue Processor Service
  *
- * Processes queued offline operations (messages, etc.) when the socket reconnects.
- * Triggered by: socket reconnect, network online event, app foreground.
+ * Processes queued offline operations (messages, chat mutations, etc.) when connectivity returns.
+ * Triggered by: socket reconnect, network online event, app foreground, and a
+ * wake-up timer for operations waiting out their retry backoff.
+ *
+ * Operations are dispatched to handlers registered by operation name. A handler:
+ * - resolves to anything but `false` on success
+ * - resolves to `false` when its transport is unavailable (no attempt is consumed)
+ * - throws to request a retry with exponential backoff
+ * - throws an error with `permanent: true` (see createPermanentSyncError) to dead-letter immediately
+ *
+ * Operations sharing a chat_id are replayed strictly in the order they were queued:
+ * while an earlier operation for a chat is waiting to be retried, later ones for
+ * that chat are held back.
  */
 
 import { cacheManager } from '../database/CacheManager';
 import { sendMessageViaSocketAsync, sendTemplateViaSocketAsync, isSocketConnected } from './socketService';
-import { updateQueuedMessageStatus } from '../redux/slices/inboxSlice';
+import { updateQueuedMessageStatus, markOptimisticMessageFailed } from '../redux/slices/inboxSlice';
+import { chatSyncHandlers } from './chatSyncHandlers';
+
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+const handlers = new Map();
 
 let isProcessing = false;
+let rerunRequested = false;
+let wakeUpTimer = null;
+
+/**
+ * Register a handler for a sync queue operation.
+ * @param {string} operation - Operation name used with cacheManager.addToSyncQueue
+ * @param {Object} handler
+ * @param {Function} handler.execute - async (data, op, { dispatch }) => false | any
+ * @param {boolean} [handler.requiresSocket] - Skip (without consuming an attempt) while the socket is down
+ * @param {Function} [handler.onSuccess] - (data, op, { dispatch, result }) after completion
+ * @param {Function} [handler.onDeadLetter] - (data, op, { dispatch, error }) when the operation is given up on
+ */
+export function registerSyncHandler(operation, handler) {
+  handlers.set(operation, handler);
+}
+
+/**
+ * Create an error that tells the processor not to retry the operation.
+ * Use for rejections that will never succeed (validation errors, deleted records, etc.).
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+export function createPermanentSyncError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+/**
+ * Compute the delay before the next attempt (exponential backoff with jitter).
+ * Half of the delay is fixed, the other half random, so a burst of failures
+ * doesn't retry in lockstep.
+ * @param {number} retryCount - Attempts already made
+ * @returns {number} Delay in milliseconds
+ */
+export function computeRetryDelay(retryCount) {
+  const exponential = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * Math.pow(2, retryCount));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+// ─── Built-in handlers ───
+
+const markMessageRequeued = (data, op, { dispatch }) => {
+  // Update the optimistic message status from 'queued' back to 'pending'
+  // Socket handlers will update to 'sent' when server confirms
+  if (dispatch && data.chatId && data.tempId) {
+    dispatch(updateQueuedMessageStatus({
+      chatId: data.chatId,
+      tempId: data.tempId,
+      status: 'pending',
+    }));
+  }
+};
+
+const markMessageFailed = async (data, op, { dispatch, error }) => {
+  if (!data.tempId) return;
+  const errorMessage = error?.message || 'Failed to send message';
+
+  try {
+    await cacheManager.markMessageFailed(data.tempId, { code: 'sync_failed', message: errorMessage });
+  } catch (e) {
+    // Non-critical — Redux state below still reflects the failure
+  }
+
+  if (dispatch && data.chatId) {
+    dispatch(markOptimisticMessageFailed({
+      chatId: data.chatId,
+      tempId: data.tempId,
+      error: errorMessage,
+    }));
+  }
+};
+
+registerSyncHandler('sendMessage', {
+  requiresSocket: true,
+  // await ensures we wait for server ack (or timeout) before next message
+  execute: (data) => sendMessageViaSocketAsync(data.socketData),
+  onSuccess: markMessageRequeued,
+  onDeadLetter: markMessageFailed,
+});
+
+registerSyncHandler('sendTemplate', {
+  requiresSocket: true,
+  // await ensures we wait for server ack (or timeout) before next template
+  execute: (data) => sendTemplateViaSocketAsync(data.socketData),
+  onSuccess: markMessageRequeued,
+  onDeadLetter: markMessageFailed,
+});
+
+// Offline chat mutations (updateChat, notes, reactions)
+Object.entries(chatSyncHandlers).forEach(([operation, handler]) => {
+  registerSyncHandler(operation, handler);
+});
+
+// ─── Processor ───
+
+/**
+ * Schedule a processing pass for when the earliest backed-off operation becomes due.
+ * @param {Function} dispatch - Redux dispatch function
+ */
+async function scheduleWakeUp(dispatch) {
+  if (wakeUpTimer) {
+    clearTimeout(wakeUpTimer);
+    wakeUpTimer = null;
+  }
+
+  // Only future attempts count: a never-tried op held behind a backed-off one is
+  // due already, and must not stop the timer for the op it is waiting on
+  const nextAttemptAt = await cacheManager.getNextSyncAttemptTime();
+  if (!nextAttemptAt) return;
 
+  wakeUpTimer = setTimeout(() => {
+    wakeUpTimer = null;
+    processSyncQueue(dispatch);
+  }, Math.max(0, nextAttemptAt - Date.now()));
+}
 
 /**
- * Process all pending items in the sync queue.
+ * Give up on an operation and notify its handler.
+ */
+async function deadLetter(op, data, handler, error, dispatch) {
+  await cacheManager.markSyncDeadLettered(op.id, error?.message || 'Processing error');
+  if (handler?.onDeadLetter && data) {
+    try {
+      await handler.onDeadLetter(data, op, { dispatch, error });
+    } catch (e) {
+      // Non-critical — the operation is already dead-lettered
+    }
+  }
+}
+
+/**
+ * Process all due items in the sync queue.
  * @param {Function} dispatch - Redux dispatch function
  */
 export async function processSyncQueue(dispatch) {
   if (isProcessing) {
-    return;
-  }
-  if (!isSocketConnected()) {
+    // Pick up operations queued after the current pass read the queue
+    rerunRequested = true;
     return;
   }
 
   isProcessing = true;
+  rerunRequested = false;
 
   try {
     const pendingOps = await cacheManager.getPendingSyncOperations();
@@ -33,58 +179,73 @@ export async function processSyncQueue(dispatch) {
       return;
     }
 
+    // Chats with an earlier operation that hasn't gone through in this pass
+    const blockedChats = new Set();
+    const holdBack = (op) => {
+      if (op.chat_id) blockedChats.add(op.chat_id);
+    };
+    // Transports ('socket' / 'http') a handler reported as unavailable in this pass
+    const unavailableTransports = new Set();
+
     for (const op of pendingOps) {
-      // Stop if socket disconnects mid-processing
-      if (!isSocketConnected()) {
-        break;
+      if (op.chat_id && blockedChats.has(op.chat_id)) {
+        continue;
       }
 
+      if (op.next_attempt_at && op.next_attempt_at > Date.now()) {
+        holdBack(op);
+        continue;
+      }
+
+      const handler = handlers.get(op.operation);
+      let data = null;
+
       try {
-        const data = JSON.parse(op.data);
-
-        if (op.operation === 'sendMessage') {
-          // await ensures we wait for server ack (or timeout) before next message
-          const sent = await sendMessageViaSocketAsync(data.socketData);
-
-          if (sent) {
-            await cacheManager.markSyncCompleted(op.id);
-            // Update the optimistic message status from 'queued' back to 'pending'
-            // Socket handlers will update to 'sent' when server confirms
-            if (dispatch && data.chatId && data.tempId) {
-              dispatch(updateQueuedMessageStatus({
-                chatId: data.chatId,
-                tempId: data.tempId,
-                status: 'pending',
-              }));
-            }
-          } else {
-            await cacheManager.markSyncFailed(op.id, 'Socket not connected');
-          }
-        } else if (op.operation === 'sendTemplate') {
-          // await ensures we wait for server ack (or timeout) before next template
-          const sent = await sendTemplateViaSocketAsync(data.socketData);
-
-          if (sent) {
-            await cacheManager.markSyncCompleted(op.id);
-            if (dispatch && data.chatId && data.tempId) {
-              dispatch(updateQueuedMessageStatus({
-                chatId: data.chatId,
-                tempId: data.tempId,
-                status: 'pending',
-              }));
-            }
-          } else {
-            await cacheManager.markSyncFailed(op.id, 'Socket not connected');
-          }
+        data = JSON.parse(op.data);
+
+        if (!handler) {
+          await deadLetter(op, data, null, new Error(`No sync handler for "${op.operation}"`), dispatch);
+          continue;
         }
-        // Future: handle other operation types (update, delete)
 
+        const transport = handler.requiresSocket ? 'socket' : 'http';
+        if (unavailableTransports.has(transport) || (handler.requiresSocket && !isSocketConnected())) {
+          holdBack(op);
+          continue;
+        }
+
+        const result = await handler.execute(data, op, { dispatch });
+
+        if (result === false) {
+          // Transport unavailable — leave untouched, retry on next trigger
+          unavailableTransports.add(transport);
+          holdBack(op);
+          continue;
+        }
+
+        await cacheManager.markSyncCompleted(op.id);
+        if (handler.onSuccess) {
+          try {
+            await handler.onSuccess(data, op, { dispatch, result });
+          } catch (e) {
+            // Non-critical — the operation itself went through
+          }
+        }
       } catch (opError) {
-        await cacheManager.markSyncFailed(op.id, opError.message || 'Processing error');
+        if (opError?.permanent || !data || op.retry_count + 1 >= op.max_retries) {
+          await deadLetter(op, data, handler, opError, dispatch);
+        } else {
+          await cacheManager.markSyncFailed(
+            op.id,
+            opError?.message || 'Processing error',
+            Date.now() + computeRetryDelay(op.retry_count)
+          );
+          holdBack(op);
+        }
       }
     }
 
-    // Cleanup completed and old failed operations
+    // Cleanup completed and old dead-lettered operations
     try {
       await cacheManager.cleanupSyncQueue();
     } catch (cleanupError) {
@@ -95,4 +256,15 @@ export async function processSyncQueue(dispatch) {
   } finally {
     isProcessing = false;
   }
+
+  if (rerunRequested) {
+    processSyncQueue(dispatch);
+    return;
+  }
+
+  try {
+    await scheduleWakeUp(dispatch);
+  } catch (e) {
+    // Non-critical — next reconnect/foreground will trigger processing
+  }
 }
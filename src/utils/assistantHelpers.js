@@ -0,0 +1,138 @@
+/**
+ * Assistant Helpers - AI assistant options, validation and list/stats updates
+ * Assistant lists are cached per status filter ('assistants', 'assistants_active',
+ * 'assistants_inactive') next to an 'assistantStats' blob. The update helpers
+ * here are shared by the cache and the AI Assistant screen so both apply a
+ * create, edit, status change or delete the same way.
+ */
+
+export const ASSISTANT_STATUS = {
+  ACTIVE: 'active',
+  INACTIVE: 'inactive',
+};
+
+export const ASSISTANT_LIST_STATUSES = ['all', ASSISTANT_STATUS.ACTIVE, ASSISTANT_STATUS.INACTIVE];
+
+export const MAX_ASSISTANT_NAME_LENGTH = 50;
+
+export const TEMPERATURE_RANGE = { min: 0, max: 1, step: 0.1, default: 0.7 };
+
+// Providers and the models offered for each when editing an assistant
+export const ASSISTANT_PROVIDERS = [
+  {
+    value: 'openai',
+    label: 'OpenAI',
+    models: ['gpt-4o', 'gpt-4o-mini', 'gpt-4-turbo', 'gpt-4', 'gpt-3.5-turbo'],
+  },
+  {
+    value: 'anthropic',
+    label: 'Anthropic',
+    models: ['claude-3-5-sonnet', 'claude-3-5-haiku', 'claude-3-opus'],
+  },
+  {
+    value: 'google',
+    label: 'Google',
+    models: ['gemini-1.5-pro', 'gemini-1.5-flash'],
+  },
+];
+
+/**
+ * Cache key for a status-filtered assistant list
+ * @param {string} [status='all'] - 'all' | 'active' | 'inactive'
+ * @returns {string}
+ */
+export const getAssistantsCacheKey = (status = 'all') => (status === 'all' ? 'assistants' : `assistants_${status}`);
+
+/**
+ * Provider option matching an assistant's modelProvider ('OpenAI', 'openai', ...)
+ * @param {string} provider - Provider name
+ * @returns {Object|null}
+ */
+export const findProvider = (provider) => {
+  if (!provider) return null;
+  const lower = provider.toLowerCase();
+  return ASSISTANT_PROVIDERS.find((option) => lower.includes(option.value)) || null;
+};
+
+/**
+ * System instructions of an assistant, and the field they are stored in
+ * @param {Object} assistant - Assistant object
+ * @returns {{ field: string, value: string }}
+ */
+export const getAssistantInstructions = (assistant) => {
+  const field = assistant && 'instructionlist' in assistant && !assistant.systemPrompt ? 'instructionlist' : 'systemPrompt';
+  return { field, value: assistant?.[field] || '' };
+};
+
+/**
+ * Validate an assistant name
+ * @param {string} name - Proposed name
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateAssistantName = (name) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'Assistant name is required';
+  if (trimmed.length > MAX_ASSISTANT_NAME_LENGTH) return `Name must be ${MAX_ASSISTANT_NAME_LENGTH} characters or less`;
+  return null;
+};
+
+/**
+ * Apply a change to an assistant list filtered by status.
+ * `previous` null means the assistant was created, `next` null that it was deleted.
+ * @param {Array} list - Assistants in the list
+ * @param {Object|null} previous - Assistant before the change
+ * @param {Object|null} next - Assistant after the change
+ * @param {string} [listStatus='all'] - Status filter of the list
+ * @returns {{ assistants: Array, delta: number }} Updated list and change in its total
+ */
+export const applyAssistantChange = (list, previous, next, listStatus = 'all') => {
+  const belongs = (assistant) => !!assistant && (listStatus === 'all' || assistant.status === listStatus);
+  const id = (next || previous)?._id;
+  const current = list || [];
+
+  if (!belongs(previous) && belongs(next)) {
+    return { assistants: [next, ...current.filter((item) => item._id !== id)], delta: 1 };
+  }
+  if (belongs(previous) && !belongs(next)) {
+    return { assistants: current.filter((item) => item._id !== id), delta: -1 };
+  }
+  if (belongs(next)) {
+    return { assistants: current.map((item) => (item._id === id ? next : item)), delta: 0 };
+  }
+  return { assistants: current, delta: 0 };
+};
+
+/**
+ * Apply a change to the assistant stats ({ total, active, inactive })
+ * @param {Object} stats - Current stats
+ * @param {Object|null} previous - Assistant before the change
+ * @param {Object|null} next - Assistant after the change
+ * @returns {Object} Updated stats
+ */
+export const adjustAssistantStats = (stats, previous, next) => {
+  const updated = { total: 0, active: 0, inactive: 0, ...(stats || {}) };
+  const shift = (assistant, delta) => {
+    if (!assistant) return;
+    updated.total = Math.max(0, updated.total + delta);
+    if (assistant.status in updated) {
+      updated[assistant.status] = Math.max(0, updated[assistant.status] + delta);
+    }
+  };
+  shift(previous, -1);
+  shift(next, 1);
+  return updated;
+};
+
+export default {
+  ASSISTANT_STATUS,
+  ASSISTANT_LIST_STATUSES,
+  MAX_ASSISTANT_NAME_LENGTH,
+  TEMPERATURE_RANGE,
+  ASSISTANT_PROVIDERS,
+  getAssistantsCacheKey,
+  findProvider,
+  getAssistantInstructions,
+  validateAssistantName,
+  applyAssistantChange,
+  adjustAssistantStats,
+};
@@ -272,6 +272,8 @@ export async function callApi(url, method, data = {}, customHeaders = {}) {
       success: false,
       error: errorMessage,
       message: errorMessage,
+      // No response at all — device offline or server unreachable
+      isNetworkError: !error.response,
     };
   }
 }
@@ -0,0 +1,260 @@
+/**
+ * Broadcast Helpers - Template variable mapping and delivery reports for broadcasts
+ * Each {{n}} in a template is filled per recipient from a contact field,
+ * a custom attribute, or a static value.
+ */
+
+import { VARIABLE_REGEX, extractVariables } from './templateHelpers';
+
+export const VARIABLE_SOURCES = {
+  FIELD: 'field',
+  ATTRIBUTE: 'attribute',
+  STATIC: 'static',
+};
+
+export const CONTACT_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'mobile', label: 'Phone number' },
+  { key: 'email', label: 'Email' },
+];
+
+// Fields every contact has — no fallback needed
+const ALWAYS_PRESENT_FIELDS = ['mobile'];
+
+const getComponent = (template, type) =>
+  template?.components?.find((c) => c.type?.toUpperCase() === type);
+
+/**
+ * List the variables a template needs, header first then body
+ * @param {Object} template - Meta-format template
+ * @returns {Array<{key: string, component: string, number: number, example: string}>}
+ */
+export const getTemplateVariables = (template) => {
+  const variables = [];
+
+  const header = getComponent(template, 'HEADER');
+  if (header?.format?.toUpperCase() === 'TEXT') {
+    extractVariables(header.text).forEach((number) => {
+      variables.push({
+        key: `header_${number}`,
+        component: 'header',
+        number,
+        example: header.example?.header_text?.[number - 1] || '',
+      });
+    });
+  }
+
+  const body = getComponent(template, 'BODY');
+  const bodyNumbers = extractVariables(body?.text).sort((a, b) => a - b);
+  bodyNumbers.forEach((number) => {
+    variables.push({
+      key: `body_${number}`,
+      component: 'body',
+      number,
+      example: body.example?.body_text?.[0]?.[number - 1] || '',
+    });
+  });
+
+  return variables;
+};
+
+/**
+ * Header media format of a template, if it needs a file
+ * @param {Object} template - Meta-format template
+ * @returns {string|null} 'IMAGE' | 'VIDEO' | 'DOCUMENT' | null
+ */
+export const getTemplateMediaFormat = (template) => {
+  const format = getComponent(template, 'HEADER')?.format?.toUpperCase();
+  return ['IMAGE', 'VIDEO', 'DOCUMENT'].includes(format) ? format : null;
+};
+
+/**
+ * Default mapping for a variable: {{1}} in the body is usually the name
+ * @param {Object} variable - From getTemplateVariables
+ * @returns {Object} { source, value, fallback }
+ */
+export const getDefaultMapping = (variable) => (
+  variable.component === 'body' && variable.number === 1
+    ? { source: VARIABLE_SOURCES.FIELD, value: 'name', fallback: 'there' }
+    : { source: VARIABLE_SOURCES.STATIC, value: variable.example || '', fallback: '' }
+);
+
+/**
+ * Check that every variable has a usable mapping
+ * @param {Array} variables - From getTemplateVariables
+ * @param {Object} mappings - { [variable.key]: { source, value, fallback } }
+ * @returns {Object} Errors keyed by variable key; empty when valid
+ */
+export const validateMappings = (variables, mappings) => {
+  const errors = {};
+  variables.forEach((variable) => {
+    const mapping = mappings[variable.key];
+    if (!mapping || !mapping.value?.trim()) {
+      errors[variable.key] = mapping?.source === VARIABLE_SOURCES.STATIC
+        ? 'Enter a value'
+        : 'Choose what to fill this with';
+      return;
+    }
+    const needsFallback = mapping.source === VARIABLE_SOURCES.ATTRIBUTE ||
+      (mapping.source === VARIABLE_SOURCES.FIELD && !ALWAYS_PRESENT_FIELDS.includes(mapping.value));
+    if (needsFallback && !mapping.fallback?.trim()) {
+      errors[variable.key] = 'Add a fallback for contacts without this value';
+    }
+  });
+  return errors;
+};
+
+const getAttributeValue = (contact, name) => {
+  const attributes = contact?.attributes || contact?.customAttributes || [];
+  if (Array.isArray(attributes)) {
+    return attributes.find((attribute) => attribute?.name === name)?.value;
+  }
+  return attributes?.[name];
+};
+
+/**
+ * Resolve one variable for a contact, as the server will when sending
+ * @param {Object} mapping - { source, value, fallback }
+ * @param {Object} contact - Contact object (may be null for a generic preview)
+ * @returns {string}
+ */
+export const resolveMapping = (mapping, contact) => {
+  if (!mapping) return '';
+  if (mapping.source === VARIABLE_SOURCES.STATIC) return mapping.value || '';
+
+  const raw = mapping.source === VARIABLE_SOURCES.FIELD
+    ? contact?.[mapping.value]
+    : getAttributeValue(contact, mapping.value);
+  const value = raw !== undefined && raw !== null ? String(raw).trim() : '';
+  return value || mapping.fallback || '';
+};
+
+/**
+ * Position-keyed params for MessagePreviewBubble (it substitutes by occurrence order)
+ * @param {string} text - Component text with {{n}} placeholders
+ * @param {string} component - 'header' | 'body'
+ * @param {Object} mappings - Variable mappings
+ * @param {Object} contact - Sample contact
+ * @returns {Object} { [occurrenceIndex]: value }
+ */
+export const buildPreviewParams = (text, component, mappings, contact) => {
+  const params = {};
+  [...(text || '').matchAll(VARIABLE_REGEX)].forEach((match, index) => {
+    const value = resolveMapping(mappings[`${component}_${match[1]}`], contact);
+    if (value) params[index] = value;
+  });
+  return params;
+};
+
+/**
+ * Serialize mappings for the broadcast request, ordered by variable number
+ * @param {Array} variables - From getTemplateVariables
+ * @param {Object} mappings - Variable mappings
+ * @returns {{ headerParams: Array, bodyParams: Array }}
+ */
+export const serializeMappings = (variables, mappings) => {
+  const toParam = (variable) => {
+    const mapping = mappings[variable.key];
+    return {
+      variable: variable.number,
+      type: mapping.source,
+      value: mapping.value.trim(),
+      ...(mapping.source !== VARIABLE_SOURCES.STATIC && { fallback: (mapping.fallback || '').trim() }),
+    };
+  };
+  return {
+    headerParams: variables.filter((v) => v.component === 'header').map(toParam),
+    bodyParams: variables.filter((v) => v.component === 'body').map(toParam),
+  };
+};
+
+/**
+ * Format a time in the account's time zone ("Tue 21 Oct, 9:00 AM")
+ * @param {number} time - Timestamp (ms)
+ * @param {string} timeZone - IANA time zone (e.g. 'Asia/Kolkata')
+ * @returns {string|null} null when the zone is missing or unknown to the device
+ */
+export const formatInTimeZone = (time, timeZone) => {
+  if (!timeZone) return null;
+  try {
+    return new Date(time).toLocaleString('en-US', {
+      timeZone,
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+  } catch (e) {
+    return null;
+  }
+};
+
+// Delivery statuses in funnel order — a recipient at a later stage passed the earlier ones
+export const RECIPIENT_STATUSES = ['sent', 'delivered', 'read', 'failed'];
+
+const toTime = (value) => (value ? new Date(value).getTime() || null : null);
+
+/**
+ * Normalize a recipient row from the broadcast report API
+ * @param {Object} row - Raw recipient row
+ * @returns {Object} { id, name, mobile, status, failureReason, sentAt, deliveredAt, readAt, failedAt }
+ */
+export const normalizeRecipient = (row) => {
+  const status = (row.status || row.messageStatus || '').toLowerCase();
+  return {
+    id: row._id || row.id || row.mobile,
+    name: row.name || row.contactName || row.contact?.name || '',
+    mobile: row.mobile || row.phoneNumber || row.contact?.mobile || '',
+    status: RECIPIENT_STATUSES.includes(status) ? status : 'pending',
+    failureReason: row.failureReason || row.errorMessage || row.error?.message || row.reason || '',
+    sentAt: toTime(row.sentAt),
+    deliveredAt: toTime(row.deliveredAt),
+    readAt: toTime(row.readAt),
+    failedAt: toTime(row.failedAt),
+  };
+};
+
+/**
+ * Cumulative delivery funnel for a broadcast
+ * Counted from recipient rows when available, otherwise from the broadcast's own counters.
+ * @param {Object} broadcast - Broadcast summary
+ * @param {Array} recipients - Normalized recipients
+ * @returns {{ total: number, sent: number, delivered: number, read: number, failed: number }}
+ */
+export const getDeliveryFunnel = (broadcast, recipients = []) => {
+  if (recipients.length > 0) {
+    const counts = { sent: 0, delivered: 0, read: 0, failed: 0 };
+    recipients.forEach((recipient) => {
+      if (recipient.status === 'failed') counts.failed += 1;
+      if (['sent', 'delivered', 'read'].includes(recipient.status)) counts.sent += 1;
+      if (['delivered', 'read'].includes(recipient.status)) counts.delivered += 1;
+      if (recipient.status === 'read') counts.read += 1;
+    });
+    return { total: recipients.length, ...counts };
+  }
+
+  return {
+    total: broadcast?.totalRecipients || 0,
+    sent: broadcast?.sentCount || 0,
+    delivered: broadcast?.deliveredCount || 0,
+    read: broadcast?.readCount || 0,
+    failed: broadcast?.failedCount || 0,
+  };
+};
+
+export default {
+  VARIABLE_SOURCES,
+  CONTACT_FIELDS,
+  getTemplateVariables,
+  getTemplateMediaFormat,
+  getDefaultMapping,
+  validateMappings,
+  resolveMapping,
+  buildPreviewParams,
+  serializeMappings,
+  formatInTimeZone,
+  RECIPIENT_STATUSES,
+  normalizeRecipient,
+  getDeliveryFunnel,
+};
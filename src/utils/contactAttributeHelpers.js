@@ -0,0 +1,186 @@
+/**
+ * Contact Attribute Helpers - Typed custom contact fields (settings.userAttributes)
+ * Definitions are { _id, name, key, description, type, options }. Contacts
+ * store values as strings in contact.attributes [{ name, value }]:
+ * numbers as digits, dates as "YYYY-MM-DD", booleans as "true" / "false".
+ * Definitions created before types existed have no type and act as text.
+ */
+
+import { format, isValid, parse } from 'date-fns';
+
+export const ATTRIBUTE_TYPES = {
+  text: { label: 'Text', icon: 'text-short', keyboardType: 'default' },
+  number: { label: 'Number', icon: 'numeric', keyboardType: 'numeric' },
+  date: { label: 'Date', icon: 'calendar-outline', keyboardType: 'numbers-and-punctuation' },
+  dropdown: { label: 'Dropdown', icon: 'form-dropdown', keyboardType: 'default' },
+  boolean: { label: 'Yes / No', icon: 'toggle-switch-outline', keyboardType: 'default' },
+  url: { label: 'URL', icon: 'link-variant', keyboardType: 'url' },
+};
+
+export const DATE_VALUE_FORMAT = 'yyyy-MM-dd';
+
+// Prefix of import field / export column keys that hold a custom attribute ('attr:<name>')
+export const ATTRIBUTE_KEY_PREFIX = 'attr:';
+
+const URL_PATTERN = /^https?:\/\/[^\s/$.?#][^\s]*\.[^\s]+$/i;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Type of an attribute definition, 'text' when missing or unknown
+ * @param {Object} attribute - Attribute definition
+ * @returns {string}
+ */
+export const getAttributeType = (attribute) =>
+  (ATTRIBUTE_TYPES[attribute?.type] ? attribute.type : 'text');
+
+/**
+ * Display config of an attribute's type
+ * @param {Object} attribute - Attribute definition
+ * @returns {{ label: string, icon: string, keyboardType: string }}
+ */
+export const getAttributeTypeConfig = (attribute) => ATTRIBUTE_TYPES[getAttributeType(attribute)];
+
+/**
+ * Dropdown options of an attribute (trimmed, empty ones dropped)
+ * @param {Object} attribute - Attribute definition
+ * @returns {Array<string>}
+ */
+export const getAttributeOptions = (attribute) =>
+  (Array.isArray(attribute?.options) ? attribute.options : [])
+    .map((option) => String(option ?? '').trim())
+    .filter(Boolean);
+
+const parseDateValue = (value) => {
+  const date = parse(value, DATE_VALUE_FORMAT, new Date());
+  // parse() accepts "2024-2-30"-style overflow — round-trip to reject it
+  return isValid(date) && format(date, DATE_VALUE_FORMAT) === value ? date : null;
+};
+
+/**
+ * Validate a contact's value for an attribute. Empty values are always allowed.
+ * @param {Object} attribute - Attribute definition
+ * @param {string} value - Value as entered
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateAttributeValue = (attribute, value) => {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  switch (getAttributeType(attribute)) {
+    case 'number':
+      return NUMBER_PATTERN.test(text) ? null : 'Enter a valid number';
+    case 'date':
+      return parseDateValue(text) ? null : 'Use the format YYYY-MM-DD';
+    case 'url':
+      return URL_PATTERN.test(text) ? null : 'Enter a URL starting with http:// or https://';
+    case 'boolean':
+      return text === 'true' || text === 'false' ? null : 'Choose Yes or No';
+    case 'dropdown':
+      return getAttributeOptions(attribute).includes(text) ? null : 'Choose one of the options';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Human-readable value for display
+ * @param {Object} attribute - Attribute definition
+ * @param {string} value - Stored value
+ * @returns {string} Empty string when there is no value
+ */
+export const formatAttributeValue = (attribute, value) => {
+  const text = String(value ?? '').trim();
+  if (!text) return '';
+
+  switch (getAttributeType(attribute)) {
+    case 'boolean':
+      if (text === 'true') return 'Yes';
+      if (text === 'false') return 'No';
+      return text;
+    case 'date': {
+      const date = parseDateValue(text);
+      return date ? format(date, 'd MMM yyyy') : text;
+    }
+    default:
+      return text;
+  }
+};
+
+/**
+ * Validate an attribute definition before it is saved
+ * @param {Object} definition - { _id?, name, type, options }
+ * @param {Array} existing - All current definitions
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateAttributeDefinition = (definition, existing = []) => {
+  const name = (definition.name || '').trim();
+  if (!name) return 'Enter a field name';
+
+  const isDuplicate = existing.some(
+    (attribute) => attribute._id !== definition._id && (attribute.name || '').trim().toLowerCase() === name.toLowerCase()
+  );
+  if (isDuplicate) return 'A field with this name already exists';
+
+  if (getAttributeType(definition) === 'dropdown') {
+    const options = getAttributeOptions(definition);
+    if (options.length === 0) return 'Add at least one option';
+    const unique = new Set(options.map((option) => option.toLowerCase()));
+    if (unique.size !== options.length) return 'Options must be unique';
+  }
+  return null;
+};
+
+/**
+ * A contact's value for an attribute
+ * @param {Object} contact - Contact with attributes [{ name, value }]
+ * @param {string} name - Attribute name
+ * @returns {string}
+ */
+export const getContactAttributeValue = (contact, name) => {
+  const attributes = Array.isArray(contact?.attributes) ? contact.attributes : [];
+  const match = attributes.find((attribute) => attribute?.name === name);
+  return String(match?.value ?? '').trim();
+};
+
+/**
+ * Whether a contact matches an attribute filter.
+ * An empty filter value matches any contact that has a value set; otherwise
+ * text and URL fields match on "contains", every other type on equality.
+ * @param {Object} contact - Contact
+ * @param {Object} filter - { attribute, value }
+ * @returns {boolean}
+ */
+export const matchesAttributeFilter = (contact, filter) => {
+  if (!filter?.attribute) return true;
+
+  const contactValue = getContactAttributeValue(contact, filter.attribute.name);
+  const filterValue = String(filter.value ?? '').trim();
+  if (!filterValue) return contactValue.length > 0;
+  if (!contactValue) return false;
+
+  switch (getAttributeType(filter.attribute)) {
+    case 'text':
+    case 'url':
+      return contactValue.toLowerCase().includes(filterValue.toLowerCase());
+    case 'number':
+      return Number(contactValue) === Number(filterValue);
+    case 'dropdown':
+      return contactValue.toLowerCase() === filterValue.toLowerCase();
+    default:
+      return contactValue === filterValue;
+  }
+};
+
+export default {
+  ATTRIBUTE_TYPES,
+  DATE_VALUE_FORMAT,
+  ATTRIBUTE_KEY_PREFIX,
+  getAttributeType,
+  getAttributeTypeConfig,
+  getAttributeOptions,
+  validateAttributeValue,
+  formatAttributeValue,
+  validateAttributeDefinition,
+  getContactAttributeValue,
+  matchesAttributeFilter,
+};
@@ -0,0 +1,96 @@
+/**
+ * Contact Export Helpers - Columns and rows for contact CSV exports
+ * Standard columns come first, then one column per custom attribute
+ * (keyed 'attr:<name>'), formatted with the attribute's type.
+ */
+
+import { format } from 'date-fns';
+import { getOptInStatusLabel } from './optInHelpers';
+import { ATTRIBUTE_KEY_PREFIX, formatAttributeValue, getContactAttributeValue } from './contactAttributeHelpers';
+
+export const STANDARD_EXPORT_COLUMNS = [
+  { key: 'name', label: 'Name' },
+  { key: 'mobile', label: 'Phone Number' },
+  { key: 'email', label: 'Email' },
+  { key: 'listName', label: 'List' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'optIn', label: 'Opt-In Status' },
+  { key: 'createdAt', label: 'Created At' },
+];
+
+// Selected when the export sheet opens
+export const DEFAULT_EXPORT_COLUMN_KEYS = ['name', 'mobile', 'email', 'tags'];
+
+/**
+ * All columns available for export
+ * @param {Array} attributes - Custom attribute definitions
+ * @returns {Array<{key: string, label: string, attribute?: Object}>}
+ */
+export const getExportColumns = (attributes = []) => [
+  ...STANDARD_EXPORT_COLUMNS,
+  ...attributes
+    .filter((attribute) => attribute?.name)
+    .map((attribute) => ({
+      key: `${ATTRIBUTE_KEY_PREFIX}${attribute.name}`,
+      label: attribute.name,
+      attribute,
+    })),
+];
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : format(date, 'yyyy-MM-dd HH:mm');
+};
+
+const formatPhone = (contact) => {
+  const mobile = String(contact.mobile || contact.phoneNumber || contact.phone || '').replace(/\D/g, '');
+  return mobile ? `+${mobile}` : '';
+};
+
+/**
+ * Build a CSV row for a contact, keyed by column key
+ * @param {Object} contact - Contact from the API or cache
+ * @param {Array} columns - Columns from getExportColumns
+ * @returns {Object}
+ */
+export const toExportRow = (contact, columns) => {
+  const row = {};
+  columns.forEach((column) => {
+    if (column.attribute) {
+      const value = getContactAttributeValue(contact, column.attribute.name);
+      row[column.key] = formatAttributeValue(column.attribute, value);
+      return;
+    }
+    switch (column.key) {
+      case 'mobile':
+        row.mobile = formatPhone(contact);
+        break;
+      case 'listName':
+        row.listName = contact.listName || contact.listname || contact.list_name || '';
+        break;
+      case 'tags':
+        row.tags = (Array.isArray(contact.tags) ? contact.tags : [])
+          .map((tag) => (typeof tag === 'string' ? tag : tag?.name))
+          .filter(Boolean)
+          .join(', ');
+        break;
+      case 'optIn':
+        row.optIn = getOptInStatusLabel(contact.optIn?.status ?? contact.optin);
+        break;
+      case 'createdAt':
+        row.createdAt = formatDate(contact.createdAt);
+        break;
+      default:
+        row[column.key] = contact[column.key] || '';
+    }
+  });
+  return row;
+};
+
+export default {
+  STANDARD_EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMN_KEYS,
+  getExportColumns,
+  toExportRow,
+};
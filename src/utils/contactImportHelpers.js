@@ -0,0 +1,278 @@
+/**
+ * Contact Import Helpers - Turn picked CSV / vCard files into contacts to create
+ * Rows are mapped column by column onto contact fields, phone numbers are
+ * normalised to country code + national number with the data/countries.js
+ * dial codes, and each row is checked against the file and the cached contacts.
+ */
+
+import { countries } from '../data/countries';
+import { ATTRIBUTE_KEY_PREFIX, validateAttributeValue } from './contactAttributeHelpers';
+
+export const IMPORT_FIELDS = {
+  skip: { label: "Don't import", icon: 'close-circle-outline' },
+  name: { label: 'Name', icon: 'account-outline' },
+  phone: { label: 'Phone number', icon: 'phone-outline' },
+  email: { label: 'Email', icon: 'email-outline' },
+  tags: { label: 'Tags', icon: 'tag-outline' },
+};
+
+export const IMPORT_ROW_STATUS = {
+  READY: 'ready',
+  EXISTING: 'existing',
+  DUPLICATE: 'duplicate',
+  INVALID: 'invalid',
+};
+
+const MIN_NATIONAL_LENGTH = 6;
+const MAX_PHONE_LENGTH = 15;
+
+// Dial codes as digits ("1-268" → "1268"), longest first so the most specific code wins
+const DIAL_CODES = [...new Set(countries.map((country) => country.phone.replace(/\D/g, '')))]
+  .filter(Boolean)
+  .sort((a, b) => b.length - a.length);
+
+// First match wins — "Contact Name" is a name, "Phone Number" a phone
+const HEADER_GUESSES = [
+  { field: 'name', pattern: /name/i },
+  { field: 'email', pattern: /e-?mail/i },
+  { field: 'phone', pattern: /phone|mobile|whatsapp|number|tel|cell/i },
+  { field: 'tags', pattern: /tag|label|categor/i },
+];
+
+/**
+ * Field a column maps to by default, from its header
+ * @param {string} header - Column header
+ * @param {Array} attributes - Custom attribute definitions
+ * @returns {string} Field key, 'attr:<name>' for custom attributes
+ */
+export const guessFieldForHeader = (header, attributes = []) => {
+  const text = (header || '').trim();
+  const attribute = attributes.find(
+    (definition) => (definition.name || '').trim().toLowerCase() === text.toLowerCase()
+  );
+  if (attribute) return `${ATTRIBUTE_KEY_PREFIX}${attribute.name}`;
+  return HEADER_GUESSES.find((guess) => guess.pattern.test(text))?.field || 'skip';
+};
+
+/**
+ * Default column mapping — each contact field is used by at most one column
+ * @param {Array<string>} headers - Column headers
+ * @param {Array} attributes - Custom attribute definitions
+ * @returns {Array<string>} Field key per column
+ */
+export const buildDefaultMapping = (headers, attributes = []) => {
+  const used = new Set();
+  return headers.map((header) => {
+    const field = guessFieldForHeader(header, attributes);
+    if (field === 'skip' || used.has(field)) return 'skip';
+    used.add(field);
+    return field;
+  });
+};
+
+/**
+ * Normalise a phone number to country code + national number.
+ * Numbers written with "+" or "00" keep their own dial code; anything else
+ * gets the default country's code, after dropping a leading trunk "0".
+ * @param {string} raw - Phone number as written in the file
+ * @param {Object} defaultCountry - Country from data/countries.js
+ * @returns {{ mobile: string, countryCode: string, phoneNumber: string }|{ error: string }}
+ */
+export const normalizePhoneNumber = (raw, defaultCountry) => {
+  const text = String(raw ?? '').trim();
+  if (!text) return { error: 'Phone number is missing' };
+
+  const hasPlus = text.startsWith('+');
+  let digits = text.replace(/\D/g, '');
+  if (!digits) return { error: 'Phone number has no digits' };
+
+  let countryCode = null;
+  if (hasPlus || digits.startsWith('00')) {
+    if (!hasPlus) digits = digits.slice(2);
+    countryCode = DIAL_CODES.find((code) => digits.startsWith(code)) || null;
+    if (!countryCode) return { error: 'Unknown country code' };
+    digits = digits.slice(countryCode.length);
+  } else {
+    countryCode = (defaultCountry?.phone || '').replace(/\D/g, '');
+    digits = digits.replace(/^0+/, '');
+    // Numbers already starting with the default code (e.g. 919876543210)
+    if (countryCode && digits.length > 10 && digits.startsWith(countryCode)) {
+      digits = digits.slice(countryCode.length);
+    }
+  }
+
+  if (digits.length < MIN_NATIONAL_LENGTH) return { error: 'Phone number is too short' };
+  if (countryCode.length + digits.length > MAX_PHONE_LENGTH) return { error: 'Phone number is too long' };
+
+  return { mobile: `${countryCode}${digits}`, countryCode, phoneNumber: digits };
+};
+
+/**
+ * Unfold vCard lines — continuation lines start with a space or tab
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+const unfoldVCardLines = (text) =>
+  (text || '').replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+const unescapeVCardValue = (value) =>
+  value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+
+/**
+ * Parse vCard text (.vcf, versions 2.1–4.0) into the same shape as parseCsv.
+ * Each card becomes one row with its display name, first phone, first email
+ * and categories (as tags).
+ * @param {string} text - vCard text
+ * @returns {{ headers: Array<string>, rows: Array<Array<string>> }}
+ */
+export const parseVCard = (text) => {
+  const rows = [];
+  let card = null;
+
+  unfoldVCardLines(text).forEach((line) => {
+    const trimmed = line.trim();
+    if (/^BEGIN:VCARD$/i.test(trimmed)) {
+      card = { name: '', structuredName: '', phone: '', email: '', tags: '' };
+      return;
+    }
+    if (/^END:VCARD$/i.test(trimmed)) {
+      if (card) {
+        rows.push([card.name || card.structuredName, card.phone, card.email, card.tags]);
+      }
+      card = null;
+      return;
+    }
+    if (!card) return;
+
+    const separator = trimmed.indexOf(':');
+    if (separator < 0) return;
+    // "item1.TEL;TYPE=CELL" → "TEL"
+    const property = trimmed.slice(0, separator).split(';')[0].split('.').pop().toUpperCase();
+    const value = trimmed.slice(separator + 1);
+
+    switch (property) {
+      case 'FN':
+        card.name = unescapeVCardValue(value);
+        break;
+      case 'N': {
+        // N:Family;Given;Additional;Prefix;Suffix
+        const [family = '', given = ''] = value.split(';');
+        card.structuredName = unescapeVCardValue(`${given} ${family}`);
+        break;
+      }
+      case 'TEL':
+        if (!card.phone) card.phone = value.replace(/^tel:/i, '').trim();
+        break;
+      case 'EMAIL':
+        if (!card.email) card.email = unescapeVCardValue(value);
+        break;
+      case 'CATEGORIES':
+        card.tags = unescapeVCardValue(value);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return { headers: ['Name', 'Phone', 'Email', 'Tags'], rows };
+};
+
+const splitTags = (value) =>
+  String(value || '')
+    .split(/[,;|]/)
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+/**
+ * Build the contacts to import from mapped rows and check each one.
+ * The first row with a number wins; later rows with the same number are
+ * marked duplicates, and numbers already cached are marked existing.
+ * @param {Object} options
+ * @param {Array<Array<string>>} options.rows - Parsed rows
+ * @param {Array<number>} [options.lineNumbers] - File line of each row (from parseCsv)
+ * @param {Array<string>} options.mapping - Field key per column
+ * @param {Array} options.attributes - Custom attribute definitions
+ * @param {Object} options.defaultCountry - Country for numbers without a code
+ * @param {Map<string, Object>} options.existingContacts - Cached contacts by mobile digits
+ * @returns {Array<Object>} One entry per row with status and error
+ */
+export const buildImportRows = ({ rows, lineNumbers, mapping, attributes = [], defaultCountry, existingContacts = new Map() }) => {
+  const seen = new Map();
+
+  return rows.map((cells, index) => {
+    const entry = {
+      rowNumber: lineNumbers?.[index] ?? index + 2, // header is row 1
+      name: '',
+      email: '',
+      tags: [],
+      attributes: [],
+      rawPhone: '',
+    };
+    const attributeValues = {};
+
+    mapping.forEach((field, column) => {
+      const value = (cells[column] || '').trim();
+      if (!value || field === 'skip') return;
+      if (field === 'name') entry.name = value;
+      else if (field === 'phone') entry.rawPhone = value;
+      else if (field === 'email') entry.email = value;
+      else if (field === 'tags') entry.tags = splitTags(value);
+      else if (field.startsWith(ATTRIBUTE_KEY_PREFIX)) {
+        attributeValues[field.slice(ATTRIBUTE_KEY_PREFIX.length)] = value;
+      }
+    });
+
+    const phone = normalizePhoneNumber(entry.rawPhone, defaultCountry);
+    if (phone.error) {
+      return { ...entry, status: IMPORT_ROW_STATUS.INVALID, error: phone.error };
+    }
+    Object.assign(entry, phone);
+
+    for (const definition of attributes) {
+      const value = attributeValues[definition.name];
+      if (value === undefined) continue;
+      const error = validateAttributeValue(definition, value);
+      if (error) {
+        return { ...entry, status: IMPORT_ROW_STATUS.INVALID, error: `${definition.name}: ${error}` };
+      }
+      entry.attributes.push({ name: definition.name, __id: definition.__id || definition._id, value });
+    }
+
+    if (seen.has(entry.mobile)) {
+      return {
+        ...entry,
+        status: IMPORT_ROW_STATUS.DUPLICATE,
+        error: `Same number as row ${seen.get(entry.mobile)}`,
+      };
+    }
+    seen.set(entry.mobile, entry.rowNumber);
+
+    const existing = existingContacts.get(entry.mobile);
+    if (existing) {
+      return { ...entry, status: IMPORT_ROW_STATUS.EXISTING, existingName: existing.name || '' };
+    }
+    return { ...entry, status: IMPORT_ROW_STATUS.READY };
+  });
+};
+
+/**
+ * Count import rows by status
+ * @param {Array<Object>} importRows - From buildImportRows
+ * @returns {{ ready: number, existing: number, duplicate: number, invalid: number }}
+ */
+export const countImportRows = (importRows) =>
+  importRows.reduce(
+    (counts, row) => ({ ...counts, [row.status]: (counts[row.status] || 0) + 1 }),
+    { ready: 0, existing: 0, duplicate: 0, invalid: 0 }
+  );
+
+export default {
+  IMPORT_FIELDS,
+  IMPORT_ROW_STATUS,
+  guessFieldForHeader,
+  buildDefaultMapping,
+  normalizePhoneNumber,
+  parseVCard,
+  buildImportRows,
+  countImportRows,
+};
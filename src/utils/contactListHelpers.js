@@ -0,0 +1,51 @@
+/**
+ * Contact List Helpers - List names and validation
+ * List objects come back as { listName } from the contacts list endpoint but
+ * { listname } from some older responses, so names are always read through
+ * getListName.
+ */
+
+export const MAX_LIST_NAME_LENGTH = 50;
+
+// Built-in filters on ContactsScreen that are not real lists
+const RESERVED_LIST_NAMES = ['all', 'all contacts', 'unassigned'];
+
+/**
+ * Name of a contact list
+ * @param {Object} list - Contact list object
+ * @returns {string}
+ */
+export const getListName = (list) => list?.listName || list?.listname || list?.name || '';
+
+/**
+ * Contact count of a contact list
+ * @param {Object} list - Contact list object
+ * @returns {number}
+ */
+export const getListCount = (list) => list?.count ?? list?.contactsCount ?? 0;
+
+/**
+ * Validate a list name
+ * @param {string} name - Proposed name
+ * @param {Array} lists - Existing lists
+ * @param {string} [currentId] - ID of the list being renamed
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateListName = (name, lists = [], currentId = null) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'List name is required';
+  if (trimmed.length > MAX_LIST_NAME_LENGTH) return `List name must be ${MAX_LIST_NAME_LENGTH} characters or less`;
+  if (RESERVED_LIST_NAMES.includes(trimmed.toLowerCase())) return `"${trimmed}" is reserved`;
+  const duplicate = lists.find(
+    (list) => list._id !== currentId && getListName(list).trim().toLowerCase() === trimmed.toLowerCase()
+  );
+  if (duplicate) return 'A list with this name already exists';
+  return null;
+};
+
+export default {
+  MAX_LIST_NAME_LENGTH,
+  getListName,
+  getListCount,
+  validateListName,
+};
@@ -0,0 +1,115 @@
+/**
+ * Flow Helpers - Flow statuses and API response parsing
+ * The flows endpoints return their lists in several shapes (flows, data.flows,
+ * data, _raw.*), the same way the assistants endpoints do, so parsing lives
+ * here for the slice, the cache thunks and the screens.
+ */
+
+export const FLOW_STATUS = {
+  ACTIVE: 'active',
+  INACTIVE: 'inactive',
+};
+
+export const FLOWS_PAGE_SIZE = 10;
+
+/**
+ * Cache key for a status-filtered page of flows
+ * @param {string} [status='all'] - 'all' | 'active' | 'inactive'
+ * @returns {string}
+ */
+export const getFlowsCacheKey = (status = 'all') => (status && status !== 'all' ? `flows_${status}` : 'flows');
+
+/**
+ * Name of a flow
+ * @param {Object} flow - Flow object
+ * @returns {string}
+ */
+export const getFlowName = (flow) => flow?.name || flow?.flowName || 'Untitled Flow';
+
+/**
+ * Whether a flow is active
+ * @param {Object} flow - Flow object
+ * @returns {boolean}
+ */
+export const isFlowActive = (flow) => (
+  flow?.status === FLOW_STATUS.ACTIVE || flow?.status === true || flow?.isActive === true
+);
+
+/**
+ * Trigger keywords of a flow
+ * @param {Object} flow - Flow object
+ * @returns {Array<string>}
+ */
+export const getFlowTriggers = (flow) => {
+  const triggers = flow?.triggerKeywords || flow?.keywords || flow?.triggers || [];
+  return Array.isArray(triggers)
+    ? triggers.map((trigger) => (typeof trigger === 'string' ? trigger : trigger?.keyword || trigger?.name)).filter(Boolean)
+    : [];
+};
+
+// First array found at `key`, data.`key`, data or the payload itself (plain or _raw)
+const findList = (payload, key) => {
+  const raw = payload?._raw || {};
+  const candidates = [
+    payload?.[key], raw?.[key],
+    payload?.data?.[key], raw?.data?.[key],
+    payload?.data, raw?.data,
+    payload,
+  ];
+  return candidates.find((candidate) => Array.isArray(candidate)) || [];
+};
+
+const findTotal = (payload, fallback) => {
+  const raw = payload?._raw || {};
+  return payload?.pagination?.totalItems
+    || raw?.pagination?.totalItems
+    || payload?.data?.pagination?.totalItems
+    || fallback;
+};
+
+/**
+ * Parse a flows list response
+ * @param {Object} response - API response
+ * @returns {{ flows: Array, totalResults: number }}
+ */
+export const parseFlowsResponse = (response) => {
+  const flows = findList(response, 'flows');
+  return { flows, totalResults: findTotal(response, flows.length) };
+};
+
+/**
+ * Parse a flow history (executions) response
+ * @param {Object} response - API response
+ * @returns {{ history: Array, totalResults: number }}
+ */
+export const parseFlowHistoryResponse = (response) => {
+  let history = findList(response, 'history');
+  if (history.length === 0) history = findList(response, 'executions');
+  return { history, totalResults: findTotal(response, history.length) };
+};
+
+/**
+ * Parse a flow stats response
+ * @param {Object} response - API response
+ * @returns {{ total: number, active: number, inactive: number }}
+ */
+export const parseFlowStats = (response) => {
+  const data = response?.data || response || {};
+  return {
+    total: data.total ?? data.totalFlows ?? 0,
+    active: data.active ?? data.activeFlows ?? 0,
+    inactive: data.inactive ?? data.inactiveFlows ?? 0,
+  };
+};
+
+export default {
+  FLOW_STATUS,
+  FLOWS_PAGE_SIZE,
+  getFlowsCacheKey,
+  getFlowName,
+  isFlowActive,
+  getFlowTriggers,
+  parseFlowsResponse,
+  parseFlowHistoryResponse,
+  parseFlowStats,
+};
@@ -0,0 +1,228 @@
+/**
+ * Folder Tree Helpers - Dashboard folder hierarchy
+ * Folders come back as { defaultFolders, restFolders }, each folder carrying
+ * its own nested `subfolders`. Default folders (Home, WhatsApp Numbers, Trash)
+ * are fixed; only restFolders can be renamed or deleted. Every update returns
+ * a new tree so it can be stored straight back into the cache.
+ */
+
+export const MAX_FOLDER_NAME_LENGTH = 50;
+
+export const HOME_FOLDER_NAME = 'Home';
+export const TRASH_FOLDER_NAME = 'Trash';
+
+const FOLDER_GROUPS = ['defaultFolders', 'restFolders'];
+
+/**
+ * Number of WA numbers in a folder
+ * @param {Object} folder - Folder object
+ * @returns {number}
+ */
+export const getFolderCount = (folder) => folder?.itemCount ?? folder?.waNumberCount ?? folder?.count ?? 0;
+
+/**
+ * Flatten a folder list including nested subfolders
+ * @param {Array} folderList - Folders
+ * @param {number} [level=0] - Level of the given folders
+ * @returns {Array<Object>} Folders with a `level` field
+ */
+export const flattenFolders = (folderList, level = 0) => {
+  const result = [];
+  (folderList || []).forEach((folder) => {
+    if (!folder?._id) return;
+    result.push({ ...folder, level });
+    result.push(...flattenFolders(folder.subfolders, level + 1));
+  });
+  return result;
+};
+
+/**
+ * Every folder in the tree, default folders first
+ * @param {Object} tree - { defaultFolders, restFolders }
+ * @returns {Array<Object>}
+ */
+export const getAllFolders = (tree) => [
+  ...flattenFolders(tree?.defaultFolders),
+  ...flattenFolders(tree?.restFolders),
+];
+
+/**
+ * Find a folder anywhere in the tree
+ * @param {Object} tree - Folder tree
+ * @param {string} folderId - Folder ID
+ * @returns {Object|null}
+ */
+export const findFolderById = (tree, folderId) => {
+  if (!folderId) return null;
+  return getAllFolders(tree).find((folder) => folder._id === folderId) || null;
+};
+
+/**
+ * Find a default folder by name (Home, Trash, ...)
+ * @param {Object} tree - Folder tree
+ * @param {string} name - Folder name
+ * @returns {Object|null}
+ */
+export const findDefaultFolder = (tree, name) => (
+  (tree?.defaultFolders || []).find((folder) => folder?.name === name) || null
+);
+
+/**
+ * Parent of a folder
+ * @param {Object} tree - Folder tree
+ * @param {string} folderId - Folder ID
+ * @returns {string|null} Parent folder ID, or null for top-level folders
+ */
+export const findParentId = (tree, folderId) => {
+  const search = (folderList, parentId) => {
+    for (const folder of folderList || []) {
+      if (folder?._id === folderId) return parentId;
+      const found = search(folder?.subfolders, folder?._id);
+      if (found !== undefined) return found;
+    }
+    return undefined;
+  };
+  return search([...(tree?.defaultFolders || []), ...(tree?.restFolders || [])], null) ?? null;
+};
+
+/**
+ * IDs of a folder and all of its subfolders
+ * @param {Object} folder - Folder object
+ * @returns {Array<string>}
+ */
+export const getSubtreeIds = (folder) => (
+  folder ? [folder._id, ...flattenFolders(folder.subfolders).map((item) => item._id)] : []
+);
+
+/**
+ * Whether a folder can be renamed or deleted
+ * @param {Object} tree - Folder tree
+ * @param {Object} folder - Folder object
+ * @returns {boolean}
+ */
+export const isCustomFolder = (tree, folder) => (
+  !!folder?._id && flattenFolders(tree?.restFolders).some((item) => item._id === folder._id)
+);
+
+/**
+ * Validate a folder name against its siblings
+ * @param {string} name - Proposed name
+ * @param {Array} siblings - Folders at the same level
+ * @param {string} [currentId] - ID of the folder being renamed
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateFolderName = (name, siblings = [], currentId = null) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'Folder name is required';
+  if (trimmed.length > MAX_FOLDER_NAME_LENGTH) return `Folder name must be ${MAX_FOLDER_NAME_LENGTH} characters or less`;
+  const duplicate = siblings.find(
+    (folder) => folder?._id !== currentId && (folder?.name || '').trim().toLowerCase() === trimmed.toLowerCase()
+  );
+  if (duplicate) return 'A folder with this name already exists here';
+  return null;
+};
+
+/**
+ * Folders that share a parent with the given parent ID (null = top level)
+ * @param {Object} tree - Folder tree
+ * @param {string|null} parentId - Parent folder ID
+ * @returns {Array<Object>}
+ */
+export const getChildFolders = (tree, parentId) => {
+  if (!parentId) return [...(tree?.defaultFolders || []), ...(tree?.restFolders || [])];
+  return findFolderById(tree, parentId)?.subfolders || [];
+};
+
+// Apply `update` to every folder in a list, depth first; returning null drops the folder
+const mapFolders = (folderList, update) => (folderList || []).reduce((result, folder) => {
+  const next = update(folder?.subfolders ? { ...folder, subfolders: mapFolders(folder.subfolders, update) } : folder);
+  if (next) result.push(next);
+  return result;
+}, []);
+
+const mapTree = (tree, update) => {
+  const next = { ...(tree || {}) };
+  FOLDER_GROUPS.forEach((group) => {
+    next[group] = mapFolders(tree?.[group], update);
+  });
+  return next;
+};
+
+/**
+ * Add a folder under a parent, or as a top-level custom folder
+ * @param {Object} tree - Folder tree
+ * @param {Object} folder - New folder ({ _id, name })
+ * @param {string|null} parentId - Parent folder ID
+ * @returns {Object} Updated tree
+ */
+export const addFolderToTree = (tree, folder, parentId = null) => {
+  const newFolder = { subfolders: [], itemCount: 0, ...folder };
+  if (!parentId || !findFolderById(tree, parentId)) {
+    return { ...(tree || {}), restFolders: [...(tree?.restFolders || []), newFolder] };
+  }
+  return mapTree(tree, (item) => (
+    item._id === parentId ? { ...item, subfolders: [...(item.subfolders || []), newFolder] } : item
+  ));
+};
+
+/**
+ * Rename a folder
+ * @param {Object} tree - Folder tree
+ * @param {string} folderId - Folder ID
+ * @param {string} name - New name
+ * @returns {Object} Updated tree
+ */
+export const renameFolderInTree = (tree, folderId, name) => (
+  mapTree(tree, (item) => (item._id === folderId ? { ...item, name } : item))
+);
+
+/**
+ * Remove a folder with its subfolders
+ * @param {Object} tree - Folder tree
+ * @param {string} folderId - Folder ID
+ * @returns {Object} Updated tree
+ */
+export const removeFolderFromTree = (tree, folderId) => (
+  mapTree(tree, (item) => (item._id === folderId ? null : item))
+);
+
+/**
+ * Change the WA number count of a folder
+ * @param {Object} tree - Folder tree
+ * @param {string} folderId - Folder ID
+ * @param {number} delta - Change in count
+ * @returns {Object} Updated tree
+ */
+export const adjustFolderCount = (tree, folderId, delta) => mapTree(tree, (item) => {
+  if (item._id !== folderId) return item;
+  const key = ['itemCount', 'waNumberCount', 'count'].find((field) => item[field] !== undefined) || 'itemCount';
+  return { ...item, [key]: Math.max(0, (item[key] || 0) + delta) };
+});
+
+/**
+ * Total number of folders in the tree
+ * @param {Object} tree - Folder tree
+ * @returns {number}
+ */
+export const countFolders = (tree) => getAllFolders(tree).length;
+
+export default {
+  MAX_FOLDER_NAME_LENGTH,
+  HOME_FOLDER_NAME,
+  TRASH_FOLDER_NAME,
+  getFolderCount,
+  flattenFolders,
+  getAllFolders,
+  findFolderById,
+  findDefaultFolder,
+  findParentId,
+  getSubtreeIds,
+  isCustomFolder,
+  validateFolderName,
+  getChildFolders,
+  addFolderToTree,
+  renameFolderInTree,
+  removeFolderFromTree,
+  adjustFolderCount,
+  countFolders,
+};
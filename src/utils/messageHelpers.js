@@ -935,6 +935,48 @@ export const isMediaDownloaded = (message) => {
   return message?._mediaDownloadStatus === 'downloaded' && !!message?._localMediaPath;
 };
 
+/**
+ * Get the WhatsApp message id a reply must reference (sent as context.message_id)
+ * Messages that haven't reached WhatsApp yet (pending/failed) have none and can't be quoted
+ */
+export const getReplyContextId = (message) => {
+  return message?.wamid || message?.waMessageId || message?.wa_message_id || null;
+};
+
+/**
+ * Split text into segments for highlighting search terms
+ * Returns [{ text, match }] — matching is case-insensitive, any whitespace-separated term
+ */
+export const getHighlightSegments = (text, query) => {
+  if (!text) return [];
+  const terms = (query || '').trim().split(/\s+/).filter(Boolean)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (terms.length === 0) return [{ text, match: false }];
+
+  const pattern = new RegExp(`(${terms.join('|')})`, 'gi');
+  // split() with a capture group puts the matches at odd indexes
+  return text.split(pattern)
+    .map((part, index) => ({ text: part, match: index % 2 === 1 }))
+    .filter(segment => segment.text.length > 0);
+};
+
+/**
+ * Trim long text to a window around the first search match (for result snippets)
+ */
+export const getSearchSnippet = (text, query, radius = 40) => {
+  if (!text) return '';
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const terms = (query || '').toLowerCase().trim().split(/\s+/).filter(Boolean);
+  const lower = flat.toLowerCase();
+  const index = terms.reduce((found, term) => {
+    const at = lower.indexOf(term);
+    return at !== -1 && (found === -1 || at < found) ? at : found;
+  }, -1);
+
+  if (index <= radius) return flat;
+  return `…${flat.slice(index - radius)}`;
+};
+
 export default {
   getMessageText,
   getMessageCaption,
@@ -967,4 +1009,7 @@ export default {
   findPreviousAssignedMember,
   isMediaDownloadable,
   isMediaDownloaded,
+  getReplyContextId,
+  getHighlightSegments,
+  getSearchSnippet,
 };
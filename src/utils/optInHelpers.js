@@ -0,0 +1,80 @@
+/**
+ * Opt-In Helpers - Contact opt-in statuses and opt-in/opt-out keyword matching
+ * The API reports opt-in status as 'opted_in' / 'opted_out', older contacts
+ * as 'active' / 'inactive' or a boolean.
+ */
+
+export const OPT_IN_STATUS = {
+  OPTED_IN: 'opted_in',
+  OPTED_OUT: 'opted_out',
+};
+
+/**
+ * Normalize an API opt-in status
+ * @param {string|boolean} status - Raw status
+ * @returns {'opted_in'|'opted_out'|null}
+ */
+export const normalizeOptInStatus = (status) => {
+  if (status === true) return OPT_IN_STATUS.OPTED_IN;
+  if (status === false) return OPT_IN_STATUS.OPTED_OUT;
+  switch (typeof status === 'string' ? status.toLowerCase() : '') {
+    case 'opted_in':
+    case 'active':
+      return OPT_IN_STATUS.OPTED_IN;
+    case 'opted_out':
+    case 'inactive':
+      return OPT_IN_STATUS.OPTED_OUT;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Display label for an opt-in status
+ * @param {string|boolean} status - Raw or normalized status
+ * @returns {string}
+ */
+export const getOptInStatusLabel = (status) => {
+  const normalized = normalizeOptInStatus(status);
+  if (normalized === OPT_IN_STATUS.OPTED_IN) return 'Opted In';
+  if (normalized === OPT_IN_STATUS.OPTED_OUT) return 'Opted Out';
+  return 'Not Set';
+};
+
+/**
+ * Normalize text for keyword comparison (trimmed, lowercase, single spaces)
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizeKeyword = (text) => (text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Find the opt-in/opt-out keyword an incoming message triggers.
+ * A keyword fires when it is the whole message, ignoring case and extra spaces.
+ * Opt-out is checked first so a keyword listed in both always unsubscribes.
+ * @param {string} text - Incoming message text
+ * @param {Object} keywords
+ * @param {Array<string>} keywords.optInKeywords
+ * @param {Array<string>} keywords.optOutKeywords
+ * @returns {{ type: 'optIn'|'optOut', keyword: string }|null}
+ */
+export const matchOptKeyword = (text, { optInKeywords = [], optOutKeywords = [] }) => {
+  const message = normalizeKeyword(text);
+  if (!message) return null;
+
+  const optOutKeyword = optOutKeywords.find((keyword) => normalizeKeyword(keyword) === message);
+  if (optOutKeyword) return { type: 'optOut', keyword: optOutKeyword };
+
+  const optInKeyword = optInKeywords.find((keyword) => normalizeKeyword(keyword) === message);
+  if (optInKeyword) return { type: 'optIn', keyword: optInKeyword };
+
+  return null;
+};
+
+export default {
+  OPT_IN_STATUS,
+  normalizeOptInStatus,
+  getOptInStatusLabel,
+  normalizeKeyword,
+  matchOptKeyword,
+};
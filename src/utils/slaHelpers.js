@@ -0,0 +1,186 @@
+/**
+ * SLA Helpers - Response-time targets and "time to breach" for chats
+ * A chat is on the SLA clock while its last message is from the contact;
+ * the clock starts at that message and stops once the team replies.
+ *
+ * SLA setting shape:
+ * {
+ *   hours, mins,                               // default target
+ *   statusTargets: { [status]: { hours, mins } },  // per chat status
+ *   memberTargets: { [memberId]: { hours, mins } }, // per assigned team member
+ * }
+ * A member target wins over a status target, which wins over the default.
+ */
+
+import { isOutgoingMessage } from './messageHelpers';
+
+const MINUTE_MS = 60 * 1000;
+
+// Chats in these statuses are done — no reply is expected
+const SLA_EXEMPT_STATUSES = ['resolved', 'closed'];
+
+// Statuses that can have their own target (same order as the inbox status options)
+export const SLA_STATUS_OPTIONS = [
+  { value: 'open', label: 'Open' },
+  { value: 'intervened', label: 'Intervened' },
+  { value: 'on_hold', label: 'On Hold' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'replied', label: 'Replied' },
+];
+
+// How long before a breach the assigned member gets a local notification
+export const SLA_WARNING_MINUTES = 10;
+
+/**
+ * Convert an { hours, mins } target to minutes
+ * @param {Object} target - { hours, mins }
+ * @returns {number} Minutes, 0 when not set
+ */
+export const toSlaMinutes = (target) => {
+  if (!target) return 0;
+  const hours = parseInt(target.hours, 10) || 0;
+  const mins = parseInt(target.mins, 10) || 0;
+  return Math.max(0, hours * 60 + mins);
+};
+
+/**
+ * Get the ID of the team member a chat is assigned to
+ * @param {Object} chat - Chat object
+ * @returns {string|null}
+ */
+export const getAssignedMemberId = (chat) => {
+  const member = chat?.assignedToMember;
+  // Unassigned chats carry null or the string 'none'
+  if (!member || typeof member !== 'object') return null;
+  return member._id || member.id || null;
+};
+
+/**
+ * Whether a chat is assigned to the team member with this email
+ * @param {Object} chat - Chat object
+ * @param {string} email - Team member email
+ * @returns {boolean}
+ */
+export const isAssignedTo = (chat, email) => {
+  const member = chat?.assignedToMember;
+  if (!email || !member || typeof member !== 'object' || !member.email) return false;
+  return member.email.toLowerCase() === email.toLowerCase();
+};
+
+/**
+ * Resolve the SLA target that applies to a chat
+ * @param {Object} sla - SLA setting
+ * @param {Object} chat - Chat object
+ * @returns {number} Target in minutes, 0 when no SLA applies
+ */
+export const getSlaTargetMinutes = (sla, chat) => {
+  if (!sla) return 0;
+  const memberId = getAssignedMemberId(chat);
+  const memberMinutes = memberId ? toSlaMinutes(sla.memberTargets?.[memberId]) : 0;
+  if (memberMinutes > 0) return memberMinutes;
+
+  const statusMinutes = chat?.status ? toSlaMinutes(sla.statusTargets?.[chat.status]) : 0;
+  if (statusMinutes > 0) return statusMinutes;
+
+  return toSlaMinutes(sla);
+};
+
+/**
+ * Whether a chat is waiting on a reply from the team
+ * @param {Object} chat - Chat object
+ * @returns {boolean}
+ */
+export const isAwaitingReply = (chat) => {
+  const lastMessage = chat?.lastMessage;
+  if (!lastMessage || SLA_EXEMPT_STATUSES.includes(chat.status)) return false;
+  if (lastMessage.type === 'system') return false;
+  return !isOutgoingMessage(lastMessage);
+};
+
+/**
+ * Get the time (ms) a chat breaches its SLA
+ * @param {Object} chat - Chat object
+ * @param {Object} sla - SLA setting
+ * @returns {number|null} Epoch ms, or null when the chat isn't on the SLA clock
+ */
+export const getSlaDeadline = (chat, sla) => {
+  if (!isAwaitingReply(chat)) return null;
+  const targetMinutes = getSlaTargetMinutes(sla, chat);
+  if (!targetMinutes) return null;
+
+  const lastMessage = chat.lastMessage;
+  const receivedAt = new Date(
+    lastMessage.timestamp || lastMessage.createdAt || chat.lastMessageTime || 0
+  ).getTime();
+  if (!receivedAt) return null;
+
+  return receivedAt + targetMinutes * MINUTE_MS;
+};
+
+/**
+ * Get the SLA state of a chat at a point in time
+ * @param {Object} chat - Chat object
+ * @param {Object} sla - SLA setting
+ * @param {number} [now] - Epoch ms
+ * @returns {{ deadline: number, remainingMs: number, isBreached: boolean }|null}
+ */
+export const getSlaStatus = (chat, sla, now = Date.now()) => {
+  const deadline = getSlaDeadline(chat, sla);
+  if (!deadline) return null;
+  const remainingMs = deadline - now;
+  return { deadline, remainingMs, isBreached: remainingMs <= 0 };
+};
+
+/**
+ * Whether a chat has breached its SLA
+ * @param {Object} chat - Chat object
+ * @param {Object} sla - SLA setting
+ * @param {number} [now] - Epoch ms
+ * @returns {boolean}
+ */
+export const isSlaBreached = (chat, sla, now = Date.now()) => !!getSlaStatus(chat, sla, now)?.isBreached;
+
+/**
+ * Format the time left before a breach ("45m left", "2h 5m left", "Breached")
+ * @param {number} remainingMs - Milliseconds until the deadline
+ * @returns {string}
+ */
+export const formatTimeToBreach = (remainingMs) => {
+  if (remainingMs <= 0) return 'Breached';
+  const totalMinutes = Math.ceil(remainingMs / MINUTE_MS);
+  if (totalMinutes < 60) return `${totalMinutes}m left`;
+  const hours = Math.floor(totalMinutes / 60);
+  const mins = totalMinutes % 60;
+  if (hours >= 24) return `${Math.floor(hours / 24)}d ${hours % 24}h left`;
+  return mins ? `${hours}h ${mins}m left` : `${hours}h left`;
+};
+
+/**
+ * Whether any SLA target is configured
+ * @param {Object} sla - SLA setting
+ * @returns {boolean}
+ */
+export const hasSlaTargets = (sla) => {
+  if (!sla) return false;
+  if (toSlaMinutes(sla) > 0) return true;
+  const overrides = [
+    ...Object.values(sla.statusTargets || {}),
+    ...Object.values(sla.memberTargets || {}),
+  ];
+  return overrides.some((target) => toSlaMinutes(target) > 0);
+};
+
+export default {
+  SLA_STATUS_OPTIONS,
+  SLA_WARNING_MINUTES,
+  toSlaMinutes,
+  getAssignedMemberId,
+  isAssignedTo,
+  getSlaTargetMinutes,
+  isAwaitingReply,
+  getSlaDeadline,
+  getSlaStatus,
+  isSlaBreached,
+  formatTimeToBreach,
+  hasSlaTargets,
+};
@@ -0,0 +1,288 @@
+/**
+ * Template Helpers - Building and validating WhatsApp message templates
+ * Rules follow Meta's template guidelines (Business Management API)
+ */
+
+export const TEMPLATE_LIMITS = {
+  name: 512,
+  headerText: 60,
+  body: 1024,
+  footer: 60,
+  buttonText: 25,
+  url: 2000,
+  phoneNumber: 20,
+  totalButtons: 10,
+  urlButtons: 2,
+  phoneButtons: 1,
+};
+
+export const TEMPLATE_CATEGORIES = [
+  { value: 'MARKETING', label: 'Marketing', hint: 'Offers, announcements and re-engagement' },
+  { value: 'UTILITY', label: 'Utility', hint: 'Updates on an order, account or booking' },
+];
+
+export const TEMPLATE_LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'en_US', label: 'English (US)' },
+  { code: 'en_GB', label: 'English (UK)' },
+  { code: 'hi', label: 'Hindi' },
+  { code: 'es', label: 'Spanish' },
+  { code: 'pt_BR', label: 'Portuguese (BR)' },
+  { code: 'fr', label: 'French' },
+  { code: 'de', label: 'German' },
+  { code: 'it', label: 'Italian' },
+  { code: 'ar', label: 'Arabic' },
+  { code: 'id', label: 'Indonesian' },
+];
+
+export const HEADER_FORMATS = ['NONE', 'TEXT', 'IMAGE', 'VIDEO', 'DOCUMENT'];
+
+// {{n}} placeholder in template text (global — use with matchAll)
+export const VARIABLE_REGEX = /\{\{\s*(\d+)\s*\}\}/g;
+
+/**
+ * Get the variable numbers used in a text, in order of first appearance
+ * @param {string} text - Text with {{n}} placeholders
+ * @returns {number[]} Unique variable numbers
+ */
+export const extractVariables = (text) => {
+  const numbers = [...(text || '').matchAll(VARIABLE_REGEX)].map((match) => parseInt(match[1], 10));
+  return [...new Set(numbers)];
+};
+
+/**
+ * Text for the next variable to insert ({{1}}, {{2}}, ...)
+ * @param {string} text - Current text
+ * @returns {string}
+ */
+export const getNextVariable = (text) => {
+  const numbers = extractVariables(text);
+  const next = numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+  return `{{${next}}}`;
+};
+
+/**
+ * Create an empty builder form
+ * @returns {Object}
+ */
+export const createEmptyTemplateForm = () => ({
+  name: '',
+  category: 'MARKETING',
+  language: 'en',
+  headerFormat: 'NONE',
+  headerText: '',
+  headerSample: '',
+  headerFile: null, // { url, fileName, mimeType } once uploaded
+  body: '',
+  bodySamples: {}, // { [variableNumber]: sample }
+  footer: '',
+  buttons: [], // { type: 'QUICK_REPLY' | 'URL' | 'PHONE_NUMBER', text, url, urlSample, phoneNumber }
+});
+
+const checkVariableSequence = (numbers) => {
+  const sorted = [...numbers].sort((a, b) => a - b);
+  return sorted.every((number, index) => number === index + 1);
+};
+
+/**
+ * Validate a builder form against Meta's template rules
+ * @param {Object} form - Builder form (see createEmptyTemplateForm)
+ * @returns {Object} Errors keyed by field ('name', 'headerText', 'body', 'button_0', ...); empty when valid
+ */
+export const validateTemplateForm = (form) => {
+  const errors = {};
+
+  // Name
+  const name = form.name.trim();
+  if (!name) {
+    errors.name = 'Template name is required';
+  } else if (!/^[a-z0-9_]+$/.test(name)) {
+    errors.name = 'Use lowercase letters, numbers and underscores only';
+  } else if (name.length > TEMPLATE_LIMITS.name) {
+    errors.name = `Name must be ${TEMPLATE_LIMITS.name} characters or less`;
+  }
+
+  // Header
+  if (form.headerFormat === 'TEXT') {
+    const headerText = form.headerText.trim();
+    const headerVariables = extractVariables(headerText);
+    if (!headerText) {
+      errors.headerText = 'Header text is required';
+    } else if (headerText.length > TEMPLATE_LIMITS.headerText) {
+      errors.headerText = `Header must be ${TEMPLATE_LIMITS.headerText} characters or less`;
+    } else if (headerVariables.length > 1 || (headerVariables.length === 1 && headerVariables[0] !== 1)) {
+      errors.headerText = 'Header can only contain one variable, {{1}}';
+    } else if (headerVariables.length === 1 && !form.headerSample.trim()) {
+      errors.headerSample = 'Add a sample value for {{1}}';
+    }
+  } else if (form.headerFormat !== 'NONE' && !form.headerFile?.url) {
+    errors.headerFile = `Upload a sample ${form.headerFormat.toLowerCase()} for the header`;
+  }
+
+  // Body
+  const body = form.body.trim();
+  const bodyVariables = extractVariables(body);
+  if (!body) {
+    errors.body = 'Message body is required';
+  } else if (body.length > TEMPLATE_LIMITS.body) {
+    errors.body = `Body must be ${TEMPLATE_LIMITS.body} characters or less`;
+  } else if (!checkVariableSequence(bodyVariables)) {
+    errors.body = 'Variables must be numbered in sequence: {{1}}, {{2}}, {{3}}...';
+  } else if (/^\{\{\s*\d+\s*\}\}/.test(body) || /\{\{\s*\d+\s*\}\}$/.test(body)) {
+    errors.body = 'Body cannot start or end with a variable';
+  } else if (/\{\{\s*\d+\s*\}\}\s*\{\{\s*\d+\s*\}\}/.test(body)) {
+    errors.body = 'Variables must be separated by text';
+  } else if (bodyVariables.some((number) => !form.bodySamples[number]?.trim())) {
+    errors.bodySamples = 'Add a sample value for every variable';
+  }
+
+  // Footer
+  const footer = form.footer.trim();
+  if (footer.length > TEMPLATE_LIMITS.footer) {
+    errors.footer = `Footer must be ${TEMPLATE_LIMITS.footer} characters or less`;
+  } else if (extractVariables(footer).length > 0) {
+    errors.footer = 'Footer cannot contain variables';
+  }
+
+  // Buttons
+  const countOf = (type) => form.buttons.filter((button) => button.type === type).length;
+  if (form.buttons.length > TEMPLATE_LIMITS.totalButtons) {
+    errors.buttons = `A template can have at most ${TEMPLATE_LIMITS.totalButtons} buttons`;
+  } else if (countOf('URL') > TEMPLATE_LIMITS.urlButtons) {
+    errors.buttons = `A template can have at most ${TEMPLATE_LIMITS.urlButtons} website buttons`;
+  } else if (countOf('PHONE_NUMBER') > TEMPLATE_LIMITS.phoneButtons) {
+    errors.buttons = 'A template can have only one phone number button';
+  }
+
+  const buttonTexts = new Set();
+  form.buttons.forEach((button, index) => {
+    const key = `button_${index}`;
+    const text = button.text.trim();
+    if (!text) {
+      errors[key] = 'Button text is required';
+    } else if (text.length > TEMPLATE_LIMITS.buttonText) {
+      errors[key] = `Button text must be ${TEMPLATE_LIMITS.buttonText} characters or less`;
+    } else if (buttonTexts.has(text.toLowerCase())) {
+      errors[key] = 'Button texts must be unique';
+    } else if (button.type === 'URL') {
+      const url = (button.url || '').trim();
+      const urlVariables = extractVariables(url);
+      if (!/^https?:\/\/\S+\.\S+/.test(url)) {
+        errors[key] = 'Enter a valid website URL (https://...)';
+      } else if (url.length > TEMPLATE_LIMITS.url) {
+        errors[key] = `URL must be ${TEMPLATE_LIMITS.url} characters or less`;
+      } else if (urlVariables.length > 1 || (urlVariables.length === 1 && !/\{\{1\}\}$/.test(url))) {
+        errors[key] = 'A URL can only have one variable, {{1}}, at the end';
+      } else if (urlVariables.length === 1 && !button.urlSample?.trim()) {
+        errors[key] = 'Add a sample value for the URL variable';
+      }
+    } else if (button.type === 'PHONE_NUMBER') {
+      const phoneNumber = (button.phoneNumber || '').replace(/[\s()-]/g, '');
+      if (!/^\+\d{7,19}$/.test(phoneNumber)) {
+        errors[key] = 'Enter a phone number with country code (e.g. +14155550123)';
+      }
+    }
+    buttonTexts.add(text.toLowerCase());
+  });
+
+  return errors;
+};
+
+/**
+ * Build Meta-format template components from a builder form.
+ * Quick replies are grouped ahead of call-to-action buttons as Meta requires.
+ * @param {Object} form - Builder form
+ * @returns {Array} components ([HEADER], BODY, [FOOTER], [BUTTONS])
+ */
+export const buildTemplateComponents = (form) => {
+  const components = [];
+
+  if (form.headerFormat === 'TEXT' && form.headerText.trim()) {
+    const header = { type: 'HEADER', format: 'TEXT', text: form.headerText.trim() };
+    if (extractVariables(header.text).length > 0) {
+      header.example = { header_text: [form.headerSample.trim()] };
+    }
+    components.push(header);
+  } else if (form.headerFormat !== 'NONE' && form.headerFormat !== 'TEXT') {
+    components.push({
+      type: 'HEADER',
+      format: form.headerFormat,
+      example: { header_handle: form.headerFile?.url ? [form.headerFile.url] : [] },
+    });
+  }
+
+  const bodyText = form.body.trim();
+  const body = { type: 'BODY', text: bodyText };
+  const bodyVariables = extractVariables(bodyText).sort((a, b) => a - b);
+  if (bodyVariables.length > 0) {
+    body.example = { body_text: [bodyVariables.map((number) => (form.bodySamples[number] || '').trim())] };
+  }
+  components.push(body);
+
+  if (form.footer.trim()) {
+    components.push({ type: 'FOOTER', text: form.footer.trim() });
+  }
+
+  if (form.buttons.length > 0) {
+    const quickReplies = form.buttons.filter((button) => button.type === 'QUICK_REPLY');
+    const callToActions = form.buttons.filter((button) => button.type !== 'QUICK_REPLY');
+    components.push({
+      type: 'BUTTONS',
+      buttons: [...quickReplies, ...callToActions].map((button) => {
+        const text = button.text.trim();
+        if (button.type === 'URL') {
+          const url = button.url.trim();
+          return extractVariables(url).length > 0
+            ? { type: 'URL', text, url, example: [button.urlSample.trim()] }
+            : { type: 'URL', text, url };
+        }
+        if (button.type === 'PHONE_NUMBER') {
+          return { type: 'PHONE_NUMBER', text, phone_number: button.phoneNumber.replace(/[\s()-]/g, '') };
+        }
+        return { type: 'QUICK_REPLY', text };
+      }),
+    });
+  }
+
+  return components;
+};
+
+/**
+ * Build the create-template request body from a builder form
+ * @param {Object} form - Builder form
+ * @returns {Object} { name, category, language, type, components, headerFileURL? }
+ */
+export const buildTemplatePayload = (form) => ({
+  name: form.name.trim(),
+  category: form.category,
+  language: form.language,
+  type: form.headerFormat === 'NONE' ? 'TEXT' : form.headerFormat,
+  components: buildTemplateComponents(form),
+  ...(form.headerFile?.url && { headerFileURL: form.headerFile.url }),
+});
+
+/**
+ * Whether an approved template can be sent with the inputs the app collects
+ * (carousel, limited-time-offer and authentication templates need extra inputs)
+ * @param {Object} template - Meta-format template
+ * @returns {boolean}
+ */
+export const isSendableTemplate = (template) =>
+  template?.status?.toUpperCase() === 'APPROVED' &&
+  template.category?.toUpperCase() !== 'AUTHENTICATION' &&
+  !template.components?.some((c) => ['CAROUSEL', 'LIMITED_TIME_OFFER'].includes(c.type?.toUpperCase()));
+
+export default {
+  TEMPLATE_LIMITS,
+  TEMPLATE_CATEGORIES,
+  TEMPLATE_LANGUAGES,
+  HEADER_FORMATS,
+  VARIABLE_REGEX,
+  extractVariables,
+  getNextVariable,
+  createEmptyTemplateForm,
+  validateTemplateForm,
+  buildTemplateComponents,
+  buildTemplatePayload,
+  isSendableTemplate,
+};
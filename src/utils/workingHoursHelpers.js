@@ -0,0 +1,152 @@
+/**
+ * Working Hours Helpers - Day-wise schedules for the inbox auto messages
+ * Each day is { enabled, from, to, intervals: [{ from, to }] } with "HH:MM" times.
+ * from/to mirror the first interval so clients that only know a single
+ * interval per day keep working.
+ */
+
+export const DAYS_OF_WEEK = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+export const MAX_INTERVALS_PER_DAY = 4;
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @param {string} time - "HH:MM"
+ * @returns {number|null}
+ */
+export const timeToMinutes = (time) => {
+  if (!time) return null;
+  const [hours, minutes] = time.split(':').map(Number);
+  if (Number.isNaN(hours) || Number.isNaN(minutes)) return null;
+  return hours * 60 + minutes;
+};
+
+/**
+ * Intervals of a day — always at least one (possibly unset) interval
+ * @param {Object} day - Day schedule
+ * @returns {Array<{from: string|null, to: string|null}>}
+ */
+export const getDayIntervals = (day) => {
+  if (day?.intervals?.length) return day.intervals;
+  return [{ from: day?.from || null, to: day?.to || null }];
+};
+
+/**
+ * Day schedule with new intervals, keeping from/to in step with the first one
+ * @param {Object} day - Day schedule
+ * @param {Array} intervals - New intervals
+ * @returns {Object}
+ */
+export const withIntervals = (day, intervals) => ({
+  ...day,
+  intervals,
+  from: intervals[0]?.from || null,
+  to: intervals[0]?.to || null,
+});
+
+/**
+ * Validate the intervals of an enabled day
+ * @param {Array} intervals - Day intervals
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateDayIntervals = (intervals) => {
+  const ranges = [];
+  for (const interval of intervals) {
+    const from = timeToMinutes(interval.from);
+    const to = timeToMinutes(interval.to);
+    if (from === null || to === null) return 'Set a start and end time';
+    if (to <= from) return 'End time must be after start time';
+    ranges.push([from, to]);
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  for (let i = 1; i < ranges.length; i++) {
+    if (ranges[i][0] < ranges[i - 1][1]) return 'Time ranges overlap';
+  }
+  return null;
+};
+
+/**
+ * Whether a time falls inside the working hours
+ * @param {Object} workingHours - Schedules keyed by day
+ * @param {string} dayKey - 'monday' … 'sunday'
+ * @param {number} minutes - Minutes since midnight
+ * @returns {boolean}
+ */
+export const isWithinWorkingHours = (workingHours, dayKey, minutes) => {
+  const day = workingHours?.[dayKey];
+  if (!day?.enabled) return false;
+  return getDayIntervals(day).some((interval) => {
+    const from = timeToMinutes(interval.from);
+    const to = timeToMinutes(interval.to);
+    return from !== null && to !== null && minutes >= from && minutes < to;
+  });
+};
+
+/**
+ * Automated messages a customer gets when they message at a given time
+ * @param {Object} options
+ * @param {Object} options.workingHours - Schedules keyed by day
+ * @param {string} options.dayKey - 'monday' … 'sunday'
+ * @param {number} options.minutes - Minutes since midnight
+ * @param {boolean} options.isNewConversation - First message from this customer
+ * @param {boolean} options.welcomeEnabled - Welcome message is on
+ * @param {boolean} options.offHourEnabled - Off-hours message is on
+ * @returns {{ isOpen: boolean, messages: Array<'welcome'|'offHour'> }}
+ */
+export const getAutoMessagesAt = ({
+  workingHours,
+  dayKey,
+  minutes,
+  isNewConversation,
+  welcomeEnabled,
+  offHourEnabled,
+}) => {
+  const isOpen = isWithinWorkingHours(workingHours, dayKey, minutes);
+  const messages = [];
+  if (isNewConversation && welcomeEnabled) messages.push('welcome');
+  if (!isOpen && offHourEnabled) messages.push('offHour');
+  return { isOpen, messages };
+};
+
+/**
+ * Current day and time in a time zone (device time when the zone is unknown)
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {{ dayKey: string, minutes: number }}
+ */
+export const getNowInTimeZone = (timeZone) => {
+  const now = new Date();
+  try {
+    if (timeZone) {
+      const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'long',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+      }).formatToParts(now);
+      const get = (type) => parts.find((part) => part.type === type)?.value;
+      return {
+        dayKey: get('weekday').toLowerCase(),
+        minutes: (parseInt(get('hour'), 10) % 24) * 60 + parseInt(get('minute'), 10),
+      };
+    }
+  } catch (e) {
+    // Unknown zone — fall through to device time
+  }
+  return {
+    dayKey: DAYS_OF_WEEK[(now.getDay() + 6) % 7],
+    minutes: now.getHours() * 60 + now.getMinutes(),
+  };
+};
+
+export default {
+  DAYS_OF_WEEK,
+  MAX_INTERVALS_PER_DAY,
+  timeToMinutes,
+  getDayIntervals,
+  withIntervals,
+  validateDayIntervals,
+  isWithinWorkingHours,
+  getAutoMessagesAt,
+  getNowInTimeZone,
+};